@@ -10,7 +10,7 @@
  * - researcher_profiles (by user email)
  * - user_preferences (by user email)
  * - project_ideas (by title + org natural key)
- * - milestones (by project + name + due_date)
+ * - milestones (by project + name + due_date) and their dependencies
  */
 
 const {
@@ -425,7 +425,7 @@ async function upsertProjects(orgIdMap, stats) {
 async function upsertMilestones(projectIdMap, stats) {
   const sourceMilestones = await fetchRows(
     sourcePool,
-    `SELECT id, project_id, name, description, depends_on, due_date, status, completed_at, created_at, updated_at FROM milestones ORDER BY id ASC`
+    `SELECT id, project_id, name, description, due_date, status, completed_at, created_at, updated_at FROM milestones ORDER BY id ASC`
   );
 
   const targetMilestones = await fetchRows(
@@ -438,7 +438,7 @@ async function upsertMilestones(projectIdMap, stats) {
   );
 
   const milestoneIdMap = new Map();
-  const delayedDependsOn = [];
+  const insertedSourceIds = new Set();
 
   for (const milestone of sourceMilestones) {
     const targetProjectId = projectIdMap.get(milestone.project_id);
@@ -465,9 +465,9 @@ async function upsertMilestones(projectIdMap, stats) {
       targetPool,
       `
       INSERT INTO milestones (
-        project_id, name, description, depends_on, due_date, status, completed_at, created_at, updated_at
+        project_id, name, description, due_date, status, completed_at, created_at, updated_at
       )
-      VALUES ($1,$2,$3,NULL,$4,$5,$6,$7,$8)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
       RETURNING id
       `,
       [
@@ -483,31 +483,40 @@ async function upsertMilestones(projectIdMap, stats) {
     );
 
     milestoneIdMap.set(milestone.id, inserted[0].id);
-    delayedDependsOn.push({ sourceMilestoneId: milestone.id, sourceDependsOn: milestone.depends_on });
+    insertedSourceIds.add(milestone.id);
   }
 
   if (!apply) {
     return;
   }
 
-  for (const item of delayedDependsOn) {
-    if (!item.sourceDependsOn) {
+  const sourceDependencies = await fetchRows(
+    sourcePool,
+    `SELECT milestone_id, depends_on_milestone_id FROM milestone_dependencies ORDER BY id ASC`
+  );
+
+  for (const dependency of sourceDependencies) {
+    if (!insertedSourceIds.has(dependency.milestone_id)) {
       continue;
     }
 
-    const targetId = milestoneIdMap.get(item.sourceMilestoneId);
-    const targetDependsOnId = milestoneIdMap.get(item.sourceDependsOn);
+    const targetId = milestoneIdMap.get(dependency.milestone_id);
+    const targetDependsOnId = milestoneIdMap.get(dependency.depends_on_milestone_id);
 
     if (!targetId || !targetDependsOnId) {
       continue;
     }
 
     await targetPool.query(
-      `UPDATE milestones SET depends_on = $1, updated_at = NOW() WHERE id = $2`,
-      [targetDependsOnId, targetId]
+      `
+      INSERT INTO milestone_dependencies (milestone_id, depends_on_milestone_id, created_at, updated_at)
+      VALUES ($1, $2, NOW(), NOW())
+      ON CONFLICT (milestone_id, depends_on_milestone_id) DO NOTHING
+      `,
+      [targetId, targetDependsOnId]
     );
 
-    stats.milestones.dependsOnUpdated += 1;
+    stats.milestones.dependenciesInserted += 1;
   }
 }
 
@@ -519,7 +528,7 @@ function createStats() {
     researcherProfiles: { insert: 0, skipped: 0, missingDependency: 0 },
     userPreferences: { insert: 0, skipped: 0, missingDependency: 0 },
     projects: { insert: 0, skipped: 0, missingDependency: 0 },
-    milestones: { insert: 0, skipped: 0, missingDependency: 0, dependsOnUpdated: 0 },
+    milestones: { insert: 0, skipped: 0, missingDependency: 0, dependenciesInserted: 0 },
   };
 }
 
@@ -17,9 +17,11 @@ const sequelize = new Sequelize(process.env.DATABASE_URL, {
 // Import models
 const User = require('./src/database/models/User');
 const Organization = require('./src/database/models/Organization');
+const OrganizationMember = require('./src/database/models/OrganizationMember');
 const ResearcherProfile = require('./src/database/models/ResearcherProfile');
 const Project = require('./src/database/models/Project');
 const Milestone = require('./src/database/models/Milestone');
+const MilestoneDependency = require('./src/database/models/MilestoneDependency');
 const UserPreferences = require('./src/database/models/UserPreferences');
 const Application = require('./src/database/models/Application');
 const AcademicHistory = require('./src/database/models/AcademicHistory');
@@ -268,6 +270,10 @@ async function seedDatabase() {
       for (let i = 0; i < nonprofitUsers.length; i++) {
         await nonprofitUsers[i].update({ org_id: organizations[i].id });
         await organizations[i].update({ user_id: nonprofitUsers[i].id });
+        await OrganizationMember.findOrCreate({
+          where: { user_id: nonprofitUsers[i].id },
+          defaults: { org_id: organizations[i].id, role: 'owner' }
+        });
       }
       console.log(`✓ Linked ${nonprofitUsers.length} users to organizations\n`);
     }
@@ -983,8 +989,10 @@ async function seedDatabase() {
       );
 
       if (irb && recruit && baseline) {
-        await recruit.update({ depends_on: irb.id });
-        await baseline.update({ depends_on: recruit.id });
+        await MilestoneDependency.bulkCreate([
+          { milestone_id: recruit.id, depends_on_milestone_id: irb.id },
+          { milestone_id: baseline.id, depends_on_milestone_id: recruit.id }
+        ]);
       }
     }
 
@@ -0,0 +1,79 @@
+/**
+ * Rate limit policies, keyed by name. Routes apply them with `rateLimitPolicy(name)` from
+ * middleware/rateLimit so every limit is declared here.
+ *
+ * windowMs/maxRequests: at most maxRequests hits per sliding windowMs.
+ * keySelector: what the limit is counted against (IP, IP + email, user, ...).
+ */
+
+const jwt = require('jsonwebtoken');
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+
+const ipAndEmail = (req) => `${req.ip}:${String(req.body?.email || '').trim().toLowerCase()}`;
+
+// 2FA codes are counted per user: the signed-in user, or the user in a pending-2FA login token
+// (that request has no email in its body, and an IP key is trivial to rotate)
+const twoFactorUser = (req) => {
+  if (req.user?.id) {
+    return `user:${req.user.id}`;
+  }
+
+  const authHeader = req.headers?.authorization || '';
+  if (authHeader.startsWith('Bearer ')) {
+    try {
+      const decoded = jwt.verify(authHeader.slice(7), process.env.JWT_SECRET);
+      if (decoded.pending2fa && decoded.userId) {
+        return `user:${decoded.userId}`;
+      }
+    } catch (error) {
+      // Invalid tokens are rejected by the controller; count them against the IP
+    }
+  }
+
+  return ipAndEmail(req);
+};
+
+module.exports = {
+  // Login, verification email resend and password reset
+  auth: {
+    windowMs: FIFTEEN_MINUTES,
+    maxRequests: 15,
+    keySelector: ipAndEmail,
+  },
+  register: {
+    windowMs: FIFTEEN_MINUTES,
+    maxRequests: 5,
+    keySelector: ipAndEmail,
+  },
+  // Refresh and logout
+  refresh: {
+    windowMs: FIFTEEN_MINUTES,
+    maxRequests: 60,
+    keySelector: (req) => req.ip,
+  },
+  twoFactorSend: {
+    windowMs: FIFTEEN_MINUTES,
+    maxRequests: 5,
+    keySelector: ipAndEmail,
+  },
+  twoFactorVerify: {
+    windowMs: FIFTEEN_MINUTES,
+    maxRequests: 5,
+    keySelector: twoFactorUser,
+  },
+  passwordChange: {
+    windowMs: FIFTEEN_MINUTES,
+    maxRequests: 5,
+    keySelector: (req) => `${req.ip}:${req.user?.id || 'anonymous'}`,
+  },
+  agreementSign: {
+    windowMs: FIFTEEN_MINUTES,
+    maxRequests: 20,
+  },
+  messageUpload: {
+    windowMs: 60 * 1000,
+    maxRequests: 10,
+    keySelector: (req) => `${req.user?.id || req.ip || 'unknown'}`,
+  },
+};
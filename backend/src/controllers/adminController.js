@@ -8,19 +8,41 @@ const {
   Attachment,
   MessageUploadAsset,
   UploadSecurityIncident,
+  BulkJob,
   sequelize
 } = require('../database/models');
 const { Op } = require('sequelize');
 const bcrypt = require('bcryptjs');
 const notificationService = require('../services/notificationService');
+const sessionService = require('../services/sessionService');
 const { getStorageAdapter } = require('../services/storage');
 const { isStrongPassword, PASSWORD_POLICY_MESSAGE } = require('../utils/passwordPolicy');
 const { syncProjectsCompletedForProject } = require('../services/researcherMetricsService');
 const { logAudit, AUDIT_ACTIONS } = require('../utils/auditLogger');
-const { createBulkJob, updateBulkJob, getBulkJob } = require('../utils/bulkJobStore');
+const { toCsv } = require('../utils/csv');
+const {
+  registerBulkJobHandler,
+  executeBulkItems,
+  createBulkJob,
+  getBulkJob,
+  cancelBulkJob,
+  getBulkJobResults,
+  serializeBulkJob,
+  isBulkJobLimitError
+} = require('../services/bulkJobService');
+const {
+  isCursorRequest,
+  parsePageSize,
+  timestampKey,
+  createCursorPage,
+  withCursorWhere,
+  isInvalidCursorError
+} = require('../utils/cursorPagination');
 
 const COMPLETED_REVERT_TARGET_STATUSES = ['draft', 'open', 'in_progress', 'cancelled'];
 const BULK_SYNC_THRESHOLD = 50;
+// Bulk job ids are UUIDs; anything else would fail the Postgres cast instead of matching no job
+const BULK_JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 const isAdministrativeRole = (role) => role === 'admin' || role === 'super_admin';
 
 const createBatchId = () => `batch_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
@@ -78,35 +100,18 @@ const buildBulkResponse = ({
   };
 };
 
-const executeBulkItems = async ({ ids, processItem }) => {
-  const processed = [];
-  const skipped = [];
-  const failed = [];
-
-  for (const id of ids) {
-    try {
-      const result = await processItem(id);
-      if (!result || result.status === 'processed') {
-        processed.push({ id, message: result?.message || 'Processed' });
-      } else if (result.status === 'skipped') {
-        skipped.push({ id, reason: result.reason || 'Ineligible' });
-      } else if (result.status === 'failed') {
-        failed.push({ id, error: result.error || 'Failed' });
-      } else {
-        processed.push({ id, message: 'Processed' });
-      }
-    } catch (error) {
-      failed.push({ id, error: error.message || 'Unexpected failure' });
-    }
-  }
-
-  return { processed, skipped, failed };
-};
-
-const runBulkOperation = async ({ entityType, action, ids, executeSync }) => {
+/**
+ * Run a bulk action inline for small batches, or queue it as a persisted job
+ * @param {Object} options
+ * @param {Object} options.actor - Admin running the action ({ id, role })
+ * @param {Object} options.params - Action options stored with a queued job
+ * @param {Function} options.processItem - Registered processor for entityType
+ */
+const runBulkOperation = async ({ entityType, action, ids, actor, params = {}, processItem }) => {
   if (ids.length <= BULK_SYNC_THRESHOLD) {
     const batchId = createBatchId();
-    const result = await executeSync(batchId, ids);
+    const context = { actor: { id: actor.id, role: actor.role }, action, params, batchId };
+    const result = await executeBulkItems({ ids, processItem: (id) => processItem(context, id) });
     return {
       statusCode: 200,
       payload: buildBulkResponse({
@@ -122,41 +127,12 @@ const runBulkOperation = async ({ entityType, action, ids, executeSync }) => {
     };
   }
 
-  const job = createBulkJob({
+  const job = await createBulkJob({
     entityType,
     action,
-    actorId: null,
-    requestedCount: ids.length,
-  });
-
-  queueMicrotask(async () => {
-    updateBulkJob(job.jobId, { status: 'running' });
-    try {
-      const result = await executeSync(job.jobId, ids);
-      updateBulkJob(job.jobId, {
-        status: 'completed',
-        result: buildBulkResponse({
-          entityType,
-          action,
-          batchId: job.jobId,
-          mode: 'queued',
-          requestedCount: ids.length,
-          processed: result.processed,
-          skipped: result.skipped,
-          failed: result.failed,
-          queued: {
-            jobId: job.jobId,
-            status: 'completed',
-            queuedCount: ids.length,
-          },
-        }),
-      });
-    } catch (error) {
-      updateBulkJob(job.jobId, {
-        status: 'failed',
-        error: error.message || 'Bulk job failed',
-      });
-    }
+    actorId: actor.id,
+    ids,
+    params,
   });
 
   return {
@@ -164,14 +140,14 @@ const runBulkOperation = async ({ entityType, action, ids, executeSync }) => {
     payload: buildBulkResponse({
       entityType,
       action,
-      batchId: job.jobId,
+      batchId: job.id,
       mode: 'queued',
       requestedCount: ids.length,
       processed: [],
       skipped: [],
       failed: [],
       queued: {
-        jobId: job.jobId,
+        jobId: job.id,
         status: 'queued',
         queuedCount: ids.length,
       },
@@ -179,6 +155,10 @@ const runBulkOperation = async ({ entityType, action, ids, executeSync }) => {
   };
 };
 
+const BULK_JOB_LIMIT_RESPONSE = {
+  error: 'Too many bulk jobs in progress. Wait for one to finish or cancel it before starting another.',
+};
+
 const parseCompletedReversionRequest = (review) => {
   if (!review || review.previous_status !== 'completed' || review.action !== 'submitted') {
     return null;
@@ -255,6 +235,7 @@ const getDashboardStats = async (req, res) => {
 /**
  * Get all users with filtering and pagination
  * GET /admin/users
+ * Send ?cursor= (empty for the first page) for cursor pagination; page/limit still work.
  */
 const getAllUsers = async (req, res) => {
   try {
@@ -267,7 +248,6 @@ const getAllUsers = async (req, res) => {
       includeSuspended = 'false'
     } = req.query;
 
-    const offset = (parseInt(page) - 1) * parseInt(limit);
     const where = {};
 
     // Filter by role
@@ -291,8 +271,7 @@ const getAllUsers = async (req, res) => {
     // Include or exclude suspended users
     const paranoid = includeSuspended === 'true' ? false : true;
 
-    const { count, rows: users } = await User.findAndCountAll({
-      where,
+    const queryOptions = {
       attributes: ['id', 'name', 'email', 'role', 'account_status', 'mfa_enabled', 'created_at', 'updated_at', 'deleted_at'],
       include: [
         {
@@ -308,10 +287,37 @@ const getAllUsers = async (req, res) => {
           required: false
         }
       ],
-      limit: parseInt(limit),
-      offset,
-      order: [['created_at', 'DESC']],
       paranoid
+    };
+
+    if (isCursorRequest(req.query)) {
+      const cursorPage = createCursorPage(req.query, {
+        scope: 'admin.users',
+        keys: [
+          timestampKey(User, 'created_at', 'DESC'),
+          { field: 'id', direction: 'DESC' }
+        ]
+      });
+
+      const users = await User.findAll({
+        ...queryOptions,
+        where: withCursorWhere(where, cursorPage.where),
+        limit: cursorPage.limit,
+        order: cursorPage.order
+      });
+
+      return res.status(200).json(cursorPage.buildPage(users));
+    }
+
+    const parsedLimit = parsePageSize(limit);
+    const offset = (parseInt(page) - 1) * parsedLimit;
+
+    const { count, rows: users } = await User.findAndCountAll({
+      ...queryOptions,
+      where,
+      limit: parsedLimit,
+      offset,
+      order: [['created_at', 'DESC'], ['id', 'DESC']]
     });
 
     res.status(200).json({
@@ -319,11 +325,14 @@ const getAllUsers = async (req, res) => {
       pagination: {
         total: count,
         page: parseInt(page),
-        limit: parseInt(limit),
-        totalPages: Math.ceil(count / parseInt(limit))
+        limit: parsedLimit,
+        totalPages: Math.ceil(count / parsedLimit)
       }
     });
   } catch (error) {
+    if (isInvalidCursorError(error)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
     console.error('Get all users error:', error);
     res.status(500).json({ error: 'Failed to fetch users' });
   }
@@ -386,6 +395,10 @@ const updateUserStatus = async (req, res) => {
     user.account_status = status;
     await user.save();
 
+    if (status === 'suspended') {
+      await sessionService.revokeAllUserSessions(user.id, { reason: 'account_suspended' });
+    }
+
     try {
       await notificationService.createNotification({
         userId: user.id,
@@ -438,6 +451,7 @@ const suspendUser = async (req, res) => {
 
     // Soft delete the user
     await user.destroy();
+    await sessionService.revokeAllUserSessions(user.id, { reason: 'account_suspended' });
 
     // Create notification for user suspension
     try {
@@ -645,6 +659,7 @@ const approveUser = async (req, res) => {
 /**
  * Get all projects with filtering and pagination
  * GET /admin/projects
+ * Send ?cursor= (empty for the first page) for cursor pagination; page/limit still work.
  */
 const getAllProjects = async (req, res) => {
   try {
@@ -655,7 +670,6 @@ const getAllProjects = async (req, res) => {
       search 
     } = req.query;
 
-    const offset = (parseInt(page) - 1) * parseInt(limit);
     const where = {};
 
     if (status && ['draft', 'open', 'in_progress', 'completed', 'cancelled'].includes(status)) {
@@ -669,16 +683,37 @@ const getAllProjects = async (req, res) => {
       ];
     }
 
+    const include = [
+      {
+        model: Organization,
+        as: 'organization',
+        attributes: ['id', 'name']
+      }
+    ];
+
+    if (isCursorRequest(req.query)) {
+      const cursorPage = createCursorPage(req.query, {
+        scope: 'admin.projects',
+        keys: [{ field: 'project_id', direction: 'DESC' }]
+      });
+
+      const projects = await Project.findAll({
+        where: withCursorWhere(where, cursorPage.where),
+        include,
+        limit: cursorPage.limit,
+        order: cursorPage.order
+      });
+
+      return res.status(200).json(cursorPage.buildPage(projects));
+    }
+
+    const parsedLimit = parsePageSize(limit);
+    const offset = (parseInt(page) - 1) * parsedLimit;
+
     const { count, rows: projects } = await Project.findAndCountAll({
       where,
-      include: [
-        {
-          model: Organization,
-          as: 'organization',
-          attributes: ['id', 'name']
-        }
-      ],
-      limit: parseInt(limit),
+      include,
+      limit: parsedLimit,
       offset,
       order: [['project_id', 'DESC']]
     });
@@ -688,11 +723,14 @@ const getAllProjects = async (req, res) => {
       pagination: {
         total: count,
         page: parseInt(page),
-        limit: parseInt(limit),
-        totalPages: Math.ceil(count / parseInt(limit))
+        limit: parsedLimit,
+        totalPages: Math.ceil(count / parsedLimit)
       }
     });
   } catch (error) {
+    if (isInvalidCursorError(error)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
     console.error('Get all projects error:', error);
     res.status(500).json({ error: 'Failed to fetch projects' });
   }
@@ -1322,6 +1360,7 @@ const requestProjectChanges = async (req, res) => {
 /**
  * Get all attachments for admin/compliance visibility.
  * GET /admin/attachments
+ * Send ?cursor= (empty for the first page) for cursor pagination; page/limit still work.
  */
 const getAllAttachments = async (req, res) => {
   try {
@@ -1350,34 +1389,55 @@ const getAllAttachments = async (req, res) => {
       };
     }
 
-    const parsedLimit = Math.min(Math.max(Number.parseInt(limit, 10) || 20, 1), 100);
+    const include = [
+      {
+        model: Project,
+        as: 'project',
+        attributes: ['project_id', 'title', 'org_id'],
+        include: [
+          {
+            model: Organization,
+            as: 'organization',
+            attributes: ['id', 'name']
+          }
+        ]
+      },
+      {
+        model: User,
+        as: 'uploader',
+        attributes: ['id', 'name', 'email']
+      }
+    ];
+
+    if (isCursorRequest(req.query)) {
+      const cursorPage = createCursorPage(req.query, {
+        scope: 'admin.attachments',
+        keys: [
+          timestampKey(Attachment, 'created_at', 'DESC'),
+          { field: 'id', direction: 'DESC' }
+        ]
+      });
+
+      const attachments = await Attachment.findAll({
+        where: withCursorWhere(where, cursorPage.where),
+        include,
+        limit: cursorPage.limit,
+        order: cursorPage.order
+      });
+
+      return res.status(200).json(cursorPage.buildPage(attachments));
+    }
+
+    const parsedLimit = parsePageSize(limit);
     const parsedPage = Math.max(Number.parseInt(page, 10) || 1, 1);
     const offset = (parsedPage - 1) * parsedLimit;
 
     const { count, rows } = await Attachment.findAndCountAll({
       where,
-      include: [
-        {
-          model: Project,
-          as: 'project',
-          attributes: ['project_id', 'title', 'org_id'],
-          include: [
-            {
-              model: Organization,
-              as: 'organization',
-              attributes: ['id', 'name']
-            }
-          ]
-        },
-        {
-          model: User,
-          as: 'uploader',
-          attributes: ['id', 'name', 'email']
-        }
-      ],
+      include,
       limit: parsedLimit,
       offset,
-      order: [['created_at', 'DESC']]
+      order: [['created_at', 'DESC'], ['id', 'DESC']]
     });
 
     return res.status(200).json({
@@ -1390,6 +1450,9 @@ const getAllAttachments = async (req, res) => {
       }
     });
   } catch (error) {
+    if (isInvalidCursorError(error)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
     console.error('Get admin attachments error:', error);
     return res.status(500).json({ error: 'Failed to fetch attachments' });
   }
@@ -1825,6 +1888,312 @@ const forceDeleteAttachment = async (req, res) => {
   }
 };
 
+const BULK_USER_AUDIT_ACTIONS = {
+  approve: AUDIT_ACTIONS.ADMIN_BULK_USER_APPROVED,
+  suspend: AUDIT_ACTIONS.ADMIN_BULK_USER_SUSPENDED,
+  unsuspend: AUDIT_ACTIONS.ADMIN_BULK_USER_UNSUSPENDED,
+  delete: AUDIT_ACTIONS.ADMIN_BULK_USER_DELETED,
+};
+
+const BULK_PROJECT_AUDIT_ACTIONS = {
+  delete: AUDIT_ACTIONS.ADMIN_BULK_PROJECT_DELETED,
+  update_status: AUDIT_ACTIONS.ADMIN_BULK_PROJECT_STATUS_UPDATED,
+  approve: AUDIT_ACTIONS.ADMIN_BULK_PROJECT_APPROVED,
+  reject: AUDIT_ACTIONS.ADMIN_BULK_PROJECT_REJECTED,
+  request_changes: AUDIT_ACTIONS.ADMIN_BULK_PROJECT_CHANGES_REQUESTED,
+};
+
+/**
+ * Bulk item processors. They receive the job context rather than the request so queued jobs
+ * can run (and resume) in any process: { actor: { id, role }, action, params, batchId }.
+ */
+const processBulkUserItem = async ({ actor, action, params, batchId }, userId) => {
+  const { reason } = params;
+  const targetUser = await User.findByPk(userId, { paranoid: false });
+  if (!targetUser) {
+    return { status: 'skipped', reason: 'User not found' };
+  }
+
+  if (isAdministrativeRole(targetUser.role) && action !== 'approve') {
+    if (action === 'delete' && actor.role === 'super_admin' && actor.id !== targetUser.id) {
+      // Super admins may delete admin users except self.
+    } else {
+      return { status: 'skipped', reason: 'Administrative users are protected for this action' };
+    }
+  }
+
+  if (action === 'approve') {
+    if (targetUser.account_status !== 'pending' || targetUser.deleted_at) {
+      return { status: 'skipped', reason: 'User is not pending approval' };
+    }
+    targetUser.account_status = 'active';
+    await targetUser.save();
+  }
+
+  if (action === 'suspend') {
+    if (targetUser.deleted_at) {
+      return { status: 'skipped', reason: 'User is already suspended' };
+    }
+    await targetUser.destroy();
+    await sessionService.revokeAllUserSessions(targetUser.id, { reason: 'account_suspended' });
+  }
+
+  if (action === 'unsuspend') {
+    if (!targetUser.deleted_at) {
+      return { status: 'skipped', reason: 'User is not suspended' };
+    }
+    await targetUser.restore();
+  }
+
+  if (action === 'delete') {
+    if (actor.id === targetUser.id) {
+      return { status: 'skipped', reason: 'Cannot delete your own account' };
+    }
+    if (isAdministrativeRole(targetUser.role) && actor.role !== 'super_admin') {
+      return { status: 'skipped', reason: 'Only super admins can delete admin accounts' };
+    }
+    await targetUser.destroy({ force: true });
+  }
+
+  if (action === 'suspend') {
+    try {
+      await notificationService.createNotification({
+        userId,
+        type: 'user_suspended',
+        title: 'Account Suspended',
+        message: `Your account has been suspended. Reason: ${reason || 'Not provided'}.`,
+        link: '/contact',
+        metadata: { reason: reason || null, batch_id: batchId },
+      });
+    } catch (notifError) {
+      console.error('Failed to create bulk suspension notification:', notifError);
+    }
+  }
+
+  if (action === 'unsuspend') {
+    try {
+      await notificationService.createNotification({
+        userId,
+        type: 'account_status_changed',
+        title: 'Account Restored',
+        message: 'Your account has been restored and is active again.',
+        link: '/settings',
+        metadata: {
+          previous_status: 'suspended',
+          new_status: 'active',
+          batch_id: batchId,
+        },
+      });
+    } catch (notifError) {
+      console.error('Failed to create bulk unsuspension notification:', notifError);
+    }
+  }
+
+  await logAudit({
+    actorId: actor.id,
+    action: BULK_USER_AUDIT_ACTIONS[action],
+    entityType: 'user',
+    entityId: userId,
+    metadata: {
+      batch_id: batchId,
+      reason: reason || null,
+      triggered_action: action,
+    },
+  });
+
+  return { status: 'processed', message: `User ${action} completed` };
+};
+
+const processBulkProjectItem = async ({ actor, action, params, batchId }, projectId) => {
+  const { reason, status } = params;
+  const project = await Project.findByPk(projectId);
+  if (!project) {
+    return { status: 'skipped', reason: 'Project not found' };
+  }
+
+  const previousStatus = project.status;
+
+  if (action === 'delete') {
+    await project.destroy();
+  }
+
+  if (action === 'update_status') {
+    await project.update({ status });
+  }
+
+  if (action === 'approve') {
+    if (project.status !== 'pending_review') {
+      return { status: 'skipped', reason: `Project status must be pending_review, found ${project.status}` };
+    }
+
+    const completedReversionRequest = await getPendingCompletedReversionRequest(projectId);
+    const approvedStatus = completedReversionRequest
+      ? completedReversionRequest.requestedStatus
+      : 'approved';
+
+    await project.update({ status: approvedStatus });
+    await ProjectReview.create({
+      project_id: projectId,
+      reviewer_id: actor.id,
+      action: 'approved',
+      previous_status: previousStatus,
+      new_status: approvedStatus,
+      feedback: reason || null,
+      reviewed_at: new Date(),
+    });
+  }
+
+  if (action === 'reject') {
+    if (project.status !== 'pending_review') {
+      return { status: 'skipped', reason: `Project status must be pending_review, found ${project.status}` };
+    }
+
+    const completedReversionRequest = await getPendingCompletedReversionRequest(projectId);
+    const rejectedStatus = completedReversionRequest ? 'completed' : 'rejected';
+
+    await project.update({ status: rejectedStatus });
+    await ProjectReview.create({
+      project_id: projectId,
+      reviewer_id: actor.id,
+      action: 'rejected',
+      previous_status: previousStatus,
+      new_status: rejectedStatus,
+      feedback: reason,
+      reviewed_at: new Date(),
+    });
+  }
+
+  if (action === 'request_changes') {
+    if (project.status !== 'pending_review') {
+      return { status: 'skipped', reason: `Project status must be pending_review, found ${project.status}` };
+    }
+
+    const completedReversionRequest = await getPendingCompletedReversionRequest(projectId);
+    if (completedReversionRequest) {
+      return { status: 'skipped', reason: 'Completed reversion requests only support approve or reject' };
+    }
+
+    await project.update({ status: 'needs_revision' });
+    await ProjectReview.create({
+      project_id: projectId,
+      reviewer_id: actor.id,
+      action: 'needs_revision',
+      previous_status: previousStatus,
+      new_status: 'needs_revision',
+      feedback: reason || null,
+      changes_requested: reason,
+      reviewed_at: new Date(),
+    });
+  }
+
+  if (previousStatus !== project.status && ((previousStatus === 'completed') !== (project.status === 'completed'))) {
+    await syncProjectsCompletedForProject(project.project_id);
+  }
+
+  await logAudit({
+    actorId: actor.id,
+    action: BULK_PROJECT_AUDIT_ACTIONS[action],
+    entityType: 'project',
+    entityId: projectId,
+    metadata: {
+      batch_id: batchId,
+      reason: reason || null,
+      previous_status: previousStatus,
+      new_status: project.status,
+      requested_status: status || null,
+      triggered_action: action,
+    },
+  });
+
+  return { status: 'processed', message: `Project ${action} completed` };
+};
+
+const processBulkMilestoneItem = async ({ actor, action, params, batchId }, milestoneId) => {
+  const { reason } = params;
+  const milestone = await Milestone.findByPk(milestoneId);
+  if (!milestone) {
+    return { status: 'skipped', reason: 'Milestone not found' };
+  }
+
+  await milestone.destroy();
+  await logAudit({
+    actorId: actor.id,
+    action: AUDIT_ACTIONS.ADMIN_BULK_MILESTONE_DELETED,
+    entityType: 'milestone',
+    entityId: milestoneId,
+    metadata: {
+      batch_id: batchId,
+      reason: reason || null,
+      triggered_action: action,
+    },
+  });
+
+  return { status: 'processed', message: 'Milestone deleted' };
+};
+
+const processBulkOrganizationItem = async ({ actor, action, batchId }, orgId) => {
+  const organization = await Organization.findByPk(orgId);
+  if (!organization) {
+    return { status: 'skipped', reason: 'Organization not found' };
+  }
+
+  await organization.destroy();
+  await logAudit({
+    actorId: actor.id,
+    action: AUDIT_ACTIONS.ADMIN_BULK_ORGANIZATION_DELETED,
+    entityType: 'organization',
+    entityId: orgId,
+    metadata: {
+      batch_id: batchId,
+      triggered_action: action,
+    },
+  });
+
+  return { status: 'processed', message: 'Organization deleted' };
+};
+
+const processBulkAttachmentItem = async ({ actor, action, params, batchId }, attachmentId) => {
+  const { reason } = params;
+  const attachment = await Attachment.findByPk(attachmentId);
+  if (!attachment) {
+    return { status: 'skipped', reason: 'Attachment not found' };
+  }
+
+  if (attachment.status === 'deleted') {
+    return { status: 'skipped', reason: 'Attachment already deleted' };
+  }
+
+  if (attachment.storage_key) {
+    const storageAdapter = getStorageAdapter();
+    await storageAdapter.delete(attachment.storage_key);
+  }
+
+  attachment.status = 'deleted';
+  attachment.is_latest = false;
+  attachment.retention_expires_at = new Date();
+  await attachment.save();
+
+  await logAudit({
+    actorId: actor.id,
+    action: AUDIT_ACTIONS.ADMIN_BULK_ATTACHMENT_FORCE_DELETED,
+    entityType: 'attachment',
+    entityId: attachmentId,
+    metadata: {
+      batch_id: batchId,
+      reason: reason || null,
+      triggered_action: action,
+    },
+  });
+
+  return { status: 'processed', message: 'Attachment force deleted' };
+};
+
+registerBulkJobHandler('user', processBulkUserItem);
+registerBulkJobHandler('project', processBulkProjectItem);
+registerBulkJobHandler('milestone', processBulkMilestoneItem);
+registerBulkJobHandler('organization', processBulkOrganizationItem);
+registerBulkJobHandler('attachment', processBulkAttachmentItem);
+
 const bulkUsers = async (req, res) => {
   try {
     const { action, ids, reason, confirmation } = req.body || {};
@@ -1843,118 +2212,20 @@ const bulkUsers = async (req, res) => {
       return res.status(400).json({ error: 'Confirmation required. Send { "confirmation": "DELETE" } for delete action.' });
     }
 
-    const auditMap = {
-      approve: AUDIT_ACTIONS.ADMIN_BULK_USER_APPROVED,
-      suspend: AUDIT_ACTIONS.ADMIN_BULK_USER_SUSPENDED,
-      unsuspend: AUDIT_ACTIONS.ADMIN_BULK_USER_UNSUSPENDED,
-      delete: AUDIT_ACTIONS.ADMIN_BULK_USER_DELETED,
-    };
-
     const { statusCode, payload } = await runBulkOperation({
       entityType: 'user',
       action,
       ids: normalizedIds,
-      executeSync: async (batchId, targetIds) => executeBulkItems({
-        ids: targetIds,
-        processItem: async (userId) => {
-          const targetUser = await User.findByPk(userId, { paranoid: false });
-          if (!targetUser) {
-            return { status: 'skipped', reason: 'User not found' };
-          }
-
-          if (isAdministrativeRole(targetUser.role) && action !== 'approve') {
-            if (action === 'delete' && req.user.role === 'super_admin' && req.user.id !== targetUser.id) {
-              // Super admins may delete admin users except self.
-            } else {
-              return { status: 'skipped', reason: 'Administrative users are protected for this action' };
-            }
-          }
-
-          if (action === 'approve') {
-            if (targetUser.account_status !== 'pending' || targetUser.deleted_at) {
-              return { status: 'skipped', reason: 'User is not pending approval' };
-            }
-            targetUser.account_status = 'active';
-            await targetUser.save();
-          }
-
-          if (action === 'suspend') {
-            if (targetUser.deleted_at) {
-              return { status: 'skipped', reason: 'User is already suspended' };
-            }
-            await targetUser.destroy();
-          }
-
-          if (action === 'unsuspend') {
-            if (!targetUser.deleted_at) {
-              return { status: 'skipped', reason: 'User is not suspended' };
-            }
-            await targetUser.restore();
-          }
-
-          if (action === 'delete') {
-            if (req.user.id === targetUser.id) {
-              return { status: 'skipped', reason: 'Cannot delete your own account' };
-            }
-            if (isAdministrativeRole(targetUser.role) && req.user.role !== 'super_admin') {
-              return { status: 'skipped', reason: 'Only super admins can delete admin accounts' };
-            }
-            await targetUser.destroy({ force: true });
-          }
-
-          if (action === 'suspend') {
-            try {
-              await notificationService.createNotification({
-                userId,
-                type: 'user_suspended',
-                title: 'Account Suspended',
-                message: `Your account has been suspended. Reason: ${reason || 'Not provided'}.`,
-                link: '/contact',
-                metadata: { reason: reason || null, batch_id: batchId },
-              });
-            } catch (notifError) {
-              console.error('Failed to create bulk suspension notification:', notifError);
-            }
-          }
-
-          if (action === 'unsuspend') {
-            try {
-              await notificationService.createNotification({
-                userId,
-                type: 'account_status_changed',
-                title: 'Account Restored',
-                message: 'Your account has been restored and is active again.',
-                link: '/settings',
-                metadata: {
-                  previous_status: 'suspended',
-                  new_status: 'active',
-                  batch_id: batchId,
-                },
-              });
-            } catch (notifError) {
-              console.error('Failed to create bulk unsuspension notification:', notifError);
-            }
-          }
-
-          await logAudit({
-            actorId: req.user.id,
-            action: auditMap[action],
-            entityType: 'user',
-            entityId: userId,
-            metadata: {
-              batch_id: batchId,
-              reason: reason || null,
-              triggered_action: action,
-            },
-          });
-
-          return { status: 'processed', message: `User ${action} completed` };
-        },
-      }),
+      actor: req.user,
+      params: { reason: reason || null },
+      processItem: processBulkUserItem,
     });
 
     return res.status(statusCode).json(payload);
   } catch (error) {
+    if (isBulkJobLimitError(error)) {
+      return res.status(429).json(BULK_JOB_LIMIT_RESPONSE);
+    }
     console.error('Bulk users action error:', error);
     return res.status(500).json({ error: 'Failed to process bulk user action' });
   }
@@ -1981,127 +2252,20 @@ const bulkProjects = async (req, res) => {
       return res.status(400).json({ error: `${action} requires a non-empty reason.` });
     }
 
-    const auditMap = {
-      delete: AUDIT_ACTIONS.ADMIN_BULK_PROJECT_DELETED,
-      update_status: AUDIT_ACTIONS.ADMIN_BULK_PROJECT_STATUS_UPDATED,
-      approve: AUDIT_ACTIONS.ADMIN_BULK_PROJECT_APPROVED,
-      reject: AUDIT_ACTIONS.ADMIN_BULK_PROJECT_REJECTED,
-      request_changes: AUDIT_ACTIONS.ADMIN_BULK_PROJECT_CHANGES_REQUESTED,
-    };
-
     const { statusCode, payload } = await runBulkOperation({
       entityType: 'project',
       action,
       ids: normalizedIds,
-      executeSync: async (batchId, targetIds) => executeBulkItems({
-        ids: targetIds,
-        processItem: async (projectId) => {
-          const project = await Project.findByPk(projectId);
-          if (!project) {
-            return { status: 'skipped', reason: 'Project not found' };
-          }
-
-          const previousStatus = project.status;
-
-          if (action === 'delete') {
-            await project.destroy();
-          }
-
-          if (action === 'update_status') {
-            await project.update({ status });
-          }
-
-          if (action === 'approve') {
-            if (project.status !== 'pending_review') {
-              return { status: 'skipped', reason: `Project status must be pending_review, found ${project.status}` };
-            }
-
-            const completedReversionRequest = await getPendingCompletedReversionRequest(projectId);
-            const approvedStatus = completedReversionRequest
-              ? completedReversionRequest.requestedStatus
-              : 'approved';
-
-            await project.update({ status: approvedStatus });
-            await ProjectReview.create({
-              project_id: projectId,
-              reviewer_id: req.user.id,
-              action: 'approved',
-              previous_status: previousStatus,
-              new_status: approvedStatus,
-              feedback: reason || null,
-              reviewed_at: new Date(),
-            });
-          }
-
-          if (action === 'reject') {
-            if (project.status !== 'pending_review') {
-              return { status: 'skipped', reason: `Project status must be pending_review, found ${project.status}` };
-            }
-
-            const completedReversionRequest = await getPendingCompletedReversionRequest(projectId);
-            const rejectedStatus = completedReversionRequest ? 'completed' : 'rejected';
-
-            await project.update({ status: rejectedStatus });
-            await ProjectReview.create({
-              project_id: projectId,
-              reviewer_id: req.user.id,
-              action: 'rejected',
-              previous_status: previousStatus,
-              new_status: rejectedStatus,
-              feedback: reason,
-              reviewed_at: new Date(),
-            });
-          }
-
-          if (action === 'request_changes') {
-            if (project.status !== 'pending_review') {
-              return { status: 'skipped', reason: `Project status must be pending_review, found ${project.status}` };
-            }
-
-            const completedReversionRequest = await getPendingCompletedReversionRequest(projectId);
-            if (completedReversionRequest) {
-              return { status: 'skipped', reason: 'Completed reversion requests only support approve or reject' };
-            }
-
-            await project.update({ status: 'needs_revision' });
-            await ProjectReview.create({
-              project_id: projectId,
-              reviewer_id: req.user.id,
-              action: 'needs_revision',
-              previous_status: previousStatus,
-              new_status: 'needs_revision',
-              feedback: reason || null,
-              changes_requested: reason,
-              reviewed_at: new Date(),
-            });
-          }
-
-          if (previousStatus !== project.status && ((previousStatus === 'completed') !== (project.status === 'completed'))) {
-            await syncProjectsCompletedForProject(project.project_id);
-          }
-
-          await logAudit({
-            actorId: req.user.id,
-            action: auditMap[action],
-            entityType: 'project',
-            entityId: projectId,
-            metadata: {
-              batch_id: batchId,
-              reason: reason || null,
-              previous_status: previousStatus,
-              new_status: project.status,
-              requested_status: status || null,
-              triggered_action: action,
-            },
-          });
-
-          return { status: 'processed', message: `Project ${action} completed` };
-        },
-      }),
+      actor: req.user,
+      params: { reason: reason || null, status: status || null },
+      processItem: processBulkProjectItem,
     });
 
     return res.status(statusCode).json(payload);
   } catch (error) {
+    if (isBulkJobLimitError(error)) {
+      return res.status(429).json(BULK_JOB_LIMIT_RESPONSE);
+    }
     console.error('Bulk projects action error:', error);
     return res.status(500).json({ error: 'Failed to process bulk project action' });
   }
@@ -2123,34 +2287,16 @@ const bulkMilestones = async (req, res) => {
       entityType: 'milestone',
       action,
       ids: normalizedIds,
-      executeSync: async (batchId, targetIds) => executeBulkItems({
-        ids: targetIds,
-        processItem: async (milestoneId) => {
-          const milestone = await Milestone.findByPk(milestoneId);
-          if (!milestone) {
-            return { status: 'skipped', reason: 'Milestone not found' };
-          }
-
-          await milestone.destroy();
-          await logAudit({
-            actorId: req.user.id,
-            action: AUDIT_ACTIONS.ADMIN_BULK_MILESTONE_DELETED,
-            entityType: 'milestone',
-            entityId: milestoneId,
-            metadata: {
-              batch_id: batchId,
-              reason: reason || null,
-              triggered_action: action,
-            },
-          });
-
-          return { status: 'processed', message: 'Milestone deleted' };
-        },
-      }),
+      actor: req.user,
+      params: { reason: reason || null },
+      processItem: processBulkMilestoneItem,
     });
 
     return res.status(statusCode).json(payload);
   } catch (error) {
+    if (isBulkJobLimitError(error)) {
+      return res.status(429).json(BULK_JOB_LIMIT_RESPONSE);
+    }
     console.error('Bulk milestones action error:', error);
     return res.status(500).json({ error: 'Failed to process bulk milestone action' });
   }
@@ -2175,33 +2321,16 @@ const bulkOrganizations = async (req, res) => {
       entityType: 'organization',
       action,
       ids: normalizedIds,
-      executeSync: async (batchId, targetIds) => executeBulkItems({
-        ids: targetIds,
-        processItem: async (orgId) => {
-          const organization = await Organization.findByPk(orgId);
-          if (!organization) {
-            return { status: 'skipped', reason: 'Organization not found' };
-          }
-
-          await organization.destroy();
-          await logAudit({
-            actorId: req.user.id,
-            action: AUDIT_ACTIONS.ADMIN_BULK_ORGANIZATION_DELETED,
-            entityType: 'organization',
-            entityId: orgId,
-            metadata: {
-              batch_id: batchId,
-              triggered_action: action,
-            },
-          });
-
-          return { status: 'processed', message: 'Organization deleted' };
-        },
-      }),
+      actor: req.user,
+      params: {},
+      processItem: processBulkOrganizationItem,
     });
 
     return res.status(statusCode).json(payload);
   } catch (error) {
+    if (isBulkJobLimitError(error)) {
+      return res.status(429).json(BULK_JOB_LIMIT_RESPONSE);
+    }
     console.error('Bulk organizations action error:', error);
     return res.status(500).json({ error: 'Failed to process bulk organization action' });
   }
@@ -2223,69 +2352,129 @@ const bulkAttachments = async (req, res) => {
       entityType: 'attachment',
       action,
       ids: normalizedIds,
-      executeSync: async (batchId, targetIds) => executeBulkItems({
-        ids: targetIds,
-        processItem: async (attachmentId) => {
-          const attachment = await Attachment.findByPk(attachmentId);
-          if (!attachment) {
-            return { status: 'skipped', reason: 'Attachment not found' };
-          }
+      actor: req.user,
+      params: { reason: reason || null },
+      processItem: processBulkAttachmentItem,
+    });
 
-          if (attachment.status === 'deleted') {
-            return { status: 'skipped', reason: 'Attachment already deleted' };
-          }
+    return res.status(statusCode).json(payload);
+  } catch (error) {
+    if (isBulkJobLimitError(error)) {
+      return res.status(429).json(BULK_JOB_LIMIT_RESPONSE);
+    }
+    console.error('Bulk attachments action error:', error);
+    return res.status(500).json({ error: 'Failed to process bulk attachment action' });
+  }
+};
 
-          if (attachment.storage_key) {
-            const storageAdapter = getStorageAdapter();
-            await storageAdapter.delete(attachment.storage_key);
-          }
+/**
+ * List bulk jobs with their actor and progress
+ * GET /admin/bulk-jobs
+ */
+const listBulkJobs = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, entityType, actorId } = req.query;
 
-          attachment.status = 'deleted';
-          attachment.is_latest = false;
-          attachment.retention_expires_at = new Date();
-          await attachment.save();
+    const where = {};
+    if (status) {
+      where.status = status;
+    }
+    if (entityType) {
+      where.entity_type = entityType;
+    }
+    if (actorId) {
+      where.actor_id = parseInt(actorId, 10);
+    }
 
-          await logAudit({
-            actorId: req.user.id,
-            action: AUDIT_ACTIONS.ADMIN_BULK_ATTACHMENT_FORCE_DELETED,
-            entityType: 'attachment',
-            entityId: attachmentId,
-            metadata: {
-              batch_id: batchId,
-              reason: reason || null,
-              triggered_action: action,
-            },
-          });
+    const queryOptions = {
+      include: [{ model: User, as: 'actor', attributes: ['id', 'name', 'email'], required: false }],
+    };
 
-          return { status: 'processed', message: 'Attachment force deleted' };
-        },
-      }),
+    if (isCursorRequest(req.query)) {
+      const cursorPage = createCursorPage(req.query, {
+        scope: 'admin.bulk-jobs',
+        keys: [
+          timestampKey(BulkJob, 'created_at', 'DESC'),
+          { field: 'id', direction: 'DESC' }
+        ]
+      });
+
+      const jobs = await BulkJob.findAll({
+        ...queryOptions,
+        where: withCursorWhere(where, cursorPage.where),
+        limit: cursorPage.limit,
+        order: cursorPage.order
+      });
+
+      return res.status(200).json(cursorPage.buildPage(jobs, serializeBulkJob));
+    }
+
+    const parsedLimit = parsePageSize(limit);
+    const offset = (parseInt(page) - 1) * parsedLimit;
+
+    const { count, rows: jobs } = await BulkJob.findAndCountAll({
+      ...queryOptions,
+      where,
+      limit: parsedLimit,
+      offset,
+      order: [['created_at', 'DESC'], ['id', 'DESC']]
     });
 
-    return res.status(statusCode).json(payload);
+    return res.status(200).json({
+      jobs: jobs.map(serializeBulkJob),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parsedLimit,
+        totalPages: Math.ceil(count / parsedLimit)
+      }
+    });
   } catch (error) {
-    console.error('Bulk attachments action error:', error);
-    return res.status(500).json({ error: 'Failed to process bulk attachment action' });
+    if (isInvalidCursorError(error)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    console.error('List bulk jobs error:', error);
+    return res.status(500).json({ error: 'Failed to fetch bulk jobs' });
   }
 };
 
+/**
+ * Bulk job status with per-item results
+ * GET /admin/bulk-jobs/:jobId
+ */
 const getBulkJobStatus = async (req, res) => {
   try {
     const { jobId } = req.params;
-    const job = getBulkJob(jobId);
+    if (!BULK_JOB_ID_PATTERN.test(jobId)) {
+      return res.status(404).json({ error: 'Bulk job not found' });
+    }
+
+    const job = await getBulkJob(jobId);
 
     if (!job) {
       return res.status(404).json({ error: 'Bulk job not found' });
     }
 
+    const results = await getBulkJobResults(job.id);
+
     return res.status(200).json({
-      jobId: job.jobId,
-      status: job.status,
-      createdAt: job.createdAt,
-      updatedAt: job.updatedAt,
-      requestedCount: job.requestedCount,
-      result: job.result || null,
-      error: job.error || null,
+      ...serializeBulkJob(job),
+      result: buildBulkResponse({
+        entityType: job.entity_type,
+        action: job.action,
+        batchId: job.id,
+        mode: 'queued',
+        requestedCount: job.requested_count,
+        processed: results.processed,
+        skipped: results.skipped,
+        failed: results.failed,
+        queued: {
+          jobId: job.id,
+          status: job.status,
+          queuedCount: job.requested_count,
+        },
+      }),
+      cancelled: results.cancelled,
     });
   } catch (error) {
     console.error('Get bulk job status error:', error);
@@ -2293,6 +2482,31 @@ const getBulkJobStatus = async (req, res) => {
   }
 };
 
+/**
+ * Cancel a queued or running bulk job. Items already processed are kept.
+ * POST /admin/bulk-jobs/:jobId/cancel
+ */
+const cancelBulkJobRequest = async (req, res) => {
+  try {
+    if (!BULK_JOB_ID_PATTERN.test(req.params.jobId)) {
+      return res.status(404).json({ error: 'Bulk job not found' });
+    }
+
+    const job = await cancelBulkJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Bulk job not found' });
+    }
+
+    return res.status(job.status === 'cancelled' ? 200 : 202).json(serializeBulkJob(job));
+  } catch (error) {
+    if (error.message === 'BULK_JOB_FINISHED') {
+      return res.status(409).json({ error: 'Bulk job has already finished' });
+    }
+    console.error('Cancel bulk job error:', error);
+    return res.status(500).json({ error: 'Failed to cancel bulk job' });
+  }
+};
+
 /**
  * Get SLA alerts — overdue milestones, approaching deadlines, at-risk projects
  * GET /admin/alerts
@@ -2525,20 +2739,7 @@ const exportAdminData = async (req, res) => {
       ]);
     }
 
-    // Build CSV with proper escaping
-    const escapeCsv = (val) => {
-      const str = String(val ?? '');
-      if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-        return '"' + str.replace(/"/g, '""') + '"';
-      }
-      return str;
-    };
-
-    const csvLines = [headers.map(escapeCsv).join(',')];
-    for (const row of rows) {
-      csvLines.push(row.map(escapeCsv).join(','));
-    }
-    const csv = csvLines.join('\n');
+    const csv = toCsv(headers, rows);
 
     res.setHeader('Content-Type', 'text/csv');
     res.setHeader('Content-Disposition', `attachment; filename="${entity}-export-${new Date().toISOString().slice(0, 10)}.csv"`);
@@ -2585,7 +2786,9 @@ module.exports = {
   bulkMilestones,
   bulkOrganizations,
   bulkAttachments,
+  listBulkJobs,
   getBulkJobStatus,
+  cancelBulkJobRequest,
   getAdminAlerts,
   exportAdminData
 };
@@ -15,7 +15,10 @@ const {
   sequelize
 } = require('../database/models');
 const notificationService = require('../services/notificationService');
+const projectChannelService = require('../services/projectChannelService');
+const organizationMemberService = require('../services/organizationMemberService');
 const pdfService = require('../services/pdfService');
+const agreementTemplateService = require('../services/agreementTemplateService');
 const { getStorageAdapter } = require('../services/storage');
 const {
   createAgreementTransition,
@@ -33,6 +36,7 @@ const {
 } = require('../services/agreementWorkflowService');
 const { getAgreementObservabilitySnapshot } = require('../utils/agreementObservability');
 const { AUDIT_ACTIONS, logAudit } = require('../utils/auditLogger');
+const { isCursorRequest, timestampKey, createCursorPage, withCursorWhere, isInvalidCursorError } = require('../utils/cursorPagination');
 
 const DEFAULT_PAGE = 1;
 const DEFAULT_LIMIT = 20;
@@ -89,6 +93,14 @@ function isAdminReviewer(user) {
   return user?.role === 'admin' || user?.role === 'super_admin';
 }
 
+// Nonprofit staff act on agreements only while their organization role allows it
+async function canManageAgreements(user) {
+  if (user?.role !== 'nonprofit') {
+    return true;
+  }
+  return organizationMemberService.canInOrganization(user, user.org_id, 'agreements:manage');
+}
+
 function parseBooleanInput(value, defaultValue = false) {
   if (value === undefined || value === null || value === '') {
     return defaultValue;
@@ -122,6 +134,26 @@ function parseOptionalPositiveInt(value) {
   return parsed;
 }
 
+/**
+ * Amount a SOW commits to the project budget; other agreement types do not carry one
+ */
+function parseCommittedAmount(value, templateType) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  if (templateType !== 'SOW') {
+    throw new Error('committed_amount only applies to SOW agreements');
+  }
+
+  const amount = typeof value === 'boolean' ? NaN : Math.round(Number(value) * 100) / 100;
+  if (!Number.isFinite(amount) || amount < 0 || amount > 9999999999.99) {
+    throw new Error('committed_amount must be a non-negative amount');
+  }
+
+  return amount;
+}
+
 function normalizeDataClassification(value, containsSensitiveData) {
   const normalized = String(value || '').trim().toLowerCase();
   if (!normalized) {
@@ -400,9 +432,11 @@ async function resolveSourceAttachment(uploadedAttachmentId, projectId, options
   return attachment;
 }
 
+// Template sources render from a published version: templateVersionId when given, otherwise the latest.
 async function resolveAgreementSource({
   sourceKind,
   templateType,
+  templateVersionId,
   variables,
   freeTextContent,
   uploadedAttachmentId,
@@ -410,16 +444,23 @@ async function resolveAgreementSource({
   transaction
 }) {
   if (sourceKind === 'template') {
-    const renderedContent = pdfService.renderTemplatePreview(templateType, variables);
+    const { version } = await agreementTemplateService.resolvePublishedVersion(templateType, {
+      versionId: templateVersionId,
+      transaction
+    });
+    const rendered = agreementTemplateService.renderTemplateVersion(version, variables);
     return {
       sourceKind,
-      variables,
-      renderedContent,
-      contentSnapshot: renderedContent,
+      templateVersionId: version.id,
+      variables: rendered.variables,
+      renderedContent: rendered.renderedContent,
+      contentSnapshot: rendered.renderedContent,
       uploadedAttachmentId: null
     };
   }
 
+  await agreementTemplateService.findActiveTemplate(templateType, { transaction });
+
   if (sourceKind === 'free_text') {
     const normalizedContent = String(freeTextContent || '').trim();
     if (!normalizedContent) {
@@ -428,6 +469,7 @@ async function resolveAgreementSource({
 
     return {
       sourceKind,
+      templateVersionId: null,
       variables: {},
       renderedContent: normalizedContent,
       contentSnapshot: normalizedContent,
@@ -440,6 +482,7 @@ async function resolveAgreementSource({
 
   return {
     sourceKind,
+    templateVersionId: null,
     variables: {},
     renderedContent: preview,
     contentSnapshot: preview,
@@ -474,7 +517,12 @@ async function buildExecutedAgreementArtifact(contract) {
     };
   }
 
-  const generated = await pdfService.generatePdf(contract.template_type, contract.variables || {});
+  // The snapshot is the text rendered from the recorded version; the version supplies the document title
+  const version = await agreementTemplateService.findVersion(contract.template_version_id);
+  const generated = await pdfService.generatePdfFromText(
+    version ? version.title : contract.title,
+    contract.content_snapshot || contract.rendered_content
+  );
   return {
     buffer: generated.buffer,
     checksum: generated.checksum,
@@ -489,12 +537,17 @@ async function createAgreement(req, res) {
       return res.status(403).json({ error: 'Only nonprofit users can create agreements' });
     }
 
+    if (!(await canManageAgreements(req.user))) {
+      return sendAgreementError(res, 403, 'Your organization role does not allow managing agreements');
+    }
+
     const applicationId = Number.parseInt(req.body.application_id, 10);
     if (!Number.isInteger(applicationId)) {
       return res.status(400).json({ error: 'Invalid application_id' });
     }
 
     const templateType = String(req.body.template_type || '').trim().toUpperCase();
+    const templateVersionId = req.body.template_version_id ? String(req.body.template_version_id).trim() : null;
     const sourceKind = normalizeSourceKind(req.body.source_kind);
     const title = String(req.body.title || '').trim();
     const variables = req.body.variables && typeof req.body.variables === 'object'
@@ -520,6 +573,13 @@ async function createAgreement(req, res) {
       return res.status(400).json({ error: 'template_type and title are required' });
     }
 
+    let committedAmount;
+    try {
+      committedAmount = parseCommittedAmount(req.body.committed_amount, templateType);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
     let agreementMetadata;
     if (milestoneReferenceParsing.provided) {
       const appResult = await resolveAcceptedApplication(applicationId);
@@ -546,6 +606,7 @@ async function createAgreement(req, res) {
       applicationId,
       actorUser: req.user,
       templateType,
+      templateVersionId,
       sourceKind,
       variables,
       freeTextContent,
@@ -556,6 +617,7 @@ async function createAgreement(req, res) {
       dataClassification,
       retentionPeriodDays,
       destructionRequired,
+      committedAmount,
       agreementMetadata,
       resolveAcceptedApplication,
       resolveAgreementSource
@@ -574,6 +636,7 @@ async function createAgreement(req, res) {
         application_id: result.applicationId,
         project_id: result.projectId,
         template_type: result.templateType,
+        template_version_id: result.agreement.template_version_id || null,
         source_kind: result.agreement.source_kind,
         review_required: reviewRequired,
         contains_sensitive_data: containsSensitiveData
@@ -604,8 +667,6 @@ async function createAgreement(req, res) {
 
 async function listAgreements(req, res) {
   try {
-    const { page, limit, offset } = parsePagination(req, { defaultLimit: 100 });
-
     const where = {
       [Op.or]: [
         { nonprofit_user_id: req.user.id },
@@ -629,33 +690,57 @@ async function listAgreements(req, res) {
       where.project_id = projectId;
     }
 
+    const include = [
+      {
+        model: Project,
+        as: 'project',
+        attributes: ['project_id', 'title', 'status']
+      },
+      {
+        model: Attachment,
+        as: 'sourceAttachment',
+        attributes: ['id', 'filename', 'mimetype', 'size', 'status']
+      },
+      {
+        model: User,
+        as: 'nonprofitUser',
+        attributes: ['id', 'name', 'email']
+      },
+      {
+        model: User,
+        as: 'researcherUser',
+        attributes: ['id', 'name', 'email']
+      }
+    ];
+
+    // ?cursor= (empty for the first page) opts into cursor pagination; page/limit still work.
+    if (isCursorRequest(req.query)) {
+      const cursorPage = createCursorPage(req.query, {
+        scope: 'agreements',
+        keys: [
+          timestampKey(Contract, 'updated_at', 'DESC'),
+          { field: 'id', direction: 'DESC' }
+        ],
+        defaultLimit: 100
+      });
+
+      const rows = await Contract.findAll({
+        where: withCursorWhere(where, cursorPage.where),
+        order: cursorPage.order,
+        limit: cursorPage.limit,
+        include
+      });
+
+      return res.json(cursorPage.buildPage(rows, sanitizeContractResponse));
+    }
+
+    const { page, limit, offset } = parsePagination(req, { defaultLimit: 100 });
     const { count, rows } = await Contract.findAndCountAll({
       where,
-      order: [['updated_at', 'DESC']],
+      order: [['updated_at', 'DESC'], ['id', 'DESC']],
       limit,
       offset,
-      include: [
-        {
-          model: Project,
-          as: 'project',
-          attributes: ['project_id', 'title', 'status']
-        },
-        {
-          model: Attachment,
-          as: 'sourceAttachment',
-          attributes: ['id', 'filename', 'mimetype', 'size', 'status']
-        },
-        {
-          model: User,
-          as: 'nonprofitUser',
-          attributes: ['id', 'name', 'email']
-        },
-        {
-          model: User,
-          as: 'researcherUser',
-          attributes: ['id', 'name', 'email']
-        }
-      ]
+      include
     });
 
     return res.json({
@@ -665,6 +750,9 @@ async function listAgreements(req, res) {
       agreements: rows.map(sanitizeContractResponse)
     });
   } catch (error) {
+    if (isInvalidCursorError(error)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
     console.error('List agreements error:', error);
     return res.status(500).json({ error: 'Failed to list agreements' });
   }
@@ -724,6 +812,10 @@ async function updateAgreement(req, res) {
       return res.status(400).json({ error: 'Invalid agreement id' });
     }
 
+    if (!(await canManageAgreements(req.user))) {
+      return sendAgreementError(res, 403, 'Your organization role does not allow managing agreements');
+    }
+
     const contract = await Contract.findByPk(agreementId);
     if (!contract) {
       return res.status(404).json({ error: 'Agreement not found' });
@@ -740,6 +832,12 @@ async function updateAgreement(req, res) {
     const nextTemplateType = req.body.template_type
       ? String(req.body.template_type).trim().toUpperCase()
       : contract.template_type;
+    // Drafts keep the version they were rendered from unless another one is requested or the type changes
+    const nextTemplateVersionId = req.body.template_version_id
+      ? String(req.body.template_version_id).trim()
+      : nextTemplateType === contract.template_type
+        ? contract.template_version_id
+        : null;
     const nextTitle = req.body.title ? String(req.body.title).trim() : contract.title;
     const nextSourceKind = req.body.source_kind ? normalizeSourceKind(req.body.source_kind) : contract.source_kind;
     const nextVariables = req.body.variables && typeof req.body.variables === 'object'
@@ -780,6 +878,15 @@ async function updateAgreement(req, res) {
     const nextDestructionRequired = req.body.destruction_required !== undefined
       ? parseBooleanInput(req.body.destruction_required, false)
       : contract.destruction_required;
+    // Changing the type away from SOW drops the committed amount
+    let nextCommittedAmount;
+    try {
+      nextCommittedAmount = req.body.committed_amount !== undefined
+        ? parseCommittedAmount(req.body.committed_amount, nextTemplateType)
+        : nextTemplateType === 'SOW' ? contract.committed_amount : null;
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
     const milestoneReferenceParsing = parseMilestoneReferencesInput(req.body.milestone_references);
     if (milestoneReferenceParsing.error) {
       return res.status(400).json({ error: milestoneReferenceParsing.error });
@@ -810,6 +917,7 @@ async function updateAgreement(req, res) {
       agreementId,
       actorId: req.user.id,
       nextTemplateType,
+      nextTemplateVersionId,
       nextTitle,
       nextSourceKind,
       nextVariables,
@@ -820,6 +928,7 @@ async function updateAgreement(req, res) {
       nextDataClassification,
       nextRetentionPeriodDays,
       nextDestructionRequired,
+      nextCommittedAmount,
       nextMetadata,
       resolveAgreementSource
     });
@@ -855,6 +964,11 @@ async function submitAgreementForReview(req, res) {
     if (!Number.isInteger(agreementId)) {
       return res.status(400).json({ error: 'Invalid agreement id' });
     }
+
+    if (!(await canManageAgreements(req.user))) {
+      return sendAgreementError(res, 403, 'Your organization role does not allow managing agreements');
+    }
+
     const feedback = String(req.body.feedback || '').trim();
 
     const result = await submitAgreementForReviewTransition({
@@ -1139,6 +1253,11 @@ async function signAgreement(req, res) {
     if (!Number.isInteger(agreementId)) {
       return res.status(400).json({ error: 'Invalid agreement id' });
     }
+
+    if (!(await canManageAgreements(req.user))) {
+      return sendAgreementError(res, 403, 'Your organization role does not allow managing agreements');
+    }
+
     const signIp = getRequestIp(req);
     const result = await signAgreementTransition({
       agreementId,
@@ -1295,6 +1414,10 @@ async function makeAgreementEffective(req, res) {
       return res.status(400).json({ error: 'Invalid agreement id' });
     }
 
+    if (!(await canManageAgreements(req.user))) {
+      return sendAgreementError(res, 403, 'Your organization role does not allow managing agreements');
+    }
+
     const result = await makeAgreementEffectiveTransition({
       agreementId,
       actorId: req.user.id,
@@ -1340,6 +1463,10 @@ async function activateAgreement(req, res) {
       return res.status(400).json({ error: 'Invalid agreement id' });
     }
 
+    if (!(await canManageAgreements(req.user))) {
+      return sendAgreementError(res, 403, 'Your organization role does not allow managing agreements');
+    }
+
     const result = await activateAgreementTransition({
       agreementId,
       actorId: req.user.id
@@ -1384,6 +1511,10 @@ async function terminateAgreement(req, res) {
       return res.status(400).json({ error: 'Invalid agreement id' });
     }
 
+    if (!(await canManageAgreements(req.user))) {
+      return sendAgreementError(res, 403, 'Your organization role does not allow managing agreements');
+    }
+
     const reason = String(req.body.reason || '').trim();
     if (!reason) {
       return res.status(400).json({ error: 'Termination reason is required' });
@@ -1409,6 +1540,13 @@ async function terminateAgreement(req, res) {
       }
     });
 
+    if (result.agreement.project_id) {
+      await projectChannelService.syncProjectChannelSafely(result.agreement.project_id, {
+        actorId: req.user.id,
+        reason: 'agreement_terminated'
+      });
+    }
+
     await notificationService.createNotification({
       userId: result.otherPartyId,
       type: 'agreement_terminated',
@@ -1438,6 +1576,10 @@ async function completeAgreement(req, res) {
       return res.status(400).json({ error: 'Invalid agreement id' });
     }
 
+    if (!(await canManageAgreements(req.user))) {
+      return sendAgreementError(res, 403, 'Your organization role does not allow managing agreements');
+    }
+
     const result = await completeAgreementTransition({
       agreementId,
       actorId: req.user.id
@@ -1485,6 +1627,10 @@ async function archiveAgreement(req, res) {
       return res.status(400).json({ error: 'Invalid agreement id' });
     }
 
+    if (!(await canManageAgreements(req.user))) {
+      return sendAgreementError(res, 403, 'Your organization role does not allow managing agreements');
+    }
+
     const result = await archiveAgreementTransition({
       agreementId,
       actor: req.user
@@ -1531,6 +1677,11 @@ async function createAmendment(req, res) {
     if (!Number.isInteger(agreementId)) {
       return res.status(400).json({ error: 'Invalid agreement id' });
     }
+
+    if (!(await canManageAgreements(req.user))) {
+      return sendAgreementError(res, 403, 'Your organization role does not allow managing agreements');
+    }
+
     const reason = String(req.body.reason || '').trim();
     const milestoneReferenceParsing = parseMilestoneReferencesInput(req.body.milestone_references);
     if (milestoneReferenceParsing.error) {
@@ -2003,7 +2154,7 @@ async function adminListAgreementRemovalRequests(req, res) {
 
 async function getTemplates(req, res) {
   try {
-    return res.json({ templates: pdfService.getAvailableTemplates() });
+    return res.json({ templates: await agreementTemplateService.listPublishedTemplates() });
   } catch (error) {
     console.error('Get templates error:', error);
     return res.status(500).json({ error: 'Failed to load agreement templates' });
@@ -2026,11 +2177,45 @@ async function previewAgreement(req, res) {
       return res.status(403).json({ error: 'You are not authorized to view this agreement preview' });
     }
 
+    // ?template_version_id= renders the agreement's variables against another published version without saving
+    const requestedVersionId = req.query?.template_version_id ? String(req.query.template_version_id).trim() : null;
+    if (requestedVersionId && requestedVersionId !== contract.template_version_id) {
+      if (contract.source_kind !== 'template') {
+        return res.status(400).json({ error: 'Only template-based agreements can be previewed against a template version' });
+      }
+
+      let rendered;
+      let version;
+      try {
+        ({ version } = await agreementTemplateService.resolvePublishedVersion(contract.template_type, {
+          versionId: requestedVersionId
+        }));
+        rendered = agreementTemplateService.renderTemplateVersion(version, contract.variables || {});
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      return res.json({
+        agreement_id: contract.id,
+        template_type: contract.template_type,
+        template_version_id: version.id,
+        template_version_number: version.version_number,
+        source_kind: contract.source_kind,
+        preview: rendered.renderedContent,
+        is_recorded_version: false
+      });
+    }
+
+    const version = await agreementTemplateService.findVersion(contract.template_version_id);
+
     return res.json({
       agreement_id: contract.id,
       template_type: contract.template_type,
+      template_version_id: contract.template_version_id || null,
+      template_version_number: version ? version.version_number : null,
       source_kind: contract.source_kind,
-      preview: contract.rendered_content
+      preview: contract.rendered_content,
+      is_recorded_version: true
     });
   } catch (error) {
     console.error('Preview agreement error:', error);
@@ -0,0 +1,380 @@
+const agreementTemplateService = require('../services/agreementTemplateService');
+const { AUDIT_ACTIONS, logAudit } = require('../utils/auditLogger');
+
+const ERROR_RESPONSES = {
+  TEMPLATE_NOT_FOUND: [404, 'Agreement template not found'],
+  VERSION_NOT_FOUND: [404, 'Template version not found'],
+  INVALID_TEMPLATE_TYPE: [400, 'template_type must be 2-50 characters of uppercase letters, digits or underscores'],
+  LABEL_REQUIRED: [400, 'label is required'],
+  TEMPLATE_TYPE_TAKEN: [409, 'A template with this type already exists'],
+  TEMPLATE_HAS_PUBLISHED_VERSIONS: [409, 'Templates with published versions cannot be deleted; deactivate them instead'],
+  VERSION_NOT_DRAFT: [409, 'Only draft versions can be changed'],
+  VERSION_NOT_PUBLISHED: [409, 'Only published versions can be retired']
+};
+
+function sendTemplateError(res, error, fallbackMessage) {
+  if (agreementTemplateService.isTemplateValidationError(error)) {
+    return res.status(400).json({ error: 'Invalid template content', details: error.details });
+  }
+
+  const known = ERROR_RESPONSES[error.message];
+  if (known) {
+    return res.status(known[0]).json({ error: known[1] });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ error: fallbackMessage });
+}
+
+function parseTemplateId(req) {
+  const templateId = Number.parseInt(req.params.templateId, 10);
+  return Number.isInteger(templateId) ? templateId : null;
+}
+
+// Request body fields for version content (variable_schema and sections are JSON arrays)
+function readVersionContent(body = {}) {
+  return {
+    title: body.title,
+    variableSchema: body.variable_schema,
+    sections: body.sections,
+    notes: body.notes
+  };
+}
+
+/**
+ * List templates with all their versions and how many agreements use each version
+ * GET /admin/agreement-templates
+ */
+async function listTemplates(req, res) {
+  try {
+    const templates = await agreementTemplateService.listTemplates();
+    const versionIds = templates.flatMap((template) => (template.versions || []).map((version) => version.id));
+    const usage = await agreementTemplateService.countAgreementsByVersion(versionIds);
+
+    return res.json({
+      templates: templates.map((template) => {
+        const serialized = agreementTemplateService.serializeTemplate(template);
+        return {
+          ...serialized,
+          versions: serialized.versions.map((version) => ({
+            ...version,
+            agreement_count: usage[version.id] || 0
+          }))
+        };
+      })
+    });
+  } catch (error) {
+    return sendTemplateError(res, error, 'Failed to load agreement templates');
+  }
+}
+
+/**
+ * GET /admin/agreement-templates/:templateId
+ */
+async function getTemplate(req, res) {
+  try {
+    const templateId = parseTemplateId(req);
+    if (!templateId) {
+      return res.status(400).json({ error: 'Invalid template id' });
+    }
+
+    const template = await agreementTemplateService.getTemplate(templateId);
+    if (!template) {
+      return res.status(404).json({ error: 'Agreement template not found' });
+    }
+
+    return res.json({ template: agreementTemplateService.serializeTemplate(template) });
+  } catch (error) {
+    return sendTemplateError(res, error, 'Failed to load agreement template');
+  }
+}
+
+/**
+ * POST /admin/agreement-templates
+ */
+async function createTemplate(req, res) {
+  try {
+    const template = await agreementTemplateService.createTemplate({
+      templateType: req.body.template_type,
+      label: req.body.label,
+      description: req.body.description,
+      actorId: req.user.id
+    });
+
+    await logAudit({
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.AGREEMENT_TEMPLATE_CREATED,
+      entityType: 'agreement_template',
+      entityId: template.id,
+      metadata: { template_type: template.template_type }
+    });
+
+    return res.status(201).json({
+      message: 'Agreement template created',
+      template: agreementTemplateService.serializeTemplate(template)
+    });
+  } catch (error) {
+    return sendTemplateError(res, error, 'Failed to create agreement template');
+  }
+}
+
+/**
+ * PUT /admin/agreement-templates/:templateId
+ */
+async function updateTemplate(req, res) {
+  try {
+    const templateId = parseTemplateId(req);
+    if (!templateId) {
+      return res.status(400).json({ error: 'Invalid template id' });
+    }
+
+    const template = await agreementTemplateService.updateTemplate(templateId, {
+      label: req.body.label,
+      description: req.body.description,
+      isActive: req.body.is_active
+    });
+
+    await logAudit({
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.AGREEMENT_TEMPLATE_UPDATED,
+      entityType: 'agreement_template',
+      entityId: template.id,
+      metadata: {
+        template_type: template.template_type,
+        label: template.label,
+        is_active: template.is_active
+      }
+    });
+
+    return res.json({
+      message: 'Agreement template updated',
+      template: agreementTemplateService.serializeTemplate(template)
+    });
+  } catch (error) {
+    return sendTemplateError(res, error, 'Failed to update agreement template');
+  }
+}
+
+/**
+ * DELETE /admin/agreement-templates/:templateId
+ */
+async function deleteTemplate(req, res) {
+  try {
+    const templateId = parseTemplateId(req);
+    if (!templateId) {
+      return res.status(400).json({ error: 'Invalid template id' });
+    }
+
+    await agreementTemplateService.deleteTemplate(templateId);
+
+    await logAudit({
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.AGREEMENT_TEMPLATE_DELETED,
+      entityType: 'agreement_template',
+      entityId: templateId
+    });
+
+    return res.json({ message: 'Agreement template deleted' });
+  } catch (error) {
+    return sendTemplateError(res, error, 'Failed to delete agreement template');
+  }
+}
+
+/**
+ * Start a draft version, copying the latest version unless content is supplied
+ * POST /admin/agreement-templates/:templateId/versions
+ */
+async function createVersion(req, res) {
+  try {
+    const templateId = parseTemplateId(req);
+    if (!templateId) {
+      return res.status(400).json({ error: 'Invalid template id' });
+    }
+
+    const version = await agreementTemplateService.createDraftVersion(templateId, {
+      ...readVersionContent(req.body),
+      basedOnVersionId: req.body.based_on_version_id,
+      actorId: req.user.id
+    });
+
+    await logAudit({
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.AGREEMENT_TEMPLATE_VERSION_CREATED,
+      entityType: 'agreement_template_version',
+      entityId: templateId,
+      metadata: { version_id: version.id, based_on_version_id: req.body.based_on_version_id || null }
+    });
+
+    return res.status(201).json({
+      message: 'Draft version created',
+      version: agreementTemplateService.serializeVersion(version)
+    });
+  } catch (error) {
+    return sendTemplateError(res, error, 'Failed to create template version');
+  }
+}
+
+/**
+ * PUT /admin/agreement-templates/:templateId/versions/:versionId
+ */
+async function updateVersion(req, res) {
+  try {
+    const templateId = parseTemplateId(req);
+    if (!templateId) {
+      return res.status(400).json({ error: 'Invalid template id' });
+    }
+
+    const version = await agreementTemplateService.updateDraftVersion(
+      templateId,
+      req.params.versionId,
+      readVersionContent(req.body)
+    );
+
+    await logAudit({
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.AGREEMENT_TEMPLATE_VERSION_UPDATED,
+      entityType: 'agreement_template_version',
+      entityId: templateId,
+      metadata: { version_id: version.id }
+    });
+
+    return res.json({
+      message: 'Draft version updated',
+      version: agreementTemplateService.serializeVersion(version)
+    });
+  } catch (error) {
+    return sendTemplateError(res, error, 'Failed to update template version');
+  }
+}
+
+/**
+ * DELETE /admin/agreement-templates/:templateId/versions/:versionId
+ */
+async function deleteVersion(req, res) {
+  try {
+    const templateId = parseTemplateId(req);
+    if (!templateId) {
+      return res.status(400).json({ error: 'Invalid template id' });
+    }
+
+    await agreementTemplateService.deleteDraftVersion(templateId, req.params.versionId);
+
+    await logAudit({
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.AGREEMENT_TEMPLATE_VERSION_DELETED,
+      entityType: 'agreement_template_version',
+      entityId: templateId,
+      metadata: { version_id: req.params.versionId }
+    });
+
+    return res.json({ message: 'Draft version deleted' });
+  } catch (error) {
+    return sendTemplateError(res, error, 'Failed to delete template version');
+  }
+}
+
+/**
+ * POST /admin/agreement-templates/:templateId/versions/:versionId/publish
+ */
+async function publishVersion(req, res) {
+  try {
+    const templateId = parseTemplateId(req);
+    if (!templateId) {
+      return res.status(400).json({ error: 'Invalid template id' });
+    }
+
+    const version = await agreementTemplateService.publishVersion(templateId, req.params.versionId, {
+      actorId: req.user.id
+    });
+
+    await logAudit({
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.AGREEMENT_TEMPLATE_VERSION_PUBLISHED,
+      entityType: 'agreement_template_version',
+      entityId: templateId,
+      metadata: { version_id: version.id, content_hash: version.content_hash }
+    });
+
+    return res.json({
+      message: 'Template version published',
+      version: agreementTemplateService.serializeVersion(version)
+    });
+  } catch (error) {
+    return sendTemplateError(res, error, 'Failed to publish template version');
+  }
+}
+
+/**
+ * POST /admin/agreement-templates/:templateId/versions/:versionId/retire
+ */
+async function retireVersion(req, res) {
+  try {
+    const templateId = parseTemplateId(req);
+    if (!templateId) {
+      return res.status(400).json({ error: 'Invalid template id' });
+    }
+
+    const version = await agreementTemplateService.retireVersion(templateId, req.params.versionId);
+
+    await logAudit({
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.AGREEMENT_TEMPLATE_VERSION_RETIRED,
+      entityType: 'agreement_template_version',
+      entityId: templateId,
+      metadata: { version_id: version.id }
+    });
+
+    return res.json({
+      message: 'Template version retired',
+      version: agreementTemplateService.serializeVersion(version)
+    });
+  } catch (error) {
+    return sendTemplateError(res, error, 'Failed to retire template version');
+  }
+}
+
+/**
+ * Render a version (drafts included) with sample variables
+ * POST /admin/agreement-templates/:templateId/versions/:versionId/preview
+ */
+async function previewVersion(req, res) {
+  try {
+    const templateId = parseTemplateId(req);
+    if (!templateId) {
+      return res.status(400).json({ error: 'Invalid template id' });
+    }
+
+    const variables = req.body.variables && typeof req.body.variables === 'object' ? req.body.variables : {};
+    let rendered;
+    try {
+      rendered = await agreementTemplateService.previewVersion(templateId, req.params.versionId, variables);
+    } catch (error) {
+      if (error.message.startsWith('Missing required') || error.message.startsWith('Invalid template variables')) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    return res.json({
+      version_id: req.params.versionId,
+      variables: rendered.variables,
+      preview: rendered.renderedContent
+    });
+  } catch (error) {
+    return sendTemplateError(res, error, 'Failed to preview template version');
+  }
+}
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  createVersion,
+  updateVersion,
+  deleteVersion,
+  publishVersion,
+  retireVersion,
+  previewVersion
+};
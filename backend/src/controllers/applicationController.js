@@ -1,5 +1,6 @@
 const { Project, Application, ResearcherProfile, User, Organization, UserPreferences } = require('../database/models');
 const notificationService = require('../services/notificationService');
+const projectChannelService = require('../services/projectChannelService');
 const { Op } = require('sequelize');
 
 /**
@@ -232,6 +233,13 @@ exports.acceptApplication = async (req, res) => {
     const project = projectId ? await Project.findByPk(projectId) : null;
     const researcherUser = await User.findByPk(application.researcher_id);
 
+    if (projectId) {
+      await projectChannelService.syncProjectChannelSafely(projectId, {
+        actorId: userId,
+        reason: 'application_accepted'
+      });
+    }
+
     // Notify researcher: application_accepted
     if (researcherUser) {
       await notificationService.createNotification({
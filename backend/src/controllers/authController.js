@@ -7,8 +7,18 @@ const TwoFactorCode = require('../database/models/TwoFactorCode');
 const emailService = require('../services/emailService');
 const notificationService = require('../services/notificationService');
 const { PASSWORD_POLICY_MESSAGE, isStrongPassword } = require('../utils/passwordPolicy');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const { logAudit, AUDIT_ACTIONS } = require('../utils/auditLogger');
 
 
+// Signing up from an organization invitation email can fail on the invitation itself
+const INVITATION_SIGNUP_ERRORS = {
+  INVITATION_NOT_FOUND: [404, 'Invitation not found'],
+  INVITATION_EMAIL_MISMATCH: [403, 'This invitation was sent to a different email address'],
+  INVITATION_EXPIRED: [410, 'Invitation has expired']
+};
+
 // Register new user
 exports.register = async (req, res) => {
   try {
@@ -19,7 +29,8 @@ exports.register = async (req, res) => {
       role, 
       mfa_enabled,
       organizationData,
-      researcherData 
+      researcherData,
+      invitation_token
     } = req.body || {};
     
     if (!name || !email || !password)
@@ -37,8 +48,12 @@ exports.register = async (req, res) => {
       return res.status(400).json({ error: "invalid role. Must be one of: researcher, nonprofit, admin, super_admin" });
     }
 
-    // Validate nonprofit-specific requirements
-    if (role === 'nonprofit' && !organizationData) {
+    if (invitation_token && role !== 'nonprofit') {
+      return res.status(400).json({ error: "invitation_token requires the nonprofit role" });
+    }
+
+    // Validate nonprofit-specific requirements; invited users join an existing organization
+    if (role === 'nonprofit' && !organizationData && !invitation_token) {
       return res.status(400).json({ 
         error: "organizationData is required for nonprofit role",
         required: ["name"]
@@ -74,7 +89,8 @@ exports.register = async (req, res) => {
       role, 
       mfa_enabled,
       organizationData,
-      researcherData
+      researcherData,
+      { invitationToken: invitation_token }
     );
 
     // Generate email verification token
@@ -117,11 +133,35 @@ exports.register = async (req, res) => {
       }
     });
   } catch (err) {
+    const invitationError = INVITATION_SIGNUP_ERRORS[err.message];
+    if (invitationError) {
+      return res.status(invitationError[0]).json({ error: invitationError[1] });
+    }
     console.error("register error", err);
     return res.status(500).json({ error: "internal error" });
   }
 };
 
+const REFRESH_ERROR_MESSAGES = {
+  INVALID_REFRESH_TOKEN: 'Invalid refresh token',
+  REFRESH_TOKEN_REUSED: 'Refresh token has already been used; please sign in again',
+  SESSION_REVOKED: 'Session has been revoked',
+  SESSION_EXPIRED: 'Session expired',
+  ACCOUNT_UNAVAILABLE: 'Account is not active'
+};
+
+// Access tokens are short-lived and tied to a session (sid) so revoking the session ends them.
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { userId: user.id, role: user.role, email: user.email, twoFA: user.twoFA, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.ACCESS_TOKEN_EXPIRES || "15m" }
+);
+
+const issueSessionTokens = async (user, req) => {
+  const { session, refreshToken } = await sessionService.createSession({ userId: user.id, req });
+  return { token: signAccessToken(user, session.id), refreshToken };
+};
+
 // Login controller
 exports.login = async (req, res) => {
   try {
@@ -183,22 +223,27 @@ exports.login = async (req, res) => {
       created_at: found.created_at,
     };
 
-    // If 2FA is enabled, send a code and return a temp token
+    // If 2FA is enabled, return a temp token and the factors the user can finish with.
+    // Authenticator users get no email up front; /2fa/resend-login sends one as a fallback.
     if (found.mfa_enabled) {
-      const code = String(crypto.randomInt(100000, 999999));
-      const code_hash = await bcrypt.hash(code, 10);
-      const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
-
-      await TwoFactorCode.create({
-        user_id: found.id,
-        purpose: "login",
-        code_hash,
-        expires_at: expiresAt,
-        attempts: 0,
-        consumed_at: null
-      });
+      const methods = await twoFactorService.getLoginMethods(found.id);
 
-      await emailService.sendTwoFactorCodeEmail(found.email, found.name, code, "login");
+      if (!methods.includes("totp")) {
+        const code = String(crypto.randomInt(100000, 999999));
+        const code_hash = await bcrypt.hash(code, 10);
+        const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
+
+        await TwoFactorCode.create({
+          user_id: found.id,
+          purpose: "login",
+          code_hash,
+          expires_at: expiresAt,
+          attempts: 0,
+          consumed_at: null
+        });
+
+        await emailService.sendTwoFactorCodeEmail(found.email, found.name, code, "login");
+      }
 
       const secret = process.env.JWT_SECRET;
       const tempToken = jwt.sign(
@@ -207,17 +252,12 @@ exports.login = async (req, res) => {
         { expiresIn: "10m" }
       );
 
-      return res.json({ requires2FA: true, tempToken });
+      return res.json({ requires2FA: true, tempToken, methods });
     }
 
-    const secret = process.env.JWT_SECRET;
-    const token = jwt.sign(
-      { userId: user.id, role: user.role, email: user.email, twoFA: user.twoFA },
-      secret,
-      { expiresIn: "7d" }
-    );
+    const { token, refreshToken } = await issueSessionTokens(user, req);
 
-    return res.json({ user, token });
+    return res.json({ user, token, refreshToken });
   } catch (err) {
     console.error("login error", err);
     return res.status(500).json({ error: "internal error" });
@@ -611,6 +651,14 @@ exports.verifyDisable2FACode = async (req, res) => {
       { mfa_enabled: false },
       { where: { id: userId } }
     );
+    await twoFactorService.removeTotpFactors(userId);
+
+    void logAudit({
+      actorId: userId,
+      action: AUDIT_ACTIONS.TWO_FACTOR_DISABLED,
+      entityType: "USER",
+      entityId: userId,
+    });
 
     return res.json({ message: "Two-factor authentication disabled." });
 
@@ -620,6 +668,106 @@ exports.verifyDisable2FACode = async (req, res) => {
   }
 };
 
+// Current 2FA state: which factors are enrolled and how many recovery codes are left
+exports.get2FAStatus = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const status = await twoFactorService.getTwoFactorStatus(user);
+    return res.json(status);
+  } catch (err) {
+    console.error("get2FAStatus error", err);
+    return res.status(500).json({ error: "Failed to load 2FA status" });
+  }
+};
+
+// Start authenticator app enrolment; the client renders otpauthUrl as a QR code
+exports.setupTotp = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const { secret, otpauthUrl } = await twoFactorService.beginTotpEnrollment(user);
+
+    return res.json({ secret, otpauthUrl });
+  } catch (err) {
+    if (err.message === "TOTP_ALREADY_ENABLED") {
+      return res.status(400).json({ error: "Authenticator app is already enabled" });
+    }
+    console.error("setupTotp error", err);
+    return res.status(500).json({ error: "Failed to start authenticator setup" });
+  }
+};
+
+// Confirm enrolment with a code from the app; enables 2FA and returns recovery codes once
+exports.verifyTotpSetup = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: "Code is required" });
+    }
+
+    const { recoveryCodes } = await twoFactorService.confirmTotpEnrollment(userId, code);
+
+    void logAudit({
+      actorId: userId,
+      action: AUDIT_ACTIONS.TWO_FACTOR_TOTP_ENROLLED,
+      entityType: "USER",
+      entityId: userId,
+      metadata: { recoveryCodesIssued: recoveryCodes.length },
+    });
+
+    return res.json({ message: "Authenticator app enabled.", recoveryCodes });
+  } catch (err) {
+    if (err.message === "TOTP_NOT_STARTED") {
+      return res.status(400).json({ error: "Start authenticator setup first." });
+    }
+    if (err.message === "TOTP_ALREADY_ENABLED") {
+      return res.status(400).json({ error: "Authenticator app is already enabled" });
+    }
+    if (err.message === "INVALID_CODE") {
+      return res.status(400).json({ error: "Invalid code." });
+    }
+    console.error("verifyTotpSetup error", err);
+    return res.status(500).json({ error: "Verification failed." });
+  }
+};
+
+// Issue a new set of recovery codes (invalidates the old ones); requires a current authenticator code
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: "Code is required" });
+    }
+
+    const valid = await twoFactorService.verifyTotpCode(userId, code);
+    if (!valid) {
+      return res.status(400).json({ error: "Invalid code." });
+    }
+
+    const recoveryCodes = await twoFactorService.replaceRecoveryCodes(userId);
+
+    void logAudit({
+      actorId: userId,
+      action: AUDIT_ACTIONS.TWO_FACTOR_RECOVERY_CODES_REGENERATED,
+      entityType: "USER",
+      entityId: userId,
+      metadata: { recoveryCodesIssued: recoveryCodes.length },
+    });
+
+    return res.json({ recoveryCodes });
+  } catch (err) {
+    console.error("regenerateRecoveryCodes error", err);
+    return res.status(500).json({ error: "Failed to regenerate recovery codes" });
+  }
+};
+
 // Verify 2FA code during login
 exports.verifyLogin2FACode = async (req, res) => {
   try {
@@ -646,39 +794,73 @@ exports.verifyLogin2FACode = async (req, res) => {
       return res.status(400).json({ error: "Code is required" });
     }
 
-    const record = await TwoFactorCode.findOne({
-      where: {
-        user_id: decoded.userId,
-        purpose: "login",
-        consumed_at: null
-      },
-      order: [["created_at", "DESC"]]
-    });
-
-    if (!record) {
-      return res.status(400).json({ error: "No active login code found." });
+    // method: "totp" | "email" | "recovery_code"; defaults to the strongest factor enrolled
+    const methods = await twoFactorService.getLoginMethods(decoded.userId);
+    const method = req.body.method || methods[0];
+    if (!methods.includes(method)) {
+      return res.status(400).json({ error: "Unsupported 2FA method." });
     }
 
-    if (record.expires_at < new Date()) {
-      return res.status(400).json({ error: "Code expired." });
-    }
+    if (method === "email") {
+      const record = await TwoFactorCode.findOne({
+        where: {
+          user_id: decoded.userId,
+          purpose: "login",
+          consumed_at: null
+        },
+        order: [["created_at", "DESC"]]
+      });
 
-    if (record.attempts >= 5) {
-      return res.status(429).json({ error: "Too many attempts." });
-    }
+      if (!record) {
+        return res.status(400).json({ error: "No active login code found." });
+      }
 
-    const valid = await bcrypt.compare(code, record.code_hash);
+      if (record.expires_at < new Date()) {
+        return res.status(400).json({ error: "Code expired." });
+      }
 
-    if (!valid) {
-      record.attempts += 1;
+      if (record.attempts >= 5) {
+        return res.status(429).json({ error: "Too many attempts." });
+      }
+
+      const valid = await bcrypt.compare(code, record.code_hash);
+
+      if (!valid) {
+        record.attempts += 1;
+        await record.save();
+        return res.status(400).json({ error: "Invalid code." });
+      }
+
+      record.consumed_at = new Date();
       await record.save();
-      return res.status(400).json({ error: "Invalid code." });
-    }
+    } else {
+      // Wrong authenticator and recovery codes are counted per user, so a fresh pending-2FA
+      // token does not reset the budget
+      if (await twoFactorService.isLoginLocked(decoded.userId)) {
+        return res.status(429).json({ error: "Too many attempts. Try again later." });
+      }
 
-    record.consumed_at = new Date();
-    await record.save();
+      const valid = method === "totp"
+        ? await twoFactorService.verifyTotpCode(decoded.userId, code)
+        : await twoFactorService.consumeRecoveryCode(decoded.userId, code);
+      if (!valid) {
+        await twoFactorService.recordFailedLoginAttempt(decoded.userId);
+        return res.status(400).json({ error: "Invalid code." });
+      }
+      await twoFactorService.clearFailedLoginAttempts(decoded.userId);
+
+      if (method === "recovery_code") {
+        void logAudit({
+          actorId: decoded.userId,
+          action: AUDIT_ACTIONS.TWO_FACTOR_RECOVERY_CODE_USED,
+          entityType: "USER",
+          entityId: decoded.userId,
+          metadata: { remaining: await twoFactorService.countRemainingRecoveryCodes(decoded.userId) },
+        });
+      }
+    }
 
-    // Build user object and issue real session token
+    // Build user object and start a session
     const found = await User.findByPk(decoded.userId);
     if (!found) {
       return res.status(404).json({ error: "User not found" });
@@ -694,13 +876,9 @@ exports.verifyLogin2FACode = async (req, res) => {
       created_at: found.created_at,
     };
 
-    const token = jwt.sign(
-      { userId: user.id, role: user.role, email: user.email, twoFA: user.twoFA },
-      secret,
-      { expiresIn: "7d" }
-    );
+    const { token, refreshToken } = await issueSessionTokens(user, req);
 
-    return res.json({ user, token });
+    return res.json({ user, token, refreshToken });
 
   } catch (err) {
     console.error("verifyLogin2FACode error", err);
@@ -821,6 +999,8 @@ exports.resetPassword = async (req, res) => {
     await user.save();
 
     await resetRecord.destroy();
+    // Whoever held the old password may still hold a session.
+    await sessionService.revokeAllUserSessions(user.id, { reason: 'password_reset' });
 
     return res.json({
       success: true,
@@ -831,3 +1011,47 @@ exports.resetPassword = async (req, res) => {
     return res.status(500).json({ error: 'Failed to reset password' });
   }
 };
+
+// Exchange a refresh token for a new access token and rotated refresh token
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      return res.status(400).json({ error: "refreshToken is required" });
+    }
+
+    const { session, user, refreshToken: nextRefreshToken } = await sessionService.rotateRefreshToken({
+      refreshToken,
+      req
+    });
+
+    const token = signAccessToken(
+      { id: user.id, role: user.role, email: user.email, twoFA: user.mfa_enabled || false },
+      session.id
+    );
+
+    return res.json({ token, refreshToken: nextRefreshToken });
+  } catch (err) {
+    if (REFRESH_ERROR_MESSAGES[err.message]) {
+      return res.status(401).json({ error: REFRESH_ERROR_MESSAGES[err.message], code: err.message });
+    }
+    console.error("refresh error", err);
+    return res.status(500).json({ error: "internal error" });
+  }
+};
+
+// Logout: revoke the session behind a refresh token
+exports.logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      return res.status(400).json({ error: "refreshToken is required" });
+    }
+
+    await sessionService.revokeRefreshToken(refreshToken);
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("logout error", err);
+    return res.status(500).json({ error: "internal error" });
+  }
+};
@@ -0,0 +1,242 @@
+const budgetLedgerService = require('../services/budgetLedgerService');
+const invoiceService = require('../services/invoiceService');
+
+const BUDGET_ERROR_RESPONSES = {
+  INVALID_TRANCHE_CONTRACT: [400, 'contract_id is required'],
+  INVALID_TRANCHE_MILESTONE: [400, 'milestone_id is required'],
+  INVALID_TRANCHE_AMOUNT: [400, 'amount must be a positive amount'],
+  INVALID_INVOICE_STATUS: [400, 'status must be unpaid, processing or paid'],
+  MILESTONE_CANCELLED: [400, 'Payment tranches cannot be added to a cancelled milestone'],
+  TRANCHE_RESEARCHER_NOT_ON_MILESTONE: [400, 'The agreement researcher does not work on this milestone'],
+  TRANCHES_EXCEED_COMMITMENT: [400, 'Payment tranches cannot exceed the amount committed by the agreement'],
+  ORGANIZATION_ACCESS_DENIED: [403, 'Your organization role does not allow this action'],
+  PROJECT_NOT_FOUND: [404, 'Project not found'],
+  MILESTONE_NOT_FOUND: [404, 'Milestone not found'],
+  TRANCHE_NOT_FOUND: [404, 'Payment tranche not found'],
+  INVOICE_NOT_FOUND: [404, 'Invoice not found'],
+  CONTRACT_NOT_COMMITTED: [409, 'Payment tranches need an executed SOW on this project'],
+  COMMITTED_AMOUNT_MISSING: [409, 'The agreement does not record a committed amount'],
+  TRANCHE_ALREADY_EXISTS: [409, 'This agreement already has a payment tranche for the milestone'],
+  TRANCHE_LOCKED: [409, 'Invoiced or paid tranches can no longer be changed'],
+  MILESTONE_NOT_ACCEPTED: [409, 'Invoices can be generated once the milestone has been accepted'],
+  INVOICE_ALREADY_EXISTS: [409, 'An invoice has already been generated for this tranche'],
+  INVOICE_ALREADY_PAID: [409, 'Invoice has already been paid'],
+  INVOICE_PAYMENT_IN_PROGRESS: [409, 'A payment for this invoice is already in progress'],
+  PAYMENT_FAILED: [502, 'The payment could not be completed']
+};
+
+function handleBudgetServiceError(res, error, context) {
+  const mapped = BUDGET_ERROR_RESPONSES[error.message];
+  if (mapped) {
+    return res.status(mapped[0]).json({ error: mapped[1] });
+  }
+
+  console.error(`${context} error:`, error);
+  return res.status(500).json({ error: 'Internal server error' });
+}
+
+function parsePositiveId(value) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+/**
+ * SOW commitments, payment tranches and totals
+ * GET /projects/:projectId/budget
+ */
+const getBudgetLedger = async (req, res) => {
+  try {
+    const projectId = parsePositiveId(req.params.projectId);
+    if (!projectId) {
+      return res.status(400).json({ error: 'Invalid project id' });
+    }
+
+    const ledger = await budgetLedgerService.getBudgetLedger({ user: req.user, projectId });
+    return res.status(200).json({
+      ledger: { ...ledger, tranches: ledger.tranches.map((tranche) => tranche.toSafeObject()) }
+    });
+  } catch (error) {
+    return handleBudgetServiceError(res, error, 'Get budget ledger');
+  }
+};
+
+/**
+ * Weekly planned and actual remaining budget
+ * GET /projects/:projectId/budget/burn-down
+ */
+const getBudgetBurnDown = async (req, res) => {
+  try {
+    const projectId = parsePositiveId(req.params.projectId);
+    if (!projectId) {
+      return res.status(400).json({ error: 'Invalid project id' });
+    }
+
+    const burnDown = await budgetLedgerService.getBudgetBurnDown({ user: req.user, projectId });
+    return res.status(200).json({ burn_down: burnDown });
+  } catch (error) {
+    return handleBudgetServiceError(res, error, 'Get budget burn-down');
+  }
+};
+
+/**
+ * GET /projects/:projectId/budget/tranches
+ */
+const listTranches = async (req, res) => {
+  try {
+    const projectId = parsePositiveId(req.params.projectId);
+    if (!projectId) {
+      return res.status(400).json({ error: 'Invalid project id' });
+    }
+
+    const tranches = await budgetLedgerService.listTranches({ user: req.user, projectId });
+    return res.status(200).json({ tranches: tranches.map((tranche) => tranche.toSafeObject()) });
+  } catch (error) {
+    return handleBudgetServiceError(res, error, 'List payment tranches');
+  }
+};
+
+/**
+ * POST /projects/:projectId/budget/tranches
+ */
+const createTranche = async (req, res) => {
+  try {
+    const projectId = parsePositiveId(req.params.projectId);
+    if (!projectId) {
+      return res.status(400).json({ error: 'Invalid project id' });
+    }
+
+    const input = budgetLedgerService.parseTrancheInput(req.body);
+    const tranche = await budgetLedgerService.createTranche({ user: req.user, projectId, input });
+
+    return res.status(201).json({ message: 'Payment tranche created', tranche: tranche.toSafeObject() });
+  } catch (error) {
+    return handleBudgetServiceError(res, error, 'Create payment tranche');
+  }
+};
+
+/**
+ * PUT /projects/:projectId/budget/tranches/:trancheId
+ */
+const updateTranche = async (req, res) => {
+  try {
+    const projectId = parsePositiveId(req.params.projectId);
+    const trancheId = parsePositiveId(req.params.trancheId);
+    if (!projectId || !trancheId) {
+      return res.status(400).json({ error: 'Invalid project or tranche id' });
+    }
+
+    const input = budgetLedgerService.parseTrancheInput(req.body, { partial: true });
+    const tranche = await budgetLedgerService.updateTranche({ user: req.user, projectId, trancheId, input });
+
+    return res.status(200).json({ message: 'Payment tranche updated', tranche: tranche.toSafeObject() });
+  } catch (error) {
+    return handleBudgetServiceError(res, error, 'Update payment tranche');
+  }
+};
+
+/**
+ * DELETE /projects/:projectId/budget/tranches/:trancheId
+ */
+const cancelTranche = async (req, res) => {
+  try {
+    const projectId = parsePositiveId(req.params.projectId);
+    const trancheId = parsePositiveId(req.params.trancheId);
+    if (!projectId || !trancheId) {
+      return res.status(400).json({ error: 'Invalid project or tranche id' });
+    }
+
+    const tranche = await budgetLedgerService.cancelTranche({ user: req.user, projectId, trancheId });
+    return res.status(200).json({ message: 'Payment tranche cancelled', tranche: tranche.toSafeObject() });
+  } catch (error) {
+    return handleBudgetServiceError(res, error, 'Cancel payment tranche');
+  }
+};
+
+/**
+ * Generate the invoice PDF for an accepted milestone's tranche
+ * POST /projects/:projectId/budget/tranches/:trancheId/invoice
+ */
+const generateInvoice = async (req, res) => {
+  try {
+    const projectId = parsePositiveId(req.params.projectId);
+    const trancheId = parsePositiveId(req.params.trancheId);
+    if (!projectId || !trancheId) {
+      return res.status(400).json({ error: 'Invalid project or tranche id' });
+    }
+
+    const invoice = await invoiceService.generateInvoice({ researcher: req.user, projectId, trancheId });
+    return res.status(201).json({ message: 'Invoice generated', invoice: invoice.toSafeObject() });
+  } catch (error) {
+    return handleBudgetServiceError(res, error, 'Generate invoice');
+  }
+};
+
+/**
+ * Optional filter: status (unpaid, paid)
+ * GET /projects/:projectId/budget/invoices
+ */
+const listInvoices = async (req, res) => {
+  try {
+    const projectId = parsePositiveId(req.params.projectId);
+    if (!projectId) {
+      return res.status(400).json({ error: 'Invalid project id' });
+    }
+
+    const invoices = await invoiceService.listInvoices({ user: req.user, projectId, status: req.query.status });
+    return res.status(200).json({ invoices: invoices.map((invoice) => invoice.toSafeObject()) });
+  } catch (error) {
+    return handleBudgetServiceError(res, error, 'List invoices');
+  }
+};
+
+/**
+ * GET /projects/:projectId/budget/invoices/:invoiceId/download
+ */
+const downloadInvoice = async (req, res) => {
+  try {
+    const projectId = parsePositiveId(req.params.projectId);
+    const invoiceId = parsePositiveId(req.params.invoiceId);
+    if (!projectId || !invoiceId) {
+      return res.status(400).json({ error: 'Invalid project or invoice id' });
+    }
+
+    const { invoice, stream } = await invoiceService.getInvoiceFile({ user: req.user, projectId, invoiceId });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${invoice.filename}"`);
+    return stream.pipe(res);
+  } catch (error) {
+    return handleBudgetServiceError(res, error, 'Download invoice');
+  }
+};
+
+/**
+ * POST /projects/:projectId/budget/invoices/:invoiceId/pay
+ */
+const payInvoice = async (req, res) => {
+  try {
+    const projectId = parsePositiveId(req.params.projectId);
+    const invoiceId = parsePositiveId(req.params.invoiceId);
+    if (!projectId || !invoiceId) {
+      return res.status(400).json({ error: 'Invalid project or invoice id' });
+    }
+
+    const invoice = await invoiceService.payInvoice({ payer: req.user, projectId, invoiceId });
+    return res.status(200).json({ message: 'Invoice paid', invoice: invoice.toSafeObject() });
+  } catch (error) {
+    return handleBudgetServiceError(res, error, 'Pay invoice');
+  }
+};
+
+module.exports = {
+  getBudgetLedger,
+  getBudgetBurnDown,
+  listTranches,
+  createTranche,
+  updateTranche,
+  cancelTranche,
+  generateInvoice,
+  listInvoices,
+  downloadInvoice,
+  payInvoice
+};
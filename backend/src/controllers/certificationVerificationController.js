@@ -0,0 +1,252 @@
+const multer = require('multer');
+const certificationVerificationService = require('../services/certificationVerificationService');
+const { getStorageAdapter } = require('../services/storage');
+
+const ALLOWED_MIME_TYPES = ['application/pdf', 'image/png', 'image/jpeg'];
+const MAX_EVIDENCE_FILES = 3;
+const maxFileSizeBytes = Number.parseInt(process.env.CERTIFICATION_EVIDENCE_MAX_FILE_SIZE || '', 10) || 10 * 1024 * 1024;
+const VERIFICATION_STATUSES = ['pending', 'verified', 'rejected', 'all'];
+
+const CERTIFICATION_VERIFICATION_ERROR_RESPONSES = {
+  EVIDENCE_REQUIRED: [400, 'At least one evidence file is required'],
+  INVALID_VERIFICATION_NOTE: [400, 'notes must be 2000 characters or fewer'],
+  INVALID_REVIEW_ACTION: [400, 'Invalid review action'],
+  REVIEW_MESSAGE_REQUIRED: [400, 'A message for the researcher is required'],
+  CERTIFICATION_NOT_FOUND: [404, 'Certification not found'],
+  EVIDENCE_NOT_FOUND: [404, 'Evidence file not found'],
+  CERTIFICATION_ALREADY_VERIFIED: [409, 'Certification is already verified'],
+  VERIFICATION_ALREADY_PENDING: [409, 'A verification request is already awaiting review'],
+  VERIFICATION_NOT_PENDING: [409, 'Certification has no verification request awaiting review']
+};
+
+function handleCertificationVerificationError(res, error, context) {
+  const mapped = CERTIFICATION_VERIFICATION_ERROR_RESPONSES[error.message];
+  if (mapped) {
+    return res.status(mapped[0]).json({ error: mapped[1] });
+  }
+
+  console.error(`${context} error:`, error);
+  return res.status(500).json({ error: 'Internal server error' });
+}
+
+function parsePositiveId(value) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: maxFileSizeBytes,
+    files: MAX_EVIDENCE_FILES
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new Error('Unsupported file type'));
+    }
+    return cb(null, true);
+  }
+});
+
+const evidenceUploadMiddleware = (req, res, next) => {
+  upload.array('evidence', MAX_EVIDENCE_FILES)(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ error: `File exceeds size limit of ${maxFileSizeBytes} bytes` });
+    }
+
+    if (error instanceof multer.MulterError && ['LIMIT_FILE_COUNT', 'LIMIT_UNEXPECTED_FILE'].includes(error.code)) {
+      return res.status(400).json({ error: `Upload up to ${MAX_EVIDENCE_FILES} files in the evidence field` });
+    }
+
+    if (error.message === 'Unsupported file type') {
+      return res.status(400).json({ error: `Unsupported file type. Allowed types: ${ALLOWED_MIME_TYPES.join(', ')}` });
+    }
+
+    return res.status(400).json({ error: 'Invalid upload request' });
+  });
+};
+
+async function sendEvidence(res, evidence) {
+  const storageAdapter = getStorageAdapter();
+  const stream = await storageAdapter.getReadStream(evidence.storage_key);
+
+  res.setHeader('Content-Type', evidence.mimetype);
+  res.setHeader('Content-Length', String(evidence.size));
+  res.setHeader('Content-Disposition', `attachment; filename="${evidence.file_name}"`);
+  return stream.pipe(res);
+}
+
+/**
+ * Attach evidence to a certification and ask an admin to verify it
+ * POST /researchers/me/certifications/:id/verification
+ */
+const requestVerification = async (req, res) => {
+  try {
+    const certificationId = parsePositiveId(req.params.id);
+    if (!certificationId) {
+      return res.status(400).json({ error: 'Invalid certification id' });
+    }
+
+    const result = await certificationVerificationService.requestCertificationVerification({
+      user: req.user,
+      certificationId,
+      files: req.files || [],
+      notes: req.body?.notes,
+      route: req.originalUrl
+    });
+
+    if (!result.accepted) {
+      return res.status(result.statusCode).json({
+        error: result.message,
+        code: result.errorCode,
+        reason: result.reason,
+        accountSuspended: result.accountSuspended,
+        incidentId: result.incident?.id || null
+      });
+    }
+
+    return res.status(201).json({
+      message: 'Verification requested',
+      certification: result.certification
+    });
+  } catch (error) {
+    return handleCertificationVerificationError(res, error, 'Request certification verification');
+  }
+};
+
+/**
+ * Download evidence the researcher attached to one of their certifications
+ * GET /researchers/me/certifications/:id/evidence/:evidenceId
+ */
+const downloadMyEvidence = async (req, res) => {
+  try {
+    const certificationId = parsePositiveId(req.params.id);
+    const evidenceId = parsePositiveId(req.params.evidenceId);
+    if (!certificationId || !evidenceId) {
+      return res.status(400).json({ error: 'Invalid evidence id' });
+    }
+
+    const evidence = await certificationVerificationService.findCertificationEvidence({
+      evidenceId,
+      certificationId,
+      userId: req.user.id
+    });
+    return await sendEvidence(res, evidence);
+  } catch (error) {
+    return handleCertificationVerificationError(res, error, 'Download certification evidence');
+  }
+};
+
+/**
+ * Review queue, oldest request first; defaults to pending requests
+ * GET /admin/certification-verifications?status=pending|verified|rejected|all
+ */
+const adminListCertificationVerifications = async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!VERIFICATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${VERIFICATION_STATUSES.join(', ')}` });
+    }
+
+    const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, Number.parseInt(req.query.limit, 10) || 20));
+
+    const { count, certifications } = await certificationVerificationService.listCertificationVerifications({
+      status,
+      page,
+      limit
+    });
+
+    return res.status(200).json({
+      certifications,
+      pagination: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    return handleCertificationVerificationError(res, error, 'List certification verifications');
+  }
+};
+
+/**
+ * GET /admin/certification-verifications/:certificationId
+ */
+const adminGetCertificationVerification = async (req, res) => {
+  try {
+    const certificationId = parsePositiveId(req.params.certificationId);
+    if (!certificationId) {
+      return res.status(400).json({ error: 'Invalid certification id' });
+    }
+
+    const certification = await certificationVerificationService.getCertificationVerification(certificationId);
+    return res.status(200).json({ certification });
+  } catch (error) {
+    return handleCertificationVerificationError(res, error, 'Get certification verification');
+  }
+};
+
+const reviewHandler = (action, successMessage) => async (req, res) => {
+  try {
+    const certificationId = parsePositiveId(req.params.certificationId);
+    if (!certificationId) {
+      return res.status(400).json({ error: 'Invalid certification id' });
+    }
+
+    const certification = await certificationVerificationService.reviewCertificationVerification({
+      certificationId,
+      reviewer: req.user,
+      action,
+      message: req.body?.message
+    });
+
+    return res.status(200).json({ message: successMessage, certification });
+  } catch (error) {
+    return handleCertificationVerificationError(res, error, `Certification verification ${action}`);
+  }
+};
+
+/**
+ * POST /admin/certification-verifications/:certificationId/approve
+ */
+const adminApproveCertification = reviewHandler('approve', 'Certification verified');
+
+/**
+ * POST /admin/certification-verifications/:certificationId/reject
+ */
+const adminRejectCertification = reviewHandler('reject', 'Certification verification rejected');
+
+/**
+ * GET /admin/certification-verifications/:certificationId/evidence/:evidenceId
+ */
+const adminDownloadEvidence = async (req, res) => {
+  try {
+    const certificationId = parsePositiveId(req.params.certificationId);
+    const evidenceId = parsePositiveId(req.params.evidenceId);
+    if (!certificationId || !evidenceId) {
+      return res.status(400).json({ error: 'Invalid evidence id' });
+    }
+
+    const evidence = await certificationVerificationService.findCertificationEvidence({ evidenceId, certificationId });
+    return await sendEvidence(res, evidence);
+  } catch (error) {
+    return handleCertificationVerificationError(res, error, 'Download certification evidence');
+  }
+};
+
+module.exports = {
+  evidenceUploadMiddleware,
+  requestVerification,
+  downloadMyEvidence,
+  adminListCertificationVerifications,
+  adminGetCertificationVerification,
+  adminApproveCertification,
+  adminRejectCertification,
+  adminDownloadEvidence
+};
@@ -2,6 +2,13 @@ const notificationCleanup = require('../tasks/notificationCleanup');
 const milestoneDeadlineChecker = require('../tasks/milestoneDeadlineChecker');
 const matchGenerationJob = require('../tasks/matchGenerationJob');
 const agreementLifecycleMaintenance = require('../tasks/agreementLifecycleMaintenance');
+const digestEmailSender = require('../tasks/digestEmailSender');
+const bulkJobWorker = require('../tasks/bulkJobWorker');
+const messageKeyRotation = require('../tasks/messageKeyRotation');
+const messageSearchIndexer = require('../tasks/messageSearchIndexer');
+const projectChannelReconciler = require('../tasks/projectChannelReconciler');
+const organizationReverificationReminder = require('../tasks/organizationReverificationReminder');
+const invoicePaymentReconciler = require('../tasks/invoicePaymentReconciler');
 
 const buildJobResponse = (job, result) => ({
   ok: true,
@@ -74,4 +81,102 @@ exports.runAgreementLifecycleMaintenance = async (req, res) => {
       error: error.message || 'Agreement lifecycle maintenance failed'
     });
   }
-};
\ No newline at end of file
+};
+
+exports.runDigestEmails = async (req, res) => {
+  try {
+    const result = await digestEmailSender.runDigests();
+    return res.json(buildJobResponse('digest-emails', result));
+  } catch (error) {
+    console.error('[cron] digest emails failed:', error);
+    return res.status(500).json({
+      ok: false,
+      job: 'digest-emails',
+      error: error.message || 'Digest emails failed'
+    });
+  }
+};
+
+exports.runBulkJobs = async (req, res) => {
+  try {
+    const result = await bulkJobWorker.runBulkJobWorkerForCron();
+    return res.json(buildJobResponse('bulk-jobs', result));
+  } catch (error) {
+    console.error('[cron] bulk jobs failed:', error);
+    return res.status(500).json({
+      ok: false,
+      job: 'bulk-jobs',
+      error: error.message || 'Bulk jobs failed'
+    });
+  }
+};
+
+exports.runMessageKeyRotation = async (req, res) => {
+  try {
+    const result = await messageKeyRotation.runMessageKeyRotationForCron();
+    return res.json(buildJobResponse('message-key-rotation', result));
+  } catch (error) {
+    console.error('[cron] message key rotation failed:', error);
+    return res.status(500).json({
+      ok: false,
+      job: 'message-key-rotation',
+      error: error.message || 'Message key rotation failed'
+    });
+  }
+};
+
+exports.runMessageSearchIndex = async (req, res) => {
+  try {
+    const result = await messageSearchIndexer.runMessageSearchIndexerForCron();
+    return res.json(buildJobResponse('message-search-index', result));
+  } catch (error) {
+    console.error('[cron] message search indexing failed:', error);
+    return res.status(500).json({
+      ok: false,
+      job: 'message-search-index',
+      error: error.message || 'Message search indexing failed'
+    });
+  }
+};
+
+exports.runProjectChannelReconcile = async (req, res) => {
+  try {
+    const result = await projectChannelReconciler.runProjectChannelReconcilerForCron();
+    return res.json(buildJobResponse('project-channel-reconcile', result));
+  } catch (error) {
+    console.error('[cron] project channel reconcile failed:', error);
+    return res.status(500).json({
+      ok: false,
+      job: 'project-channel-reconcile',
+      error: error.message || 'Project channel reconcile failed'
+    });
+  }
+};
+
+exports.runOrganizationReverificationReminders = async (req, res) => {
+  try {
+    const result = await organizationReverificationReminder.runReverificationRemindersForCron();
+    return res.json(buildJobResponse('organization-reverification', result));
+  } catch (error) {
+    console.error('[cron] organization re-verification reminders failed:', error);
+    return res.status(500).json({
+      ok: false,
+      job: 'organization-reverification',
+      error: error.message || 'Organization re-verification reminders failed'
+    });
+  }
+};
+
+exports.runInvoicePaymentReconcile = async (req, res) => {
+  try {
+    const result = await invoicePaymentReconciler.runInvoicePaymentReconcileForCron();
+    return res.json(buildJobResponse('invoice-payment-reconcile', result));
+  } catch (error) {
+    console.error('[cron] invoice payment reconcile failed:', error);
+    return res.status(500).json({
+      ok: false,
+      job: 'invoice-payment-reconcile',
+      error: error.message || 'Invoice payment reconcile failed'
+    });
+  }
+};
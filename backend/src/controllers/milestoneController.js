@@ -11,6 +11,12 @@ const {
 } = require('../database/models');
 const { Op } = require('sequelize');
 const notificationService = require('../services/notificationService');
+const projectChannelService = require('../services/projectChannelService');
+const organizationMemberService = require('../services/organizationMemberService');
+const researcherCapacityService = require('../services/researcherCapacityService');
+const milestoneDependencyService = require('../services/milestoneDependencyService');
+const milestoneSubmissionService = require('../services/milestoneSubmissionService');
+const milestoneChecklistService = require('../services/milestoneChecklistService');
 const { AUDIT_ACTIONS, logAudit } = require('../utils/auditLogger');
 const {
   canResearcherAccessMilestone,
@@ -69,68 +75,86 @@ const loadProjectAndNonprofitUser = async (projectId, userId) => {
     };
   }
 
+  if (!(await organizationMemberService.canInOrganization(user, project.org_id, 'milestones:manage'))) {
+    return { error: { status: 403, message: 'Your organization role does not allow managing milestones' } };
+  }
+
   return { project, user };
 };
 
-const validateDependency = async ({ projectId, dependsOn, currentMilestoneId = null }) => {
-  if (dependsOn === undefined) {
-    return { ok: true };
-  }
+const DEPENDENCY_ERROR_MESSAGES = {
+  INVALID_DEPENDENCY_ID: 'depends_on must be a valid milestone ID',
+  SELF_DEPENDENCY: 'A milestone cannot depend on itself',
+  DEPENDENCY_NOT_IN_PROJECT: 'depends_on must reference a milestone in the same project',
+  DEPENDENCY_CYCLE: 'Milestone dependencies cannot form a cycle'
+};
 
-  if (dependsOn === null || dependsOn === '') {
-    return { ok: true, value: null };
+const toDependencyError = (error) => {
+  const message = DEPENDENCY_ERROR_MESSAGES[error.message];
+  if (!message) {
+    throw error;
   }
+  return { ok: false, status: 400, message, cycle: error.cycle };
+};
 
-  const parsed = parseInt(dependsOn, 10);
-  if (Number.isNaN(parsed)) {
-    return { ok: false, status: 400, message: 'depends_on must be a valid milestone ID' };
-  }
+/**
+ * Validate depends_on_ids (or the single-id depends_on) from a request body
+ * @returns {Object} { ok, value, prerequisites } where value is undefined when not sent
+ */
+const validateDependencies = async ({ projectId, body, currentMilestoneId = null }) => {
+  try {
+    const dependencyIds = milestoneDependencyService.parseDependencyIds(body);
+    if (dependencyIds === undefined) {
+      return { ok: true };
+    }
 
-  if (currentMilestoneId && parsed === parseInt(currentMilestoneId, 10)) {
-    return { ok: false, status: 400, message: 'A milestone cannot depend on itself' };
+    const prerequisites = await milestoneDependencyService.validateDependencies({
+      projectId,
+      milestoneId: currentMilestoneId,
+      dependencyIds
+    });
+    return { ok: true, value: dependencyIds, prerequisites };
+  } catch (error) {
+    return toDependencyError(error);
   }
+};
 
-  const dependency = await Milestone.findOne({
-    where: { id: parsed, project_id: projectId }
-  });
+const validateDependencyStatusTransition = ({ prerequisites, nextStatus }) => {
+  if (!['in_progress', 'completed'].includes(nextStatus)) {
+    return { ok: true };
+  }
 
-  if (!dependency) {
+  const incomplete = prerequisites.filter((prerequisite) => prerequisite.status !== 'completed');
+  if (incomplete.length > 0) {
     return {
       ok: false,
       status: 400,
-      message: 'depends_on must reference a milestone in the same project'
+      message: 'Dependency milestone must be completed before this status transition',
+      incompleteDependencyIds: incomplete.map((prerequisite) => prerequisite.id)
     };
   }
 
-  return { ok: true, value: parsed, dependency };
+  return { ok: true };
 };
 
-const validateDependencyStatusTransition = async ({ milestone, nextStatus, projectId }) => {
-  if (!['in_progress', 'completed'].includes(nextStatus)) {
-    return { ok: true };
+const sendDependencyError = (res, validation) => {
+  const body = { error: validation.message };
+  if (validation.cycle) {
+    body.cycle = validation.cycle;
   }
-
-  const dependencyId = milestone.depends_on;
-  if (!dependencyId) {
-    return { ok: true };
+  if (validation.incompleteDependencyIds) {
+    body.incomplete_dependency_ids = validation.incompleteDependencyIds;
   }
+  return res.status(validation.status).json(body);
+};
 
-  const dependency = await Milestone.findOne({
-    where: {
-      id: dependencyId,
-      project_id: projectId
-    }
-  });
-
-  if (!dependency || dependency.status !== 'completed') {
-    return {
-      ok: false,
-      status: 400,
-      message: 'Dependency milestone must be completed before this status transition'
-    };
+const getDueDateWarningsSafely = async (milestoneId) => {
+  try {
+    return await milestoneDependencyService.getDueDateWarnings(milestoneId);
+  } catch (error) {
+    console.error('Milestone due date check error:', error);
+    return [];
   }
-
-  return { ok: true };
 };
 
 const getCollaboratingResearcherIds = async (project) => {
@@ -173,6 +197,45 @@ const normalizeResearcherIds = (researcherIds) => {
   return { normalized };
 };
 
+const normalizeAssignmentHours = (weeklyHours, researcherIds) => {
+  const hoursByResearcher = new Map();
+  if (weeklyHours === undefined || weeklyHours === null) {
+    return { hoursByResearcher };
+  }
+
+  if (typeof weeklyHours !== 'object' || Array.isArray(weeklyHours)) {
+    return { error: 'weekly_hours must map researcher IDs to hours per week' };
+  }
+
+  for (const [key, value] of Object.entries(weeklyHours)) {
+    const researcherId = Number.parseInt(key, 10);
+    if (!researcherIds.includes(researcherId)) {
+      return { error: 'weekly_hours can only include researchers listed in researcher_ids' };
+    }
+
+    try {
+      hoursByResearcher.set(researcherId, researcherCapacityService.normalizeAssignmentHours(value));
+    } catch (error) {
+      return { error: 'weekly_hours values must be between 0 and 168' };
+    }
+  }
+
+  return { hoursByResearcher };
+};
+
+const getAssignmentCapacityWarningsSafely = async (milestone, researcherIds) => {
+  if (researcherIds.length === 0) {
+    return [];
+  }
+
+  try {
+    return await researcherCapacityService.getAssignmentCapacityWarnings({ researcherIds, milestone });
+  } catch (error) {
+    console.error('Milestone assignment capacity check error:', error);
+    return [];
+  }
+};
+
 const normalizeMilestoneIds = (milestoneIds) => {
   if (!Array.isArray(milestoneIds)) {
     return { error: 'milestone_ids must be an array of milestone IDs' };
@@ -293,6 +356,104 @@ const loadRevisionRequestForMilestone = async (milestoneId, revisionId) => {
   });
 };
 
+const SUBMISSION_ERROR_RESPONSES = {
+  INVALID_SUBMISSION_ATTACHMENTS: {
+    status: 400,
+    message: 'attachment_ids must reference active files uploaded to this milestone'
+  },
+  SUBMISSION_CONTENT_REQUIRED: { status: 400, message: 'A submission needs notes or at least one attachment' },
+  MILESTONE_NOT_SUBMITTABLE: {
+    status: 400,
+    message: 'Deliverables can only be submitted for pending, in-progress or revision-in-progress milestones'
+  },
+  SUBMISSION_ALREADY_PENDING: { status: 409, message: 'A submission for this milestone is already awaiting review' },
+  SUBMISSION_NOT_FOUND: { status: 404, message: 'Submission not found' },
+  SUBMISSION_NOT_PENDING: { status: 409, message: 'Submission has already been reviewed' },
+  MILESTONE_NOT_REVIEWABLE: {
+    status: 409,
+    message: 'Submissions can only be accepted for pending, in-progress or revision-in-progress milestones'
+  },
+  FEEDBACK_REQUIRED: { status: 400, message: 'feedback is required when rejecting a submission' },
+  DEPENDENCIES_INCOMPLETE: {
+    status: 400,
+    message: 'Dependency milestone must be completed before this status transition'
+  }
+};
+
+const sendSubmissionError = (res, error) => {
+  const response = SUBMISSION_ERROR_RESPONSES[error.message];
+  const body = { error: response.message };
+  if (error.incompleteDependencyIds) {
+    body.incomplete_dependency_ids = error.incompleteDependencyIds;
+  }
+  return res.status(response.status).json(body);
+};
+
+const CHECKLIST_ERROR_RESPONSES = {
+  INVALID_CHECKLIST_TITLE: { status: 400, message: 'title is required and must be at most 255 characters' },
+  INVALID_CHECKLIST_ASSIGNEE: { status: 400, message: 'assignee_id must be a valid researcher ID or null' },
+  INVALID_CHECKLIST_DUE_DATE: { status: 400, message: 'due_date must be a valid date' },
+  INVALID_CHECKLIST_COMPLETION: { status: 400, message: 'is_completed must be a boolean' },
+  CHECKLIST_ASSIGNEE_NOT_ON_MILESTONE: {
+    status: 400,
+    message: 'Checklist items can only be assigned to researchers assigned to this milestone'
+  },
+  CHECKLIST_ITEM_NOT_FOUND: { status: 404, message: 'Checklist item not found' },
+  CHECKLIST_ORDER_MISMATCH: { status: 400, message: 'item_ids must list every checklist item of the milestone once' }
+};
+
+/**
+ * Load a milestone whose checklist the user may read (or edit): the owning nonprofit, admins and
+ * researchers with access to the milestone. Nonprofit edits also need the milestones:manage role.
+ * @returns {Object} { ok, milestone } or { ok: false, status, message }
+ */
+const loadChecklistMilestone = async ({ user, projectId, milestoneId, write = false }) => {
+  const project = await loadProject(projectId);
+  if (!project) {
+    return { ok: false, status: 404, message: 'Project not found' };
+  }
+
+  const milestone = await loadMilestoneForProject(projectId, milestoneId);
+  if (!milestone) {
+    return { ok: false, status: 404, message: 'Milestone not found' };
+  }
+
+  if (isAdminUser(user)) {
+    return { ok: true, milestone };
+  }
+
+  if (user.role === 'nonprofit') {
+    if (write) {
+      const ownership = await loadProjectAndNonprofitUser(projectId, user.id);
+      if (ownership.error) {
+        return { ok: false, ...ownership.error };
+      }
+    } else if (user.org_id !== project.org_id) {
+      return { ok: false, status: 403, message: 'Access denied' };
+    }
+    return { ok: true, milestone };
+  }
+
+  const canAccess = await canResearcherAccessMilestone({
+    researcherId: user.id,
+    projectId,
+    milestoneId
+  });
+  if (!canAccess) {
+    return { ok: false, status: 403, message: 'Access denied. You are not assigned to this milestone' };
+  }
+  return { ok: true, milestone };
+};
+
+const getChecklistProgress = async (milestone) => {
+  const summaries = await milestoneChecklistService.getChecklistSummaries([milestone.id]);
+  const checklist = summaries.get(milestone.id);
+  return {
+    checklist,
+    progress_percent: milestoneChecklistService.getMilestoneProgress(milestone, checklist)
+  };
+};
+
 /**
  * Create a new milestone for a project
  * POST /api/projects/:projectId/milestones
@@ -300,7 +461,7 @@ const loadRevisionRequestForMilestone = async (milestoneId, revisionId) => {
 exports.createMilestone = async (req, res) => {
   try {
     const { projectId } = req.params;
-    const { name, description, due_date, status, depends_on } = req.body;
+    const { name, description, due_date, status } = req.body;
     const userId = req.user.id;
 
     // Validate required fields
@@ -335,34 +496,40 @@ exports.createMilestone = async (req, res) => {
       });
     }
 
-    const dependencyValidation = await validateDependency({
+    const dependencyValidation = await validateDependencies({
       projectId,
-      dependsOn: depends_on
+      body: req.body
     });
     if (!dependencyValidation.ok) {
-      return res.status(dependencyValidation.status).json({ error: dependencyValidation.message });
+      return sendDependencyError(res, dependencyValidation);
     }
+    const dependencyIds = dependencyValidation.value || [];
 
     if (status) {
-      const transitionValidation = await validateDependencyStatusTransition({
-        milestone: { depends_on: dependencyValidation.value ?? null },
-        nextStatus: status,
-        projectId
+      const transitionValidation = validateDependencyStatusTransition({
+        prerequisites: dependencyValidation.prerequisites || [],
+        nextStatus: status
       });
       if (!transitionValidation.ok) {
-        return res.status(transitionValidation.status).json({ error: transitionValidation.message });
+        return sendDependencyError(res, transitionValidation);
       }
     }
 
-    // Create milestone
-    const milestone = await Milestone.create({
-      project_id: projectId,
-      name: name.trim(),
-      description: description?.trim() || null,
-      due_date: due_date || null,
-      status: status || 'pending',
-      depends_on: dependencyValidation.value ?? null,
-      completed_at: status === 'completed' ? new Date() : null
+    // Create milestone with its prerequisites
+    const milestone = await sequelize.transaction(async (transaction) => {
+      const created = await Milestone.create({
+        project_id: projectId,
+        name: name.trim(),
+        description: description?.trim() || null,
+        due_date: due_date || null,
+        status: status || 'pending',
+        completed_at: status === 'completed' ? new Date() : null
+      }, { transaction });
+
+      if (dependencyIds.length > 0) {
+        await milestoneDependencyService.setDependencies({ milestoneId: created.id, dependencyIds, transaction });
+      }
+      return created;
     });
 
     // Create notification for milestone creation - notify owner
@@ -401,9 +568,12 @@ exports.createMilestone = async (req, res) => {
       console.error('Failed to create milestone notification:', notifError);
     }
 
+    const dependencyWarnings = dependencyIds.length > 0 && due_date ? await getDueDateWarningsSafely(milestone.id) : [];
+
     res.status(201).json({
       message: 'Milestone created successfully',
-      milestone: milestone.toSafeObject()
+      milestone: { ...milestone.toSafeObject(), depends_on_ids: dependencyIds },
+      dependency_warnings: dependencyWarnings
     });
 
   } catch (error) {
@@ -455,8 +625,9 @@ exports.getMilestones = async (req, res) => {
       include: [
         {
           model: Milestone,
-          as: 'dependency',
-          attributes: ['id', 'name', 'status']
+          as: 'dependencies',
+          attributes: ['id', 'name', 'status', 'due_date'],
+          through: { attributes: [] }
         }
       ],
       order: [
@@ -465,12 +636,16 @@ exports.getMilestones = async (req, res) => {
       ]
     });
 
+    const checklistSummaries = await milestoneChecklistService.getChecklistSummaries(milestones.map((m) => m.id));
+
     // Add computed fields
     const enrichedMilestones = milestones.map(m => {
       const milestone = m.toSafeObject();
       milestone.is_overdue = m.isOverdue();
       milestone.days_until_due = m.daysUntilDue();
       milestone.computed_status = m.getStatus();
+      milestone.checklist = checklistSummaries.get(m.id);
+      milestone.progress_percent = milestoneChecklistService.getMilestoneProgress(m, milestone.checklist);
       return milestone;
     });
 
@@ -502,8 +677,9 @@ exports.getMilestone = async (req, res) => {
       include: [
         {
           model: Milestone,
-          as: 'dependency',
-          attributes: ['id', 'name', 'status']
+          as: 'dependencies',
+          attributes: ['id', 'name', 'status', 'due_date'],
+          through: { attributes: [] }
         }
       ]
     });
@@ -517,6 +693,7 @@ exports.getMilestone = async (req, res) => {
     enrichedMilestone.is_overdue = milestone.isOverdue();
     enrichedMilestone.days_until_due = milestone.daysUntilDue();
     enrichedMilestone.computed_status = milestone.getStatus();
+    Object.assign(enrichedMilestone, await getChecklistProgress(milestone));
 
     res.json({ milestone: enrichedMilestone });
 
@@ -533,7 +710,7 @@ exports.getMilestone = async (req, res) => {
 exports.updateMilestone = async (req, res) => {
   try {
     const { projectId, id } = req.params;
-    const { name, description, due_date, status, depends_on } = req.body;
+    const { name, description, due_date, status } = req.body;
 
     // Find milestone
     const milestone = await Milestone.findOne({
@@ -562,30 +739,27 @@ exports.updateMilestone = async (req, res) => {
     }
     const updates = {};
 
-    if (depends_on !== undefined) {
-      const dependencyValidation = await validateDependency({
-        projectId,
-        dependsOn: depends_on,
-        currentMilestoneId: id
-      });
-
-      if (!dependencyValidation.ok) {
-        return res.status(dependencyValidation.status).json({ error: dependencyValidation.message });
-      }
-
-      updates.depends_on = dependencyValidation.value ?? null;
+    const dependencyValidation = await validateDependencies({
+      projectId,
+      body: req.body,
+      currentMilestoneId: id
+    });
+    if (!dependencyValidation.ok) {
+      return sendDependencyError(res, dependencyValidation);
     }
+    const dependencyIds = dependencyValidation.value;
 
     const nextStatus = status || milestone.status;
-    const transitionValidation = await validateDependencyStatusTransition({
-      milestone: {
-        depends_on: updates.depends_on !== undefined ? updates.depends_on : milestone.depends_on
-      },
-      nextStatus,
-      projectId
-    });
-    if (!transitionValidation.ok) {
-      return res.status(transitionValidation.status).json({ error: transitionValidation.message });
+    if (['in_progress', 'completed'].includes(nextStatus)) {
+      const transitionValidation = validateDependencyStatusTransition({
+        prerequisites: dependencyIds !== undefined
+          ? dependencyValidation.prerequisites
+          : await milestoneDependencyService.getPrerequisites(milestone.id),
+        nextStatus
+      });
+      if (!transitionValidation.ok) {
+        return sendDependencyError(res, transitionValidation);
+      }
     }
 
 
@@ -609,9 +783,31 @@ exports.updateMilestone = async (req, res) => {
       }
     }
 
-    // Update milestone
+    // Update milestone and its prerequisites
     const oldStatus = milestone.status;
-    await milestone.update(updates);
+    if (dependencyIds === undefined) {
+      await milestone.update(updates);
+    } else {
+      try {
+        await sequelize.transaction(async (transaction) => {
+          // Check again with the project's milestones locked: a concurrent edit may have added the
+          // link that closes a cycle since the check above
+          await milestoneDependencyService.validateDependencies({
+            projectId,
+            milestoneId: milestone.id,
+            dependencyIds,
+            transaction
+          });
+          await milestone.update(updates, { transaction });
+          await milestoneDependencyService.setDependencies({ milestoneId: milestone.id, dependencyIds, transaction });
+        });
+      } catch (error) {
+        return sendDependencyError(res, toDependencyError(error));
+      }
+    }
+    const dependencyWarnings = dependencyIds !== undefined || updates.due_date !== undefined
+      ? await getDueDateWarningsSafely(milestone.id)
+      : [];
 
     // Notify about milestone updates
     try {
@@ -740,10 +936,14 @@ exports.updateMilestone = async (req, res) => {
     enrichedMilestone.is_overdue = milestone.isOverdue();
     enrichedMilestone.days_until_due = milestone.daysUntilDue();
     enrichedMilestone.computed_status = milestone.getStatus();
+    if (dependencyIds !== undefined) {
+      enrichedMilestone.depends_on_ids = dependencyIds;
+    }
 
     res.json({
       message: 'Milestone updated successfully',
-      milestone: enrichedMilestone
+      milestone: enrichedMilestone,
+      dependency_warnings: dependencyWarnings
     });
 
   } catch (error) {
@@ -873,13 +1073,15 @@ exports.getMilestoneAssignments = async (req, res) => {
 };
 
 /**
- * Replace milestone researcher assignments
+ * Replace milestone researcher assignments. Optional weekly_hours ({ researcherId: hours })
+ * sets how much of each researcher's week the assignment takes; the response lists
+ * capacity_warnings for researchers who end up over capacity.
  * PUT /api/projects/:projectId/milestones/:id/assignments
  */
 exports.setMilestoneAssignments = async (req, res) => {
   try {
     const { projectId, id } = req.params;
-    const { researcher_ids } = req.body;
+    const { researcher_ids, weekly_hours } = req.body;
 
     const ownership = await loadProjectAndNonprofitUser(projectId, req.user.id);
     if (ownership.error) {
@@ -898,6 +1100,12 @@ exports.setMilestoneAssignments = async (req, res) => {
 
     const normalizedResearcherIds = normalization.normalized;
 
+    const allocation = normalizeAssignmentHours(weekly_hours, normalizedResearcherIds);
+    if (allocation.error) {
+      return res.status(400).json({ error: allocation.error });
+    }
+    const { hoursByResearcher } = allocation;
+
     if (normalizedResearcherIds.length > 0) {
       const researchers = await User.findAll({
         where: {
@@ -972,6 +1180,11 @@ exports.setMilestoneAssignments = async (req, res) => {
           },
           transaction
         });
+        await milestoneChecklistService.unassignResearchers({
+          milestoneId: id,
+          researcherIds: toDelete,
+          transaction
+        });
       }
 
       if (toCreate.length > 0) {
@@ -979,19 +1192,30 @@ exports.setMilestoneAssignments = async (req, res) => {
           toCreate.map((researcherId) => ({
             milestone_id: Number.parseInt(id, 10),
             researcher_id: researcherId,
-            assigned_by: req.user.id
+            assigned_by: req.user.id,
+            weekly_hours: hoursByResearcher.has(researcherId) ? hoursByResearcher.get(researcherId) : null
           })),
           { transaction }
         );
       }
+
+      const reallocated = [...hoursByResearcher.keys()].filter((researcherId) => existingResearcherIds.has(researcherId));
+      for (const researcherId of reallocated) {
+        await MilestoneResearcher.update(
+          { weekly_hours: hoursByResearcher.get(researcherId) },
+          { where: { milestone_id: id, researcher_id: researcherId }, transaction }
+        );
+      }
     });
 
     const assignments = await getMilestoneAssignmentsWithResearcher(id);
+    const capacityWarnings = await getAssignmentCapacityWarningsSafely(milestone, normalizedResearcherIds);
     return res.json({
       message: 'Milestone assignments updated successfully',
       milestone_id: Number.parseInt(id, 10),
       count: assignments.length,
-      assignments: assignments.map((assignment) => assignment.toSafeObject())
+      assignments: assignments.map((assignment) => assignment.toSafeObject()),
+      capacity_warnings: capacityWarnings
     });
   } catch (error) {
     console.error('Set milestone assignments error:', error);
@@ -1033,6 +1257,11 @@ exports.removeMilestoneAssignment = async (req, res) => {
       return res.status(404).json({ error: 'Milestone assignment not found' });
     }
 
+    await milestoneChecklistService.unassignResearchers({
+      milestoneId: id,
+      researcherIds: [parsedResearcherId]
+    });
+
     return res.json({
       message: 'Milestone assignment removed successfully',
       milestone_id: Number.parseInt(id, 10),
@@ -1239,6 +1468,12 @@ exports.setProjectResearcherAccess = async (req, res) => {
       researcherId
     });
 
+    // Removing all access also removes the researcher from the project team channel
+    await projectChannelService.syncProjectChannelSafely(projectId, {
+      actorId: req.user.id,
+      reason: 'access_changed'
+    });
+
     await notificationService.createNotification({
       userId: researcherId,
       type: 'milestone_updated',
@@ -1635,6 +1870,299 @@ exports.rejectMilestoneRevisionRequest = async (req, res) => {
   }
 };
 
+/**
+ * Submit a milestone deliverable for review.
+ * POST /api/projects/:projectId/milestones/:id/submissions
+ */
+exports.submitMilestoneDeliverable = async (req, res) => {
+  try {
+    const projectId = asInt(req.params.projectId);
+    const milestoneId = asInt(req.params.id);
+    const notes = parseOptionalText(req.body.notes);
+
+    if (!projectId || !milestoneId) {
+      return res.status(400).json({ error: 'Invalid project or milestone id' });
+    }
+
+    const project = await loadProject(projectId);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const milestone = await loadMilestoneForProject(projectId, milestoneId);
+    if (!milestone) {
+      return res.status(404).json({ error: 'Milestone not found' });
+    }
+
+    const canAccess = await canResearcherAccessMilestone({
+      researcherId: req.user.id,
+      projectId,
+      milestoneId
+    });
+    if (!canAccess) {
+      return res.status(403).json({ error: 'Access denied. You are not assigned to this milestone' });
+    }
+
+    const submission = await milestoneSubmissionService.createSubmission({
+      milestone,
+      researcherId: req.user.id,
+      notes,
+      attachmentIds: milestoneSubmissionService.parseAttachmentIds(req.body.attachment_ids)
+    });
+
+    const nonprofitUsers = await User.findAll({
+      where: {
+        role: 'nonprofit',
+        org_id: project.org_id
+      },
+      attributes: ['id']
+    });
+    const nonprofitUserIds = nonprofitUsers.map((user) => user.id);
+    if (nonprofitUserIds.length > 0) {
+      await notificationService.createBulkNotifications(nonprofitUserIds, {
+        type: 'milestone_submission_received',
+        title: 'Milestone Deliverable Submitted',
+        message: `A researcher submitted the deliverable for milestone "${milestone.name}" (round ${submission.round}).`,
+        link: `/projects/${projectId}/milestones`,
+        metadata: {
+          project_id: projectId,
+          milestone_id: milestoneId,
+          submission_id: submission.id,
+          round: submission.round,
+          submitted_by: req.user.id
+        }
+      });
+    }
+
+    void logAudit({
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.MILESTONE_SUBMISSION_CREATED,
+      entityType: 'MILESTONE',
+      entityId: milestoneId,
+      metadata: {
+        project_id: projectId,
+        submission_id: submission.id,
+        round: submission.round
+      }
+    });
+
+    return res.status(201).json({
+      message: 'Milestone deliverable submitted',
+      submission: submission.toSafeObject()
+    });
+  } catch (error) {
+    if (SUBMISSION_ERROR_RESPONSES[error.message]) {
+      return sendSubmissionError(res, error);
+    }
+    console.error('Submit milestone deliverable error:', error);
+    return res.status(500).json({ error: 'Failed to submit milestone deliverable' });
+  }
+};
+
+/**
+ * List deliverable submissions for a milestone.
+ * GET /api/projects/:projectId/milestones/:id/submissions
+ */
+exports.listMilestoneSubmissions = async (req, res) => {
+  try {
+    const projectId = asInt(req.params.projectId);
+    const milestoneId = asInt(req.params.id);
+
+    if (!projectId || !milestoneId) {
+      return res.status(400).json({ error: 'Invalid project or milestone id' });
+    }
+
+    const project = await loadProject(projectId);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const milestone = await loadMilestoneForProject(projectId, milestoneId);
+    if (!milestone) {
+      return res.status(404).json({ error: 'Milestone not found' });
+    }
+
+    const isOwnerNonprofit = req.user.role === 'nonprofit' && req.user.org_id === project.org_id;
+    if (!isOwnerNonprofit && !isAdminUser(req.user)) {
+      const canAccess = await canResearcherAccessMilestone({
+        researcherId: req.user.id,
+        projectId,
+        milestoneId
+      });
+      if (!canAccess) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+    }
+
+    const submissions = await milestoneSubmissionService.listSubmissions(milestoneId);
+
+    return res.json({
+      project_id: projectId,
+      milestone_id: milestoneId,
+      count: submissions.length,
+      submissions: submissions.map((submission) => submission.toSafeObject())
+    });
+  } catch (error) {
+    console.error('List milestone submissions error:', error);
+    return res.status(500).json({ error: 'Failed to list milestone submissions' });
+  }
+};
+
+/**
+ * Accept a milestone submission and complete the milestone.
+ * POST /api/projects/:projectId/milestones/:id/submissions/:submissionId/accept
+ */
+exports.acceptMilestoneSubmission = async (req, res) => {
+  try {
+    const projectId = asInt(req.params.projectId);
+    const milestoneId = asInt(req.params.id);
+    const submissionId = asInt(req.params.submissionId);
+    const feedback = parseOptionalText(req.body.feedback);
+
+    if (!projectId || !milestoneId || !submissionId) {
+      return res.status(400).json({ error: 'Invalid request identifiers' });
+    }
+
+    const ownership = await loadProjectAndNonprofitUser(projectId, req.user.id);
+    if (ownership.error && !isAdminUser(req.user)) {
+      return res.status(ownership.error.status).json({ error: ownership.error.message });
+    }
+
+    const project = ownership.project || await loadProject(projectId);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const milestone = await loadMilestoneForProject(projectId, milestoneId);
+    if (!milestone) {
+      return res.status(404).json({ error: 'Milestone not found' });
+    }
+
+    const submission = await milestoneSubmissionService.reviewSubmission({
+      milestone,
+      submissionId,
+      reviewerId: req.user.id,
+      decision: 'accept',
+      feedback
+    });
+
+    const researcherIds = [
+      ...new Set([submission.submitted_by, ...(await getCollaboratingResearcherIds(project))])
+    ];
+    await notificationService.createBulkNotifications(researcherIds, {
+      type: 'milestone_completed',
+      title: 'Milestone Completed',
+      message: `The deliverable for milestone "${milestone.name}" was accepted and the milestone is complete.`,
+      link: `/projects/${projectId}/milestones`,
+      metadata: {
+        milestone_id: milestone.id,
+        milestone_name: milestone.name,
+        project_id: projectId,
+        submission_id: submission.id
+      }
+    });
+
+    void logAudit({
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.MILESTONE_SUBMISSION_ACCEPTED,
+      entityType: 'MILESTONE',
+      entityId: milestoneId,
+      metadata: {
+        project_id: projectId,
+        submission_id: submission.id,
+        round: submission.round,
+        feedback
+      }
+    });
+
+    return res.json({
+      message: 'Submission accepted',
+      submission: submission.toSafeObject(),
+      milestone: milestone.toSafeObject()
+    });
+  } catch (error) {
+    if (SUBMISSION_ERROR_RESPONSES[error.message]) {
+      return sendSubmissionError(res, error);
+    }
+    console.error('Accept milestone submission error:', error);
+    return res.status(500).json({ error: 'Failed to accept submission' });
+  }
+};
+
+/**
+ * Reject a milestone submission with feedback; the researcher can submit another round.
+ * POST /api/projects/:projectId/milestones/:id/submissions/:submissionId/reject
+ */
+exports.rejectMilestoneSubmission = async (req, res) => {
+  try {
+    const projectId = asInt(req.params.projectId);
+    const milestoneId = asInt(req.params.id);
+    const submissionId = asInt(req.params.submissionId);
+    const feedback = parseOptionalText(req.body.feedback);
+
+    if (!projectId || !milestoneId || !submissionId) {
+      return res.status(400).json({ error: 'Invalid request identifiers' });
+    }
+
+    const ownership = await loadProjectAndNonprofitUser(projectId, req.user.id);
+    if (ownership.error && !isAdminUser(req.user)) {
+      return res.status(ownership.error.status).json({ error: ownership.error.message });
+    }
+
+    const milestone = await loadMilestoneForProject(projectId, milestoneId);
+    if (!milestone) {
+      return res.status(404).json({ error: 'Milestone not found' });
+    }
+
+    const submission = await milestoneSubmissionService.reviewSubmission({
+      milestone,
+      submissionId,
+      reviewerId: req.user.id,
+      decision: 'reject',
+      feedback
+    });
+
+    await notificationService.createNotification({
+      userId: submission.submitted_by,
+      type: 'milestone_submission_rejected',
+      title: 'Milestone Deliverable Rejected',
+      message: `Your deliverable for milestone "${milestone.name}" needs changes. Review the feedback and resubmit.`,
+      link: `/projects/${projectId}/milestones`,
+      metadata: {
+        project_id: projectId,
+        milestone_id: milestoneId,
+        submission_id: submission.id,
+        round: submission.round,
+        feedback
+      }
+    });
+
+    void logAudit({
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.MILESTONE_SUBMISSION_REJECTED,
+      entityType: 'MILESTONE',
+      entityId: milestoneId,
+      metadata: {
+        project_id: projectId,
+        submission_id: submission.id,
+        round: submission.round,
+        feedback
+      }
+    });
+
+    return res.json({
+      message: 'Submission rejected',
+      submission: submission.toSafeObject()
+    });
+  } catch (error) {
+    if (SUBMISSION_ERROR_RESPONSES[error.message]) {
+      return sendSubmissionError(res, error);
+    }
+    console.error('Reject milestone submission error:', error);
+    return res.status(500).json({ error: 'Failed to reject submission' });
+  }
+};
+
 /**
  * Create milestone request by researcher.
  * POST /api/projects/:projectId/milestones/requests
@@ -1960,6 +2488,185 @@ exports.rejectMilestoneRequest = async (req, res) => {
   }
 };
 
+/**
+ * List a milestone's checklist with its progress.
+ * GET /api/projects/:projectId/milestones/:id/checklist
+ */
+exports.getMilestoneChecklist = async (req, res) => {
+  try {
+    const projectId = asInt(req.params.projectId);
+    const milestoneId = asInt(req.params.id);
+    if (!projectId || !milestoneId) {
+      return res.status(400).json({ error: 'Invalid project or milestone id' });
+    }
+
+    const access = await loadChecklistMilestone({ user: req.user, projectId, milestoneId });
+    if (!access.ok) {
+      return res.status(access.status).json({ error: access.message });
+    }
+
+    const items = await milestoneChecklistService.listItems(milestoneId);
+    const checklist = milestoneChecklistService.summarizeItems(items);
+
+    return res.json({
+      milestone_id: milestoneId,
+      checklist,
+      progress_percent: milestoneChecklistService.getMilestoneProgress(access.milestone, checklist),
+      items: items.map((item) => item.toSafeObject())
+    });
+  } catch (error) {
+    console.error('Get milestone checklist error:', error);
+    return res.status(500).json({ error: 'Failed to fetch milestone checklist' });
+  }
+};
+
+/**
+ * Add a checklist item at the end of a milestone's checklist.
+ * POST /api/projects/:projectId/milestones/:id/checklist
+ */
+exports.createChecklistItem = async (req, res) => {
+  try {
+    const projectId = asInt(req.params.projectId);
+    const milestoneId = asInt(req.params.id);
+    if (!projectId || !milestoneId) {
+      return res.status(400).json({ error: 'Invalid project or milestone id' });
+    }
+
+    const access = await loadChecklistMilestone({ user: req.user, projectId, milestoneId, write: true });
+    if (!access.ok) {
+      return res.status(access.status).json({ error: access.message });
+    }
+
+    const item = await milestoneChecklistService.createItem({
+      milestoneId,
+      input: milestoneChecklistService.parseChecklistInput(req.body),
+      userId: req.user.id
+    });
+
+    return res.status(201).json({
+      message: 'Checklist item created',
+      item: item.toSafeObject(),
+      ...(await getChecklistProgress(access.milestone))
+    });
+  } catch (error) {
+    const response = CHECKLIST_ERROR_RESPONSES[error.message];
+    if (response) {
+      return res.status(response.status).json({ error: response.message });
+    }
+    console.error('Create checklist item error:', error);
+    return res.status(500).json({ error: 'Failed to create checklist item' });
+  }
+};
+
+/**
+ * Put a milestone's checklist in a new order.
+ * PUT /api/projects/:projectId/milestones/:id/checklist/order
+ */
+exports.reorderChecklistItems = async (req, res) => {
+  try {
+    const projectId = asInt(req.params.projectId);
+    const milestoneId = asInt(req.params.id);
+    if (!projectId || !milestoneId) {
+      return res.status(400).json({ error: 'Invalid project or milestone id' });
+    }
+
+    const access = await loadChecklistMilestone({ user: req.user, projectId, milestoneId, write: true });
+    if (!access.ok) {
+      return res.status(access.status).json({ error: access.message });
+    }
+
+    const items = await milestoneChecklistService.reorderItems({ milestoneId, itemIds: req.body.item_ids });
+
+    return res.json({
+      message: 'Checklist reordered',
+      milestone_id: milestoneId,
+      items: items.map((item) => item.toSafeObject())
+    });
+  } catch (error) {
+    const response = CHECKLIST_ERROR_RESPONSES[error.message];
+    if (response) {
+      return res.status(response.status).json({ error: response.message });
+    }
+    console.error('Reorder checklist items error:', error);
+    return res.status(500).json({ error: 'Failed to reorder checklist items' });
+  }
+};
+
+/**
+ * Update a checklist item: title, assignee, due date or completion.
+ * PUT /api/projects/:projectId/milestones/:id/checklist/:itemId
+ */
+exports.updateChecklistItem = async (req, res) => {
+  try {
+    const projectId = asInt(req.params.projectId);
+    const milestoneId = asInt(req.params.id);
+    const itemId = asInt(req.params.itemId);
+    if (!projectId || !milestoneId || !itemId) {
+      return res.status(400).json({ error: 'Invalid request identifiers' });
+    }
+
+    const access = await loadChecklistMilestone({ user: req.user, projectId, milestoneId, write: true });
+    if (!access.ok) {
+      return res.status(access.status).json({ error: access.message });
+    }
+
+    const item = await milestoneChecklistService.updateItem({
+      milestoneId,
+      itemId,
+      input: milestoneChecklistService.parseChecklistInput(req.body, { partial: true }),
+      userId: req.user.id
+    });
+
+    return res.json({
+      message: 'Checklist item updated',
+      item: item.toSafeObject(),
+      ...(await getChecklistProgress(access.milestone))
+    });
+  } catch (error) {
+    const response = CHECKLIST_ERROR_RESPONSES[error.message];
+    if (response) {
+      return res.status(response.status).json({ error: response.message });
+    }
+    console.error('Update checklist item error:', error);
+    return res.status(500).json({ error: 'Failed to update checklist item' });
+  }
+};
+
+/**
+ * Delete a checklist item.
+ * DELETE /api/projects/:projectId/milestones/:id/checklist/:itemId
+ */
+exports.deleteChecklistItem = async (req, res) => {
+  try {
+    const projectId = asInt(req.params.projectId);
+    const milestoneId = asInt(req.params.id);
+    const itemId = asInt(req.params.itemId);
+    if (!projectId || !milestoneId || !itemId) {
+      return res.status(400).json({ error: 'Invalid request identifiers' });
+    }
+
+    const access = await loadChecklistMilestone({ user: req.user, projectId, milestoneId, write: true });
+    if (!access.ok) {
+      return res.status(access.status).json({ error: access.message });
+    }
+
+    await milestoneChecklistService.deleteItem({ milestoneId, itemId });
+
+    return res.json({
+      message: 'Checklist item deleted',
+      deleted_id: itemId,
+      ...(await getChecklistProgress(access.milestone))
+    });
+  } catch (error) {
+    const response = CHECKLIST_ERROR_RESPONSES[error.message];
+    if (response) {
+      return res.status(response.status).json({ error: response.message });
+    }
+    console.error('Delete checklist item error:', error);
+    return res.status(500).json({ error: 'Failed to delete checklist item' });
+  }
+};
+
 /**
  * Get milestone statistics for a project
  * GET /api/projects/:projectId/milestones/stats
@@ -2000,6 +2707,9 @@ exports.getMilestoneStats = async (req, res) => {
 
     const completion_rate = total > 0 ? Math.round((completed / total) * 100) : 0;
 
+    // Progress and checklist completion roll up from milestone checklists
+    const checklistStats = await milestoneChecklistService.getProjectChecklistStats(milestones);
+
     res.json({
       project_id: parseInt(projectId),
       stats: {
@@ -2011,7 +2721,8 @@ exports.getMilestoneStats = async (req, res) => {
         completed,
         cancelled,
         overdue,
-        completion_rate
+        completion_rate,
+        ...checklistStats
       }
     });
 
@@ -2020,3 +2731,38 @@ exports.getMilestoneStats = async (req, res) => {
     res.status(500).json({ error: 'Failed to fetch milestone statistics' });
   }
 };
+
+/**
+ * Project schedule from milestone dependencies and due dates: earliest/latest start and finish,
+ * slack, the critical path and due dates that come before a prerequisite's
+ * GET /api/projects/:projectId/milestones/schedule
+ */
+exports.getProjectSchedule = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    const project = await loadProject(projectId);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    // Authorization: the owning nonprofit, accepted researchers and admins
+    const isOwner = req.user.role === 'nonprofit' && project.org_id === req.user.org_id;
+    const isResearcher = req.user.role === 'researcher' && await hasAcceptedProjectParticipation({
+      researcherId: req.user.id,
+      projectId
+    });
+    if (!isAdminUser(req.user) && !isOwner && !isResearcher) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const schedule = await milestoneDependencyService.getProjectSchedule(project);
+    return res.json({ schedule });
+  } catch (error) {
+    if (error.message === 'DEPENDENCY_CYCLE') {
+      return res.status(409).json({ error: 'Milestone dependencies form a cycle; remove one link to build a schedule' });
+    }
+    console.error('Get project schedule error:', error);
+    return res.status(500).json({ error: 'Failed to build project schedule' });
+  }
+};
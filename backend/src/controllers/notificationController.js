@@ -1,8 +1,33 @@
 const Notification = require('../database/models/Notification');
 const { Op } = require('sequelize');
+const notificationStreamService = require('../services/notificationStreamService');
+const { openEventStream } = require('../utils/sse');
+const { isCursorRequest, timestampKey, createCursorPage, withCursorWhere, isInvalidCursorError } = require('../utils/cursorPagination');
+
+// Upper bound on notifications replayed to a reconnecting stream before asking it to refetch.
+const STREAM_RESUME_LIMIT = 100;
+
+const parseLastEventId = (value) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : null;
+};
+
+const NOTIFICATION_LIST_ATTRIBUTES = [
+  'id',
+  'user_id',
+  'type',
+  'title',
+  'message',
+  'link',
+  'is_read',
+  'metadata',
+  'created_at',
+  'updated_at'
+];
 
 /**
  * Get user notifications with pagination and filtering
+ * Send ?cursor= (empty for the first page) for cursor pagination; limit/offset still work.
  * @route GET /api/notifications
  */
 exports.getNotifications = async (req, res) => {
@@ -15,10 +40,6 @@ exports.getNotifications = async (req, res) => {
       type 
     } = req.query;
 
-    // Validate and parse pagination parameters
-    const parsedLimit = Math.min(Math.max(parseInt(limit), 1), 100);
-    const parsedOffset = Math.max(parseInt(offset), 0);
-
     // Build query conditions
     const where = { user_id: userId, archived: false };
     
@@ -30,24 +51,42 @@ exports.getNotifications = async (req, res) => {
       where.type = type;
     }
 
+    if (isCursorRequest(req.query)) {
+      const cursorPage = createCursorPage(req.query, {
+        scope: 'notifications',
+        keys: [
+          timestampKey(Notification, 'created_at', 'DESC'),
+          { field: 'id', direction: 'DESC' }
+        ]
+      });
+
+      const [rows, unreadCount] = await Promise.all([
+        Notification.findAll({
+          where: withCursorWhere(where, cursorPage.where),
+          limit: cursorPage.limit,
+          order: cursorPage.order,
+          attributes: NOTIFICATION_LIST_ATTRIBUTES
+        }),
+        notificationStreamService.countUnread(userId)
+      ]);
+
+      return res.json({
+        ...cursorPage.buildPage(rows),
+        unreadCount
+      });
+    }
+
+    // Validate and parse pagination parameters
+    const parsedLimit = Math.min(Math.max(parseInt(limit), 1), 100);
+    const parsedOffset = Math.max(parseInt(offset), 0);
+
     // Fetch notifications with count
     const { count, rows } = await Notification.findAndCountAll({
       where,
       limit: parsedLimit,
       offset: parsedOffset,
-      order: [['created_at', 'DESC']],
-      attributes: [
-        'id',
-        'user_id',
-        'type',
-        'title',
-        'message',
-        'link',
-        'is_read',
-        'metadata',
-        'created_at',
-        'updated_at'
-      ]
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      attributes: NOTIFICATION_LIST_ATTRIBUTES
     });
 
     // Get unread count
@@ -64,6 +103,9 @@ exports.getNotifications = async (req, res) => {
       limit: parsedLimit
     });
   } catch (error) {
+    if (isInvalidCursorError(error)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
     console.error('Error fetching notifications:', error);
     res.status(500).json({ 
       error: 'Failed to fetch notifications',
@@ -115,6 +157,7 @@ exports.markAsRead = async (req, res) => {
 
     notification.is_read = true;
     await notification.save();
+    await notificationStreamService.publishUnreadCount(userId);
 
     res.json({ 
       message: 'Notification marked as read',
@@ -150,6 +193,7 @@ exports.markAsUnread = async (req, res) => {
 
     notification.is_read = false;
     await notification.save();
+    await notificationStreamService.publishUnreadCount(userId);
 
     res.json({ 
       message: 'Notification marked as unread',
@@ -176,6 +220,7 @@ exports.markAllAsRead = async (req, res) => {
       { is_read: true },
       { where: { user_id: userId, is_read: false, archived: false } }
     );
+    await notificationStreamService.publishUnreadCount(userId);
 
     res.json({ 
       message: 'All notifications marked as read',
@@ -234,6 +279,7 @@ exports.deleteAllRead = async (req, res) => {
     const deletedCount = await Notification.destroy({
       where: { user_id: userId, is_read: true, archived: false }
     });
+    await notificationStreamService.publishUnreadCount(userId);
 
     res.json({ 
       message: 'Read notifications deleted successfully',
@@ -247,3 +293,67 @@ exports.deleteAllRead = async (req, res) => {
     });
   }
 };
+
+/**
+ * Stream notification events (Server-Sent Events)
+ * Replays notifications missed since Last-Event-ID, then pushes new ones live
+ * @route GET /api/notifications/stream
+ */
+exports.streamNotifications = async (req, res) => {
+  const userId = req.user.id;
+  const stream = openEventStream(req, res);
+  let lastSentId = parseLastEventId(req.get('Last-Event-ID') || req.query.lastEventId);
+  let replaying = true;
+  const queued = [];
+
+  const sendNotification = (notification) => {
+    if (!notification || (lastSentId !== null && notification.id <= lastSentId)) {
+      return;
+    }
+    lastSentId = notification.id;
+    stream.send({
+      id: notification.id,
+      event: 'notification.created',
+      data: notification
+    });
+  };
+
+  try {
+    // Subscribe before replaying so nothing written in between is lost; the id check drops duplicates.
+    const unsubscribe = await notificationStreamService.subscribeToNotifications(userId, ({ event, data }) => {
+      if (event !== 'notification.created') {
+        stream.send({ event, data });
+      } else if (replaying) {
+        queued.push(data.notification);
+      } else {
+        sendNotification(data.notification);
+      }
+    });
+    stream.onClose(unsubscribe);
+
+    if (lastSentId !== null) {
+      const missed = await Notification.findAll({
+        where: { user_id: userId, archived: false, id: { [Op.gt]: lastSentId } },
+        order: [['id', 'ASC']],
+        limit: STREAM_RESUME_LIMIT + 1
+      });
+
+      if (missed.length > STREAM_RESUME_LIMIT) {
+        stream.send({ event: 'notification.resync', data: { reason: 'too_many_missed' } });
+        lastSentId = missed[missed.length - 1].id;
+      } else {
+        missed.forEach((notification) => sendNotification(notification.toSafeObject()));
+      }
+    }
+
+    replaying = false;
+    queued.splice(0).forEach(sendNotification);
+
+    const unreadCount = await notificationStreamService.countUnread(userId);
+    stream.send({ event: 'notification.unread_count', data: { unreadCount } });
+  } catch (error) {
+    console.error('Error streaming notifications:', error);
+    stream.send({ event: 'error', data: { error: 'Failed to stream notifications' } });
+    stream.close();
+  }
+};
@@ -1,6 +1,38 @@
 const { Organization, User } = require('../database/models');
+const organizationMemberService = require('../services/organizationMemberService');
 const { logAudit, AUDIT_ACTIONS } = require('../utils/auditLogger');
 
+const MEMBER_ERROR_RESPONSES = {
+  INVALID_EMAIL: [400, 'A valid email address is required'],
+  INVALID_MEMBER_ROLE: [400, `role must be one of: ${organizationMemberService.ORGANIZATION_MEMBER_ROLES.join(', ')}`],
+  OWNER_ROLE_REQUIRED: [403, 'Only owners can grant, change or remove the owner role'],
+  NONPROFIT_ACCOUNT_REQUIRED: [403, 'Only nonprofit accounts can join an organization'],
+  INVITATION_EMAIL_MISMATCH: [403, 'This invitation was sent to a different email address'],
+  ORGANIZATION_NOT_FOUND: [404, 'Organization not found'],
+  MEMBER_NOT_FOUND: [404, 'Member not found'],
+  INVITATION_NOT_FOUND: [404, 'Invitation not found'],
+  ALREADY_MEMBER: [409, 'User is already a member of this organization'],
+  ALREADY_IN_ORGANIZATION: [409, 'You already belong to another organization'],
+  LAST_OWNER: [409, 'An organization must keep at least one owner'],
+  INVITATION_EXPIRED: [410, 'Invitation has expired'],
+  INVITATION_EMAIL_FAILED: [502, 'Invitation email could not be sent']
+};
+
+function handleMemberServiceError(res, error, context) {
+  const mapped = MEMBER_ERROR_RESPONSES[error.message];
+  if (mapped) {
+    return res.status(mapped[0]).json({ error: mapped[1] });
+  }
+
+  console.error(`${context} error:`, error);
+  return res.status(500).json({ error: 'Internal server error' });
+}
+
+function parsePositiveId(value) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
 function trimStringFields(input = {}) {
   const output = {};
   Object.keys(input).forEach((key) => {
@@ -52,10 +84,15 @@ function isValidWebsite(urlValue) {
  */
 const getOrganization = async (req, res) => {
   try {
-    // Try user_id first (owner link), then fall back to org_id on user
-    let org = await Organization.findOne({
-      where: { user_id: req.user.id },
-    });
+    // Membership first, then the legacy owner link and org_id on user
+    const membership = await organizationMemberService.getMembership(req.user.id);
+    let org = membership ? await Organization.findByPk(membership.org_id) : null;
+
+    if (!org) {
+      org = await Organization.findOne({
+        where: { user_id: req.user.id },
+      });
+    }
 
     if (!org) {
       const user = await User.findByPk(req.user.id, { attributes: ['org_id'] });
@@ -145,11 +182,18 @@ const updateOrganization = async (req, res) => {
       return res.status(400).json({ error: 'No valid update fields provided' });
     }
 
-    // Try to find existing org for this user
-    let organization = await Organization.findOne({ where: { user_id: userId } });
+    // Members edit their organization if their role allows it
+    const membership = await organizationMemberService.getMembership(userId);
+    let organization = membership ? await Organization.findByPk(membership.org_id) : null;
+
+    if (organization && !organizationMemberService.hasOrganizationPermission(membership.role, 'organization:update')) {
+      return res
+        .status(403)
+        .json({ error: 'Your organization role does not allow updating organization settings' });
+    }
 
     if (!organization) {
-      // No org yet → create one
+      // No org yet → create one, owned by this user
       organization = await Organization.create({
         ...updates,
         user_id: userId,
@@ -160,8 +204,20 @@ const updateOrganization = async (req, res) => {
         { org_id: organization.id },
         { where: { id: userId } }
       );
+      await organizationMemberService.createOwnerMembership(organization.id, userId);
     } else {
-      // Org exists → just update
+      // Org exists → just update. A new legal name or EIN needs verifying again.
+      const identityChanged = ['name', 'EIN'].some(
+        (field) => updates[field] !== undefined && updates[field] !== organization[field]
+      );
+      if (identityChanged && organization.verification_status === 'verified') {
+        Object.assign(updates, {
+          verification_status: 'unverified',
+          verified_at: null,
+          verification_expires_at: null,
+          reverification_reminded_at: null,
+        });
+      }
       await organization.update(updates);
     }
 
@@ -183,7 +239,200 @@ const updateOrganization = async (req, res) => {
   }
 };
 
+/**
+ * List members of the current user's organization
+ * GET /organizations/me/members
+ */
+const getMembers = async (req, res) => {
+  try {
+    const members = await organizationMemberService.listMembers(req.organizationMembership.org_id);
+    return res.status(200).json({
+      members,
+      role: req.organizationMembership.role,
+    });
+  } catch (error) {
+    console.error('Get organization members error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * List pending invitations
+ * GET /organizations/me/members/invitations
+ */
+const getInvitations = async (req, res) => {
+  try {
+    const invitations = await organizationMemberService.listPendingInvitations(req.organizationMembership.org_id);
+    return res.status(200).json({ invitations });
+  } catch (error) {
+    console.error('Get organization invitations error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Invite a colleague by email
+ * POST /organizations/me/members/invitations
+ */
+const inviteMember = async (req, res) => {
+  try {
+    const { org_id: orgId, role: actorRole } = req.organizationMembership;
+    const role = typeof req.body?.role === 'string' ? req.body.role.trim() : 'viewer';
+
+    const invitation = await organizationMemberService.inviteMember({
+      orgId,
+      actor: req.user,
+      actorRole,
+      email: req.body?.email,
+      role,
+    });
+
+    void logAudit({
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.ORGANIZATION_MEMBER_INVITED,
+      entityType: 'ORGANIZATION',
+      entityId: orgId,
+      metadata: { invitationId: invitation.id, email: invitation.email, role: invitation.role },
+    });
+
+    return res.status(201).json({ message: 'Invitation sent', invitation });
+  } catch (error) {
+    return handleMemberServiceError(res, error, 'Invite organization member');
+  }
+};
+
+/**
+ * Revoke a pending invitation
+ * DELETE /organizations/me/members/invitations/:invitationId
+ */
+const revokeInvitation = async (req, res) => {
+  try {
+    const invitationId = parsePositiveId(req.params.invitationId);
+    if (!invitationId) {
+      return res.status(400).json({ error: 'Invalid invitation id' });
+    }
+
+    const invitation = await organizationMemberService.revokeInvitation({
+      orgId: req.organizationMembership.org_id,
+      invitationId,
+    });
+
+    void logAudit({
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.ORGANIZATION_INVITATION_REVOKED,
+      entityType: 'ORGANIZATION',
+      entityId: invitation.org_id,
+      metadata: { invitationId: invitation.id, email: invitation.email },
+    });
+
+    return res.status(200).json({ message: 'Invitation revoked', invitation });
+  } catch (error) {
+    return handleMemberServiceError(res, error, 'Revoke organization invitation');
+  }
+};
+
+/**
+ * Accept an invitation with the emailed token
+ * POST /organizations/invitations/accept
+ */
+const acceptInvitation = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id, { attributes: ['id', 'email', 'role', 'org_id'] });
+    const { membership } = await organizationMemberService.acceptInvitation({
+      token: req.body?.token,
+      user,
+    });
+
+    void logAudit({
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.ORGANIZATION_INVITATION_ACCEPTED,
+      entityType: 'ORGANIZATION',
+      entityId: membership.org_id,
+      metadata: { role: membership.role },
+    });
+
+    const organization = await Organization.findByPk(membership.org_id);
+    return res.status(200).json({ message: 'Invitation accepted', membership, organization });
+  } catch (error) {
+    return handleMemberServiceError(res, error, 'Accept organization invitation');
+  }
+};
+
+/**
+ * Change a member's role
+ * PATCH /organizations/me/members/:userId
+ */
+const updateMemberRole = async (req, res) => {
+  try {
+    const memberUserId = parsePositiveId(req.params.userId);
+    if (!memberUserId) {
+      return res.status(400).json({ error: 'Invalid user id' });
+    }
+
+    const { org_id: orgId, role: actorRole } = req.organizationMembership;
+    const { member, previousRole } = await organizationMemberService.updateMemberRole({
+      orgId,
+      actorRole,
+      memberUserId,
+      role: typeof req.body?.role === 'string' ? req.body.role.trim() : req.body?.role,
+    });
+
+    void logAudit({
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.ORGANIZATION_MEMBER_ROLE_UPDATED,
+      entityType: 'ORGANIZATION',
+      entityId: orgId,
+      metadata: { userId: memberUserId, previousRole, role: member.role },
+    });
+
+    return res.status(200).json({ message: 'Member role updated', member });
+  } catch (error) {
+    return handleMemberServiceError(res, error, 'Update organization member');
+  }
+};
+
+/**
+ * Remove a member, or leave the organization when removing yourself
+ * DELETE /organizations/me/members/:userId
+ */
+const removeMember = async (req, res) => {
+  try {
+    const memberUserId = parsePositiveId(req.params.userId);
+    if (!memberUserId) {
+      return res.status(400).json({ error: 'Invalid user id' });
+    }
+
+    const { org_id: orgId, role: actorRole } = req.organizationMembership;
+    const isLeaving = memberUserId === req.user.id;
+
+    if (!isLeaving && !organizationMemberService.hasOrganizationPermission(actorRole, 'members:manage')) {
+      return res.status(403).json({ error: 'Your organization role does not allow this action' });
+    }
+
+    const member = await organizationMemberService.removeMember({ orgId, actorRole, memberUserId });
+
+    void logAudit({
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.ORGANIZATION_MEMBER_REMOVED,
+      entityType: 'ORGANIZATION',
+      entityId: orgId,
+      metadata: { userId: memberUserId, role: member.role, left: isLeaving },
+    });
+
+    return res.status(200).json({ message: isLeaving ? 'You left the organization' : 'Member removed' });
+  } catch (error) {
+    return handleMemberServiceError(res, error, 'Remove organization member');
+  }
+};
+
 module.exports = {
   getOrganization,
   updateOrganization,
+  getMembers,
+  getInvitations,
+  inviteMember,
+  revokeInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember,
 };
\ No newline at end of file
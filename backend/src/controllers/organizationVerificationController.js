@@ -0,0 +1,265 @@
+const multer = require('multer');
+const organizationVerificationService = require('../services/organizationVerificationService');
+const { getStorageAdapter } = require('../services/storage');
+
+const ALLOWED_MIME_TYPES = ['application/pdf', 'image/png', 'image/jpeg'];
+const MAX_DOCUMENTS = 5;
+const maxFileSizeBytes = Number.parseInt(process.env.ORGANIZATION_VERIFICATION_MAX_FILE_SIZE || '', 10) || 10 * 1024 * 1024;
+const REQUEST_STATUSES = ['pending', 'info_requested', 'approved', 'rejected', 'all'];
+
+const VERIFICATION_ERROR_RESPONSES = {
+  REGISTRATION_NUMBER_REQUIRED: [400, 'registration_number is required'],
+  INVALID_REGISTRATION_NUMBER: [400, 'registration_number must be 100 characters or fewer'],
+  DOCUMENTS_REQUIRED: [400, 'At least one supporting document is required'],
+  VERIFICATION_RESPONSE_REQUIRED: [400, 'Add documents or notes to respond to the information request'],
+  INVALID_REVIEW_ACTION: [400, 'Invalid review action'],
+  REVIEW_MESSAGE_REQUIRED: [400, 'A message for the organization is required'],
+  ORGANIZATION_NOT_FOUND: [404, 'Organization not found'],
+  VERIFICATION_REQUEST_NOT_FOUND: [404, 'Verification request not found'],
+  DOCUMENT_NOT_FOUND: [404, 'Document not found'],
+  VERIFICATION_ALREADY_PENDING: [409, 'A verification request is already awaiting review'],
+  VERIFICATION_REQUEST_NOT_OPEN: [409, 'Verification request has already been reviewed']
+};
+
+function handleVerificationServiceError(res, error, context) {
+  const mapped = VERIFICATION_ERROR_RESPONSES[error.message];
+  if (mapped) {
+    return res.status(mapped[0]).json({ error: mapped[1] });
+  }
+
+  console.error(`${context} error:`, error);
+  return res.status(500).json({ error: 'Internal server error' });
+}
+
+function parsePositiveId(value) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: maxFileSizeBytes,
+    files: MAX_DOCUMENTS
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new Error('Unsupported file type'));
+    }
+    return cb(null, true);
+  }
+});
+
+const verificationUploadMiddleware = (req, res, next) => {
+  upload.array('documents', MAX_DOCUMENTS)(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ error: `File exceeds size limit of ${maxFileSizeBytes} bytes` });
+    }
+
+    if (error instanceof multer.MulterError && ['LIMIT_FILE_COUNT', 'LIMIT_UNEXPECTED_FILE'].includes(error.code)) {
+      return res.status(400).json({ error: `Upload up to ${MAX_DOCUMENTS} files in the documents field` });
+    }
+
+    if (error.message === 'Unsupported file type') {
+      return res.status(400).json({ error: `Unsupported file type. Allowed types: ${ALLOWED_MIME_TYPES.join(', ')}` });
+    }
+
+    return res.status(400).json({ error: 'Invalid upload request' });
+  });
+};
+
+async function sendDocument(res, document) {
+  const storageAdapter = getStorageAdapter();
+  const stream = await storageAdapter.getReadStream(document.storage_key);
+
+  res.setHeader('Content-Type', document.mimetype);
+  res.setHeader('Content-Length', String(document.size));
+  res.setHeader('Content-Disposition', `attachment; filename="${document.file_name}"`);
+  return stream.pipe(res);
+}
+
+/**
+ * Verification status of the current user's organization and its latest request
+ * GET /organizations/me/verification
+ */
+const getMyVerification = async (req, res) => {
+  try {
+    const summary = await organizationVerificationService.getVerificationSummary(req.organizationMembership.org_id);
+    return res.status(200).json(summary);
+  } catch (error) {
+    return handleVerificationServiceError(res, error, 'Get organization verification');
+  }
+};
+
+/**
+ * Submit a verification request, or answer an admin's information request
+ * POST /organizations/me/verification
+ */
+const submitMyVerification = async (req, res) => {
+  try {
+    const result = await organizationVerificationService.submitVerificationRequest({
+      orgId: req.organizationMembership.org_id,
+      user: req.user,
+      registrationNumber: req.body?.registration_number,
+      registrationAuthority: req.body?.registration_authority,
+      notes: req.body?.notes,
+      files: req.files || [],
+      route: req.originalUrl
+    });
+
+    if (!result.accepted) {
+      return res.status(result.statusCode).json({
+        error: result.message,
+        code: result.errorCode,
+        reason: result.reason,
+        accountSuspended: result.accountSuspended,
+        incidentId: result.incident?.id || null
+      });
+    }
+
+    return res.status(result.resubmitted ? 200 : 201).json({
+      message: result.resubmitted ? 'Verification request updated' : 'Verification request submitted',
+      request: result.request
+    });
+  } catch (error) {
+    return handleVerificationServiceError(res, error, 'Submit organization verification');
+  }
+};
+
+/**
+ * Download a document the organization submitted
+ * GET /organizations/me/verification/documents/:documentId
+ */
+const downloadMyVerificationDocument = async (req, res) => {
+  try {
+    const documentId = parsePositiveId(req.params.documentId);
+    if (!documentId) {
+      return res.status(400).json({ error: 'Invalid document id' });
+    }
+
+    const document = await organizationVerificationService.findVerificationDocument({
+      documentId,
+      orgId: req.organizationMembership.org_id
+    });
+    return await sendDocument(res, document);
+  } catch (error) {
+    return handleVerificationServiceError(res, error, 'Download organization verification document');
+  }
+};
+
+/**
+ * Review queue, oldest first; defaults to requests awaiting action
+ * GET /admin/organization-verifications?status=pending|info_requested|approved|rejected|all
+ */
+const adminListVerificationRequests = async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !REQUEST_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${REQUEST_STATUSES.join(', ')}` });
+    }
+
+    const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, Number.parseInt(req.query.limit, 10) || 20));
+
+    const { count, requests } = await organizationVerificationService.listVerificationRequests({ status, page, limit });
+
+    return res.status(200).json({
+      requests,
+      pagination: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    return handleVerificationServiceError(res, error, 'List organization verification requests');
+  }
+};
+
+/**
+ * GET /admin/organization-verifications/:requestId
+ */
+const adminGetVerificationRequest = async (req, res) => {
+  try {
+    const requestId = parsePositiveId(req.params.requestId);
+    if (!requestId) {
+      return res.status(400).json({ error: 'Invalid verification request id' });
+    }
+
+    const request = await organizationVerificationService.getVerificationRequest(requestId);
+    return res.status(200).json({ request });
+  } catch (error) {
+    return handleVerificationServiceError(res, error, 'Get organization verification request');
+  }
+};
+
+const reviewHandler = (action, successMessage) => async (req, res) => {
+  try {
+    const requestId = parsePositiveId(req.params.requestId);
+    if (!requestId) {
+      return res.status(400).json({ error: 'Invalid verification request id' });
+    }
+
+    const { request, organization } = await organizationVerificationService.reviewVerificationRequest({
+      requestId,
+      reviewer: req.user,
+      action,
+      message: req.body?.message
+    });
+
+    return res.status(200).json({ message: successMessage, request, organization });
+  } catch (error) {
+    return handleVerificationServiceError(res, error, `Organization verification ${action}`);
+  }
+};
+
+/**
+ * POST /admin/organization-verifications/:requestId/approve
+ */
+const adminApproveVerificationRequest = reviewHandler('approve', 'Organization verified');
+
+/**
+ * POST /admin/organization-verifications/:requestId/reject
+ */
+const adminRejectVerificationRequest = reviewHandler('reject', 'Verification request rejected');
+
+/**
+ * POST /admin/organization-verifications/:requestId/request-info
+ */
+const adminRequestVerificationInfo = reviewHandler('request_info', 'More information requested');
+
+/**
+ * GET /admin/organization-verifications/:requestId/documents/:documentId
+ */
+const adminDownloadVerificationDocument = async (req, res) => {
+  try {
+    const requestId = parsePositiveId(req.params.requestId);
+    const documentId = parsePositiveId(req.params.documentId);
+    if (!requestId || !documentId) {
+      return res.status(400).json({ error: 'Invalid document id' });
+    }
+
+    const document = await organizationVerificationService.findVerificationDocument({ documentId, requestId });
+    return await sendDocument(res, document);
+  } catch (error) {
+    return handleVerificationServiceError(res, error, 'Download verification document');
+  }
+};
+
+module.exports = {
+  verificationUploadMiddleware,
+  getMyVerification,
+  submitMyVerification,
+  downloadMyVerificationDocument,
+  adminListVerificationRequests,
+  adminGetVerificationRequest,
+  adminApproveVerificationRequest,
+  adminRejectVerificationRequest,
+  adminRequestVerificationInfo,
+  adminDownloadVerificationDocument
+};
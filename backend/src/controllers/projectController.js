@@ -10,6 +10,16 @@ const {
 const { Op } = require('sequelize');
 const notificationService = require('../services/notificationService');
 const { syncProjectsCompletedForProject } = require('../services/researcherMetricsService');
+const projectSearchService = require('../services/projectSearchService');
+const organizationMemberService = require('../services/organizationMemberService');
+const {
+  isCursorRequest,
+  parsePageSize,
+  buildOrder,
+  createCursorPage,
+  withCursorWhere,
+  isInvalidCursorError
+} = require('../utils/cursorPagination');
 
 const buildRatingSummary = (ratings = []) => {
   if (!ratings.length) {
@@ -74,6 +84,9 @@ const buildRatingSummary = (ratings = []) => {
 /**
  * Browse and search public projects (for researchers)
  * GET /projects/browse
+ * Query: search supports "quoted phrases" and prefix* terms;
+ * sort=relevance|newest|budget|start_date (relevance is the default when searching).
+ * Send ?cursor= (empty for the first page) for cursor pagination; page/limit still work.
  */
 const browseProjects = async (req, res) => {
   try {
@@ -84,23 +97,35 @@ const browseProjects = async (req, res) => {
       budget_max,
       data_sensitivity,
       timeline,
+      sort,
       page = 1,
       limit = 20
     } = req.query;
 
+    const searchTerms = projectSearchService.parseSearchQuery(search);
+    const isSearching = searchTerms.length > 0;
+    const sortBy = sort || (isSearching ? 'relevance' : 'newest');
+
+    if (!projectSearchService.SORT_OPTIONS.includes(sortBy)) {
+      return res.status(400).json({
+        error: `sort must be one of: ${projectSearchService.SORT_OPTIONS.join(', ')}`
+      });
+    }
+
     // Build where clause
     const whereClause = {
       status: 'open' // Only show open projects
     };
 
-    // Search in title, problem, outcomes, methods_required
-    if (search) {
-      whereClause[Op.or] = [
-        { title: { [Op.iLike]: `%${search}%` } },
-        { problem: { [Op.iLike]: `%${search}%` } },
-        { outcomes: { [Op.iLike]: `%${search}%` } },
-        { methods_required: { [Op.iLike]: `%${search}%` } }
-      ];
+    // Ranked full-text search where the search_vector column exists, iLike otherwise
+    let fullTextQuery = null;
+    if (isSearching) {
+      if (await projectSearchService.hasFullTextSearch()) {
+        fullTextQuery = projectSearchService.buildFullTextQuery(searchTerms);
+        whereClause[Op.and] = [fullTextQuery.where];
+      } else {
+        Object.assign(whereClause, projectSearchService.buildFallbackWhere(searchTerms));
+      }
     }
 
     // Filter by methods (case-insensitive partial match)
@@ -143,23 +168,42 @@ const browseProjects = async (req, res) => {
       whereClause.timeline = { [Op.iLike]: `%${timeline}%` };
     }
 
-    // Pagination
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-
-    // Execute query with organization details
-    const { count, rows } = await Project.findAndCountAll({
-      where: whereClause,
+    const sortKeys = projectSearchService.getSortKeys(sortBy, fullTextQuery?.rank);
+    const queryOptions = {
+      ...(fullTextQuery && { attributes: { include: fullTextQuery.attributes } }),
       include: [
         {
           model: Organization,
           as: 'organization',
-          attributes: ['id', 'name', 'mission', 'focus_tags']
+          attributes: ['id', 'name', 'mission', 'focus_tags', 'is_verified']
         }
-      ],
-      order: [['project_id', 'DESC']], // Most recent first
-      limit: parseInt(limit),
-      offset: offset
-    });
+      ]
+    };
+
+    // Execute query with organization details
+    const cursorPage = isCursorRequest(req.query)
+      ? createCursorPage(req.query, { scope: 'projects.browse', keys: sortKeys })
+      : null;
+    const parsedLimit = parsePageSize(limit);
+    let count = 0;
+    let rows;
+
+    if (cursorPage) {
+      rows = await Project.findAll({
+        ...queryOptions,
+        where: withCursorWhere(whereClause, cursorPage.where),
+        order: cursorPage.order,
+        limit: cursorPage.limit
+      });
+    } else {
+      ({ count, rows } = await Project.findAndCountAll({
+        ...queryOptions,
+        where: whereClause,
+        order: buildOrder(sortKeys),
+        limit: parsedLimit,
+        offset: (parseInt(page) - 1) * parsedLimit
+      }));
+    }
 
     const projectIds = rows.map((project) => project.project_id);
     let ratingSummaryByProject = new Map();
@@ -196,22 +240,34 @@ const browseProjects = async (req, res) => {
         },
       };
 
+      const data = project.toJSON();
+      if (isSearching && !fullTextQuery) {
+        data.search_snippet = projectSearchService.buildFallbackSnippet(data, searchTerms);
+      }
+
       return {
-        ...project.toJSON(),
+        ...data,
         rating_summary: summary,
       };
     });
 
+    if (cursorPage) {
+      return res.status(200).json(cursorPage.buildPage(projects));
+    }
+
     return res.status(200).json({
       projects,
       pagination: {
         total: count,
         page: parseInt(page),
-        limit: parseInt(limit),
-        totalPages: Math.ceil(count / parseInt(limit))
+        limit: parsedLimit,
+        totalPages: Math.ceil(count / parsedLimit)
       }
     });
   } catch (error) {
+    if (isInvalidCursorError(error)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
     console.error('Browse projects error:', error);
     return res.status(500).json({ error: 'Internal server error' });
   }
@@ -234,7 +290,7 @@ const getFeaturedProjects = async (req, res) => {
         {
           model: Organization,
           as: 'organization',
-          attributes: ['id', 'name', 'mission', 'focus_tags'],
+          attributes: ['id', 'name', 'mission', 'focus_tags', 'is_verified'],
         },
       ],
       order: [['project_id', 'DESC']],
@@ -376,7 +432,7 @@ const getSavedProjects = async (req, res) => {
             {
               model: Organization,
               as: 'organization',
-              attributes: ['id', 'name', 'mission', 'focus_tags'],
+              attributes: ['id', 'name', 'mission', 'focus_tags', 'is_verified'],
             },
           ],
         },
@@ -414,7 +470,7 @@ const getPublicProject = async (req, res) => {
         {
           model: Organization,
           as: 'organization',
-          attributes: ['id', 'name', 'mission', 'focus_tags', 'EIN', 'contacts']
+          attributes: ['id', 'name', 'mission', 'focus_tags', 'EIN', 'contacts', 'is_verified', 'verified_at']
         }
       ]
     });
@@ -496,6 +552,12 @@ const createProject = async (req, res) => {
         .json({ error: 'Organization not found for this user.' });
     }
 
+    if (!(await organizationMemberService.canInOrganization(user, user.org_id, 'projects:create'))) {
+      return res
+        .status(403)
+        .json({ error: 'Your organization role does not allow creating projects' });
+    }
+
     const {
       title,
       problem,
@@ -647,6 +709,12 @@ const getProjects = async (req, res) => {
         .json({ error: 'Organization not found for this user' });
     }
 
+    if (!(await organizationMemberService.canInOrganization(user, user.org_id, 'projects:view'))) {
+      return res
+        .status(403)
+        .json({ error: 'Your organization role does not allow viewing projects' });
+    }
+
     // Optional filtering by status
     const { status } = req.query;
     const whereClause = { org_id: user.org_id };
@@ -694,6 +762,12 @@ const getProject = async (req, res) => {
       return res.status(404).json({ error: 'Organization not found' });
     }
 
+    if (!(await organizationMemberService.canInOrganization(user, user.org_id, 'projects:view'))) {
+      return res
+        .status(403)
+        .json({ error: 'Your organization role does not allow viewing projects' });
+    }
+
     const project = await Project.findOne({
       where: {
         project_id: projectId,
@@ -739,6 +813,12 @@ const updateProject = async (req, res) => {
       return res.status(404).json({ error: 'Organization not found' });
     }
 
+    if (!(await organizationMemberService.canInOrganization(user, user.org_id, 'projects:update'))) {
+      return res
+        .status(403)
+        .json({ error: 'Your organization role does not allow updating projects' });
+    }
+
     const project = await Project.findOne({
       where: {
         project_id: projectId,
@@ -1057,6 +1137,12 @@ const deleteProject = async (req, res) => {
       return res.status(404).json({ error: 'Organization not found' });
     }
 
+    if (!(await organizationMemberService.canInOrganization(user, user.org_id, 'projects:delete'))) {
+      return res
+        .status(403)
+        .json({ error: 'Your organization role does not allow deleting projects' });
+    }
+
     const project = await Project.findOne({
       where: {
         project_id: projectId,
@@ -1126,6 +1212,12 @@ const submitForReview = async (req, res) => {
         .json({ error: 'Organization not found' });
     }
 
+    if (!(await organizationMemberService.canInOrganization(user, user.org_id, 'projects:update'))) {
+      return res
+        .status(403)
+        .json({ error: 'Your organization role does not allow submitting projects for review' });
+    }
+
     const project = await Project.findOne({
       where: {
         project_id: projectId,
@@ -7,10 +7,15 @@ const {
 } = require('../database/models');
 const notificationService = require('../services/notificationService');
 const { logAudit, AUDIT_ACTIONS } = require('../utils/auditLogger');
-const { createBulkJob, updateBulkJob } = require('../utils/bulkJobStore');
+const {
+  registerBulkJobHandler,
+  executeBulkItems,
+  createBulkJob,
+  isBulkJobLimitError
+} = require('../services/bulkJobService');
+const { parseScores, calculateSummary } = require('../utils/ratingScores');
 
 const REVIEW_EDIT_WINDOW_DAYS = 14;
-const SCORE_DIMENSIONS = ['quality', 'communication', 'timeliness', 'overall'];
 const MAX_COMMENT_LENGTH = 2000;
 const BULK_SYNC_THRESHOLD = 50;
 
@@ -52,48 +57,6 @@ const buildBulkResponse = ({ action, batchId, mode, requestedCount, processed, s
   queued,
 });
 
-const parseScores = (scores) => {
-  let parsed = scores;
-  if (typeof scores === 'string') {
-    try {
-      parsed = JSON.parse(scores);
-    } catch (error) {
-      return null;
-    }
-  }
-
-  if (typeof parsed === 'number') {
-    parsed = { overall: parsed };
-  }
-
-  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
-    return null;
-  }
-
-  const overallValue = parsed.overall;
-  if (!Number.isInteger(overallValue) || overallValue < 1 || overallValue > 5) {
-    return null;
-  }
-
-  const normalized = { overall: overallValue };
-  for (const dimension of SCORE_DIMENSIONS) {
-    if (dimension === 'overall') {
-      continue;
-    }
-    const value = parsed[dimension];
-    if (value === undefined || value === null || value === '') {
-      normalized[dimension] = overallValue;
-      continue;
-    }
-    if (!Number.isInteger(value) || value < 1 || value > 5) {
-      return null;
-    }
-    normalized[dimension] = value;
-  }
-
-  return normalized;
-};
-
 const parseOptionalComments = (rawComments) => {
   if (rawComments === undefined || rawComments === null) {
     return { comments: null };
@@ -212,62 +175,6 @@ const ensureReviewerCanRateProject = async ({ reviewer, projectId }) => {
   return { project };
 };
 
-const calculateSummary = (ratings) => {
-  if (!ratings.length) {
-    return {
-      count: 0,
-      averages: {
-        quality: 0,
-        communication: 0,
-        timeliness: 0,
-        overall: 0
-      }
-    };
-  }
-
-  const sums = {
-    quality: 0,
-    communication: 0,
-    timeliness: 0,
-    overall: 0
-  };
-  let scoredCount = 0;
-
-  for (const rating of ratings) {
-    const scores = parseScores(rating.scores);
-    if (!scores) {
-      continue;
-    }
-    scoredCount += 1;
-    sums.quality += scores.quality;
-    sums.communication += scores.communication;
-    sums.timeliness += scores.timeliness;
-    sums.overall += scores.overall;
-  }
-
-  if (scoredCount === 0) {
-    return {
-      count: ratings.length,
-      averages: {
-        quality: 0,
-        communication: 0,
-        timeliness: 0,
-        overall: 0
-      }
-    };
-  }
-
-  return {
-    count: ratings.length,
-    averages: {
-      quality: Number((sums.quality / scoredCount).toFixed(2)),
-      communication: Number((sums.communication / scoredCount).toFixed(2)),
-      timeliness: Number((sums.timeliness / scoredCount).toFixed(2)),
-      overall: Number((sums.overall / scoredCount).toFixed(2))
-    }
-  };
-};
-
 const submitProjectRating = async (req, res) => {
   try {
     const projectId = Number.parseInt(req.params.projectId, 10);
@@ -685,6 +592,82 @@ const moderateRating = async (req, res) => {
   }
 };
 
+const RATING_MODERATION_STATUSES = {
+  flag: 'flagged',
+  remove: 'removed',
+  restore: 'active',
+};
+
+// Bulk job processor; receives the job context so queued moderation can resume after a restart
+const processBulkRatingItem = async ({ actor, action, params, batchId }, ratingId) => {
+  const { reason } = params;
+  const rating = await Rating.findByPk(ratingId, {
+    include: [
+      {
+        model: Project,
+        as: 'project',
+        attributes: ['project_id', 'title'],
+      },
+    ],
+  });
+
+  if (!rating) {
+    return { status: 'skipped', reason: 'Rating not found' };
+  }
+
+  const newStatus = RATING_MODERATION_STATUSES[action];
+  if (rating.status === newStatus) {
+    return { status: 'skipped', reason: `Rating is already ${newStatus}` };
+  }
+
+  const previousStatus = rating.status;
+
+  await rating.update({
+    status: newStatus,
+    moderation_reason: reason ? String(reason).trim() : null,
+    moderated_by: actor.id,
+    moderated_at: new Date(),
+  });
+
+  if (rating.rated_by_user_id) {
+    try {
+      await notificationService.createNotification({
+        userId: rating.rated_by_user_id,
+        type: 'rating_moderated',
+        title: 'Rating Moderation Update',
+        message: `Your rating for project "${rating.project?.title || rating.project_id}" was ${newStatus}.`,
+        link: `/browse?project=${rating.project_id}`,
+        metadata: {
+          rating_id: rating.id,
+          moderation_action: action,
+          moderation_reason: reason || null,
+          batch_id: batchId,
+        },
+      });
+    } catch (notifError) {
+      console.error('Bulk rating notification error:', notifError);
+    }
+  }
+
+  await logAudit({
+    actorId: actor.id,
+    action: AUDIT_ACTIONS.ADMIN_BULK_REVIEW_MODERATED,
+    entityType: 'rating',
+    entityId: rating.id,
+    metadata: {
+      batch_id: batchId,
+      moderation_action: action,
+      moderation_reason: reason || null,
+      previous_status: previousStatus,
+      new_status: newStatus,
+    },
+  });
+
+  return { status: 'processed', message: `Rating ${newStatus}` };
+};
+
+registerBulkJobHandler('rating', processBulkRatingItem);
+
 const bulkModerateRatings = async (req, res) => {
   try {
     const { ids, action, reason } = req.body || {};
@@ -697,95 +680,15 @@ const bulkModerateRatings = async (req, res) => {
       return res.status(400).json({ error: 'Provide a non-empty ids array with valid integer IDs.' });
     }
 
-    const statusMap = {
-      flag: 'flagged',
-      remove: 'removed',
-      restore: 'active',
-    };
-
-    const executeBulk = async (batchId, targetIds) => {
-      const processed = [];
-      const skipped = [];
-      const failed = [];
-
-      for (const ratingId of targetIds) {
-        try {
-          const rating = await Rating.findByPk(ratingId, {
-            include: [
-              {
-                model: Project,
-                as: 'project',
-                attributes: ['project_id', 'title'],
-              },
-            ],
-          });
-
-          if (!rating) {
-            skipped.push({ id: ratingId, reason: 'Rating not found' });
-            continue;
-          }
-
-          const newStatus = statusMap[action];
-          if (rating.status === newStatus) {
-            skipped.push({ id: ratingId, reason: `Rating is already ${newStatus}` });
-            continue;
-          }
-
-          const previousStatus = rating.status;
-
-          await rating.update({
-            status: newStatus,
-            moderation_reason: reason ? String(reason).trim() : null,
-            moderated_by: req.user.id,
-            moderated_at: new Date(),
-          });
-
-          if (rating.rated_by_user_id) {
-            try {
-              await notificationService.createNotification({
-                userId: rating.rated_by_user_id,
-                type: 'rating_moderated',
-                title: 'Rating Moderation Update',
-                message: `Your rating for project "${rating.project?.title || rating.project_id}" was ${newStatus}.`,
-                link: `/browse?project=${rating.project_id}`,
-                metadata: {
-                  rating_id: rating.id,
-                  moderation_action: action,
-                  moderation_reason: reason || null,
-                  batch_id: batchId,
-                },
-              });
-            } catch (notifError) {
-              console.error('Bulk rating notification error:', notifError);
-            }
-          }
-
-          await logAudit({
-            actorId: req.user.id,
-            action: AUDIT_ACTIONS.ADMIN_BULK_REVIEW_MODERATED,
-            entityType: 'rating',
-            entityId: rating.id,
-            metadata: {
-              batch_id: batchId,
-              moderation_action: action,
-              moderation_reason: reason || null,
-              previous_status: previousStatus,
-              new_status: newStatus,
-            },
-          });
-
-          processed.push({ id: rating.id, message: `Rating ${newStatus}` });
-        } catch (error) {
-          failed.push({ id: ratingId, error: error.message || 'Failed to moderate rating' });
-        }
-      }
-
-      return { processed, skipped, failed };
-    };
+    const params = { reason: reason || null };
 
     if (normalizedIds.length <= BULK_SYNC_THRESHOLD) {
       const batchId = `batch_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
-      const result = await executeBulk(batchId, normalizedIds);
+      const context = { actor: { id: req.user.id, role: req.user.role }, action, params, batchId };
+      const result = await executeBulkItems({
+        ids: normalizedIds,
+        processItem: (ratingId) => processBulkRatingItem(context, ratingId),
+      });
       return res.status(200).json(buildBulkResponse({
         action,
         batchId,
@@ -797,57 +700,34 @@ const bulkModerateRatings = async (req, res) => {
       }));
     }
 
-    const job = createBulkJob({
+    const job = await createBulkJob({
       entityType: 'rating',
       action,
       actorId: req.user.id,
-      requestedCount: normalizedIds.length,
-    });
-
-    queueMicrotask(async () => {
-      updateBulkJob(job.jobId, { status: 'running' });
-      try {
-        const result = await executeBulk(job.jobId, normalizedIds);
-        updateBulkJob(job.jobId, {
-          status: 'completed',
-          result: buildBulkResponse({
-            action,
-            batchId: job.jobId,
-            mode: 'queued',
-            requestedCount: normalizedIds.length,
-            processed: result.processed,
-            skipped: result.skipped,
-            failed: result.failed,
-            queued: {
-              jobId: job.jobId,
-              status: 'completed',
-              queuedCount: normalizedIds.length,
-            },
-          }),
-        });
-      } catch (error) {
-        updateBulkJob(job.jobId, {
-          status: 'failed',
-          error: error.message || 'Bulk rating moderation failed',
-        });
-      }
+      ids: normalizedIds,
+      params,
     });
 
     return res.status(202).json(buildBulkResponse({
       action,
-      batchId: job.jobId,
+      batchId: job.id,
       mode: 'queued',
       requestedCount: normalizedIds.length,
       processed: [],
       skipped: [],
       failed: [],
       queued: {
-        jobId: job.jobId,
+        jobId: job.id,
         status: 'queued',
         queuedCount: normalizedIds.length,
       },
     }));
   } catch (error) {
+    if (isBulkJobLimitError(error)) {
+      return res.status(429).json({
+        error: 'Too many bulk jobs in progress. Wait for one to finish or cancel it before starting another.',
+      });
+    }
     console.error('Bulk moderate ratings error:', error);
     return res.status(500).json({ error: 'Failed to process bulk rating moderation' });
   }
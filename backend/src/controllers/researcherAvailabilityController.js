@@ -0,0 +1,154 @@
+const researcherCapacityService = require('../services/researcherCapacityService');
+const { logAudit, AUDIT_ACTIONS } = require('../utils/auditLogger');
+
+const AVAILABILITY_VIEWER_ROLES = ['nonprofit', 'admin', 'super_admin'];
+
+const AVAILABILITY_ERROR_RESPONSES = {
+  INVALID_WEEKLY_HOURS: [400, `weekly_hours must map weekdays (${researcherCapacityService.WEEKDAYS.join(', ')}) to hours between 0 and 24`],
+  INVALID_BLACKOUT_PERIOD: [400, 'start_date and end_date must be valid dates with end_date on or after start_date'],
+  BLACKOUT_PERIOD_IN_PAST: [400, 'Blackout periods must end today or later'],
+  INVALID_BLACKOUT_REASON: [400, 'reason must be 255 characters or fewer'],
+  RESEARCHER_NOT_FOUND: [404, 'Researcher profile not found'],
+  BLACKOUT_PERIOD_NOT_FOUND: [404, 'Blackout period not found']
+};
+
+function handleAvailabilityServiceError(res, error, context) {
+  const mapped = AVAILABILITY_ERROR_RESPONSES[error.message];
+  if (mapped) {
+    return res.status(mapped[0]).json({ error: mapped[1] });
+  }
+
+  console.error(`${context} error:`, error);
+  return res.status(500).json({ error: 'Internal server error' });
+}
+
+function parsePositiveId(value) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+/**
+ * Weekly schedule, blackout periods, milestone commitments and free hours
+ * GET /researchers/me/availability
+ */
+const getMyAvailability = async (req, res) => {
+  try {
+    const availability = await researcherCapacityService.getCapacitySummary(req.user.id);
+    return res.status(200).json({ availability });
+  } catch (error) {
+    return handleAvailabilityServiceError(res, error, 'Get availability');
+  }
+};
+
+/**
+ * Publish the weekly schedule; weekly_hours: null removes it
+ * PUT /researchers/me/availability
+ */
+const updateMyWeeklyHours = async (req, res) => {
+  try {
+    if (!req.body || !Object.prototype.hasOwnProperty.call(req.body, 'weekly_hours')) {
+      return res.status(400).json({ error: 'weekly_hours is required' });
+    }
+
+    const weeklyHours = await researcherCapacityService.updateWeeklyHours(req.user.id, req.body.weekly_hours);
+
+    void logAudit({
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.RESEARCHER_AVAILABILITY_UPDATE,
+      entityType: 'RESEARCHER_PROFILE',
+      entityId: req.user.id,
+      metadata: { weekly_total: researcherCapacityService.getWeeklyTotal(weeklyHours) }
+    });
+
+    const availability = await researcherCapacityService.getCapacitySummary(req.user.id);
+    return res.status(200).json({ message: 'Availability updated', availability });
+  } catch (error) {
+    return handleAvailabilityServiceError(res, error, 'Update availability');
+  }
+};
+
+/**
+ * GET /researchers/me/availability/blackouts?include_past=true
+ */
+const getMyBlackoutPeriods = async (req, res) => {
+  try {
+    const blackoutPeriods = await researcherCapacityService.listBlackoutPeriods(req.user.id, {
+      includePast: req.query.include_past === 'true'
+    });
+    return res.status(200).json({ blackout_periods: blackoutPeriods });
+  } catch (error) {
+    return handleAvailabilityServiceError(res, error, 'Get blackout periods');
+  }
+};
+
+/**
+ * POST /researchers/me/availability/blackouts
+ */
+const createBlackoutPeriod = async (req, res) => {
+  try {
+    const blackoutPeriod = await researcherCapacityService.createBlackoutPeriod({
+      researcherId: req.user.id,
+      startDate: req.body?.start_date,
+      endDate: req.body?.end_date,
+      reason: req.body?.reason
+    });
+
+    return res.status(201).json({ message: 'Blackout period added', blackout_period: blackoutPeriod });
+  } catch (error) {
+    return handleAvailabilityServiceError(res, error, 'Create blackout period');
+  }
+};
+
+/**
+ * DELETE /researchers/me/availability/blackouts/:periodId
+ */
+const deleteBlackoutPeriod = async (req, res) => {
+  try {
+    const periodId = parsePositiveId(req.params.periodId);
+    if (!periodId) {
+      return res.status(400).json({ error: 'Invalid blackout period id' });
+    }
+
+    await researcherCapacityService.deleteBlackoutPeriod({ researcherId: req.user.id, periodId });
+    return res.status(200).json({ message: 'Blackout period removed' });
+  } catch (error) {
+    return handleAvailabilityServiceError(res, error, 'Delete blackout period');
+  }
+};
+
+/**
+ * Capacity of a researcher for nonprofits planning work; milestone details and blackout
+ * reasons stay private to the researcher
+ * GET /researchers/:id/availability
+ */
+const getResearcherAvailability = async (req, res) => {
+  try {
+    const researcherId = parsePositiveId(req.params.id);
+    if (!researcherId) {
+      return res.status(400).json({ error: 'Invalid researcher id' });
+    }
+    if (researcherId !== req.user.id && !AVAILABILITY_VIEWER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Only nonprofits and admins can view researcher availability' });
+    }
+
+    const { assignments, blackout_periods: blackoutPeriods, ...summary } = await researcherCapacityService.getCapacitySummary(researcherId);
+
+    return res.status(200).json({
+      availability: {
+        ...summary,
+        blackout_periods: blackoutPeriods.map(({ start_date, end_date }) => ({ start_date, end_date }))
+      }
+    });
+  } catch (error) {
+    return handleAvailabilityServiceError(res, error, 'Get researcher availability');
+  }
+};
+
+module.exports = {
+  getMyAvailability,
+  updateMyWeeklyHours,
+  getMyBlackoutPeriods,
+  createBlackoutPeriod,
+  deleteBlackoutPeriod,
+  getResearcherAvailability
+};
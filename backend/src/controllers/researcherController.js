@@ -1,6 +1,17 @@
-const { ResearcherProfile, AcademicHistory, Certification, Application, Project, Organization, User, Rating } = require('../database/models');
+const {
+  ResearcherProfile,
+  AcademicHistory,
+  Certification,
+  CertificationEvidence,
+  Application,
+  Project,
+  Organization,
+  Rating,
+} = require('../database/models');
 const { logAudit, AUDIT_ACTIONS } = require('../utils/auditLogger');
 const { syncProjectsCompletedForUser } = require('../services/researcherMetricsService');
+const researcherPublicProfileService = require('../services/researcherPublicProfileService');
+const certificationVerificationService = require('../services/certificationVerificationService');
 const {
   parseDelimitedList,
   normalizeResearcherListPayload,
@@ -310,6 +321,13 @@ const getCertifications = async (req, res) => {
 
     const certifications = await Certification.findAll({
       where: { user_id: userId },
+      include: [
+        {
+          model: CertificationEvidence,
+          as: 'evidence',
+          attributes: certificationVerificationService.EVIDENCE_ATTRIBUTES,
+        },
+      ],
       order: [['year', 'DESC'], ['created_at', 'DESC']]
     });
 
@@ -387,6 +405,16 @@ const updateCertification = async (req, res) => {
       return res.status(400).json({ error: 'No valid update fields provided' });
     }
 
+    // A verification only vouches for the details the admin reviewed
+    const updatedFields = Object.keys(updates);
+    const detailsChanged = updatedFields.some((field) => String(updates[field] ?? '') !== String(certification[field] ?? ''));
+    const clearsVerification = detailsChanged && ['pending', 'verified'].includes(certification.verification_status);
+    if (clearsVerification) {
+      updates.verification_status = 'unverified';
+      updates.verified_at = null;
+      updates.verified_by = null;
+    }
+
     await certification.update(updates);
 
     void logAudit({
@@ -394,7 +422,7 @@ const updateCertification = async (req, res) => {
       action: AUDIT_ACTIONS.CERTIFICATION_UPDATE,
       entityType: 'CERTIFICATION',
       entityId: certification.id,
-      metadata: { updatedFields: Object.keys(updates) },
+      metadata: { updatedFields, verificationCleared: clearsVerification },
     });
 
     return res.status(200).json({ 
@@ -424,7 +452,7 @@ const deleteCertification = async (req, res) => {
       return res.status(404).json({ error: 'Certification not found' });
     }
 
-    await certification.destroy();
+    await certificationVerificationService.deleteCertificationWithEvidence(certification);
 
     void logAudit({
       actorId: userId,
@@ -548,57 +576,79 @@ const getResearcherProjects = async (req, res) => {
 };
 
 /**
- * Get a researcher's public profile by user ID
+ * Get another researcher's public profile, limited to the sections the researcher shares with
+ * the viewer
  * GET /researchers/:id
  * Auth: any authenticated user (nonprofit, researcher, admin)
  */
 const getResearcherProfileById = async (req, res) => {
   try {
-    const { id } = req.params;
-
-    const profile = await ResearcherProfile.findOne({
-      where: { user_id: id }
+    const profile = await researcherPublicProfileService.buildPublicProfile({
+      researcherId: req.params.id,
+      viewer: req.user,
     });
 
-    if (!profile) {
+    return res.status(200).json(profile);
+  } catch (error) {
+    if (error.message === 'RESEARCHER_NOT_FOUND') {
       return res.status(404).json({ error: 'Researcher profile not found' });
     }
+    console.error('Get researcher profile by ID error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
 
-    // Fetch user info (only active, non-deleted users)
-    const user = await User.findOne({
-      where: { id, account_status: 'active', deleted_at: null },
-      attributes: ['id', 'name', 'email', 'role']
+/**
+ * Who can see each section of the current researcher's public profile
+ * GET /researchers/me/privacy
+ */
+const getProfilePrivacy = async (req, res) => {
+  try {
+    const visibility = await researcherPublicProfileService.getProfileVisibility(req.user.id);
+    return res.status(200).json({
+      visibility,
+      sections: researcherPublicProfileService.PROFILE_SECTIONS,
+      levels: researcherPublicProfileService.VISIBILITY_LEVELS,
     });
-
-    if (!user) {
-      return res.status(404).json({ error: 'Researcher not found' });
+  } catch (error) {
+    if (error.message === 'RESEARCHER_NOT_FOUND') {
+      return res.status(404).json({ error: 'Researcher profile not found' });
     }
+    console.error('Get profile privacy error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
 
-    const computedProjectsCompleted = await syncProjectsCompletedForUser(id);
-    const normalizedProfile = normalizeResearcherProfileForResponse({
-      ...profile.toJSON(),
-      projects_completed: computedProjectsCompleted,
-    });
-
-    // Fetch academic history and certifications
-    const academics = await AcademicHistory.findAll({
-      where: { user_id: id },
-      order: [['year', 'DESC']]
-    });
+/**
+ * Update section visibility; body is { visibility: { section: level } }
+ * PUT /researchers/me/privacy
+ */
+const updateProfilePrivacy = async (req, res) => {
+  try {
+    const visibility = await researcherPublicProfileService.updateProfileVisibility(
+      req.user.id,
+      req.body?.visibility
+    );
 
-    const certifications = await Certification.findAll({
-      where: { user_id: id },
-      order: [['year', 'DESC']]
+    void logAudit({
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.RESEARCHER_PRIVACY_UPDATE,
+      entityType: 'RESEARCHER_PROFILE',
+      entityId: req.user.id,
+      metadata: { visibility },
     });
 
-    return res.status(200).json({
-      profile: normalizedProfile,
-      user: user.toSafeObject(),
-      academics,
-      certifications
-    });
+    return res.status(200).json({ message: 'Profile privacy updated', visibility });
   } catch (error) {
-    console.error('Get researcher profile by ID error:', error);
+    if (error.message === 'INVALID_VISIBILITY') {
+      return res.status(400).json({
+        error: `visibility must map sections (${researcherPublicProfileService.PROFILE_SECTIONS.join(', ')}) to one of: ${researcherPublicProfileService.VISIBILITY_LEVELS.join(', ')}`,
+      });
+    }
+    if (error.message === 'RESEARCHER_NOT_FOUND') {
+      return res.status(404).json({ error: 'Researcher profile not found' });
+    }
+    console.error('Update profile privacy error:', error);
     return res.status(500).json({ error: 'Internal server error' });
   }
 };
@@ -615,5 +665,7 @@ module.exports = {
   updateCertification,
   deleteCertification,
   getResearcherProjects,
-  getResearcherProfileById
+  getResearcherProfileById,
+  getProfilePrivacy,
+  updateProfilePrivacy
 };
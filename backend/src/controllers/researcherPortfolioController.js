@@ -0,0 +1,181 @@
+const researcherPortfolioService = require('../services/researcherPortfolioService');
+const researcherPublicProfileService = require('../services/researcherPublicProfileService');
+const { getStorageAdapter } = require('../services/storage');
+
+const PORTFOLIO_ERROR_RESPONSES = {
+  INVALID_PORTFOLIO_TITLE: [400, 'title is required and must be 255 characters or fewer'],
+  INVALID_PORTFOLIO_SUMMARY: [400, 'summary must be 5000 characters or fewer'],
+  INVALID_REVIEW_ACTION: [400, 'Invalid review action'],
+  REVIEW_NOTE_REQUIRED: [400, 'A note for the researcher is required'],
+  PROJECT_ACCESS_REQUIRED: [403, 'Only researchers accepted on the project can add it to their portfolio'],
+  ORGANIZATION_ACCESS_DENIED: [403, 'Your organization role does not allow reviewing portfolio items'],
+  PROJECT_NOT_FOUND: [404, 'Project not found'],
+  MILESTONE_NOT_FOUND: [404, 'Milestone not found'],
+  ATTACHMENT_NOT_FOUND: [404, 'Attachment not found'],
+  PORTFOLIO_ITEM_NOT_FOUND: [404, 'Portfolio item not found'],
+  MILESTONE_NOT_COMPLETED: [409, 'Only completed milestones can be added to a portfolio'],
+  PROJECT_NOT_COMPLETED: [409, 'Choose a completed milestone or wait until the project is completed'],
+  PORTFOLIO_ITEM_NOT_REVIEWABLE: [409, 'Portfolio item cannot be reviewed in its current status']
+};
+
+function handlePortfolioServiceError(res, error, context) {
+  const mapped = PORTFOLIO_ERROR_RESPONSES[error.message];
+  if (mapped) {
+    return res.status(mapped[0]).json({ error: mapped[1] });
+  }
+
+  console.error(`${context} error:`, error);
+  return res.status(500).json({ error: 'Internal server error' });
+}
+
+function parsePositiveId(value) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+function parseOptionalId(value) {
+  if (value === undefined || value === null || value === '') {
+    return { valid: true, id: null };
+  }
+  const id = parsePositiveId(value);
+  return { valid: Boolean(id), id };
+}
+
+/**
+ * Portfolio items the current researcher has proposed, with review status
+ * GET /researchers/me/portfolio
+ */
+const getMyPortfolio = async (req, res) => {
+  try {
+    const items = await researcherPortfolioService.listResearcherPortfolio(req.user.id);
+    return res.status(200).json({ items });
+  } catch (error) {
+    return handlePortfolioServiceError(res, error, 'Get portfolio');
+  }
+};
+
+/**
+ * Propose a past deliverable for the public portfolio
+ * POST /researchers/me/portfolio
+ */
+const createPortfolioItem = async (req, res) => {
+  try {
+    const projectId = parsePositiveId(req.body?.project_id);
+    const milestone = parseOptionalId(req.body?.milestone_id);
+    const attachment = parseOptionalId(req.body?.attachment_id);
+    if (!projectId || !milestone.valid || !attachment.valid) {
+      return res.status(400).json({ error: 'project_id is required; milestone_id and attachment_id must be valid ids' });
+    }
+
+    const item = await researcherPortfolioService.submitPortfolioItem({
+      researcher: req.user,
+      projectId,
+      milestoneId: milestone.id,
+      attachmentId: attachment.id,
+      title: req.body.title,
+      summary: req.body.summary
+    });
+
+    return res.status(201).json({ message: 'Portfolio item submitted for approval', item });
+  } catch (error) {
+    return handlePortfolioServiceError(res, error, 'Create portfolio item');
+  }
+};
+
+/**
+ * DELETE /researchers/me/portfolio/:itemId
+ */
+const deletePortfolioItem = async (req, res) => {
+  try {
+    const itemId = parsePositiveId(req.params.itemId);
+    if (!itemId) {
+      return res.status(400).json({ error: 'Invalid portfolio item id' });
+    }
+
+    await researcherPortfolioService.deletePortfolioItem({ researcherId: req.user.id, itemId });
+    return res.status(200).json({ message: 'Portfolio item deleted' });
+  } catch (error) {
+    return handlePortfolioServiceError(res, error, 'Delete portfolio item');
+  }
+};
+
+/**
+ * Items awaiting approval on the current nonprofit's projects
+ * GET /researchers/portfolio/reviews
+ */
+const getPortfolioReviews = async (req, res) => {
+  try {
+    const items = await researcherPortfolioService.listPortfolioReviews(req.user);
+    return res.status(200).json({ items });
+  } catch (error) {
+    return handlePortfolioServiceError(res, error, 'Get portfolio reviews');
+  }
+};
+
+const reviewHandler = (action, successMessage) => async (req, res) => {
+  try {
+    const itemId = parsePositiveId(req.params.itemId);
+    if (!itemId) {
+      return res.status(400).json({ error: 'Invalid portfolio item id' });
+    }
+
+    const item = await researcherPortfolioService.reviewPortfolioItem({
+      reviewer: req.user,
+      itemId,
+      action,
+      note: req.body?.note
+    });
+
+    return res.status(200).json({ message: successMessage, item });
+  } catch (error) {
+    return handlePortfolioServiceError(res, error, `Portfolio item ${action}`);
+  }
+};
+
+/**
+ * POST /researchers/portfolio/:itemId/approve
+ */
+const approvePortfolioItem = reviewHandler('approve', 'Portfolio item approved for public display');
+
+/**
+ * POST /researchers/portfolio/:itemId/decline
+ */
+const declinePortfolioItem = reviewHandler('decline', 'Portfolio item declined');
+
+/**
+ * Download the attachment of an approved portfolio item; follows the portfolio section's visibility
+ * GET /researchers/:id/portfolio/:itemId/attachment
+ */
+const downloadPortfolioAttachment = async (req, res) => {
+  try {
+    const researcherId = parsePositiveId(req.params.id);
+    const itemId = parsePositiveId(req.params.itemId);
+    if (!researcherId || !itemId) {
+      return res.status(400).json({ error: 'Invalid portfolio item id' });
+    }
+
+    const attachment = await researcherPublicProfileService.findVisiblePortfolioAttachment({
+      researcherId,
+      itemId,
+      viewer: req.user
+    });
+    const stream = await getStorageAdapter().getReadStream(attachment.storage_key);
+
+    res.setHeader('Content-Type', attachment.mimetype);
+    res.setHeader('Content-Length', String(attachment.size));
+    res.setHeader('Content-Disposition', `attachment; filename="${attachment.filename}"`);
+    return stream.pipe(res);
+  } catch (error) {
+    return handlePortfolioServiceError(res, error, 'Download portfolio attachment');
+  }
+};
+
+module.exports = {
+  getMyPortfolio,
+  createPortfolioItem,
+  deletePortfolioItem,
+  getPortfolioReviews,
+  approvePortfolioItem,
+  declinePortfolioItem,
+  downloadPortfolioAttachment
+};
@@ -0,0 +1,240 @@
+const timesheetService = require('../services/timesheetService');
+const timeReportService = require('../services/timeReportService');
+
+const TIMESHEET_ERROR_RESPONSES = {
+  INVALID_TIME_ENTRY_MILESTONE: [400, 'milestone_id is required'],
+  INVALID_TIME_ENTRY_DATE: [400, 'work_date must be a valid date (YYYY-MM-DD)'],
+  TIME_ENTRY_IN_FUTURE: [400, 'Time cannot be logged for future dates'],
+  INVALID_TIME_ENTRY_HOURS: [400, 'hours must be greater than 0 and at most 24'],
+  INVALID_TIME_ENTRY_DESCRIPTION: [400, 'description must be 2000 characters or fewer'],
+  INVALID_TIMESHEET_STATUS: [400, 'status must be one of draft, submitted, approved, rejected'],
+  INVALID_TIMESHEET_WEEK: [400, 'week_start must be a valid date (YYYY-MM-DD)'],
+  INVALID_REPORT_RANGE: [400, 'from and to must be valid dates (YYYY-MM-DD) with from on or before to'],
+  INVALID_REVIEW_ACTION: [400, 'Invalid review action'],
+  FEEDBACK_REQUIRED: [400, 'Feedback is required when rejecting a timesheet'],
+  DAILY_HOURS_EXCEEDED: [400, 'Time logged on one day cannot exceed 24 hours'],
+  MILESTONE_CANCELLED: [400, 'Time cannot be logged on a cancelled milestone'],
+  MILESTONE_ACCESS_DENIED: [403, 'You can only log time on milestones you are assigned to'],
+  ORGANIZATION_ACCESS_DENIED: [403, 'Your organization role does not allow this action'],
+  PROJECT_NOT_FOUND: [404, 'Project not found'],
+  MILESTONE_NOT_FOUND: [404, 'Milestone not found'],
+  TIMESHEET_NOT_FOUND: [404, 'Timesheet not found'],
+  TIME_ENTRY_NOT_FOUND: [404, 'Time entry not found'],
+  TIMESHEET_LOCKED: [409, 'Timesheet has been submitted or approved and can no longer be edited'],
+  TIMESHEET_EMPTY: [409, 'Add at least one time entry before submitting'],
+  TIMESHEET_NOT_SUBMITTABLE: [409, 'Only draft or rejected timesheets can be submitted'],
+  TIMESHEET_NOT_REVIEWABLE: [409, 'Only submitted timesheets can be reviewed']
+};
+
+function handleTimesheetServiceError(res, error, context) {
+  const mapped = TIMESHEET_ERROR_RESPONSES[error.message];
+  if (mapped) {
+    return res.status(mapped[0]).json({ error: mapped[1] });
+  }
+
+  console.error(`${context} error:`, error);
+  return res.status(500).json({ error: 'Internal server error' });
+}
+
+function parsePositiveId(value) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+/**
+ * Researchers get their own timesheets; the organization and admins get every researcher's.
+ * Optional filters: status, researcher_id, week_start
+ * GET /projects/:projectId/timesheets
+ */
+const listTimesheets = async (req, res) => {
+  try {
+    const projectId = parsePositiveId(req.params.projectId);
+    if (!projectId) {
+      return res.status(400).json({ error: 'Invalid project id' });
+    }
+
+    const researcherId = req.query.researcher_id ? parsePositiveId(req.query.researcher_id) : null;
+    if (req.query.researcher_id && !researcherId) {
+      return res.status(400).json({ error: 'Invalid researcher id' });
+    }
+
+    const timesheets = await timesheetService.listTimesheets({
+      user: req.user,
+      projectId,
+      filters: { status: req.query.status, researcherId, weekStart: req.query.week_start }
+    });
+
+    return res.status(200).json({ timesheets: timesheets.map((timesheet) => timesheet.toSafeObject()) });
+  } catch (error) {
+    return handleTimesheetServiceError(res, error, 'List timesheets');
+  }
+};
+
+/**
+ * GET /projects/:projectId/timesheets/:timesheetId
+ */
+const getTimesheet = async (req, res) => {
+  try {
+    const projectId = parsePositiveId(req.params.projectId);
+    const timesheetId = parsePositiveId(req.params.timesheetId);
+    if (!projectId || !timesheetId) {
+      return res.status(400).json({ error: 'Invalid project or timesheet id' });
+    }
+
+    const timesheet = await timesheetService.getTimesheet({ user: req.user, projectId, timesheetId });
+    return res.status(200).json({ timesheet: timesheet.toSafeObject() });
+  } catch (error) {
+    return handleTimesheetServiceError(res, error, 'Get timesheet');
+  }
+};
+
+/**
+ * Log hours on a milestone; the entry is added to that week's timesheet
+ * POST /projects/:projectId/timesheets/entries
+ */
+const createTimeEntry = async (req, res) => {
+  try {
+    const projectId = parsePositiveId(req.params.projectId);
+    if (!projectId) {
+      return res.status(400).json({ error: 'Invalid project id' });
+    }
+
+    const input = timesheetService.parseEntryInput(req.body);
+    const entry = await timesheetService.logTimeEntry({ researcher: req.user, projectId, input });
+
+    return res.status(201).json({ message: 'Time entry logged', entry: entry.toSafeObject() });
+  } catch (error) {
+    return handleTimesheetServiceError(res, error, 'Create time entry');
+  }
+};
+
+/**
+ * PUT /projects/:projectId/timesheets/entries/:entryId
+ */
+const updateTimeEntry = async (req, res) => {
+  try {
+    const projectId = parsePositiveId(req.params.projectId);
+    const entryId = parsePositiveId(req.params.entryId);
+    if (!projectId || !entryId) {
+      return res.status(400).json({ error: 'Invalid project or time entry id' });
+    }
+
+    const input = timesheetService.parseEntryInput(req.body, { partial: true });
+    const entry = await timesheetService.updateTimeEntry({ researcher: req.user, projectId, entryId, input });
+
+    return res.status(200).json({ message: 'Time entry updated', entry: entry.toSafeObject() });
+  } catch (error) {
+    return handleTimesheetServiceError(res, error, 'Update time entry');
+  }
+};
+
+/**
+ * DELETE /projects/:projectId/timesheets/entries/:entryId
+ */
+const deleteTimeEntry = async (req, res) => {
+  try {
+    const projectId = parsePositiveId(req.params.projectId);
+    const entryId = parsePositiveId(req.params.entryId);
+    if (!projectId || !entryId) {
+      return res.status(400).json({ error: 'Invalid project or time entry id' });
+    }
+
+    await timesheetService.deleteTimeEntry({ researcher: req.user, projectId, entryId });
+    return res.status(200).json({ message: 'Time entry deleted' });
+  } catch (error) {
+    return handleTimesheetServiceError(res, error, 'Delete time entry');
+  }
+};
+
+/**
+ * POST /projects/:projectId/timesheets/:timesheetId/submit
+ */
+const submitTimesheet = async (req, res) => {
+  try {
+    const projectId = parsePositiveId(req.params.projectId);
+    const timesheetId = parsePositiveId(req.params.timesheetId);
+    if (!projectId || !timesheetId) {
+      return res.status(400).json({ error: 'Invalid project or timesheet id' });
+    }
+
+    const timesheet = await timesheetService.submitTimesheet({ researcher: req.user, projectId, timesheetId });
+    return res.status(200).json({ message: 'Timesheet submitted for approval', timesheet: timesheet.toSafeObject() });
+  } catch (error) {
+    return handleTimesheetServiceError(res, error, 'Submit timesheet');
+  }
+};
+
+const reviewHandler = (action, successMessage) => async (req, res) => {
+  try {
+    const projectId = parsePositiveId(req.params.projectId);
+    const timesheetId = parsePositiveId(req.params.timesheetId);
+    if (!projectId || !timesheetId) {
+      return res.status(400).json({ error: 'Invalid project or timesheet id' });
+    }
+
+    const timesheet = await timesheetService.reviewTimesheet({
+      reviewer: req.user,
+      projectId,
+      timesheetId,
+      action,
+      feedback: req.body?.feedback
+    });
+
+    return res.status(200).json({ message: successMessage, timesheet: timesheet.toSafeObject() });
+  } catch (error) {
+    return handleTimesheetServiceError(res, error, `Timesheet ${action}`);
+  }
+};
+
+/**
+ * POST /projects/:projectId/timesheets/:timesheetId/approve
+ */
+const approveTimesheet = reviewHandler('approve', 'Timesheet approved');
+
+/**
+ * POST /projects/:projectId/timesheets/:timesheetId/reject
+ */
+const rejectTimesheet = reviewHandler('reject', 'Timesheet rejected');
+
+/**
+ * Estimated vs. actual hours per researcher and milestone; ?format=csv downloads the
+ * per-researcher rows. Optional from/to limit the work dates counted.
+ * GET /projects/:projectId/timesheets/report
+ */
+const getTimeReport = async (req, res) => {
+  try {
+    const projectId = parsePositiveId(req.params.projectId);
+    if (!projectId) {
+      return res.status(400).json({ error: 'Invalid project id' });
+    }
+
+    const report = await timeReportService.getTimeReport({
+      user: req.user,
+      projectId,
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="project-${projectId}-time-report-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send(timeReportService.buildTimeReportCsv(report));
+    }
+
+    return res.status(200).json({ report });
+  } catch (error) {
+    return handleTimesheetServiceError(res, error, 'Get time report');
+  }
+};
+
+module.exports = {
+  listTimesheets,
+  getTimesheet,
+  createTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry,
+  submitTimesheet,
+  approveTimesheet,
+  rejectTimesheet,
+  getTimeReport
+};
@@ -6,6 +6,9 @@ const emailService = require('../services/emailService');
 const { PASSWORD_POLICY_MESSAGE, isStrongPassword } = require('../utils/passwordPolicy');
 const { logAudit, AUDIT_ACTIONS } = require('../utils/auditLogger');
 const { syncProjectsCompletedForUser } = require('../services/researcherMetricsService');
+const sessionService = require('../services/sessionService');
+
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
 
 function trimStringFields(input = {}) {
   const output = {};
@@ -183,6 +186,8 @@ const changePassword = async (req, res) => {
     user.password_hash = hashedPassword;
     await user.save();
 
+    await sessionService.revokeAllUserSessions(userId, { reason: 'password_change' });
+
     try {
       await emailService.sendNotificationEmail(user.email, user.name, {
         type: 'security',
@@ -263,6 +268,17 @@ const updatePreferences = async (req, res) => {
       }
     });
 
+    // digest_frequency supersedes the legacy weekly_digest flag; keep both in sync.
+    if (req.body.digest_frequency !== undefined) {
+      if (!DIGEST_FREQUENCIES.includes(req.body.digest_frequency)) {
+        return res.status(400).json({ error: `digest_frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}` });
+      }
+      updates.digest_frequency = req.body.digest_frequency;
+      updates.weekly_digest = req.body.digest_frequency === 'weekly';
+    } else if (typeof updates.weekly_digest === 'boolean') {
+      updates.digest_frequency = updates.weekly_digest ? 'weekly' : 'off';
+    }
+
     if (Object.keys(updates).length === 0) {
       return res.status(400).json({ error: 'No valid preference fields provided' });
     }
@@ -298,6 +314,83 @@ const updatePreferences = async (req, res) => {
   }
 };
 
+/**
+ * List the current user's active sessions
+ * GET /users/me/sessions
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listActiveSessions(req.user.id);
+
+    return res.status(200).json({
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * End one of the current user's sessions
+ * DELETE /users/me/sessions/:sessionId
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { sessionId } = req.params;
+
+    const revoked = await sessionService.revokeSession({ sessionId, userId, reason: 'user_revoked' });
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    void logAudit({
+      actorId: userId,
+      action: AUDIT_ACTIONS.SESSION_REVOKE,
+      entityType: 'USER_SESSION',
+      entityId: userId,
+      metadata: { sessionId, current: sessionId === req.sessionId },
+    });
+
+    return res.status(200).json({ message: 'Session ended' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * End every session except the one making the request
+ * DELETE /users/me/sessions
+ */
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const revokedCount = await sessionService.revokeAllUserSessions(userId, {
+      reason: 'user_revoked',
+      exceptSessionId: req.sessionId || null
+    });
+
+    void logAudit({
+      actorId: userId,
+      action: AUDIT_ACTIONS.SESSION_REVOKE,
+      entityType: 'USER_SESSION',
+      entityId: userId,
+      metadata: { revokedCount, keptSessionId: req.sessionId || null },
+    });
+
+    return res.status(200).json({ message: 'Other sessions ended', revokedCount });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 /**
  * Soft delete user account (self-deletion)
  * DELETE /users/me
@@ -322,6 +415,7 @@ const deleteAccount = async (req, res) => {
     });
 
     await user.destroy();
+    await sessionService.revokeAllUserSessions(userId, { reason: 'account_deleted' });
 
     return res.status(200).json({ 
       message: 'Account deleted successfully. You can contact support to restore it within 30 days.' 
@@ -521,6 +615,9 @@ module.exports = {
   changePassword,
   getPreferences,
   updatePreferences,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
   deleteAccount,
   hardDeleteUser,
   restoreUser,
@@ -0,0 +1,94 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('user_preferences', 'digest_frequency', {
+      type: Sequelize.STRING(10),
+      allowNull: false,
+      defaultValue: 'off',
+      comment: 'How often to send the activity digest email: off, daily or weekly'
+    });
+
+    // Users who opted into the old weekly_digest toggle keep receiving a weekly digest.
+    await queryInterface.sequelize.query(
+      "UPDATE user_preferences SET digest_frequency = 'weekly' WHERE weekly_digest = true"
+    );
+
+    await queryInterface.sequelize.query(`
+      ALTER TABLE user_preferences ADD CONSTRAINT valid_digest_frequency CHECK (
+        digest_frequency IN ('off', 'daily', 'weekly')
+      )
+    `);
+
+    await queryInterface.createTable('digest_deliveries', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      frequency: {
+        type: Sequelize.STRING(10),
+        allowNull: false
+      },
+      period_key: {
+        type: Sequelize.STRING(32),
+        allowNull: false,
+        comment: 'Digest period identifier, e.g. daily:2026-10-19 or weekly:2026-W43'
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      summary: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      error_message: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      sent_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    });
+
+    await queryInterface.addConstraint('digest_deliveries', {
+      type: 'unique',
+      fields: ['user_id', 'period_key'],
+      name: 'uq_digest_deliveries_user_period'
+    });
+
+    await queryInterface.addIndex('digest_deliveries', ['user_id', 'frequency', 'sent_at'], {
+      name: 'idx_digest_deliveries_user_frequency_sent'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('digest_deliveries');
+    await queryInterface.sequelize.query(
+      'ALTER TABLE user_preferences DROP CONSTRAINT IF EXISTS valid_digest_frequency'
+    );
+    await queryInterface.removeColumn('user_preferences', 'digest_frequency');
+  }
+};
@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * Migration: Full-text search for project browsing
+ *
+ * Adds project_ideas.search_vector, kept current by triggers:
+ * - project rows rebuild their own vector when searchable columns or org_id change
+ * - organization focus changes rebuild the vectors of that organization's projects
+ *
+ * Weights: title (A), problem and methods_required (B), outcomes (C), organization focus (D).
+ */
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.addColumn('project_ideas', 'search_vector', {
+      type: 'TSVECTOR',
+      allowNull: true
+    });
+
+    await queryInterface.sequelize.query(`
+      CREATE OR REPLACE FUNCTION build_project_search_vector(
+        p_title TEXT,
+        p_problem TEXT,
+        p_outcomes TEXT,
+        p_methods_required TEXT,
+        p_focus_areas TEXT,
+        p_focus_tags TEXT
+      ) RETURNS tsvector AS $$
+        SELECT
+          setweight(to_tsvector('english', coalesce(p_title, '')), 'A') ||
+          setweight(to_tsvector('english', coalesce(p_problem, '')), 'B') ||
+          setweight(to_tsvector('english', coalesce(p_methods_required, '')), 'B') ||
+          setweight(to_tsvector('english', coalesce(p_outcomes, '')), 'C') ||
+          setweight(to_tsvector('english', coalesce(p_focus_areas, '') || ' ' || coalesce(p_focus_tags, '')), 'D');
+      $$ LANGUAGE SQL IMMUTABLE;
+    `);
+
+    await queryInterface.sequelize.query(`
+      CREATE OR REPLACE FUNCTION project_ideas_search_vector_trigger() RETURNS trigger AS $$
+      DECLARE
+        org_focus_areas TEXT;
+        org_focus_tags TEXT;
+      BEGIN
+        SELECT o.focus_areas::text, o.focus_tags
+          INTO org_focus_areas, org_focus_tags
+          FROM organizations o
+         WHERE o.id = NEW.org_id;
+
+        NEW.search_vector := build_project_search_vector(
+          NEW.title, NEW.problem, NEW.outcomes, NEW.methods_required, org_focus_areas, org_focus_tags
+        );
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER trg_project_ideas_search_vector
+      BEFORE INSERT OR UPDATE OF title, problem, outcomes, methods_required, org_id
+      ON project_ideas
+      FOR EACH ROW EXECUTE FUNCTION project_ideas_search_vector_trigger();
+    `);
+
+    await queryInterface.sequelize.query(`
+      CREATE OR REPLACE FUNCTION organizations_project_search_vector_trigger() RETURNS trigger AS $$
+      BEGIN
+        UPDATE project_ideas p
+           SET search_vector = build_project_search_vector(
+             p.title, p.problem, p.outcomes, p.methods_required, NEW.focus_areas::text, NEW.focus_tags
+           )
+         WHERE p.org_id = NEW.id;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER trg_organizations_project_search_vector
+      AFTER UPDATE OF focus_areas, focus_tags
+      ON organizations
+      FOR EACH ROW EXECUTE FUNCTION organizations_project_search_vector_trigger();
+    `);
+
+    // Backfill existing projects
+    await queryInterface.sequelize.query(`
+      UPDATE project_ideas p
+         SET search_vector = build_project_search_vector(
+           p.title, p.problem, p.outcomes, p.methods_required, o.focus_areas::text, o.focus_tags
+         )
+        FROM organizations o
+       WHERE o.id = p.org_id;
+    `);
+
+    await queryInterface.sequelize.query(`
+      UPDATE project_ideas
+         SET search_vector = build_project_search_vector(title, problem, outcomes, methods_required, NULL, NULL)
+       WHERE search_vector IS NULL;
+    `);
+
+    await queryInterface.addIndex('project_ideas', ['search_vector'], {
+      name: 'idx_project_ideas_search_vector',
+      using: 'GIN'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('project_ideas', 'idx_project_ideas_search_vector');
+    await queryInterface.sequelize.query('DROP TRIGGER IF EXISTS trg_organizations_project_search_vector ON organizations;');
+    await queryInterface.sequelize.query('DROP TRIGGER IF EXISTS trg_project_ideas_search_vector ON project_ideas;');
+    await queryInterface.sequelize.query('DROP FUNCTION IF EXISTS organizations_project_search_vector_trigger();');
+    await queryInterface.sequelize.query('DROP FUNCTION IF EXISTS project_ideas_search_vector_trigger();');
+    await queryInterface.sequelize.query('DROP FUNCTION IF EXISTS build_project_search_vector(TEXT, TEXT, TEXT, TEXT, TEXT, TEXT);');
+    await queryInterface.removeColumn('project_ideas', 'search_vector');
+  }
+};
@@ -0,0 +1,86 @@
+'use strict';
+
+/**
+ * Migration: Create user_sessions
+ *
+ * One row per signed-in device. The current refresh token is stored as an HMAC hash and
+ * rotated on every refresh; a session is the refresh token family used for reuse detection.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('user_sessions', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.literal('gen_random_uuid()')
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      refresh_token_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      rotation_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      user_agent: {
+        type: Sequelize.STRING(512),
+        allowNull: true
+      },
+      ip_address: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      last_used_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      revoked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      revoked_reason: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    });
+
+    await queryInterface.addConstraint('user_sessions', {
+      type: 'unique',
+      fields: ['refresh_token_hash'],
+      name: 'uq_user_sessions_refresh_token_hash'
+    });
+
+    await queryInterface.addIndex('user_sessions', ['user_id', 'revoked_at'], {
+      name: 'idx_user_sessions_user_revoked'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('user_sessions');
+  }
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * Migration: Create user_totp_factors and two_factor_recovery_codes
+ *
+ * Authenticator-app (RFC 6238) enrolment alongside the existing email codes. The shared
+ * secret is stored encrypted; recovery codes are stored as hashes and used at most once.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('user_totp_factors', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      secret_encrypted: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      confirmed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      last_used_step: {
+        type: Sequelize.BIGINT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    });
+
+    await queryInterface.addConstraint('user_totp_factors', {
+      type: 'unique',
+      fields: ['user_id'],
+      name: 'uq_user_totp_factors_user'
+    });
+
+    await queryInterface.createTable('two_factor_recovery_codes', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      code_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      used_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    });
+
+    await queryInterface.addConstraint('two_factor_recovery_codes', {
+      type: 'unique',
+      fields: ['user_id', 'code_hash'],
+      name: 'uq_two_factor_recovery_codes_user_hash'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('two_factor_recovery_codes');
+    await queryInterface.dropTable('user_totp_factors');
+  }
+};
@@ -0,0 +1,178 @@
+'use strict';
+
+/**
+ * Migration: Create bulk_jobs and bulk_job_items
+ *
+ * Replaces the in-process bulk job map. Jobs and their per-item results live in the database
+ * so status survives restarts, any instance can report on a job, and a crashed job resumes
+ * from its first pending item.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('bulk_jobs', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.literal('gen_random_uuid()')
+      },
+      entity_type: {
+        type: Sequelize.STRING(30),
+        allowNull: false
+      },
+      action: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      actor_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      params: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'queued'
+      },
+      requested_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      processed_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      skipped_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      failed_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      cancel_requested_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      locked_by: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      heartbeat_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      finished_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    });
+
+    await queryInterface.addIndex('bulk_jobs', ['status', 'created_at'], {
+      name: 'idx_bulk_jobs_status_created'
+    });
+
+    await queryInterface.addIndex('bulk_jobs', ['actor_id', 'status'], {
+      name: 'idx_bulk_jobs_actor_status'
+    });
+
+    await queryInterface.createTable('bulk_job_items', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      job_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'bulk_jobs',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      position: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      target_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      message: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      processed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    });
+
+    await queryInterface.addConstraint('bulk_job_items', {
+      type: 'unique',
+      fields: ['job_id', 'target_id'],
+      name: 'uq_bulk_job_items_job_target'
+    });
+
+    await queryInterface.addIndex('bulk_job_items', ['job_id', 'status', 'position'], {
+      name: 'idx_bulk_job_items_job_status_position'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('bulk_job_items');
+    await queryInterface.dropTable('bulk_jobs');
+  }
+};
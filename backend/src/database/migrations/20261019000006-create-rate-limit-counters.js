@@ -0,0 +1,43 @@
+'use strict';
+
+/**
+ * Migration: Create rate_limit_counters
+ *
+ * Shared counters for the Postgres rate limit store so limits hold across instances and deploys.
+ * One row per (hashed key, fixed window); the limiter weights the previous window's count to
+ * approximate a sliding window. Rows past expires_at are pruned by the store.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('rate_limit_counters', {
+      key_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        primaryKey: true
+      },
+      window_start: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        primaryKey: true
+      },
+      count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('rate_limit_counters', ['expires_at'], {
+      name: 'idx_rate_limit_counters_expires_at'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('rate_limit_counters');
+  }
+};
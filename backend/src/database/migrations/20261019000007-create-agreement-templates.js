@@ -0,0 +1,326 @@
+'use strict';
+
+/**
+ * Migration: Create agreement_templates and agreement_template_versions
+ *
+ * Moves agreement template text out of pdfService into versioned rows. The NDA, DUA and SOW
+ * templates are seeded as published v1 versions with ids 'NDA:v1', 'DUA:v1' and 'SOW:v1', the
+ * values contracts.template_version_id already holds, so existing agreements point at the text
+ * they were rendered from. contracts.template_type becomes a string so admins can add templates,
+ * and template_version_id gains a foreign key.
+ */
+
+const crypto = require('crypto');
+
+const text = (key, label) => ({ key, label, type: 'text', required: true });
+const string = (key, label) => ({ key, label, type: 'string', required: true });
+
+const SEED_TEMPLATES = [
+  {
+    template_type: 'NDA',
+    label: 'Non-Disclosure Agreement',
+    variable_schema: [
+      string('project_title', 'Project title'),
+      string('nonprofit_name', 'Nonprofit name'),
+      string('researcher_name', 'Researcher name'),
+      string('effective_date', 'Effective date'),
+      text('confidential_scope', 'Confidential information scope'),
+      string('term_months', 'Term (months)'),
+      string('governing_law', 'Governing law')
+    ],
+    body: [
+      'NON-DISCLOSURE AGREEMENT',
+      '',
+      'Project: {{project_title}}',
+      'Effective Date: {{effective_date}}',
+      '',
+      'This Non-Disclosure Agreement is entered into by {{nonprofit_name}} and {{researcher_name}}.',
+      'Confidential Information Scope: {{confidential_scope}}.',
+      'The obligations in this agreement remain in effect for {{term_months}} months.',
+      'Governing Law: {{governing_law}}.',
+      '',
+      'Both parties agree to protect confidential information and only use it for the project listed above.'
+    ]
+  },
+  {
+    template_type: 'DUA',
+    label: 'Data Use Agreement',
+    variable_schema: [
+      string('project_title', 'Project title'),
+      string('nonprofit_name', 'Nonprofit name'),
+      string('researcher_name', 'Researcher name'),
+      text('dataset_description', 'Dataset description'),
+      text('permitted_use', 'Permitted use'),
+      text('security_controls', 'Security controls'),
+      string('retention_period', 'Retention period')
+    ],
+    body: [
+      'DATA USE AGREEMENT',
+      '',
+      'Project: {{project_title}}',
+      '',
+      '{{nonprofit_name}} provides the following dataset to {{researcher_name}}:',
+      '{{dataset_description}}',
+      '',
+      'Permitted Use: {{permitted_use}}.',
+      'Security Controls Required: {{security_controls}}.',
+      'Data Retention Period: {{retention_period}}.',
+      '',
+      'Researcher agrees to comply with all applicable data protection obligations.'
+    ]
+  },
+  {
+    template_type: 'SOW',
+    label: 'Statement of Work',
+    variable_schema: [
+      string('project_title', 'Project title'),
+      string('nonprofit_name', 'Nonprofit name'),
+      string('researcher_name', 'Researcher name'),
+      text('scope', 'Scope of work'),
+      text('deliverables', 'Deliverables'),
+      string('timeline', 'Timeline'),
+      text('budget_terms', 'Budget and payment terms')
+    ],
+    body: [
+      'STATEMENT OF WORK',
+      '',
+      'Project: {{project_title}}',
+      'Parties: {{nonprofit_name}} and {{researcher_name}}',
+      '',
+      'Scope of Work:',
+      '{{scope}}',
+      '',
+      'Deliverables:',
+      '{{deliverables}}',
+      '',
+      'Timeline: {{timeline}}',
+      'Budget and Payment Terms: {{budget_terms}}',
+      '',
+      'Both parties acknowledge and agree to execute this scope as documented.'
+    ]
+  }
+];
+
+// Must match agreementTemplateService.computeContentHash
+const computeContentHash = ({ title, variable_schema, sections }) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({ title, variable_schema, sections }))
+  .digest('hex');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('agreement_templates', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      template_type: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        unique: true
+      },
+      label: {
+        type: Sequelize.STRING(150),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    });
+
+    await queryInterface.createTable('agreement_template_versions', {
+      id: {
+        type: Sequelize.STRING(100),
+        primaryKey: true
+      },
+      template_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'agreement_templates',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      version_number: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'draft'
+      },
+      title: {
+        type: Sequelize.STRING(200),
+        allowNull: false
+      },
+      variable_schema: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      sections: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      content_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      published_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      published_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      retired_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    });
+
+    await queryInterface.addConstraint('agreement_template_versions', {
+      type: 'unique',
+      fields: ['template_id', 'version_number'],
+      name: 'uq_agreement_template_versions_template_number'
+    });
+
+    await queryInterface.addIndex('agreement_template_versions', ['template_id', 'status'], {
+      name: 'idx_agreement_template_versions_template_status'
+    });
+
+    const now = new Date();
+    for (const seed of SEED_TEMPLATES) {
+      const [[template]] = await queryInterface.sequelize.query(
+        `INSERT INTO agreement_templates (template_type, label, is_active, created_at, updated_at)
+         VALUES (:templateType, :label, true, :now, :now)
+         RETURNING id`,
+        { replacements: { templateType: seed.template_type, label: seed.label, now } }
+      );
+
+      const content = {
+        title: seed.label,
+        variable_schema: seed.variable_schema,
+        sections: [{ key: 'body', body: seed.body.join('\n') }]
+      };
+
+      await queryInterface.sequelize.query(
+        `INSERT INTO agreement_template_versions
+          (id, template_id, version_number, status, title, variable_schema, sections, content_hash,
+           published_at, created_at, updated_at)
+         VALUES
+          (:id, :templateId, 1, 'published', :title, CAST(:variableSchema AS JSONB), CAST(:sections AS JSONB),
+           :contentHash, :now, :now, :now)`,
+        {
+          replacements: {
+            id: `${seed.template_type}:v1`,
+            templateId: template.id,
+            title: content.title,
+            variableSchema: JSON.stringify(content.variable_schema),
+            sections: JSON.stringify(content.sections),
+            contentHash: computeContentHash(content),
+            now
+          }
+        }
+      );
+    }
+
+    await queryInterface.sequelize.query(
+      'ALTER TABLE contracts ALTER COLUMN template_type TYPE VARCHAR(50) USING template_type::text;'
+    );
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_contracts_template_type";');
+
+    await queryInterface.sequelize.query(`
+      UPDATE contracts
+      SET template_version_id = NULL
+      WHERE template_version_id IS NOT NULL
+        AND template_version_id NOT IN (SELECT id FROM agreement_template_versions)
+    `);
+
+    await queryInterface.addConstraint('contracts', {
+      type: 'foreign key',
+      fields: ['template_version_id'],
+      name: 'fk_contracts_template_version',
+      references: {
+        table: 'agreement_template_versions',
+        field: 'id'
+      },
+      onDelete: 'RESTRICT',
+      onUpdate: 'CASCADE'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeConstraint('contracts', 'fk_contracts_template_version');
+
+    await queryInterface.sequelize.query(
+      "CREATE TYPE \"enum_contracts_template_type\" AS ENUM ('NDA', 'DUA', 'SOW');"
+    );
+    await queryInterface.sequelize.query(`
+      ALTER TABLE contracts
+      ALTER COLUMN template_type TYPE "enum_contracts_template_type"
+      USING template_type::"enum_contracts_template_type";
+    `);
+
+    await queryInterface.dropTable('agreement_template_versions');
+    await queryInterface.dropTable('agreement_templates');
+  }
+};
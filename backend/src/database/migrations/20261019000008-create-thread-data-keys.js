@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+ * Migration: Create thread_data_keys and add messages.key_id
+ *
+ * Envelope encryption for message bodies. Each thread gets a random data key that is stored
+ * wrapped (encrypted) by a versioned master key from the environment; messages record which data
+ * key encrypted them. Rows with a NULL key_id hold the legacy MSG_SECRET format (or plaintext)
+ * until the key rotation task re-encrypts them.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('thread_data_keys', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      thread_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'threads',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      master_key_version: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      wrapped_key: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    });
+
+    await queryInterface.addConstraint('thread_data_keys', {
+      type: 'unique',
+      fields: ['thread_id', 'master_key_version'],
+      name: 'uq_thread_data_keys_thread_master_version'
+    });
+
+    await queryInterface.addIndex('thread_data_keys', ['master_key_version'], {
+      name: 'idx_thread_data_keys_master_key_version'
+    });
+
+    await queryInterface.addColumn('messages', 'key_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'thread_data_keys',
+        key: 'id'
+      },
+      onDelete: 'RESTRICT'
+    });
+
+    await queryInterface.addIndex('messages', ['key_id'], {
+      name: 'idx_messages_key_id'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('messages', 'idx_messages_key_id');
+    await queryInterface.removeColumn('messages', 'key_id');
+    await queryInterface.dropTable('thread_data_keys');
+  }
+};
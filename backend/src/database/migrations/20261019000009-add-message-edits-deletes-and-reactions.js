@@ -0,0 +1,140 @@
+'use strict';
+
+/**
+ * Migration: Message edits, soft deletes and reactions
+ *
+ * messages gains edited_at and soft-delete columns; deleted rows keep their encrypted body so
+ * admin chat audits still see it. message_revisions keeps the body each edit replaced, encrypted
+ * the same way as messages.body. message_reactions holds one row per (message, user, emoji).
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('messages', 'edited_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('messages', 'deleted_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('messages', 'deleted_by', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.createTable('message_revisions', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      message_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'messages',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      revision_number: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      body: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      key_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'thread_data_keys',
+          key: 'id'
+        },
+        onDelete: 'RESTRICT'
+      },
+      edited_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    });
+
+    await queryInterface.addConstraint('message_revisions', {
+      type: 'unique',
+      fields: ['message_id', 'revision_number'],
+      name: 'uq_message_revisions_message_number'
+    });
+
+    await queryInterface.addIndex('message_revisions', ['key_id'], {
+      name: 'idx_message_revisions_key_id'
+    });
+
+    await queryInterface.createTable('message_reactions', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      message_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'messages',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      emoji: {
+        type: Sequelize.STRING(32),
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    });
+
+    await queryInterface.addConstraint('message_reactions', {
+      type: 'unique',
+      fields: ['message_id', 'user_id', 'emoji'],
+      name: 'uq_message_reactions_message_user_emoji'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('message_reactions');
+    await queryInterface.dropTable('message_revisions');
+    await queryInterface.removeColumn('messages', 'deleted_by');
+    await queryInterface.removeColumn('messages', 'deleted_at');
+    await queryInterface.removeColumn('messages', 'edited_at');
+  }
+};
@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * Migration: Message replies, mentions and encrypted-body search
+ *
+ * - messages.parent_message_id points a reply at the message it answers.
+ * - message_search_tokens is a blind index: HMACs of the words (and word prefixes) in each
+ *   message body, keyed by MESSAGE_SEARCH_KEY, so search works without storing plaintext.
+ *   messages.search_indexed_at marks rows already tokenized; older rows are backfilled by the
+ *   message search index task.
+ * - Adds the message_mention notification type.
+ */
+
+const NOTIFICATION_TYPES_SQL = `
+  'project_created', 'project_updated', 'project_deleted',
+  'project_status_changed', 'project_submitted_for_review',
+  'project_approved', 'project_rejected',
+  'milestone_created', 'milestone_updated', 'milestone_completed',
+  'milestone_deadline_approaching', 'milestone_overdue',
+  'milestone_revision_requested', 'milestone_revision_approved', 'milestone_revision_rejected',
+  'milestone_request_created', 'milestone_request_approved', 'milestone_request_rejected',
+  'message_received',
+  'account_status_changed', 'admin_message',
+  'project_application',
+  'application_received', 'application_accepted', 'application_rejected',
+  'new_match_available',
+  'rating_received', 'rating_moderated',
+  'system_announcement', 'account_verified',
+  'invitation',
+  'agreement_created', 'agreement_submitted_for_review',
+  'agreement_review_approved', 'agreement_changes_requested',
+  'agreement_approved_for_signature', 'agreement_pending_signature',
+  'agreement_signed', 'agreement_executed', 'agreement_effective', 'agreement_activated',
+  'agreement_completed', 'agreement_archived',
+  'agreement_amendment_created', 'agreement_terminated',
+  'agreement_removal_requested', 'agreement_removal_approved', 'agreement_removal_rejected',
+  'user_suspended', 'security'`;
+
+const replaceNotificationTypes = (queryInterface, typesSql) => queryInterface.sequelize.query(`
+  ALTER TABLE notifications DROP CONSTRAINT IF EXISTS valid_notification_type;
+  ALTER TABLE notifications ADD CONSTRAINT valid_notification_type CHECK (type IN (${typesSql}));
+`);
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('messages', 'parent_message_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'messages',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addIndex('messages', ['parent_message_id'], {
+      name: 'idx_messages_parent_message_id'
+    });
+
+    await queryInterface.addColumn('messages', 'search_indexed_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.createTable('message_search_tokens', {
+      message_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+        references: {
+          model: 'messages',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      token_hash: {
+        type: Sequelize.STRING(32),
+        allowNull: false,
+        primaryKey: true
+      },
+      thread_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'threads',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      }
+    });
+
+    await queryInterface.addIndex('message_search_tokens', ['token_hash', 'thread_id'], {
+      name: 'idx_message_search_tokens_token_thread'
+    });
+
+    await replaceNotificationTypes(queryInterface, `${NOTIFICATION_TYPES_SQL}, 'message_mention'`);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query("DELETE FROM notifications WHERE type = 'message_mention'");
+    await replaceNotificationTypes(queryInterface, NOTIFICATION_TYPES_SQL);
+    await queryInterface.dropTable('message_search_tokens');
+    await queryInterface.removeColumn('messages', 'search_indexed_at');
+    await queryInterface.removeIndex('messages', 'idx_messages_parent_message_id');
+    await queryInterface.removeColumn('messages', 'parent_message_id');
+  }
+};
@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * Migration: Per-participant thread settings
+ *
+ * Lets each participant mute a thread (indefinitely, or until muted_until), archive it out of
+ * their thread list, and pin it to the top. A thread counts as muted while muted_at is set and
+ * muted_until is either empty or still in the future.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('thread_participants', 'muted_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('thread_participants', 'muted_until', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('thread_participants', 'archived_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('thread_participants', 'pinned_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('thread_participants', ['user_id', 'archived_at'], {
+      name: 'idx_thread_participants_user_archived'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('thread_participants', 'idx_thread_participants_user_archived');
+    await queryInterface.removeColumn('thread_participants', 'pinned_at');
+    await queryInterface.removeColumn('thread_participants', 'archived_at');
+    await queryInterface.removeColumn('thread_participants', 'muted_until');
+    await queryInterface.removeColumn('thread_participants', 'muted_at');
+  }
+};
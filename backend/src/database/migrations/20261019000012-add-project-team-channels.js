@@ -0,0 +1,37 @@
+'use strict';
+
+/**
+ * Migration: Project team channels
+ *
+ * Each project can have one team channel (a group thread flagged is_project_channel) whose
+ * membership is kept in sync with the project's nonprofit staff and accepted researchers.
+ * messages.system_event marks messages the system posts about membership changes; their
+ * sender_id is the member the event is about.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('threads', 'is_project_channel', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+
+    await queryInterface.addIndex('threads', ['project_id'], {
+      name: 'uq_threads_project_channel',
+      unique: true,
+      where: { is_project_channel: true }
+    });
+
+    await queryInterface.addColumn('messages', 'system_event', {
+      type: Sequelize.JSONB,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('messages', 'system_event');
+    await queryInterface.removeIndex('threads', 'uq_threads_project_channel');
+    await queryInterface.removeColumn('threads', 'is_project_channel');
+  }
+};
@@ -0,0 +1,176 @@
+'use strict';
+
+/**
+ * Migration: Create organization_members and organization_invitations
+ *
+ * Organization membership with per-member roles (owner, admin, project_manager, viewer) and
+ * email invitations. _user.org_id stays the link used across the app; a member row records the
+ * role the user holds in that organization, and a user belongs to at most one organization.
+ * Invitation tokens are stored only as SHA-256 hashes.
+ *
+ * Existing staff are backfilled: the user recorded on organizations.user_id becomes the owner,
+ * and every other nonprofit user linked through org_id becomes an admin, which keeps the rights
+ * they had before roles existed.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('organization_members', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      org_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'organizations',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      role: {
+        type: Sequelize.ENUM('owner', 'admin', 'project_manager', 'viewer'),
+        allowNull: false,
+        defaultValue: 'viewer'
+      },
+      invited_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    });
+
+    await queryInterface.addConstraint('organization_members', {
+      type: 'unique',
+      fields: ['user_id'],
+      name: 'uq_organization_members_user'
+    });
+
+    await queryInterface.addIndex('organization_members', ['org_id', 'role'], {
+      name: 'idx_organization_members_org_role'
+    });
+
+    await queryInterface.createTable('organization_invitations', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      org_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'organizations',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      email: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      role: {
+        type: Sequelize.ENUM('owner', 'admin', 'project_manager', 'viewer'),
+        allowNull: false
+      },
+      token_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      invited_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      accepted_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      accepted_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      revoked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    });
+
+    await queryInterface.addConstraint('organization_invitations', {
+      type: 'unique',
+      fields: ['token_hash'],
+      name: 'uq_organization_invitations_token_hash'
+    });
+
+    await queryInterface.addIndex('organization_invitations', ['org_id', 'email'], {
+      name: 'idx_organization_invitations_org_email'
+    });
+
+    await queryInterface.sequelize.query(`
+      INSERT INTO organization_members (org_id, user_id, role, created_at, updated_at)
+      SELECT o.id, o.user_id, 'owner', NOW(), NOW()
+      FROM organizations o
+      JOIN _user u ON u.id = o.user_id
+      ON CONFLICT DO NOTHING
+    `);
+
+    await queryInterface.sequelize.query(`
+      INSERT INTO organization_members (org_id, user_id, role, created_at, updated_at)
+      SELECT u.org_id, u.id, 'admin', NOW(), NOW()
+      FROM _user u
+      JOIN organizations o ON o.id = u.org_id
+      WHERE u.role = 'nonprofit'
+      ON CONFLICT DO NOTHING
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('organization_invitations');
+    await queryInterface.dropTable('organization_members');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_organization_invitations_role";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_organization_members_role";');
+  }
+};
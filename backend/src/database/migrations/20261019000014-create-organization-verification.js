@@ -0,0 +1,230 @@
+'use strict';
+
+/**
+ * Migration: Organization verification
+ *
+ * Organizations prove they are registered nonprofits by submitting a verification request with
+ * their registration number and supporting documents (stored through the storage adapter).
+ * Admins approve, reject or ask for more information. An approval is valid for a limited time;
+ * organizations.verification_expires_at drives re-verification reminders, and
+ * reverification_reminded_at stops the reminder from repeating for the same expiry.
+ *
+ * - organizations.verification_status: unverified | pending | verified | rejected | expired
+ * - Adds the organization_verification_updated and organization_reverification_due
+ *   notification types.
+ */
+
+const NOTIFICATION_TYPES_SQL = `
+  'project_created', 'project_updated', 'project_deleted',
+  'project_status_changed', 'project_submitted_for_review',
+  'project_approved', 'project_rejected',
+  'milestone_created', 'milestone_updated', 'milestone_completed',
+  'milestone_deadline_approaching', 'milestone_overdue',
+  'milestone_revision_requested', 'milestone_revision_approved', 'milestone_revision_rejected',
+  'milestone_request_created', 'milestone_request_approved', 'milestone_request_rejected',
+  'message_received', 'message_mention',
+  'account_status_changed', 'admin_message',
+  'project_application',
+  'application_received', 'application_accepted', 'application_rejected',
+  'new_match_available',
+  'rating_received', 'rating_moderated',
+  'system_announcement', 'account_verified',
+  'invitation',
+  'agreement_created', 'agreement_submitted_for_review',
+  'agreement_review_approved', 'agreement_changes_requested',
+  'agreement_approved_for_signature', 'agreement_pending_signature',
+  'agreement_signed', 'agreement_executed', 'agreement_effective', 'agreement_activated',
+  'agreement_completed', 'agreement_archived',
+  'agreement_amendment_created', 'agreement_terminated',
+  'agreement_removal_requested', 'agreement_removal_approved', 'agreement_removal_rejected',
+  'user_suspended', 'security'`;
+
+const replaceNotificationTypes = (queryInterface, typesSql) => queryInterface.sequelize.query(`
+  ALTER TABLE notifications DROP CONSTRAINT IF EXISTS valid_notification_type;
+  ALTER TABLE notifications ADD CONSTRAINT valid_notification_type CHECK (type IN (${typesSql}));
+`);
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('organizations', 'verification_status', {
+      type: Sequelize.ENUM('unverified', 'pending', 'verified', 'rejected', 'expired'),
+      allowNull: false,
+      defaultValue: 'unverified'
+    });
+
+    await queryInterface.addColumn('organizations', 'verified_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('organizations', 'verification_expires_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('organizations', 'reverification_reminded_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('organizations', ['verification_status', 'verification_expires_at'], {
+      name: 'idx_organizations_verification_expiry'
+    });
+
+    await queryInterface.createTable('organization_verification_requests', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      org_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'organizations',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      submitted_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      registration_number: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      registration_authority: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'info_requested', 'approved', 'rejected'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      review_message: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      reviewed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      reviewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      submitted_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    });
+
+    await queryInterface.addIndex('organization_verification_requests', ['status', 'submitted_at'], {
+      name: 'idx_organization_verification_requests_status_submitted'
+    });
+
+    await queryInterface.addIndex('organization_verification_requests', ['org_id', 'created_at'], {
+      name: 'idx_organization_verification_requests_org_created'
+    });
+
+    await queryInterface.createTable('organization_verification_documents', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      request_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'organization_verification_requests',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      uploaded_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      file_name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      mimetype: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      size: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      storage_key: {
+        type: Sequelize.STRING(500),
+        allowNull: false
+      },
+      content_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    });
+
+    await queryInterface.addIndex('organization_verification_documents', ['request_id'], {
+      name: 'idx_organization_verification_documents_request'
+    });
+
+    await replaceNotificationTypes(
+      queryInterface,
+      `${NOTIFICATION_TYPES_SQL}, 'organization_verification_updated', 'organization_reverification_due'`
+    );
+  },
+
+  async down(queryInterface) {
+    await replaceNotificationTypes(queryInterface, NOTIFICATION_TYPES_SQL);
+    await queryInterface.dropTable('organization_verification_documents');
+    await queryInterface.dropTable('organization_verification_requests');
+    await queryInterface.removeIndex('organizations', 'idx_organizations_verification_expiry');
+    await queryInterface.removeColumn('organizations', 'reverification_reminded_at');
+    await queryInterface.removeColumn('organizations', 'verification_expires_at');
+    await queryInterface.removeColumn('organizations', 'verified_at');
+    await queryInterface.removeColumn('organizations', 'verification_status');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_organization_verification_requests_status";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_organizations_verification_status";');
+  }
+};
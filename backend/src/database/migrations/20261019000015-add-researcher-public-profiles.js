@@ -0,0 +1,257 @@
+'use strict';
+
+/**
+ * Migration: Researcher public profiles
+ *
+ * - researcher_profiles.profile_visibility: per-section visibility for the public profile
+ *   (public | nonprofits | private); null means every section is public.
+ * - Certification verification: certifications gain a verification status, and researchers
+ *   attach evidence files (certification_evidence, stored through the storage adapter) for an
+ *   admin to review. Only verified certifications appear on the public profile.
+ * - researcher_portfolio_items: past work a researcher proposes for their portfolio, shown
+ *   publicly once the nonprofit that owns the project approves it.
+ * - Adds the certification_verification_updated, portfolio_item_review_requested and
+ *   portfolio_item_reviewed notification types.
+ */
+
+const NOTIFICATION_TYPES_SQL = `
+  'project_created', 'project_updated', 'project_deleted',
+  'project_status_changed', 'project_submitted_for_review',
+  'project_approved', 'project_rejected',
+  'milestone_created', 'milestone_updated', 'milestone_completed',
+  'milestone_deadline_approaching', 'milestone_overdue',
+  'milestone_revision_requested', 'milestone_revision_approved', 'milestone_revision_rejected',
+  'milestone_request_created', 'milestone_request_approved', 'milestone_request_rejected',
+  'message_received', 'message_mention',
+  'account_status_changed', 'admin_message',
+  'project_application',
+  'application_received', 'application_accepted', 'application_rejected',
+  'new_match_available',
+  'rating_received', 'rating_moderated',
+  'system_announcement', 'account_verified',
+  'invitation',
+  'agreement_created', 'agreement_submitted_for_review',
+  'agreement_review_approved', 'agreement_changes_requested',
+  'agreement_approved_for_signature', 'agreement_pending_signature',
+  'agreement_signed', 'agreement_executed', 'agreement_effective', 'agreement_activated',
+  'agreement_completed', 'agreement_archived',
+  'agreement_amendment_created', 'agreement_terminated',
+  'agreement_removal_requested', 'agreement_removal_approved', 'agreement_removal_rejected',
+  'user_suspended', 'security',
+  'organization_verification_updated', 'organization_reverification_due'`;
+
+const replaceNotificationTypes = (queryInterface, typesSql) => queryInterface.sequelize.query(`
+  ALTER TABLE notifications DROP CONSTRAINT IF EXISTS valid_notification_type;
+  ALTER TABLE notifications ADD CONSTRAINT valid_notification_type CHECK (type IN (${typesSql}));
+`);
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('researcher_profiles', 'profile_visibility', {
+      type: Sequelize.JSONB,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('certifications', 'verification_status', {
+      type: Sequelize.ENUM('unverified', 'pending', 'verified', 'rejected'),
+      allowNull: false,
+      defaultValue: 'unverified'
+    });
+
+    await queryInterface.addColumn('certifications', 'verification_requested_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('certifications', 'verified_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('certifications', 'verified_by', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addColumn('certifications', 'verification_note', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('certifications', ['verification_status', 'verification_requested_at'], {
+      name: 'idx_certifications_verification_status'
+    });
+
+    await queryInterface.createTable('certification_evidence', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      certification_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'certifications',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      uploaded_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      file_name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      mimetype: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      size: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      storage_key: {
+        type: Sequelize.STRING(500),
+        allowNull: false
+      },
+      content_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    });
+
+    await queryInterface.addIndex('certification_evidence', ['certification_id'], {
+      name: 'idx_certification_evidence_certification'
+    });
+
+    await queryInterface.createTable('researcher_portfolio_items', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      researcher_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      project_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'project_ideas',
+          key: 'project_id'
+        },
+        onDelete: 'CASCADE'
+      },
+      milestone_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'milestones',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      attachment_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'project_attachments',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      title: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      summary: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'approved', 'declined'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      reviewed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      reviewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      review_note: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    });
+
+    await queryInterface.addIndex('researcher_portfolio_items', ['researcher_id', 'status'], {
+      name: 'idx_researcher_portfolio_items_researcher_status'
+    });
+
+    await queryInterface.addIndex('researcher_portfolio_items', ['project_id', 'status'], {
+      name: 'idx_researcher_portfolio_items_project_status'
+    });
+
+    await replaceNotificationTypes(
+      queryInterface,
+      `${NOTIFICATION_TYPES_SQL}, 'certification_verification_updated', 'portfolio_item_review_requested', 'portfolio_item_reviewed'`
+    );
+  },
+
+  async down(queryInterface) {
+    await replaceNotificationTypes(queryInterface, NOTIFICATION_TYPES_SQL);
+    await queryInterface.dropTable('researcher_portfolio_items');
+    await queryInterface.dropTable('certification_evidence');
+    await queryInterface.removeIndex('certifications', 'idx_certifications_verification_status');
+    await queryInterface.removeColumn('certifications', 'verification_note');
+    await queryInterface.removeColumn('certifications', 'verified_by');
+    await queryInterface.removeColumn('certifications', 'verified_at');
+    await queryInterface.removeColumn('certifications', 'verification_requested_at');
+    await queryInterface.removeColumn('certifications', 'verification_status');
+    await queryInterface.removeColumn('researcher_profiles', 'profile_visibility');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_researcher_portfolio_items_status";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_certifications_verification_status";');
+  }
+};
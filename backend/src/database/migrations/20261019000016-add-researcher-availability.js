@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * Migration: Researcher availability and capacity
+ *
+ * - researcher_profiles.weekly_hours: hours the researcher can work on each weekday
+ *   ({ monday: 6, ... }); null means the researcher has not published a schedule.
+ * - researcher_blackout_periods: date ranges the researcher is unavailable (inclusive).
+ * - milestone_researchers.weekly_hours: hours per week a milestone assignment takes from the
+ *   researcher's capacity; null falls back to MILESTONE_ASSIGNMENT_DEFAULT_WEEKLY_HOURS.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('researcher_profiles', 'weekly_hours', {
+      type: Sequelize.JSONB,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('milestone_researchers', 'weekly_hours', {
+      type: Sequelize.DECIMAL(5, 2),
+      allowNull: true
+    });
+
+    await queryInterface.createTable('researcher_blackout_periods', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      researcher_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      start_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      end_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      reason: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    });
+
+    await queryInterface.sequelize.query(`
+      ALTER TABLE researcher_blackout_periods
+      ADD CONSTRAINT chk_researcher_blackout_periods_range CHECK (end_date >= start_date);
+    `);
+
+    await queryInterface.addIndex('researcher_blackout_periods', ['researcher_id', 'end_date'], {
+      name: 'idx_researcher_blackout_periods_researcher_end'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('researcher_blackout_periods');
+    await queryInterface.removeColumn('milestone_researchers', 'weekly_hours');
+    await queryInterface.removeColumn('researcher_profiles', 'weekly_hours');
+  }
+};
@@ -0,0 +1,105 @@
+'use strict';
+
+/**
+ * Migration: Many-to-many milestone dependencies
+ *
+ * - milestone_dependencies: milestone_id waits on depends_on_milestone_id. Both milestones belong
+ *   to the same project (enforced by the API).
+ * - Existing milestones.depends_on links are copied over and the column is dropped.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('milestone_dependencies', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      milestone_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'milestones',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      depends_on_milestone_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'milestones',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    });
+
+    await queryInterface.addConstraint('milestone_dependencies', {
+      type: 'unique',
+      fields: ['milestone_id', 'depends_on_milestone_id'],
+      name: 'uq_milestone_dependencies_pair'
+    });
+
+    await queryInterface.sequelize.query(`
+      ALTER TABLE milestone_dependencies
+      ADD CONSTRAINT chk_milestone_dependencies_not_self CHECK (milestone_id <> depends_on_milestone_id);
+    `);
+
+    await queryInterface.addIndex('milestone_dependencies', ['depends_on_milestone_id'], {
+      name: 'idx_milestone_dependencies_depends_on'
+    });
+
+    await queryInterface.sequelize.query(`
+      INSERT INTO milestone_dependencies (milestone_id, depends_on_milestone_id, created_at, updated_at)
+      SELECT id, depends_on, NOW(), NOW()
+      FROM milestones
+      WHERE depends_on IS NOT NULL AND depends_on <> id;
+    `);
+
+    await queryInterface.removeIndex('milestones', 'idx_milestones_depends_on');
+    await queryInterface.removeColumn('milestones', 'depends_on');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.addColumn('milestones', 'depends_on', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'milestones',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addIndex('milestones', ['depends_on'], {
+      name: 'idx_milestones_depends_on'
+    });
+
+    // Only one prerequisite fits the old column; keep the lowest id
+    await queryInterface.sequelize.query(`
+      UPDATE milestones m
+      SET depends_on = d.depends_on_milestone_id
+      FROM (
+        SELECT milestone_id, MIN(depends_on_milestone_id) AS depends_on_milestone_id
+        FROM milestone_dependencies
+        GROUP BY milestone_id
+      ) d
+      WHERE d.milestone_id = m.id;
+    `);
+
+    await queryInterface.dropTable('milestone_dependencies');
+  }
+};
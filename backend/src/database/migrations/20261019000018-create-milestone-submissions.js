@@ -0,0 +1,186 @@
+'use strict';
+
+/**
+ * Migration: Milestone deliverable submissions
+ *
+ * - milestone_submissions: a researcher submits a milestone's deliverable for the nonprofit to
+ *   accept or reject. Each resubmission after a rejection is a new round; only one submission
+ *   per milestone can be pending at a time. Accepting completes the milestone.
+ * - milestone_submission_attachments: project attachments bundled with a submission.
+ * - Adds the milestone_submission_received and milestone_submission_rejected notification types.
+ */
+
+const NOTIFICATION_TYPES_SQL = `
+  'project_created', 'project_updated', 'project_deleted',
+  'project_status_changed', 'project_submitted_for_review',
+  'project_approved', 'project_rejected',
+  'milestone_created', 'milestone_updated', 'milestone_completed',
+  'milestone_deadline_approaching', 'milestone_overdue',
+  'milestone_revision_requested', 'milestone_revision_approved', 'milestone_revision_rejected',
+  'milestone_request_created', 'milestone_request_approved', 'milestone_request_rejected',
+  'message_received', 'message_mention',
+  'account_status_changed', 'admin_message',
+  'project_application',
+  'application_received', 'application_accepted', 'application_rejected',
+  'new_match_available',
+  'rating_received', 'rating_moderated',
+  'system_announcement', 'account_verified',
+  'invitation',
+  'agreement_created', 'agreement_submitted_for_review',
+  'agreement_review_approved', 'agreement_changes_requested',
+  'agreement_approved_for_signature', 'agreement_pending_signature',
+  'agreement_signed', 'agreement_executed', 'agreement_effective', 'agreement_activated',
+  'agreement_completed', 'agreement_archived',
+  'agreement_amendment_created', 'agreement_terminated',
+  'agreement_removal_requested', 'agreement_removal_approved', 'agreement_removal_rejected',
+  'user_suspended', 'security',
+  'organization_verification_updated', 'organization_reverification_due',
+  'certification_verification_updated', 'portfolio_item_review_requested', 'portfolio_item_reviewed'`;
+
+const replaceNotificationTypes = (queryInterface, typesSql) => queryInterface.sequelize.query(`
+  ALTER TABLE notifications DROP CONSTRAINT IF EXISTS valid_notification_type;
+  ALTER TABLE notifications ADD CONSTRAINT valid_notification_type CHECK (type IN (${typesSql}));
+`);
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('milestone_submissions', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      milestone_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'milestones',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      submitted_by: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      round: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'accepted', 'rejected'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      reviewed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      reviewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      feedback: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    });
+
+    await queryInterface.addConstraint('milestone_submissions', {
+      type: 'unique',
+      fields: ['milestone_id', 'round'],
+      name: 'uq_milestone_submissions_round'
+    });
+
+    await queryInterface.sequelize.query(`
+      CREATE UNIQUE INDEX uq_milestone_submissions_pending
+      ON milestone_submissions (milestone_id)
+      WHERE status = 'pending';
+    `);
+
+    await queryInterface.addIndex('milestone_submissions', ['submitted_by'], {
+      name: 'idx_milestone_submissions_submitted_by'
+    });
+
+    await queryInterface.createTable('milestone_submission_attachments', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      submission_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'milestone_submissions',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      attachment_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'project_attachments',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    });
+
+    await queryInterface.addConstraint('milestone_submission_attachments', {
+      type: 'unique',
+      fields: ['submission_id', 'attachment_id'],
+      name: 'uq_milestone_submission_attachments_pair'
+    });
+
+    await replaceNotificationTypes(
+      queryInterface,
+      `${NOTIFICATION_TYPES_SQL}, 'milestone_submission_received', 'milestone_submission_rejected'`
+    );
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(
+      "DELETE FROM notifications WHERE type IN ('milestone_submission_received', 'milestone_submission_rejected');"
+    );
+    await replaceNotificationTypes(queryInterface, NOTIFICATION_TYPES_SQL);
+    await queryInterface.dropTable('milestone_submission_attachments');
+    await queryInterface.dropTable('milestone_submissions');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_milestone_submissions_status";');
+  }
+};
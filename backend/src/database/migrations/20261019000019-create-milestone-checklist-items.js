@@ -0,0 +1,106 @@
+'use strict';
+
+/**
+ * Migration: Milestone checklist items
+ *
+ * - milestone_checklist_items: ordered sub-steps of a milestone. An item can be assigned to one of
+ *   the milestone's researchers (enforced by the API), have a due date and be checked off.
+ *   Milestone and project progress roll up from these items.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('milestone_checklist_items', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      milestone_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'milestones',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      title: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      position: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      assignee_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      due_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      is_completed: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      completed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    });
+
+    await queryInterface.sequelize.query(`
+      ALTER TABLE milestone_checklist_items
+      ADD CONSTRAINT chk_milestone_checklist_items_position CHECK (position >= 0);
+    `);
+
+    await queryInterface.addIndex('milestone_checklist_items', ['milestone_id', 'position'], {
+      name: 'idx_milestone_checklist_items_milestone_position'
+    });
+
+    await queryInterface.addIndex('milestone_checklist_items', ['assignee_id'], {
+      name: 'idx_milestone_checklist_items_assignee'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('milestone_checklist_items');
+  }
+};
@@ -0,0 +1,209 @@
+'use strict';
+
+/**
+ * Migration: Time tracking
+ *
+ * - timesheets: one per researcher, project and week (week_start is a Monday). Researchers log
+ *   time while a timesheet is a draft (or after it was rejected), submit it, and the nonprofit
+ *   approves or rejects it.
+ * - time_entries: hours worked on a milestone on a given day.
+ * - Adds the timesheet_submitted and timesheet_reviewed notification types.
+ */
+
+const NOTIFICATION_TYPES_SQL = `
+  'project_created', 'project_updated', 'project_deleted',
+  'project_status_changed', 'project_submitted_for_review',
+  'project_approved', 'project_rejected',
+  'milestone_created', 'milestone_updated', 'milestone_completed',
+  'milestone_deadline_approaching', 'milestone_overdue',
+  'milestone_revision_requested', 'milestone_revision_approved', 'milestone_revision_rejected',
+  'milestone_request_created', 'milestone_request_approved', 'milestone_request_rejected',
+  'message_received', 'message_mention',
+  'account_status_changed', 'admin_message',
+  'project_application',
+  'application_received', 'application_accepted', 'application_rejected',
+  'new_match_available',
+  'rating_received', 'rating_moderated',
+  'system_announcement', 'account_verified',
+  'invitation',
+  'agreement_created', 'agreement_submitted_for_review',
+  'agreement_review_approved', 'agreement_changes_requested',
+  'agreement_approved_for_signature', 'agreement_pending_signature',
+  'agreement_signed', 'agreement_executed', 'agreement_effective', 'agreement_activated',
+  'agreement_completed', 'agreement_archived',
+  'agreement_amendment_created', 'agreement_terminated',
+  'agreement_removal_requested', 'agreement_removal_approved', 'agreement_removal_rejected',
+  'user_suspended', 'security',
+  'organization_verification_updated', 'organization_reverification_due',
+  'certification_verification_updated', 'portfolio_item_review_requested', 'portfolio_item_reviewed',
+  'milestone_submission_received', 'milestone_submission_rejected'`;
+
+const replaceNotificationTypes = (queryInterface, typesSql) => queryInterface.sequelize.query(`
+  ALTER TABLE notifications DROP CONSTRAINT IF EXISTS valid_notification_type;
+  ALTER TABLE notifications ADD CONSTRAINT valid_notification_type CHECK (type IN (${typesSql}));
+`);
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('timesheets', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      project_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'project_ideas',
+          key: 'project_id'
+        },
+        onDelete: 'CASCADE'
+      },
+      researcher_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      week_start: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('draft', 'submitted', 'approved', 'rejected'),
+        allowNull: false,
+        defaultValue: 'draft'
+      },
+      submitted_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      reviewed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      reviewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      feedback: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    });
+
+    await queryInterface.addConstraint('timesheets', {
+      type: 'unique',
+      fields: ['project_id', 'researcher_id', 'week_start'],
+      name: 'uq_timesheets_project_researcher_week'
+    });
+
+    await queryInterface.sequelize.query(`
+      ALTER TABLE timesheets
+      ADD CONSTRAINT chk_timesheets_week_start_monday CHECK (EXTRACT(ISODOW FROM week_start) = 1);
+    `);
+
+    await queryInterface.addIndex('timesheets', ['researcher_id', 'week_start'], {
+      name: 'idx_timesheets_researcher_week'
+    });
+
+    await queryInterface.addIndex('timesheets', ['project_id', 'status'], {
+      name: 'idx_timesheets_project_status'
+    });
+
+    await queryInterface.createTable('time_entries', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      timesheet_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'timesheets',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      milestone_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'milestones',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      work_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      hours: {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    });
+
+    await queryInterface.sequelize.query(`
+      ALTER TABLE time_entries
+      ADD CONSTRAINT chk_time_entries_hours CHECK (hours > 0 AND hours <= 24);
+    `);
+
+    await queryInterface.addIndex('time_entries', ['timesheet_id', 'work_date'], {
+      name: 'idx_time_entries_timesheet_date'
+    });
+
+    await queryInterface.addIndex('time_entries', ['milestone_id'], {
+      name: 'idx_time_entries_milestone'
+    });
+
+    await replaceNotificationTypes(
+      queryInterface,
+      `${NOTIFICATION_TYPES_SQL}, 'timesheet_submitted', 'timesheet_reviewed'`
+    );
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(
+      "DELETE FROM notifications WHERE type IN ('timesheet_submitted', 'timesheet_reviewed');"
+    );
+    await replaceNotificationTypes(queryInterface, NOTIFICATION_TYPES_SQL);
+    await queryInterface.dropTable('time_entries');
+    await queryInterface.dropTable('timesheets');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_timesheets_status";');
+  }
+};
@@ -0,0 +1,286 @@
+'use strict';
+
+/**
+ * Migration: Project budget ledger
+ *
+ * - contracts.committed_amount: the amount a SOW commits to the project; it counts towards the
+ *   project budget once the SOW is executed.
+ * - payment_tranches: the part of a SOW paid out when a milestone is accepted.
+ * - invoices: one per tranche, generated by the researcher as a PDF and paid through the payment
+ *   adapter.
+ * - Adds the invoice_issued and invoice_paid notification types.
+ */
+
+const NOTIFICATION_TYPES_SQL = `
+  'project_created', 'project_updated', 'project_deleted',
+  'project_status_changed', 'project_submitted_for_review',
+  'project_approved', 'project_rejected',
+  'milestone_created', 'milestone_updated', 'milestone_completed',
+  'milestone_deadline_approaching', 'milestone_overdue',
+  'milestone_revision_requested', 'milestone_revision_approved', 'milestone_revision_rejected',
+  'milestone_request_created', 'milestone_request_approved', 'milestone_request_rejected',
+  'message_received', 'message_mention',
+  'account_status_changed', 'admin_message',
+  'project_application',
+  'application_received', 'application_accepted', 'application_rejected',
+  'new_match_available',
+  'rating_received', 'rating_moderated',
+  'system_announcement', 'account_verified',
+  'invitation',
+  'agreement_created', 'agreement_submitted_for_review',
+  'agreement_review_approved', 'agreement_changes_requested',
+  'agreement_approved_for_signature', 'agreement_pending_signature',
+  'agreement_signed', 'agreement_executed', 'agreement_effective', 'agreement_activated',
+  'agreement_completed', 'agreement_archived',
+  'agreement_amendment_created', 'agreement_terminated',
+  'agreement_removal_requested', 'agreement_removal_approved', 'agreement_removal_rejected',
+  'user_suspended', 'security',
+  'organization_verification_updated', 'organization_reverification_due',
+  'certification_verification_updated', 'portfolio_item_review_requested', 'portfolio_item_reviewed',
+  'milestone_submission_received', 'milestone_submission_rejected',
+  'timesheet_submitted', 'timesheet_reviewed'`;
+
+const replaceNotificationTypes = (queryInterface, typesSql) => queryInterface.sequelize.query(`
+  ALTER TABLE notifications DROP CONSTRAINT IF EXISTS valid_notification_type;
+  ALTER TABLE notifications ADD CONSTRAINT valid_notification_type CHECK (type IN (${typesSql}));
+`);
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('contracts', 'committed_amount', {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: true
+    });
+
+    await queryInterface.sequelize.query(`
+      ALTER TABLE contracts
+      ADD CONSTRAINT chk_contracts_committed_amount CHECK (committed_amount IS NULL OR committed_amount >= 0);
+    `);
+
+    await queryInterface.createTable('payment_tranches', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      project_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'project_ideas',
+          key: 'project_id'
+        },
+        onDelete: 'CASCADE'
+      },
+      contract_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'contracts',
+          key: 'id'
+        },
+        onDelete: 'RESTRICT'
+      },
+      milestone_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'milestones',
+          key: 'id'
+        },
+        onDelete: 'RESTRICT'
+      },
+      researcher_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'RESTRICT'
+      },
+      amount: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('planned', 'invoiced', 'paid', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'planned'
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    });
+
+    await queryInterface.sequelize.query(`
+      ALTER TABLE payment_tranches
+      ADD CONSTRAINT chk_payment_tranches_amount CHECK (amount > 0);
+    `);
+
+    // One open tranche per SOW and milestone; cancelled tranches can be replaced
+    await queryInterface.sequelize.query(`
+      CREATE UNIQUE INDEX uq_payment_tranches_contract_milestone_open
+      ON payment_tranches (contract_id, milestone_id)
+      WHERE status <> 'cancelled';
+    `);
+
+    await queryInterface.addIndex('payment_tranches', ['project_id', 'status'], {
+      name: 'idx_payment_tranches_project_status'
+    });
+
+    await queryInterface.addIndex('payment_tranches', ['researcher_id'], {
+      name: 'idx_payment_tranches_researcher'
+    });
+
+    await queryInterface.createTable('invoices', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      invoice_number: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      tranche_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'payment_tranches',
+          key: 'id'
+        },
+        onDelete: 'RESTRICT'
+      },
+      project_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'project_ideas',
+          key: 'project_id'
+        },
+        onDelete: 'CASCADE'
+      },
+      researcher_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'RESTRICT'
+      },
+      amount: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('unpaid', 'paid'),
+        allowNull: false,
+        defaultValue: 'unpaid'
+      },
+      issued_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      storage_key: {
+        type: Sequelize.STRING(512),
+        allowNull: false
+      },
+      filename: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      checksum: {
+        type: Sequelize.STRING(128),
+        allowNull: false
+      },
+      paid_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      paid_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      payment_provider: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      payment_reference: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    });
+
+    await queryInterface.addConstraint('invoices', {
+      type: 'unique',
+      fields: ['invoice_number'],
+      name: 'uq_invoices_invoice_number'
+    });
+
+    await queryInterface.addConstraint('invoices', {
+      type: 'unique',
+      fields: ['tranche_id'],
+      name: 'uq_invoices_tranche'
+    });
+
+    await queryInterface.addIndex('invoices', ['project_id', 'status'], {
+      name: 'idx_invoices_project_status'
+    });
+
+    await queryInterface.addIndex('invoices', ['researcher_id'], {
+      name: 'idx_invoices_researcher'
+    });
+
+    await replaceNotificationTypes(
+      queryInterface,
+      `${NOTIFICATION_TYPES_SQL}, 'invoice_issued', 'invoice_paid'`
+    );
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(
+      "DELETE FROM notifications WHERE type IN ('invoice_issued', 'invoice_paid');"
+    );
+    await replaceNotificationTypes(queryInterface, NOTIFICATION_TYPES_SQL);
+    await queryInterface.dropTable('invoices');
+    await queryInterface.dropTable('payment_tranches');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_invoices_status";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_payment_tranches_status";');
+    await queryInterface.sequelize.query('ALTER TABLE contracts DROP CONSTRAINT IF EXISTS chk_contracts_committed_amount;');
+    await queryInterface.removeColumn('contracts', 'committed_amount');
+  }
+};
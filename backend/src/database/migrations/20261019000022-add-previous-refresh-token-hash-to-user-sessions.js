@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * Migration: Add user_sessions.previous_refresh_token_hash
+ *
+ * Keeps the hash of the refresh token replaced by the last rotation. Only a replay of that token
+ * counts as reuse and revokes the session; any other mismatched secret is just an invalid token,
+ * so knowing a session id is not enough to sign someone out.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('user_sessions', 'previous_refresh_token_hash', {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('user_sessions', 'previous_refresh_token_hash');
+  }
+};
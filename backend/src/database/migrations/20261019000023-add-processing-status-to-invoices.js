@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Migration: Add the processing invoice status
+ *
+ * payInvoice claims an unpaid invoice by moving it to processing before calling the payment
+ * adapter, so a double click or retry cannot pay the same invoice twice.
+ */
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_invoices_status" ADD VALUE IF NOT EXISTS 'processing';`
+    );
+  },
+
+  async down(queryInterface) {
+    // PostgreSQL does not support removing enum values without type recreation; release any claims.
+    await queryInterface.sequelize.query(
+      `UPDATE invoices SET status = 'unpaid' WHERE status = 'processing';`
+    );
+  }
+};
@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * Migration: Add login lockout columns to user_totp_factors
+ *
+ * Failed authenticator and recovery code attempts at sign-in are counted per user; after too many
+ * the factor is locked for a while so the codes cannot be brute-forced across pending-2FA tokens.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('user_totp_factors', 'failed_login_attempts', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+    await queryInterface.addColumn('user_totp_factors', 'login_locked_until', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('user_totp_factors', 'login_locked_until');
+    await queryInterface.removeColumn('user_totp_factors', 'failed_login_attempts');
+  }
+};
@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * Migration: Create inbound_emails
+ *
+ * One row per Message-ID posted (or being posted) from an inbound email reply. Mail providers
+ * retry and relays can deliver twice; the unique Message-ID makes the second delivery return the
+ * first result instead of posting the reply again.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('inbound_emails', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      message_id_header: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: '_user',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      thread_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'processing'
+      },
+      message_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'messages',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      }
+    });
+
+    await queryInterface.sequelize.query(`
+      ALTER TABLE inbound_emails
+      ADD CONSTRAINT chk_inbound_emails_status CHECK (status IN ('processing', 'posted', 'rejected'));
+    `);
+
+    await queryInterface.addIndex('inbound_emails', ['message_id_header'], {
+      name: 'uq_inbound_emails_message_id_header',
+      unique: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('inbound_emails');
+  }
+};
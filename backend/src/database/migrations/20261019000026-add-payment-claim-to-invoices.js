@@ -0,0 +1,35 @@
+'use strict';
+
+/**
+ * Migration: Record payment claims on invoices
+ *
+ * payInvoice stores the idempotency key it sends to the payment adapter, when it claimed the
+ * invoice and who paid, before calling the adapter. If the process dies before the payment is
+ * recorded, the invoice payment reconciler finds the stale processing invoice and asks the
+ * adapter again with the same key, which returns the original payment instead of paying twice.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('invoices', 'payment_idempotency_key', {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    });
+    await queryInterface.addColumn('invoices', 'processing_started_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('invoices', 'payment_requested_by', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: '_user', key: 'id' },
+      onDelete: 'SET NULL'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('invoices', 'payment_requested_by');
+    await queryInterface.removeColumn('invoices', 'processing_started_at');
+    await queryInterface.removeColumn('invoices', 'payment_idempotency_key');
+  }
+};
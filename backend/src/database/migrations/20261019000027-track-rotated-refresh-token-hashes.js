@@ -0,0 +1,37 @@
+'use strict';
+
+/**
+ * Migration: Replace user_sessions.previous_refresh_token_hash with rotated_refresh_token_hashes
+ *
+ * Keeping only the token replaced by the last rotation let an older rotated token be replayed
+ * without revoking the session. Every rotation now appends the retired hash, so a replay of any
+ * token the session has issued is detected as reuse.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('user_sessions', 'rotated_refresh_token_hashes', {
+      type: Sequelize.ARRAY(Sequelize.STRING(64)),
+      allowNull: false,
+      defaultValue: []
+    });
+    await queryInterface.sequelize.query(`
+      UPDATE user_sessions
+      SET rotated_refresh_token_hashes = ARRAY[previous_refresh_token_hash]
+      WHERE previous_refresh_token_hash IS NOT NULL
+    `);
+    await queryInterface.removeColumn('user_sessions', 'previous_refresh_token_hash');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.addColumn('user_sessions', 'previous_refresh_token_hash', {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    });
+    await queryInterface.sequelize.query(`
+      UPDATE user_sessions
+      SET previous_refresh_token_hash = rotated_refresh_token_hashes[array_length(rotated_refresh_token_hashes, 1)]
+    `);
+    await queryInterface.removeColumn('user_sessions', 'rotated_refresh_token_hashes');
+  }
+};
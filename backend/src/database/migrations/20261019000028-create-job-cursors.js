@@ -0,0 +1,35 @@
+'use strict';
+
+/**
+ * Migration: Create job_cursors
+ *
+ * Cron runs of batch tasks stop after a time budget. Storing where each task stopped lets the
+ * next run continue from there, so items late in the order are reached instead of every run
+ * starting again from the first one.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('job_cursors', {
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        primaryKey: true
+      },
+      position: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        defaultValue: 0
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('job_cursors');
+  }
+};
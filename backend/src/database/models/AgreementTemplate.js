@@ -0,0 +1,72 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+class AgreementTemplate extends Model {}
+
+AgreementTemplate.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // Stable key stored on contracts (NDA, DUA, SOW, ...)
+    template_type: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true,
+      field: 'template_type',
+      validate: {
+        is: /^[A-Z][A-Z0-9_]{1,49}$/
+      }
+    },
+    label: {
+      type: DataTypes.STRING(150),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Inactive templates are hidden from agreement creation; existing agreements are unaffected
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      field: 'is_active'
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      field: 'created_by'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  },
+  {
+    sequelize,
+    modelName: 'AgreementTemplate',
+    tableName: 'agreement_templates',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+);
+
+module.exports = AgreementTemplate;
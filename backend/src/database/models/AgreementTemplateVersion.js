@@ -0,0 +1,140 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+const VERSION_STATUSES = ['draft', 'published', 'retired'];
+
+class AgreementTemplateVersion extends Model {
+  isDraft() {
+    return this.status === 'draft';
+  }
+
+  isPublished() {
+    return this.status === 'published';
+  }
+}
+
+AgreementTemplateVersion.init(
+  {
+    // '<template_type>:v<version_number>', the value stored in contracts.template_version_id
+    id: {
+      type: DataTypes.STRING(100),
+      primaryKey: true
+    },
+    template_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'agreement_templates',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      field: 'template_id'
+    },
+    version_number: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'version_number'
+    },
+    // draft: editable; published: immutable and offered for new agreements; retired: immutable, no longer offered
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'draft',
+      validate: {
+        isIn: [VERSION_STATUSES]
+      }
+    },
+    // Document heading (also the PDF title)
+    title: {
+      type: DataTypes.STRING(200),
+      allowNull: false
+    },
+    // [{ key, label, type, required, ... }]; see agreementTemplateService for the supported types
+    variable_schema: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      field: 'variable_schema'
+    },
+    // [{ key, heading?, body, condition?, repeat? }]
+    sections: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // SHA-256 of title, variable_schema and sections, set on publish
+    content_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      field: 'content_hash'
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      field: 'created_by'
+    },
+    published_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      field: 'published_by'
+    },
+    published_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'published_at'
+    },
+    retired_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'retired_at'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  },
+  {
+    sequelize,
+    modelName: 'AgreementTemplateVersion',
+    tableName: 'agreement_template_versions',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        name: 'uq_agreement_template_versions_template_number',
+        fields: ['template_id', 'version_number']
+      },
+      {
+        name: 'idx_agreement_template_versions_template_status',
+        fields: ['template_id', 'status']
+      }
+    ]
+  }
+);
+
+module.exports = AgreementTemplateVersion;
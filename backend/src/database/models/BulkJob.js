@@ -0,0 +1,145 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+const BULK_JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class BulkJob extends Model {
+  isFinished() {
+    return FINISHED_STATUSES.includes(this.status);
+  }
+}
+
+BulkJob.init(
+  {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4
+    },
+    entity_type: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      field: 'entity_type'
+    },
+    action: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    actor_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      field: 'actor_id'
+    },
+    // Action options from the original request (reason, target status, ...) needed to resume
+    params: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'queued',
+      validate: {
+        isIn: [BULK_JOB_STATUSES]
+      }
+    },
+    requested_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'requested_count'
+    },
+    processed_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'processed_count'
+    },
+    skipped_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'skipped_count'
+    },
+    failed_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'failed_count'
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    cancel_requested_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'cancel_requested_at'
+    },
+    locked_by: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      field: 'locked_by'
+    },
+    heartbeat_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'heartbeat_at'
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'started_at'
+    },
+    finished_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'finished_at'
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  },
+  {
+    sequelize,
+    modelName: 'BulkJob',
+    tableName: 'bulk_jobs',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        name: 'idx_bulk_jobs_status_created',
+        fields: ['status', 'created_at']
+      },
+      {
+        name: 'idx_bulk_jobs_actor_status',
+        fields: ['actor_id', 'status']
+      }
+    ]
+  }
+);
+
+module.exports = BulkJob;
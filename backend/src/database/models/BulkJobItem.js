@@ -0,0 +1,86 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+class BulkJobItem extends Model {}
+
+BulkJobItem.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    job_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'bulk_jobs',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      field: 'job_id'
+    },
+    // Order the ids were submitted in; items run in this order
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    target_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'target_id'
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'pending',
+      validate: {
+        isIn: [['pending', 'processed', 'skipped', 'failed', 'cancelled']]
+      }
+    },
+    // Success message, skip reason or error, matching the bulk response item fields
+    message: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    processed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'processed_at'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  },
+  {
+    sequelize,
+    modelName: 'BulkJobItem',
+    tableName: 'bulk_job_items',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        name: 'uq_bulk_job_items_job_target',
+        fields: ['job_id', 'target_id']
+      },
+      {
+        name: 'idx_bulk_job_items_job_status_position',
+        fields: ['job_id', 'status', 'position']
+      }
+    ]
+  }
+);
+
+module.exports = BulkJobItem;
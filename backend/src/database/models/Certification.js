@@ -2,6 +2,10 @@ const { DataTypes, Model } = require('sequelize');
 const sequelize = require('../index');
 
 class Certification extends Model {
+  isVerified() {
+    return this.verification_status === 'verified';
+  }
+
   toSafeObject() {
     const { ...safeCert } = this.toJSON();
     return safeCert;
@@ -47,6 +51,31 @@ Certification.init(
       allowNull: true,
       field: 'credential_id'
     },
+    verification_status: {
+      type: DataTypes.ENUM('unverified', 'pending', 'verified', 'rejected'),
+      allowNull: false,
+      defaultValue: 'unverified'
+    },
+    verification_requested_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    verified_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    verified_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: '_user',
+        key: 'id'
+      }
+    },
+    verification_note: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
     created_at: {
       type: DataTypes.DATE,
       allowNull: false,
@@ -0,0 +1,71 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+class CertificationEvidence extends Model {
+  toSafeObject() {
+    const { storage_key, content_hash, ...safeEvidence } = this.toJSON();
+    return safeEvidence;
+  }
+}
+
+CertificationEvidence.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    certification_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'certifications',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    uploaded_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    file_name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    mimetype: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    size: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    storage_key: {
+      type: DataTypes.STRING(500),
+      allowNull: false
+    },
+    content_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  },
+  {
+    sequelize,
+    modelName: 'CertificationEvidence',
+    tableName: 'certification_evidence',
+    timestamps: false,
+    underscored: true
+  }
+);
+
+module.exports = CertificationEvidence;
@@ -58,16 +58,20 @@ Contract.init(
       },
       field: 'researcher_user_id'
     },
+    // agreement_templates.template_type
     template_type: {
-      type: DataTypes.ENUM('NDA', 'DUA', 'SOW'),
+      type: DataTypes.STRING(50),
       allowNull: false,
-      validate: {
-        isIn: [['NDA', 'DUA', 'SOW']]
-      }
+      field: 'template_type'
     },
+    // Exact template version the content was rendered from (null for attachment and free-text sources)
     template_version_id: {
       type: DataTypes.STRING(100),
       allowNull: true,
+      references: {
+        model: 'agreement_template_versions',
+        key: 'id'
+      },
       field: 'template_version_id'
     },
     source_kind: {
@@ -298,6 +302,15 @@ Contract.init(
       defaultValue: true,
       field: 'is_current_version'
     },
+    // Amount a SOW commits to the project budget once executed
+    committed_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true,
+      field: 'committed_amount',
+      validate: {
+        min: 0
+      }
+    },
     metadata: {
       type: DataTypes.JSONB,
       allowNull: true,
@@ -0,0 +1,92 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+class DigestDelivery extends Model {
+  toSafeObject() {
+    return this.toJSON();
+  }
+}
+
+DigestDelivery.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      field: 'user_id'
+    },
+    frequency: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      validate: {
+        isIn: [['daily', 'weekly']]
+      }
+    },
+    period_key: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+      field: 'period_key'
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'pending',
+      validate: {
+        isIn: [['pending', 'sent', 'skipped', 'failed']]
+      }
+    },
+    summary: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    error_message: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: 'error_message'
+    },
+    sent_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'sent_at'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  },
+  {
+    sequelize,
+    modelName: 'DigestDelivery',
+    tableName: 'digest_deliveries',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        name: 'uq_digest_deliveries_user_period',
+        fields: ['user_id', 'period_key']
+      }
+    ]
+  }
+);
+
+module.exports = DigestDelivery;
@@ -0,0 +1,82 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+const INBOUND_EMAIL_STATUSES = ['processing', 'posted', 'rejected'];
+
+/**
+ * An inbound email reply, keyed by its Message-ID header so redelivered mail is posted once
+ */
+class InboundEmail extends Model {}
+
+InboundEmail.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    message_id_header: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      unique: true,
+      field: 'message_id_header'
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      field: 'user_id'
+    },
+    thread_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'thread_id'
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'processing',
+      validate: {
+        isIn: [INBOUND_EMAIL_STATUSES]
+      }
+    },
+    // The posted thread message, once there is one
+    message_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'messages',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      field: 'message_id'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  },
+  {
+    sequelize,
+    modelName: 'InboundEmail',
+    tableName: 'inbound_emails',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+);
+
+module.exports = InboundEmail;
@@ -0,0 +1,158 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+/**
+ * Invoice a researcher generated for a payment tranche, with its PDF and payment record
+ */
+class Invoice extends Model {
+  toSafeObject() {
+    const { storage_key, ...safeInvoice } = this.toJSON();
+    return safeInvoice;
+  }
+}
+
+Invoice.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    invoice_number: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true,
+      field: 'invoice_number'
+    },
+    tranche_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'payment_tranches',
+        key: 'id'
+      },
+      onDelete: 'RESTRICT',
+      field: 'tranche_id'
+    },
+    project_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'project_ideas',
+        key: 'project_id'
+      },
+      onDelete: 'CASCADE',
+      field: 'project_id'
+    },
+    researcher_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'RESTRICT',
+      field: 'researcher_id'
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('unpaid', 'processing', 'paid'),
+      allowNull: false,
+      defaultValue: 'unpaid',
+      validate: {
+        isIn: [['unpaid', 'processing', 'paid']]
+      }
+    },
+    issued_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'issued_at'
+    },
+    storage_key: {
+      type: DataTypes.STRING(512),
+      allowNull: false,
+      field: 'storage_key'
+    },
+    filename: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    checksum: {
+      type: DataTypes.STRING(128),
+      allowNull: false
+    },
+    paid_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'paid_at'
+    },
+    paid_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      field: 'paid_by'
+    },
+    payment_provider: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      field: 'payment_provider'
+    },
+    payment_reference: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      field: 'payment_reference'
+    },
+    payment_idempotency_key: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      field: 'payment_idempotency_key'
+    },
+    processing_started_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'processing_started_at'
+    },
+    payment_requested_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      field: 'payment_requested_by'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  },
+  {
+    sequelize,
+    modelName: 'Invoice',
+    tableName: 'invoices',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+);
+
+module.exports = Invoice;
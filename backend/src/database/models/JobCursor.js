@@ -0,0 +1,41 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+/**
+ * Where a batch task that runs in time-limited slices left off, so the next run resumes there
+ * instead of starting over (e.g. the project channel reconciler)
+ */
+class JobCursor extends Model {}
+
+JobCursor.init(
+  {
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      primaryKey: true
+    },
+    // Last id the task finished; 0 starts a new pass
+    position: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      defaultValue: 0
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  },
+  {
+    sequelize,
+    modelName: 'JobCursor',
+    tableName: 'job_cursors',
+    timestamps: true,
+    underscored: true,
+    createdAt: false,
+    updatedAt: 'updated_at'
+  }
+);
+
+module.exports = JobCursor;
@@ -34,11 +34,59 @@ Message.init(
       type: DataTypes.TEXT,
       allowNull: false,
     },
+    // Data key that encrypted body; NULL for legacy MSG_SECRET payloads awaiting re-encryption
+    key_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'thread_data_keys',
+        key: 'id',
+      },
+      onDelete: 'RESTRICT',
+    },
     created_at: {
       type: DataTypes.DATE,
       allowNull: false,
       defaultValue: DataTypes.NOW,
     },
+    // Message this one replies to
+    parent_message_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'messages',
+        key: 'id',
+      },
+      onDelete: 'SET NULL',
+    },
+    // Set once the body's search tokens are written
+    search_indexed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    edited_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    // Soft delete: members see a tombstone, admin chat audits still see the body
+    deleted_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    deleted_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: '_user',
+        key: 'id',
+      },
+      onDelete: 'SET NULL',
+    },
+    // Set on messages posted by the system, e.g. { type: 'member_added', user_id, reason }
+    system_event: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
   },
   {
     sequelize,
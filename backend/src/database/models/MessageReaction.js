@@ -0,0 +1,57 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+class MessageReaction extends Model {}
+
+MessageReaction.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    message_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'messages',
+        key: 'id',
+      },
+      onDelete: 'CASCADE',
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: '_user',
+        key: 'id',
+      },
+      onDelete: 'CASCADE',
+    },
+    emoji: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'MessageReaction',
+    tableName: 'message_reactions',
+    timestamps: false,
+    underscored: true,
+    indexes: [
+      {
+        name: 'uq_message_reactions_message_user_emoji',
+        unique: true,
+        fields: ['message_id', 'user_id', 'emoji'],
+      },
+    ],
+  }
+);
+
+module.exports = MessageReaction;
@@ -0,0 +1,77 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+class MessageRevision extends Model {}
+
+MessageRevision.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    message_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'messages',
+        key: 'id',
+      },
+      onDelete: 'CASCADE',
+    },
+    // 1 is the original body, each edit adds the body it replaced
+    revision_number: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    // Encrypted like Message.body
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+    },
+    key_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'thread_data_keys',
+        key: 'id',
+      },
+      onDelete: 'RESTRICT',
+    },
+    edited_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: '_user',
+        key: 'id',
+      },
+      onDelete: 'SET NULL',
+    },
+    // When this body was replaced
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'MessageRevision',
+    tableName: 'message_revisions',
+    timestamps: false,
+    underscored: true,
+    indexes: [
+      {
+        name: 'uq_message_revisions_message_number',
+        unique: true,
+        fields: ['message_id', 'revision_number'],
+      },
+      {
+        name: 'idx_message_revisions_key_id',
+        fields: ['key_id'],
+      },
+    ],
+  }
+);
+
+module.exports = MessageRevision;
@@ -0,0 +1,50 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+class MessageSearchToken extends Model {}
+
+MessageSearchToken.init(
+  {
+    message_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      primaryKey: true,
+      references: {
+        model: 'messages',
+        key: 'id',
+      },
+      onDelete: 'CASCADE',
+    },
+    // Truncated HMAC of a word or word prefix; see messageSearchService
+    token_hash: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+      primaryKey: true,
+    },
+    // Copied from the message so searches filter by the caller's threads without a join
+    thread_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'threads',
+        key: 'id',
+      },
+      onDelete: 'CASCADE',
+    },
+  },
+  {
+    sequelize,
+    modelName: 'MessageSearchToken',
+    tableName: 'message_search_tokens',
+    timestamps: false,
+    underscored: true,
+    indexes: [
+      {
+        name: 'idx_message_search_tokens_token_thread',
+        fields: ['token_hash', 'thread_id'],
+      },
+    ],
+  }
+);
+
+module.exports = MessageSearchToken;
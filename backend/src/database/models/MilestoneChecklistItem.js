@@ -0,0 +1,116 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+/**
+ * Ordered sub-step of a milestone, optionally assigned to one of its researchers
+ */
+class MilestoneChecklistItem extends Model {
+  toSafeObject() {
+    return this.toJSON();
+  }
+}
+
+MilestoneChecklistItem.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    milestone_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'milestones',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      field: 'milestone_id'
+    },
+    title: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 255]
+      }
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+    assignee_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      field: 'assignee_id'
+    },
+    due_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      field: 'due_date'
+    },
+    is_completed: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'is_completed'
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'completed_at'
+    },
+    completed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      field: 'completed_by'
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      field: 'created_by'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  },
+  {
+    sequelize,
+    modelName: 'MilestoneChecklistItem',
+    tableName: 'milestone_checklist_items',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+);
+
+module.exports = MilestoneChecklistItem;
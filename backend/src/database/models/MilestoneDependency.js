@@ -0,0 +1,70 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+/**
+ * Link from a milestone to one of the milestones it waits on
+ */
+class MilestoneDependency extends Model {
+  toSafeObject() {
+    return this.toJSON();
+  }
+}
+
+MilestoneDependency.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    milestone_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'milestones',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      field: 'milestone_id'
+    },
+    depends_on_milestone_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'milestones',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      field: 'depends_on_milestone_id'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  },
+  {
+    sequelize,
+    modelName: 'MilestoneDependency',
+    tableName: 'milestone_dependencies',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['milestone_id', 'depends_on_milestone_id']
+      }
+    ]
+  }
+);
+
+module.exports = MilestoneDependency;
@@ -45,6 +45,12 @@ MilestoneResearcher.init(
       onDelete: 'RESTRICT',
       field: 'assigned_by'
     },
+    weekly_hours: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: true,
+      field: 'weekly_hours',
+      comment: 'Hours per week the assignment takes from the researcher; null uses the default'
+    },
     created_at: {
       type: DataTypes.DATE,
       allowNull: false,
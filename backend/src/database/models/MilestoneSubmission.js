@@ -0,0 +1,113 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+/**
+ * A researcher's deliverable for a milestone, accepted or rejected by the nonprofit.
+ * Each resubmission after a rejection is a new round.
+ */
+class MilestoneSubmission extends Model {
+  toSafeObject() {
+    const submission = this.toJSON();
+    if (Array.isArray(this.attachments)) {
+      submission.attachments = this.attachments.map((attachment) => attachment.toSafeObject());
+    }
+    return submission;
+  }
+}
+
+MilestoneSubmission.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    milestone_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'milestones',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      field: 'milestone_id'
+    },
+    submitted_by: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      field: 'submitted_by'
+    },
+    round: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'accepted', 'rejected'),
+      allowNull: false,
+      defaultValue: 'pending',
+      validate: {
+        isIn: [['pending', 'accepted', 'rejected']]
+      }
+    },
+    reviewed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      field: 'reviewed_by'
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'reviewed_at'
+    },
+    feedback: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  },
+  {
+    sequelize,
+    modelName: 'MilestoneSubmission',
+    tableName: 'milestone_submissions',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['milestone_id', 'round']
+      }
+    ]
+  }
+);
+
+module.exports = MilestoneSubmission;
@@ -0,0 +1,70 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+/**
+ * Attachment bundled with a milestone submission
+ */
+class MilestoneSubmissionAttachment extends Model {
+  toSafeObject() {
+    return this.toJSON();
+  }
+}
+
+MilestoneSubmissionAttachment.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    submission_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'milestone_submissions',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      field: 'submission_id'
+    },
+    attachment_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'project_attachments',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      field: 'attachment_id'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  },
+  {
+    sequelize,
+    modelName: 'MilestoneSubmissionAttachment',
+    tableName: 'milestone_submission_attachments',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['submission_id', 'attachment_id']
+      }
+    ]
+  }
+);
+
+module.exports = MilestoneSubmissionAttachment;
@@ -79,8 +79,11 @@ Notification.init(
           'milestone_request_created',
           'milestone_request_approved',
           'milestone_request_rejected',
+          'milestone_submission_received',
+          'milestone_submission_rejected',
           // Message events
           'message_received',
+          'message_mention',
           // Admin events
           'account_status_changed',
           'admin_message',
@@ -108,8 +111,21 @@ Notification.init(
           'agreement_removal_requested',
           'agreement_removal_approved',
           'agreement_removal_rejected',
+          // Organization events
+          'organization_verification_updated',
+          'organization_reverification_due',
           // Matching events
           'new_match_available',
+          // Researcher profile events
+          'certification_verification_updated',
+          'portfolio_item_review_requested',
+          'portfolio_item_reviewed',
+          // Time tracking events
+          'timesheet_submitted',
+          'timesheet_reviewed',
+          // Budget events
+          'invoice_issued',
+          'invoice_paid',
           // Rating events
           'rating_received',
           'rating_moderated',
@@ -3,6 +3,11 @@ const sequelize = require('../index');
 
 class Organization extends Model {
   // Instance methods
+  isVerified(now = new Date()) {
+    return this.verification_status === 'verified'
+      && (!this.verification_expires_at || new Date(this.verification_expires_at) > now);
+  }
+
   toSafeObject() {
     const { ...safeOrg } = this.toJSON();
     return safeOrg;
@@ -95,6 +100,36 @@ Organization.init(
       type: DataTypes.INTEGER,
       allowNull: true,
     },
+
+    // Nonprofit verification (see organizationVerificationService)
+    verification_status: {
+      type: DataTypes.ENUM('unverified', 'pending', 'verified', 'rejected', 'expired'),
+      allowNull: false,
+      defaultValue: 'unverified',
+    },
+
+    verified_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+
+    verification_expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+
+    reverification_reminded_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+
+    // Verified badge; selecting it also loads the columns it depends on
+    is_verified: {
+      type: DataTypes.VIRTUAL(DataTypes.BOOLEAN, ['verification_status', 'verification_expires_at']),
+      get() {
+        return this.isVerified();
+      },
+    },
   },
   {
     sequelize,
@@ -0,0 +1,94 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+class OrganizationInvitation extends Model {
+  isExpired() {
+    return new Date() > this.expires_at;
+  }
+
+  isPending() {
+    return !this.accepted_at && !this.revoked_at && !this.isExpired();
+  }
+
+  toSafeObject() {
+    const { token_hash, ...safeInvitation } = this.toJSON();
+    return safeInvitation;
+  }
+}
+
+OrganizationInvitation.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    org_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'organizations',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    role: {
+      type: DataTypes.ENUM('owner', 'admin', 'project_manager', 'viewer'),
+      allowNull: false
+    },
+    // SHA-256 of the emailed token; the token itself is never stored
+    token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    invited_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    accepted_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    accepted_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  },
+  {
+    sequelize,
+    modelName: 'OrganizationInvitation',
+    tableName: 'organization_invitations',
+    timestamps: false,
+    underscored: true
+  }
+);
+
+module.exports = OrganizationInvitation;
@@ -0,0 +1,72 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+class OrganizationMember extends Model {
+  toSafeObject() {
+    return this.toJSON();
+  }
+}
+
+OrganizationMember.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    org_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'organizations',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    role: {
+      type: DataTypes.ENUM('owner', 'admin', 'project_manager', 'viewer'),
+      allowNull: false,
+      defaultValue: 'viewer'
+    },
+    invited_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  },
+  {
+    sequelize,
+    modelName: 'OrganizationMember',
+    tableName: 'organization_members',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+);
+
+module.exports = OrganizationMember;
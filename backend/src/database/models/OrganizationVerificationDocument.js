@@ -0,0 +1,71 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+class OrganizationVerificationDocument extends Model {
+  toSafeObject() {
+    const { storage_key, content_hash, ...safeDocument } = this.toJSON();
+    return safeDocument;
+  }
+}
+
+OrganizationVerificationDocument.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    request_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'organization_verification_requests',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    uploaded_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    file_name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    mimetype: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    size: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    storage_key: {
+      type: DataTypes.STRING(500),
+      allowNull: false
+    },
+    content_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  },
+  {
+    sequelize,
+    modelName: 'OrganizationVerificationDocument',
+    tableName: 'organization_verification_documents',
+    timestamps: false,
+    underscored: true
+  }
+);
+
+module.exports = OrganizationVerificationDocument;
@@ -0,0 +1,104 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+class OrganizationVerificationRequest extends Model {
+  // Requests an organization can still add to; admins review these
+  isOpen() {
+    return this.status === 'pending' || this.status === 'info_requested';
+  }
+
+  toSafeObject() {
+    return this.toJSON();
+  }
+}
+
+OrganizationVerificationRequest.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    org_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'organizations',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    submitted_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    registration_number: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    registration_authority: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'info_requested', 'approved', 'rejected'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    review_message: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    reviewed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    submitted_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  },
+  {
+    sequelize,
+    modelName: 'OrganizationVerificationRequest',
+    tableName: 'organization_verification_requests',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+);
+
+module.exports = OrganizationVerificationRequest;
@@ -0,0 +1,113 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+/**
+ * Part of an executed SOW paid to its researcher once a milestone is accepted
+ */
+class PaymentTranche extends Model {
+  toSafeObject() {
+    const tranche = this.toJSON();
+    if (tranche.invoice && typeof this.invoice?.toSafeObject === 'function') {
+      tranche.invoice = this.invoice.toSafeObject();
+    }
+    return tranche;
+  }
+}
+
+PaymentTranche.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    project_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'project_ideas',
+        key: 'project_id'
+      },
+      onDelete: 'CASCADE',
+      field: 'project_id'
+    },
+    contract_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'contracts',
+        key: 'id'
+      },
+      onDelete: 'RESTRICT',
+      field: 'contract_id'
+    },
+    milestone_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'milestones',
+        key: 'id'
+      },
+      onDelete: 'RESTRICT',
+      field: 'milestone_id'
+    },
+    researcher_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'RESTRICT',
+      field: 'researcher_id'
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: 0.01
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('planned', 'invoiced', 'paid', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'planned',
+      validate: {
+        isIn: [['planned', 'invoiced', 'paid', 'cancelled']]
+      }
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      field: 'created_by'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  },
+  {
+    sequelize,
+    modelName: 'PaymentTranche',
+    tableName: 'payment_tranches',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+);
+
+module.exports = PaymentTranche;
@@ -0,0 +1,48 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+class RateLimitCounter extends Model {}
+
+RateLimitCounter.init(
+  {
+    // SHA-256 of the limiter key, so emails and IPs are not stored in plain text
+    key_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      primaryKey: true,
+      field: 'key_hash'
+    },
+    // Window start in epoch milliseconds
+    window_start: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      primaryKey: true,
+      field: 'window_start'
+    },
+    count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'expires_at'
+    }
+  },
+  {
+    sequelize,
+    modelName: 'RateLimitCounter',
+    tableName: 'rate_limit_counters',
+    timestamps: false,
+    underscored: true,
+    indexes: [
+      {
+        name: 'idx_rate_limit_counters_expires_at',
+        fields: ['expires_at']
+      }
+    ]
+  }
+);
+
+module.exports = RateLimitCounter;
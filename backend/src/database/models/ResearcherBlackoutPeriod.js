@@ -0,0 +1,67 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+class ResearcherBlackoutPeriod extends Model {
+  /**
+   * Whether the period overlaps the inclusive date range (YYYY-MM-DD strings)
+   */
+  overlaps(startDate, endDate) {
+    return this.start_date <= endDate && this.end_date >= startDate;
+  }
+
+  toSafeObject() {
+    return this.toJSON();
+  }
+}
+
+ResearcherBlackoutPeriod.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    researcher_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    start_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    end_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    reason: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  },
+  {
+    sequelize,
+    modelName: 'ResearcherBlackoutPeriod',
+    tableName: 'researcher_blackout_periods',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+);
+
+module.exports = ResearcherBlackoutPeriod;
@@ -0,0 +1,112 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+class ResearcherPortfolioItem extends Model {
+  isPublic() {
+    return this.status === 'approved';
+  }
+
+  toSafeObject() {
+    return this.toJSON();
+  }
+}
+
+ResearcherPortfolioItem.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    researcher_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    project_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'project_ideas',
+        key: 'project_id'
+      },
+      onDelete: 'CASCADE'
+    },
+    milestone_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'milestones',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    attachment_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'project_attachments',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    title: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    summary: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'approved', 'declined'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    reviewed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    review_note: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  },
+  {
+    sequelize,
+    modelName: 'ResearcherPortfolioItem',
+    tableName: 'researcher_portfolio_items',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+);
+
+module.exports = ResearcherPortfolioItem;
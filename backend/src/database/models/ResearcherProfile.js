@@ -132,6 +132,18 @@ ResearcherProfile.init(
       allowNull: true,
       field: 'available_start_date',
       comment: 'Earliest date available to start new projects'
+    },
+    weekly_hours: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      field: 'weekly_hours',
+      comment: 'Hours available per weekday; see researcherCapacityService'
+    },
+    profile_visibility: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      field: 'profile_visibility',
+      comment: 'Public profile section visibility; see researcherPublicProfileService'
     }
   },
   {
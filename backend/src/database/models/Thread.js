@@ -36,6 +36,12 @@ Thread.init(
       allowNull: false,
       defaultValue: false,
     },
+    // The project's team channel; membership is managed by projectChannelService
+    is_project_channel: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
     created_by: {
       type: DataTypes.INTEGER,
       allowNull: false,
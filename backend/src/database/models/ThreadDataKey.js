@@ -0,0 +1,58 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+class ThreadDataKey extends Model {}
+
+ThreadDataKey.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    thread_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'threads',
+        key: 'id',
+      },
+      onDelete: 'CASCADE',
+    },
+    // Version of the master key (MESSAGE_MASTER_KEYS) that wrapped this data key
+    master_key_version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    // AES-GCM payload of the data key, never the raw key
+    wrapped_key: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'ThreadDataKey',
+    tableName: 'thread_data_keys',
+    timestamps: false,
+    underscored: true,
+    indexes: [
+      {
+        name: 'uq_thread_data_keys_thread_master_version',
+        unique: true,
+        fields: ['thread_id', 'master_key_version'],
+      },
+      {
+        name: 'idx_thread_data_keys_master_key_version',
+        fields: ['master_key_version'],
+      },
+    ],
+  }
+);
+
+module.exports = ThreadDataKey;
@@ -36,6 +36,23 @@ ThreadParticipant.init(
       allowNull: false,
       defaultValue: DataTypes.NOW,
     },
+    // Muted while muted_at is set and muted_until is empty or in the future
+    muted_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    muted_until: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    archived_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    pinned_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
   },
   {
     sequelize,
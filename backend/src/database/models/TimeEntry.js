@@ -0,0 +1,81 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+/**
+ * Hours a researcher worked on a milestone on one day, recorded on their weekly timesheet
+ */
+class TimeEntry extends Model {
+  toSafeObject() {
+    return this.toJSON();
+  }
+}
+
+TimeEntry.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    timesheet_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'timesheets',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      field: 'timesheet_id'
+    },
+    milestone_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'milestones',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      field: 'milestone_id'
+    },
+    work_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      field: 'work_date'
+    },
+    hours: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      validate: {
+        min: 0.01,
+        max: 24
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  },
+  {
+    sequelize,
+    modelName: 'TimeEntry',
+    tableName: 'time_entries',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+);
+
+module.exports = TimeEntry;
@@ -0,0 +1,113 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+/**
+ * A researcher's hours on one project for one week (week_start is a Monday)
+ */
+class Timesheet extends Model {
+  toSafeObject() {
+    const timesheet = this.toJSON();
+    if (Array.isArray(timesheet.entries)) {
+      timesheet.total_hours = Math.round(
+        timesheet.entries.reduce((sum, entry) => sum + Number(entry.hours), 0) * 100
+      ) / 100;
+    }
+    return timesheet;
+  }
+}
+
+Timesheet.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    project_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'project_ideas',
+        key: 'project_id'
+      },
+      onDelete: 'CASCADE',
+      field: 'project_id'
+    },
+    researcher_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      field: 'researcher_id'
+    },
+    week_start: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      field: 'week_start'
+    },
+    status: {
+      type: DataTypes.ENUM('draft', 'submitted', 'approved', 'rejected'),
+      allowNull: false,
+      defaultValue: 'draft',
+      validate: {
+        isIn: [['draft', 'submitted', 'approved', 'rejected']]
+      }
+    },
+    submitted_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'submitted_at'
+    },
+    reviewed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      field: 'reviewed_by'
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'reviewed_at'
+    },
+    feedback: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  },
+  {
+    sequelize,
+    modelName: 'Timesheet',
+    tableName: 'timesheets',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['project_id', 'researcher_id', 'week_start']
+      }
+    ]
+  }
+);
+
+module.exports = Timesheet;
@@ -0,0 +1,64 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+class TwoFactorRecoveryCode extends Model {}
+
+TwoFactorRecoveryCode.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      field: 'user_id'
+    },
+    code_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      field: 'code_hash'
+    },
+    used_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'used_at'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  },
+  {
+    sequelize,
+    modelName: 'TwoFactorRecoveryCode',
+    tableName: 'two_factor_recovery_codes',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        name: 'uq_two_factor_recovery_codes_user_hash',
+        fields: ['user_id', 'code_hash']
+      }
+    ]
+  }
+);
+
+module.exports = TwoFactorRecoveryCode;
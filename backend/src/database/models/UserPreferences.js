@@ -74,6 +74,15 @@ const UserPreferences = sequelize.define('UserPreferences', {
     defaultValue: false,
     field: 'weekly_digest'
   },
+  digest_frequency: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: 'off',
+    validate: {
+      isIn: [['off', 'daily', 'weekly']]
+    },
+    field: 'digest_frequency'
+  },
   monthly_report: {
     type: DataTypes.BOOLEAN,
     allowNull: false,
@@ -0,0 +1,111 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+class UserSession extends Model {
+  isActive(now = new Date()) {
+    return !this.revoked_at && new Date(this.expires_at) > now;
+  }
+
+  toSafeObject() {
+    const { refresh_token_hash, rotated_refresh_token_hashes, ...rest } = this.toJSON();
+    return rest;
+  }
+}
+
+UserSession.init(
+  {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      field: 'user_id'
+    },
+    refresh_token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      field: 'refresh_token_hash'
+    },
+    // Hashes of every refresh token this session has rotated away from, to detect replays
+    rotated_refresh_token_hashes: {
+      type: DataTypes.ARRAY(DataTypes.STRING(64)),
+      allowNull: false,
+      defaultValue: [],
+      field: 'rotated_refresh_token_hashes'
+    },
+    rotation_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'rotation_count'
+    },
+    user_agent: {
+      type: DataTypes.STRING(512),
+      allowNull: true,
+      field: 'user_agent'
+    },
+    ip_address: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      field: 'ip_address'
+    },
+    last_used_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'last_used_at'
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'expires_at'
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'revoked_at'
+    },
+    revoked_reason: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      field: 'revoked_reason'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  },
+  {
+    sequelize,
+    modelName: 'UserSession',
+    tableName: 'user_sessions',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        name: 'idx_user_sessions_user_revoked',
+        fields: ['user_id', 'revoked_at']
+      }
+    ]
+  }
+);
+
+module.exports = UserSession;
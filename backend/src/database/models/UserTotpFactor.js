@@ -0,0 +1,80 @@
+const { DataTypes, Model } = require('sequelize');
+const sequelize = require('../index');
+
+class UserTotpFactor extends Model {
+  isConfirmed() {
+    return Boolean(this.confirmed_at);
+  }
+}
+
+UserTotpFactor.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: '_user',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      field: 'user_id'
+    },
+    secret_encrypted: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      field: 'secret_encrypted'
+    },
+    confirmed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'confirmed_at'
+    },
+    // Last accepted TOTP time step; codes from this step or earlier are rejected as replays
+    last_used_step: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      field: 'last_used_step'
+    },
+    // Failed sign-in codes (authenticator or recovery) since the last success or lockout
+    failed_login_attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'failed_login_attempts'
+    },
+    login_locked_until: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'login_locked_until'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  },
+  {
+    sequelize,
+    modelName: 'UserTotpFactor',
+    tableName: 'user_totp_factors',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+);
+
+module.exports = UserTotpFactor;
@@ -26,10 +26,40 @@ const Notification = require('./Notification');
 const EmailVerification = require('./EmailVerification');
 const PasswordReset = require('./PasswordReset');
 const TwoFactorCode = require('./TwoFactorCode');
+const UserTotpFactor = require('./UserTotpFactor');
+const TwoFactorRecoveryCode = require('./TwoFactorRecoveryCode');
 const Attachment = require('./Attachment');
 const UploadSecurityIncident = require('./UploadSecurityIncident');
 const Contract = require('./Contract');
 const AgreementRemovalRequest = require('./AgreementRemovalRequest');
+const DigestDelivery = require('./DigestDelivery');
+const UserSession = require('./UserSession');
+const BulkJob = require('./BulkJob');
+const BulkJobItem = require('./BulkJobItem');
+const RateLimitCounter = require('./RateLimitCounter');
+const JobCursor = require('./JobCursor');
+const AgreementTemplate = require('./AgreementTemplate');
+const AgreementTemplateVersion = require('./AgreementTemplateVersion');
+const ThreadDataKey = require('./ThreadDataKey');
+const MessageRevision = require('./MessageRevision');
+const MessageReaction = require('./MessageReaction');
+const MessageSearchToken = require('./MessageSearchToken');
+const OrganizationMember = require('./OrganizationMember');
+const OrganizationInvitation = require('./OrganizationInvitation');
+const OrganizationVerificationRequest = require('./OrganizationVerificationRequest');
+const OrganizationVerificationDocument = require('./OrganizationVerificationDocument');
+const CertificationEvidence = require('./CertificationEvidence');
+const ResearcherPortfolioItem = require('./ResearcherPortfolioItem');
+const ResearcherBlackoutPeriod = require('./ResearcherBlackoutPeriod');
+const MilestoneDependency = require('./MilestoneDependency');
+const MilestoneSubmission = require('./MilestoneSubmission');
+const MilestoneSubmissionAttachment = require('./MilestoneSubmissionAttachment');
+const MilestoneChecklistItem = require('./MilestoneChecklistItem');
+const Timesheet = require('./Timesheet');
+const TimeEntry = require('./TimeEntry');
+const PaymentTranche = require('./PaymentTranche');
+const Invoice = require('./Invoice');
+const InboundEmail = require('./InboundEmail');
 const sequelize = require('../index');
 
 // User <-> ResearcherProfile (one-to-one)
@@ -87,8 +117,23 @@ Rating.belongsTo(User, { foreignKey: 'moderated_by', as: 'moderator' });
 // Project <-> Milestone
 Project.hasMany(Milestone, { foreignKey: 'project_id', as: 'milestones' });
 Milestone.belongsTo(Project, { foreignKey: 'project_id', as: 'project' });
-Milestone.belongsTo(Milestone, { foreignKey: 'depends_on', as: 'dependency' });
-Milestone.hasMany(Milestone, { foreignKey: 'depends_on', as: 'dependents' });
+
+// Milestone <-> Milestone (prerequisites, through MilestoneDependency)
+Milestone.belongsToMany(Milestone, {
+  through: MilestoneDependency,
+  foreignKey: 'milestone_id',
+  otherKey: 'depends_on_milestone_id',
+  as: 'dependencies'
+});
+Milestone.belongsToMany(Milestone, {
+  through: MilestoneDependency,
+  foreignKey: 'depends_on_milestone_id',
+  otherKey: 'milestone_id',
+  as: 'dependents'
+});
+Milestone.hasMany(MilestoneDependency, { foreignKey: 'milestone_id', as: 'dependencyLinks' });
+MilestoneDependency.belongsTo(Milestone, { foreignKey: 'milestone_id', as: 'milestone' });
+MilestoneDependency.belongsTo(Milestone, { foreignKey: 'depends_on_milestone_id', as: 'prerequisite' });
 
 // Milestone <-> MilestoneResearcher
 Milestone.hasMany(MilestoneResearcher, { foreignKey: 'milestone_id', as: 'researcherAssignments' });
@@ -112,6 +157,52 @@ MilestoneRevisionRequest.belongsTo(User, { foreignKey: 'requested_by', as: 'requ
 User.hasMany(MilestoneRevisionRequest, { foreignKey: 'reviewed_by', as: 'reviewedMilestoneRevisions' });
 MilestoneRevisionRequest.belongsTo(User, { foreignKey: 'reviewed_by', as: 'reviewer' });
 
+// Milestone <-> MilestoneSubmission
+Milestone.hasMany(MilestoneSubmission, { foreignKey: 'milestone_id', as: 'submissions' });
+MilestoneSubmission.belongsTo(Milestone, { foreignKey: 'milestone_id', as: 'milestone' });
+
+// User <-> MilestoneSubmission
+User.hasMany(MilestoneSubmission, { foreignKey: 'submitted_by', as: 'milestoneSubmissions' });
+MilestoneSubmission.belongsTo(User, { foreignKey: 'submitted_by', as: 'submitter' });
+User.hasMany(MilestoneSubmission, { foreignKey: 'reviewed_by', as: 'reviewedMilestoneSubmissions' });
+MilestoneSubmission.belongsTo(User, { foreignKey: 'reviewed_by', as: 'reviewer' });
+
+// Milestone <-> MilestoneChecklistItem
+Milestone.hasMany(MilestoneChecklistItem, { foreignKey: 'milestone_id', as: 'checklistItems' });
+MilestoneChecklistItem.belongsTo(Milestone, { foreignKey: 'milestone_id', as: 'milestone' });
+
+// User <-> MilestoneChecklistItem
+User.hasMany(MilestoneChecklistItem, { foreignKey: 'assignee_id', as: 'assignedChecklistItems' });
+MilestoneChecklistItem.belongsTo(User, { foreignKey: 'assignee_id', as: 'assignee' });
+MilestoneChecklistItem.belongsTo(User, { foreignKey: 'completed_by', as: 'completer' });
+
+// Project/User <-> Timesheet
+Project.hasMany(Timesheet, { foreignKey: 'project_id', as: 'timesheets' });
+Timesheet.belongsTo(Project, { foreignKey: 'project_id', as: 'project' });
+User.hasMany(Timesheet, { foreignKey: 'researcher_id', as: 'timesheets' });
+Timesheet.belongsTo(User, { foreignKey: 'researcher_id', as: 'researcher' });
+Timesheet.belongsTo(User, { foreignKey: 'reviewed_by', as: 'reviewer' });
+
+// Timesheet <-> TimeEntry <-> Milestone
+Timesheet.hasMany(TimeEntry, { foreignKey: 'timesheet_id', as: 'entries' });
+TimeEntry.belongsTo(Timesheet, { foreignKey: 'timesheet_id', as: 'timesheet' });
+Milestone.hasMany(TimeEntry, { foreignKey: 'milestone_id', as: 'timeEntries' });
+TimeEntry.belongsTo(Milestone, { foreignKey: 'milestone_id', as: 'milestone' });
+
+// Project budget ledger: Contract (SOW) -> PaymentTranche (per milestone) -> Invoice
+Project.hasMany(PaymentTranche, { foreignKey: 'project_id', as: 'paymentTranches' });
+PaymentTranche.belongsTo(Project, { foreignKey: 'project_id', as: 'project' });
+Contract.hasMany(PaymentTranche, { foreignKey: 'contract_id', as: 'paymentTranches' });
+PaymentTranche.belongsTo(Contract, { foreignKey: 'contract_id', as: 'contract' });
+Milestone.hasMany(PaymentTranche, { foreignKey: 'milestone_id', as: 'paymentTranches' });
+PaymentTranche.belongsTo(Milestone, { foreignKey: 'milestone_id', as: 'milestone' });
+PaymentTranche.belongsTo(User, { foreignKey: 'researcher_id', as: 'researcher' });
+PaymentTranche.hasOne(Invoice, { foreignKey: 'tranche_id', as: 'invoice' });
+Invoice.belongsTo(PaymentTranche, { foreignKey: 'tranche_id', as: 'tranche' });
+Invoice.belongsTo(Project, { foreignKey: 'project_id', as: 'project' });
+Invoice.belongsTo(User, { foreignKey: 'researcher_id', as: 'researcher' });
+Invoice.belongsTo(User, { foreignKey: 'paid_by', as: 'payer' });
+
 // Project <-> MilestoneRequest
 Project.hasMany(MilestoneRequest, { foreignKey: 'project_id', as: 'milestoneRequests' });
 MilestoneRequest.belongsTo(Project, { foreignKey: 'project_id', as: 'project' });
@@ -147,6 +238,82 @@ Message.belongsTo(Thread, {
   as: 'thread',
 });
 
+// Thread <-> ThreadDataKey (envelope encryption keys)
+Thread.hasMany(ThreadDataKey, {
+  foreignKey: 'thread_id',
+  as: 'dataKeys',
+  onDelete: 'CASCADE',
+});
+ThreadDataKey.belongsTo(Thread, {
+  foreignKey: 'thread_id',
+  as: 'thread',
+});
+
+// ThreadDataKey <-> Message
+ThreadDataKey.hasMany(Message, {
+  foreignKey: 'key_id',
+  as: 'messages',
+});
+Message.belongsTo(ThreadDataKey, {
+  foreignKey: 'key_id',
+  as: 'dataKey',
+});
+
+// Message <-> MessageRevision (edit history)
+Message.hasMany(MessageRevision, {
+  foreignKey: 'message_id',
+  as: 'revisions',
+  onDelete: 'CASCADE',
+});
+MessageRevision.belongsTo(Message, {
+  foreignKey: 'message_id',
+  as: 'message',
+});
+MessageRevision.belongsTo(User, {
+  foreignKey: 'edited_by',
+  as: 'editor',
+});
+ThreadDataKey.hasMany(MessageRevision, {
+  foreignKey: 'key_id',
+  as: 'revisions',
+});
+
+// Message <-> MessageReaction
+Message.hasMany(MessageReaction, {
+  foreignKey: 'message_id',
+  as: 'reactions',
+  onDelete: 'CASCADE',
+});
+MessageReaction.belongsTo(Message, {
+  foreignKey: 'message_id',
+  as: 'message',
+});
+MessageReaction.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user',
+});
+
+// Message <-> Message (replies)
+Message.belongsTo(Message, {
+  foreignKey: 'parent_message_id',
+  as: 'parent',
+});
+Message.hasMany(Message, {
+  foreignKey: 'parent_message_id',
+  as: 'replies',
+});
+
+// Message <-> MessageSearchToken (blind search index)
+Message.hasMany(MessageSearchToken, {
+  foreignKey: 'message_id',
+  as: 'searchTokens',
+  onDelete: 'CASCADE',
+});
+MessageSearchToken.belongsTo(Message, {
+  foreignKey: 'message_id',
+  as: 'message',
+});
+
 // Thread <-> ThreadParticipant
 Thread.hasMany(ThreadParticipant, {
   foreignKey: 'thread_id',
@@ -251,6 +418,14 @@ PasswordReset.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
 User.hasMany(TwoFactorCode, { foreignKey: 'user_id', as: 'twoFactorCodes' });
 TwoFactorCode.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
 
+// User <-> UserTotpFactor (one-to-one, authenticator app enrolment)
+User.hasOne(UserTotpFactor, { foreignKey: 'user_id', as: 'totpFactor' });
+UserTotpFactor.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+// User <-> TwoFactorRecoveryCode (one-to-many, single-use backup codes)
+User.hasMany(TwoFactorRecoveryCode, { foreignKey: 'user_id', as: 'recoveryCodes' });
+TwoFactorRecoveryCode.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
 // User <-> SavedProject
 User.hasMany(SavedProject, { foreignKey: 'user_id', as: 'savedProjects' });
 SavedProject.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
@@ -271,6 +446,20 @@ Attachment.belongsTo(Milestone, { foreignKey: 'milestone_id', as: 'milestone' })
 User.hasMany(Attachment, { foreignKey: 'uploaded_by', as: 'uploadedAttachments' });
 Attachment.belongsTo(User, { foreignKey: 'uploaded_by', as: 'uploader' });
 
+// MilestoneSubmission <-> Attachment (bundled deliverables)
+MilestoneSubmission.belongsToMany(Attachment, {
+  through: MilestoneSubmissionAttachment,
+  foreignKey: 'submission_id',
+  otherKey: 'attachment_id',
+  as: 'attachments'
+});
+Attachment.belongsToMany(MilestoneSubmission, {
+  through: MilestoneSubmissionAttachment,
+  foreignKey: 'attachment_id',
+  otherKey: 'submission_id',
+  as: 'milestoneSubmissions'
+});
+
 // User <-> UploadSecurityIncident
 User.hasMany(UploadSecurityIncident, { foreignKey: 'user_id', as: 'uploadSecurityIncidents' });
 UploadSecurityIncident.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
@@ -306,6 +495,14 @@ Contract.belongsTo(Contract, { foreignKey: 'parent_contract_id', as: 'parentCont
 Contract.belongsTo(Contract, { foreignKey: 'root_contract_id', as: 'rootContract' });
 Contract.belongsTo(Contract, { foreignKey: 'supersedes_contract_id', as: 'supersededContract' });
 
+// AgreementTemplate <-> AgreementTemplateVersion
+AgreementTemplate.hasMany(AgreementTemplateVersion, { foreignKey: 'template_id', as: 'versions' });
+AgreementTemplateVersion.belongsTo(AgreementTemplate, { foreignKey: 'template_id', as: 'template' });
+
+// AgreementTemplateVersion <-> Contract (exact text an agreement was rendered from)
+AgreementTemplateVersion.hasMany(Contract, { foreignKey: 'template_version_id', as: 'contracts' });
+Contract.belongsTo(AgreementTemplateVersion, { foreignKey: 'template_version_id', as: 'templateVersion' });
+
 // Contract <-> ContractReview
 Contract.hasMany(ContractReview, { foreignKey: 'contract_id', as: 'reviews' });
 ContractReview.belongsTo(Contract, { foreignKey: 'contract_id', as: 'contract' });
@@ -324,6 +521,59 @@ AgreementRemovalRequest.belongsTo(User, { foreignKey: 'requested_by', as: 'reque
 User.hasMany(AgreementRemovalRequest, { foreignKey: 'reviewed_by', as: 'reviewedAgreementRemovals' });
 AgreementRemovalRequest.belongsTo(User, { foreignKey: 'reviewed_by', as: 'reviewer' });
 
+// User <-> DigestDelivery
+User.hasMany(DigestDelivery, { foreignKey: 'user_id', as: 'digestDeliveries' });
+DigestDelivery.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+// User <-> UserSession
+User.hasMany(UserSession, { foreignKey: 'user_id', as: 'sessions' });
+UserSession.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+// User <-> BulkJob (admin who started the job)
+User.hasMany(BulkJob, { foreignKey: 'actor_id', as: 'bulkJobs' });
+BulkJob.belongsTo(User, { foreignKey: 'actor_id', as: 'actor' });
+
+// BulkJob <-> BulkJobItem (one row per target id with its result)
+BulkJob.hasMany(BulkJobItem, { foreignKey: 'job_id', as: 'items' });
+BulkJobItem.belongsTo(BulkJob, { foreignKey: 'job_id', as: 'job' });
+
+// Organization <-> OrganizationMember (staff roles)
+Organization.hasMany(OrganizationMember, { foreignKey: 'org_id', as: 'members' });
+OrganizationMember.belongsTo(Organization, { foreignKey: 'org_id', as: 'organization' });
+User.hasOne(OrganizationMember, { foreignKey: 'user_id', as: 'organizationMembership' });
+OrganizationMember.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+OrganizationMember.belongsTo(User, { foreignKey: 'invited_by', as: 'inviter' });
+
+// Organization <-> OrganizationInvitation
+Organization.hasMany(OrganizationInvitation, { foreignKey: 'org_id', as: 'invitations' });
+OrganizationInvitation.belongsTo(Organization, { foreignKey: 'org_id', as: 'organization' });
+OrganizationInvitation.belongsTo(User, { foreignKey: 'invited_by', as: 'inviter' });
+
+// Organization <-> OrganizationVerificationRequest (nonprofit verification)
+Organization.hasMany(OrganizationVerificationRequest, { foreignKey: 'org_id', as: 'verificationRequests' });
+OrganizationVerificationRequest.belongsTo(Organization, { foreignKey: 'org_id', as: 'organization' });
+OrganizationVerificationRequest.belongsTo(User, { foreignKey: 'submitted_by', as: 'submitter' });
+OrganizationVerificationRequest.belongsTo(User, { foreignKey: 'reviewed_by', as: 'reviewer' });
+OrganizationVerificationRequest.hasMany(OrganizationVerificationDocument, { foreignKey: 'request_id', as: 'documents' });
+OrganizationVerificationDocument.belongsTo(OrganizationVerificationRequest, { foreignKey: 'request_id', as: 'request' });
+
+// Certification <-> CertificationEvidence (verification review)
+Certification.hasMany(CertificationEvidence, { foreignKey: 'certification_id', as: 'evidence' });
+CertificationEvidence.belongsTo(Certification, { foreignKey: 'certification_id', as: 'certification' });
+Certification.belongsTo(User, { foreignKey: 'verified_by', as: 'verifier' });
+
+// User <-> ResearcherPortfolioItem (nonprofit-approved past work)
+User.hasMany(ResearcherPortfolioItem, { foreignKey: 'researcher_id', as: 'portfolioItems' });
+ResearcherPortfolioItem.belongsTo(User, { foreignKey: 'researcher_id', as: 'researcher' });
+ResearcherPortfolioItem.belongsTo(User, { foreignKey: 'reviewed_by', as: 'reviewer' });
+ResearcherPortfolioItem.belongsTo(Project, { foreignKey: 'project_id', as: 'project' });
+ResearcherPortfolioItem.belongsTo(Milestone, { foreignKey: 'milestone_id', as: 'milestone' });
+ResearcherPortfolioItem.belongsTo(Attachment, { foreignKey: 'attachment_id', as: 'attachment' });
+
+// User <-> ResearcherBlackoutPeriod (availability calendar)
+User.hasMany(ResearcherBlackoutPeriod, { foreignKey: 'researcher_id', as: 'blackoutPeriods' });
+ResearcherBlackoutPeriod.belongsTo(User, { foreignKey: 'researcher_id', as: 'researcher' });
+
 module.exports = {
   User,
   Organization,
@@ -353,9 +603,39 @@ module.exports = {
   EmailVerification,
   PasswordReset,
   TwoFactorCode,
+  UserTotpFactor,
+  TwoFactorRecoveryCode,
   Attachment,
   UploadSecurityIncident,
   Contract,
   AgreementRemovalRequest,
+  DigestDelivery,
+  UserSession,
+  BulkJob,
+  BulkJobItem,
+  OrganizationMember,
+  OrganizationInvitation,
+  OrganizationVerificationRequest,
+  OrganizationVerificationDocument,
+  CertificationEvidence,
+  ResearcherPortfolioItem,
+  ResearcherBlackoutPeriod,
+  MilestoneDependency,
+  MilestoneSubmission,
+  MilestoneSubmissionAttachment,
+  MilestoneChecklistItem,
+  Timesheet,
+  TimeEntry,
+  PaymentTranche,
+  Invoice,
+  InboundEmail,
+  RateLimitCounter,
+  JobCursor,
+  AgreementTemplate,
+  AgreementTemplateVersion,
+  ThreadDataKey,
+  MessageRevision,
+  MessageReaction,
+  MessageSearchToken,
   sequelize
 };
\ No newline at end of file
@@ -63,6 +63,7 @@ const applicationRoutes = require('./routes/applicationRoutes');
 const matchRoutes = require('./routes/matchRoutes');
 const agreementRoutes = require('./routes/agreementRoutes');
 const adminChatAuditRoutes = require('./routes/adminChatAuditRoutes');
+const inboundEmailRoutes = require('./routes/inboundEmailRoutes');
 
 //home route just to check if server is running
 app.get('/', (req, res) => {
@@ -83,6 +84,7 @@ app.use('/api/applications', applicationRoutes);
 app.use('/api/matches', matchRoutes);
 app.use('/api/agreements', agreementRoutes);
 app.use('/api/admin/chat-audit', adminChatAuditRoutes);
+app.use('/api/inbound-email', inboundEmailRoutes);
 
 // 404 handler for undefined routes
 app.use((req, res) => {
@@ -148,11 +150,25 @@ if (process.env.VERCEL !== '1') {
           const matchGenerationJob = require('./tasks/matchGenerationJob');
           const attachmentRetentionCleanup = require('./tasks/attachmentRetentionCleanup');
           const agreementLifecycleMaintenance = require('./tasks/agreementLifecycleMaintenance');
+          const digestEmailSender = require('./tasks/digestEmailSender');
+          const bulkJobWorker = require('./tasks/bulkJobWorker');
+          const messageKeyRotation = require('./tasks/messageKeyRotation');
+          const messageSearchIndexer = require('./tasks/messageSearchIndexer');
+          const projectChannelReconciler = require('./tasks/projectChannelReconciler');
+          const organizationReverificationReminder = require('./tasks/organizationReverificationReminder');
+          const invoicePaymentReconciler = require('./tasks/invoicePaymentReconciler');
           notificationCleanup.scheduleCleanup();
           milestoneDeadlineChecker.scheduleDeadlineChecks();
           matchGenerationJob.scheduleMatchGeneration();
           attachmentRetentionCleanup.scheduleAttachmentRetentionCleanup();
           agreementLifecycleMaintenance.scheduleAgreementLifecycleMaintenance();
+          digestEmailSender.scheduleDigests();
+          bulkJobWorker.scheduleBulkJobWorker();
+          messageKeyRotation.scheduleMessageKeyRotation();
+          messageSearchIndexer.scheduleMessageSearchIndexer();
+          projectChannelReconciler.scheduleProjectChannelReconciler();
+          organizationReverificationReminder.scheduleReverificationReminders();
+          invoicePaymentReconciler.scheduleInvoicePaymentReconcile();
         } catch (cleanupError) {
           console.warn('⚠ Failed to schedule background jobs:', cleanupError.message);
           // Don't fail server startup if scheduling fails
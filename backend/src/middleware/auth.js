@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const { User } = require('../database/models');
+const sessionService = require('../services/sessionService');
 
 /**
  * Middleware to verify JWT token and attach user to request
@@ -45,8 +46,14 @@ const authenticate = async (req, res, next) => {
       return res.status(401).json({ error: 'Account pending approval' });
     }
 
+    // Session-bound tokens stop working as soon as their session is revoked
+    if (decoded.sid && !(await sessionService.isSessionActive(decoded.sid, user.id))) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+
     // Attach user to request
     req.user = user;
+    req.sessionId = decoded.sid || null;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -60,6 +67,20 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Variant of authenticate for EventSource streams, which cannot set headers.
+ * Accepts the same JWT from the access_token query parameter.
+ */
+const authenticateStream = (req, res, next) => {
+  const queryToken = req.query?.access_token;
+
+  if (!req.headers.authorization && typeof queryToken === 'string' && queryToken) {
+    req.headers.authorization = `Bearer ${queryToken}`;
+  }
+
+  return authenticate(req, res, next);
+};
+
 /**
  * Middleware to check if user has admin role (admin or super_admin)
  */
@@ -102,6 +123,7 @@ const requireResearcher = (req, res, next) => {
 
 module.exports = {
   authenticate,
+  authenticateStream,
   requireAdmin,
   requireSuperAdmin,
   requireNonprofit,
@@ -0,0 +1,22 @@
+const validateInboundEmailRequest = (req, res, next) => {
+  const webhookSecret = process.env.INBOUND_EMAIL_WEBHOOK_SECRET;
+
+  if (!webhookSecret) {
+    if (process.env.NODE_ENV === 'production' || process.env.VERCEL === '1') {
+      return res.status(500).json({ error: 'INBOUND_EMAIL_WEBHOOK_SECRET is not configured' });
+    }
+
+    return next();
+  }
+
+  const authHeader = req.headers.authorization;
+  if (authHeader !== `Bearer ${webhookSecret}`) {
+    return res.status(401).json({ error: 'Unauthorized inbound email request' });
+  }
+
+  return next();
+};
+
+module.exports = {
+  validateInboundEmailRequest,
+};
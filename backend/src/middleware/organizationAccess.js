@@ -0,0 +1,30 @@
+const organizationMemberService = require('../services/organizationMemberService');
+
+/**
+ * Middleware factory: require the signed-in user's organization role to grant a permission.
+ * Attaches the membership as req.organizationMembership.
+ * @param {string} permission - Key of organizationMemberService.ORGANIZATION_PERMISSIONS
+ */
+const requireOrganizationPermission = (permission) => async (req, res, next) => {
+  try {
+    const membership = await organizationMemberService.getMembership(req.user.id);
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    if (!organizationMemberService.hasOrganizationPermission(membership.role, permission)) {
+      return res.status(403).json({ error: 'Your organization role does not allow this action' });
+    }
+
+    req.organizationMembership = membership;
+    return next();
+  } catch (error) {
+    console.error('Organization permission check error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  requireOrganizationPermission
+};
@@ -1,29 +1,66 @@
+const policies = require('../config/rateLimitPolicies');
+const { createMemoryStore, getDefaultStore } = require('../services/rateLimitStore');
+
 const WINDOW_MS = 15 * 60 * 1000;
 
-function createRateLimiter({ windowMs = WINDOW_MS, maxRequests = 10, keySelector } = {}) {
-  const buckets = new Map();
+// Sliding-window estimate: this window's hits plus the share of the previous window still in range
+function estimateHits({ current, previous, windowStart }, windowMs, now) {
+  const elapsed = Math.min(Math.max(now - windowStart, 0), windowMs);
+  return current + Math.floor(previous * ((windowMs - elapsed) / windowMs));
+}
 
-  return (req, res, next) => {
-    const now = Date.now();
-    const key = (keySelector && keySelector(req)) || req.ip || 'global';
+/**
+ * @param {Object} options
+ * @param {string} [options.name] - Namespaces keys in the shared store. Unnamed limiters count in
+ *   their own in-process store.
+ * @param {Object} [options.store] - Defaults to services/rateLimitStore.getDefaultStore()
+ */
+function createRateLimiter({ name, windowMs = WINDOW_MS, maxRequests = 10, keySelector, store } = {}) {
+  const limiterStore = store || (name ? null : createMemoryStore());
+  const windowSeconds = Math.ceil(windowMs / 1000);
 
-    const current = buckets.get(key);
-    if (!current || now - current.windowStart >= windowMs) {
-      buckets.set(key, { count: 1, windowStart: now });
+  return async (req, res, next) => {
+    const key = `${name || 'limiter'}:${(keySelector && keySelector(req)) || req.ip || 'global'}`;
+
+    let counts;
+    try {
+      counts = await (limiterStore || getDefaultStore()).increment(key, windowMs);
+    } catch (error) {
+      // Fail open: an unavailable store should not take login down with it
+      console.error(`[Rate Limit] Store error for ${name || 'limiter'}:`, error.message);
       return next();
     }
 
-    if (current.count >= maxRequests) {
-      const retryAfterSeconds = Math.ceil((windowMs - (now - current.windowStart)) / 1000);
-      res.set('Retry-After', String(retryAfterSeconds));
+    const now = Date.now();
+    const hits = estimateHits(counts, windowMs, now);
+    const resetSeconds = Math.max(Math.ceil((counts.windowStart + windowMs - now) / 1000), 1);
+
+    res.set('RateLimit-Policy', `${maxRequests};w=${windowSeconds}`);
+    res.set('RateLimit-Limit', String(maxRequests));
+    res.set('RateLimit-Remaining', String(Math.max(maxRequests - hits, 0)));
+    res.set('RateLimit-Reset', String(resetSeconds));
+
+    if (hits > maxRequests) {
+      res.set('Retry-After', String(resetSeconds));
       return res.status(429).json({ error: 'Too many requests. Please try again later.' });
     }
 
-    current.count += 1;
     return next();
   };
 }
 
+/**
+ * Limiter for a policy declared in config/rateLimitPolicies
+ */
+function rateLimitPolicy(policyName, overrides = {}) {
+  const policy = policies[policyName];
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy: ${policyName}`);
+  }
+  return createRateLimiter({ name: policyName, ...policy, ...overrides });
+}
+
 module.exports = {
   createRateLimiter,
+  rateLimitPolicy,
 };
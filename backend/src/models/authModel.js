@@ -1,5 +1,6 @@
 const { User, Organization, ResearcherProfile } = require("../database/models");
 const { serializeDelimitedList } = require('../utils/researcherProfileFields');
+const organizationMemberService = require('../services/organizationMemberService');
 
 const parseArrayField = (value) => {
   if (Array.isArray(value)) return value;
@@ -18,7 +19,8 @@ const findUserByEmail = async (email) => {
     return !!exists;
 }
 
-const createUser = async (name, email, password_hash, role, mfa_enabled, organizationData, researcherData) => {
+// An invitationToken signs the nonprofit up into the inviting organization instead of creating a new one.
+const createUser = async (name, email, password_hash, role, mfa_enabled, organizationData, researcherData, { invitationToken } = {}) => {
     // Create user and associated profile in a transaction
     const sequelize = User.sequelize;
     const transaction = await sequelize.transaction();
@@ -33,8 +35,15 @@ const createUser = async (name, email, password_hash, role, mfa_enabled, organiz
         mfa_enabled: !!mfa_enabled
       }, { transaction });
 
-      // If nonprofit, create organization profile
-      if (role === 'nonprofit' && organizationData) {
+      if (role === 'nonprofit' && invitationToken) {
+        const { membership } = await organizationMemberService.acceptInvitation({
+          token: invitationToken,
+          user,
+          transaction
+        });
+        user.org_id = membership.org_id;
+      } else if (role === 'nonprofit' && organizationData) {
+        // If nonprofit, create organization profile
         const organization = await Organization.create({
           name: organizationData.name || name,
           EIN: organizationData.EIN || null,
@@ -47,6 +56,9 @@ const createUser = async (name, email, password_hash, role, mfa_enabled, organiz
           focus_areas: parseArrayField(organizationData.focus_areas || organizationData.focus_tags)
         }, { transaction });
 
+        // The signup user owns the new organization; without a membership every org permission check fails.
+        await organizationMemberService.createOwnerMembership(organization.id, user.id, { transaction });
+
         // Ensure downstream flows use the same org_id reference for nonprofit ownership checks.
         user.org_id = organization.id;
         await user.save({ transaction });
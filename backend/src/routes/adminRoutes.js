@@ -3,6 +3,9 @@ const router = express.Router();
 const adminController = require('../controllers/adminController');
 const ratingController = require('../controllers/ratingController');
 const agreementController = require('../controllers/agreementController');
+const agreementTemplateController = require('../controllers/agreementTemplateController');
+const organizationVerificationController = require('../controllers/organizationVerificationController');
+const certificationVerificationController = require('../controllers/certificationVerificationController');
 const { authenticate, requireAdmin, requireSuperAdmin } = require('../middleware/auth');
 
 // All routes require authentication and admin role
@@ -11,7 +14,9 @@ router.use(requireAdmin);
 
 // Dashboard
 router.get('/dashboard/stats', adminController.getDashboardStats);
+router.get('/bulk-jobs', adminController.listBulkJobs);
 router.get('/bulk-jobs/:jobId', adminController.getBulkJobStatus);
+router.post('/bulk-jobs/:jobId/cancel', adminController.cancelBulkJobRequest);
 
 // Admin Creation (super_admin only)
 router.post('/users/create-admin', requireSuperAdmin, adminController.createAdmin);
@@ -49,6 +54,21 @@ router.get('/organizations', adminController.getAllOrganizations);
 router.post('/organizations/bulk', adminController.bulkOrganizations);
 router.delete('/organizations/:id', adminController.deleteOrganization);
 
+// Organization Verification
+router.get('/organization-verifications', organizationVerificationController.adminListVerificationRequests);
+router.get('/organization-verifications/:requestId', organizationVerificationController.adminGetVerificationRequest);
+router.post('/organization-verifications/:requestId/approve', organizationVerificationController.adminApproveVerificationRequest);
+router.post('/organization-verifications/:requestId/reject', organizationVerificationController.adminRejectVerificationRequest);
+router.post('/organization-verifications/:requestId/request-info', organizationVerificationController.adminRequestVerificationInfo);
+router.get('/organization-verifications/:requestId/documents/:documentId', organizationVerificationController.adminDownloadVerificationDocument);
+
+// Certification Verification
+router.get('/certification-verifications', certificationVerificationController.adminListCertificationVerifications);
+router.get('/certification-verifications/:certificationId', certificationVerificationController.adminGetCertificationVerification);
+router.post('/certification-verifications/:certificationId/approve', certificationVerificationController.adminApproveCertification);
+router.post('/certification-verifications/:certificationId/reject', certificationVerificationController.adminRejectCertification);
+router.get('/certification-verifications/:certificationId/evidence/:evidenceId', certificationVerificationController.adminDownloadEvidence);
+
 // Attachment Governance (UC13)
 router.get('/attachments', adminController.getAllAttachments);
 router.get('/attachments/stats', adminController.getAttachmentStats);
@@ -73,6 +93,19 @@ router.get('/agreements/stats', agreementController.adminAgreementStats);
 router.get('/agreements/observability', agreementController.adminAgreementObservability);
 router.get('/agreements/removal-requests', agreementController.adminListAgreementRemovalRequests);
 
+// Agreement Templates
+router.get('/agreement-templates', agreementTemplateController.listTemplates);
+router.post('/agreement-templates', agreementTemplateController.createTemplate);
+router.get('/agreement-templates/:templateId', agreementTemplateController.getTemplate);
+router.put('/agreement-templates/:templateId', agreementTemplateController.updateTemplate);
+router.delete('/agreement-templates/:templateId', agreementTemplateController.deleteTemplate);
+router.post('/agreement-templates/:templateId/versions', agreementTemplateController.createVersion);
+router.put('/agreement-templates/:templateId/versions/:versionId', agreementTemplateController.updateVersion);
+router.delete('/agreement-templates/:templateId/versions/:versionId', agreementTemplateController.deleteVersion);
+router.post('/agreement-templates/:templateId/versions/:versionId/publish', agreementTemplateController.publishVersion);
+router.post('/agreement-templates/:templateId/versions/:versionId/retire', agreementTemplateController.retireVersion);
+router.post('/agreement-templates/:templateId/versions/:versionId/preview', agreementTemplateController.previewVersion);
+
 // SLA Alerts (UC12)
 router.get('/alerts', adminController.getAdminAlerts);
 
@@ -2,12 +2,9 @@ const express = require('express');
 const router = express.Router();
 const agreementController = require('../controllers/agreementController');
 const { authenticate } = require('../middleware/auth');
-const { createRateLimiter } = require('../middleware/rateLimit');
+const { rateLimitPolicy } = require('../middleware/rateLimit');
 
-const signRateLimiter = createRateLimiter({
-  windowMs: 15 * 60 * 1000,
-  maxRequests: 20
-});
+const signRateLimiter = rateLimitPolicy('agreementSign');
 
 router.use(authenticate);
 
@@ -2,36 +2,21 @@ const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
 const { authenticate } = require('../middleware/auth');
-const { createRateLimiter } = require('../middleware/rateLimit');
-
-const authLimiter = createRateLimiter({
-	windowMs: 15 * 60 * 1000,
-	maxRequests: 15,
-	keySelector: (req) => `${req.ip}:${String(req.body?.email || '').trim().toLowerCase()}`,
-});
-
-const registerLimiter = createRateLimiter({
-	windowMs: 15 * 60 * 1000,
-	maxRequests: 5,
-	keySelector: (req) => `${req.ip}:${String(req.body?.email || '').trim().toLowerCase()}`,
-});
-
-const twoFactorSendLimiter = createRateLimiter({
-	windowMs: 15 * 60 * 1000,
-	maxRequests: 5,
-	keySelector: (req) => `${req.ip}:${String(req.body?.email || '').trim().toLowerCase()}`,
-});
-
-const twoFactorVerifyLimiter = createRateLimiter({
-	windowMs: 15 * 60 * 1000,
-	maxRequests: 5,
-	keySelector: (req) => `${req.ip}:${String(req.body?.email || '').trim().toLowerCase()}`,
-});
+const { rateLimitPolicy } = require('../middleware/rateLimit');
+
+const authLimiter = rateLimitPolicy('auth');
+const registerLimiter = rateLimitPolicy('register');
+const refreshLimiter = rateLimitPolicy('refresh');
+const twoFactorSendLimiter = rateLimitPolicy('twoFactorSend');
+const twoFactorVerifyLimiter = rateLimitPolicy('twoFactorVerify');
 
 // Register route
 router.post('/register', registerLimiter, authController.register);
 // Login route
 router.post('/login', authLimiter, authController.login);
+// Session routes: rotate a refresh token for a new access token, or end the session
+router.post('/refresh', refreshLimiter, authController.refresh);
+router.post('/logout', refreshLimiter, authController.logout);
 // Email verification routes
 router.get('/verify-email', authController.verifyEmail); // GET for email link clicks
 router.post('/verify-email', authController.verifyEmail); // POST for API calls
@@ -49,6 +34,12 @@ router.post('/2fa/verify-enable', authenticate, twoFactorVerifyLimiter, authCont
 router.post('/2fa/send-disable', authenticate, twoFactorSendLimiter, authController.sendDisable2FACode);
 router.post('/2fa/verify-disable', authenticate, twoFactorVerifyLimiter, authController.verifyDisable2FACode);
 
+// Authenticator app (TOTP) enrolment and recovery codes
+router.get('/2fa/status', authenticate, authController.get2FAStatus);
+router.post('/2fa/totp/setup', authenticate, twoFactorSendLimiter, authController.setupTotp);
+router.post('/2fa/totp/verify', authenticate, twoFactorVerifyLimiter, authController.verifyTotpSetup);
+router.post('/2fa/recovery-codes', authenticate, twoFactorVerifyLimiter, authController.regenerateRecoveryCodes);
+
 // 2FA login verification routes (no authenticate — uses temp token manually)
 router.post('/2fa/verify-login', twoFactorVerifyLimiter, authController.verifyLogin2FACode);
 router.post('/2fa/resend-login', twoFactorSendLimiter, authController.resendLogin2FACode);
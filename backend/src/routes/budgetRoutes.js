@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const budgetController = require('../controllers/budgetController');
+const { authenticate, requireNonprofit, requireResearcher } = require('../middleware/auth');
+
+// Project budget ledger routes mounted under /projects/:projectId/budget
+router.get('/', authenticate, budgetController.getBudgetLedger);
+router.get('/burn-down', authenticate, budgetController.getBudgetBurnDown);
+router.get('/tranches', authenticate, budgetController.listTranches);
+router.post('/tranches', authenticate, requireNonprofit, budgetController.createTranche);
+router.put('/tranches/:trancheId', authenticate, requireNonprofit, budgetController.updateTranche);
+router.delete('/tranches/:trancheId', authenticate, requireNonprofit, budgetController.cancelTranche);
+router.post('/tranches/:trancheId/invoice', authenticate, requireResearcher, budgetController.generateInvoice);
+router.get('/invoices', authenticate, budgetController.listInvoices);
+router.get('/invoices/:invoiceId/download', authenticate, budgetController.downloadInvoice);
+router.post('/invoices/:invoiceId/pay', authenticate, requireNonprofit, budgetController.payInvoice);
+
+module.exports = router;
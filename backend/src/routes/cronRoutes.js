@@ -10,5 +10,12 @@ router.get('/notification-cleanup', cronController.runNotificationCleanup);
 router.get('/milestone-deadlines', cronController.runMilestoneDeadlineChecks);
 router.get('/match-generation', cronController.runMatchGeneration);
 router.get('/agreement-lifecycle', cronController.runAgreementLifecycleMaintenance);
+router.get('/digest-emails', cronController.runDigestEmails);
+router.get('/bulk-jobs', cronController.runBulkJobs);
+router.get('/message-key-rotation', cronController.runMessageKeyRotation);
+router.get('/message-search-index', cronController.runMessageSearchIndex);
+router.get('/project-channel-reconcile', cronController.runProjectChannelReconcile);
+router.get('/organization-reverification', cronController.runOrganizationReverificationReminders);
+router.get('/invoice-payment-reconcile', cronController.runInvoicePaymentReconcile);
 
 module.exports = router;
\ No newline at end of file
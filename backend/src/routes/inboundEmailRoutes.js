@@ -0,0 +1,40 @@
+const express = require('express');
+const inboundEmailService = require('../services/inboundEmailService');
+const { validateInboundEmailRequest } = require('../middleware/inboundEmailAuth');
+
+const router = express.Router();
+
+const MAX_INBOUND_EMAIL_SIZE = '10mb';
+
+router.use(validateInboundEmailRequest);
+
+/**
+ * @route   POST /api/inbound-email
+ * @desc    Accept a raw RFC 822 reply to a message notification and post it to the thread
+ * @access  Mail provider webhook or local SMTP relay (Bearer INBOUND_EMAIL_WEBHOOK_SECRET)
+ * @body    message/rfc822 or text/plain raw message, or JSON { raw }
+ * @returns 200 { status } for every processed message (posted, empty, bounced, rejected,
+ *          unknown_sender, duplicate) so providers do not retry messages that were deliberately
+ *          dropped
+ */
+router.post(
+  '/',
+  express.raw({ type: ['message/rfc822', 'text/plain', 'application/octet-stream'], limit: MAX_INBOUND_EMAIL_SIZE }),
+  async (req, res) => {
+    const raw = Buffer.isBuffer(req.body) ? req.body : req.body?.raw;
+
+    if (!raw || raw.length === 0 || (!Buffer.isBuffer(raw) && typeof raw !== 'string')) {
+      return res.status(400).json({ error: 'Raw email message is required' });
+    }
+
+    try {
+      const result = await inboundEmailService.processInboundEmail(raw);
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('Error processing inbound email:', error);
+      return res.status(500).json({ error: 'Failed to process inbound email' });
+    }
+  }
+);
+
+module.exports = router;
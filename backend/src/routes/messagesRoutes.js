@@ -3,13 +3,15 @@ const router = express.Router();
 const multer = require('multer');
 
 const messageService = require('../services/messageService');
+const realtimeService = require('../services/realtimeService');
 const { getStorageAdapter } = require('../services/storage');
 const {
   createMessageUploadAsset,
   getMessageUploadAssetForUser
 } = require('../services/messageUploadService');
-const { authenticate } = require('../middleware/auth');
-const { createRateLimiter } = require('../middleware/rateLimit');
+const { authenticate, authenticateStream } = require('../middleware/auth');
+const { rateLimitPolicy } = require('../middleware/rateLimit');
+const { openEventStream } = require('../utils/sse');
 
 const MAX_UPLOAD_SIZE_BYTES = 10 * 1024 * 1024;
 const ALLOWED_UPLOAD_MIME_TYPES = new Set([
@@ -35,6 +37,12 @@ function handleServiceError(res, error) {
     case 'INVALID_THREAD_OR_SENDER':
     case 'MESSAGE_OR_ATTACHMENT_REQUIRED':
     case 'MESSAGE_BODY_TOO_LONG':
+    case 'MESSAGE_BODY_REQUIRED':
+    case 'INVALID_REACTION':
+    case 'INVALID_PARENT_MESSAGE':
+    case 'INVALID_SEARCH_QUERY':
+    case 'INVALID_THREAD_FILTER':
+    case 'INVALID_MUTE_UNTIL':
     case 'FILE_TOO_LARGE':
     case 'UNSUPPORTED_FILE_TYPE':
     case 'ONLY_GROUP_THREADS_CAN_ADD_PARTICIPANTS':
@@ -45,18 +53,22 @@ function handleServiceError(res, error) {
       });
 
     case 'NOT_THREAD_MEMBER':
+    case 'NOT_MESSAGE_SENDER':
       return res.status(403).json({
         success: false,
         error: error.message,
       });
 
     case 'THREAD_NOT_FOUND':
+    case 'MESSAGE_NOT_FOUND':
       return res.status(404).json({
         success: false,
         error: error.message,
       });
 
     case 'PARTICIPANT_ALREADY_EXISTS':
+    case 'EDIT_WINDOW_EXPIRED':
+    case 'MESSAGE_DELETED':
       return res.status(409).json({
         success: false,
         error: error.message,
@@ -90,11 +102,7 @@ const upload = multer({
   },
 });
 
-const messageUploadRateLimiter = createRateLimiter({
-  windowMs: 60 * 1000,
-  maxRequests: 10,
-  keySelector: (req) => `message-upload:${req.user?.id || req.ip || 'unknown'}`,
-});
+const messageUploadRateLimiter = rateLimitPolicy('messageUpload');
 
 function handleUpload(req, res, next) {
   upload.single('file')(req, res, (err) => {
@@ -135,6 +143,27 @@ function validatePaginationQuery(limit, before) {
   }
 }
 
+// Live stream of new messages, read receipts and thread creation for the caller.
+// Registered before router.use(authenticate) so EventSource clients can pass ?access_token=.
+router.get('/stream', authenticateStream, async (req, res) => {
+  const stream = openEventStream(req, res);
+
+  try {
+    const unsubscribe = await realtimeService.subscribeToUser({
+      topic: 'messages',
+      userId: req.user.id,
+      onEvent: ({ event, data }) => stream.send({ event, data }),
+    });
+    stream.onClose(unsubscribe);
+
+    stream.send({ event: 'ready', data: { user_id: req.user.id } });
+  } catch (error) {
+    console.error('MESSAGE STREAM ERROR:', error);
+    stream.send({ event: 'error', data: { error: 'STREAM_UNAVAILABLE' } });
+    stream.close();
+  }
+});
+
 router.use(authenticate);
 
 // Upload a file for later message attachment
@@ -252,10 +281,11 @@ router.post('/threads/group', async (req, res) => {
   }
 });
 
-// Get all threads for current user
+// Get threads for current user (?filter=active|archived|muted|all, default active)
 router.get('/threads', async (req, res) => {
   try {
-    const threads = await messageService.getUserThreads(req.user.id);
+    const { filter = 'active' } = req.query;
+    const threads = await messageService.getUserThreads(req.user.id, { filter });
 
     return res.status(200).json({
       success: true,
@@ -266,17 +296,66 @@ router.get('/threads', async (req, res) => {
   }
 });
 
+// Search messages in the current user's threads
+router.get('/search', async (req, res) => {
+  try {
+    const { q, thread_id: threadId = null, limit, before = null } = req.query;
+
+    validatePaginationQuery(limit, before);
+
+    const result = await messageService.searchMessages({
+      userId: req.user.id,
+      query: typeof q === 'string' ? q : '',
+      threadId,
+      limit,
+      before,
+    });
+
+    return res.status(200).json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    return handleServiceError(res, error);
+  }
+});
+
+// Mute (optionally until a time), archive or pin a thread for the current user
+router.patch('/threads/:threadId/settings', async (req, res) => {
+  try {
+    const { threadId } = req.params;
+    const { muted, muted_until: mutedUntil, archived, pinned } = req.body;
+
+    const settings = await messageService.updateThreadSettings({
+      threadId,
+      userId: req.user.id,
+      muted,
+      mutedUntil,
+      archived,
+      pinned,
+    });
+
+    return res.status(200).json({
+      success: true,
+      settings,
+    });
+  } catch (error) {
+    return handleServiceError(res, error);
+  }
+});
+
 // Send message
 router.post('/threads/:threadId/messages', async (req, res) => {
   try {
     const { threadId } = req.params;
-    const { body, attachments = [] } = req.body;
+    const { body, attachments = [], parent_message_id: parentMessageId = null } = req.body;
 
     const result = await messageService.sendMessage({
       threadId,
       senderId: req.user.id,
       body,
       attachments,
+      parentMessageId,
     });
 
     return res.status(201).json({
@@ -312,6 +391,89 @@ router.get('/threads/:threadId/messages', async (req, res) => {
   }
 });
 
+// Edit own message within the edit window
+router.put('/threads/:threadId/messages/:messageId', async (req, res) => {
+  try {
+    const { threadId, messageId } = req.params;
+
+    const result = await messageService.editMessage({
+      threadId,
+      messageId,
+      userId: req.user.id,
+      body: req.body.body,
+    });
+
+    return res.status(200).json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    return handleServiceError(res, error);
+  }
+});
+
+// Delete own message (soft delete, leaves a tombstone)
+router.delete('/threads/:threadId/messages/:messageId', async (req, res) => {
+  try {
+    const { threadId, messageId } = req.params;
+
+    const result = await messageService.deleteMessage({
+      threadId,
+      messageId,
+      userId: req.user.id,
+    });
+
+    return res.status(200).json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    return handleServiceError(res, error);
+  }
+});
+
+// React to a message
+router.post('/threads/:threadId/messages/:messageId/reactions', async (req, res) => {
+  try {
+    const { threadId, messageId } = req.params;
+
+    const result = await messageService.addReaction({
+      threadId,
+      messageId,
+      userId: req.user.id,
+      emoji: req.body.emoji,
+    });
+
+    return res.status(200).json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    return handleServiceError(res, error);
+  }
+});
+
+// Remove own reaction (emoji is URL-encoded)
+router.delete('/threads/:threadId/messages/:messageId/reactions/:emoji', async (req, res) => {
+  try {
+    const { threadId, messageId, emoji } = req.params;
+
+    const result = await messageService.removeReaction({
+      threadId,
+      messageId,
+      userId: req.user.id,
+      emoji,
+    });
+
+    return res.status(200).json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    return handleServiceError(res, error);
+  }
+});
+
 // Mark thread read
 router.post('/threads/:threadId/read', async (req, res) => {
   try {
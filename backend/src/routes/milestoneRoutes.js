@@ -12,6 +12,9 @@ const { authenticate, requireNonprofit, requireResearcher } = require('../middle
 // Get milestone statistics for a project
 router.get('/stats', authenticate, milestoneController.getMilestoneStats);
 
+// Get the project schedule (critical path) from milestone dependencies
+router.get('/schedule', authenticate, milestoneController.getProjectSchedule);
+
 // Get and update researcher access matrix for this project
 router.get('/access/researchers', authenticate, milestoneController.getProjectResearcherAccess);
 router.put(
@@ -64,6 +67,29 @@ router.post(
   milestoneController.rejectMilestoneRevisionRequest
 );
 
+// Submit milestone deliverables and review them
+router.post('/:id/submissions', authenticate, requireResearcher, milestoneController.submitMilestoneDeliverable);
+router.get('/:id/submissions', authenticate, milestoneController.listMilestoneSubmissions);
+router.post(
+  '/:id/submissions/:submissionId/accept',
+  authenticate,
+  requireNonprofit,
+  milestoneController.acceptMilestoneSubmission
+);
+router.post(
+  '/:id/submissions/:submissionId/reject',
+  authenticate,
+  requireNonprofit,
+  milestoneController.rejectMilestoneSubmission
+);
+
+// Milestone checklist items
+router.get('/:id/checklist', authenticate, milestoneController.getMilestoneChecklist);
+router.post('/:id/checklist', authenticate, milestoneController.createChecklistItem);
+router.put('/:id/checklist/order', authenticate, milestoneController.reorderChecklistItems);
+router.put('/:id/checklist/:itemId', authenticate, milestoneController.updateChecklistItem);
+router.delete('/:id/checklist/:itemId', authenticate, milestoneController.deleteChecklistItem);
+
 // Replace milestone researcher assignments
 router.put('/:id/assignments', authenticate, requireNonprofit, milestoneController.setMilestoneAssignments);
 
@@ -1,9 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const notificationController = require('../controllers/notificationController');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, authenticateStream } = require('../middleware/auth');
 
-// All routes require authentication
+/**
+ * @route   GET /api/notifications/stream
+ * @desc    Server-Sent Events stream of new notifications and unread-count updates
+ * @access  Private (Bearer header or ?access_token= for EventSource)
+ * @headers Last-Event-ID to replay notifications missed while disconnected
+ */
+router.get('/stream', authenticateStream, notificationController.streamNotifications);
+
+// All other routes require authentication
 router.use(authenticate);
 
 /**
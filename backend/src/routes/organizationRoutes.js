@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const organizationController = require('../controllers/organizationController');
+const organizationVerificationController = require('../controllers/organizationVerificationController');
 const { authenticate, requireNonprofit } = require('../middleware/auth');
+const { requireOrganizationPermission } = require('../middleware/organizationAccess');
 
 // All routes require authentication and nonprofit role
 router.use(authenticate);
@@ -11,4 +13,88 @@ router.use(requireNonprofit);
 router.get('/me', organizationController.getOrganization);
 router.put('/me', organizationController.updateOrganization);
 
+/**
+ * @route   POST /api/organizations/invitations/accept
+ * @desc    Join an organization with an emailed invitation token
+ * @access  Private (nonprofit account registered under the invited email)
+ * @body    { token }
+ */
+router.post('/invitations/accept', organizationController.acceptInvitation);
+
+/**
+ * @route   GET /api/organizations/me/members
+ * @desc    List organization members with their roles
+ * @access  Private (any member)
+ */
+router.get('/me/members', requireOrganizationPermission('members:view'), organizationController.getMembers);
+
+/**
+ * @route   GET /api/organizations/me/members/invitations
+ * @desc    List pending invitations
+ * @access  Private (owner, admin)
+ */
+router.get('/me/members/invitations', requireOrganizationPermission('members:manage'), organizationController.getInvitations);
+
+/**
+ * @route   POST /api/organizations/me/members/invitations
+ * @desc    Invite a colleague by email; only owners can invite owners
+ * @access  Private (owner, admin)
+ * @body    { email, role: owner|admin|project_manager|viewer }
+ */
+router.post('/me/members/invitations', requireOrganizationPermission('members:manage'), organizationController.inviteMember);
+
+/**
+ * @route   DELETE /api/organizations/me/members/invitations/:invitationId
+ * @desc    Revoke a pending invitation
+ * @access  Private (owner, admin)
+ */
+router.delete('/me/members/invitations/:invitationId', requireOrganizationPermission('members:manage'), organizationController.revokeInvitation);
+
+/**
+ * @route   PATCH /api/organizations/me/members/:userId
+ * @desc    Change a member's role; only owners can grant or change the owner role
+ * @access  Private (owner, admin)
+ * @body    { role }
+ */
+router.patch('/me/members/:userId', requireOrganizationPermission('members:manage'), organizationController.updateMemberRole);
+
+/**
+ * @route   DELETE /api/organizations/me/members/:userId
+ * @desc    Remove a member, or leave the organization (own user id)
+ * @access  Private (owner, admin; any member for themselves)
+ */
+router.delete('/me/members/:userId', requireOrganizationPermission('members:view'), organizationController.removeMember);
+
+/**
+ * @route   GET /api/organizations/me/verification
+ * @desc    Nonprofit verification status and the latest verification request
+ * @access  Private (any member)
+ */
+router.get('/me/verification', requireOrganizationPermission('members:view'), organizationVerificationController.getMyVerification);
+
+/**
+ * @route   POST /api/organizations/me/verification
+ * @desc    Submit a verification request (multipart, files in "documents"), or answer an
+ *          admin's information request with more documents or notes
+ * @access  Private (owner, admin)
+ * @body    { registration_number, registration_authority?, notes?, documents: PDF/PNG/JPEG files }
+ */
+router.post(
+  '/me/verification',
+  requireOrganizationPermission('organization:update'),
+  organizationVerificationController.verificationUploadMiddleware,
+  organizationVerificationController.submitMyVerification
+);
+
+/**
+ * @route   GET /api/organizations/me/verification/documents/:documentId
+ * @desc    Download a submitted verification document
+ * @access  Private (owner, admin)
+ */
+router.get(
+  '/me/verification/documents/:documentId',
+  requireOrganizationPermission('organization:update'),
+  organizationVerificationController.downloadMyVerificationDocument
+);
+
 module.exports = router;
@@ -15,6 +15,14 @@ router.use('/:projectId/attachments', attachmentRoutes);
 const ratingRoutes = require('./ratingRoutes');
 router.use('/:projectId/ratings', ratingRoutes);
 
+// Mount time tracking routes under /projects/:projectId/timesheets
+const timesheetRoutes = require('./timesheetRoutes');
+router.use('/:projectId/timesheets', timesheetRoutes);
+
+// Mount budget ledger routes under /projects/:projectId/budget
+const budgetRoutes = require('./budgetRoutes');
+router.use('/:projectId/budget', budgetRoutes);
+
 /**
  * Public routes (no authentication required)
  */
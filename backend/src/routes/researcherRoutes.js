@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const researcherController = require('../controllers/researcherController');
-const { authenticate, requireResearcher } = require('../middleware/auth');
+const certificationVerificationController = require('../controllers/certificationVerificationController');
+const researcherPortfolioController = require('../controllers/researcherPortfolioController');
+const researcherAvailabilityController = require('../controllers/researcherAvailabilityController');
+const { authenticate, requireResearcher, requireNonprofit } = require('../middleware/auth');
 
 // Researcher profile settings routes (require researcher role)
 router.get('/me', authenticate, requireResearcher, researcherController.getResearcherProfile);
@@ -18,6 +21,29 @@ router.get('/me/certifications', authenticate, requireResearcher, researcherCont
 router.post('/me/certifications', authenticate, requireResearcher, researcherController.createCertification);
 router.put('/me/certifications/:id', authenticate, requireResearcher, researcherController.updateCertification);
 router.delete('/me/certifications/:id', authenticate, requireResearcher, researcherController.deleteCertification);
+router.post('/me/certifications/:id/verification', authenticate, requireResearcher, certificationVerificationController.evidenceUploadMiddleware, certificationVerificationController.requestVerification);
+router.get('/me/certifications/:id/evidence/:evidenceId', authenticate, requireResearcher, certificationVerificationController.downloadMyEvidence);
+
+// Public profile privacy routes (require researcher role)
+router.get('/me/privacy', authenticate, requireResearcher, researcherController.getProfilePrivacy);
+router.put('/me/privacy', authenticate, requireResearcher, researcherController.updateProfilePrivacy);
+
+// Availability routes (require researcher role)
+router.get('/me/availability', authenticate, requireResearcher, researcherAvailabilityController.getMyAvailability);
+router.put('/me/availability', authenticate, requireResearcher, researcherAvailabilityController.updateMyWeeklyHours);
+router.get('/me/availability/blackouts', authenticate, requireResearcher, researcherAvailabilityController.getMyBlackoutPeriods);
+router.post('/me/availability/blackouts', authenticate, requireResearcher, researcherAvailabilityController.createBlackoutPeriod);
+router.delete('/me/availability/blackouts/:periodId', authenticate, requireResearcher, researcherAvailabilityController.deleteBlackoutPeriod);
+
+// Portfolio routes (require researcher role)
+router.get('/me/portfolio', authenticate, requireResearcher, researcherPortfolioController.getMyPortfolio);
+router.post('/me/portfolio', authenticate, requireResearcher, researcherPortfolioController.createPortfolioItem);
+router.delete('/me/portfolio/:itemId', authenticate, requireResearcher, researcherPortfolioController.deletePortfolioItem);
+
+// Portfolio review routes (nonprofit members who manage the item's project)
+router.get('/portfolio/reviews', authenticate, requireNonprofit, researcherPortfolioController.getPortfolioReviews);
+router.post('/portfolio/:itemId/approve', authenticate, requireNonprofit, researcherPortfolioController.approvePortfolioItem);
+router.post('/portfolio/:itemId/decline', authenticate, requireNonprofit, researcherPortfolioController.declinePortfolioItem);
 
 // Projects routes (require researcher role)
 router.get('/me/projects', authenticate, requireResearcher, researcherController.getResearcherProjects);
@@ -25,5 +51,7 @@ router.get('/me/projects', authenticate, requireResearcher, researcherController
 // Public profile view (any authenticated user — nonprofits, researchers, admins)
 // Must be AFTER /me routes so Express doesn't match "me" as :id
 router.get('/:id', authenticate, researcherController.getResearcherProfileById);
+router.get('/:id/availability', authenticate, researcherAvailabilityController.getResearcherAvailability);
+router.get('/:id/portfolio/:itemId/attachment', authenticate, researcherPortfolioController.downloadPortfolioAttachment);
 
 module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const timesheetController = require('../controllers/timesheetController');
+const { authenticate, requireNonprofit, requireResearcher } = require('../middleware/auth');
+
+// Project-scoped time tracking routes mounted under /projects/:projectId/timesheets
+router.get('/', authenticate, timesheetController.listTimesheets);
+router.post('/entries', authenticate, requireResearcher, timesheetController.createTimeEntry);
+router.put('/entries/:entryId', authenticate, requireResearcher, timesheetController.updateTimeEntry);
+router.delete('/entries/:entryId', authenticate, requireResearcher, timesheetController.deleteTimeEntry);
+router.get('/report', authenticate, timesheetController.getTimeReport);
+router.get('/:timesheetId', authenticate, timesheetController.getTimesheet);
+router.post('/:timesheetId/submit', authenticate, requireResearcher, timesheetController.submitTimesheet);
+router.post('/:timesheetId/approve', authenticate, requireNonprofit, timesheetController.approveTimesheet);
+router.post('/:timesheetId/reject', authenticate, requireNonprofit, timesheetController.rejectTimesheet);
+
+module.exports = router;
@@ -3,15 +3,11 @@ const router = express.Router();
 const userController = require('../controllers/userController');
 const ratingController = require('../controllers/ratingController');
 const { authenticate } = require('../middleware/auth');
-const { createRateLimiter } = require('../middleware/rateLimit');
+const { rateLimitPolicy } = require('../middleware/rateLimit');
 const { User } = require('../database/models');
 const { Op } = require('sequelize');
 
-const passwordChangeLimiter = createRateLimiter({
-	windowMs: 15 * 60 * 1000,
-	maxRequests: 5,
-	keySelector: (req) => `${req.ip}:${req.user?.id || 'anonymous'}`,
-});
+const passwordChangeLimiter = rateLimitPolicy('passwordChange');
 
 function getUserSearchableColumns() {
 	try {
@@ -136,6 +132,11 @@ router.put('/me/password', passwordChangeLimiter, userController.changePassword)
 router.get('/me/preferences', userController.getPreferences);
 router.put('/me/preferences', userController.updatePreferences);
 
+// Signed-in sessions (devices)
+router.get('/me/sessions', userController.getSessions);
+router.delete('/me/sessions', userController.revokeOtherSessions);
+router.delete('/me/sessions/:sessionId', userController.revokeSession);
+
 // Account deletion (soft delete)
 router.delete('/me', userController.deleteAccount);
 
@@ -5,29 +5,11 @@ const {
   ThreadParticipant,
   Message,
   MessageAttachment,
+  MessageRevision,
   User,
   AuditLog,
 } = require('../database/models');
-const { decryptMessage } = require('../utils/encryption');
-
-const MESSAGE_DECRYPTION_PLACEHOLDER = '[Message could not be decrypted]';
-
-function safeDecrypt(body) {
-  if (!process.env.MSG_SECRET) {
-    throw new Error('MSG_SECRET_MISSING');
-  }
-
-  if (typeof body !== 'string' || body.trim() === '') {
-    return '';
-  }
-
-  try {
-    return decryptMessage(body, process.env.MSG_SECRET);
-  } catch (err) {
-    console.warn('Decrypt failed in admin audit, using placeholder');
-    return MESSAGE_DECRYPTION_PLACEHOLDER;
-  }
-}
+const messageKeyService = require('./messageKeyService');
 
 function getAvailableUserColumns() {
   try {
@@ -130,13 +112,15 @@ async function getLastMessagesForThreads(threadIds) {
   });
 
   const map = new Map();
+  const decryptBody = await messageKeyService.createBodyDecryptor(rows, { context: 'admin audit' });
 
   for (const row of rows) {
     map.set(Number(row.thread_id), {
       id: row.id,
       sender_id: row.sender_id,
-      body: safeDecrypt(row.body),
+      body: decryptBody(row),
       created_at: row.created_at,
+      is_deleted: Boolean(row.deleted_at),
     });
   }
 
@@ -394,31 +378,78 @@ async function getAuditThreadMessages({
     limit: safeLimit,
   });
 
+  const revisionRows = messages.length > 0
+    ? await MessageRevision.findAll({
+        where: { message_id: messages.map((message) => message.id) },
+        order: [['message_id', 'ASC'], ['revision_number', 'ASC']],
+      })
+    : [];
+
+  // Revisions are encrypted with their message's thread key
+  const revisions = revisionRows.map((revision) => ({
+    revision_number: revision.revision_number,
+    message_id: revision.message_id,
+    thread_id: normalizedThreadId,
+    body: revision.body,
+    key_id: revision.key_id,
+    edited_by: revision.edited_by,
+    replaced_at: revision.created_at,
+  }));
+
+  const decryptBody = await messageKeyService.createBodyDecryptor(
+    [...messages, ...revisions],
+    { context: 'admin audit' }
+  );
+
+  const historyByMessage = new Map();
+  for (const revision of revisions) {
+    const history = historyByMessage.get(Number(revision.message_id)) || [];
+    history.push({
+      revision_number: revision.revision_number,
+      body: decryptBody(revision),
+      edited_by: revision.edited_by,
+      replaced_at: revision.replaced_at,
+    });
+    historyByMessage.set(Number(revision.message_id), history);
+  }
+
+  // Auditors see current content even for deleted messages, plus every body an edit replaced
   const normalizedMessages = messages
     .slice()
     .reverse()
-    .map((message) => ({
-      id: message.id,
-      thread_id: message.thread_id,
-      sender_id: message.sender_id,
-      body: safeDecrypt(message.body),
-      created_at: message.created_at,
-      sender: message.sender
-        ? {
-            id: message.sender.id,
-            name: getUserDisplayName(message.sender),
-            email: message.sender.email || '',
-            role: message.sender.role || null,
-          }
-        : null,
-      attachments: (message.attachments || []).map((attachment) => ({
-        id: attachment.id,
-        message_id: attachment.message_id,
-        file_name: attachment.file_name,
-        file_url: attachment.file_url,
-        created_at: attachment.created_at,
-      })),
-    }));
+    .map((message) => {
+      const body = decryptBody(message);
+      const editHistory = historyByMessage.get(Number(message.id)) || [];
+
+      return {
+        id: message.id,
+        thread_id: message.thread_id,
+        sender_id: message.sender_id,
+        body,
+        original_body: editHistory.length > 0 ? editHistory[0].body : body,
+        edited_at: message.edited_at || null,
+        edit_history: editHistory,
+        is_deleted: Boolean(message.deleted_at),
+        deleted_at: message.deleted_at || null,
+        deleted_by: message.deleted_by || null,
+        created_at: message.created_at,
+        sender: message.sender
+          ? {
+              id: message.sender.id,
+              name: getUserDisplayName(message.sender),
+              email: message.sender.email || '',
+              role: message.sender.role || null,
+            }
+          : null,
+        attachments: (message.attachments || []).map((attachment) => ({
+          id: attachment.id,
+          message_id: attachment.message_id,
+          file_name: attachment.file_name,
+          file_url: attachment.file_url,
+          created_at: attachment.created_at,
+        })),
+      };
+    });
 
   const nextCursor =
     messages.length === safeLimit
@@ -0,0 +1,820 @@
+/**
+ * Agreement Template Service
+ * Versioned agreement templates stored in agreement_templates / agreement_template_versions.
+ *
+ * A version has a title, a variable schema and a list of sections. Versions start as drafts,
+ * become immutable once published, and can later be retired so new agreements stop using them.
+ * Agreements record the id of the version they were rendered from ('NDA:v2').
+ *
+ * Variable schema entries: { key, label, type, required (default true), ... } where type is
+ *   string | text       - optional min_length, max_length, pattern
+ *   number | integer    - optional min, max
+ *   date                - YYYY-MM-DD
+ *   boolean
+ *   enum                - options: string[]
+ *   list                - item_schema: scalar entries as above, optional min_items, max_items
+ *
+ * Sections: { key, heading?, body, condition?, repeat? }
+ *   body       - text with {{variable}} placeholders
+ *   condition  - { variable, equals? | not_equals? | in? }; without an operator the value must be truthy
+ *   repeat     - key of a list variable; the body renders once per item with {{item.<field>}} and {{index}}
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { AgreementTemplate, AgreementTemplateVersion, Contract, sequelize } = require('../database/models');
+
+const VARIABLE_TYPES = ['string', 'text', 'number', 'integer', 'date', 'boolean', 'enum', 'list'];
+const SCALAR_TYPES = VARIABLE_TYPES.filter((type) => type !== 'list');
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,59}$/;
+const TEMPLATE_TYPE_PATTERN = /^[A-Z][A-Z0-9_]{1,49}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const PLACEHOLDER_PATTERN = /{{\s*([^}\s]+)\s*}}/g;
+const DEFAULT_STRING_MAX_LENGTH = 500;
+const DEFAULT_TEXT_MAX_LENGTH = 20000;
+
+// INVALID_TEMPLATE errors carry every problem found in `details`
+const invalidTemplateError = (details) => {
+  const error = new Error('INVALID_TEMPLATE');
+  error.details = details;
+  return error;
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const computeContentHash = ({ title, variable_schema, sections }) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({ title, variable_schema, sections }))
+  .digest('hex');
+
+function validateVariableDefinition(definition, path, { allowList }) {
+  const errors = [];
+  if (!definition || typeof definition !== 'object') {
+    return [`${path} must be an object`];
+  }
+
+  if (!KEY_PATTERN.test(String(definition.key || ''))) {
+    errors.push(`${path}.key must be lowercase letters, digits or underscores`);
+  }
+
+  const allowedTypes = allowList ? VARIABLE_TYPES : SCALAR_TYPES;
+  if (!allowedTypes.includes(definition.type)) {
+    errors.push(`${path}.type must be one of ${allowedTypes.join(', ')}`);
+    return errors;
+  }
+
+  if (definition.type === 'enum') {
+    const options = definition.options;
+    if (!Array.isArray(options) || options.length === 0 || options.some((option) => isBlank(option))) {
+      errors.push(`${path}.options must be a non-empty list of values`);
+    }
+  }
+
+  if (definition.pattern !== undefined) {
+    try {
+      new RegExp(definition.pattern);
+    } catch (error) {
+      errors.push(`${path}.pattern is not a valid regular expression`);
+    }
+  }
+
+  ['min', 'max', 'min_length', 'max_length', 'min_items', 'max_items'].forEach((field) => {
+    if (definition[field] !== undefined && !Number.isFinite(Number(definition[field]))) {
+      errors.push(`${path}.${field} must be a number`);
+    }
+  });
+
+  if (definition.type === 'list') {
+    const itemSchema = definition.item_schema;
+    if (!Array.isArray(itemSchema) || itemSchema.length === 0) {
+      errors.push(`${path}.item_schema must list the fields of each item`);
+    } else {
+      errors.push(...validateDefinitions(itemSchema, `${path}.item_schema`, { allowList: false }));
+    }
+  }
+
+  return errors;
+}
+
+function validateDefinitions(definitions, path, options) {
+  const errors = [];
+  const seen = new Set();
+
+  definitions.forEach((definition, index) => {
+    errors.push(...validateVariableDefinition(definition, `${path}[${index}]`, options));
+    const key = definition?.key;
+    if (key && seen.has(key)) {
+      errors.push(`${path}[${index}].key "${key}" is declared more than once`);
+    }
+    seen.add(key);
+  });
+
+  return errors;
+}
+
+function validatePlaceholders(body, path, { variablesByKey, repeatDefinition }) {
+  const errors = [];
+  const itemKeys = new Set((repeatDefinition?.item_schema || []).map((field) => field.key));
+
+  for (const [, name] of String(body).matchAll(PLACEHOLDER_PATTERN)) {
+    if (name === 'index' && repeatDefinition) {
+      continue;
+    }
+    if (name.startsWith('item.')) {
+      if (!repeatDefinition) {
+        errors.push(`${path} uses {{${name}}} outside a repeated section`);
+      } else if (!itemKeys.has(name.slice(5))) {
+        errors.push(`${path} uses unknown item field {{${name}}}`);
+      }
+      continue;
+    }
+    const definition = variablesByKey.get(name);
+    if (!definition) {
+      errors.push(`${path} uses undeclared variable {{${name}}}`);
+    } else if (definition.type === 'list') {
+      errors.push(`${path} uses list variable {{${name}}} directly; repeat a section over it instead`);
+    }
+  }
+
+  return errors;
+}
+
+function validateSection(section, path, variablesByKey) {
+  if (!section || typeof section !== 'object') {
+    return [`${path} must be an object`];
+  }
+
+  const errors = [];
+  if (!KEY_PATTERN.test(String(section.key || ''))) {
+    errors.push(`${path}.key must be lowercase letters, digits or underscores`);
+  }
+  if (typeof section.body !== 'string' || !section.body.trim()) {
+    errors.push(`${path}.body is required`);
+  }
+  if (section.heading !== undefined && section.heading !== null && typeof section.heading !== 'string') {
+    errors.push(`${path}.heading must be text`);
+  }
+
+  if (section.condition !== undefined && section.condition !== null) {
+    const { condition } = section;
+    if (typeof condition !== 'object' || !variablesByKey.has(condition.variable)) {
+      errors.push(`${path}.condition.variable must name a declared variable`);
+    }
+    if (condition && condition.in !== undefined && !Array.isArray(condition.in)) {
+      errors.push(`${path}.condition.in must be a list`);
+    }
+  }
+
+  let repeatDefinition = null;
+  if (section.repeat !== undefined && section.repeat !== null) {
+    repeatDefinition = variablesByKey.get(section.repeat);
+    if (!repeatDefinition || repeatDefinition.type !== 'list') {
+      errors.push(`${path}.repeat must name a list variable`);
+      repeatDefinition = null;
+    }
+  }
+
+  if (typeof section.body === 'string') {
+    errors.push(...validatePlaceholders(section.body, `${path}.body`, { variablesByKey, repeatDefinition }));
+  }
+  if (typeof section.heading === 'string') {
+    errors.push(...validatePlaceholders(section.heading, `${path}.heading`, { variablesByKey, repeatDefinition: null }));
+  }
+
+  return errors;
+}
+
+/**
+ * Check a version's content before it is saved
+ * @throws {Error} INVALID_TEMPLATE with `details` listing every problem
+ */
+function validateTemplateContent({ title, variable_schema: variableSchema, sections }) {
+  const errors = [];
+
+  if (isBlank(title)) {
+    errors.push('title is required');
+  }
+  if (!Array.isArray(variableSchema)) {
+    errors.push('variable_schema must be a list');
+  }
+  if (!Array.isArray(sections) || sections.length === 0) {
+    errors.push('sections must be a non-empty list');
+  }
+  if (errors.length) {
+    throw invalidTemplateError(errors);
+  }
+
+  errors.push(...validateDefinitions(variableSchema, 'variable_schema', { allowList: true }));
+  const variablesByKey = new Map(variableSchema.map((definition) => [definition?.key, definition]));
+
+  const sectionKeys = new Set();
+  sections.forEach((section, index) => {
+    errors.push(...validateSection(section, `sections[${index}]`, variablesByKey));
+    if (section?.key && sectionKeys.has(section.key)) {
+      errors.push(`sections[${index}].key "${section.key}" is used more than once`);
+    }
+    sectionKeys.add(section?.key);
+  });
+
+  if (errors.length) {
+    throw invalidTemplateError(errors);
+  }
+}
+
+function coerceScalar(definition, rawValue, label) {
+  switch (definition.type) {
+    case 'number':
+    case 'integer': {
+      const value = typeof rawValue === 'number' ? rawValue : Number(String(rawValue).trim());
+      if (!Number.isFinite(value) || (definition.type === 'integer' && !Number.isInteger(value))) {
+        return { error: `${label} must be ${definition.type === 'integer' ? 'a whole number' : 'a number'}` };
+      }
+      if (definition.min !== undefined && value < Number(definition.min)) {
+        return { error: `${label} must be at least ${definition.min}` };
+      }
+      if (definition.max !== undefined && value > Number(definition.max)) {
+        return { error: `${label} must be at most ${definition.max}` };
+      }
+      return { value };
+    }
+    case 'boolean': {
+      if (typeof rawValue === 'boolean') return { value: rawValue };
+      const normalized = String(rawValue).trim().toLowerCase();
+      if (['true', 'yes', '1'].includes(normalized)) return { value: true };
+      if (['false', 'no', '0'].includes(normalized)) return { value: false };
+      return { error: `${label} must be true or false` };
+    }
+    case 'date': {
+      const value = String(rawValue).trim();
+      if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+        return { error: `${label} must be a date (YYYY-MM-DD)` };
+      }
+      return { value };
+    }
+    case 'enum': {
+      const value = String(rawValue).trim();
+      if (!definition.options.map(String).includes(value)) {
+        return { error: `${label} must be one of ${definition.options.join(', ')}` };
+      }
+      return { value };
+    }
+    default: {
+      const value = String(rawValue).trim();
+      const maxLength = definition.max_length !== undefined
+        ? Number(definition.max_length)
+        : (definition.type === 'text' ? DEFAULT_TEXT_MAX_LENGTH : DEFAULT_STRING_MAX_LENGTH);
+      if (definition.type === 'string' && value.includes('\n')) {
+        return { error: `${label} must be a single line` };
+      }
+      if (definition.min_length !== undefined && value.length < Number(definition.min_length)) {
+        return { error: `${label} must be at least ${definition.min_length} characters` };
+      }
+      if (value.length > maxLength) {
+        return { error: `${label} must be at most ${maxLength} characters` };
+      }
+      if (definition.pattern !== undefined && !new RegExp(definition.pattern).test(value)) {
+        return { error: `${label} is not in the expected format` };
+      }
+      return { value };
+    }
+  }
+}
+
+function validateValues(schema, values, prefix = '') {
+  const normalized = {};
+  const missing = [];
+  const invalid = [];
+
+  schema.forEach((definition) => {
+    const label = `${prefix}${definition.key}`;
+    const rawValue = values?.[definition.key];
+    const required = definition.required !== false;
+
+    if (definition.type === 'list') {
+      const items = rawValue === undefined || rawValue === null ? [] : rawValue;
+      if (!Array.isArray(items)) {
+        invalid.push(`${label} must be a list`);
+        return;
+      }
+      if (required && items.length === 0) {
+        missing.push(label);
+        return;
+      }
+      if (definition.min_items !== undefined && items.length < Number(definition.min_items)) {
+        invalid.push(`${label} must have at least ${definition.min_items} items`);
+      }
+      if (definition.max_items !== undefined && items.length > Number(definition.max_items)) {
+        invalid.push(`${label} must have at most ${definition.max_items} items`);
+      }
+
+      normalized[definition.key] = items.map((item, index) => {
+        const result = validateValues(definition.item_schema, item && typeof item === 'object' ? item : {}, `${label}[${index}].`);
+        missing.push(...result.missing);
+        invalid.push(...result.invalid);
+        return result.normalized;
+      });
+      return;
+    }
+
+    if (isBlank(rawValue)) {
+      if (required) {
+        missing.push(label);
+      } else if (definition.default !== undefined) {
+        normalized[definition.key] = definition.default;
+      }
+      return;
+    }
+
+    const result = coerceScalar(definition, rawValue, label);
+    if (result.error) {
+      invalid.push(result.error);
+    } else {
+      normalized[definition.key] = result.value;
+    }
+  });
+
+  return { normalized, missing, invalid };
+}
+
+/**
+ * Validate and normalize agreement variables against a version's schema.
+ * Unknown keys are dropped.
+ * @returns {Object} Normalized variables
+ * @throws {Error} 'Missing required template variables: ...' or 'Invalid template variables: ...'
+ */
+function validateTemplateVariables(variableSchema, variables = {}) {
+  const { normalized, missing, invalid } = validateValues(variableSchema || [], variables || {});
+
+  if (missing.length) {
+    throw new Error(`Missing required template variables: ${missing.join(', ')}`);
+  }
+  if (invalid.length) {
+    throw new Error(`Invalid template variables: ${invalid.join('; ')}`);
+  }
+
+  return normalized;
+}
+
+const formatValue = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return String(value).trim();
+};
+
+const fillPlaceholders = (text, resolve) => String(text).replace(PLACEHOLDER_PATTERN, (_, name) => formatValue(resolve(name)));
+
+function isConditionMet(condition, variables) {
+  if (!condition) return true;
+  const value = variables[condition.variable];
+  if (condition.equals !== undefined) return value === condition.equals;
+  if (condition.not_equals !== undefined) return value !== condition.not_equals;
+  if (Array.isArray(condition.in)) return condition.in.includes(value);
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Render a version with already-validated variables
+ * @returns {string}
+ */
+function renderTemplateContent({ sections }, variables) {
+  const resolveTop = (name) => variables[name];
+
+  return sections
+    .filter((section) => isConditionMet(section.condition, variables))
+    .map((section) => {
+      let body;
+      if (section.repeat) {
+        const items = variables[section.repeat] || [];
+        if (items.length === 0) {
+          return null;
+        }
+        body = items
+          .map((item, index) => fillPlaceholders(section.body, (name) => {
+            if (name === 'index') return index + 1;
+            if (name.startsWith('item.')) return item[name.slice(5)];
+            return resolveTop(name);
+          }))
+          .join('\n');
+      } else {
+        body = fillPlaceholders(section.body, resolveTop);
+      }
+
+      return section.heading ? `${fillPlaceholders(section.heading, resolveTop)}\n${body}` : body;
+    })
+    .filter((block) => block !== null)
+    .join('\n\n');
+}
+
+/**
+ * Validate variables against a version and render it
+ * @returns {{ variables: Object, renderedContent: string }}
+ */
+function renderTemplateVersion(version, variables) {
+  const normalized = validateTemplateVariables(version.variable_schema, variables);
+  return {
+    variables: normalized,
+    renderedContent: renderTemplateContent(version, normalized)
+  };
+}
+
+/**
+ * Find an active template by type
+ * @throws {Error} 'Unsupported template type'
+ */
+async function findActiveTemplate(templateType, { transaction } = {}) {
+  const template = await AgreementTemplate.findOne({
+    where: { template_type: templateType, is_active: true },
+    transaction
+  });
+  if (!template) {
+    throw new Error('Unsupported template type');
+  }
+  return template;
+}
+
+/**
+ * The published version an agreement of this type should be rendered from: the requested
+ * version when given, otherwise the latest published one.
+ * @throws {Error} 'Unsupported template type' | 'Template version is not available for this template type' |
+ *   'No published version exists for this template type'
+ */
+async function resolvePublishedVersion(templateType, { versionId = null, transaction } = {}) {
+  const template = await findActiveTemplate(templateType, { transaction });
+
+  if (versionId) {
+    const version = await AgreementTemplateVersion.findOne({
+      where: { id: versionId, template_id: template.id, status: 'published' },
+      transaction
+    });
+    if (!version) {
+      throw new Error('Template version is not available for this template type');
+    }
+    return { template, version };
+  }
+
+  const version = await AgreementTemplateVersion.findOne({
+    where: { template_id: template.id, status: 'published' },
+    order: [['version_number', 'DESC']],
+    transaction
+  });
+  if (!version) {
+    throw new Error('No published version exists for this template type');
+  }
+  return { template, version };
+}
+
+async function findVersion(versionId, { transaction } = {}) {
+  if (!versionId) return null;
+  return AgreementTemplateVersion.findByPk(versionId, { transaction });
+}
+
+const requiredKeys = (schema) => (schema || [])
+  .filter((definition) => definition.required !== false)
+  .map((definition) => definition.key);
+
+/**
+ * Active templates with their current published version, for agreement creation
+ */
+async function listPublishedTemplates() {
+  const templates = await AgreementTemplate.findAll({
+    where: { is_active: true },
+    include: [{
+      model: AgreementTemplateVersion,
+      as: 'versions',
+      where: { status: 'published' },
+      required: true
+    }],
+    order: [['template_type', 'ASC'], [{ model: AgreementTemplateVersion, as: 'versions' }, 'version_number', 'DESC']]
+  });
+
+  return templates.map((template) => {
+    const [current] = template.versions;
+    return {
+      type: template.template_type,
+      label: template.label,
+      description: template.description,
+      version_id: current.id,
+      version_number: current.version_number,
+      title: current.title,
+      requiredVariables: requiredKeys(current.variable_schema),
+      variable_schema: current.variable_schema,
+      published_versions: template.versions.map((version) => ({
+        id: version.id,
+        version_number: version.version_number,
+        published_at: version.published_at
+      }))
+    };
+  });
+}
+
+const serializeVersion = (version) => ({
+  id: version.id,
+  template_id: version.template_id,
+  version_number: version.version_number,
+  status: version.status,
+  title: version.title,
+  variable_schema: version.variable_schema,
+  sections: version.sections,
+  notes: version.notes,
+  content_hash: version.content_hash,
+  created_by: version.created_by,
+  published_by: version.published_by,
+  published_at: version.published_at,
+  retired_at: version.retired_at,
+  created_at: version.created_at,
+  updated_at: version.updated_at
+});
+
+const serializeTemplate = (template) => ({
+  id: template.id,
+  template_type: template.template_type,
+  label: template.label,
+  description: template.description,
+  is_active: template.is_active,
+  created_by: template.created_by,
+  created_at: template.created_at,
+  updated_at: template.updated_at,
+  ...(template.versions ? { versions: template.versions.map(serializeVersion) } : {})
+});
+
+async function listTemplates({ includeInactive = true } = {}) {
+  return AgreementTemplate.findAll({
+    where: includeInactive ? {} : { is_active: true },
+    include: [{ model: AgreementTemplateVersion, as: 'versions', required: false }],
+    order: [['template_type', 'ASC'], [{ model: AgreementTemplateVersion, as: 'versions' }, 'version_number', 'DESC']]
+  });
+}
+
+async function getTemplate(templateId) {
+  return AgreementTemplate.findByPk(templateId, {
+    include: [{ model: AgreementTemplateVersion, as: 'versions', required: false }],
+    order: [[{ model: AgreementTemplateVersion, as: 'versions' }, 'version_number', 'DESC']]
+  });
+}
+
+/**
+ * @throws {Error} INVALID_TEMPLATE_TYPE | LABEL_REQUIRED | TEMPLATE_TYPE_TAKEN
+ */
+async function createTemplate({ templateType, label, description, actorId }) {
+  const normalizedType = String(templateType || '').trim().toUpperCase();
+  if (!TEMPLATE_TYPE_PATTERN.test(normalizedType)) {
+    throw new Error('INVALID_TEMPLATE_TYPE');
+  }
+  if (isBlank(label)) {
+    throw new Error('LABEL_REQUIRED');
+  }
+
+  const existing = await AgreementTemplate.findOne({ where: { template_type: normalizedType } });
+  if (existing) {
+    throw new Error('TEMPLATE_TYPE_TAKEN');
+  }
+
+  return AgreementTemplate.create({
+    template_type: normalizedType,
+    label: String(label).trim(),
+    description: isBlank(description) ? null : String(description).trim(),
+    created_by: actorId
+  });
+}
+
+/**
+ * Update a template's label, description or availability. The type key is fixed once created.
+ * @throws {Error} TEMPLATE_NOT_FOUND | LABEL_REQUIRED
+ */
+async function updateTemplate(templateId, { label, description, isActive }) {
+  const template = await AgreementTemplate.findByPk(templateId);
+  if (!template) {
+    throw new Error('TEMPLATE_NOT_FOUND');
+  }
+
+  const updates = {};
+  if (label !== undefined) {
+    if (isBlank(label)) {
+      throw new Error('LABEL_REQUIRED');
+    }
+    updates.label = String(label).trim();
+  }
+  if (description !== undefined) {
+    updates.description = isBlank(description) ? null : String(description).trim();
+  }
+  if (isActive !== undefined) {
+    updates.is_active = Boolean(isActive);
+  }
+
+  await template.update(updates);
+  return template;
+}
+
+/**
+ * Delete a template that has never been published. Published templates can only be deactivated.
+ * @throws {Error} TEMPLATE_NOT_FOUND | TEMPLATE_HAS_PUBLISHED_VERSIONS
+ */
+async function deleteTemplate(templateId) {
+  const template = await AgreementTemplate.findByPk(templateId);
+  if (!template) {
+    throw new Error('TEMPLATE_NOT_FOUND');
+  }
+
+  const publishedCount = await AgreementTemplateVersion.count({
+    where: { template_id: template.id, status: { [Op.ne]: 'draft' } }
+  });
+  if (publishedCount > 0) {
+    throw new Error('TEMPLATE_HAS_PUBLISHED_VERSIONS');
+  }
+
+  await template.destroy();
+}
+
+const pickContent = (source) => ({
+  title: source.title,
+  variable_schema: source.variable_schema,
+  sections: source.sections
+});
+
+/**
+ * Start a draft version. Content defaults to a copy of the latest version (or basedOnVersionId).
+ * @throws {Error} TEMPLATE_NOT_FOUND | VERSION_NOT_FOUND | INVALID_TEMPLATE (with details)
+ */
+async function createDraftVersion(templateId, { title, variableSchema, sections, notes, basedOnVersionId, actorId }) {
+  return sequelize.transaction(async (transaction) => {
+    const template = await AgreementTemplate.findByPk(templateId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!template) {
+      throw new Error('TEMPLATE_NOT_FOUND');
+    }
+
+    const latest = await AgreementTemplateVersion.findOne({
+      where: { template_id: template.id },
+      order: [['version_number', 'DESC']],
+      transaction
+    });
+
+    let base = latest;
+    if (basedOnVersionId) {
+      base = await AgreementTemplateVersion.findOne({
+        where: { id: basedOnVersionId, template_id: template.id },
+        transaction
+      });
+      if (!base) {
+        throw new Error('VERSION_NOT_FOUND');
+      }
+    }
+
+    const content = {
+      title: title !== undefined ? title : (base ? base.title : template.label),
+      variable_schema: variableSchema !== undefined ? variableSchema : (base ? base.variable_schema : []),
+      sections: sections !== undefined ? sections : (base ? base.sections : [])
+    };
+    validateTemplateContent(content);
+
+    const versionNumber = (latest ? latest.version_number : 0) + 1;
+    return AgreementTemplateVersion.create({
+      id: `${template.template_type}:v${versionNumber}`,
+      template_id: template.id,
+      version_number: versionNumber,
+      status: 'draft',
+      ...content,
+      title: String(content.title).trim(),
+      notes: isBlank(notes) ? null : String(notes).trim(),
+      created_by: actorId
+    }, { transaction });
+  });
+}
+
+async function findTemplateVersion(templateId, versionId, options = {}) {
+  const version = await AgreementTemplateVersion.findOne({
+    where: { id: versionId, template_id: templateId },
+    ...options
+  });
+  if (!version) {
+    throw new Error('VERSION_NOT_FOUND');
+  }
+  return version;
+}
+
+/**
+ * @throws {Error} VERSION_NOT_FOUND | VERSION_NOT_DRAFT | INVALID_TEMPLATE (with details)
+ */
+async function updateDraftVersion(templateId, versionId, { title, variableSchema, sections, notes }) {
+  const version = await findTemplateVersion(templateId, versionId);
+  if (!version.isDraft()) {
+    throw new Error('VERSION_NOT_DRAFT');
+  }
+
+  const content = {
+    title: title !== undefined ? title : version.title,
+    variable_schema: variableSchema !== undefined ? variableSchema : version.variable_schema,
+    sections: sections !== undefined ? sections : version.sections
+  };
+  validateTemplateContent(content);
+
+  await version.update({
+    ...content,
+    title: String(content.title).trim(),
+    ...(notes !== undefined ? { notes: isBlank(notes) ? null : String(notes).trim() } : {})
+  });
+  return version;
+}
+
+/**
+ * @throws {Error} VERSION_NOT_FOUND | VERSION_NOT_DRAFT
+ */
+async function deleteDraftVersion(templateId, versionId) {
+  const version = await findTemplateVersion(templateId, versionId);
+  if (!version.isDraft()) {
+    throw new Error('VERSION_NOT_DRAFT');
+  }
+  await version.destroy();
+}
+
+/**
+ * Publish a draft. Its content is re-validated and fingerprinted, and it becomes the default
+ * version for new agreements of this type.
+ * @throws {Error} VERSION_NOT_FOUND | VERSION_NOT_DRAFT | INVALID_TEMPLATE (with details)
+ */
+async function publishVersion(templateId, versionId, { actorId }) {
+  const version = await findTemplateVersion(templateId, versionId);
+  if (!version.isDraft()) {
+    throw new Error('VERSION_NOT_DRAFT');
+  }
+
+  const content = pickContent(version);
+  validateTemplateContent(content);
+
+  await version.update({
+    status: 'published',
+    content_hash: computeContentHash(content),
+    published_by: actorId,
+    published_at: new Date()
+  });
+  return version;
+}
+
+/**
+ * Stop offering a published version for new agreements. Agreements already using it keep it.
+ * @throws {Error} VERSION_NOT_FOUND | VERSION_NOT_PUBLISHED
+ */
+async function retireVersion(templateId, versionId) {
+  const version = await findTemplateVersion(templateId, versionId);
+  if (!version.isPublished()) {
+    throw new Error('VERSION_NOT_PUBLISHED');
+  }
+
+  await version.update({ status: 'retired', retired_at: new Date() });
+  return version;
+}
+
+/**
+ * Render any version (including drafts) with sample variables, for admins checking their work
+ * @throws {Error} VERSION_NOT_FOUND, or the variable validation errors of renderTemplateVersion
+ */
+async function previewVersion(templateId, versionId, variables) {
+  const version = await findTemplateVersion(templateId, versionId);
+  return renderTemplateVersion(version, variables);
+}
+
+/**
+ * Number of agreements rendered from each version, for the admin view
+ */
+async function countAgreementsByVersion(versionIds) {
+  if (!versionIds.length) return {};
+  const rows = await Contract.findAll({
+    attributes: ['template_version_id', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    where: { template_version_id: { [Op.in]: versionIds } },
+    group: ['template_version_id'],
+    raw: true
+  });
+  return rows.reduce((acc, row) => ({ ...acc, [row.template_version_id]: Number(row.count) }), {});
+}
+
+const isTemplateValidationError = (error) => error?.message === 'INVALID_TEMPLATE';
+
+module.exports = {
+  VARIABLE_TYPES,
+  isTemplateValidationError,
+  computeContentHash,
+  validateTemplateContent,
+  validateTemplateVariables,
+  renderTemplateContent,
+  renderTemplateVersion,
+  findActiveTemplate,
+  resolvePublishedVersion,
+  findVersion,
+  listPublishedTemplates,
+  serializeTemplate,
+  serializeVersion,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  createDraftVersion,
+  updateDraftVersion,
+  deleteDraftVersion,
+  publishVersion,
+  retireVersion,
+  previewVersion,
+  countAgreementsByVersion
+};
@@ -123,6 +123,7 @@ async function createAgreementTransition({
   applicationId,
   actorUser,
   templateType,
+  templateVersionId,
   sourceKind,
   variables,
   freeTextContent,
@@ -133,6 +134,7 @@ async function createAgreementTransition({
   dataClassification,
   retentionPeriodDays,
   destructionRequired,
+  committedAmount = null,
   agreementMetadata,
   resolveAcceptedApplication,
   resolveAgreementSource
@@ -178,6 +180,7 @@ async function createAgreementTransition({
       sourcePayload = await resolveAgreementSource({
         sourceKind,
         templateType,
+        templateVersionId,
         variables,
         freeTextContent,
         uploadedAttachmentId,
@@ -195,7 +198,7 @@ async function createAgreementTransition({
       researcher_user_id: application.researcher_id,
       template_type: templateType,
       source_kind: sourcePayload.sourceKind,
-      template_version_id: `${templateType}:v1`,
+      template_version_id: sourcePayload.templateVersionId || null,
       uploaded_attachment_id: sourcePayload.uploadedAttachmentId,
       title,
       status: 'draft',
@@ -204,6 +207,7 @@ async function createAgreementTransition({
       data_classification: dataClassification,
       retention_period_days: retentionPeriodDays,
       destruction_required: destructionRequired,
+      committed_amount: committedAmount,
       variables: sourcePayload.variables,
       rendered_content: sourcePayload.renderedContent,
       content_snapshot: sourcePayload.contentSnapshot,
@@ -483,6 +487,7 @@ async function createAmendmentTransition({ agreementId, actorId, reason }) {
       data_classification: contract.data_classification,
       retention_period_days: contract.retention_period_days,
       destruction_required: contract.destruction_required,
+      committed_amount: contract.committed_amount,
       variables: contract.variables || {},
       rendered_content: contract.rendered_content,
       content_snapshot: contract.content_snapshot,
@@ -783,6 +788,7 @@ async function updateAgreementDraftTransition({
   agreementId,
   actorId,
   nextTemplateType,
+  nextTemplateVersionId,
   nextTitle,
   nextSourceKind,
   nextVariables,
@@ -793,6 +799,7 @@ async function updateAgreementDraftTransition({
   nextDataClassification,
   nextRetentionPeriodDays,
   nextDestructionRequired,
+  nextCommittedAmount,
   nextMetadata,
   resolveAgreementSource
 }) {
@@ -823,6 +830,7 @@ async function updateAgreementDraftTransition({
       sourcePayload = await resolveAgreementSource({
         sourceKind: nextSourceKind,
         templateType: nextTemplateType,
+        templateVersionId: nextTemplateVersionId,
         variables: nextVariables,
         freeTextContent: nextFreeTextContent,
         uploadedAttachmentId: nextUploadedAttachmentId,
@@ -837,6 +845,7 @@ async function updateAgreementDraftTransition({
       source_kind: contract.source_kind,
       uploaded_attachment_id: contract.uploaded_attachment_id,
       template_type: contract.template_type,
+      template_version_id: contract.template_version_id || null,
       title: contract.title,
       variables: contract.variables,
       review_required: contract.review_required,
@@ -844,19 +853,23 @@ async function updateAgreementDraftTransition({
       data_classification: contract.data_classification,
       retention_period_days: contract.retention_period_days,
       destruction_required: contract.destruction_required,
+      committed_amount: contract.committed_amount,
       metadata: contract.metadata || null
     };
 
     contract.source_kind = sourcePayload.sourceKind;
     contract.uploaded_attachment_id = sourcePayload.uploadedAttachmentId;
     contract.template_type = nextTemplateType;
-    contract.template_version_id = `${nextTemplateType}:v1`;
+    contract.template_version_id = sourcePayload.templateVersionId || null;
     contract.title = nextTitle;
     contract.review_required = nextReviewRequired;
     contract.contains_sensitive_data = nextContainsSensitiveData;
     contract.data_classification = nextDataClassification;
     contract.retention_period_days = nextRetentionPeriodDays;
     contract.destruction_required = nextDestructionRequired;
+    if (nextCommittedAmount !== undefined) {
+      contract.committed_amount = nextCommittedAmount;
+    }
     if (nextMetadata !== undefined) {
       contract.metadata = nextMetadata;
     }
@@ -873,6 +886,7 @@ async function updateAgreementDraftTransition({
         source_kind: agreement.source_kind,
         uploaded_attachment_id: agreement.uploaded_attachment_id,
         template_type: agreement.template_type,
+        template_version_id: agreement.template_version_id || null,
         title: agreement.title,
         variables: agreement.variables,
         review_required: agreement.review_required,
@@ -880,6 +894,7 @@ async function updateAgreementDraftTransition({
         data_classification: agreement.data_classification,
         retention_period_days: agreement.retention_period_days,
         destruction_required: agreement.destruction_required,
+        committed_amount: agreement.committed_amount,
         metadata: agreement.metadata || null
       }
     };
@@ -0,0 +1,526 @@
+const { Op } = require('sequelize');
+const {
+  Contract,
+  Invoice,
+  Milestone,
+  PaymentTranche,
+  Project,
+  User,
+  sequelize
+} = require('../database/models');
+const { canInOrganization } = require('./organizationMemberService');
+const { canResearcherAccessMilestone } = require('./milestoneAccessService');
+const { toDateOnly, addDays, startOfWeek } = require('../utils/calendarDates');
+const { logAudit, AUDIT_ACTIONS } = require('../utils/auditLogger');
+
+/**
+ * Project budget ledger. Executed SOWs commit an amount to the project (contracts.committed_amount);
+ * the nonprofit splits each commitment into payment tranches tied to milestones. When a milestone
+ * is accepted the researcher invoices its tranche, and the invoice is paid through the payment
+ * adapter (see invoiceService).
+ *
+ * Tranche statuses: planned -> invoiced -> paid; planned -> cancelled.
+ * Amounts are kept in cents while adding up to avoid rounding drift.
+ *
+ * Amending a SOW adds a version to its lineage (contracts.root_contract_id). Tranches keep the
+ * version they were created under and count against the current version's committed amount.
+ */
+
+const SOW_TEMPLATE_TYPE = 'SOW';
+const COMMITTED_CONTRACT_STATUSES = ['executed', 'effective', 'active', 'completed'];
+const MANAGE_PERMISSION = 'budget:manage';
+const VIEW_PERMISSION = 'projects:view';
+const MAX_AMOUNT = 9999999999.99;
+const MAX_BURN_DOWN_WEEKS = 104;
+
+const isAdminUser = (user) => user?.role === 'admin' || user?.role === 'super_admin';
+
+const toCents = (value) => Math.round((Number(value) || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+/**
+ * Validate a money amount from a request body
+ * @returns {number} Rounded to cents
+ */
+function parseAmount(value, errorCode = 'INVALID_AMOUNT') {
+  const amount = typeof value === 'boolean' ? NaN : Math.round(Number(value) * 100) / 100;
+  if (value === null || value === '' || !Number.isFinite(amount) || amount <= 0 || amount > MAX_AMOUNT) {
+    throw new Error(errorCode);
+  }
+  return amount;
+}
+
+/**
+ * Validate tranche fields from a request body
+ * @param {Object} body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Updates can only change the amount
+ */
+function parseTrancheInput(body = {}, { partial = false } = {}) {
+  const input = {};
+
+  if (!partial) {
+    for (const key of ['contract_id', 'milestone_id']) {
+      const id = Number(body[key]);
+      if (!Number.isInteger(id) || id <= 0) {
+        throw new Error(key === 'contract_id' ? 'INVALID_TRANCHE_CONTRACT' : 'INVALID_TRANCHE_MILESTONE');
+      }
+      input[key] = id;
+    }
+  }
+
+  if (body.amount !== undefined || !partial) {
+    input.amount = parseAmount(body.amount, 'INVALID_TRANCHE_AMOUNT');
+  }
+
+  return input;
+}
+
+async function loadProject(projectId) {
+  const project = await Project.findOne({
+    where: { project_id: projectId },
+    attributes: ['project_id', 'title', 'org_id', 'budget_min', 'budget_max', 'start_date']
+  });
+  if (!project) {
+    throw new Error('PROJECT_NOT_FOUND');
+  }
+  return project;
+}
+
+/**
+ * Admins and any member of the organization that owns the project
+ */
+async function canViewBudget(user, project) {
+  return isAdminUser(user) || canInOrganization(user, project.org_id, VIEW_PERMISSION);
+}
+
+async function ensureCanManageBudget(user, project) {
+  if (!(await canInOrganization(user, project.org_id, MANAGE_PERMISSION))) {
+    throw new Error('ORGANIZATION_ACCESS_DENIED');
+  }
+}
+
+/**
+ * When a contract was executed: the later of the two signatures
+ */
+function executedAt(contract) {
+  const signatures = [contract.nonprofit_signed_at, contract.researcher_signed_at]
+    .filter(Boolean)
+    .map((value) => new Date(value));
+  return signatures.length === 2 ? new Date(Math.max(...signatures)) : null;
+}
+
+/**
+ * Current versions of executed (or later) SOWs on the project
+ * @returns {Promise<Array<Object>>} { contract_id, title, researcher_id, status, committed_amount, executed_at }
+ */
+async function getCommitments(projectId) {
+  const contracts = await Contract.findAll({
+    where: {
+      project_id: projectId,
+      template_type: SOW_TEMPLATE_TYPE,
+      is_current_version: true,
+      status: { [Op.in]: COMMITTED_CONTRACT_STATUSES }
+    },
+    attributes: [
+      'id', 'title', 'researcher_user_id', 'status', 'committed_amount',
+      'nonprofit_signed_at', 'researcher_signed_at'
+    ],
+    order: [['id', 'ASC']]
+  });
+
+  return contracts.map((contract) => ({
+    contract_id: contract.id,
+    title: contract.title,
+    researcher_id: contract.researcher_user_id,
+    status: contract.status,
+    committed_amount: contract.committed_amount === null ? null : Number(contract.committed_amount),
+    executed_at: executedAt(contract)
+  }));
+}
+
+function trancheIncludes() {
+  return [
+    { model: Milestone, as: 'milestone', attributes: ['id', 'name', 'status', 'due_date'] },
+    { model: User, as: 'researcher', attributes: ['id', 'name', 'email'] },
+    { model: Invoice, as: 'invoice', required: false }
+  ];
+}
+
+/**
+ * Tranches on a project: researchers see their own, the organization and admins see all
+ */
+async function listTranches({ user, projectId }) {
+  const project = await loadProject(projectId);
+  const where = { project_id: projectId };
+
+  if (user.role === 'researcher') {
+    where.researcher_id = user.id;
+  } else if (!(await canViewBudget(user, project))) {
+    throw new Error('ORGANIZATION_ACCESS_DENIED');
+  }
+
+  return PaymentTranche.findAll({
+    where,
+    include: trancheIncludes(),
+    order: [['milestone_id', 'ASC'], ['id', 'ASC']]
+  });
+}
+
+/**
+ * Tranches on any version of a SOW may not add up to more than its current committed amount
+ */
+async function ensureWithinCommitment(contract, amount, { excludeTrancheId = null, transaction } = {}) {
+  const where = { contract_id: { [Op.in]: contract.versionIds }, status: { [Op.ne]: 'cancelled' } };
+  if (excludeTrancheId) {
+    where.id = { [Op.ne]: excludeTrancheId };
+  }
+  const allocated = Number(await PaymentTranche.sum('amount', { where, transaction })) || 0;
+
+  if (toCents(allocated) + toCents(amount) > toCents(contract.committed_amount)) {
+    throw new Error('TRANCHES_EXCEED_COMMITMENT');
+  }
+}
+
+/**
+ * Current, executed version of the SOW that contractId belongs to, with versionIds listing every
+ * version in its lineage. The versions are locked so concurrent tranche changes on the same SOW
+ * check the commitment one at a time.
+ */
+async function loadCommittedContract(projectId, contractId, transaction) {
+  const requested = await Contract.findOne({
+    where: { id: contractId, project_id: projectId, template_type: SOW_TEMPLATE_TYPE },
+    attributes: ['id', 'root_contract_id'],
+    transaction
+  });
+  if (!requested) {
+    throw new Error('CONTRACT_NOT_COMMITTED');
+  }
+
+  const rootId = requested.root_contract_id || requested.id;
+  const versions = await Contract.findAll({
+    where: {
+      project_id: projectId,
+      template_type: SOW_TEMPLATE_TYPE,
+      [Op.or]: [{ id: rootId }, { root_contract_id: rootId }]
+    },
+    attributes: ['id', 'researcher_user_id', 'committed_amount', 'status', 'is_current_version'],
+    order: [['id', 'ASC']],
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  const contract = versions.find((version) => (
+    version.is_current_version && COMMITTED_CONTRACT_STATUSES.includes(version.status)
+  ));
+  if (!contract) {
+    throw new Error('CONTRACT_NOT_COMMITTED');
+  }
+  if (contract.committed_amount === null) {
+    throw new Error('COMMITTED_AMOUNT_MISSING');
+  }
+  contract.versionIds = versions.map((version) => version.id);
+  return contract;
+}
+
+/**
+ * Set aside part of an executed SOW for a milestone its researcher works on
+ * @param {Object} params
+ * @param {Object} params.user - Nonprofit member with budget:manage
+ * @param {number} params.projectId
+ * @param {Object} params.input - From parseTrancheInput
+ * @returns {Promise<PaymentTranche>}
+ */
+async function createTranche({ user, projectId, input }) {
+  const project = await loadProject(projectId);
+  await ensureCanManageBudget(user, project);
+
+  const { tranche, contract, milestone } = await sequelize.transaction(async (transaction) => {
+    const contract = await loadCommittedContract(projectId, input.contract_id, transaction);
+
+    const milestone = await Milestone.findOne({
+      where: { id: input.milestone_id, project_id: projectId },
+      attributes: ['id', 'status'],
+      transaction
+    });
+    if (!milestone) {
+      throw new Error('MILESTONE_NOT_FOUND');
+    }
+    if (milestone.status === 'cancelled') {
+      throw new Error('MILESTONE_CANCELLED');
+    }
+    const researcherOnMilestone = await canResearcherAccessMilestone({
+      researcherId: contract.researcher_user_id,
+      projectId,
+      milestoneId: milestone.id
+    });
+    if (!researcherOnMilestone) {
+      throw new Error('TRANCHE_RESEARCHER_NOT_ON_MILESTONE');
+    }
+
+    // The unique index covers one version; an open tranche on an earlier version counts too
+    const openTranche = await PaymentTranche.findOne({
+      where: {
+        contract_id: { [Op.in]: contract.versionIds },
+        milestone_id: milestone.id,
+        status: { [Op.ne]: 'cancelled' }
+      },
+      attributes: ['id'],
+      transaction
+    });
+    if (openTranche) {
+      throw new Error('TRANCHE_ALREADY_EXISTS');
+    }
+
+    await ensureWithinCommitment(contract, input.amount, { transaction });
+
+    try {
+      const tranche = await PaymentTranche.create({
+        project_id: projectId,
+        contract_id: contract.id,
+        milestone_id: milestone.id,
+        researcher_id: contract.researcher_user_id,
+        amount: input.amount,
+        status: 'planned',
+        created_by: user.id
+      }, { transaction });
+      return { tranche, contract, milestone };
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw new Error('TRANCHE_ALREADY_EXISTS');
+      }
+      throw error;
+    }
+  });
+
+  await logAudit({
+    actorId: user.id,
+    action: AUDIT_ACTIONS.PAYMENT_TRANCHE_CREATED,
+    entityType: 'PROJECT',
+    entityId: projectId,
+    metadata: { tranche_id: tranche.id, contract_id: contract.id, milestone_id: milestone.id, amount: input.amount }
+  });
+
+  return tranche;
+}
+
+async function loadPlannedTranche(projectId, trancheId, transaction) {
+  const tranche = await PaymentTranche.findOne({
+    where: { id: trancheId, project_id: projectId },
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+  if (!tranche || tranche.status === 'cancelled') {
+    throw new Error('TRANCHE_NOT_FOUND');
+  }
+  if (tranche.status !== 'planned') {
+    throw new Error('TRANCHE_LOCKED');
+  }
+  return tranche;
+}
+
+/**
+ * Change the amount of a tranche that has not been invoiced
+ */
+async function updateTranche({ user, projectId, trancheId, input }) {
+  const project = await loadProject(projectId);
+  await ensureCanManageBudget(user, project);
+
+  if (input.amount === undefined) {
+    return loadPlannedTranche(projectId, trancheId);
+  }
+
+  const { tranche, previousAmount } = await sequelize.transaction(async (transaction) => {
+    const tranche = await loadPlannedTranche(projectId, trancheId, transaction);
+    const contract = await loadCommittedContract(projectId, tranche.contract_id, transaction);
+    await ensureWithinCommitment(contract, input.amount, { excludeTrancheId: tranche.id, transaction });
+
+    const previousAmount = Number(tranche.amount);
+    await tranche.update({ amount: input.amount }, { transaction });
+    return { tranche, previousAmount };
+  });
+
+  await logAudit({
+    actorId: user.id,
+    action: AUDIT_ACTIONS.PAYMENT_TRANCHE_UPDATED,
+    entityType: 'PROJECT',
+    entityId: projectId,
+    metadata: { tranche_id: tranche.id, previous_amount: previousAmount, amount: input.amount }
+  });
+
+  return tranche;
+}
+
+/**
+ * Cancel a tranche that has not been invoiced; its amount goes back to the commitment
+ */
+async function cancelTranche({ user, projectId, trancheId }) {
+  const project = await loadProject(projectId);
+  await ensureCanManageBudget(user, project);
+
+  const tranche = await loadPlannedTranche(projectId, trancheId);
+  await tranche.update({ status: 'cancelled' });
+
+  await logAudit({
+    actorId: user.id,
+    action: AUDIT_ACTIONS.PAYMENT_TRANCHE_CANCELLED,
+    entityType: 'PROJECT',
+    entityId: projectId,
+    metadata: { tranche_id: tranche.id, amount: Number(tranche.amount) }
+  });
+
+  return tranche;
+}
+
+/**
+ * Ledger totals from commitments and non-cancelled tranches (with their invoices)
+ * @returns {Object} committed, allocated, unallocated, invoiced, paid, unpaid, remaining
+ */
+function summarizeLedger(commitments, tranches) {
+  const committed = commitments.reduce((sum, commitment) => sum + toCents(commitment.committed_amount), 0);
+  const active = tranches.filter((tranche) => tranche.status !== 'cancelled');
+  const allocated = active.reduce((sum, tranche) => sum + toCents(tranche.amount), 0);
+  const invoices = active.map((tranche) => tranche.invoice).filter(Boolean);
+  const invoiced = invoices.reduce((sum, invoice) => sum + toCents(invoice.amount), 0);
+  const paid = invoices
+    .filter((invoice) => invoice.status === 'paid')
+    .reduce((sum, invoice) => sum + toCents(invoice.amount), 0);
+
+  return {
+    committed: fromCents(committed),
+    allocated: fromCents(allocated),
+    unallocated: fromCents(committed - allocated),
+    invoiced: fromCents(invoiced),
+    paid: fromCents(paid),
+    unpaid: fromCents(invoiced - paid),
+    remaining: fromCents(committed - paid)
+  };
+}
+
+/**
+ * Budget ledger for a project: SOW commitments, tranches with invoices and running totals
+ * @returns {Promise<Object>} { project, commitments, totals, tranches }
+ */
+async function getBudgetLedger({ user, projectId }) {
+  const project = await loadProject(projectId);
+  if (!(await canViewBudget(user, project))) {
+    throw new Error('ORGANIZATION_ACCESS_DENIED');
+  }
+
+  const [commitments, tranches] = await Promise.all([
+    getCommitments(projectId),
+    PaymentTranche.findAll({
+      where: { project_id: projectId },
+      include: trancheIncludes(),
+      order: [['milestone_id', 'ASC'], ['id', 'ASC']]
+    })
+  ]);
+
+  return {
+    project: {
+      project_id: project.project_id,
+      title: project.title,
+      budget_min: project.budget_min === null ? null : Number(project.budget_min),
+      budget_max: project.budget_max === null ? null : Number(project.budget_max)
+    },
+    commitments,
+    totals: summarizeLedger(commitments, tranches),
+    tranches
+  };
+}
+
+/**
+ * Weekly burn-down of the committed budget. planned_remaining assumes each tranche is paid by its
+ * milestone's due date (tranches on milestones without one are left out); actual_remaining counts
+ * paid invoices and is null for weeks that have not started.
+ * @param {Object} params
+ * @param {number} params.committed
+ * @param {Array<Object>} params.tranches - Non-cancelled, with milestone and invoice loaded
+ * @param {string} params.startDate - YYYY-MM-DD
+ * @param {string} [params.today] - YYYY-MM-DD
+ * @returns {Array<Object>} { week_start, week_end, planned_remaining, actual_remaining }
+ */
+function buildBurnDown({ committed, tranches, startDate, today = toDateOnly(new Date()) }) {
+  const committedCents = toCents(committed);
+  const planned = tranches
+    .filter((tranche) => tranche.milestone?.due_date)
+    .map((tranche) => ({ date: toDateOnly(tranche.milestone.due_date), cents: toCents(tranche.amount) }));
+  const paid = tranches
+    .filter((tranche) => tranche.invoice?.status === 'paid' && tranche.invoice.paid_at)
+    .map((tranche) => ({ date: toDateOnly(tranche.invoice.paid_at), cents: toCents(tranche.invoice.amount) }));
+
+  const lastDate = [today, ...planned.map((item) => item.date)].sort().pop();
+  const spentBy = (items, date) => items
+    .filter((item) => item.date <= date)
+    .reduce((sum, item) => sum + item.cents, 0);
+
+  const points = [];
+  for (
+    let weekStart = startOfWeek(startDate);
+    weekStart <= lastDate && points.length < MAX_BURN_DOWN_WEEKS;
+    weekStart = addDays(weekStart, 7)
+  ) {
+    const weekEnd = addDays(weekStart, 6);
+    points.push({
+      week_start: weekStart,
+      week_end: weekEnd,
+      planned_remaining: fromCents(committedCents - spentBy(planned, weekEnd)),
+      actual_remaining: weekStart > today ? null : fromCents(committedCents - spentBy(paid, weekEnd))
+    });
+  }
+  return points;
+}
+
+/**
+ * Budget burn-down for a project, starting at the project start date (or the first SOW execution)
+ * @returns {Promise<Object>} { project_id, committed, start_date, points }
+ */
+async function getBudgetBurnDown({ user, projectId, today = toDateOnly(new Date()) }) {
+  const project = await loadProject(projectId);
+  if (!(await canViewBudget(user, project))) {
+    throw new Error('ORGANIZATION_ACCESS_DENIED');
+  }
+
+  const [commitments, tranches] = await Promise.all([
+    getCommitments(projectId),
+    PaymentTranche.findAll({
+      where: { project_id: projectId, status: { [Op.ne]: 'cancelled' } },
+      include: [
+        { model: Milestone, as: 'milestone', attributes: ['id', 'due_date'] },
+        { model: Invoice, as: 'invoice', required: false, attributes: ['id', 'amount', 'status', 'paid_at'] }
+      ]
+    })
+  ]);
+
+  const executionDates = commitments
+    .map((commitment) => toDateOnly(commitment.executed_at))
+    .filter(Boolean)
+    .sort();
+  const startDate = toDateOnly(project.start_date) || executionDates[0] || today;
+  const committed = fromCents(commitments.reduce((sum, commitment) => sum + toCents(commitment.committed_amount), 0));
+
+  return {
+    project_id: project.project_id,
+    committed,
+    start_date: startDate,
+    points: buildBurnDown({ committed, tranches, startDate, today })
+  };
+}
+
+module.exports = {
+  SOW_TEMPLATE_TYPE,
+  COMMITTED_CONTRACT_STATUSES,
+  parseAmount,
+  parseTrancheInput,
+  loadProject,
+  canViewBudget,
+  getCommitments,
+  listTranches,
+  createTranche,
+  updateTranche,
+  cancelTranche,
+  summarizeLedger,
+  getBudgetLedger,
+  buildBurnDown,
+  getBudgetBurnDown
+};
@@ -0,0 +1,438 @@
+/**
+ * Bulk Job Service
+ * Database-backed queue for admin bulk actions that are too large to run inside a request.
+ *
+ * Each job stores one bulk_job_items row per target id. Workers claim queued jobs (at most
+ * BULK_JOB_CONCURRENCY running at once across all instances), record every item's result as
+ * they go and heartbeat the job. A job whose heartbeat goes stale (its worker crashed or was
+ * redeployed) is re-queued and resumes from its first pending item. An item interrupted mid-run
+ * is processed again on resume, so processors skip targets already in the requested state.
+ *
+ * Item processors are registered per entity type by the controllers that own them, so a job
+ * can be resumed by any process without the request that created it.
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { BulkJob, BulkJobItem, User, sequelize } = require('../database/models');
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+const ITEM_BATCH_SIZE = 25;
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_MAX_ACTIVE_PER_ACTOR = 3;
+const DEFAULT_STALE_MINUTES = 5;
+const CLAIM_LOCK_KEY = 'bulk_jobs_claim';
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const handlers = new Map();
+let activeDrain = null;
+
+const readPositiveInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const getConcurrency = () => readPositiveInt(process.env.BULK_JOB_CONCURRENCY, DEFAULT_CONCURRENCY);
+
+const getMaxActivePerActor = () => readPositiveInt(
+  process.env.BULK_JOB_MAX_ACTIVE_PER_ADMIN,
+  DEFAULT_MAX_ACTIVE_PER_ACTOR
+);
+
+const getStaleAfterMs = () => readPositiveInt(process.env.BULK_JOB_STALE_MINUTES, DEFAULT_STALE_MINUTES) * 60 * 1000;
+
+/**
+ * Register the item processor for an entity type
+ * @param {string} entityType - e.g. 'user', 'project'
+ * @param {Function} processItem - async ({ actor, action, params, batchId }, targetId) => { status, message|reason|error }
+ */
+const registerBulkJobHandler = (entityType, processItem) => {
+  handlers.set(entityType, processItem);
+};
+
+/**
+ * Run one item and normalize its outcome. A processor may return nothing (processed),
+ * { status: 'processed'|'skipped'|'failed', ... } or throw (failed).
+ * @returns {Promise<{ status: string, message: string }>}
+ */
+const runBulkItem = async (processItem, id) => {
+  try {
+    const result = await processItem(id);
+    if (!result || result.status === 'processed') {
+      return { status: 'processed', message: result?.message || 'Processed' };
+    }
+    if (result.status === 'skipped') {
+      return { status: 'skipped', message: result.reason || 'Ineligible' };
+    }
+    if (result.status === 'failed') {
+      return { status: 'failed', message: result.error || 'Failed' };
+    }
+    return { status: 'processed', message: 'Processed' };
+  } catch (error) {
+    return { status: 'failed', message: error.message || 'Unexpected failure' };
+  }
+};
+
+const toResultEntry = (id, { status, message }) => {
+  if (status === 'skipped') return { id, reason: message };
+  if (status === 'failed') return { id, error: message };
+  return { id, message };
+};
+
+/**
+ * Run items inline (small batches) and group the outcomes for a bulk response
+ */
+const executeBulkItems = async ({ ids, processItem }) => {
+  const processed = [];
+  const skipped = [];
+  const failed = [];
+  const lists = { processed, skipped, failed };
+
+  for (const id of ids) {
+    const outcome = await runBulkItem(processItem, id);
+    lists[outcome.status].push(toResultEntry(id, outcome));
+  }
+
+  return { processed, skipped, failed };
+};
+
+/**
+ * Queue a bulk job with one item per target id
+ * @param {Object} options
+ * @param {string} options.entityType - Must have a registered handler
+ * @param {string} options.action
+ * @param {number} options.actorId - Admin who started the job; their current role is used when it runs
+ * @param {number[]} options.ids - Distinct target ids, in processing order
+ * @param {Object} [options.params] - Action options (reason, status, ...) passed to the processor
+ * @returns {Promise<BulkJob>}
+ * @throws {Error} BULK_JOB_LIMIT_REACHED when the admin already has the maximum number of active jobs
+ */
+const createBulkJob = async ({ entityType, action, actorId, ids, params = {} }) => {
+  const activeCount = await BulkJob.count({
+    where: { actor_id: actorId, status: { [Op.in]: ACTIVE_STATUSES } }
+  });
+  if (activeCount >= getMaxActivePerActor()) {
+    throw new Error('BULK_JOB_LIMIT_REACHED');
+  }
+
+  const job = await sequelize.transaction(async (transaction) => {
+    const created = await BulkJob.create({
+      entity_type: entityType,
+      action,
+      actor_id: actorId,
+      params,
+      status: 'queued',
+      requested_count: ids.length
+    }, { transaction });
+
+    await BulkJobItem.bulkCreate(
+      ids.map((targetId, position) => ({ job_id: created.id, position, target_id: targetId })),
+      { transaction }
+    );
+
+    return created;
+  });
+
+  kickBulkJobWorker();
+  return job;
+};
+
+const getBulkJob = async (jobId) => BulkJob.findByPk(jobId, {
+  include: [{ model: User, as: 'actor', attributes: ['id', 'name', 'email'], required: false }]
+});
+
+const cancelPendingItems = (jobId) => BulkJobItem.update(
+  { status: 'cancelled', processed_at: new Date() },
+  { where: { job_id: jobId, status: 'pending' } }
+);
+
+/**
+ * Cancel a job. Queued jobs stop immediately; running jobs stop before their next batch of items.
+ * @returns {Promise<BulkJob|null>} The updated job, or null when it does not exist
+ * @throws {Error} BULK_JOB_FINISHED
+ */
+const cancelBulkJob = async (jobId) => {
+  const job = await BulkJob.findByPk(jobId);
+  if (!job) {
+    return null;
+  }
+  if (job.isFinished()) {
+    throw new Error('BULK_JOB_FINISHED');
+  }
+
+  const now = new Date();
+  const [cancelledQueued] = await BulkJob.update(
+    { status: 'cancelled', cancel_requested_at: now, finished_at: now },
+    { where: { id: jobId, status: 'queued' } }
+  );
+
+  if (cancelledQueued > 0) {
+    await cancelPendingItems(jobId);
+  } else {
+    await BulkJob.update(
+      { cancel_requested_at: now },
+      { where: { id: jobId, status: 'running', cancel_requested_at: null } }
+    );
+  }
+
+  return getBulkJob(jobId);
+};
+
+/**
+ * Put running jobs whose worker stopped heartbeating back in the queue
+ * @returns {Promise<number>} Number of jobs re-queued
+ */
+const recoverStaleBulkJobs = async () => {
+  const [recovered] = await BulkJob.update(
+    { status: 'queued', locked_by: null },
+    {
+      where: {
+        status: 'running',
+        [Op.or]: [
+          { heartbeat_at: null },
+          { heartbeat_at: { [Op.lt]: new Date(Date.now() - getStaleAfterMs()) } }
+        ]
+      }
+    }
+  );
+  return recovered;
+};
+
+/**
+ * Claim the oldest queued job unless the global running limit is reached.
+ * The advisory lock serializes claims across instances so the limit holds.
+ */
+const claimNextBulkJob = async () => sequelize.transaction(async (transaction) => {
+  await sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:key))', {
+    replacements: { key: CLAIM_LOCK_KEY },
+    transaction
+  });
+
+  const running = await BulkJob.count({ where: { status: 'running' }, transaction });
+  if (running >= getConcurrency()) {
+    return null;
+  }
+
+  const job = await BulkJob.findOne({
+    where: { status: 'queued' },
+    order: [['created_at', 'ASC']],
+    transaction
+  });
+  if (!job) {
+    return null;
+  }
+
+  const now = new Date();
+  await job.update({
+    status: 'running',
+    locked_by: WORKER_ID,
+    heartbeat_at: now,
+    started_at: job.started_at || now,
+    attempts: job.attempts + 1
+  }, { transaction });
+
+  return job;
+});
+
+// Updates below are conditional on locked_by so a worker that lost its job (stale recovery) stops writing.
+const finishJob = async (job, status, error = null) => {
+  await BulkJob.update(
+    { status, error, finished_at: new Date(), locked_by: null },
+    { where: { id: job.id, locked_by: WORKER_ID } }
+  );
+  return status;
+};
+
+const releaseJob = async (job) => {
+  await BulkJob.update(
+    { status: 'queued', locked_by: null },
+    { where: { id: job.id, locked_by: WORKER_ID } }
+  );
+  return 'released';
+};
+
+const heartbeat = async (job) => {
+  const [updated] = await BulkJob.update(
+    { heartbeat_at: new Date() },
+    { where: { id: job.id, status: 'running', locked_by: WORKER_ID } }
+  );
+  return updated > 0;
+};
+
+/**
+ * Process a claimed job's pending items until it finishes, is cancelled or the deadline passes
+ * @returns {Promise<string>} completed | cancelled | failed | released | lost
+ */
+const runBulkJob = async (job, { deadline = null } = {}) => {
+  const processItem = handlers.get(job.entity_type);
+  if (!processItem) {
+    return finishJob(job, 'failed', `No bulk handler registered for ${job.entity_type}`);
+  }
+
+  const actor = job.actor_id
+    ? await User.findByPk(job.actor_id, { attributes: ['id', 'role'] })
+    : null;
+  if (!actor) {
+    await cancelPendingItems(job.id);
+    return finishJob(job, 'failed', 'The admin who started this job no longer exists');
+  }
+
+  const context = {
+    actor: { id: actor.id, role: actor.role },
+    action: job.action,
+    params: job.params || {},
+    batchId: job.id
+  };
+
+  for (;;) {
+    const state = await BulkJob.findByPk(job.id, { attributes: ['id', 'cancel_requested_at'] });
+    if (!state || state.cancel_requested_at) {
+      await cancelPendingItems(job.id);
+      return finishJob(job, 'cancelled');
+    }
+
+    if (deadline && Date.now() >= deadline) {
+      return releaseJob(job);
+    }
+
+    if (!(await heartbeat(job))) {
+      return 'lost';
+    }
+
+    const items = await BulkJobItem.findAll({
+      where: { job_id: job.id, status: 'pending' },
+      order: [['position', 'ASC']],
+      limit: ITEM_BATCH_SIZE
+    });
+
+    if (items.length === 0) {
+      return finishJob(job, 'completed');
+    }
+
+    for (const item of items) {
+      const outcome = await runBulkItem((id) => processItem(context, id), item.target_id);
+      await item.update({ status: outcome.status, message: outcome.message, processed_at: new Date() });
+      await BulkJob.increment(`${outcome.status}_count`, { where: { id: job.id } });
+    }
+  }
+};
+
+/**
+ * Work through the queue: recover stale jobs, then run up to the concurrency limit in parallel
+ * @param {Object} [options]
+ * @param {number} [options.maxDurationMs] - Release unfinished jobs back to the queue after this long
+ *   (for cron-triggered runs on serverless hosts)
+ */
+const processBulkJobs = async ({ maxDurationMs = null } = {}) => {
+  const deadline = maxDurationMs ? Date.now() + maxDurationMs : null;
+  const summary = { recovered: await recoverStaleBulkJobs(), claimed: 0 };
+
+  const workLoop = async () => {
+    while (!deadline || Date.now() < deadline) {
+      const job = await claimNextBulkJob();
+      if (!job) {
+        return;
+      }
+
+      summary.claimed += 1;
+      try {
+        const outcome = await runBulkJob(job, { deadline });
+        summary[outcome] = (summary[outcome] || 0) + 1;
+      } catch (error) {
+        console.error(`[Bulk Jobs] Job ${job.id} failed:`, error.message);
+        await finishJob(job, 'failed', error.message || 'Bulk job failed');
+        summary.failed = (summary.failed || 0) + 1;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: getConcurrency() }, workLoop));
+  return summary;
+};
+
+/**
+ * Start draining the queue in the background of this process, unless a drain is already running
+ */
+const kickBulkJobWorker = () => {
+  if (activeDrain) {
+    return activeDrain;
+  }
+
+  activeDrain = new Promise((resolve) => setImmediate(resolve))
+    .then(() => processBulkJobs())
+    .catch((error) => {
+      console.error('[Bulk Jobs] Worker run failed:', error.message);
+    })
+    .finally(() => {
+      activeDrain = null;
+    });
+
+  return activeDrain;
+};
+
+/**
+ * Group a job's finished items into the lists used by bulk responses
+ */
+const getBulkJobResults = async (jobId) => {
+  const items = await BulkJobItem.findAll({
+    where: { job_id: jobId, status: { [Op.ne]: 'pending' } },
+    attributes: ['target_id', 'status', 'message'],
+    order: [['position', 'ASC']]
+  });
+
+  const results = { processed: [], skipped: [], failed: [], cancelled: [] };
+  items.forEach((item) => {
+    results[item.status].push(toResultEntry(item.target_id, item));
+  });
+  return results;
+};
+
+const serializeBulkJob = (job) => {
+  const completed = job.processed_count + job.skipped_count + job.failed_count;
+
+  return {
+    jobId: job.id,
+    entityType: job.entity_type,
+    action: job.action,
+    status: job.status,
+    cancelRequested: Boolean(job.cancel_requested_at),
+    actor: job.actor
+      ? { id: job.actor.id, name: job.actor.name, email: job.actor.email }
+      : (job.actor_id ? { id: job.actor_id } : null),
+    requestedCount: job.requested_count,
+    progress: {
+      completed,
+      processed: job.processed_count,
+      skipped: job.skipped_count,
+      failed: job.failed_count,
+      percent: job.requested_count > 0 ? Math.floor((completed / job.requested_count) * 100) : 100
+    },
+    attempts: job.attempts,
+    error: job.error || null,
+    createdAt: job.created_at,
+    startedAt: job.started_at,
+    finishedAt: job.finished_at,
+    updatedAt: job.updated_at
+  };
+};
+
+const isBulkJobLimitError = (error) => error?.message === 'BULK_JOB_LIMIT_REACHED';
+
+module.exports = {
+  ACTIVE_STATUSES,
+  registerBulkJobHandler,
+  executeBulkItems,
+  createBulkJob,
+  getBulkJob,
+  cancelBulkJob,
+  recoverStaleBulkJobs,
+  claimNextBulkJob,
+  runBulkJob,
+  processBulkJobs,
+  kickBulkJobWorker,
+  getBulkJobResults,
+  serializeBulkJob,
+  isBulkJobLimitError
+};
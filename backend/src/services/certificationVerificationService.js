@@ -0,0 +1,321 @@
+const { Op } = require('sequelize');
+const sequelize = require('../database');
+const { Certification, CertificationEvidence, User } = require('../database/models');
+const { getStorageAdapter } = require('./storage');
+const { evaluateUploadSecurity } = require('./uploadSecurityService');
+const notificationService = require('./notificationService');
+const { logAudit, AUDIT_ACTIONS } = require('../utils/auditLogger');
+
+/**
+ * Certification verification: certifications start out self-reported (unverified). The
+ * researcher attaches evidence (a certificate scan, transcript, issuer letter) and asks for
+ * verification; an admin approves or rejects it. Only verified certifications appear on the
+ * public researcher profile. Editing a certification's details clears its verification.
+ *
+ * Statuses: unverified | rejected -> pending -> verified | rejected
+ */
+
+const REVIEW_ACTIONS = ['approve', 'reject'];
+const MAX_NOTE_LENGTH = 2000;
+
+const EVIDENCE_ATTRIBUTES = ['id', 'certification_id', 'file_name', 'mimetype', 'size', 'uploaded_by', 'created_at'];
+
+function normalizeText(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+async function notifyAdmins(certification, user) {
+  try {
+    const admins = await User.findAll({
+      where: { role: { [Op.in]: ['admin', 'super_admin'] }, account_status: 'active' },
+      attributes: ['id']
+    });
+
+    if (admins.length > 0) {
+      await notificationService.createBulkNotifications(admins.map((admin) => admin.id), {
+        type: 'certification_verification_updated',
+        title: 'New Certification Verification Request',
+        message: `${user.name || 'A researcher'} asked to verify the certification "${certification.name}".`,
+        link: '/admin?tab=certification-verifications',
+        metadata: { certification_id: certification.id, researcher_id: certification.user_id }
+      });
+    }
+  } catch (error) {
+    console.error('[Certification Verification] Failed to notify admins:', error.message);
+  }
+}
+
+async function deleteStoredFiles(storageAdapter, storageKeys) {
+  await Promise.all(storageKeys.map(async (storageKey) => {
+    try {
+      await storageAdapter.delete(storageKey);
+    } catch (error) {
+      console.error(`[Certification Verification] Failed to remove ${storageKey}:`, error.message);
+    }
+  }));
+}
+
+/**
+ * Ask an admin to verify one of the researcher's certifications. Every evidence file is checked
+ * by the upload security policy before anything is stored; if one is rejected nothing is saved
+ * and its evaluation is returned.
+ * @param {Object} params
+ * @param {Object} params.user - Certification owner
+ * @param {Array<Object>} params.files - Multer files (buffer, originalname, mimetype, size)
+ * @returns {Promise<Object>} { accepted: true, certification } or a rejected upload evaluation
+ */
+async function requestCertificationVerification({ user, certificationId, files = [], notes, route }) {
+  const certification = await Certification.findOne({ where: { id: certificationId, user_id: user.id } });
+  if (!certification) {
+    throw new Error('CERTIFICATION_NOT_FOUND');
+  }
+  if (certification.isVerified()) {
+    throw new Error('CERTIFICATION_ALREADY_VERIFIED');
+  }
+  if (certification.verification_status === 'pending') {
+    throw new Error('VERIFICATION_ALREADY_PENDING');
+  }
+  if (files.length === 0) {
+    throw new Error('EVIDENCE_REQUIRED');
+  }
+
+  const normalizedNotes = normalizeText(notes);
+  if (normalizedNotes && normalizedNotes.length > MAX_NOTE_LENGTH) {
+    throw new Error('INVALID_VERIFICATION_NOTE');
+  }
+
+  const evaluations = [];
+  for (const file of files) {
+    const securityEvaluation = await evaluateUploadSecurity({
+      user,
+      file,
+      surface: 'certification_evidence',
+      route,
+      metadata: { certification_id: certification.id }
+    });
+
+    if (!securityEvaluation.accepted) {
+      return securityEvaluation;
+    }
+    evaluations.push(securityEvaluation);
+  }
+
+  const storageAdapter = getStorageAdapter();
+  const stored = [];
+  try {
+    for (const [index, file] of files.entries()) {
+      const { storageKey } = await storageAdapter.save({
+        storagePrefix: `certification-evidence/user-${user.id}`,
+        filename: file.originalname,
+        buffer: file.buffer,
+        mimetype: file.mimetype
+      });
+      stored.push({ file, storageKey, contentHash: evaluations[index].contentHash });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await certification.reload({ transaction, lock: transaction.LOCK.UPDATE });
+      if (certification.verification_status === 'pending') {
+        throw new Error('VERIFICATION_ALREADY_PENDING');
+      }
+
+      for (const { file, storageKey, contentHash } of stored) {
+        await CertificationEvidence.create({
+          certification_id: certification.id,
+          uploaded_by: user.id,
+          file_name: file.originalname,
+          mimetype: file.mimetype,
+          size: file.size || file.buffer?.length || 0,
+          storage_key: storageKey,
+          content_hash: contentHash || null
+        }, { transaction });
+      }
+
+      await certification.update({
+        verification_status: 'pending',
+        verification_requested_at: new Date(),
+        verification_note: normalizedNotes
+      }, { transaction });
+    });
+
+    await logAudit({
+      actorId: user.id,
+      action: AUDIT_ACTIONS.CERTIFICATION_VERIFICATION_REQUESTED,
+      entityType: 'CERTIFICATION',
+      entityId: certification.id,
+      metadata: { evidence_count: stored.length }
+    });
+    await notifyAdmins(certification, user);
+
+    return { accepted: true, certification };
+  } catch (error) {
+    await deleteStoredFiles(storageAdapter, stored.map((item) => item.storageKey));
+    throw error;
+  }
+}
+
+/**
+ * Admin review queue, oldest request first
+ * @param {Object} [options]
+ * @param {string} [options.status] - Verification status or 'all'; defaults to pending
+ */
+async function listCertificationVerifications({ status = 'pending', page = 1, limit = 20 } = {}) {
+  const where = status === 'all'
+    ? { verification_requested_at: { [Op.ne]: null } }
+    : { verification_status: status };
+
+  const { count, rows } = await Certification.findAndCountAll({
+    where,
+    include: [
+      { model: User, as: 'user', attributes: ['id', 'name', 'email'] },
+      { model: CertificationEvidence, as: 'evidence', attributes: EVIDENCE_ATTRIBUTES }
+    ],
+    order: [['verification_requested_at', 'ASC']],
+    limit,
+    offset: (page - 1) * limit,
+    distinct: true
+  });
+
+  return { count, certifications: rows };
+}
+
+async function getCertificationVerification(certificationId) {
+  const certification = await Certification.findByPk(certificationId, {
+    include: [
+      { model: User, as: 'user', attributes: ['id', 'name', 'email'] },
+      { model: User, as: 'verifier', attributes: ['id', 'name', 'email'] },
+      { model: CertificationEvidence, as: 'evidence', attributes: EVIDENCE_ATTRIBUTES }
+    ]
+  });
+
+  if (!certification) {
+    throw new Error('CERTIFICATION_NOT_FOUND');
+  }
+  return certification;
+}
+
+/**
+ * Approve or reject a pending verification request. Rejecting needs a message for the
+ * researcher, who can then request verification again with new evidence.
+ * @param {Object} params
+ * @param {Object} params.reviewer - Admin user
+ * @param {string} params.action - One of REVIEW_ACTIONS
+ * @returns {Promise<Certification>}
+ */
+async function reviewCertificationVerification({ certificationId, reviewer, action, message }) {
+  if (!REVIEW_ACTIONS.includes(action)) {
+    throw new Error('INVALID_REVIEW_ACTION');
+  }
+
+  const reviewMessage = normalizeText(message);
+  if (action === 'reject' && !reviewMessage) {
+    throw new Error('REVIEW_MESSAGE_REQUIRED');
+  }
+
+  const approved = action === 'approve';
+
+  const certification = await sequelize.transaction(async (transaction) => {
+    const target = await Certification.findByPk(certificationId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!target) {
+      throw new Error('CERTIFICATION_NOT_FOUND');
+    }
+    if (target.verification_status !== 'pending') {
+      throw new Error('VERIFICATION_NOT_PENDING');
+    }
+
+    await target.update({
+      verification_status: approved ? 'verified' : 'rejected',
+      verified_at: approved ? new Date() : null,
+      verified_by: reviewer.id,
+      verification_note: reviewMessage
+    }, { transaction });
+
+    return target;
+  });
+
+  await logAudit({
+    actorId: reviewer.id,
+    action: approved
+      ? AUDIT_ACTIONS.CERTIFICATION_VERIFICATION_APPROVED
+      : AUDIT_ACTIONS.CERTIFICATION_VERIFICATION_REJECTED,
+    entityType: 'CERTIFICATION',
+    entityId: certification.id,
+    metadata: { researcher_id: certification.user_id, message: reviewMessage }
+  });
+
+  try {
+    await notificationService.createNotification({
+      userId: certification.user_id,
+      type: 'certification_verification_updated',
+      title: approved ? 'Certification Verified' : 'Certification Verification Rejected',
+      message: approved
+        ? `Your certification "${certification.name}" is now verified and shown on your public profile.`
+        : `Your certification "${certification.name}" could not be verified. ${reviewMessage}`,
+      link: '/researcher/profile',
+      metadata: { certification_id: certification.id, verification_status: certification.verification_status }
+    });
+  } catch (error) {
+    console.error(`[Certification Verification] Failed to notify researcher ${certification.user_id}:`, error.message);
+  }
+
+  return certification;
+}
+
+/**
+ * An evidence file, scoped to a certification and optionally to its owner
+ */
+async function findCertificationEvidence({ evidenceId, certificationId, userId = null }) {
+  const certificationWhere = { id: certificationId };
+  if (userId) {
+    certificationWhere.user_id = userId;
+  }
+
+  const evidence = await CertificationEvidence.findOne({
+    where: { id: evidenceId },
+    include: [
+      {
+        model: Certification,
+        as: 'certification',
+        where: certificationWhere,
+        attributes: ['id', 'user_id']
+      }
+    ]
+  });
+
+  if (!evidence) {
+    throw new Error('EVIDENCE_NOT_FOUND');
+  }
+  return evidence;
+}
+
+/**
+ * Delete a certification and its stored evidence files. Evidence rows go with the certification
+ * (ON DELETE CASCADE); file removal afterwards is best effort.
+ * @param {Certification} certification
+ */
+async function deleteCertificationWithEvidence(certification) {
+  const evidence = await CertificationEvidence.findAll({
+    where: { certification_id: certification.id },
+    attributes: ['id', 'storage_key']
+  });
+
+  await certification.destroy();
+
+  if (evidence.length > 0) {
+    await deleteStoredFiles(getStorageAdapter(), evidence.map((item) => item.storage_key));
+  }
+}
+
+module.exports = {
+  REVIEW_ACTIONS,
+  EVIDENCE_ATTRIBUTES,
+  requestCertificationVerification,
+  listCertificationVerifications,
+  getCertificationVerification,
+  reviewCertificationVerification,
+  findCertificationEvidence,
+  deleteCertificationWithEvidence
+};
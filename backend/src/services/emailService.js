@@ -223,9 +223,10 @@ const sendPasswordResetEmail = async (email, name, resetToken) => {
  * @param {string} email - Recipient email address
  * @param {string} name - User's name
  * @param {Object} notification - Notification object with type, title, message, link
+ * @param {string} [notification.replyTo] - Signed reply address; replies are posted to the conversation
  * @returns {Promise<Object>} Nodemailer result
  */
-const sendNotificationEmail = async (email, name, { type, title, message, link }) => {
+const sendNotificationEmail = async (email, name, { type, title, message, link, replyTo }) => {
   const actionLink = link ? `${process.env.APP_URL || 'https://trident-frontend-livid.vercel.app'}${link}` : null;
   
   const html = `
@@ -271,6 +272,11 @@ const sendNotificationEmail = async (email, name, { type, title, message, link }
                   </table>
                   ` : ''}
                   
+                  ${replyTo ? `
+                  <p style="margin: 24px 0 0; color: #555; font-size: 14px; line-height: 1.5;">
+                    Reply to this email to respond in the conversation.
+                  </p>
+                  ` : ''}
                   <p style="margin: 24px 0 0; color: #999; font-size: 13px; line-height: 1.5;">
                     You're receiving this because you have email notifications enabled. You can manage your preferences in your account settings.
                   </p>
@@ -298,13 +304,51 @@ const sendNotificationEmail = async (email, name, { type, title, message, link }
     to: email,
     subject: title,
     html,
-    text: `Hi ${name},\n\n${message}${actionLink ? `\n\nView details: ${actionLink}` : ''}\n\nYou can manage your email preferences in your account settings.`
+    text: `Hi ${name},\n\n${message}${actionLink ? `\n\nView details: ${actionLink}` : ''}${replyTo ? '\n\nReply to this email to respond in the conversation.' : ''}\n\nYou can manage your email preferences in your account settings.`
   };
 
+  if (replyTo) {
+    mailOptions.replyTo = replyTo;
+  }
+
   return await transporter.sendMail(mailOptions);
 };
 
 
+/**
+ * Send an organization invitation
+ * @param {string} email - Invited email address
+ * @param {Object} invitation
+ * @param {string} invitation.organizationName
+ * @param {string} invitation.inviterName
+ * @param {string} invitation.roleLabel - Human-readable member role
+ * @param {string} invitation.token - Single-use invitation token
+ * @param {Date} invitation.expiresAt
+ * @returns {Promise<Object>} Nodemailer result
+ */
+const sendOrganizationInvitationEmail = async (email, { organizationName, inviterName, roleLabel, token, expiresAt }) => {
+  const acceptLink = `${process.env.APP_URL || 'https://trident-frontend-livid.vercel.app'}/organization/invitations/accept?token=${token}`;
+  const safeOrganizationName = escapeHtml(organizationName);
+  const safeInviterName = escapeHtml(inviterName || 'A colleague');
+  const expiryDate = new Date(expiresAt).toDateString();
+
+  const html = `
+    <h2>Join ${safeOrganizationName} on TRIDENT</h2>
+    <p>${safeInviterName} invited you to join ${safeOrganizationName} as ${escapeHtml(roleLabel)}.</p>
+    <p><a href="${acceptLink}">Accept invitation</a></p>
+    <p>Sign in (or sign up as a nonprofit user) with this email address to accept. This invitation expires on ${expiryDate}.</p>
+    <p>If you weren't expecting this invitation, you can safely ignore this email.</p>
+  `;
+
+  return await transporter.sendMail({
+    from: process.env.SMTP_FROM || '"TRIDENT Match Portal" <noreply@trident.example.com>',
+    to: email,
+    subject: `You're invited to join ${organizationName} on TRIDENT`,
+    html,
+    text: `${inviterName || 'A colleague'} invited you to join ${organizationName} on TRIDENT as ${roleLabel}.\n\nAccept the invitation: ${acceptLink}\n\nSign in (or sign up as a nonprofit user) with this email address to accept. This invitation expires on ${expiryDate}.`
+  });
+};
+
 /* Emails the user a code to enable 2fa
 * they have to login with an email every login
 */
@@ -334,28 +378,47 @@ const sendTwoFactorCodeEmail = async (email, name, code, purpose = "enable") =>
 };
 
 
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 /**
- * Send weekly digest email
+ * Send activity digest email (daily or weekly)
  * @param {string} email - Recipient email address
  * @param {string} name - User's name
- * @param {Object} digestData - Weekly activity summary
+ * @param {Object} digestData - Activity summary
+ * @param {string} [digestData.frequency] - 'daily' or 'weekly'
+ * @param {number} [digestData.unreadNotifications] - Unread in-app notifications
+ * @param {number} [digestData.newMatches] - New high-score project matches
+ * @param {number} [digestData.upcomingMilestones] - Milestones due soon
+ * @param {number} [digestData.pendingAgreements] - Agreements awaiting the user's signature
+ * @param {Array<string>} [digestData.highlights] - Short lines describing individual items
  * @returns {Promise<Object>} Nodemailer result
  */
 const sendWeeklyDigest = async (email, name, digestData) => {
   const {
-    newMessages = 0,
+    frequency = 'weekly',
+    unreadNotifications = 0,
     newMatches = 0,
     upcomingMilestones = 0,
-    projectUpdates = 0
+    pendingAgreements = 0,
+    highlights = []
   } = digestData;
 
+  const periodLabel = frequency === 'daily' ? 'Daily' : 'Weekly';
+  const periodNoun = frequency === 'daily' ? 'today' : 'this week';
+  const appUrl = process.env.APP_URL || 'https://trident-frontend-livid.vercel.app';
+
   const html = `
     <!DOCTYPE html>
     <html>
     <head>
       <meta charset="utf-8">
       <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>Your Weekly TRIDENT Digest</title>
+      <title>Your ${periodLabel} TRIDENT Digest</title>
     </head>
     <body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f5f5f5;">
       <table role="presentation" style="width: 100%; border-collapse: collapse;">
@@ -366,24 +429,24 @@ const sendWeeklyDigest = async (email, name, digestData) => {
               <tr>
                 <td style="padding: 40px 40px 20px; text-align: center; border-bottom: 1px solid #e0e0e0;">
                   <h1 style="margin: 0; color: #00bfa5; font-size: 28px; font-weight: 600;">TRIDENT</h1>
-                  <p style="margin: 8px 0 0; color: #666; font-size: 14px;">Weekly Digest</p>
+                  <p style="margin: 8px 0 0; color: #666; font-size: 14px;">${periodLabel} Digest</p>
                 </td>
               </tr>
               
               <!-- Body -->
               <tr>
                 <td style="padding: 40px;">
-                  <h2 style="margin: 0 0 16px; color: #333; font-size: 24px; font-weight: 600;">Your Week at a Glance</h2>
+                  <h2 style="margin: 0 0 16px; color: #333; font-size: 24px; font-weight: 600;">Your Activity at a Glance</h2>
                   <p style="margin: 0 0 24px; color: #555; font-size: 16px; line-height: 1.5;">
-                    Hi ${name}, here's what happened this week:
+                    Hi ${escapeHtml(name)}, here's what needs your attention ${periodNoun}:
                   </p>
                   
                   <!-- Stats Grid -->
                   <table role="presentation" style="width: 100%; border-collapse: collapse; margin-bottom: 24px;">
                     <tr>
                       <td style="width: 50%; padding: 16px; background-color: #f9f9f9; border-radius: 4px;">
-                        <p style="margin: 0 0 4px; color: #00bfa5; font-size: 32px; font-weight: 700;">${newMessages}</p>
-                        <p style="margin: 0; color: #666; font-size: 14px;">New Messages</p>
+                        <p style="margin: 0 0 4px; color: #00bfa5; font-size: 32px; font-weight: 700;">${unreadNotifications}</p>
+                        <p style="margin: 0; color: #666; font-size: 14px;">Unread Notifications</p>
                       </td>
                       <td style="width: 16px;"></td>
                       <td style="width: 50%; padding: 16px; background-color: #f9f9f9; border-radius: 4px;">
@@ -399,23 +462,30 @@ const sendWeeklyDigest = async (email, name, digestData) => {
                       </td>
                       <td style="width: 16px;"></td>
                       <td style="width: 50%; padding: 16px; background-color: #f9f9f9; border-radius: 4px;">
-                        <p style="margin: 0 0 4px; color: #00bfa5; font-size: 32px; font-weight: 700;">${projectUpdates}</p>
-                        <p style="margin: 0; color: #666; font-size: 14px;">Project Updates</p>
+                        <p style="margin: 0 0 4px; color: #00bfa5; font-size: 32px; font-weight: 700;">${pendingAgreements}</p>
+                        <p style="margin: 0; color: #666; font-size: 14px;">Awaiting Your Signature</p>
                       </td>
                     </tr>
                   </table>
                   
+                  ${highlights.length > 0 ? `
+                  <!-- Highlights -->
+                  <ul style="margin: 0 0 24px; padding-left: 20px; color: #555; font-size: 14px; line-height: 1.6;">
+                    ${highlights.map((line) => `<li>${escapeHtml(line)}</li>`).join('')}
+                  </ul>
+                  ` : ''}
+                  
                   <!-- CTA Button -->
                   <table role="presentation" style="margin: 0 auto;">
                     <tr>
                       <td style="border-radius: 4px; background-color: #00bfa5;">
-                        <a href="${process.env.APP_URL || 'https://trident-frontend-livid.vercel.app'}/dashboard" style="display: inline-block; padding: 14px 32px; color: #ffffff; text-decoration: none; font-size: 16px; font-weight: 600;">View Dashboard</a>
+                        <a href="${appUrl}/dashboard" style="display: inline-block; padding: 14px 32px; color: #ffffff; text-decoration: none; font-size: 16px; font-weight: 600;">View Dashboard</a>
                       </td>
                     </tr>
                   </table>
                   
                   <p style="margin: 24px 0 0; color: #999; font-size: 13px; line-height: 1.5;">
-                    You're receiving this weekly digest because you opted in. You can manage your email preferences in your account settings.
+                    You're receiving this ${periodLabel.toLowerCase()} digest because you opted in. You can change the digest frequency in your account settings.
                   </p>
                 </td>
               </tr>
@@ -436,12 +506,16 @@ const sendWeeklyDigest = async (email, name, digestData) => {
     </html>
   `;
 
+  const highlightText = highlights.length > 0
+    ? `\n\n${highlights.map((line) => `* ${line}`).join('\n')}`
+    : '';
+
   const mailOptions = {
     from: process.env.SMTP_FROM || '"TRIDENT Match Portal" <noreply@trident.example.com>',
     to: email,
-    subject: 'Your Weekly TRIDENT Digest',
+    subject: `Your ${periodLabel} TRIDENT Digest`,
     html,
-    text: `Hi ${name},\n\nYour week at a glance:\n- ${newMessages} new messages\n- ${newMatches} new matches\n- ${upcomingMilestones} upcoming milestones\n- ${projectUpdates} project updates\n\nView your dashboard: ${process.env.APP_URL}/dashboard`
+    text: `Hi ${name},\n\nHere's what needs your attention ${periodNoun}:\n- ${unreadNotifications} unread notifications\n- ${newMatches} new matches\n- ${upcomingMilestones} upcoming milestones\n- ${pendingAgreements} agreements awaiting your signature${highlightText}\n\nView your dashboard: ${appUrl}/dashboard`
   };
 
   return await transporter.sendMail(mailOptions);
@@ -466,6 +540,7 @@ module.exports = {
   sendVerificationEmail,
   sendPasswordResetEmail,
   sendTwoFactorCodeEmail,
+  sendOrganizationInvitationEmail,
   sendNotificationEmail,
   sendWeeklyDigest,
   testConnection,
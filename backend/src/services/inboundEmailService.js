@@ -0,0 +1,293 @@
+const { InboundEmail, User } = require('../database/models');
+const messageService = require('./messageService');
+const { parseRawEmail, getHeader, parseAuthenticationResults } = require('../utils/emailParser');
+const { isReplyAddressCandidate, verifyReplyAddress } = require('../utils/replyAddress');
+const { logAudit, AUDIT_ACTIONS } = require('../utils/auditLogger');
+
+/**
+ * Inbound email replies: a user answers a message notification by email, the mail provider
+ * (or a local SMTP relay) hands the raw RFC 822 message to the webhook, and the reply text is
+ * posted to the thread as that user. The signed reply address identifies the user and thread;
+ * the From address must also belong to that user and pass SPF, DKIM or DMARC for its domain in
+ * the provider's Authentication-Results, so neither a leaked address nor a forged From can post.
+ * Each Message-ID is posted once; redeliveries get the first result back.
+ *
+ * INBOUND_EMAIL_AUTHSERV_ID: only trust Authentication-Results from this authserv-id (defaults to
+ * the topmost header, which the receiving provider adds). INBOUND_EMAIL_ALLOW_UNAUTHENTICATED=true
+ * skips the check for local relays that do not add the header; the reply address is then the
+ * only secret.
+ */
+
+const MAX_LOGGED_SUBJECT_LENGTH = 200;
+
+const BOUNCE_SENDER_PATTERN = /^(mailer-daemon|postmaster)@/i;
+
+// Lines that start the quoted original message; everything from here on is dropped
+const QUOTE_HEADER_PATTERNS = [
+  /^On\b.+\bwrote:$/i,
+  /^-{2,}\s*Original Message\s*-{2,}$/i,
+  /^-{2,}\s*Forwarded message\s*-{2,}$/i,
+  /^_{5,}$/,
+];
+
+// Lines that start a signature block
+const SIGNATURE_PATTERNS = [
+  /^-- ?$/,
+  /^Sent from my\b/i,
+  /^Get Outlook for\b/i,
+];
+
+const OUTLOOK_HEADER_PATTERN = /^\*?(From|Sent|Date|To|Subject):\*?\s/i;
+
+function isQuoteHeader(lines, index) {
+  const line = lines[index].trim();
+
+  if (QUOTE_HEADER_PATTERNS.some((pattern) => pattern.test(line))) {
+    return true;
+  }
+
+  // Gmail wraps long attributions: "On Mon, Oct 19, 2026 at 9:00 AM Jane <...>" / "wrote:"
+  if (/^On\b/i.test(line) && index + 1 < lines.length && /\bwrote:$/i.test(lines[index + 1].trim())) {
+    return true;
+  }
+
+  // Outlook: a "From:" line followed by more of its header block
+  if (/^\*?From:\*?\s/i.test(line)) {
+    return lines.slice(index + 1, index + 4).some((next) => OUTLOOK_HEADER_PATTERN.test(next.trim()));
+  }
+
+  return false;
+}
+
+/**
+ * Reply text without the quoted original message, ">" quoted lines or the signature
+ * @param {string} text - Decoded plain text body
+ * @returns {string}
+ */
+function extractReplyText(text) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const kept = [];
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index];
+    const trimmed = line.trim();
+
+    if (isQuoteHeader(lines, index) || SIGNATURE_PATTERNS.some((pattern) => pattern.test(trimmed))) {
+      break;
+    }
+
+    if (trimmed.startsWith('>')) {
+      continue;
+    }
+
+    kept.push(line.replace(/\s+$/, ''));
+  }
+
+  return kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Delivery status notifications and auto-responders, which must never be posted as replies
+ */
+function isBounceOrAutoReply(email) {
+  const contentType = getHeader(email.headers, 'content-type').toLowerCase();
+  const autoSubmitted = getHeader(email.headers, 'auto-submitted').toLowerCase();
+  const returnPath = email.headers.has('return-path') ? getHeader(email.headers, 'return-path').trim() : null;
+
+  return (
+    (contentType.startsWith('multipart/report') && contentType.includes('delivery-status')) ||
+    email.contentTypes.includes('message/delivery-status') ||
+    BOUNCE_SENDER_PATTERN.test(email.from || '') ||
+    returnPath === '<>' ||
+    (autoSubmitted !== '' && autoSubmitted !== 'no')
+  );
+}
+
+const domainOf = (address) => String(address || '').split('@').pop().trim().toLowerCase();
+
+// Relaxed alignment: the authenticated domain is the sender's domain or a parent of it
+const isAlignedDomain = (domain, senderDomain) => Boolean(domain) &&
+  (senderDomain === domain || senderDomain.endsWith(`.${domain}`));
+
+function getTrustedAuthenticationResults(email) {
+  const parsed = (email.headers.get('authentication-results') || []).map(parseAuthenticationResults);
+  const authservId = String(process.env.INBOUND_EMAIL_AUTHSERV_ID || '').trim().toLowerCase();
+
+  // Headers below the receiving provider's arrived with the message and can say anything
+  return authservId ? parsed.find((results) => results.authservId === authservId) || null : parsed[0] || null;
+}
+
+/**
+ * Whether the provider verified the From domain with a DMARC, DKIM or SPF pass
+ */
+function isSenderAuthenticated(email) {
+  if (process.env.INBOUND_EMAIL_ALLOW_UNAUTHENTICATED === 'true') {
+    return true;
+  }
+
+  const trusted = getTrustedAuthenticationResults(email);
+  if (!trusted || !email.from) {
+    return false;
+  }
+
+  const senderDomain = domainOf(email.from);
+  const authenticatedDomain = ({ method, properties }) => {
+    if (method === 'dmarc') return domainOf(properties['header.from']);
+    if (method === 'dkim') return domainOf(properties['header.d'] || properties['header.i']);
+    if (method === 'spf') return domainOf(properties['smtp.mailfrom']);
+    return null;
+  };
+
+  return trusted.results.some((result) => (
+    result.result === 'pass' && isAlignedDomain(authenticatedDomain(result), senderDomain)
+  ));
+}
+
+/**
+ * Record a Message-ID before posting it
+ * @returns {Promise<{record: InboundEmail|null, earlier: Object|null}>} earlier is the result of a
+ *   previous delivery of the same message; messages without a Message-ID are not deduplicated
+ */
+async function claimMessageId(email, { userId, threadId }) {
+  const messageIdHeader = String(email.messageId || '').trim();
+  if (!messageIdHeader) {
+    return { record: null, earlier: null };
+  }
+
+  const [record, created] = await InboundEmail.findOrCreate({
+    where: { message_id_header: messageIdHeader },
+    defaults: { user_id: userId, thread_id: threadId, status: 'processing' },
+  });
+  if (created) {
+    return { record, earlier: null };
+  }
+
+  if (record.status === 'posted') {
+    return { record: null, earlier: { status: 'posted', message_id: record.message_id } };
+  }
+  return { record: null, earlier: { status: record.status === 'processing' ? 'duplicate' : record.status } };
+}
+
+function findReplyRecipient(email) {
+  return email.recipients.find(isReplyAddressCandidate) || null;
+}
+
+async function logInboundSecurityEvent(action, email, { userId = null, recipient = null, reason }) {
+  await logAudit({
+    actorId: userId,
+    action,
+    entityType: 'inbound_email',
+    entityId: null,
+    metadata: {
+      reason,
+      from: email.from,
+      recipient,
+      message_id: email.messageId || null,
+      subject: (email.subject || '').slice(0, MAX_LOGGED_SUBJECT_LENGTH),
+    },
+  });
+}
+
+/**
+ * Process one raw inbound email.
+ * @param {Buffer|string} raw - RFC 822 message
+ * @returns {Promise<{status: 'posted'|'empty'|'bounced'|'rejected'|'unknown_sender'|'duplicate', message_id?: number}>}
+ *   Every outcome other than posted, empty and duplicate (a redelivery still being posted) is
+ *   recorded as an audit security event. A redelivered Message-ID returns the first result.
+ */
+async function processInboundEmail(raw) {
+  const email = parseRawEmail(raw);
+  const recipient = findReplyRecipient(email);
+  const verified = recipient ? verifyReplyAddress(recipient) : null;
+
+  if (isBounceOrAutoReply(email)) {
+    await logInboundSecurityEvent(AUDIT_ACTIONS.INBOUND_EMAIL_BOUNCED, email, {
+      userId: verified?.userId || null,
+      recipient,
+      reason: 'bounce_or_auto_reply',
+    });
+    return { status: 'bounced' };
+  }
+
+  if (!verified) {
+    await logInboundSecurityEvent(AUDIT_ACTIONS.INBOUND_EMAIL_REJECTED, email, {
+      recipient,
+      reason: recipient ? 'invalid_reply_token' : 'missing_reply_address',
+    });
+    return { status: 'rejected' };
+  }
+
+  const user = await User.findByPk(verified.userId, {
+    attributes: ['id', 'email', 'account_status'],
+  });
+
+  if (!user || !email.from || String(user.email || '').toLowerCase() !== email.from) {
+    await logInboundSecurityEvent(AUDIT_ACTIONS.INBOUND_EMAIL_UNKNOWN_SENDER, email, {
+      userId: verified.userId,
+      recipient,
+      reason: user ? 'sender_mismatch' : 'user_not_found',
+    });
+    return { status: 'unknown_sender' };
+  }
+
+  if (!isSenderAuthenticated(email)) {
+    await logInboundSecurityEvent(AUDIT_ACTIONS.INBOUND_EMAIL_UNKNOWN_SENDER, email, {
+      userId: user.id,
+      recipient,
+      reason: 'sender_not_authenticated',
+    });
+    return { status: 'unknown_sender' };
+  }
+
+  if (user.account_status === 'suspended') {
+    await logInboundSecurityEvent(AUDIT_ACTIONS.INBOUND_EMAIL_REJECTED, email, {
+      userId: user.id,
+      recipient,
+      reason: 'account_suspended',
+    });
+    return { status: 'rejected' };
+  }
+
+  const body = extractReplyText(email.text);
+
+  if (!body) {
+    return { status: 'empty' };
+  }
+
+  const { record, earlier } = await claimMessageId(email, { userId: user.id, threadId: verified.threadId });
+  if (earlier) {
+    return earlier;
+  }
+
+  try {
+    const result = await messageService.sendMessage({
+      threadId: verified.threadId,
+      senderId: user.id,
+      body,
+    });
+
+    await record?.update({ status: 'posted', message_id: result.message.id });
+    return { status: 'posted', message_id: result.message.id };
+  } catch (error) {
+    if (['THREAD_NOT_FOUND', 'NOT_THREAD_MEMBER', 'MESSAGE_BODY_TOO_LONG'].includes(error.message)) {
+      await record?.update({ status: 'rejected' });
+      await logInboundSecurityEvent(AUDIT_ACTIONS.INBOUND_EMAIL_REJECTED, email, {
+        userId: user.id,
+        recipient,
+        reason: error.message.toLowerCase(),
+      });
+      return { status: 'rejected' };
+    }
+
+    // Let the provider's retry post it
+    await record?.destroy();
+    throw error;
+  }
+}
+
+module.exports = {
+  extractReplyText,
+  isBounceOrAutoReply,
+  isSenderAuthenticated,
+  processInboundEmail,
+};
@@ -0,0 +1,419 @@
+const { Op } = require('sequelize');
+const {
+  Invoice,
+  Milestone,
+  OrganizationMember,
+  PaymentTranche,
+  User,
+  sequelize
+} = require('../database/models');
+const notificationService = require('./notificationService');
+const pdfService = require('./pdfService');
+const { getStorageAdapter } = require('./storage');
+const { getPaymentAdapter } = require('./payments');
+const {
+  ORGANIZATION_PERMISSIONS,
+  canInOrganization
+} = require('./organizationMemberService');
+const { loadProject, canViewBudget } = require('./budgetLedgerService');
+const { toDateOnly } = require('../utils/calendarDates');
+const { logAudit, AUDIT_ACTIONS } = require('../utils/auditLogger');
+
+/**
+ * Invoices for payment tranches. Once a tranche's milestone has been accepted, the researcher
+ * generates the invoice as a PDF; a nonprofit member with payments:release pays it through the
+ * payment adapter, which marks the invoice and its tranche as paid. An invoice is claimed
+ * (unpaid -> processing) before the adapter is called so it is paid at most once; invoices left in
+ * processing by a crashed request are finished by reconcileStaleInvoicePayments.
+ */
+
+const PAY_PERMISSION = 'payments:release';
+const INVOICE_STATUSES = ['unpaid', 'processing', 'paid'];
+// A payInvoice call normally finishes in seconds; one still processing after this has died
+const STALE_PROCESSING_MS = 15 * 60 * 1000;
+const RECONCILE_BATCH_SIZE = 50;
+
+const formatAmount = (value) => Number(value).toFixed(2);
+
+function invoiceNumberFor(tranche) {
+  return `INV-${tranche.project_id}-${tranche.id}`;
+}
+
+function buildInvoiceText({ invoiceNumber, project, milestone, researcher, tranche, issuedAt }) {
+  return [
+    `Invoice number: ${invoiceNumber}`,
+    `Issued: ${toDateOnly(issuedAt)}`,
+    '',
+    `From: ${researcher.name || `Researcher #${researcher.id}`}${researcher.email ? ` <${researcher.email}>` : ''}`,
+    `Project: ${project.title} (#${project.project_id})`,
+    `Agreement: #${tranche.contract_id}`,
+    '',
+    `Milestone: ${milestone.name}`,
+    `Accepted: ${toDateOnly(milestone.completed_at) || 'yes'}`,
+    '',
+    `Amount due: ${formatAmount(tranche.amount)}`
+  ].join('\n');
+}
+
+async function notifyPayers(project, invoice, researcher) {
+  try {
+    const payers = await OrganizationMember.findAll({
+      where: { org_id: project.org_id, role: { [Op.in]: ORGANIZATION_PERMISSIONS[PAY_PERMISSION] } },
+      attributes: ['user_id']
+    });
+
+    if (payers.length > 0) {
+      await notificationService.createBulkNotifications(payers.map((member) => member.user_id), {
+        type: 'invoice_issued',
+        title: 'Invoice Received',
+        message: `${researcher.name || 'A researcher'} sent invoice ${invoice.invoice_number} for ${formatAmount(invoice.amount)} on "${project.title}".`,
+        link: `/projects/${project.project_id}/budget`,
+        metadata: { invoice_id: invoice.id, project_id: project.project_id, tranche_id: invoice.tranche_id }
+      });
+    }
+  } catch (error) {
+    console.error(`[Invoices] Failed to notify payers for invoice ${invoice.id}:`, error.message);
+  }
+}
+
+async function notifyResearcher(project, invoice) {
+  try {
+    await notificationService.createNotification({
+      userId: invoice.researcher_id,
+      type: 'invoice_paid',
+      title: 'Invoice Paid',
+      message: `Invoice ${invoice.invoice_number} for ${formatAmount(invoice.amount)} on "${project.title}" was paid.`,
+      link: `/projects/${project.project_id}/budget`,
+      metadata: { invoice_id: invoice.id, project_id: project.project_id, payment_reference: invoice.payment_reference }
+    });
+  } catch (error) {
+    console.error(`[Invoices] Failed to notify researcher ${invoice.researcher_id}:`, error.message);
+  }
+}
+
+/**
+ * Generate the invoice for a tranche whose milestone has been accepted
+ * @param {Object} params
+ * @param {Object} params.researcher - Signed-in researcher the tranche pays
+ * @param {number} params.projectId
+ * @param {number} params.trancheId
+ * @returns {Promise<Invoice>}
+ */
+async function generateInvoice({ researcher, projectId, trancheId }) {
+  const project = await loadProject(projectId);
+  const tranche = await PaymentTranche.findOne({
+    where: { id: trancheId, project_id: projectId, researcher_id: researcher.id },
+    include: [{ model: Milestone, as: 'milestone', attributes: ['id', 'name', 'status', 'completed_at'] }]
+  });
+  if (!tranche || tranche.status === 'cancelled') {
+    throw new Error('TRANCHE_NOT_FOUND');
+  }
+  if (tranche.status !== 'planned') {
+    throw new Error('INVOICE_ALREADY_EXISTS');
+  }
+  if (tranche.milestone.status !== 'completed') {
+    throw new Error('MILESTONE_NOT_ACCEPTED');
+  }
+
+  const invoiceNumber = invoiceNumberFor(tranche);
+  const issuedAt = new Date();
+  const generated = await pdfService.generatePdfFromText(
+    `Invoice ${invoiceNumber}`,
+    buildInvoiceText({ invoiceNumber, project, milestone: tranche.milestone, researcher, tranche, issuedAt })
+  );
+  const filename = `${invoiceNumber}.pdf`;
+  const storageAdapter = getStorageAdapter();
+  const { storageKey } = await storageAdapter.save({
+    projectId,
+    filename,
+    buffer: generated.buffer,
+    mimetype: 'application/pdf'
+  });
+
+  let invoice;
+  try {
+    invoice = await sequelize.transaction(async (transaction) => {
+      const created = await Invoice.create({
+        invoice_number: invoiceNumber,
+        tranche_id: tranche.id,
+        project_id: projectId,
+        researcher_id: researcher.id,
+        amount: tranche.amount,
+        status: 'unpaid',
+        issued_at: issuedAt,
+        storage_key: storageKey,
+        filename,
+        checksum: generated.checksum
+      }, { transaction });
+      await tranche.update({ status: 'invoiced' }, { transaction });
+      return created;
+    });
+  } catch (error) {
+    await storageAdapter.delete(storageKey).catch(() => {});
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      throw new Error('INVOICE_ALREADY_EXISTS');
+    }
+    throw error;
+  }
+
+  await logAudit({
+    actorId: researcher.id,
+    action: AUDIT_ACTIONS.INVOICE_ISSUED,
+    entityType: 'PROJECT',
+    entityId: projectId,
+    metadata: { invoice_id: invoice.id, tranche_id: tranche.id, amount: Number(invoice.amount) }
+  });
+  await notifyPayers(project, invoice, researcher);
+
+  return invoice;
+}
+
+/**
+ * Invoices on a project: researchers see their own, the organization and admins see all
+ */
+async function listInvoices({ user, projectId, status }) {
+  const project = await loadProject(projectId);
+  const where = { project_id: projectId };
+
+  if (user.role === 'researcher') {
+    where.researcher_id = user.id;
+  } else if (!(await canViewBudget(user, project))) {
+    throw new Error('ORGANIZATION_ACCESS_DENIED');
+  }
+
+  if (status) {
+    if (!INVOICE_STATUSES.includes(status)) {
+      throw new Error('INVALID_INVOICE_STATUS');
+    }
+    where.status = status;
+  }
+
+  return Invoice.findAll({
+    where,
+    include: [
+      { model: User, as: 'researcher', attributes: ['id', 'name', 'email'] },
+      {
+        model: PaymentTranche,
+        as: 'tranche',
+        attributes: ['id', 'contract_id', 'milestone_id', 'status'],
+        include: [{ model: Milestone, as: 'milestone', attributes: ['id', 'name'] }]
+      }
+    ],
+    order: [['issued_at', 'DESC'], ['id', 'DESC']]
+  });
+}
+
+/**
+ * The invoice and a read stream of its PDF, for the researcher who issued it, the organization
+ * and admins
+ * @returns {Promise<Object>} { invoice, stream }
+ */
+async function getInvoiceFile({ user, projectId, invoiceId }) {
+  const project = await loadProject(projectId);
+  const invoice = await Invoice.findOne({ where: { id: invoiceId, project_id: projectId } });
+  if (!invoice) {
+    throw new Error('INVOICE_NOT_FOUND');
+  }
+  if (invoice.researcher_id !== user.id && !(await canViewBudget(user, project))) {
+    throw new Error('INVOICE_NOT_FOUND');
+  }
+
+  const stream = await getStorageAdapter().getReadStream(invoice.storage_key);
+  return { invoice, stream };
+}
+
+/**
+ * Move an unpaid invoice to processing; only one concurrent payInvoice call can win the claim.
+ * The claim records the idempotency key sent to the adapter so the reconciler can finish it.
+ * @throws {Error} INVOICE_ALREADY_PAID | INVOICE_PAYMENT_IN_PROGRESS
+ */
+async function claimInvoice(invoice, payer) {
+  const claim = {
+    status: 'processing',
+    payment_idempotency_key: invoice.payment_idempotency_key || invoice.invoice_number,
+    payment_provider: getPaymentAdapter().provider,
+    processing_started_at: new Date(),
+    payment_requested_by: payer.id
+  };
+  const [claimed] = await Invoice.update(claim, { where: { id: invoice.id, status: 'unpaid' } });
+  if (claimed) {
+    Object.assign(invoice, claim);
+    return;
+  }
+
+  const current = await Invoice.findByPk(invoice.id, { attributes: ['id', 'status'] });
+  throw new Error(current?.status === 'paid' ? 'INVOICE_ALREADY_PAID' : 'INVOICE_PAYMENT_IN_PROGRESS');
+}
+
+// The idempotency key is kept: paying again asks the processor about the same payment
+async function releaseInvoiceClaim(invoice) {
+  const release = { status: 'unpaid', processing_started_at: null };
+  await Invoice.update(release, { where: { id: invoice.id, status: 'processing' } });
+  Object.assign(invoice, release);
+}
+
+function requestPayment(invoice) {
+  return getPaymentAdapter().createPayment({
+    invoiceNumber: invoice.invoice_number,
+    amount: Number(invoice.amount),
+    payeeId: invoice.researcher_id,
+    idempotencyKey: invoice.payment_idempotency_key || invoice.invoice_number,
+    metadata: { invoice_id: invoice.id, project_id: invoice.project_id }
+  });
+}
+
+async function recordPayment(project, invoice, payment, payerId) {
+  await sequelize.transaction(async (transaction) => {
+    await invoice.update({
+      status: 'paid',
+      paid_at: new Date(),
+      paid_by: payerId,
+      payment_provider: payment.provider,
+      payment_reference: payment.reference,
+      processing_started_at: null
+    }, { transaction });
+    await PaymentTranche.update(
+      { status: 'paid' },
+      { where: { id: invoice.tranche_id }, transaction }
+    );
+  });
+
+  await logAudit({
+    actorId: payerId,
+    action: AUDIT_ACTIONS.INVOICE_PAID,
+    entityType: 'PROJECT',
+    entityId: invoice.project_id,
+    metadata: {
+      invoice_id: invoice.id,
+      amount: Number(invoice.amount),
+      payment_provider: payment.provider,
+      payment_reference: payment.reference
+    }
+  });
+  await notifyResearcher(project, invoice);
+}
+
+/**
+ * Pay an invoice through the payment adapter and record the payment. The invoice number is the
+ * adapter's idempotency key, so a retried call cannot create a second payment with the processor.
+ * @param {Object} params
+ * @param {Object} params.payer - Nonprofit member with payments:release
+ * @returns {Promise<Invoice>}
+ */
+async function payInvoice({ payer, projectId, invoiceId }) {
+  const project = await loadProject(projectId);
+  if (!(await canInOrganization(payer, project.org_id, PAY_PERMISSION))) {
+    throw new Error('ORGANIZATION_ACCESS_DENIED');
+  }
+
+  const invoice = await Invoice.findOne({ where: { id: invoiceId, project_id: projectId } });
+  if (!invoice) {
+    throw new Error('INVOICE_NOT_FOUND');
+  }
+  if (invoice.status === 'paid') {
+    throw new Error('INVOICE_ALREADY_PAID');
+  }
+  if (invoice.status === 'processing') {
+    throw new Error('INVOICE_PAYMENT_IN_PROGRESS');
+  }
+
+  await claimInvoice(invoice, payer);
+
+  let payment;
+  try {
+    payment = await requestPayment(invoice);
+  } catch (error) {
+    await releaseInvoiceClaim(invoice);
+    throw error;
+  }
+  if (payment.status !== 'succeeded') {
+    await releaseInvoiceClaim(invoice);
+    throw new Error('PAYMENT_FAILED');
+  }
+
+  await recordPayment(project, invoice, payment, payer.id);
+  return invoice;
+}
+
+/**
+ * Finish payments whose payInvoice call died between claiming the invoice and recording the
+ * result. Each stale processing invoice is re-claimed by moving its processing_started_at
+ * forward, then the adapter is asked again with the stored idempotency key: a payment the
+ * processor already made is returned rather than repeated and is recorded, a failed one releases
+ * the invoice back to unpaid, and an adapter error leaves it for a later run.
+ * @param {Object} [options]
+ * @param {number} [options.staleAfterMs] - How long an invoice may stay in processing
+ * @param {number|null} [options.maxDurationMs] - Stop starting new batches after this long
+ * @returns {Promise<{scanned: number, paid: number, released: number, failed: number, completed: boolean}>}
+ */
+async function reconcileStaleInvoicePayments({
+  now = new Date(),
+  staleAfterMs = STALE_PROCESSING_MS,
+  batchSize = RECONCILE_BATCH_SIZE,
+  maxDurationMs = null
+} = {}) {
+  const startedAt = Date.now();
+  const summary = { scanned: 0, paid: 0, released: 0, failed: 0, completed: false };
+  const seenIds = [];
+  const cutoff = new Date(now.getTime() - staleAfterMs);
+
+  for (;;) {
+    if (maxDurationMs && Date.now() - startedAt >= maxDurationMs) {
+      return summary;
+    }
+
+    const where = {
+      status: 'processing',
+      [Op.or]: [
+        { processing_started_at: { [Op.lte]: cutoff } },
+        { processing_started_at: null }
+      ]
+    };
+    if (seenIds.length > 0) {
+      where.id = { [Op.notIn]: seenIds };
+    }
+    const invoices = await Invoice.findAll({ where, order: [['id', 'ASC']], limit: batchSize });
+    if (invoices.length === 0) {
+      summary.completed = true;
+      return summary;
+    }
+
+    for (const invoice of invoices) {
+      seenIds.push(invoice.id);
+      summary.scanned += 1;
+
+      // Another run (or a slow payInvoice) may have picked it up since the query
+      const [reclaimed] = await Invoice.update(
+        { processing_started_at: new Date() },
+        { where: { id: invoice.id, status: 'processing', processing_started_at: invoice.processing_started_at } }
+      );
+      if (!reclaimed) {
+        continue;
+      }
+
+      try {
+        const payment = await requestPayment(invoice);
+        if (payment.status === 'succeeded') {
+          const project = await loadProject(invoice.project_id);
+          await recordPayment(project, invoice, payment, invoice.payment_requested_by);
+          summary.paid += 1;
+        } else {
+          await releaseInvoiceClaim(invoice);
+          summary.released += 1;
+        }
+      } catch (error) {
+        summary.failed += 1;
+        console.error(`[Invoices] Failed to reconcile payment for invoice ${invoice.id}:`, error.message);
+      }
+    }
+  }
+}
+
+module.exports = {
+  buildInvoiceText,
+  generateInvoice,
+  listInvoices,
+  getInvoiceFile,
+  payInvoice,
+  reconcileStaleInvoicePayments
+};
@@ -20,6 +20,12 @@ const User = require('../database/models/User');
 const Match = require('../database/models/Match');
 const Application = require('../database/models/Application');
 const { parseDelimitedList } = require('../utils/researcherProfileFields');
+const { toDateOnly } = require('../utils/calendarDates');
+const {
+  getWeeklyTotal,
+  calculateFreeHours,
+  loadCapacityInputs
+} = require('./researcherCapacityService');
 
 /**
  * Parse comma-separated string into array of lowercase trimmed values
@@ -154,14 +160,56 @@ function calculateBudgetScore(project, researcher) {
   return Math.round(overlapPercentage * 15 * 10) / 10;
 }
 
+/**
+ * Availability score for a researcher with a published weekly schedule (max 10 points)
+ * Free hours in the planning window from the project start vs. estimated hours (5 pts),
+ * and being free to start on that day (5 pts)
+ * @param {Object} project - {start_date, estimated_hours}
+ * @param {Object} researcher - {weekly_hours, blackout_periods, commitments, available_start_date}
+ * @param {Date} now - Reference date; projects that already started are planned from today
+ * @returns {number} Score 0-10
+ */
+function calculateScheduleAvailabilityScore(project, researcher, now) {
+  const today = toDateOnly(now);
+  const projectStart = toDateOnly(project.start_date);
+  const start = projectStart && projectStart > today ? projectStart : today;
+  const estimatedHours = parseInt(project.estimated_hours) || 100; // Default 100 hours
+  const blackoutPeriods = researcher.blackout_periods || [];
+
+  const { free_hours: freeHours } = calculateFreeHours({
+    weeklyHours: researcher.weekly_hours,
+    blackoutPeriods,
+    commitments: researcher.commitments || [],
+    from: start
+  });
+
+  // Free hours coverage of the project's estimate (5 points)
+  let score = Math.round(Math.min(1, freeHours / estimatedHours) * 5 * 10) / 10;
+
+  // Free to start on the project's start date (5 points)
+  const availableStart = toDateOnly(researcher.available_start_date);
+  const blockedAtStart = blackoutPeriods.some((period) => period.start_date <= start && period.end_date >= start);
+  if ((!availableStart || availableStart <= start) && !blockedAtStart) {
+    score += 5;
+  }
+
+  return score;
+}
+
 /**
  * Calculate availability score (max 10 points)
- * Checks if researcher can start on time and has capacity
- * @param {Object} project - {start_date}
- * @param {Object} researcher - {available_start_date, current_projects_count, max_concurrent_projects}
+ * Uses the researcher's weekly schedule, blackout periods and milestone commitments when they
+ * have published a schedule; otherwise checks project count capacity and start date
+ * @param {Object} project - {start_date, estimated_hours}
+ * @param {Object} researcher - {weekly_hours, blackout_periods, commitments, available_start_date, current_projects_count, max_concurrent_projects}
+ * @param {Date} [now] - Reference date for schedule-based scoring
  * @returns {number} Score 0-10
  */
-function calculateAvailabilityScore(project, researcher) {
+function calculateAvailabilityScore(project, researcher, now = new Date()) {
+  if (getWeeklyTotal(researcher.weekly_hours)) {
+    return calculateScheduleAvailabilityScore(project, researcher, now);
+  }
+
   let score = 0;
   
   // Check capacity (5 points)
@@ -222,6 +270,28 @@ function calculateDomainScore(orgFocusAreas, researcherDomains) {
   return Math.round(similarity * 10 * 10) / 10;
 }
 
+/**
+ * Blackout periods and milestone commitments keyed by researcher id. Matching falls back to
+ * profile-only availability scoring when they cannot be loaded.
+ * @param {number[]} researcherIds
+ * @returns {Promise<Map>}
+ */
+async function loadCapacityForMatching(researcherIds) {
+  try {
+    return await loadCapacityInputs(researcherIds);
+  } catch (error) {
+    console.error('Capacity lookup failed; matching without schedules:', error.message);
+    return new Map();
+  }
+}
+
+function withCapacity(researcherData, capacityInputs) {
+  const capacity = capacityInputs.get(Number(researcherData.user_id));
+  return capacity
+    ? { ...researcherData, blackout_periods: capacity.blackout_periods, commitments: capacity.commitments }
+    : researcherData;
+}
+
 /**
  * Calculate overall match score between project and researcher
  * @param {Object} project - Project with organization
@@ -368,6 +438,9 @@ async function findMatchesForProject(projectId, options) {
   }
   
   const requiredCertifications = parseComplianceCertifications(complianceFilter);
+  const capacityInputs = await loadCapacityForMatching(
+    researchers.filter(researcher => userMap[researcher.user_id]).map(researcher => researcher.user_id)
+  );
 
   // Calculate scores for researchers with active users
   const matches = researchers
@@ -379,7 +452,7 @@ async function findMatchesForProject(projectId, options) {
       const complianceCertifications = parseComplianceCertifications(researcher.compliance_certifications);
       const hasComplianceCertifications = complianceCertifications.length > 0;
       
-      const scoreData = calculateMatchScore(projectData, researcher.toJSON());
+      const scoreData = calculateMatchScore(projectData, withCapacity(researcher.toJSON(), capacityInputs));
       
       return {
         researcher: {
@@ -403,6 +476,7 @@ async function findMatchesForProject(projectId, options) {
           available_start_date: researcher.available_start_date,
           current_projects_count: researcher.current_projects_count,
           max_concurrent_projects: researcher.max_concurrent_projects,
+          weekly_hours_total: getWeeklyTotal(researcher.weekly_hours),
           projects_completed: researcher.projects_completed
         },
         matchScore: scoreData.totalScore,
@@ -518,6 +592,9 @@ async function findMatchesForResearcher(researcherId, options = {}) {
     appliedProjectIds = new Set();
   }
   
+  const capacityInputs = await loadCapacityForMatching([researcher.user_id]);
+  const researcherData = withCapacity(researcher.toJSON(), capacityInputs);
+
   // Calculate scores for all projects
   const matches = projects
   .filter(project => !dismissedProjectIds.has(Number(project.project_id)))
@@ -525,7 +602,7 @@ async function findMatchesForResearcher(researcherId, options = {}) {
     const projectData = project.toJSON();
     projectData.organization = orgMap[project.org_id] ? orgMap[project.org_id].toJSON() : null;
     
-    const scoreData = calculateMatchScore(projectData, researcher.toJSON());
+    const scoreData = calculateMatchScore(projectData, researcherData);
     
     return {
       project: {
@@ -537,9 +614,12 @@ async function findMatchesForResearcher(researcherId, options = {}) {
         budget_min: project.budget_min,
         budget_max: project.budget_max,
         methods_required: parseCommaSeparated(project.methods_required),
+        start_date: project.start_date,
+        estimated_hours: project.estimated_hours,
         organization: projectData.organization ? {
           id: projectData.organization.id,
-          name: projectData.organization.name
+          name: projectData.organization.name,
+          is_verified: Boolean(projectData.organization.is_verified)
         } : null
       },
       matchScore: scoreData.totalScore,
@@ -585,6 +665,10 @@ module.exports = {
   calculateExperienceScore,
   calculateDomainScore,
   calculateMatchScore,
+
+  // Capacity inputs (blackout periods and commitments) for availability scoring
+  loadCapacityForMatching,
+  withCapacity,
   
   // Main matching functions
   findMatchesForProject,
@@ -0,0 +1,374 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Message, MessageRevision, ThreadDataKey, sequelize } = require('../database/models');
+const {
+  KEY_BYTES,
+  decryptMessage,
+  encryptWithKey,
+  decryptWithKey,
+  generateDataKey,
+} = require('../utils/encryption');
+
+const MESSAGE_DECRYPTION_PLACEHOLDER = '[Message could not be decrypted]';
+// Master key version derived from MSG_SECRET, used until MESSAGE_MASTER_KEYS is configured
+const DERIVED_MASTER_KEY_VERSION = 0;
+const DEFAULT_REENCRYPT_BATCH_SIZE = 200;
+const MAX_CACHED_DATA_KEYS = 1000;
+
+// Unwrapped data keys by id; a key's material never changes, only whether it is still in use
+const dataKeyCache = new Map();
+let masterKeyCache = null;
+
+function parseMasterKey(version, encoded) {
+  const key = /^[0-9a-f]{64}$/i.test(encoded)
+    ? Buffer.from(encoded, 'hex')
+    : Buffer.from(encoded, 'base64');
+
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`MESSAGE_MASTER_KEYS version ${version} must be a 32-byte key (base64 or hex)`);
+  }
+
+  return key;
+}
+
+/**
+ * Master keys come from MESSAGE_MASTER_KEYS as comma-separated "version:key" pairs, e.g.
+ * "1:<base64>,2:<base64>". New data keys are wrapped with MESSAGE_MASTER_KEY_VERSION (default:
+ * the highest version); older versions stay listed until the rotation task reports nothing left.
+ * When MSG_SECRET is set it also provides version 0, so deployments without configured master
+ * keys keep working and legacy payloads stay readable.
+ */
+function getMasterKeys() {
+  const source = [
+    process.env.MESSAGE_MASTER_KEYS || '',
+    process.env.MESSAGE_MASTER_KEY_VERSION || '',
+    process.env.MSG_SECRET || '',
+  ].join('|');
+
+  if (masterKeyCache && masterKeyCache.source === source) {
+    return masterKeyCache;
+  }
+
+  const keys = new Map();
+
+  if (process.env.MSG_SECRET) {
+    keys.set(
+      DERIVED_MASTER_KEY_VERSION,
+      Buffer.from(crypto.hkdfSync('sha256', process.env.MSG_SECRET, '', 'trident-message-master-key', KEY_BYTES))
+    );
+  }
+
+  for (const entry of (process.env.MESSAGE_MASTER_KEYS || '').split(',')) {
+    const trimmed = entry.trim();
+    if (!trimmed) {
+      continue;
+    }
+
+    const separator = trimmed.indexOf(':');
+    const version = Number.parseInt(trimmed.slice(0, separator), 10);
+
+    if (separator < 1 || !Number.isInteger(version) || version < 1) {
+      throw new Error('MESSAGE_MASTER_KEYS entries must look like "<version>:<key>" with version >= 1');
+    }
+
+    keys.set(version, parseMasterKey(version, trimmed.slice(separator + 1).trim()));
+  }
+
+  if (keys.size === 0) {
+    throw new Error('MSG_SECRET_MISSING');
+  }
+
+  const configuredVersion = Number.parseInt(process.env.MESSAGE_MASTER_KEY_VERSION, 10);
+  const current = Number.isInteger(configuredVersion) ? configuredVersion : Math.max(...keys.keys());
+
+  if (!keys.has(current)) {
+    throw new Error(`MESSAGE_MASTER_KEY_VERSION ${current} is not listed in MESSAGE_MASTER_KEYS`);
+  }
+
+  masterKeyCache = { source, keys, current };
+  return masterKeyCache;
+}
+
+function getCurrentMasterKeyVersion() {
+  return getMasterKeys().current;
+}
+
+function wrapContext(threadId, version) {
+  return `thread-data-key:${threadId}:${version}`;
+}
+
+function wrapDataKey(dataKey, threadId, version) {
+  const masterKey = getMasterKeys().keys.get(version);
+  return encryptWithKey(dataKey.toString('base64'), masterKey, wrapContext(threadId, version));
+}
+
+function unwrapDataKey(record) {
+  const masterKey = getMasterKeys().keys.get(Number(record.master_key_version));
+
+  if (!masterKey) {
+    throw new Error(`MASTER_KEY_VERSION_UNAVAILABLE: ${record.master_key_version}`);
+  }
+
+  const encoded = decryptWithKey(
+    record.wrapped_key,
+    masterKey,
+    wrapContext(record.thread_id, record.master_key_version)
+  );
+
+  return Buffer.from(encoded, 'base64');
+}
+
+function cacheDataKey(id, entry) {
+  if (dataKeyCache.size >= MAX_CACHED_DATA_KEYS) {
+    dataKeyCache.delete(dataKeyCache.keys().next().value);
+  }
+  dataKeyCache.set(id, entry);
+}
+
+/**
+ * The thread's data key under the current master key version, created on first use.
+ * Must not run inside a transaction: a concurrent insert for the same thread surfaces as a
+ * unique violation, which is resolved by reading the winner's row.
+ */
+async function getActiveDataKey(threadId) {
+  const version = getCurrentMasterKeyVersion();
+  const where = { thread_id: threadId, master_key_version: version };
+
+  let record = await ThreadDataKey.findOne({ where });
+
+  if (!record) {
+    try {
+      record = await ThreadDataKey.create({
+        ...where,
+        wrapped_key: wrapDataKey(generateDataKey(), threadId, version),
+      });
+    } catch (error) {
+      if (error.name !== 'SequelizeUniqueConstraintError') {
+        throw error;
+      }
+      record = await ThreadDataKey.findOne({ where });
+    }
+  }
+
+  if (!dataKeyCache.has(record.id)) {
+    cacheDataKey(record.id, { threadId: Number(record.thread_id), key: unwrapDataKey(record) });
+  }
+
+  return { id: record.id, ...dataKeyCache.get(record.id) };
+}
+
+/**
+ * Encrypt a message body with its thread's data key
+ * @returns {Promise<{body: string, key_id: number|null}>}
+ */
+async function encryptMessageBody(threadId, plaintext) {
+  if (!plaintext) {
+    return { body: '', key_id: null };
+  }
+
+  const dataKey = await getActiveDataKey(threadId);
+  return { body: encryptWithKey(plaintext, dataKey.key), key_id: dataKey.id };
+}
+
+/**
+ * Unwrap the data keys referenced by a set of messages, one query for any not yet cached.
+ * Keys that cannot be unwrapped are left out, so their messages fall back to the placeholder.
+ */
+async function loadDataKeys(keyIds) {
+  const ids = Array.from(new Set(keyIds.filter((id) => id !== null && id !== undefined).map(Number)));
+  const missing = ids.filter((id) => !dataKeyCache.has(id));
+
+  if (missing.length > 0) {
+    const records = await ThreadDataKey.findAll({ where: { id: missing } });
+
+    for (const record of records) {
+      try {
+        cacheDataKey(record.id, { threadId: Number(record.thread_id), key: unwrapDataKey(record) });
+      } catch (error) {
+        console.warn(`Unable to unwrap data key ${record.id}: ${error.message}`);
+      }
+    }
+  }
+
+  return new Map(ids.filter((id) => dataKeyCache.has(id)).map((id) => [id, dataKeyCache.get(id)]));
+}
+
+// Throws when the body cannot be decrypted; use createBodyDecryptor for display paths
+function decryptMessageBody(message, dataKeys) {
+  if (typeof message.body !== 'string' || message.body.trim() === '') {
+    return '';
+  }
+
+  if (message.key_id === null || message.key_id === undefined) {
+    return decryptMessage(message.body, process.env.MSG_SECRET);
+  }
+
+  const dataKey = dataKeys.get(Number(message.key_id));
+
+  if (!dataKey || dataKey.threadId !== Number(message.thread_id)) {
+    throw new Error(`DATA_KEY_UNAVAILABLE: ${message.key_id}`);
+  }
+
+  return decryptWithKey(message.body, dataKey.key);
+}
+
+/**
+ * Preload the keys for a batch of messages and return a function that decrypts one of them,
+ * substituting a placeholder for bodies that cannot be decrypted.
+ */
+async function createBodyDecryptor(messages, { context = 'message' } = {}) {
+  getMasterKeys();
+  const dataKeys = await loadDataKeys(messages.map((message) => message.key_id));
+
+  return (message) => {
+    try {
+      return decryptMessageBody(message, dataKeys);
+    } catch (err) {
+      console.warn(`Decrypt failed for ${context} body, using placeholder`);
+      return MESSAGE_DECRYPTION_PLACEHOLDER;
+    }
+  };
+}
+
+function buildStaleMessageWhere(currentVersion) {
+  return {
+    body: { [Op.ne]: '' },
+    [Op.or]: [
+      { key_id: null },
+      {
+        key_id: {
+          [Op.in]: sequelize.literal(
+            `(SELECT id FROM thread_data_keys WHERE master_key_version <> ${Number(currentVersion)})`
+          ),
+        },
+      },
+    ],
+  };
+}
+
+// Tables whose rows hold bodies encrypted with thread data keys
+const ENCRYPTED_BODY_SOURCES = [
+  {
+    model: () => Message,
+    findOptions: { attributes: ['id', 'thread_id', 'body', 'key_id'] },
+    threadIdOf: (row) => row.thread_id,
+  },
+  {
+    model: () => MessageRevision,
+    findOptions: {
+      attributes: ['id', 'body', 'key_id'],
+      include: [{ model: Message, as: 'message', attributes: ['thread_id'] }],
+    },
+    threadIdOf: (row) => row.message?.thread_id,
+  },
+];
+
+async function countStaleMessages() {
+  const where = buildStaleMessageWhere(getCurrentMasterKeyVersion());
+  const counts = await Promise.all(ENCRYPTED_BODY_SOURCES.map((source) => source.model().count({ where })));
+  return counts.reduce((total, count) => total + count, 0);
+}
+
+async function reencryptSource(source, { currentVersion, batchSize, isOutOfTime, summary }) {
+  const model = source.model();
+  let cursor = 0;
+
+  while (!isOutOfTime()) {
+    const rows = await model.findAll({
+      ...source.findOptions,
+      where: { ...buildStaleMessageWhere(currentVersion), id: { [Op.gt]: cursor } },
+      order: [['id', 'ASC']],
+      limit: batchSize,
+    });
+
+    if (rows.length === 0) {
+      return true;
+    }
+
+    const dataKeys = await loadDataKeys(rows.map((row) => row.key_id));
+
+    for (const row of rows) {
+      cursor = row.id;
+      summary.scanned += 1;
+
+      const threadId = source.threadIdOf(row);
+      let plaintext;
+      try {
+        plaintext = decryptMessageBody({ thread_id: threadId, body: row.body, key_id: row.key_id }, dataKeys);
+      } catch (error) {
+        summary.failed += 1;
+        console.warn(`${model.name} ${row.id} could not be decrypted for re-encryption: ${error.message}`);
+        continue;
+      }
+
+      const next = await encryptMessageBody(threadId, plaintext);
+      const [updated] = await model.update(next, {
+        where: { id: row.id, body: row.body },
+      });
+
+      if (updated > 0) {
+        summary.reencrypted += 1;
+      } else {
+        summary.skipped += 1;
+      }
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Move message bodies (and edit history) that are legacy or under an older master key version
+ * to the current one. Safe to run while the app serves traffic: every row stays readable before
+ * and after its update, and a row changed since it was read is left for the next run. Progress
+ * lives in the rows themselves, so an interrupted run resumes where it stopped. Data keys of
+ * older versions are deleted once nothing references them.
+ */
+async function reencryptStaleMessages({ batchSize = DEFAULT_REENCRYPT_BATCH_SIZE, maxDurationMs = null } = {}) {
+  const currentVersion = getCurrentMasterKeyVersion();
+  const startedAt = Date.now();
+  const isOutOfTime = () => Boolean(maxDurationMs) && Date.now() - startedAt >= maxDurationMs;
+  const summary = {
+    masterKeyVersion: currentVersion,
+    scanned: 0,
+    reencrypted: 0,
+    skipped: 0,
+    failed: 0,
+    retiredKeys: 0,
+    remaining: 0,
+    completed: false,
+  };
+
+  let completed = true;
+  for (const source of ENCRYPTED_BODY_SOURCES) {
+    const sourceCompleted = await reencryptSource(source, { currentVersion, batchSize, isOutOfTime, summary });
+    completed = completed && sourceCompleted;
+  }
+  summary.completed = completed;
+
+  summary.retiredKeys = await ThreadDataKey.destroy({
+    where: {
+      master_key_version: { [Op.ne]: currentVersion },
+      [Op.and]: [
+        { id: { [Op.notIn]: sequelize.literal('(SELECT DISTINCT key_id FROM messages WHERE key_id IS NOT NULL)') } },
+        { id: { [Op.notIn]: sequelize.literal('(SELECT DISTINCT key_id FROM message_revisions WHERE key_id IS NOT NULL)') } },
+      ],
+    },
+  });
+  summary.remaining = await countStaleMessages();
+
+  return summary;
+}
+
+module.exports = {
+  MESSAGE_DECRYPTION_PLACEHOLDER,
+  getMasterKeys,
+  getCurrentMasterKeyVersion,
+  getActiveDataKey,
+  encryptMessageBody,
+  loadDataKeys,
+  decryptMessageBody,
+  createBodyDecryptor,
+  countStaleMessages,
+  reencryptStaleMessages,
+};
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const { Op, QueryTypes } = require('sequelize');
+const { Message, MessageSearchToken, sequelize } = require('../database/models');
+const messageKeyService = require('./messageKeyService');
+
+/**
+ * Blind index for searching encrypted message bodies. Each word of a body, plus its prefixes
+ * from MIN_PREFIX_LENGTH characters, is stored only as a keyed HMAC, so the database can match
+ * query terms without holding plaintext. Changing MESSAGE_SEARCH_KEY (default: MSG_SECRET)
+ * invalidates the index; clear messages.search_indexed_at to rebuild it.
+ */
+
+const MIN_WORD_LENGTH = 2;
+const MIN_PREFIX_LENGTH = 3;
+const MAX_TOKEN_LENGTH = 20;
+const MAX_TOKENS_PER_MESSAGE = 500;
+const MAX_QUERY_TERMS = 8;
+const DEFAULT_INDEX_BATCH_SIZE = 200;
+
+let searchKeyCache = null;
+
+function getSearchKey() {
+  const secret = process.env.MESSAGE_SEARCH_KEY || process.env.MSG_SECRET;
+
+  if (!secret) {
+    throw new Error('MSG_SECRET_MISSING');
+  }
+
+  if (!searchKeyCache || searchKeyCache.secret !== secret) {
+    searchKeyCache = {
+      secret,
+      key: Buffer.from(crypto.hkdfSync('sha256', secret, '', 'trident-message-search', 32)),
+    };
+  }
+
+  return searchKeyCache.key;
+}
+
+// Lowercase words with accents stripped, so "Résumé" and "resume" match
+function extractWords(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function tokenizeForIndex(text) {
+  const tokens = new Set();
+
+  for (const word of extractWords(text)) {
+    if (word.length < MIN_WORD_LENGTH) {
+      continue;
+    }
+
+    const capped = word.slice(0, MAX_TOKEN_LENGTH);
+    tokens.add(capped);
+
+    for (let length = MIN_PREFIX_LENGTH; length < capped.length; length += 1) {
+      tokens.add(capped.slice(0, length));
+    }
+
+    if (tokens.size >= MAX_TOKENS_PER_MESSAGE) {
+      break;
+    }
+  }
+
+  return Array.from(tokens).slice(0, MAX_TOKENS_PER_MESSAGE);
+}
+
+function tokenizeQuery(query) {
+  const terms = extractWords(query)
+    .filter((word) => word.length >= MIN_WORD_LENGTH)
+    .map((word) => word.slice(0, MAX_TOKEN_LENGTH));
+
+  return Array.from(new Set(terms)).slice(0, MAX_QUERY_TERMS);
+}
+
+function hashToken(token) {
+  return crypto.createHmac('sha256', getSearchKey()).update(token).digest('hex').slice(0, 32);
+}
+
+/**
+ * Replace a message's search tokens with those of its current plaintext
+ */
+async function indexMessage(message, plaintext, { transaction } = {}) {
+  await MessageSearchToken.destroy({ where: { message_id: message.id }, transaction });
+
+  const hashes = Array.from(new Set(tokenizeForIndex(plaintext).map(hashToken)));
+
+  if (hashes.length > 0) {
+    await MessageSearchToken.bulkCreate(
+      hashes.map((tokenHash) => ({
+        message_id: message.id,
+        thread_id: message.thread_id,
+        token_hash: tokenHash,
+      })),
+      { transaction, ignoreDuplicates: true }
+    );
+  }
+}
+
+async function removeMessageFromIndex(messageId, { transaction } = {}) {
+  await MessageSearchToken.destroy({ where: { message_id: messageId }, transaction });
+}
+
+/**
+ * Ids of non-deleted messages, newest first, in threads the user belongs to whose bodies
+ * contain every query term (as a word or word prefix).
+ */
+async function findMatchingMessageIds({ userId, query, threadId = null, before = null, limit }) {
+  const terms = tokenizeQuery(query);
+
+  if (terms.length === 0) {
+    throw new Error('INVALID_SEARCH_QUERY');
+  }
+
+  const rows = await sequelize.query(
+    `
+      SELECT t.message_id
+      FROM message_search_tokens t
+      JOIN thread_participants tp ON tp.thread_id = t.thread_id AND tp.user_id = :userId
+      JOIN messages m ON m.id = t.message_id AND m.deleted_at IS NULL
+      WHERE t.token_hash IN (:hashes)
+        ${threadId ? 'AND t.thread_id = :threadId' : ''}
+        ${before ? 'AND t.message_id < :before' : ''}
+      GROUP BY t.message_id
+      HAVING COUNT(DISTINCT t.token_hash) = :termCount
+      ORDER BY t.message_id DESC
+      LIMIT :limit
+    `,
+    {
+      replacements: {
+        userId,
+        hashes: terms.map(hashToken),
+        threadId,
+        before,
+        termCount: terms.length,
+        limit,
+      },
+      type: QueryTypes.SELECT,
+    }
+  );
+
+  return { ids: rows.map((row) => Number(row.message_id)), terms };
+}
+
+/**
+ * Tokenize messages written before the index existed (or whose indexing was interrupted).
+ * A row edited or indexed by someone else since it was read is skipped.
+ */
+async function indexPendingMessages({ batchSize = DEFAULT_INDEX_BATCH_SIZE, maxDurationMs = null } = {}) {
+  const startedAt = Date.now();
+  const pendingWhere = { search_indexed_at: null, deleted_at: null };
+  const summary = { scanned: 0, indexed: 0, skipped: 0, failed: 0, remaining: 0, completed: false };
+  let cursor = 0;
+
+  while (!maxDurationMs || Date.now() - startedAt < maxDurationMs) {
+    const rows = await Message.findAll({
+      where: { ...pendingWhere, id: { [Op.gt]: cursor } },
+      attributes: ['id', 'thread_id', 'body', 'key_id'],
+      order: [['id', 'ASC']],
+      limit: batchSize,
+    });
+
+    if (rows.length === 0) {
+      summary.completed = true;
+      break;
+    }
+
+    const dataKeys = await messageKeyService.loadDataKeys(rows.map((row) => row.key_id));
+
+    for (const row of rows) {
+      cursor = row.id;
+      summary.scanned += 1;
+
+      let plaintext;
+      try {
+        plaintext = messageKeyService.decryptMessageBody(row, dataKeys);
+      } catch (error) {
+        summary.failed += 1;
+        console.warn(`Message ${row.id} could not be decrypted for search indexing: ${error.message}`);
+        continue;
+      }
+
+      const indexed = await sequelize.transaction(async (transaction) => {
+        const [claimed] = await Message.update(
+          { search_indexed_at: new Date() },
+          { where: { ...pendingWhere, id: row.id, body: row.body }, transaction }
+        );
+
+        if (claimed > 0) {
+          await indexMessage(row, plaintext, { transaction });
+        }
+        return claimed > 0;
+      });
+
+      if (indexed) {
+        summary.indexed += 1;
+      } else {
+        summary.skipped += 1;
+      }
+    }
+  }
+
+  summary.remaining = await Message.count({ where: pendingWhere });
+  return summary;
+}
+
+module.exports = {
+  extractWords,
+  tokenizeForIndex,
+  tokenizeQuery,
+  hashToken,
+  indexMessage,
+  removeMessageFromIndex,
+  findMatchingMessageIds,
+  indexPendingMessages,
+};
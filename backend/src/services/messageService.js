@@ -5,31 +5,35 @@ const {
   ThreadParticipant,
   Message,
   MessageAttachment,
+  MessageRevision,
+  MessageReaction,
   User,
 } = require('../database/models');
 const notificationService = require('./notificationService');
+const realtimeService = require('./realtimeService');
 const { normalizeMessageAttachments } = require('./messageUploadService');
-const { encryptMessage, decryptMessage } = require('../utils/encryption');
+const messageKeyService = require('./messageKeyService');
+const messageSearchService = require('./messageSearchService');
 
-const MESSAGE_DECRYPTION_PLACEHOLDER = '[Message could not be decrypted]';
 const MAX_MESSAGE_BODY_LENGTH = 10000;
-
-function safeDecrypt(body) {
-  if (!process.env.MSG_SECRET) {
-    throw new Error('MSG_SECRET_MISSING');
-  }
-
-  if (typeof body !== 'string' || body.trim() === '') {
-    return '';
-  }
-
-  try {
-    return decryptMessage(body, process.env.MSG_SECRET);
-  } catch (err) {
-    console.warn('Decrypt failed for message body, using placeholder');
-    return MESSAGE_DECRYPTION_PLACEHOLDER;
-  }
-}
+const MESSAGE_REMOVED_TOMBSTONE = '[Message removed]';
+const DEFAULT_EDIT_WINDOW_MINUTES = 15;
+const MAX_REACTION_LENGTH = 32;
+// One pictograph or keycap with optional VS16 and skin tone, chained by ZWJ; plus flags (RI pairs and tag sequences).
+// Spelled out with the u flag because \p{RGI_Emoji} needs the v flag, which Node 18 cannot parse.
+const EMOJI_ELEMENT = '(?:\\p{Extended_Pictographic}\\uFE0F?\\p{Emoji_Modifier}?|[0-9#*]\\uFE0F?\\u20E3)';
+const SINGLE_EMOJI_PATTERN = new RegExp(
+  `^(?:\\p{Regional_Indicator}{2}|\\u{1F3F4}[\\u{E0061}-\\u{E007A}]+\\u{E007F}|${EMOJI_ELEMENT}(?:\\u200D${EMOJI_ELEMENT})*)$`,
+  'u'
+);
+const REPLY_PREVIEW_LENGTH = 200;
+const SEARCH_SNIPPET_RADIUS = 60;
+// "@[Display Name]" or "@handle" (email local part or display name without spaces)
+const MENTION_PATTERN = /(?<![\p{L}\p{N}._-])@(?:\[([^\]\n]{1,100})\]|([\p{L}\p{N}._-]{2,64}))/gu;
+const THREAD_LIST_FILTERS = ['active', 'archived', 'muted', 'all'];
+const REALTIME_TOPIC = 'messages';
+// Leaves room for the pub/sub envelope (recipient ids, event name, timestamps).
+const REALTIME_ENVELOPE_BYTES = 1024;
 
 function getAvailableUserColumns() {
   try {
@@ -85,7 +89,7 @@ async function isUserInThread(threadId, userId) {
   return !!participant;
 }
 
-async function getOrCreateDirectThread({ userAId, userBId, isSensitive = false }) {
+async function findOrCreateDirectThread({ userAId, userBId, isSensitive = false }) {
   const normalizedUserAId = Number(userAId);
   const normalizedUserBId = Number(userBId);
 
@@ -139,8 +143,293 @@ async function getOrCreateDirectThread({ userAId, userBId, isSensitive = false }
       );
     }
 
-    return thread;
+    return { thread, created };
+  });
+}
+
+async function getOrCreateDirectThread({ userAId, userBId, isSensitive = false }) {
+  const { thread } = await findOrCreateDirectThread({ userAId, userBId, isSensitive });
+  return thread;
+}
+
+function serializeThread(thread, displayName) {
+  return {
+    id: thread.id,
+    thread_type: thread.thread_type,
+    name: thread.name,
+    display_name: displayName,
+    project_id: thread.project_id,
+    nonprofit_id: thread.nonprofit_id,
+    is_sensitive: thread.is_sensitive,
+    is_project_channel: Boolean(thread.is_project_channel),
+    last_message_at: thread.last_message_at,
+  };
+}
+
+async function publishThreadEvent(userIds, event, data) {
+  return realtimeService.publishToUsers({
+    topic: REALTIME_TOPIC,
+    userIds,
+    event,
+    data,
+  });
+}
+
+function buildMessageEvent(message, sender) {
+  const data = {
+    thread_id: message.thread_id,
+    message: {
+      ...message,
+      sender,
+    },
+  };
+
+  const maxBytes = realtimeService.getMaxPayloadBytes() - REALTIME_ENVELOPE_BYTES;
+  if (Buffer.byteLength(JSON.stringify(data), 'utf8') <= maxBytes) {
+    return data;
+  }
+
+  // Too large to push inline; clients fetch the body through the messages endpoint.
+  return {
+    thread_id: message.thread_id,
+    message: {
+      ...message,
+      body: null,
+      body_omitted: true,
+      sender,
+    },
+  };
+}
+
+function isThreadMuted(membership, now = new Date()) {
+  return Boolean(membership.muted_at) && (!membership.muted_until || new Date(membership.muted_until) > now);
+}
+
+function serializeThreadSettings(membership) {
+  const muted = isThreadMuted(membership);
+
+  return {
+    is_muted: muted,
+    muted_until: muted ? membership.muted_until || null : null,
+    is_archived: Boolean(membership.archived_at),
+    archived_at: membership.archived_at || null,
+    is_pinned: Boolean(membership.pinned_at),
+    pinned_at: membership.pinned_at || null,
+  };
+}
+
+function getEditWindowMs() {
+  const minutes = Number.parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES, 10);
+  return (Number.isInteger(minutes) && minutes >= 0 ? minutes : DEFAULT_EDIT_WINDOW_MINUTES) * 60 * 1000;
+}
+
+// One reaction is a single emoji (including ZWJ sequences and skin tones), not free text
+function normalizeReaction(emoji) {
+  const value = typeof emoji === 'string' ? emoji.trim() : '';
+
+  if (!value || value.length > MAX_REACTION_LENGTH || !SINGLE_EMOJI_PATTERN.test(value)) {
+    throw new Error('INVALID_REACTION');
+  }
+
+  return value;
+}
+
+/**
+ * Reactions per message, grouped by emoji in the order each emoji was first used
+ * @returns {Promise<Map<number, Array<{emoji: string, count: number, user_ids: number[]}>>>}
+ */
+async function getReactionSummaries(messageIds) {
+  const summaries = new Map();
+
+  if (messageIds.length === 0) {
+    return summaries;
+  }
+
+  const rows = await MessageReaction.findAll({
+    where: { message_id: messageIds },
+    attributes: ['message_id', 'user_id', 'emoji', 'created_at'],
+    order: [['created_at', 'ASC'], ['id', 'ASC']],
+  });
+
+  for (const row of rows) {
+    const messageId = Number(row.message_id);
+    const groups = summaries.get(messageId) || [];
+    let group = groups.find((entry) => entry.emoji === row.emoji);
+
+    if (!group) {
+      group = { emoji: row.emoji, count: 0, user_ids: [] };
+      groups.push(group);
+    }
+
+    group.count += 1;
+    group.user_ids.push(Number(row.user_id));
+    summaries.set(messageId, groups);
+  }
+
+  return summaries;
+}
+
+function withReactedFlag(reactions, userId) {
+  return (reactions || []).map((reaction) => ({
+    ...reaction,
+    reacted: reaction.user_ids.includes(Number(userId)),
+  }));
+}
+
+// What thread members see for a message; deleted messages become tombstones
+function serializeMemberMessage(message, {
+  body,
+  reactions = [],
+  sender = undefined,
+  attachments = [],
+  replyTo = null,
+}) {
+  const serialized = {
+    id: message.id,
+    thread_id: message.thread_id,
+    sender_id: message.sender_id,
+    body,
+    parent_message_id: message.parent_message_id || null,
+    reply_to: replyTo,
+    system_event: message.system_event || null,
+    created_at: message.created_at,
+    edited_at: message.edited_at || null,
+    is_deleted: false,
+    ...(sender !== undefined ? { sender } : {}),
+    attachments,
+    reactions,
+  };
+
+  if (!message.deleted_at) {
+    return serialized;
+  }
+
+  return {
+    ...serialized,
+    body: MESSAGE_REMOVED_TOMBSTONE,
+    is_deleted: true,
+    deleted_at: message.deleted_at,
+    attachments: [],
+    reactions: [],
+  };
+}
+
+function getMentionHandles(user) {
+  const handles = new Set([getUserDisplayName(user).replace(/\s+/g, '').toLowerCase()]);
+
+  if (typeof user.email === 'string' && user.email.includes('@')) {
+    handles.add(user.email.split('@')[0].toLowerCase());
+  }
+
+  return handles;
+}
+
+/**
+ * Participants a message body mentions, as "@[Display Name]" or "@handle"
+ * @returns {number[]} user ids
+ */
+function findMentionedUserIds(body, users) {
+  const names = new Set();
+  const handles = new Set();
+
+  for (const match of String(body || '').matchAll(MENTION_PATTERN)) {
+    if (match[1]) {
+      names.add(match[1].trim().toLowerCase());
+    } else {
+      handles.add(match[2].replace(/[._-]+$/, '').toLowerCase());
+    }
+  }
+
+  if (names.size === 0 && handles.size === 0) {
+    return [];
+  }
+
+  return users
+    .filter((user) => (
+      names.has(getUserDisplayName(user).toLowerCase()) ||
+      Array.from(getMentionHandles(user)).some((handle) => handles.has(handle))
+    ))
+    .map((user) => Number(user.id));
+}
+
+function truncateText(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Short previews of the messages being replied to, which may be outside the current page
+ * @returns {Promise<Map<number, Object>>}
+ */
+async function getReplyPreviews(messages) {
+  const parentIds = Array.from(new Set(
+    messages
+      .map((message) => message.parent_message_id)
+      .filter((parentId) => parentId !== null && parentId !== undefined)
+      .map(Number)
+  ));
+
+  if (parentIds.length === 0) {
+    return new Map();
+  }
+
+  const parents = await Message.findAll({
+    where: { id: parentIds },
+    attributes: ['id', 'thread_id', 'sender_id', 'body', 'key_id', 'created_at', 'deleted_at'],
+  });
+  const decryptBody = await messageKeyService.createBodyDecryptor(parents.filter((parent) => !parent.deleted_at));
+
+  return new Map(parents.map((parent) => [Number(parent.id), {
+    id: parent.id,
+    sender_id: parent.sender_id,
+    body: parent.deleted_at ? MESSAGE_REMOVED_TOMBSTONE : truncateText(decryptBody(parent), REPLY_PREVIEW_LENGTH),
+    is_deleted: Boolean(parent.deleted_at),
+    created_at: parent.created_at,
+  }]));
+}
+
+function buildSearchSnippet(body, terms) {
+  const lowered = body.toLowerCase();
+  const positions = terms.map((term) => lowered.indexOf(term)).filter((position) => position >= 0);
+  const matchAt = positions.length > 0 ? Math.min(...positions) : 0;
+  const start = Math.max(0, matchAt - SEARCH_SNIPPET_RADIUS);
+  const end = Math.min(body.length, matchAt + SEARCH_SNIPPET_RADIUS * 2);
+
+  return `${start > 0 ? '…' : ''}${body.slice(start, end)}${end < body.length ? '…' : ''}`;
+}
+
+async function findMemberMessage({ threadId, messageId, userId }) {
+  const normalizedThreadId = Number(threadId);
+  const normalizedMessageId = Number(messageId);
+  const normalizedUserId = Number(userId);
+
+  if (!Number.isInteger(normalizedThreadId) || !Number.isInteger(normalizedMessageId) || !normalizedUserId) {
+    throw new Error('INVALID_INPUT');
+  }
+
+  const allowed = await isUserInThread(normalizedThreadId, normalizedUserId);
+
+  if (!allowed) {
+    throw new Error('NOT_THREAD_MEMBER');
+  }
+
+  const message = await Message.findOne({
+    where: { id: normalizedMessageId, thread_id: normalizedThreadId },
+  });
+
+  if (!message) {
+    throw new Error('MESSAGE_NOT_FOUND');
+  }
+
+  return { message, normalizedThreadId, normalizedUserId };
+}
+
+async function getParticipantIds(threadId) {
+  const participants = await ThreadParticipant.findAll({
+    where: { thread_id: threadId },
+    attributes: ['user_id'],
   });
+
+  return participants.map((participant) => Number(participant.user_id));
 }
 
 async function createDirectThread({ creatorId, otherUserId, isSensitive = false }) {
@@ -159,23 +448,27 @@ async function createDirectThread({ creatorId, otherUserId, isSensitive = false
     throw new Error('USER_NOT_FOUND');
   }
 
-  const thread = await getOrCreateDirectThread({
+  const { thread, created } = await findOrCreateDirectThread({
     userAId: normalizedCreatorId,
     userBId: normalizedOtherUserId,
     isSensitive,
   });
 
+  if (created) {
+    const creator = await User.findByPk(normalizedCreatorId, {
+      attributes: getSelectableUserAttributes(),
+    });
+
+    await publishThreadEvent([normalizedCreatorId], 'thread.created', {
+      thread: serializeThread(thread, getUserDisplayName(otherUser)),
+    });
+    await publishThreadEvent([normalizedOtherUserId], 'thread.created', {
+      thread: serializeThread(thread, getUserDisplayName(creator)),
+    });
+  }
+
   return {
-    thread: {
-      id: thread.id,
-      thread_type: thread.thread_type,
-      name: thread.name,
-      display_name: getUserDisplayName(otherUser),
-      project_id: thread.project_id,
-      nonprofit_id: thread.nonprofit_id,
-      is_sensitive: thread.is_sensitive,
-      last_message_at: thread.last_message_at,
-    },
+    thread: serializeThread(thread, getUserDisplayName(otherUser)),
   };
 }
 
@@ -211,7 +504,9 @@ async function createGroupThread({ creatorId, name, participantIds = [], isSensi
     throw new Error('USER_NOT_FOUND');
   }
 
-  return sequelize.transaction(async (transaction) => {
+  const allParticipantIds = [normalizedCreatorId, ...normalizedParticipantIds];
+
+  const result = await sequelize.transaction(async (transaction) => {
     const thread = await Thread.create(
       {
         thread_type: 'group',
@@ -224,8 +519,6 @@ async function createGroupThread({ creatorId, name, participantIds = [], isSensi
       { transaction }
     );
 
-    const allParticipantIds = [normalizedCreatorId, ...normalizedParticipantIds];
-
     await ThreadParticipant.bulkCreate(
       allParticipantIds.map((userId) => ({
         thread_id: thread.id,
@@ -238,34 +531,55 @@ async function createGroupThread({ creatorId, name, participantIds = [], isSensi
     );
 
     return {
-      thread: {
-        id: thread.id,
-        thread_type: thread.thread_type,
-        name: thread.name,
-        display_name: thread.name || `Group #${thread.id}`,
-        project_id: thread.project_id,
-        nonprofit_id: thread.nonprofit_id,
-        is_sensitive: thread.is_sensitive,
-        last_message_at: thread.last_message_at,
-      },
+      thread: serializeThread(thread, thread.name || `Group #${thread.id}`),
     };
   });
+
+  await publishThreadEvent(allParticipantIds, 'thread.created', result);
+
+  return result;
 }
 
-async function getUserThreads(userId) {
+/**
+ * Threads of a user, pinned first, then by latest activity
+ * @param {string} [options.filter] active (not archived, the default), archived, muted or all
+ */
+async function getUserThreads(userId, { filter = 'active' } = {}) {
   const normalizedUserId = Number(userId);
 
-  const memberships = await ThreadParticipant.findAll({
-    where: { user_id: normalizedUserId },
+  if (!THREAD_LIST_FILTERS.includes(filter)) {
+    throw new Error('INVALID_THREAD_FILTER');
+  }
+
+  const where = { user_id: normalizedUserId };
+
+  if (filter === 'active') {
+    where.archived_at = null;
+  } else if (filter === 'archived') {
+    where.archived_at = { [Op.ne]: null };
+  } else if (filter === 'muted') {
+    where.muted_at = { [Op.ne]: null };
+  }
+
+  const allMemberships = await ThreadParticipant.findAll({
+    where,
     include: [
       {
         model: Thread,
         as: 'thread',
       },
     ],
-    order: [[{ model: Thread, as: 'thread' }, 'last_message_at', 'DESC']],
+    order: [
+      ['pinned_at', 'DESC NULLS LAST'],
+      [{ model: Thread, as: 'thread' }, 'last_message_at', 'DESC'],
+    ],
   });
 
+  // Expired mutes are only cleared lazily, so muted_until is checked here
+  const memberships = filter === 'muted'
+    ? allMemberships.filter((membership) => isThreadMuted(membership))
+    : allMemberships;
+
   if (memberships.length === 0) {
     return [];
   }
@@ -289,13 +603,16 @@ async function getUserThreads(userId) {
   });
 
   const lastMessageMap = new Map();
+  const decryptBody = await messageKeyService.createBodyDecryptor(lastMessages);
 
   for (const msg of lastMessages) {
     lastMessageMap.set(msg.thread_id, {
       id: msg.id,
       sender_id: msg.sender_id,
-      body: safeDecrypt(msg.body),
+      body: msg.deleted_at ? MESSAGE_REMOVED_TOMBSTONE : decryptBody(msg),
       created_at: msg.created_at,
+      is_deleted: Boolean(msg.deleted_at),
+      system_event: msg.system_event || null,
     });
   }
 
@@ -365,15 +682,101 @@ async function getUserThreads(userId) {
       project_id: thread.project_id,
       nonprofit_id: thread.nonprofit_id,
       is_sensitive: thread.is_sensitive,
+      is_project_channel: Boolean(thread.is_project_channel),
       unread_count: membership.unread_count,
       last_read_message_id: membership.last_read_message_id,
       joined_at: membership.joined_at,
       last_message_at: thread.last_message_at,
       last_message: lastMessageMap.get(thread.id) || null,
+      ...serializeThreadSettings(membership),
     };
   });
 }
 
+/**
+ * Change the caller's own mute, archive and pin settings for a thread. Omitted settings are
+ * left as they are; giving mutedUntil without muted mutes until that time.
+ */
+async function updateThreadSettings({ threadId, userId, muted, mutedUntil, archived, pinned }) {
+  const normalizedThreadId = Number(threadId);
+  const normalizedUserId = Number(userId);
+
+  if (!normalizedThreadId || !normalizedUserId) {
+    throw new Error('INVALID_INPUT');
+  }
+
+  const changes = {};
+  const now = new Date();
+  const muting = muted === undefined && mutedUntil !== undefined && mutedUntil !== null ? true : muted;
+
+  for (const value of [muting, archived, pinned]) {
+    if (value !== undefined && typeof value !== 'boolean') {
+      throw new Error('INVALID_INPUT');
+    }
+  }
+
+  if (muting === true) {
+    const until = mutedUntil === undefined || mutedUntil === null ? null : new Date(mutedUntil);
+
+    if (until && (Number.isNaN(until.getTime()) || until <= now)) {
+      throw new Error('INVALID_MUTE_UNTIL');
+    }
+
+    changes.muted_at = now;
+    changes.muted_until = until;
+  } else if (muting === false) {
+    changes.muted_at = null;
+    changes.muted_until = null;
+  }
+
+  if (Object.keys(changes).length === 0 && archived === undefined && pinned === undefined) {
+    throw new Error('INVALID_INPUT');
+  }
+
+  const thread = await Thread.findByPk(normalizedThreadId, {
+    attributes: ['id'],
+  });
+
+  if (!thread) {
+    throw new Error('THREAD_NOT_FOUND');
+  }
+
+  const membership = await ThreadParticipant.findOne({
+    where: {
+      thread_id: normalizedThreadId,
+      user_id: normalizedUserId,
+    },
+  });
+
+  if (!membership) {
+    throw new Error('NOT_THREAD_MEMBER');
+  }
+
+  // Keep the original timestamps when a setting is re-applied
+  if (archived !== undefined) {
+    changes.archived_at = archived ? membership.archived_at || now : null;
+  }
+
+  if (pinned !== undefined) {
+    changes.pinned_at = pinned ? membership.pinned_at || now : null;
+  }
+
+  await membership.update(changes);
+
+  const settings = serializeThreadSettings(membership);
+
+  // Keeps the caller's other open sessions in sync
+  await publishThreadEvent([normalizedUserId], 'thread.settings', {
+    thread_id: normalizedThreadId,
+    ...settings,
+  });
+
+  return {
+    thread_id: normalizedThreadId,
+    ...settings,
+  };
+}
+
 async function getThreadMessages({ threadId, userId, limit = 50, before = null }) {
   const normalizedThreadId = Number(threadId);
   const normalizedUserId = Number(userId);
@@ -425,15 +828,18 @@ async function getThreadMessages({ threadId, userId, limit = 50, before = null }
     limit: safeLimit,
   });
 
+  const visibleMessages = messages.filter((message) => !message.deleted_at);
+  const decryptBody = await messageKeyService.createBodyDecryptor(visibleMessages);
+  const reactionSummaries = await getReactionSummaries(visibleMessages.map((message) => message.id));
+  const replyPreviews = await getReplyPreviews(visibleMessages);
+
   const normalizedMessages = messages
     .slice()
     .reverse()
-    .map((message) => ({
-      id: message.id,
-      thread_id: message.thread_id,
-      sender_id: message.sender_id,
-      body: safeDecrypt(message.body),
-      created_at: message.created_at,
+    .map((message) => serializeMemberMessage(message, {
+      body: message.deleted_at ? null : decryptBody(message),
+      reactions: withReactedFlag(reactionSummaries.get(Number(message.id)), normalizedUserId),
+      replyTo: replyPreviews.get(Number(message.parent_message_id)) || null,
       sender: message.sender
         ? {
             id: message.sender.id,
@@ -456,7 +862,7 @@ async function getThreadMessages({ threadId, userId, limit = 50, before = null }
   };
 }
 
-async function sendMessage({ threadId, senderId, body, attachments = [] }) {
+async function sendMessage({ threadId, senderId, body, attachments = [], parentMessageId = null }) {
   const normalizedThreadId = Number(threadId);
   const normalizedSenderId = Number(senderId);
   const safeAttachments = Array.isArray(attachments) ? attachments : [];
@@ -475,9 +881,8 @@ async function sendMessage({ threadId, senderId, body, attachments = [] }) {
     throw new Error('MESSAGE_BODY_TOO_LONG');
   }
 
-  if (!process.env.MSG_SECRET) {
-    throw new Error('MSG_SECRET_MISSING');
-  }
+  // Throws MSG_SECRET_MISSING when no master key is configured
+  messageKeyService.getMasterKeys();
 
   const thread = await Thread.findByPk(normalizedThreadId);
 
@@ -491,6 +896,22 @@ async function sendMessage({ threadId, senderId, body, attachments = [] }) {
     throw new Error('NOT_THREAD_MEMBER');
   }
 
+  let normalizedParentId = null;
+
+  if (parentMessageId !== null && parentMessageId !== undefined && parentMessageId !== '') {
+    normalizedParentId = Number(parentMessageId);
+    const parent = Number.isInteger(normalizedParentId)
+      ? await Message.findOne({
+          where: { id: normalizedParentId, thread_id: normalizedThreadId },
+          attributes: ['id'],
+        })
+      : null;
+
+    if (!parent) {
+      throw new Error('INVALID_PARENT_MESSAGE');
+    }
+  }
+
   const recipientParticipants = await ThreadParticipant.findAll({
     where: {
       thread_id: normalizedThreadId,
@@ -513,20 +934,31 @@ async function sendMessage({ threadId, senderId, body, attachments = [] }) {
 
   const senderDisplayName = getUserDisplayName(sender);
 
-  const encryptedBody = trimmedBody
-    ? encryptMessage(trimmedBody, process.env.MSG_SECRET)
-    : '';
+  const mentionCandidates = recipientIds.length > 0 && trimmedBody.includes('@')
+    ? await User.findAll({
+        where: { id: recipientIds },
+        attributes: getSelectableUserAttributes(),
+      })
+    : [];
+  const mentionedIds = findMentionedUserIds(trimmedBody, mentionCandidates);
+
+  const encrypted = await messageKeyService.encryptMessageBody(normalizedThreadId, trimmedBody);
 
   const result = await sequelize.transaction(async (transaction) => {
     const createdMessage = await Message.create(
       {
         thread_id: normalizedThreadId,
         sender_id: normalizedSenderId,
-        body: encryptedBody,
+        body: encrypted.body,
+        key_id: encrypted.key_id,
+        parent_message_id: normalizedParentId,
+        search_indexed_at: new Date(),
       },
       { transaction }
     );
 
+    await messageSearchService.indexMessage(createdMessage, trimmedBody, { transaction });
+
     await Thread.update(
       { last_message_at: createdMessage.created_at },
       {
@@ -588,6 +1020,8 @@ async function sendMessage({ threadId, senderId, body, attachments = [] }) {
         thread_id: createdMessage.thread_id,
         sender_id: createdMessage.sender_id,
         body: trimmedBody,
+        parent_message_id: normalizedParentId,
+        mentions: mentionedIds,
         created_at: createdMessage.created_at,
         attachments: createdAttachments.map((file) => ({
           id: file.id,
@@ -600,27 +1034,366 @@ async function sendMessage({ threadId, senderId, body, attachments = [] }) {
     };
   });
 
-  if (recipientIds.length > 0) {
-    await notificationService.createBulkNotifications(recipientIds, {
+  await publishThreadEvent(
+    [normalizedSenderId, ...recipientIds],
+    'message.created',
+    buildMessageEvent(result.message, {
+      id: normalizedSenderId,
+      name: senderDisplayName,
+    })
+  );
+
+  const notificationMetadata = {
+    thread_id: normalizedThreadId,
+    message_id: result.message.id,
+    sender_id: normalizedSenderId,
+    sender_name: senderDisplayName,
+    thread_type: thread.thread_type,
+    thread_name: thread.name || null,
+    project_id: thread.project_id || null,
+    has_attachments: safeAttachments.length > 0,
+  };
+
+  // Mentioned participants get a mention instead of the regular message notification
+  const plainRecipientIds = recipientIds.filter((recipientId) => !mentionedIds.includes(recipientId));
+
+  if (plainRecipientIds.length > 0) {
+    await notificationService.createBulkNotifications(plainRecipientIds, {
       type: 'message_received',
       title: 'New Message',
       message: `${senderDisplayName} sent you a message`,
       link: `/messages?thread=${normalizedThreadId}`,
-      metadata: {
-        thread_id: normalizedThreadId,
-        sender_id: normalizedSenderId,
-        sender_name: senderDisplayName,
-        thread_type: thread.thread_type,
-        thread_name: thread.name || null,
-        project_id: thread.project_id || null,
-        has_attachments: safeAttachments.length > 0,
-      },
+      metadata: notificationMetadata,
+    });
+  }
+
+  if (mentionedIds.length > 0) {
+    await notificationService.createBulkNotifications(mentionedIds, {
+      type: 'message_mention',
+      title: 'You were mentioned',
+      message: `${senderDisplayName} mentioned you${thread.name ? ` in ${thread.name}` : ''}`,
+      link: `/messages?thread=${normalizedThreadId}&message=${result.message.id}`,
+      metadata: notificationMetadata,
     });
   }
 
   return result;
 }
 
+/**
+ * Replace the body of the caller's own message within the edit window
+ * (MESSAGE_EDIT_WINDOW_MINUTES, default 15). The replaced body is kept, still encrypted,
+ * in message_revisions for admin chat audits.
+ */
+async function editMessage({ threadId, messageId, userId, body }) {
+  const trimmedBody = typeof body === 'string' ? body.trim() : '';
+
+  if (!trimmedBody) {
+    throw new Error('MESSAGE_BODY_REQUIRED');
+  }
+
+  if (trimmedBody.length > MAX_MESSAGE_BODY_LENGTH) {
+    throw new Error('MESSAGE_BODY_TOO_LONG');
+  }
+
+  // Throws MSG_SECRET_MISSING when no master key is configured
+  messageKeyService.getMasterKeys();
+
+  const { message, normalizedThreadId, normalizedUserId } = await findMemberMessage({ threadId, messageId, userId });
+
+  // System messages carry the member they are about as sender, but nobody may change them
+  if (message.system_event || Number(message.sender_id) !== normalizedUserId) {
+    throw new Error('NOT_MESSAGE_SENDER');
+  }
+
+  // Encrypt before the transaction: creating the thread's data key must not run inside one
+  const encrypted = await messageKeyService.encryptMessageBody(normalizedThreadId, trimmedBody);
+
+  const updated = await sequelize.transaction(async (transaction) => {
+    const locked = await Message.findOne({
+      where: { id: message.id },
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+
+    if (!locked || locked.deleted_at) {
+      throw new Error('MESSAGE_DELETED');
+    }
+
+    if (Date.now() - new Date(locked.created_at).getTime() > getEditWindowMs()) {
+      throw new Error('EDIT_WINDOW_EXPIRED');
+    }
+
+    const previousRevisions = await MessageRevision.count({
+      where: { message_id: locked.id },
+      transaction,
+    });
+
+    await MessageRevision.create(
+      {
+        message_id: locked.id,
+        revision_number: previousRevisions + 1,
+        body: locked.body,
+        key_id: locked.key_id,
+        edited_by: normalizedUserId,
+      },
+      { transaction }
+    );
+
+    const edited = await locked.update(
+      {
+        body: encrypted.body,
+        key_id: encrypted.key_id,
+        edited_at: new Date(),
+        search_indexed_at: new Date(),
+      },
+      { transaction }
+    );
+
+    await messageSearchService.indexMessage(edited, trimmedBody, { transaction });
+
+    return edited;
+  });
+
+  const result = {
+    message: serializeMemberMessage(updated, { body: trimmedBody }),
+  };
+
+  await publishThreadEvent(
+    await getParticipantIds(normalizedThreadId),
+    'message.updated',
+    buildMessageEvent(
+      {
+        id: result.message.id,
+        thread_id: result.message.thread_id,
+        body: result.message.body,
+        edited_at: result.message.edited_at,
+      },
+      { id: normalizedUserId }
+    )
+  );
+
+  return result;
+}
+
+/**
+ * Soft-delete the caller's own message. Members see a tombstone; the encrypted body and edit
+ * history stay for admin chat audits.
+ */
+async function deleteMessage({ threadId, messageId, userId }) {
+  const { message, normalizedThreadId, normalizedUserId } = await findMemberMessage({ threadId, messageId, userId });
+
+  // System messages carry the member they are about as sender, but nobody may change them
+  if (message.system_event || Number(message.sender_id) !== normalizedUserId) {
+    throw new Error('NOT_MESSAGE_SENDER');
+  }
+
+  if (!message.deleted_at) {
+    await message.update({
+      deleted_at: new Date(),
+      deleted_by: normalizedUserId,
+    });
+    await messageSearchService.removeMessageFromIndex(message.id);
+
+    await publishThreadEvent(await getParticipantIds(normalizedThreadId), 'message.deleted', {
+      thread_id: normalizedThreadId,
+      message_id: message.id,
+      deleted_at: message.deleted_at,
+    });
+  }
+
+  return {
+    message: serializeMemberMessage(message, { body: null }),
+  };
+}
+
+async function publishReactionSummary({ threadId, messageId, userId }) {
+  const summaries = await getReactionSummaries([messageId]);
+  const reactions = summaries.get(Number(messageId)) || [];
+
+  await publishThreadEvent(await getParticipantIds(threadId), 'message.reactions', {
+    thread_id: threadId,
+    message_id: messageId,
+    reactions,
+  });
+
+  return {
+    message_id: messageId,
+    reactions: withReactedFlag(reactions, userId),
+  };
+}
+
+async function addReaction({ threadId, messageId, userId, emoji }) {
+  const normalizedEmoji = normalizeReaction(emoji);
+  const { message, normalizedThreadId, normalizedUserId } = await findMemberMessage({ threadId, messageId, userId });
+
+  if (message.deleted_at) {
+    throw new Error('MESSAGE_DELETED');
+  }
+
+  await MessageReaction.findOrCreate({
+    where: {
+      message_id: message.id,
+      user_id: normalizedUserId,
+      emoji: normalizedEmoji,
+    },
+  });
+
+  return publishReactionSummary({
+    threadId: normalizedThreadId,
+    messageId: message.id,
+    userId: normalizedUserId,
+  });
+}
+
+async function removeReaction({ threadId, messageId, userId, emoji }) {
+  const normalizedEmoji = normalizeReaction(emoji);
+  const { message, normalizedThreadId, normalizedUserId } = await findMemberMessage({ threadId, messageId, userId });
+
+  await MessageReaction.destroy({
+    where: {
+      message_id: message.id,
+      user_id: normalizedUserId,
+      emoji: normalizedEmoji,
+    },
+  });
+
+  return publishReactionSummary({
+    threadId: normalizedThreadId,
+    messageId: message.id,
+    userId: normalizedUserId,
+  });
+}
+
+/**
+ * Search the caller's threads. Bodies are encrypted, so matching runs against the blind
+ * index and only the matched messages are decrypted.
+ */
+async function searchMessages({ userId, query, threadId = null, limit = 20, before = null }) {
+  const normalizedUserId = Number(userId);
+  const normalizedThreadId = threadId ? Number(threadId) : null;
+  const normalizedBefore = before ? Number(before) : null;
+  const safeLimit = Math.min(Math.max(Number(limit) || 20, 1), 50);
+
+  if (
+    !normalizedUserId ||
+    (normalizedThreadId !== null && !Number.isInteger(normalizedThreadId)) ||
+    (normalizedBefore !== null && !Number.isInteger(normalizedBefore))
+  ) {
+    throw new Error('INVALID_INPUT');
+  }
+
+  const { ids, terms } = await messageSearchService.findMatchingMessageIds({
+    userId: normalizedUserId,
+    query,
+    threadId: normalizedThreadId,
+    before: normalizedBefore,
+    limit: safeLimit,
+  });
+
+  if (ids.length === 0) {
+    return { results: [], nextCursor: null };
+  }
+
+  const messages = await Message.findAll({
+    where: { id: ids },
+    include: [
+      {
+        model: User,
+        as: 'sender',
+        attributes: getSelectableUserAttributes(),
+      },
+      {
+        model: Thread,
+        as: 'thread',
+        attributes: ['id', 'thread_type', 'name', 'project_id'],
+      },
+    ],
+    order: [['id', 'DESC']],
+  });
+
+  const decryptBody = await messageKeyService.createBodyDecryptor(messages);
+
+  const results = messages.map((message) => {
+    const body = decryptBody(message);
+
+    return {
+      message: serializeMemberMessage(message, {
+        body,
+        sender: message.sender
+          ? { id: message.sender.id, name: getUserDisplayName(message.sender) }
+          : null,
+      }),
+      thread: message.thread
+        ? {
+            id: message.thread.id,
+            thread_type: message.thread.thread_type,
+            name: message.thread.name,
+            project_id: message.thread.project_id,
+          }
+        : null,
+      snippet: buildSearchSnippet(body, terms),
+    };
+  });
+
+  return {
+    results,
+    nextCursor: ids.length === safeLimit ? ids[ids.length - 1] : null,
+  };
+}
+
+/**
+ * Post a message from the system, e.g. a membership change, and push it to the thread's
+ * participants. subjectUserId is stored as the sender; system messages do not notify anyone
+ * or count as unread.
+ */
+async function createSystemMessage({ threadId, subjectUserId, event, body }) {
+  const normalizedThreadId = Number(threadId);
+  const encrypted = await messageKeyService.encryptMessageBody(normalizedThreadId, body);
+
+  const createdMessage = await sequelize.transaction(async (transaction) => {
+    const created = await Message.create(
+      {
+        thread_id: normalizedThreadId,
+        sender_id: Number(subjectUserId),
+        body: encrypted.body,
+        key_id: encrypted.key_id,
+        system_event: event,
+        search_indexed_at: new Date(),
+      },
+      { transaction }
+    );
+
+    await Thread.update(
+      { last_message_at: created.created_at },
+      {
+        where: { id: normalizedThreadId },
+        transaction,
+      }
+    );
+
+    return created;
+  });
+
+  const message = {
+    id: createdMessage.id,
+    thread_id: createdMessage.thread_id,
+    sender_id: createdMessage.sender_id,
+    body,
+    system_event: event,
+    created_at: createdMessage.created_at,
+    attachments: [],
+  };
+
+  await publishThreadEvent(
+    await getParticipantIds(normalizedThreadId),
+    'message.created',
+    buildMessageEvent(message, null)
+  );
+
+  return message;
+}
+
 async function markThreadRead(threadId, userId) {
   const normalizedThreadId = Number(threadId);
   const normalizedUserId = Number(userId);
@@ -644,10 +1417,12 @@ async function markThreadRead(threadId, userId) {
     order: [['created_at', 'DESC']],
   });
 
+  const lastReadMessageId = latestMessage ? latestMessage.id : null;
+
   await ThreadParticipant.update(
     {
       unread_count: 0,
-      last_read_message_id: latestMessage ? latestMessage.id : null,
+      last_read_message_id: lastReadMessageId,
     },
     {
       where: {
@@ -657,6 +1432,22 @@ async function markThreadRead(threadId, userId) {
     }
   );
 
+  const participants = await ThreadParticipant.findAll({
+    where: { thread_id: normalizedThreadId },
+    attributes: ['user_id'],
+  });
+
+  await publishThreadEvent(
+    participants.map((participant) => participant.user_id),
+    'thread.read',
+    {
+      thread_id: normalizedThreadId,
+      user_id: normalizedUserId,
+      last_read_message_id: lastReadMessageId,
+      read_at: new Date().toISOString(),
+    }
+  );
+
   return { success: true };
 }
 
@@ -678,8 +1469,16 @@ module.exports = {
   createDirectThread,
   createGroupThread,
   getUserThreads,
+  updateThreadSettings,
   getThreadMessages,
   sendMessage,
+  editMessage,
+  deleteMessage,
+  addReaction,
+  removeReaction,
+  searchMessages,
+  createSystemMessage,
+  publishThreadEvent,
   markThreadRead,
   getUnreadTotal,
 };
\ No newline at end of file
@@ -0,0 +1,338 @@
+const { Op } = require('sequelize');
+const {
+  MilestoneChecklistItem,
+  MilestoneResearcher,
+  User,
+  sequelize
+} = require('../database/models');
+const { toDateOnly } = require('../utils/calendarDates');
+
+/**
+ * Milestone checklists and progress roll-up. Checklist items are ordered sub-steps of a milestone;
+ * each can be assigned to one of the milestone's researchers, given a due date and checked off.
+ *
+ * Progress: a completed milestone counts as 100%, a cancelled one is left out, and any other
+ * milestone is the share of its checklist items that are checked off (0% without items). Project
+ * progress is the average over its milestones.
+ */
+
+const MAX_TITLE_LENGTH = 255;
+
+const ASSIGNEE_ATTRIBUTES = ['id', 'name', 'email'];
+
+const percent = (part, total) => (total > 0 ? Math.round((part / total) * 100) : 0);
+
+/**
+ * Validate checklist item fields from a request body
+ * @param {Object} body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Updates may leave out the title
+ * @returns {Object} Only the fields that were sent
+ */
+function parseChecklistInput(body = {}, { partial = false } = {}) {
+  const input = {};
+
+  if (body.title !== undefined || !partial) {
+    const title = typeof body.title === 'string' ? body.title.trim() : '';
+    if (!title || title.length > MAX_TITLE_LENGTH) {
+      throw new Error('INVALID_CHECKLIST_TITLE');
+    }
+    input.title = title;
+  }
+
+  if (body.assignee_id !== undefined) {
+    if (body.assignee_id === null) {
+      input.assignee_id = null;
+    } else {
+      const assigneeId = Number(body.assignee_id);
+      if (!Number.isInteger(assigneeId) || assigneeId <= 0) {
+        throw new Error('INVALID_CHECKLIST_ASSIGNEE');
+      }
+      input.assignee_id = assigneeId;
+    }
+  }
+
+  if (body.due_date !== undefined) {
+    if (body.due_date === null || body.due_date === '') {
+      input.due_date = null;
+    } else {
+      const dueDate = toDateOnly(body.due_date);
+      if (!dueDate) {
+        throw new Error('INVALID_CHECKLIST_DUE_DATE');
+      }
+      input.due_date = dueDate;
+    }
+  }
+
+  if (body.is_completed !== undefined) {
+    if (typeof body.is_completed !== 'boolean') {
+      throw new Error('INVALID_CHECKLIST_COMPLETION');
+    }
+    input.is_completed = body.is_completed;
+  }
+
+  return input;
+}
+
+async function ensureAssigneeOnMilestone(milestoneId, assigneeId) {
+  if (!assigneeId) {
+    return;
+  }
+
+  const assignment = await MilestoneResearcher.findOne({
+    where: { milestone_id: milestoneId, researcher_id: assigneeId }
+  });
+  if (!assignment) {
+    throw new Error('CHECKLIST_ASSIGNEE_NOT_ON_MILESTONE');
+  }
+}
+
+function completionFields(isCompleted, userId) {
+  return isCompleted
+    ? { is_completed: true, completed_at: new Date(), completed_by: userId }
+    : { is_completed: false, completed_at: null, completed_by: null };
+}
+
+async function listItems(milestoneId) {
+  return MilestoneChecklistItem.findAll({
+    where: { milestone_id: milestoneId },
+    include: [{ model: User, as: 'assignee', attributes: ASSIGNEE_ATTRIBUTES }],
+    order: [['position', 'ASC'], ['id', 'ASC']]
+  });
+}
+
+/**
+ * Add an item at the end of a milestone's checklist
+ */
+async function createItem({ milestoneId, input, userId }) {
+  await ensureAssigneeOnMilestone(milestoneId, input.assignee_id);
+
+  const lastPosition = await MilestoneChecklistItem.max('position', { where: { milestone_id: milestoneId } });
+  const { is_completed: isCompleted, ...fields } = input;
+
+  return MilestoneChecklistItem.create({
+    ...fields,
+    ...completionFields(Boolean(isCompleted), userId),
+    milestone_id: milestoneId,
+    position: Number.isInteger(lastPosition) ? lastPosition + 1 : 0,
+    created_by: userId
+  });
+}
+
+/**
+ * Update an item; checking it off records who did it and when
+ */
+async function updateItem({ milestoneId, itemId, input, userId }) {
+  const item = await MilestoneChecklistItem.findOne({ where: { id: itemId, milestone_id: milestoneId } });
+  if (!item) {
+    throw new Error('CHECKLIST_ITEM_NOT_FOUND');
+  }
+
+  if (input.assignee_id !== undefined && input.assignee_id !== item.assignee_id) {
+    await ensureAssigneeOnMilestone(milestoneId, input.assignee_id);
+  }
+
+  const { is_completed: isCompleted, ...fields } = input;
+  const updates = { ...fields };
+  if (isCompleted !== undefined && isCompleted !== item.is_completed) {
+    Object.assign(updates, completionFields(isCompleted, userId));
+  }
+
+  await item.update(updates);
+  return item;
+}
+
+async function deleteItem({ milestoneId, itemId }) {
+  const deletedCount = await MilestoneChecklistItem.destroy({ where: { id: itemId, milestone_id: milestoneId } });
+  if (!deletedCount) {
+    throw new Error('CHECKLIST_ITEM_NOT_FOUND');
+  }
+}
+
+/**
+ * Put a milestone's checklist in the given order
+ * @param {Object} params
+ * @param {number} params.milestoneId
+ * @param {Array<number>} params.itemIds - Every item of the milestone, exactly once
+ */
+async function reorderItems({ milestoneId, itemIds }) {
+  if (!Array.isArray(itemIds)) {
+    throw new Error('CHECKLIST_ORDER_MISMATCH');
+  }
+  const orderedIds = itemIds.map((value) => Number(value));
+
+  const items = await MilestoneChecklistItem.findAll({
+    where: { milestone_id: milestoneId },
+    attributes: ['id']
+  });
+  const existingIds = new Set(items.map((item) => item.id));
+  if (
+    orderedIds.length !== existingIds.size
+    || new Set(orderedIds).size !== orderedIds.length
+    || orderedIds.some((id) => !existingIds.has(id))
+  ) {
+    throw new Error('CHECKLIST_ORDER_MISMATCH');
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    for (const [position, id] of orderedIds.entries()) {
+      await MilestoneChecklistItem.update(
+        { position },
+        { where: { id, milestone_id: milestoneId }, transaction }
+      );
+    }
+  });
+
+  return listItems(milestoneId);
+}
+
+/**
+ * Clear the assignee on items of researchers who are no longer on the milestone
+ */
+async function unassignResearchers({ milestoneId, researcherIds, transaction }) {
+  if (researcherIds.length === 0) {
+    return;
+  }
+
+  await MilestoneChecklistItem.update(
+    { assignee_id: null },
+    {
+      where: { milestone_id: milestoneId, assignee_id: { [Op.in]: researcherIds } },
+      transaction
+    }
+  );
+}
+
+/**
+ * Completion counts for a set of checklist items
+ * @returns {Object} { total, completed, overdue, completion_rate }
+ */
+function summarizeItems(items, { today = toDateOnly(new Date()) } = {}) {
+  const completed = items.filter((item) => item.is_completed).length;
+  const overdue = items.filter((item) => !item.is_completed && item.due_date && toDateOnly(item.due_date) < today).length;
+
+  return {
+    total: items.length,
+    completed,
+    overdue,
+    completion_rate: percent(completed, items.length)
+  };
+}
+
+/**
+ * @returns {number|null} Progress percentage, or null for a cancelled milestone
+ */
+function getMilestoneProgress(milestone, summary) {
+  if (milestone.status === 'cancelled') {
+    return null;
+  }
+  if (milestone.status === 'completed') {
+    return 100;
+  }
+  return summary ? summary.completion_rate : 0;
+}
+
+function getProjectProgress(milestones, summaries) {
+  const progress = milestones
+    .map((milestone) => getMilestoneProgress(milestone, summaries.get(milestone.id)))
+    .filter((value) => value !== null);
+
+  return progress.length > 0
+    ? Math.round(progress.reduce((sum, value) => sum + value, 0) / progress.length)
+    : 0;
+}
+
+function groupItemsByMilestone(items) {
+  const byMilestone = new Map();
+  for (const item of items) {
+    if (!byMilestone.has(item.milestone_id)) {
+      byMilestone.set(item.milestone_id, []);
+    }
+    byMilestone.get(item.milestone_id).push(item);
+  }
+  return byMilestone;
+}
+
+/**
+ * Checklist summary per milestone
+ * @param {Array<number>} milestoneIds
+ * @returns {Promise<Map<number, Object>>} Milestone ID to summary; milestones without items get zeros
+ */
+async function getChecklistSummaries(milestoneIds, { today } = {}) {
+  const summaries = new Map(milestoneIds.map((id) => [id, summarizeItems([], { today })]));
+  if (milestoneIds.length === 0) {
+    return summaries;
+  }
+
+  const items = await MilestoneChecklistItem.findAll({
+    where: { milestone_id: { [Op.in]: milestoneIds } },
+    attributes: ['id', 'milestone_id', 'is_completed', 'due_date']
+  });
+  for (const [milestoneId, milestoneItems] of groupItemsByMilestone(items)) {
+    summaries.set(milestoneId, summarizeItems(milestoneItems, { today }));
+  }
+  return summaries;
+}
+
+/**
+ * Checklist completion for a project, overall and per assignee. Items on cancelled milestones are
+ * left out.
+ * @param {Array<Milestone>} milestones - Every milestone of the project
+ * @returns {Promise<Object>} { progress_percent, checklist, checklist_by_assignee }
+ */
+async function getProjectChecklistStats(milestones, { today = toDateOnly(new Date()) } = {}) {
+  const activeMilestoneIds = milestones
+    .filter((milestone) => milestone.status !== 'cancelled')
+    .map((milestone) => milestone.id);
+
+  const items = activeMilestoneIds.length > 0
+    ? await MilestoneChecklistItem.findAll({
+      where: { milestone_id: { [Op.in]: activeMilestoneIds } },
+      attributes: ['id', 'milestone_id', 'assignee_id', 'is_completed', 'due_date'],
+      include: [{ model: User, as: 'assignee', attributes: ASSIGNEE_ATTRIBUTES }]
+    })
+    : [];
+
+  const summaries = new Map();
+  for (const [milestoneId, milestoneItems] of groupItemsByMilestone(items)) {
+    summaries.set(milestoneId, summarizeItems(milestoneItems, { today }));
+  }
+
+  const byAssignee = new Map();
+  for (const item of items.filter((checklistItem) => checklistItem.assignee_id)) {
+    if (!byAssignee.has(item.assignee_id)) {
+      byAssignee.set(item.assignee_id, { assignee: item.assignee, items: [] });
+    }
+    byAssignee.get(item.assignee_id).items.push(item);
+  }
+
+  return {
+    progress_percent: getProjectProgress(milestones, summaries),
+    checklist: {
+      ...summarizeItems(items, { today }),
+      unassigned: items.filter((item) => !item.assignee_id).length
+    },
+    checklist_by_assignee: [...byAssignee.entries()]
+      .map(([assigneeId, { assignee, items: assigneeItems }]) => ({
+        researcher_id: assigneeId,
+        name: assignee ? assignee.name : null,
+        ...summarizeItems(assigneeItems, { today })
+      }))
+      .sort((a, b) => a.researcher_id - b.researcher_id)
+  };
+}
+
+module.exports = {
+  parseChecklistInput,
+  listItems,
+  createItem,
+  updateItem,
+  deleteItem,
+  reorderItems,
+  unassignResearchers,
+  summarizeItems,
+  getMilestoneProgress,
+  getProjectProgress,
+  getChecklistSummaries,
+  getProjectChecklistStats
+};
@@ -0,0 +1,353 @@
+const { Op } = require('sequelize');
+const { Milestone, MilestoneDependency } = require('../database/models');
+const { toDateOnly, addDays, daysBetween } = require('../utils/calendarDates');
+
+/**
+ * Milestone dependencies and project scheduling. A milestone can wait on any number of other
+ * milestones in its project; the links must not form a cycle. The schedule treats each milestone
+ * as running from the latest due date of its prerequisites (or the project start) to its own due
+ * date, then computes earliest/latest start and finish, slack and the critical path.
+ *
+ * Cancelled milestones are left out of the schedule.
+ */
+
+const SCHEDULE_ATTRIBUTES = ['id', 'name', 'status', 'due_date', 'created_at'];
+
+/**
+ * Dependency IDs from a request body: depends_on_ids (array) or the single-id depends_on
+ * @returns {Array<number>|undefined} Unique IDs, or undefined when neither field was sent
+ */
+function parseDependencyIds({ depends_on_ids: dependsOnIds, depends_on: dependsOn } = {}) {
+  const raw = dependsOnIds !== undefined ? dependsOnIds : dependsOn;
+  if (raw === undefined) {
+    return undefined;
+  }
+  if (raw === null || raw === '') {
+    return [];
+  }
+
+  const ids = (Array.isArray(raw) ? raw : [raw]).map((value) => Number.parseInt(value, 10));
+  if (ids.some((id) => !Number.isInteger(id) || id <= 0)) {
+    throw new Error('INVALID_DEPENDENCY_ID');
+  }
+  return Array.from(new Set(ids));
+}
+
+/**
+ * Find the cycle created by giving `milestoneId` the prerequisites `dependencyIds`
+ * @param {Map<number, Array<number>>} dependencyMap - Milestone id -> prerequisite ids
+ * @returns {Array<number>|null} Path from the milestone back to itself, or null
+ */
+function findDependencyCycle(dependencyMap, milestoneId, dependencyIds) {
+  const graph = new Map(dependencyMap);
+  graph.set(milestoneId, dependencyIds);
+  const visited = new Set();
+
+  const walk = (id, path) => {
+    for (const prerequisiteId of graph.get(id) || []) {
+      if (prerequisiteId === milestoneId) {
+        return [...path, prerequisiteId];
+      }
+      if (!visited.has(prerequisiteId)) {
+        visited.add(prerequisiteId);
+        const cycle = walk(prerequisiteId, [...path, prerequisiteId]);
+        if (cycle) {
+          return cycle;
+        }
+      }
+    }
+    return null;
+  };
+
+  return walk(milestoneId, [milestoneId]);
+}
+
+// Inside a transaction the project's milestones are locked, so dependency writes take turns
+async function loadProjectGraph(projectId, { transaction } = {}) {
+  const milestones = await Milestone.findAll({
+    where: { project_id: projectId },
+    attributes: SCHEDULE_ATTRIBUTES,
+    order: [['id', 'ASC']],
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+
+  const dependencyMap = new Map(milestones.map((milestone) => [milestone.id, []]));
+  if (milestones.length > 0) {
+    const links = await MilestoneDependency.findAll({
+      where: { milestone_id: milestones.map((milestone) => milestone.id) },
+      attributes: ['milestone_id', 'depends_on_milestone_id'],
+      transaction
+    });
+    links.forEach((link) => {
+      if (dependencyMap.has(link.milestone_id)) {
+        dependencyMap.get(link.milestone_id).push(link.depends_on_milestone_id);
+      }
+    });
+  }
+
+  return { milestones, dependencyMap };
+}
+
+/**
+ * Check that the prerequisites belong to the project and keep the dependency graph acyclic.
+ * Pass the transaction that writes the dependencies so the check holds until it commits.
+ * @param {Object} params
+ * @param {number} params.projectId
+ * @param {number|null} [params.milestoneId] - Milestone being updated; null when creating
+ * @param {Array<number>} params.dependencyIds
+ * @param {Transaction} [params.transaction] - Locks the project's milestones while checking
+ * @returns {Promise<Array<Milestone>>} The prerequisite milestones
+ */
+async function validateDependencies({ projectId, milestoneId = null, dependencyIds, transaction }) {
+  const id = milestoneId ? Number.parseInt(milestoneId, 10) : null;
+  if (id && dependencyIds.includes(id)) {
+    throw new Error('SELF_DEPENDENCY');
+  }
+  if (dependencyIds.length === 0) {
+    return [];
+  }
+
+  const { milestones, dependencyMap } = await loadProjectGraph(projectId, { transaction });
+  const milestonesById = new Map(milestones.map((milestone) => [milestone.id, milestone]));
+  if (dependencyIds.some((dependencyId) => !milestonesById.has(dependencyId))) {
+    throw new Error('DEPENDENCY_NOT_IN_PROJECT');
+  }
+
+  if (id) {
+    const cycle = findDependencyCycle(dependencyMap, id, dependencyIds);
+    if (cycle) {
+      const error = new Error('DEPENDENCY_CYCLE');
+      error.cycle = cycle;
+      throw error;
+    }
+  }
+
+  return dependencyIds.map((dependencyId) => milestonesById.get(dependencyId));
+}
+
+/**
+ * Replace a milestone's prerequisites
+ */
+async function setDependencies({ milestoneId, dependencyIds, transaction }) {
+  const where = { milestone_id: milestoneId };
+  if (dependencyIds.length > 0) {
+    where.depends_on_milestone_id = { [Op.notIn]: dependencyIds };
+  }
+  await MilestoneDependency.destroy({ where, transaction });
+
+  if (dependencyIds.length > 0) {
+    await MilestoneDependency.bulkCreate(
+      dependencyIds.map((dependencyId) => ({ milestone_id: milestoneId, depends_on_milestone_id: dependencyId })),
+      { transaction, ignoreDuplicates: true }
+    );
+  }
+}
+
+/**
+ * Milestones the given milestone waits on
+ */
+async function getPrerequisites(milestoneId, { transaction } = {}) {
+  const links = await MilestoneDependency.findAll({
+    where: { milestone_id: milestoneId },
+    include: [{ model: Milestone, as: 'prerequisite', attributes: SCHEDULE_ATTRIBUTES }],
+    transaction
+  });
+  return links.map((link) => link.prerequisite).filter(Boolean);
+}
+
+function buildDueDateWarning(milestone, prerequisite) {
+  return {
+    type: 'due_before_prerequisite',
+    milestone_id: milestone.id,
+    milestone_name: milestone.name,
+    due_date: toDateOnly(milestone.due_date),
+    prerequisite_id: prerequisite.id,
+    prerequisite_name: prerequisite.name,
+    prerequisite_due_date: toDateOnly(prerequisite.due_date)
+  };
+}
+
+/**
+ * Prerequisites due after the milestone itself
+ * @returns {Array<Object>} due_before_prerequisite warnings
+ */
+function findDueDateConflicts(milestone, prerequisites) {
+  const dueDate = toDateOnly(milestone.due_date);
+  if (!dueDate) {
+    return [];
+  }
+
+  return prerequisites
+    .filter((prerequisite) => {
+      const prerequisiteDueDate = toDateOnly(prerequisite.due_date);
+      return prerequisiteDueDate && prerequisiteDueDate > dueDate;
+    })
+    .map((prerequisite) => buildDueDateWarning(milestone, prerequisite));
+}
+
+/**
+ * Due date conflicts between a milestone and both its prerequisites and its dependents
+ */
+async function getDueDateWarnings(milestoneId) {
+  const milestone = await Milestone.findByPk(milestoneId, {
+    attributes: SCHEDULE_ATTRIBUTES,
+    include: [
+      { model: Milestone, as: 'dependencies', attributes: SCHEDULE_ATTRIBUTES, through: { attributes: [] } },
+      { model: Milestone, as: 'dependents', attributes: SCHEDULE_ATTRIBUTES, through: { attributes: [] } }
+    ]
+  });
+  if (!milestone) {
+    return [];
+  }
+
+  return [
+    ...findDueDateConflicts(milestone, milestone.dependencies || []),
+    ...(milestone.dependents || []).flatMap((dependent) => findDueDateConflicts(dependent, [milestone]))
+  ];
+}
+
+function topologicalOrder(ids, prerequisitesOf, dependentsOf) {
+  const remaining = new Map(ids.map((id) => [id, prerequisitesOf.get(id).length]));
+  const ready = ids.filter((id) => remaining.get(id) === 0);
+  const order = [];
+
+  while (ready.length > 0) {
+    ready.sort((a, b) => a - b);
+    const id = ready.shift();
+    order.push(id);
+    dependentsOf.get(id).forEach((dependentId) => {
+      remaining.set(dependentId, remaining.get(dependentId) - 1);
+      if (remaining.get(dependentId) === 0) {
+        ready.push(dependentId);
+      }
+    });
+  }
+
+  return order;
+}
+
+/**
+ * Critical path method over the project's milestones. Durations come from due dates: a milestone
+ * runs from the latest due date among its prerequisites (or the project start) to its own due
+ * date. Milestones without a due date take no time. Offsets are whole days from startDate.
+ * @param {Object} params
+ * @param {string} params.startDate - YYYY-MM-DD
+ * @param {Array<Object>} params.milestones - { id, name, status, due_date }
+ * @param {Map<number, Array<number>>} params.dependencyMap - Milestone id -> prerequisite ids
+ */
+function buildProjectSchedule({ startDate, milestones, dependencyMap }) {
+  const scheduled = milestones.filter((milestone) => milestone.status !== 'cancelled');
+  const milestonesById = new Map(scheduled.map((milestone) => [milestone.id, milestone]));
+  const ids = scheduled.map((milestone) => milestone.id);
+
+  const prerequisitesOf = new Map(ids.map((id) => [
+    id,
+    (dependencyMap.get(id) || []).filter((prerequisiteId) => milestonesById.has(prerequisiteId))
+  ]));
+  const dependentsOf = new Map(ids.map((id) => [id, []]));
+  prerequisitesOf.forEach((prerequisiteIds, id) => {
+    prerequisiteIds.forEach((prerequisiteId) => dependentsOf.get(prerequisiteId).push(id));
+  });
+
+  const order = topologicalOrder(ids, prerequisitesOf, dependentsOf);
+  if (order.length < ids.length) {
+    throw new Error('DEPENDENCY_CYCLE');
+  }
+
+  const offsetOf = (date) => daysBetween(startDate, date);
+  const plan = new Map();
+
+  order.forEach((id) => {
+    const prerequisiteIds = prerequisitesOf.get(id);
+    const dueDate = toDateOnly(milestonesById.get(id).due_date);
+    const plannedStart = Math.max(0, ...prerequisiteIds
+      .map((prerequisiteId) => toDateOnly(milestonesById.get(prerequisiteId).due_date))
+      .filter(Boolean)
+      .map(offsetOf));
+    const duration = dueDate ? Math.max(0, offsetOf(dueDate) - plannedStart) : 0;
+    const earliestStart = Math.max(0, ...prerequisiteIds.map((prerequisiteId) => plan.get(prerequisiteId).earliestFinish));
+
+    plan.set(id, { duration, earliestStart, earliestFinish: earliestStart + duration });
+  });
+
+  const finish = Math.max(0, ...Array.from(plan.values(), (entry) => entry.earliestFinish));
+
+  [...order].reverse().forEach((id) => {
+    const entry = plan.get(id);
+    entry.latestFinish = Math.min(finish, ...dependentsOf.get(id).map((dependentId) => plan.get(dependentId).latestStart));
+    entry.latestStart = entry.latestFinish - entry.duration;
+    entry.slack = entry.latestStart - entry.earliestStart;
+  });
+
+  const isCritical = (id) => plan.get(id).slack === 0;
+  const criticalPath = [];
+  let current = order.filter((id) => isCritical(id) && plan.get(id).earliestFinish === finish).pop();
+  while (current !== undefined) {
+    criticalPath.unshift(current);
+    const { earliestStart } = plan.get(current);
+    current = prerequisitesOf.get(current)
+      .find((prerequisiteId) => isCritical(prerequisiteId) && plan.get(prerequisiteId).earliestFinish === earliestStart);
+  }
+
+  const warnings = order.flatMap((id) => findDueDateConflicts(
+    milestonesById.get(id),
+    prerequisitesOf.get(id).map((prerequisiteId) => milestonesById.get(prerequisiteId))
+  ));
+
+  return {
+    start_date: startDate,
+    finish_date: addDays(startDate, finish),
+    duration_days: finish,
+    milestones: order.map((id) => {
+      const milestone = milestonesById.get(id);
+      const entry = plan.get(id);
+      return {
+        id,
+        name: milestone.name,
+        status: milestone.status,
+        due_date: toDateOnly(milestone.due_date),
+        depends_on_ids: prerequisitesOf.get(id),
+        duration_days: entry.duration,
+        earliest_start: addDays(startDate, entry.earliestStart),
+        earliest_finish: addDays(startDate, entry.earliestFinish),
+        latest_start: addDays(startDate, entry.latestStart),
+        latest_finish: addDays(startDate, entry.latestFinish),
+        slack_days: entry.slack,
+        is_critical: isCritical(id)
+      };
+    }),
+    critical_path: criticalPath,
+    warnings
+  };
+}
+
+/**
+ * Schedule for a project, starting at its start_date (or its first milestone's creation)
+ * @param {Object} project - { project_id, start_date }
+ */
+async function getProjectSchedule(project, { now = new Date() } = {}) {
+  const { milestones, dependencyMap } = await loadProjectGraph(project.project_id);
+  const firstCreated = milestones
+    .map((milestone) => toDateOnly(milestone.created_at))
+    .filter(Boolean)
+    .sort()[0];
+  const startDate = toDateOnly(project.start_date) || firstCreated || toDateOnly(now);
+
+  return {
+    project_id: project.project_id,
+    ...buildProjectSchedule({ startDate, milestones, dependencyMap })
+  };
+}
+
+module.exports = {
+  parseDependencyIds,
+  findDependencyCycle,
+  validateDependencies,
+  setDependencies,
+  getPrerequisites,
+  findDueDateConflicts,
+  getDueDateWarnings,
+  buildProjectSchedule,
+  getProjectSchedule
+};
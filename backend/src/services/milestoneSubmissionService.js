@@ -0,0 +1,222 @@
+const { Op } = require('sequelize');
+const {
+  Attachment,
+  MilestoneSubmission,
+  MilestoneSubmissionAttachment,
+  User,
+  sequelize
+} = require('../database/models');
+const milestoneDependencyService = require('./milestoneDependencyService');
+
+/**
+ * Milestone deliverable submissions. A researcher submits notes and/or attachments for a milestone;
+ * the nonprofit accepts (the milestone is completed) or rejects with feedback, after which the
+ * researcher can submit again as the next round. Only one submission per milestone is pending at
+ * a time.
+ */
+
+const SUBMITTABLE_MILESTONE_STATUSES = new Set(['pending', 'in_progress', 'revision_in_progress']);
+
+const SUBMISSION_INCLUDE = [
+  {
+    model: Attachment,
+    as: 'attachments',
+    through: { attributes: [] }
+  },
+  {
+    model: User,
+    as: 'submitter',
+    attributes: ['id', 'name', 'email']
+  },
+  {
+    model: User,
+    as: 'reviewer',
+    attributes: ['id', 'name', 'email']
+  }
+];
+
+/**
+ * Attachment IDs from a request body
+ * @returns {Array<number>} Unique IDs; empty when none were sent
+ */
+function parseAttachmentIds(attachmentIds) {
+  if (attachmentIds === undefined || attachmentIds === null) {
+    return [];
+  }
+  if (!Array.isArray(attachmentIds)) {
+    throw new Error('INVALID_SUBMISSION_ATTACHMENTS');
+  }
+
+  const ids = attachmentIds.map((value) => Number(value));
+  if (ids.some((id) => !Number.isInteger(id) || id <= 0)) {
+    throw new Error('INVALID_SUBMISSION_ATTACHMENTS');
+  }
+  return [...new Set(ids)];
+}
+
+async function loadSubmission(submissionId) {
+  return MilestoneSubmission.findByPk(submissionId, { include: SUBMISSION_INCLUDE });
+}
+
+/**
+ * Submit a deliverable for a milestone. Attachments must be active files already linked to the
+ * milestone.
+ * @returns {Promise<MilestoneSubmission>} The new submission with attachments loaded
+ */
+async function createSubmission({ milestone, researcherId, notes = null, attachmentIds = [] }) {
+  if (!notes && attachmentIds.length === 0) {
+    throw new Error('SUBMISSION_CONTENT_REQUIRED');
+  }
+  if (!SUBMITTABLE_MILESTONE_STATUSES.has(milestone.status)) {
+    throw new Error('MILESTONE_NOT_SUBMITTABLE');
+  }
+
+  if (attachmentIds.length > 0) {
+    const attachments = await Attachment.findAll({
+      where: {
+        id: { [Op.in]: attachmentIds },
+        project_id: milestone.project_id,
+        milestone_id: milestone.id,
+        status: 'active'
+      },
+      attributes: ['id']
+    });
+    if (attachments.length !== attachmentIds.length) {
+      throw new Error('INVALID_SUBMISSION_ATTACHMENTS');
+    }
+  }
+
+  const submissionId = await sequelize.transaction(async (transaction) => {
+    const pending = await MilestoneSubmission.findOne({
+      where: { milestone_id: milestone.id, status: 'pending' },
+      transaction
+    });
+    if (pending) {
+      throw new Error('SUBMISSION_ALREADY_PENDING');
+    }
+
+    const lastRound = await MilestoneSubmission.max('round', {
+      where: { milestone_id: milestone.id },
+      transaction
+    });
+
+    const submission = await MilestoneSubmission.create({
+      milestone_id: milestone.id,
+      submitted_by: researcherId,
+      round: (lastRound || 0) + 1,
+      notes,
+      status: 'pending'
+    }, { transaction });
+
+    if (attachmentIds.length > 0) {
+      await MilestoneSubmissionAttachment.bulkCreate(
+        attachmentIds.map((attachmentId) => ({ submission_id: submission.id, attachment_id: attachmentId })),
+        { transaction }
+      );
+    }
+
+    return submission.id;
+  }).catch((error) => {
+    // A concurrent submission won the pending slot or the round number
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      throw new Error('SUBMISSION_ALREADY_PENDING');
+    }
+    throw error;
+  });
+
+  return loadSubmission(submissionId);
+}
+
+/**
+ * Submissions for a milestone, latest round first
+ * @param {number} milestoneId
+ * @param {Object} [options]
+ * @param {number} [options.submittedBy] - Only this researcher's submissions
+ */
+async function listSubmissions(milestoneId, { submittedBy } = {}) {
+  const where = { milestone_id: milestoneId };
+  if (submittedBy) {
+    where.submitted_by = submittedBy;
+  }
+
+  return MilestoneSubmission.findAll({
+    where,
+    include: SUBMISSION_INCLUDE,
+    order: [['round', 'DESC']]
+  });
+}
+
+/**
+ * Accept or reject a pending submission. Accepting completes the milestone, which requires every
+ * prerequisite milestone to be completed; rejecting requires feedback.
+ * @param {Object} params
+ * @param {Milestone} params.milestone
+ * @param {number} params.submissionId
+ * @param {number} params.reviewerId
+ * @param {'accept'|'reject'} params.decision
+ * @param {string|null} params.feedback
+ * @returns {Promise<MilestoneSubmission>}
+ */
+async function reviewSubmission({ milestone, submissionId, reviewerId, decision, feedback = null }) {
+  const submission = await MilestoneSubmission.findOne({
+    where: { id: submissionId, milestone_id: milestone.id }
+  });
+  if (!submission) {
+    throw new Error('SUBMISSION_NOT_FOUND');
+  }
+  if (submission.status !== 'pending') {
+    throw new Error('SUBMISSION_NOT_PENDING');
+  }
+  if (decision === 'reject' && !feedback) {
+    throw new Error('FEEDBACK_REQUIRED');
+  }
+
+  if (decision === 'accept') {
+    const prerequisites = await milestoneDependencyService.getPrerequisites(milestone.id);
+    const incomplete = prerequisites.filter((prerequisite) => prerequisite.status !== 'completed');
+    if (incomplete.length > 0) {
+      const error = new Error('DEPENDENCIES_INCOMPLETE');
+      error.incompleteDependencyIds = incomplete.map((prerequisite) => prerequisite.id);
+      throw error;
+    }
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    // The milestone may have been cancelled or completed since it was loaded; accepting must not
+    // complete it again or reopen a cancelled one
+    if (decision === 'accept') {
+      await milestone.reload({ transaction, lock: transaction.LOCK.UPDATE });
+      if (!SUBMITTABLE_MILESTONE_STATUSES.has(milestone.status)) {
+        throw new Error('MILESTONE_NOT_REVIEWABLE');
+      }
+    }
+
+    // A concurrent review may have decided the submission since it was read above
+    await submission.reload({ transaction, lock: transaction.LOCK.UPDATE });
+    if (submission.status !== 'pending') {
+      throw new Error('SUBMISSION_NOT_PENDING');
+    }
+
+    submission.status = decision === 'accept' ? 'accepted' : 'rejected';
+    submission.reviewed_by = reviewerId;
+    submission.reviewed_at = new Date();
+    submission.feedback = feedback;
+    await submission.save({ transaction });
+
+    if (decision === 'accept') {
+      milestone.status = 'completed';
+      milestone.completed_at = new Date();
+      await milestone.save({ transaction });
+    }
+  });
+
+  return loadSubmission(submission.id);
+}
+
+module.exports = {
+  SUBMITTABLE_MILESTONE_STATUSES,
+  parseAttachmentIds,
+  createSubmission,
+  listSubmissions,
+  reviewSubmission
+};
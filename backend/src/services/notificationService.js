@@ -1,9 +1,13 @@
+const { Op } = require('sequelize');
 const Notification = require('../database/models/Notification');
-const { User, UserPreferences } = require('../database/models');
+const { User, UserPreferences, ThreadParticipant } = require('../database/models');
 const emailService = require('./emailService');
+const notificationStreamService = require('./notificationStreamService');
+const { buildReplyAddress } = require('../utils/replyAddress');
 
 const INAPP_TYPE_TO_PREFERENCE = {
   'message_received': 'inapp_messages',
+  'message_mention': 'inapp_messages',
   'new_match_available': 'inapp_matches',
   'milestone_created': 'inapp_notifications',
   'milestone_updated': 'inapp_notifications',
@@ -16,6 +20,8 @@ const INAPP_TYPE_TO_PREFERENCE = {
   'milestone_request_created': 'inapp_notifications',
   'milestone_request_approved': 'inapp_notifications',
   'milestone_request_rejected': 'inapp_notifications',
+  'milestone_submission_received': 'inapp_notifications',
+  'milestone_submission_rejected': 'inapp_notifications',
   'project_created': 'inapp_notifications',
   'project_updated': 'inapp_notifications',
   'project_status_changed': 'inapp_notifications',
@@ -49,11 +55,21 @@ const INAPP_TYPE_TO_PREFERENCE = {
   'agreement_removal_rejected': 'inapp_notifications',
   'user_suspended': 'inapp_notifications',
   'security': 'inapp_notifications',
+  'organization_verification_updated': 'inapp_notifications',
+  'organization_reverification_due': 'inapp_notifications',
+  'certification_verification_updated': 'inapp_notifications',
+  'portfolio_item_review_requested': 'inapp_notifications',
+  'portfolio_item_reviewed': 'inapp_notifications',
+  'timesheet_submitted': 'inapp_notifications',
+  'timesheet_reviewed': 'inapp_notifications',
+  'invoice_issued': 'inapp_notifications',
+  'invoice_paid': 'inapp_notifications',
   'system_announcement': 'inapp_notifications'
 };
 
 const EMAIL_TYPE_TO_PREFERENCE = {
   'message_received': 'email_messages',
+  'message_mention': 'email_messages',
   'new_match_available': 'email_matches',
   'milestone_created': 'email_milestones',
   'milestone_updated': 'email_milestones',
@@ -66,6 +82,8 @@ const EMAIL_TYPE_TO_PREFERENCE = {
   'milestone_request_created': 'email_milestones',
   'milestone_request_approved': 'email_milestones',
   'milestone_request_rejected': 'email_milestones',
+  'milestone_submission_received': 'email_milestones',
+  'milestone_submission_rejected': 'email_milestones',
   'project_created': 'email_project_updates',
   'project_updated': 'email_project_updates',
   'project_status_changed': 'email_project_updates',
@@ -76,7 +94,16 @@ const EMAIL_TYPE_TO_PREFERENCE = {
   'project_application': 'email_project_updates',
   'agreement_removal_requested': 'email_project_updates',
   'agreement_removal_approved': 'email_project_updates',
-  'agreement_removal_rejected': 'email_project_updates'
+  'agreement_removal_rejected': 'email_project_updates',
+  'organization_verification_updated': 'email_project_updates',
+  'organization_reverification_due': 'email_project_updates',
+  'certification_verification_updated': 'email_project_updates',
+  'portfolio_item_review_requested': 'email_project_updates',
+  'portfolio_item_reviewed': 'email_project_updates',
+  'timesheet_submitted': 'email_project_updates',
+  'timesheet_reviewed': 'email_project_updates',
+  'invoice_issued': 'email_project_updates',
+  'invoice_paid': 'email_project_updates'
 };
 
 /**
@@ -130,6 +157,44 @@ const isEmailNotificationEnabled = (preferences, notificationType) => {
   return true;
 };
 
+// Message notification emails carry a signed reply address for their thread
+const REPLYABLE_TYPES = ['message_received', 'message_mention'];
+
+const getReplyAddress = (userId, type, metadata) => (
+  REPLYABLE_TYPES.includes(type) && metadata && metadata.thread_id
+    ? buildReplyAddress(userId, metadata.thread_id)
+    : null
+);
+
+/**
+ * Recipients who muted the thread a message notification belongs to. Only plain
+ * message_received notifications are muted; mentions still come through.
+ * @param {Array<number>} userIds
+ * @param {string} type - Notification type
+ * @param {Object} [metadata] - Notification metadata (thread_id)
+ * @returns {Promise<Set<number>>}
+ */
+const getMutedRecipientIds = async (userIds, type, metadata) => {
+  if (type !== 'message_received' || !metadata || !metadata.thread_id) {
+    return new Set();
+  }
+
+  const mutedRows = await ThreadParticipant.findAll({
+    where: {
+      thread_id: metadata.thread_id,
+      user_id: userIds,
+      muted_at: { [Op.ne]: null },
+      [Op.or]: [
+        { muted_until: null },
+        { muted_until: { [Op.gt]: new Date() } }
+      ]
+    },
+    attributes: ['user_id']
+  });
+
+  return new Set(mutedRows.map(row => Number(row.user_id)));
+};
+
 /**
  * Log notification failure to admin
  * @param {number} userId - ID of user notification was for
@@ -199,6 +264,11 @@ const createNotification = async ({ userId, type, title, message, link, metadata
       return null;
     }
 
+    const mutedIds = await getMutedRecipientIds([userId], type, metadata);
+    if (mutedIds.has(Number(userId))) {
+      return null;
+    }
+
     const notification = await Notification.create({
       user_id: userId,
       type,
@@ -209,6 +279,8 @@ const createNotification = async ({ userId, type, title, message, link, metadata
       is_read: false
     });
 
+    await notificationStreamService.publishCreatedNotifications([notification]);
+
     // Send email notification if user has email notifications enabled
     if (isEmailNotificationEnabled(preferences, type)) {
       try {
@@ -217,7 +289,7 @@ const createNotification = async ({ userId, type, title, message, link, metadata
           await emailService.sendNotificationEmail(
             user.email,
             user.name,
-            { type, title, message, link }
+            { type, title, message, link, replyTo: getReplyAddress(user.id, type, metadata) }
           );
         }
       } catch (emailError) {
@@ -266,10 +338,12 @@ const createBulkNotifications = async (userIds, { type, title, message, link, me
       preferencesMap.set(pref.user_id, pref);
     });
 
-    // Filter users to notify (only those who have enabled)
+    const mutedIds = await getMutedRecipientIds(userIds, type, metadata);
+
+    // Filter users to notify (only those who have enabled and have not muted the thread)
     const usersToNotify = userIds.filter(userId => {
       const prefs = preferencesMap.get(userId) || null;
-      return isNotificationEnabled(prefs, type);
+      return !mutedIds.has(Number(userId)) && isNotificationEnabled(prefs, type);
     });
 
     if (usersToNotify.length === 0) {
@@ -290,8 +364,12 @@ const createBulkNotifications = async (userIds, { type, title, message, link, me
 
     const created = await Notification.bulkCreate(notifications);
 
+    await notificationStreamService.publishCreatedNotifications(created || []);
+
     // Send email notifications for users who have email notifications enabled
-    const emailPrefs = userPrefs.filter(pref => isEmailNotificationEnabled(pref, type));
+    const emailPrefs = userPrefs.filter(pref => (
+      !mutedIds.has(Number(pref.user_id)) && isEmailNotificationEnabled(pref, type)
+    ));
     if (emailPrefs.length > 0) {
       const emailUserIds = emailPrefs.map(pref => pref.user_id);
       
@@ -306,7 +384,7 @@ const createBulkNotifications = async (userIds, { type, title, message, link, me
           emailService.sendNotificationEmail(
             user.email,
             user.name,
-            { type, title, message, link }
+            { type, title, message, link, replyTo: getReplyAddress(user.id, type, metadata) }
           ).catch(error => {
             console.error(`Failed to send email to ${user.email}:`, error.message);
           })
@@ -0,0 +1,80 @@
+const Notification = require('../database/models/Notification');
+const realtimeService = require('./realtimeService');
+
+const REALTIME_TOPIC = 'notifications';
+
+/**
+ * Notification Stream Service
+ * Publishes notification events to the realtime backend for
+ * GET /api/notifications/stream and lets stream handlers subscribe to them
+ */
+
+/**
+ * Count a user's unread, non-archived notifications
+ * @param {number} userId - ID of user
+ * @returns {Promise<number>} Unread count
+ */
+const countUnread = (userId) => Notification.count({
+  where: { user_id: userId, is_read: false, archived: false }
+});
+
+/**
+ * Push newly written notifications to the owners' open streams
+ * Never throws; stream delivery is best effort and clients resume via Last-Event-ID
+ * @param {Array<Notification>} notifications - Created notification rows
+ */
+const publishCreatedNotifications = async (notifications) => {
+  await Promise.all(
+    notifications
+      .filter((notification) => notification && notification.id)
+      .map((notification) => realtimeService.publishToUsers({
+        topic: REALTIME_TOPIC,
+        userIds: [notification.user_id],
+        event: 'notification.created',
+        data: {
+          notification: typeof notification.toSafeObject === 'function'
+            ? notification.toSafeObject()
+            : notification
+        }
+      }))
+  );
+};
+
+/**
+ * Push a user's current unread count to their open streams
+ * @param {number} userId - ID of user
+ * @returns {Promise<boolean>} Whether the update was published
+ */
+const publishUnreadCount = async (userId) => {
+  try {
+    const unreadCount = await countUnread(userId);
+    return realtimeService.publishToUsers({
+      topic: REALTIME_TOPIC,
+      userIds: [userId],
+      event: 'notification.unread_count',
+      data: { unreadCount: unreadCount || 0 }
+    });
+  } catch (error) {
+    console.error(`Failed to publish unread count for user ${userId}:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Subscribe to a user's live notification events
+ * @param {number} userId - ID of user
+ * @param {Function} onEvent - Called with ({ event, data })
+ * @returns {Promise<Function>} Async unsubscribe function
+ */
+const subscribeToNotifications = (userId, onEvent) => realtimeService.subscribeToUser({
+  topic: REALTIME_TOPIC,
+  userId,
+  onEvent
+});
+
+module.exports = {
+  countUnread,
+  publishCreatedNotifications,
+  publishUnreadCount,
+  subscribeToNotifications
+};
@@ -0,0 +1,378 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const sequelize = require('../database');
+const {
+  Organization,
+  OrganizationMember,
+  OrganizationInvitation,
+  User
+} = require('../database/models');
+const emailService = require('./emailService');
+
+/**
+ * Organization membership: each nonprofit user belongs to at most one organization (_user.org_id)
+ * and holds one role there. Roles map to permissions below; controllers ask for a permission
+ * rather than a role so the matrix can change in one place.
+ */
+
+const ORGANIZATION_MEMBER_ROLES = ['owner', 'admin', 'project_manager', 'viewer'];
+
+const ALL_ROLES = ORGANIZATION_MEMBER_ROLES;
+const MANAGER_ROLES = ['owner', 'admin'];
+const EDITOR_ROLES = ['owner', 'admin', 'project_manager'];
+
+const ORGANIZATION_PERMISSIONS = {
+  'organization:update': MANAGER_ROLES,
+  'members:view': ALL_ROLES,
+  'members:manage': MANAGER_ROLES,
+  'projects:view': ALL_ROLES,
+  'projects:create': EDITOR_ROLES,
+  'projects:update': EDITOR_ROLES,
+  'projects:delete': MANAGER_ROLES,
+  'milestones:manage': EDITOR_ROLES,
+  'agreements:manage': EDITOR_ROLES,
+  'timesheets:review': EDITOR_ROLES,
+  'budget:manage': EDITOR_ROLES,
+  'payments:release': MANAGER_ROLES
+};
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  admin: 'Admin',
+  project_manager: 'Project Manager',
+  viewer: 'Viewer'
+};
+
+function hashInvitationToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+/**
+ * @param {string|null} role - Organization member role
+ * @param {string} permission - Key of ORGANIZATION_PERMISSIONS
+ * @returns {boolean}
+ */
+function hasOrganizationPermission(role, permission) {
+  const allowedRoles = ORGANIZATION_PERMISSIONS[permission];
+  if (!allowedRoles) {
+    throw new Error(`Unknown organization permission: ${permission}`);
+  }
+  return Boolean(role) && allowedRoles.includes(role);
+}
+
+async function getMembership(userId) {
+  return OrganizationMember.findOne({ where: { user_id: userId } });
+}
+
+/**
+ * Role a user holds in the given organization, or null when they are not a member of it
+ */
+async function getMemberRole(userId, orgId) {
+  if (!userId || !orgId) {
+    return null;
+  }
+
+  const membership = await getMembership(userId);
+  return membership && Number(membership.org_id) === Number(orgId) ? membership.role : null;
+}
+
+/**
+ * Whether a nonprofit user may perform an action in an organization
+ * @param {Object} user - Needs id and role
+ * @param {number} orgId
+ * @param {string} permission
+ * @returns {Promise<boolean>}
+ */
+async function canInOrganization(user, orgId, permission) {
+  if (!user || user.role !== 'nonprofit') {
+    return false;
+  }
+
+  const role = await getMemberRole(user.id, orgId);
+  return hasOrganizationPermission(role, permission);
+}
+
+async function createOwnerMembership(orgId, userId, { transaction } = {}) {
+  return OrganizationMember.create({
+    org_id: orgId,
+    user_id: userId,
+    role: 'owner',
+    invited_by: null
+  }, { transaction });
+}
+
+async function listMembers(orgId) {
+  return OrganizationMember.findAll({
+    where: { org_id: orgId },
+    include: [
+      {
+        model: User,
+        as: 'user',
+        attributes: ['id', 'name', 'email', 'account_status']
+      }
+    ],
+    order: [['created_at', 'ASC']]
+  });
+}
+
+async function listPendingInvitations(orgId) {
+  const invitations = await OrganizationInvitation.findAll({
+    where: {
+      org_id: orgId,
+      accepted_at: null,
+      revoked_at: null,
+      expires_at: { [Op.gt]: new Date() }
+    },
+    order: [['created_at', 'DESC']]
+  });
+
+  return invitations.map((invitation) => invitation.toSafeObject());
+}
+
+function assertValidRole(role) {
+  if (!ORGANIZATION_MEMBER_ROLES.includes(role)) {
+    throw new Error('INVALID_MEMBER_ROLE');
+  }
+}
+
+// Only owners can hand out or take away the owner role
+function assertCanAssignRole(actorRole, ...roles) {
+  if (roles.includes('owner') && actorRole !== 'owner') {
+    throw new Error('OWNER_ROLE_REQUIRED');
+  }
+}
+
+async function assertNotLastOwner(member, transaction) {
+  if (member.role !== 'owner') {
+    return;
+  }
+
+  const ownerCount = await OrganizationMember.count({
+    where: { org_id: member.org_id, role: 'owner' },
+    transaction
+  });
+
+  if (ownerCount <= 1) {
+    throw new Error('LAST_OWNER');
+  }
+}
+
+/**
+ * Invite someone to the organization by email. Re-inviting an address replaces its pending
+ * invitation. The token is only ever sent by email; if the email cannot be sent the invitation
+ * is discarded.
+ * @param {Object} params
+ * @param {Object} params.actor - Inviting user (id, name) with actorRole their member role
+ * @returns {Promise<Object>} Invitation without its token hash
+ */
+async function inviteMember({ orgId, actor, actorRole, email, role }) {
+  const normalizedEmail = normalizeEmail(email);
+
+  if (!EMAIL_PATTERN.test(normalizedEmail)) {
+    throw new Error('INVALID_EMAIL');
+  }
+  assertValidRole(role);
+  assertCanAssignRole(actorRole, role);
+
+  const organization = await Organization.findByPk(orgId, { attributes: ['id', 'name'] });
+  if (!organization) {
+    throw new Error('ORGANIZATION_NOT_FOUND');
+  }
+
+  const existingUser = await User.findOne({
+    where: sequelize.where(sequelize.fn('lower', sequelize.col('email')), normalizedEmail),
+    attributes: ['id', 'org_id']
+  });
+  if (existingUser && Number(existingUser.org_id) === Number(orgId)) {
+    throw new Error('ALREADY_MEMBER');
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + INVITATION_TTL_MS);
+
+  const invitation = await sequelize.transaction(async (transaction) => {
+    await OrganizationInvitation.update(
+      { revoked_at: new Date() },
+      {
+        where: { org_id: orgId, email: normalizedEmail, accepted_at: null, revoked_at: null },
+        transaction
+      }
+    );
+
+    return OrganizationInvitation.create({
+      org_id: orgId,
+      email: normalizedEmail,
+      role,
+      token_hash: hashInvitationToken(token),
+      invited_by: actor.id,
+      expires_at: expiresAt
+    }, { transaction });
+  });
+
+  try {
+    await emailService.sendOrganizationInvitationEmail(normalizedEmail, {
+      organizationName: organization.name,
+      inviterName: actor.name,
+      roleLabel: ROLE_LABELS[role],
+      token,
+      expiresAt
+    });
+  } catch (error) {
+    console.error(`[Organization Members] Failed to send invitation ${invitation.id}:`, error.message);
+    await invitation.destroy();
+    throw new Error('INVITATION_EMAIL_FAILED');
+  }
+
+  return invitation.toSafeObject();
+}
+
+async function revokeInvitation({ orgId, invitationId }) {
+  const invitation = await OrganizationInvitation.findOne({
+    where: { id: invitationId, org_id: orgId, accepted_at: null, revoked_at: null }
+  });
+
+  if (!invitation) {
+    throw new Error('INVITATION_NOT_FOUND');
+  }
+
+  await invitation.update({ revoked_at: new Date() });
+  return invitation.toSafeObject();
+}
+
+/**
+ * Join the inviting organization. The signed-in account must be a nonprofit account registered
+ * under the invited email address and not already in an organization.
+ * @param {Object} params
+ * @param {Transaction} [params.transaction] - Signup passes its own so the new account and its
+ *   membership are created together
+ * @returns {Promise<{membership: OrganizationMember, invitation: Object}>}
+ */
+async function acceptInvitation({ token, user, transaction: outerTransaction }) {
+  if (typeof token !== 'string' || !token.trim()) {
+    throw new Error('INVITATION_NOT_FOUND');
+  }
+
+  const invitation = await OrganizationInvitation.findOne({
+    where: { token_hash: hashInvitationToken(token.trim()) },
+    transaction: outerTransaction
+  });
+
+  if (!invitation || invitation.accepted_at || invitation.revoked_at) {
+    throw new Error('INVITATION_NOT_FOUND');
+  }
+  if (invitation.isExpired()) {
+    throw new Error('INVITATION_EXPIRED');
+  }
+  if (normalizeEmail(user.email) !== invitation.email) {
+    throw new Error('INVITATION_EMAIL_MISMATCH');
+  }
+  if (user.role !== 'nonprofit') {
+    throw new Error('NONPROFIT_ACCOUNT_REQUIRED');
+  }
+
+  const inTransaction = (callback) => (
+    outerTransaction ? callback(outerTransaction) : sequelize.transaction(callback)
+  );
+
+  const membership = await inTransaction(async (transaction) => {
+    const existing = await OrganizationMember.findOne({ where: { user_id: user.id }, transaction });
+    if (existing || (user.org_id && Number(user.org_id) !== Number(invitation.org_id))) {
+      throw new Error(existing && Number(existing.org_id) === Number(invitation.org_id)
+        ? 'ALREADY_MEMBER'
+        : 'ALREADY_IN_ORGANIZATION');
+    }
+
+    const [claimed] = await OrganizationInvitation.update(
+      { accepted_at: new Date(), accepted_by: user.id },
+      { where: { id: invitation.id, accepted_at: null, revoked_at: null }, transaction }
+    );
+    if (claimed === 0) {
+      throw new Error('INVITATION_NOT_FOUND');
+    }
+
+    const created = await OrganizationMember.create({
+      org_id: invitation.org_id,
+      user_id: user.id,
+      role: invitation.role,
+      invited_by: invitation.invited_by
+    }, { transaction });
+
+    await User.update({ org_id: invitation.org_id }, { where: { id: user.id }, transaction });
+
+    return created;
+  });
+
+  return { membership, invitation: invitation.toSafeObject() };
+}
+
+async function findMember(orgId, memberUserId, transaction) {
+  const member = await OrganizationMember.findOne({
+    where: { org_id: orgId, user_id: memberUserId },
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+
+  if (!member) {
+    throw new Error('MEMBER_NOT_FOUND');
+  }
+  return member;
+}
+
+async function updateMemberRole({ orgId, actorRole, memberUserId, role }) {
+  assertValidRole(role);
+
+  return sequelize.transaction(async (transaction) => {
+    const member = await findMember(orgId, memberUserId, transaction);
+    const previousRole = member.role;
+
+    assertCanAssignRole(actorRole, previousRole, role);
+    if (role !== 'owner') {
+      await assertNotLastOwner(member, transaction);
+    }
+
+    await member.update({ role }, { transaction });
+    return { member, previousRole };
+  });
+}
+
+/**
+ * Remove a member (or let a member leave). Their account stays, unlinked from the organization.
+ */
+async function removeMember({ orgId, actorRole, memberUserId }) {
+  return sequelize.transaction(async (transaction) => {
+    const member = await findMember(orgId, memberUserId, transaction);
+
+    assertCanAssignRole(actorRole, member.role);
+    await assertNotLastOwner(member, transaction);
+
+    await member.destroy({ transaction });
+    await User.update({ org_id: null }, { where: { id: memberUserId, org_id: orgId }, transaction });
+
+    return member;
+  });
+}
+
+module.exports = {
+  ORGANIZATION_MEMBER_ROLES,
+  ORGANIZATION_PERMISSIONS,
+  hashInvitationToken,
+  hasOrganizationPermission,
+  getMembership,
+  getMemberRole,
+  canInOrganization,
+  createOwnerMembership,
+  listMembers,
+  listPendingInvitations,
+  inviteMember,
+  revokeInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember
+};
@@ -0,0 +1,595 @@
+const { Op } = require('sequelize');
+const sequelize = require('../database');
+const {
+  Organization,
+  OrganizationMember,
+  OrganizationVerificationRequest,
+  OrganizationVerificationDocument,
+  User
+} = require('../database/models');
+const { getStorageAdapter } = require('./storage');
+const { evaluateUploadSecurity } = require('./uploadSecurityService');
+const notificationService = require('./notificationService');
+const { ORGANIZATION_PERMISSIONS } = require('./organizationMemberService');
+const { logAudit, AUDIT_ACTIONS } = require('../utils/auditLogger');
+
+/**
+ * Nonprofit verification: an organization submits its registration number with supporting
+ * documents, an admin approves, rejects or asks for more information, and an approval is valid
+ * for ORGANIZATION_VERIFICATION_VALID_DAYS. Organization.is_verified is the public badge.
+ *
+ * Request statuses: pending -> approved | rejected | info_requested; an info_requested request
+ * goes back to pending when the organization responds.
+ */
+
+const REVIEW_ACTIONS = ['approve', 'reject', 'request_info'];
+const OPEN_REQUEST_STATUSES = ['pending', 'info_requested'];
+const MAX_REGISTRATION_NUMBER_LENGTH = 100;
+const DEFAULT_VALID_DAYS = 365;
+const DEFAULT_REMINDER_DAYS = 30;
+const DEFAULT_REMINDER_BATCH_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DOCUMENT_ATTRIBUTES = ['id', 'request_id', 'file_name', 'mimetype', 'size', 'uploaded_by', 'created_at'];
+
+function getValidityDays() {
+  return Number.parseInt(process.env.ORGANIZATION_VERIFICATION_VALID_DAYS, 10) || DEFAULT_VALID_DAYS;
+}
+
+function getReminderDays() {
+  return Number.parseInt(process.env.ORGANIZATION_REVERIFICATION_REMINDER_DAYS, 10) || DEFAULT_REMINDER_DAYS;
+}
+
+function normalizeText(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+async function findOpenRequest(orgId, transaction) {
+  return OrganizationVerificationRequest.findOne({
+    where: { org_id: orgId, status: { [Op.in]: OPEN_REQUEST_STATUSES } },
+    order: [['created_at', 'DESC']],
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+}
+
+// Owners and admins: the roles that can act on a verification request
+async function getOrganizationManagerIds(orgId) {
+  const managers = await OrganizationMember.findAll({
+    where: { org_id: orgId, role: { [Op.in]: ORGANIZATION_PERMISSIONS['organization:update'] } },
+    attributes: ['user_id']
+  });
+  return managers.map((member) => member.user_id);
+}
+
+async function notifyOrganization(orgId, extraUserIds, { type, title, message, metadata }) {
+  try {
+    const recipientIds = Array.from(new Set([
+      ...(await getOrganizationManagerIds(orgId)),
+      ...extraUserIds.filter(Boolean)
+    ]));
+
+    if (recipientIds.length > 0) {
+      await notificationService.createBulkNotifications(recipientIds, {
+        type,
+        title,
+        message,
+        link: '/organization/verification',
+        metadata: { organization_id: orgId, ...metadata }
+      });
+    }
+  } catch (error) {
+    console.error(`[Organization Verification] Failed to notify organization ${orgId}:`, error.message);
+  }
+}
+
+async function notifyAdmins({ organization, request, resubmitted }) {
+  try {
+    const admins = await User.findAll({
+      where: { role: { [Op.in]: ['admin', 'super_admin'] }, account_status: 'active' },
+      attributes: ['id']
+    });
+
+    if (admins.length > 0) {
+      await notificationService.createBulkNotifications(admins.map((admin) => admin.id), {
+        type: 'organization_verification_updated',
+        title: resubmitted ? 'Verification Information Received' : 'New Organization Verification Request',
+        message: `${organization.name} ${resubmitted ? 'responded to your information request' : 'requested nonprofit verification'}.`,
+        link: '/admin?tab=organization-verifications',
+        metadata: { organization_id: organization.id, verification_request_id: request.id }
+      });
+    }
+  } catch (error) {
+    console.error('[Organization Verification] Failed to notify admins:', error.message);
+  }
+}
+
+/**
+ * Verification state of an organization and its most recent request
+ * @param {number} orgId
+ * @returns {Promise<{organization: Object, request: Object|null}>}
+ */
+async function getVerificationSummary(orgId) {
+  const organization = await Organization.findByPk(orgId, {
+    attributes: ['id', 'name', 'EIN', 'verification_status', 'verified_at', 'verification_expires_at', 'is_verified']
+  });
+  if (!organization) {
+    throw new Error('ORGANIZATION_NOT_FOUND');
+  }
+
+  const request = await OrganizationVerificationRequest.findOne({
+    where: { org_id: orgId },
+    include: [{ model: OrganizationVerificationDocument, as: 'documents', attributes: DOCUMENT_ATTRIBUTES }],
+    order: [['created_at', 'DESC']]
+  });
+
+  return { organization, request };
+}
+
+async function deleteStoredFiles(storageAdapter, storageKeys) {
+  await Promise.all(storageKeys.map(async (storageKey) => {
+    try {
+      await storageAdapter.delete(storageKey);
+    } catch (error) {
+      console.error(`[Organization Verification] Failed to remove ${storageKey}:`, error.message);
+    }
+  }));
+}
+
+/**
+ * Submit a verification request, or respond to an admin's information request with more
+ * documents or notes. Every file is checked by the upload security policy before anything is
+ * stored; if one is rejected nothing is saved and its evaluation is returned.
+ * @param {Object} params
+ * @param {Object} params.user - Submitting member
+ * @param {Array<Object>} params.files - Multer files (buffer, originalname, mimetype, size)
+ * @returns {Promise<Object>} { accepted: true, request, resubmitted } or a rejected upload evaluation
+ */
+async function submitVerificationRequest({
+  orgId,
+  user,
+  registrationNumber,
+  registrationAuthority,
+  notes,
+  files = [],
+  route
+}) {
+  const organization = await Organization.findByPk(orgId);
+  if (!organization) {
+    throw new Error('ORGANIZATION_NOT_FOUND');
+  }
+
+  const normalizedNumber = normalizeText(registrationNumber);
+  if (normalizedNumber && normalizedNumber.length > MAX_REGISTRATION_NUMBER_LENGTH) {
+    throw new Error('INVALID_REGISTRATION_NUMBER');
+  }
+
+  const openRequest = await findOpenRequest(orgId);
+  if (openRequest && openRequest.status === 'pending') {
+    throw new Error('VERIFICATION_ALREADY_PENDING');
+  }
+
+  const resubmitted = Boolean(openRequest);
+  const normalizedNotes = normalizeText(notes);
+  if (!resubmitted && !normalizedNumber) {
+    throw new Error('REGISTRATION_NUMBER_REQUIRED');
+  }
+  if (!resubmitted && files.length === 0) {
+    throw new Error('DOCUMENTS_REQUIRED');
+  }
+  if (resubmitted && files.length === 0 && !normalizedNotes && !normalizedNumber) {
+    throw new Error('VERIFICATION_RESPONSE_REQUIRED');
+  }
+
+  const evaluations = [];
+  for (const file of files) {
+    const securityEvaluation = await evaluateUploadSecurity({
+      user,
+      file,
+      surface: 'organization_verification',
+      route,
+      metadata: { organization_id: orgId }
+    });
+
+    if (!securityEvaluation.accepted) {
+      return securityEvaluation;
+    }
+    evaluations.push(securityEvaluation);
+  }
+
+  const storageAdapter = getStorageAdapter();
+  const stored = [];
+  try {
+    for (const [index, file] of files.entries()) {
+      const { storageKey } = await storageAdapter.save({
+        storagePrefix: `organization-verifications/org-${orgId}`,
+        filename: file.originalname,
+        buffer: file.buffer,
+        mimetype: file.mimetype
+      });
+      stored.push({ file, storageKey, contentHash: evaluations[index].contentHash });
+    }
+
+    const request = await sequelize.transaction(async (transaction) => {
+      let target = await findOpenRequest(orgId, transaction);
+      if (target && target.status === 'pending') {
+        throw new Error('VERIFICATION_ALREADY_PENDING');
+      }
+
+      if (target) {
+        await target.update({
+          status: 'pending',
+          registration_number: normalizedNumber || target.registration_number,
+          registration_authority: normalizeText(registrationAuthority) || target.registration_authority,
+          notes: normalizedNotes || target.notes,
+          submitted_by: user.id,
+          submitted_at: new Date()
+        }, { transaction });
+      } else {
+        target = await OrganizationVerificationRequest.create({
+          org_id: orgId,
+          submitted_by: user.id,
+          registration_number: normalizedNumber,
+          registration_authority: normalizeText(registrationAuthority),
+          notes: normalizedNotes,
+          status: 'pending',
+          submitted_at: new Date()
+        }, { transaction });
+      }
+
+      for (const { file, storageKey, contentHash } of stored) {
+        await OrganizationVerificationDocument.create({
+          request_id: target.id,
+          uploaded_by: user.id,
+          file_name: file.originalname,
+          mimetype: file.mimetype,
+          size: file.size || file.buffer?.length || 0,
+          storage_key: storageKey,
+          content_hash: contentHash || null
+        }, { transaction });
+      }
+
+      // A verified organization keeps its badge while renewing
+      if (!organization.isVerified()) {
+        await organization.update({ verification_status: 'pending' }, { transaction });
+      }
+
+      return target;
+    });
+
+    await logAudit({
+      actorId: user.id,
+      action: AUDIT_ACTIONS.ORGANIZATION_VERIFICATION_SUBMITTED,
+      entityType: 'ORGANIZATION',
+      entityId: orgId,
+      metadata: {
+        verification_request_id: request.id,
+        resubmitted,
+        document_count: stored.length
+      }
+    });
+    await notifyAdmins({ organization, request, resubmitted });
+
+    return { accepted: true, request, resubmitted };
+  } catch (error) {
+    await deleteStoredFiles(storageAdapter, stored.map((item) => item.storageKey));
+    throw error;
+  }
+}
+
+/**
+ * Admin review queue, oldest submission first
+ * @param {Object} [options]
+ * @param {string} [options.status] - Request status; defaults to the open statuses
+ */
+async function listVerificationRequests({ status, page = 1, limit = 20 } = {}) {
+  const where = {};
+  if (status && status !== 'all') {
+    where.status = status;
+  } else if (!status) {
+    where.status = { [Op.in]: OPEN_REQUEST_STATUSES };
+  }
+
+  const { count, rows } = await OrganizationVerificationRequest.findAndCountAll({
+    where,
+    include: [
+      {
+        model: Organization,
+        as: 'organization',
+        attributes: ['id', 'name', 'EIN', 'verification_status', 'verification_expires_at']
+      },
+      { model: User, as: 'submitter', attributes: ['id', 'name', 'email'] },
+      { model: OrganizationVerificationDocument, as: 'documents', attributes: DOCUMENT_ATTRIBUTES }
+    ],
+    order: [['submitted_at', 'ASC']],
+    limit,
+    offset: (page - 1) * limit,
+    distinct: true
+  });
+
+  return { count, requests: rows };
+}
+
+async function getVerificationRequest(requestId) {
+  const request = await OrganizationVerificationRequest.findByPk(requestId, {
+    include: [
+      {
+        model: Organization,
+        as: 'organization',
+        attributes: ['id', 'name', 'EIN', 'website', 'location', 'verification_status', 'verified_at', 'verification_expires_at']
+      },
+      { model: User, as: 'submitter', attributes: ['id', 'name', 'email'] },
+      { model: User, as: 'reviewer', attributes: ['id', 'name', 'email'] },
+      { model: OrganizationVerificationDocument, as: 'documents', attributes: DOCUMENT_ATTRIBUTES }
+    ]
+  });
+
+  if (!request) {
+    throw new Error('VERIFICATION_REQUEST_NOT_FOUND');
+  }
+  return request;
+}
+
+const REVIEW_OUTCOMES = {
+  approve: {
+    status: 'approved',
+    audit: AUDIT_ACTIONS.ORGANIZATION_VERIFICATION_APPROVED,
+    title: 'Organization Verified',
+    message: (name) => `${name} is now a verified nonprofit.`
+  },
+  reject: {
+    status: 'rejected',
+    audit: AUDIT_ACTIONS.ORGANIZATION_VERIFICATION_REJECTED,
+    title: 'Verification Request Rejected',
+    message: (name, note) => `The verification request for ${name} was rejected. ${note}`
+  },
+  request_info: {
+    status: 'info_requested',
+    audit: AUDIT_ACTIONS.ORGANIZATION_VERIFICATION_INFO_REQUESTED,
+    title: 'More Verification Information Needed',
+    message: (name, note) => `An admin needs more information to verify ${name}. ${note}`
+  }
+};
+
+/**
+ * Approve, reject or ask for more information on an open request. Reject and request_info
+ * need a message for the organization. Rejecting a renewal leaves an unexpired verification
+ * in place.
+ * @param {Object} params
+ * @param {Object} params.reviewer - Admin user
+ * @param {string} params.action - One of REVIEW_ACTIONS
+ * @returns {Promise<{request: OrganizationVerificationRequest, organization: Organization}>}
+ */
+async function reviewVerificationRequest({ requestId, reviewer, action, message }) {
+  if (!REVIEW_ACTIONS.includes(action)) {
+    throw new Error('INVALID_REVIEW_ACTION');
+  }
+
+  const reviewMessage = normalizeText(message);
+  if (action !== 'approve' && !reviewMessage) {
+    throw new Error('REVIEW_MESSAGE_REQUIRED');
+  }
+
+  const outcome = REVIEW_OUTCOMES[action];
+
+  const result = await sequelize.transaction(async (transaction) => {
+    const request = await OrganizationVerificationRequest.findByPk(requestId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!request) {
+      throw new Error('VERIFICATION_REQUEST_NOT_FOUND');
+    }
+    if (!request.isOpen()) {
+      throw new Error('VERIFICATION_REQUEST_NOT_OPEN');
+    }
+
+    const organization = await Organization.findByPk(request.org_id, { transaction });
+    const now = new Date();
+
+    await request.update({
+      status: outcome.status,
+      review_message: reviewMessage,
+      reviewed_by: reviewer.id,
+      reviewed_at: now
+    }, { transaction });
+
+    if (action === 'approve') {
+      await organization.update({
+        verification_status: 'verified',
+        verified_at: now,
+        verification_expires_at: new Date(now.getTime() + getValidityDays() * DAY_MS),
+        reverification_reminded_at: null
+      }, { transaction });
+    } else if (action === 'reject' && !organization.isVerified(now)) {
+      await organization.update({ verification_status: 'rejected' }, { transaction });
+    }
+
+    return { request, organization };
+  });
+
+  const { request, organization } = result;
+
+  await logAudit({
+    actorId: reviewer.id,
+    action: outcome.audit,
+    entityType: 'ORGANIZATION',
+    entityId: organization.id,
+    metadata: {
+      verification_request_id: request.id,
+      message: reviewMessage,
+      verification_expires_at: organization.verification_expires_at
+    }
+  });
+
+  await notifyOrganization(organization.id, [request.submitted_by], {
+    type: 'organization_verification_updated',
+    title: outcome.title,
+    message: outcome.message(organization.name, reviewMessage || '').trim(),
+    metadata: {
+      verification_request_id: request.id,
+      verification_status: request.status
+    }
+  });
+
+  return result;
+}
+
+/**
+ * A verification document, scoped to a request (admin) or an organization (members)
+ */
+async function findVerificationDocument({ documentId, requestId = null, orgId = null }) {
+  const requestWhere = {};
+  if (requestId) {
+    requestWhere.id = requestId;
+  }
+  if (orgId) {
+    requestWhere.org_id = orgId;
+  }
+
+  const document = await OrganizationVerificationDocument.findOne({
+    where: { id: documentId },
+    include: [
+      {
+        model: OrganizationVerificationRequest,
+        as: 'request',
+        where: requestWhere,
+        attributes: ['id', 'org_id']
+      }
+    ]
+  });
+
+  if (!document) {
+    throw new Error('DOCUMENT_NOT_FOUND');
+  }
+  return document;
+}
+
+async function processExpiredVerification(organization, now) {
+  const openRequest = await findOpenRequest(organization.id);
+  await organization.update({ verification_status: openRequest ? 'pending' : 'expired' });
+
+  await logAudit({
+    actorId: null,
+    action: AUDIT_ACTIONS.ORGANIZATION_VERIFICATION_EXPIRED,
+    entityType: 'ORGANIZATION',
+    entityId: organization.id,
+    metadata: {
+      verification_expires_at: organization.verification_expires_at,
+      open_request_id: openRequest ? openRequest.id : null,
+      expired_at: now.toISOString()
+    }
+  });
+
+  await notifyOrganization(organization.id, [], {
+    type: 'organization_reverification_due',
+    title: 'Organization Verification Expired',
+    message: openRequest
+      ? `The verification for ${organization.name} has expired. Your renewal request is still under review.`
+      : `The verification for ${organization.name} has expired. Submit a new verification request to restore your verified badge.`,
+    metadata: { verification_status: organization.verification_status }
+  });
+}
+
+async function processUpcomingExpiry(organization, now) {
+  const openRequest = await findOpenRequest(organization.id);
+  if (!openRequest) {
+    const daysLeft = Math.max(1, Math.ceil((new Date(organization.verification_expires_at) - now) / DAY_MS));
+    await notifyOrganization(organization.id, [], {
+      type: 'organization_reverification_due',
+      title: 'Organization Verification Expiring Soon',
+      message: `The verification for ${organization.name} expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}. Submit updated documents to keep your verified badge.`,
+      metadata: { verification_expires_at: organization.verification_expires_at }
+    });
+  }
+
+  await organization.update({ reverification_reminded_at: now });
+  return Boolean(!openRequest);
+}
+
+/**
+ * Mark lapsed verifications as expired and remind organizations whose verification ends within
+ * ORGANIZATION_REVERIFICATION_REMINDER_DAYS. Each organization is reminded once per approval
+ * (approving clears reverification_reminded_at).
+ * @param {Object} [options]
+ * @param {number|null} [options.maxDurationMs] - Stop starting new batches after this long
+ * @returns {Promise<{expired: number, reminded: number, failed: number, completed: boolean}>}
+ */
+async function sendReverificationReminders({
+  now = new Date(),
+  batchSize = DEFAULT_REMINDER_BATCH_SIZE,
+  maxDurationMs = null
+} = {}) {
+  const startedAt = Date.now();
+  const summary = { expired: 0, reminded: 0, failed: 0, completed: false };
+  const failedIds = [];
+  const reminderCutoff = new Date(now.getTime() + getReminderDays() * DAY_MS);
+
+  const phases = [
+    {
+      where: { verification_expires_at: { [Op.lte]: now } },
+      run: async (organization) => {
+        await processExpiredVerification(organization, now);
+        summary.expired += 1;
+      }
+    },
+    {
+      where: {
+        verification_expires_at: { [Op.gt]: now, [Op.lte]: reminderCutoff },
+        reverification_reminded_at: null
+      },
+      run: async (organization) => {
+        if (await processUpcomingExpiry(organization, now)) {
+          summary.reminded += 1;
+        }
+      }
+    }
+  ];
+
+  for (const phase of phases) {
+    for (;;) {
+      if (maxDurationMs && Date.now() - startedAt >= maxDurationMs) {
+        return summary;
+      }
+
+      const where = { ...phase.where, verification_status: 'verified' };
+      if (failedIds.length > 0) {
+        where.id = { [Op.notIn]: failedIds };
+      }
+
+      const organizations = await Organization.findAll({
+        where,
+        order: [['verification_expires_at', 'ASC']],
+        limit: batchSize
+      });
+
+      for (const organization of organizations) {
+        try {
+          await phase.run(organization);
+        } catch (error) {
+          failedIds.push(organization.id);
+          summary.failed += 1;
+          console.error(`[Organization Verification] Reminder failed for organization ${organization.id}:`, error.message);
+        }
+      }
+
+      if (organizations.length < batchSize) {
+        break;
+      }
+    }
+  }
+
+  summary.completed = true;
+  return summary;
+}
+
+module.exports = {
+  REVIEW_ACTIONS,
+  getVerificationSummary,
+  submitVerificationRequest,
+  listVerificationRequests,
+  getVerificationRequest,
+  reviewVerificationRequest,
+  findVerificationDocument,
+  sendReverificationReminders
+};
@@ -0,0 +1,31 @@
+const LocalPaymentAdapter = require('./localPaymentAdapter');
+
+const PAYMENT_DRIVER_LOCAL = 'local';
+
+let adapterInstance;
+
+function createAdapter() {
+  const driver = (process.env.PAYMENT_DRIVER || PAYMENT_DRIVER_LOCAL).toLowerCase();
+
+  if (driver === PAYMENT_DRIVER_LOCAL) {
+    return new LocalPaymentAdapter();
+  }
+
+  throw new Error(`Unsupported payment driver: ${driver}`);
+}
+
+function getPaymentAdapter() {
+  if (!adapterInstance) {
+    adapterInstance = createAdapter();
+  }
+  return adapterInstance;
+}
+
+function resetPaymentAdapter() {
+  adapterInstance = null;
+}
+
+module.exports = {
+  getPaymentAdapter,
+  resetPaymentAdapter
+};
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const PaymentAdapter = require('./paymentAdapter');
+
+/**
+ * Fake processor for local development and tests: every payment succeeds immediately and is kept
+ * in memory only.
+ */
+class LocalPaymentAdapter extends PaymentAdapter {
+  constructor() {
+    super();
+    this.payments = new Map();
+    this.referencesByIdempotencyKey = new Map();
+  }
+
+  get provider() {
+    return 'local';
+  }
+
+  async createPayment({ invoiceNumber, amount, payeeId, idempotencyKey = null, metadata = {} }) {
+    if (idempotencyKey && this.referencesByIdempotencyKey.has(idempotencyKey)) {
+      const existing = this.payments.get(this.referencesByIdempotencyKey.get(idempotencyKey));
+      return { provider: existing.provider, reference: existing.reference, status: existing.status };
+    }
+
+    const reference = `local_${crypto.randomBytes(8).toString('hex')}`;
+    const payment = {
+      provider: this.provider,
+      reference,
+      status: 'succeeded',
+      invoiceNumber,
+      amount,
+      payeeId,
+      metadata,
+      createdAt: new Date()
+    };
+    this.payments.set(reference, payment);
+    if (idempotencyKey) {
+      this.referencesByIdempotencyKey.set(idempotencyKey, reference);
+    }
+    return { provider: payment.provider, reference, status: payment.status };
+  }
+
+  async getPayment(reference) {
+    return this.payments.get(reference) || null;
+  }
+}
+
+module.exports = LocalPaymentAdapter;
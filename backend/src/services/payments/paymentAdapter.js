@@ -0,0 +1,20 @@
+/**
+ * Payment processor interface. createPayment sends an invoice amount to the researcher and
+ * resolves with { provider, reference, status } where status is 'succeeded' or 'failed'.
+ * Calls with the same idempotencyKey must return the original payment instead of paying again.
+ */
+class PaymentAdapter {
+  get provider() {
+    throw new Error('provider not implemented');
+  }
+
+  async createPayment() {
+    throw new Error('createPayment() not implemented');
+  }
+
+  async getPayment() {
+    throw new Error('getPayment() not implemented');
+  }
+}
+
+module.exports = PaymentAdapter;
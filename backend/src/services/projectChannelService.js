@@ -0,0 +1,357 @@
+const { Op, QueryTypes, UniqueConstraintError } = require('sequelize');
+const sequelize = require('../database');
+const {
+  Project,
+  Application,
+  ProjectResearcherAccess,
+  MilestoneResearcher,
+  Milestone,
+  Contract,
+  Thread,
+  ThreadParticipant,
+  User,
+  JobCursor,
+} = require('../database/models');
+const messageService = require('./messageService');
+
+/**
+ * Project team channels: one group thread per project whose members are the project's
+ * nonprofit staff and the researchers currently working on it. Membership is derived, never
+ * edited by hand, so every path that changes a researcher's standing calls
+ * syncProjectChannel and the reconciler task repairs anything those calls missed.
+ */
+
+const DEFAULT_RECONCILE_BATCH_SIZE = 100;
+const RECONCILE_CURSOR_NAME = 'project_channel_reconcile';
+
+function getUserDisplayName(user) {
+  return user?.name || user?.email || `User #${user?.id}`;
+}
+
+/**
+ * Researchers who belong in the team channel: accepted on the project, not stripped of all
+ * access through setProjectResearcherAccess, and not under a terminated agreement.
+ * @returns {Promise<number[]>}
+ */
+async function getActiveResearcherIds(projectId) {
+  const acceptedApplications = await Application.findAll({
+    where: { project_id: projectId, status: 'accepted' },
+    attributes: ['researcher_id'],
+  });
+
+  const acceptedIds = Array.from(new Set(acceptedApplications.map((application) => Number(application.researcher_id))));
+
+  if (acceptedIds.length === 0) {
+    return [];
+  }
+
+  const [accessRows, assignments, contracts] = await Promise.all([
+    ProjectResearcherAccess.findAll({
+      where: { project_id: projectId, researcher_id: acceptedIds },
+      attributes: ['researcher_id', 'whole_project'],
+    }),
+    MilestoneResearcher.findAll({
+      include: [
+        {
+          model: Milestone,
+          as: 'milestone',
+          attributes: ['id'],
+          where: { project_id: projectId },
+          required: true,
+        },
+      ],
+      where: { researcher_id: acceptedIds },
+      attributes: ['researcher_id'],
+    }),
+    Contract.findAll({
+      where: { project_id: projectId, researcher_user_id: acceptedIds },
+      attributes: ['id', 'researcher_user_id', 'status'],
+      order: [['id', 'DESC']],
+    }),
+  ]);
+
+  const accessByResearcherId = new Map(accessRows.map((row) => [Number(row.researcher_id), row]));
+  const assignedIds = new Set(assignments.map((assignment) => Number(assignment.researcher_id)));
+
+  // Contracts are ordered newest first, so the first one seen per researcher is their latest
+  const latestContractStatus = new Map();
+  for (const contract of contracts) {
+    const researcherId = Number(contract.researcher_user_id);
+    if (!latestContractStatus.has(researcherId)) {
+      latestContractStatus.set(researcherId, contract.status);
+    }
+  }
+
+  return acceptedIds.filter((researcherId) => {
+    const access = accessByResearcherId.get(researcherId);
+    const accessRevoked = access && !access.whole_project && !assignedIds.has(researcherId);
+
+    return !accessRevoked && latestContractStatus.get(researcherId) !== 'terminated';
+  });
+}
+
+async function getNonprofitMemberIds(orgId) {
+  const staff = await User.findAll({
+    where: {
+      org_id: orgId,
+      role: 'nonprofit',
+      account_status: { [Op.ne]: 'suspended' },
+    },
+    attributes: ['id'],
+  });
+
+  return staff.map((user) => Number(user.id));
+}
+
+async function findOrCreateChannel(project, creatorId) {
+  const where = { project_id: project.project_id, is_project_channel: true };
+  const existing = await Thread.findOne({ where });
+
+  if (existing) {
+    return existing;
+  }
+
+  try {
+    return await Thread.create({
+      thread_type: 'group',
+      direct_key: null,
+      name: `${project.title} team`,
+      project_id: project.project_id,
+      nonprofit_id: project.org_id,
+      is_project_channel: true,
+      created_by: creatorId,
+      last_message_at: null,
+    });
+  } catch (error) {
+    // Created concurrently by another sync
+    if (error instanceof UniqueConstraintError) {
+      return Thread.findOne({ where });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Work out the channel's membership changes and write them; runs under the project's lock
+ */
+async function updateChannelMembers(normalizedProjectId, actorId, transaction) {
+  const summary = { project_id: normalizedProjectId, thread_id: null, added: [], removed: [] };
+
+  const project = await Project.findByPk(normalizedProjectId, {
+    attributes: ['project_id', 'title', 'org_id'],
+  });
+
+  if (!project) {
+    return { summary, channel: null };
+  }
+
+  const [staffIds, researcherIds] = await Promise.all([
+    getNonprofitMemberIds(project.org_id),
+    getActiveResearcherIds(normalizedProjectId),
+  ]);
+  const memberIds = new Set([...staffIds, ...researcherIds]);
+
+  let channel = await Thread.findOne({
+    where: { project_id: normalizedProjectId, is_project_channel: true },
+  });
+
+  if (!channel) {
+    if (researcherIds.length === 0) {
+      return { summary, channel: null };
+    }
+    channel = await findOrCreateChannel(project, actorId || staffIds[0] || researcherIds[0]);
+  }
+
+  summary.thread_id = channel.id;
+
+  const participants = await ThreadParticipant.findAll({
+    where: { thread_id: channel.id },
+    attributes: ['user_id'],
+    transaction,
+  });
+  const currentIds = new Set(participants.map((participant) => Number(participant.user_id)));
+
+  summary.added = Array.from(memberIds).filter((userId) => !currentIds.has(userId));
+  summary.removed = Array.from(currentIds).filter((userId) => !memberIds.has(userId));
+
+  if (summary.added.length > 0) {
+    await ThreadParticipant.bulkCreate(
+      summary.added.map((userId) => ({
+        thread_id: channel.id,
+        user_id: userId,
+        unread_count: 0,
+        last_read_message_id: null,
+        joined_at: new Date(),
+      })),
+      { transaction, ignoreDuplicates: true }
+    );
+  }
+
+  if (summary.removed.length > 0) {
+    await ThreadParticipant.destroy({
+      where: { thread_id: channel.id, user_id: summary.removed },
+      transaction,
+    });
+  }
+
+  return { summary, channel };
+}
+
+/**
+ * Bring a project's team channel membership in line with who currently works on it, creating
+ * the channel once the project has a researcher. Each change is posted as a system message.
+ * @param {number} projectId
+ * @param {Object} [options]
+ * @param {number} [options.actorId] - User whose action triggered the sync
+ * @param {string} [options.reason] - Recorded on the system messages (application_accepted,
+ *   access_changed, agreement_terminated or reconciled)
+ * @returns {Promise<{project_id: number, thread_id: number|null, added: number[], removed: number[]}>}
+ */
+async function syncProjectChannel(projectId, { actorId = null, reason = 'reconciled' } = {}) {
+  const normalizedProjectId = Number(projectId);
+
+  // Overlapping syncs of one project (a request and the reconciler) would both see the same
+  // missing members and post each join twice. The advisory lock makes them take turns, so the
+  // second one sees the members the first one committed.
+  const { summary, channel } = await sequelize.transaction(async (transaction) => {
+    await sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:key))', {
+      replacements: { key: `project_channel:${normalizedProjectId}` },
+      transaction,
+    });
+    return updateChannelMembers(normalizedProjectId, actorId, transaction);
+  });
+
+  if (summary.added.length === 0 && summary.removed.length === 0) {
+    return summary;
+  }
+
+  const changedUsers = await User.findAll({
+    where: { id: [...summary.added, ...summary.removed] },
+    attributes: ['id', 'name', 'email'],
+  });
+  const usersById = new Map(changedUsers.map((user) => [Number(user.id), user]));
+
+  if (summary.added.length > 0) {
+    await messageService.publishThreadEvent(summary.added, 'thread.created', {
+      thread: {
+        id: channel.id,
+        thread_type: channel.thread_type,
+        name: channel.name,
+        display_name: channel.name,
+        project_id: channel.project_id,
+        nonprofit_id: channel.nonprofit_id,
+        is_sensitive: channel.is_sensitive,
+        is_project_channel: true,
+        last_message_at: channel.last_message_at,
+      },
+    });
+  }
+
+  if (summary.removed.length > 0) {
+    await messageService.publishThreadEvent(summary.removed, 'thread.removed', {
+      thread_id: channel.id,
+    });
+  }
+
+  for (const [type, userIds, verb] of [
+    ['member_added', summary.added, 'joined'],
+    ['member_removed', summary.removed, 'left'],
+  ]) {
+    for (const userId of userIds) {
+      const name = getUserDisplayName(usersById.get(userId) || { id: userId });
+
+      await messageService.createSystemMessage({
+        threadId: channel.id,
+        subjectUserId: userId,
+        event: { type, user_id: userId, actor_id: actorId, reason },
+        body: `${name} ${verb} the project team`,
+      });
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * syncProjectChannel for request handlers: a failed sync is logged rather than failing the
+ * request, since the reconciler task applies the same change on its next run.
+ */
+async function syncProjectChannelSafely(projectId, options = {}) {
+  try {
+    return await syncProjectChannel(projectId, options);
+  } catch (error) {
+    console.error(`[Project Channels] Failed to sync project ${projectId}:`, error.message);
+    return null;
+  }
+}
+
+async function saveReconcileCursor(position) {
+  await JobCursor.upsert({ name: RECONCILE_CURSOR_NAME, position });
+}
+
+/**
+ * Reconcile every project that has accepted researchers or a team channel, in project id
+ * order, stopping after maxDurationMs. The next run resumes after the last project this one
+ * reached; completed is true when a pass reached the last project and the next starts over.
+ */
+async function reconcileProjectChannels({ batchSize = DEFAULT_RECONCILE_BATCH_SIZE, maxDurationMs = null } = {}) {
+  const startedAt = Date.now();
+  const summary = { projects: 0, added: 0, removed: 0, failed: 0, completed: false };
+  const savedCursor = await JobCursor.findByPk(RECONCILE_CURSOR_NAME);
+  let cursor = Number(savedCursor?.position) || 0;
+
+  while (!maxDurationMs || Date.now() - startedAt < maxDurationMs) {
+    // Application rows live in the agreements table
+    const rows = await sequelize.query(
+      `
+        SELECT project_id FROM (
+          SELECT project_id FROM agreements WHERE status = 'accepted' AND project_id IS NOT NULL
+          UNION
+          SELECT project_id FROM threads WHERE is_project_channel = true AND project_id IS NOT NULL
+        ) candidates
+        WHERE project_id > :afterProjectId
+        ORDER BY project_id ASC
+        LIMIT :limit
+      `,
+      {
+        replacements: { afterProjectId: cursor, limit: batchSize },
+        type: QueryTypes.SELECT,
+      }
+    );
+
+    if (rows.length === 0) {
+      summary.completed = true;
+      await saveReconcileCursor(0);
+      break;
+    }
+
+    for (const row of rows) {
+      cursor = Number(row.project_id);
+      summary.projects += 1;
+
+      try {
+        const result = await syncProjectChannel(row.project_id, { reason: 'reconciled' });
+        summary.added += result.added.length;
+        summary.removed += result.removed.length;
+      } catch (error) {
+        summary.failed += 1;
+        console.error(`[Project Channels] Failed to reconcile project ${row.project_id}:`, error.message);
+      }
+
+      if (maxDurationMs && Date.now() - startedAt >= maxDurationMs) {
+        break;
+      }
+    }
+
+    await saveReconcileCursor(cursor);
+  }
+
+  return summary;
+}
+
+module.exports = {
+  getActiveResearcherIds,
+  syncProjectChannel,
+  syncProjectChannelSafely,
+  reconcileProjectChannels,
+};
@@ -0,0 +1,180 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../database/models');
+
+const SORT_OPTIONS = ['relevance', 'newest', 'budget', 'start_date'];
+const SNIPPET_RADIUS = 80;
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "';
+
+let searchSupportCache = null;
+
+/**
+ * Whether project_ideas carries the trigger-maintained search_vector column.
+ * Databases built without migrations (e.g. sync()-created test schemas) fall back to iLike search.
+ */
+async function hasFullTextSearch() {
+  if (searchSupportCache !== null) {
+    return searchSupportCache;
+  }
+
+  try {
+    const table = await sequelize.getQueryInterface().describeTable('project_ideas');
+    searchSupportCache = Boolean(table.search_vector);
+  } catch (error) {
+    searchSupportCache = false;
+  }
+
+  return searchSupportCache;
+}
+
+function resetSearchSupportCache() {
+  searchSupportCache = null;
+}
+
+function splitWords(text) {
+  return String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Parse a user search string into terms.
+ * - "quoted text" is matched as a phrase
+ * - a trailing * matches by prefix (e.g. educat*)
+ * - hyphenated or punctuated tokens are treated as phrases, like to_tsvector does
+ * @param {string} search
+ * @returns {Array<{ words: string[], prefix: boolean }>}
+ */
+function parseSearchQuery(search) {
+  const terms = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(search || ''))) !== null) {
+    const isPhrase = match[1] !== undefined;
+    const raw = isPhrase ? match[1] : match[2];
+    const prefix = !isPhrase && raw.endsWith('*');
+    const words = splitWords(raw);
+
+    if (words.length > 0) {
+      terms.push({ words, prefix });
+    }
+  }
+
+  return terms;
+}
+
+/**
+ * Build a to_tsquery expression from parsed terms. Words are restricted to letters and
+ * digits by parseSearchQuery, so the result is always valid tsquery syntax.
+ */
+function toTsQuery(terms) {
+  return terms
+    .map(({ words, prefix }) => words
+      .map((word, index) => (prefix && index === words.length - 1 ? `${word}:*` : word))
+      .join(' <-> '))
+    .join(' & ');
+}
+
+const escapeHtmlSql = (expression) => (
+  `replace(replace(replace(${expression}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;')`
+);
+
+/**
+ * Query fragments for ranked full-text search over project_ideas.search_vector
+ * @param {Array} terms - Output of parseSearchQuery
+ * @returns {{ where: Object, attributes: Array, rank: Object }}
+ */
+function buildFullTextQuery(terms) {
+  const tsQuery = `to_tsquery('english', ${sequelize.escape(toTsQuery(terms))})`;
+  // float8 so the rank survives a round trip through a pagination cursor unchanged
+  const rank = sequelize.literal(`ts_rank_cd("Project"."search_vector", ${tsQuery})::float8`);
+  const document = escapeHtmlSql(`concat_ws(' … ', "Project"."problem", "Project"."outcomes")`);
+
+  return {
+    where: sequelize.literal(`"Project"."search_vector" @@ ${tsQuery}`),
+    attributes: [
+      [rank, 'search_rank'],
+      [sequelize.literal(`ts_headline('english', ${document}, ${tsQuery}, '${HEADLINE_OPTIONS}')`), 'search_snippet']
+    ],
+    rank
+  };
+}
+
+/**
+ * iLike conditions used when full-text search is unavailable.
+ * Every term must appear in at least one searchable column.
+ */
+function buildFallbackWhere(terms) {
+  const columns = [
+    'title',
+    'problem',
+    'outcomes',
+    'methods_required',
+    '$organization.focus_tags$'
+  ];
+
+  const conditions = terms.map(({ words }) => {
+    const pattern = `%${words.join(' ')}%`;
+    return { [Op.or]: columns.map((column) => ({ [column]: { [Op.iLike]: pattern } })) };
+  });
+
+  return conditions.length === 1 ? conditions[0] : { [Op.and]: conditions };
+}
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Highlight the first match in a project's text, mirroring ts_headline output
+ * @returns {string|null} HTML-escaped snippet with <mark> around matches, or null when nothing matches
+ */
+function buildFallbackSnippet(project, terms) {
+  const text = [project.problem, project.outcomes].filter(Boolean).join(' … ');
+  const needles = terms.map(({ words }) => words.join(' '));
+  if (!text || needles.length === 0) return null;
+
+  const matcher = new RegExp(needles.map(escapeRegExp).join('|'), 'i');
+  const found = matcher.exec(text);
+  if (!found) return null;
+
+  const start = Math.max(0, found.index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, found.index + found[0].length + SNIPPET_RADIUS);
+  const highlighter = new RegExp(`(${needles.map((needle) => escapeRegExp(escapeHtml(needle))).join('|')})`, 'gi');
+
+  return `${start > 0 ? '… ' : ''}${escapeHtml(text.slice(start, end)).replace(highlighter, '<mark>$1</mark>')}${end < text.length ? ' …' : ''}`;
+}
+
+/**
+ * Sort keys for a browse sort option, ending in project_id so ties are stable
+ * Relevance needs a rank; without one it degrades to newest first.
+ * @returns {Array} Keys accepted by utils/cursorPagination
+ */
+function getSortKeys(sort, rank = null) {
+  const tiebreak = { field: 'project_id', direction: 'DESC' };
+
+  switch (sort) {
+    case 'relevance':
+      return rank ? [{ field: 'search_rank', expression: rank, direction: 'DESC' }, tiebreak] : [tiebreak];
+    case 'budget':
+      return [{ field: 'budget_min', direction: 'DESC', nulls: 'LAST' }, tiebreak];
+    case 'start_date':
+      return [{ field: 'start_date', direction: 'ASC', nulls: 'LAST' }, tiebreak];
+    case 'newest':
+    default:
+      return [tiebreak];
+  }
+}
+
+module.exports = {
+  SORT_OPTIONS,
+  hasFullTextSearch,
+  resetSearchSupportCache,
+  parseSearchQuery,
+  toTsQuery,
+  buildFullTextQuery,
+  buildFallbackWhere,
+  buildFallbackSnippet,
+  getSortKeys
+};
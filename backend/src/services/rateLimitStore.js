@@ -0,0 +1,160 @@
+/**
+ * Rate Limit Stores
+ * Counter backends for middleware/rateLimit.
+ *
+ * A store implements `increment(key, windowMs)`, which counts one hit against the fixed window
+ * containing now and resolves to { current, previous, windowStart }: the hits in this window
+ * (including this one), the hits in the window before it and the current window's start
+ * (epoch ms). The limiter weights `previous` to approximate a sliding window.
+ *
+ * - memory: per-process Map. Default under NODE_ENV=test; limits reset on restart.
+ * - postgres: rate_limit_counters table shared by every instance. Default elsewhere.
+ */
+
+const crypto = require('crypto');
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+const getWindowStart = (now, windowMs) => Math.floor(now / windowMs) * windowMs;
+
+function createMemoryStore() {
+  const windows = new Map();
+  let lastPrunedAt = 0;
+
+  const prune = (now) => {
+    if (now - lastPrunedAt < PRUNE_INTERVAL_MS) {
+      return;
+    }
+    lastPrunedAt = now;
+    for (const [key, entry] of windows) {
+      if (entry.expiresAt <= now) {
+        windows.delete(key);
+      }
+    }
+  };
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const windowStart = getWindowStart(now, windowMs);
+      prune(now);
+
+      const entry = windows.get(key);
+      if (!entry || entry.windowStart < windowStart - windowMs) {
+        windows.set(key, { windowStart, current: 1, previous: 0, expiresAt: windowStart + 2 * windowMs });
+        return { current: 1, previous: 0, windowStart };
+      }
+
+      if (entry.windowStart < windowStart) {
+        entry.previous = entry.current;
+        entry.current = 0;
+        entry.windowStart = windowStart;
+        entry.expiresAt = windowStart + 2 * windowMs;
+      }
+
+      entry.current += 1;
+      return { current: entry.current, previous: entry.previous, windowStart };
+    },
+
+    reset() {
+      windows.clear();
+    },
+  };
+}
+
+const INCREMENT_SQL = `
+  WITH hit AS (
+    INSERT INTO rate_limit_counters (key_hash, window_start, count, expires_at)
+    VALUES (:keyHash, :windowStart, 1, :expiresAt)
+    ON CONFLICT (key_hash, window_start)
+    DO UPDATE SET count = rate_limit_counters.count + 1
+    RETURNING count
+  )
+  SELECT
+    hit.count AS current,
+    COALESCE((
+      SELECT count FROM rate_limit_counters
+      WHERE key_hash = :keyHash AND window_start = :previousWindowStart
+    ), 0) AS previous
+  FROM hit
+`;
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.sequelize] - Defaults to the app's connection
+ */
+function createPostgresStore({ sequelize } = {}) {
+  let lastPrunedAt = 0;
+
+  const getSequelize = () => sequelize || require('../database/models').sequelize;
+
+  const prune = async (now) => {
+    if (now - lastPrunedAt < PRUNE_INTERVAL_MS) {
+      return;
+    }
+    lastPrunedAt = now;
+    try {
+      await getSequelize().query('DELETE FROM rate_limit_counters WHERE expires_at < :now', {
+        replacements: { now: new Date(now) },
+      });
+    } catch (error) {
+      console.error('[Rate Limit] Failed to prune expired counters:', error.message);
+    }
+  };
+
+  return {
+    name: 'postgres',
+
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const windowStart = getWindowStart(now, windowMs);
+      const db = getSequelize();
+
+      const [row] = await db.query(INCREMENT_SQL, {
+        replacements: {
+          keyHash: crypto.createHash('sha256').update(key).digest('hex'),
+          windowStart,
+          previousWindowStart: windowStart - windowMs,
+          expiresAt: new Date(windowStart + 2 * windowMs),
+        },
+        type: db.QueryTypes.SELECT,
+      });
+
+      void prune(now);
+
+      return {
+        current: Number(row?.current) || 1,
+        previous: Number(row?.previous) || 0,
+        windowStart,
+      };
+    },
+  };
+}
+
+let defaultStore = null;
+
+/**
+ * Store used by limiters that do not pass one. RATE_LIMIT_STORE=memory|postgres overrides the
+ * default (memory under NODE_ENV=test, postgres otherwise).
+ */
+function getDefaultStore() {
+  if (!defaultStore) {
+    const configured = process.env.RATE_LIMIT_STORE
+      || (process.env.NODE_ENV === 'test' ? 'memory' : 'postgres');
+    defaultStore = configured === 'memory' ? createMemoryStore() : createPostgresStore();
+  }
+  return defaultStore;
+}
+
+function setDefaultStore(store) {
+  defaultStore = store;
+}
+
+module.exports = {
+  createMemoryStore,
+  createPostgresStore,
+  getDefaultStore,
+  setDefaultStore,
+};
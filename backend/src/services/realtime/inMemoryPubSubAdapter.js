@@ -0,0 +1,31 @@
+const { EventEmitter } = require('events');
+const PubSubAdapter = require('./pubSubAdapter');
+
+class InMemoryPubSubAdapter extends PubSubAdapter {
+  constructor() {
+    super();
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.maxPayloadBytes = Infinity;
+  }
+
+  async publish(channel, payload) {
+    // Round-trip through JSON so subscribers see the same shape a networked backend would deliver.
+    const message = JSON.parse(JSON.stringify(payload));
+    this.emitter.emit(channel, message);
+  }
+
+  async subscribe(channel, handler) {
+    this.emitter.on(channel, handler);
+
+    return async () => {
+      this.emitter.off(channel, handler);
+    };
+  }
+
+  async close() {
+    this.emitter.removeAllListeners();
+  }
+}
+
+module.exports = InMemoryPubSubAdapter;
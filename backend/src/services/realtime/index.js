@@ -0,0 +1,45 @@
+const InMemoryPubSubAdapter = require('./inMemoryPubSubAdapter');
+
+const PUBSUB_DRIVER_MEMORY = 'memory';
+const PUBSUB_DRIVER_POSTGRES = 'postgres';
+
+let adapterInstance;
+
+function createAdapter() {
+  const driver = (process.env.REALTIME_PUBSUB_DRIVER || PUBSUB_DRIVER_MEMORY).toLowerCase();
+
+  if (driver === PUBSUB_DRIVER_MEMORY) {
+    return new InMemoryPubSubAdapter();
+  }
+
+  if (driver === PUBSUB_DRIVER_POSTGRES) {
+    const PostgresPubSubAdapter = require('./postgresPubSubAdapter');
+    const sequelize = require('../../database');
+    const config = require('../../config/database');
+    const dbConfig = config[process.env.NODE_ENV || 'development'];
+
+    return new PostgresPubSubAdapter({
+      sequelize,
+      connectionString: dbConfig.url,
+      ssl: dbConfig.dialectOptions?.ssl || false
+    });
+  }
+
+  throw new Error(`Unsupported realtime pub/sub driver: ${driver}`);
+}
+
+function getPubSubAdapter() {
+  if (!adapterInstance) {
+    adapterInstance = createAdapter();
+  }
+  return adapterInstance;
+}
+
+function resetPubSubAdapter() {
+  adapterInstance = null;
+}
+
+module.exports = {
+  getPubSubAdapter,
+  resetPubSubAdapter
+};
@@ -0,0 +1,187 @@
+const { Client } = require('pg');
+const PubSubAdapter = require('./pubSubAdapter');
+
+// Postgres rejects NOTIFY payloads of 8000 bytes or more.
+const MAX_NOTIFY_PAYLOAD_BYTES = 7900;
+const CHANNEL_NAME_PATTERN = /^[a-z_][a-z0-9_]{0,62}$/;
+const RECONNECT_DELAY_MS = 2000;
+const MAX_RECONNECT_DELAY_MS = 60 * 1000;
+
+function assertChannelName(channel) {
+  if (!CHANNEL_NAME_PATTERN.test(channel)) {
+    throw new Error(`Invalid pub/sub channel name: ${channel}`);
+  }
+}
+
+/**
+ * Fans events out across server processes with LISTEN/NOTIFY.
+ * Publishing goes through the shared Sequelize pool; listening holds one
+ * dedicated connection per process that is re-established after errors,
+ * retrying with capped exponential backoff until the adapter is closed.
+ */
+class PostgresPubSubAdapter extends PubSubAdapter {
+  constructor({ sequelize, connectionString, ssl }) {
+    super();
+    this.sequelize = sequelize;
+    this.clientConfig = { connectionString, ssl };
+    this.handlers = new Map();
+    this.listenerPromise = null;
+    this.listenerClient = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.closed = false;
+    this.maxPayloadBytes = MAX_NOTIFY_PAYLOAD_BYTES;
+  }
+
+  async getListener() {
+    if (!this.listenerPromise) {
+      const client = new Client(this.clientConfig);
+
+      client.on('notification', (notification) => this.dispatch(notification));
+      client.on('error', (error) => {
+        console.error('[Realtime] Postgres listener error:', error.message);
+        this.handleListenerLoss(client);
+      });
+      client.on('end', () => this.handleListenerLoss(client));
+
+      this.listenerClient = client;
+      this.listenerPromise = client.connect()
+        .then(async () => {
+          for (const channel of this.handlers.keys()) {
+            await client.query(`LISTEN "${channel}"`);
+          }
+          return client;
+        })
+        .catch((error) => {
+          this.handleListenerLoss(client);
+          throw error;
+        });
+    }
+
+    return this.listenerPromise;
+  }
+
+  // Drop a listener connection that failed or ended; only the current one schedules a reconnect
+  handleListenerLoss(client) {
+    if (client !== this.listenerClient) {
+      return;
+    }
+
+    this.listenerClient = null;
+    this.listenerPromise = null;
+    client.removeAllListeners();
+    client.on('error', () => {});
+    client.end().catch(() => {});
+
+    this.scheduleReconnect();
+  }
+
+  scheduleReconnect() {
+    if (this.closed || this.reconnectTimer || this.handlers.size === 0) {
+      return;
+    }
+
+    const delay = Math.min(RECONNECT_DELAY_MS * 2 ** this.reconnectAttempts, MAX_RECONNECT_DELAY_MS);
+    this.reconnectAttempts += 1;
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      // A failed attempt goes back through handleListenerLoss, which schedules the next one
+      this.getListener()
+        .then(() => {
+          this.reconnectAttempts = 0;
+        })
+        .catch((error) => {
+          console.error('[Realtime] Failed to re-establish Postgres listener:', error.message);
+        });
+    }, delay);
+    this.reconnectTimer.unref();
+  }
+
+  dispatch(notification) {
+    const handlers = this.handlers.get(notification.channel);
+    if (!handlers || handlers.size === 0) {
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(notification.payload);
+    } catch (error) {
+      console.warn(`[Realtime] Dropping malformed payload on ${notification.channel}`);
+      return;
+    }
+
+    for (const handler of handlers) {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error('[Realtime] Subscriber handler failed:', error);
+      }
+    }
+  }
+
+  async publish(channel, payload) {
+    assertChannelName(channel);
+
+    const serialized = JSON.stringify(payload);
+    if (Buffer.byteLength(serialized, 'utf8') > this.maxPayloadBytes) {
+      throw new Error('PUBSUB_PAYLOAD_TOO_LARGE');
+    }
+
+    await this.sequelize.query('SELECT pg_notify(:channel, :payload)', {
+      replacements: { channel, payload: serialized }
+    });
+  }
+
+  async subscribe(channel, handler) {
+    assertChannelName(channel);
+
+    let handlers = this.handlers.get(channel);
+    const isFirstHandler = !handlers;
+
+    if (!handlers) {
+      handlers = new Set();
+      this.handlers.set(channel, handlers);
+    }
+    handlers.add(handler);
+
+    const client = await this.getListener();
+    if (isFirstHandler) {
+      await client.query(`LISTEN "${channel}"`);
+    }
+
+    return async () => {
+      const current = this.handlers.get(channel);
+      if (!current) return;
+
+      current.delete(handler);
+      if (current.size > 0) return;
+
+      this.handlers.delete(channel);
+      if (this.listenerPromise) {
+        const listener = await this.listenerPromise;
+        await listener.query(`UNLISTEN "${channel}"`);
+      }
+    };
+  }
+
+  async close() {
+    this.closed = true;
+    this.handlers.clear();
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    if (this.listenerPromise) {
+      const listener = await this.listenerPromise.catch(() => null);
+      this.listenerPromise = null;
+      this.listenerClient = null;
+      if (listener) {
+        listener.removeAllListeners();
+        await listener.end();
+      }
+    }
+  }
+}
+
+module.exports = PostgresPubSubAdapter;
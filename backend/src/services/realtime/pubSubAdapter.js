@@ -0,0 +1,15 @@
+class PubSubAdapter {
+  async publish() {
+    throw new Error('publish() not implemented');
+  }
+
+  async subscribe() {
+    throw new Error('subscribe() not implemented');
+  }
+
+  async close() {
+    throw new Error('close() not implemented');
+  }
+}
+
+module.exports = PubSubAdapter;
@@ -0,0 +1,91 @@
+const { getPubSubAdapter } = require('./realtime');
+
+const CHANNEL_PREFIX = 'trident_';
+
+/**
+ * Realtime Service
+ * Delivers user-addressed events through the configured pub/sub backend so that
+ * every server process can forward them to the streams it holds open.
+ */
+
+function getChannel(topic) {
+  return `${CHANNEL_PREFIX}${topic}`;
+}
+
+function normalizeUserIds(userIds) {
+  return Array.from(
+    new Set(
+      (Array.isArray(userIds) ? userIds : [userIds])
+        .map((id) => Number(id))
+        .filter((id) => Number.isInteger(id) && id > 0)
+    )
+  );
+}
+
+/**
+ * Publish an event to a set of users on a topic
+ * Never throws; realtime delivery failures shouldn't block the primary action
+ * @param {Object} params
+ * @param {string} params.topic - Topic name (e.g. 'messages')
+ * @param {Array<number>} params.userIds - Recipient user IDs
+ * @param {string} params.event - Event name sent to clients
+ * @param {Object} params.data - Event payload
+ * @returns {Promise<boolean>} Whether the event was handed to the backend
+ */
+async function publishToUsers({ topic, userIds, event, data }) {
+  const recipients = normalizeUserIds(userIds);
+
+  if (!topic || !event || recipients.length === 0) {
+    return false;
+  }
+
+  try {
+    await getPubSubAdapter().publish(getChannel(topic), {
+      user_ids: recipients,
+      event,
+      data: data || {},
+      published_at: new Date().toISOString(),
+    });
+    return true;
+  } catch (error) {
+    console.error(`[Realtime] Failed to publish ${event} on ${topic}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Subscribe to the events addressed to one user on a topic
+ * @param {Object} params
+ * @param {string} params.topic - Topic name
+ * @param {number} params.userId - User whose events should be delivered
+ * @param {Function} params.onEvent - Called with ({ event, data, published_at })
+ * @returns {Promise<Function>} Async unsubscribe function
+ */
+async function subscribeToUser({ topic, userId, onEvent }) {
+  const normalizedUserId = Number(userId);
+
+  return getPubSubAdapter().subscribe(getChannel(topic), (message) => {
+    if (!message || !Array.isArray(message.user_ids)) return;
+    if (!message.user_ids.includes(normalizedUserId)) return;
+
+    onEvent({
+      event: message.event,
+      data: message.data,
+      published_at: message.published_at,
+    });
+  });
+}
+
+/**
+ * Largest serialized payload the active backend accepts
+ * @returns {number}
+ */
+function getMaxPayloadBytes() {
+  return getPubSubAdapter().maxPayloadBytes || Infinity;
+}
+
+module.exports = {
+  publishToUsers,
+  subscribeToUser,
+  getMaxPayloadBytes,
+};
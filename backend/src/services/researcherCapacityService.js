@@ -0,0 +1,404 @@
+const { Op } = require('sequelize');
+const {
+  ResearcherProfile,
+  ResearcherBlackoutPeriod,
+  MilestoneResearcher,
+  Milestone
+} = require('../database/models');
+const { toDateOnly, addDays } = require('../utils/calendarDates');
+
+/**
+ * Researcher capacity planning. Researchers publish the hours they can work on each weekday
+ * (researcher_profiles.weekly_hours) and blackout periods when they are unavailable. Every
+ * assignment to an unfinished milestone takes its weekly_hours (or the default allocation) out
+ * of that schedule until the milestone's due date.
+ *
+ * All dates are calendar days (YYYY-MM-DD, UTC).
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const ACTIVE_MILESTONE_STATUSES = ['pending', 'in_progress', 'revision_requested', 'revision_in_progress'];
+const MAX_DAILY_HOURS = 24;
+const MAX_ASSIGNMENT_WEEKLY_HOURS = 168;
+const MAX_REASON_LENGTH = 255;
+const DEFAULT_ASSIGNMENT_WEEKLY_HOURS = 10;
+const DEFAULT_PLANNING_WEEKS = 12;
+
+function getDefaultAssignmentHours() {
+  const parsed = Number.parseFloat(process.env.MILESTONE_ASSIGNMENT_DEFAULT_WEEKLY_HOURS);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : DEFAULT_ASSIGNMENT_WEEKLY_HOURS;
+}
+
+function getPlanningWeeks() {
+  return Number.parseInt(process.env.CAPACITY_PLANNING_WEEKS, 10) || DEFAULT_PLANNING_WEEKS;
+}
+
+function roundHours(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function weekdayOf(dateOnly) {
+  return WEEKDAYS[new Date(`${dateOnly}T00:00:00Z`).getUTCDay()];
+}
+
+/**
+ * Validate a weekly schedule; weekdays left out are 0 hours and null clears the schedule
+ * @param {Object|null} input - { monday: 6, tuesday: 6, ... }
+ * @returns {Object|null} Hours for every weekday
+ */
+function normalizeWeeklyHours(input) {
+  if (input === null) {
+    return null;
+  }
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('INVALID_WEEKLY_HOURS');
+  }
+
+  Object.keys(input).forEach((day) => {
+    if (!WEEKDAYS.includes(day)) {
+      throw new Error('INVALID_WEEKLY_HOURS');
+    }
+  });
+
+  return WEEKDAYS.reduce((schedule, day) => {
+    const raw = input[day];
+    const hours = raw === undefined || raw === null || raw === '' ? 0 : Number(raw);
+    if (!Number.isFinite(hours) || hours < 0 || hours > MAX_DAILY_HOURS) {
+      throw new Error('INVALID_WEEKLY_HOURS');
+    }
+    schedule[day] = Math.round(hours * 100) / 100;
+    return schedule;
+  }, {});
+}
+
+/**
+ * Total hours in a weekly schedule, or null when the researcher has not published one
+ */
+function getWeeklyTotal(weeklyHours) {
+  if (!weeklyHours || typeof weeklyHours !== 'object') {
+    return null;
+  }
+  return roundHours(WEEKDAYS.reduce((total, day) => total + (Number(weeklyHours[day]) || 0), 0));
+}
+
+/**
+ * Hours per week a milestone assignment takes; unset assignments use the default allocation
+ */
+function getAssignmentHours(assignment) {
+  if (assignment.weekly_hours === null || assignment.weekly_hours === undefined) {
+    return getDefaultAssignmentHours();
+  }
+  const hours = Number(assignment.weekly_hours);
+  return Number.isFinite(hours) && hours >= 0 ? hours : getDefaultAssignmentHours();
+}
+
+/**
+ * Validate an assignment allocation from a request
+ * @returns {number|null} Hours, or null when not provided
+ */
+function normalizeAssignmentHours(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours < 0 || hours > MAX_ASSIGNMENT_WEEKLY_HOURS) {
+    throw new Error('INVALID_ASSIGNMENT_HOURS');
+  }
+  return Math.round(hours * 100) / 100;
+}
+
+function isBlackedOut(dateOnly, blackoutPeriods) {
+  return blackoutPeriods.some((period) => period.start_date <= dateOnly && period.end_date >= dateOnly);
+}
+
+function overlappingBlackouts(blackoutPeriods, startDate, endDate) {
+  return blackoutPeriods.filter((period) => period.start_date <= endDate && period.end_date >= startDate);
+}
+
+/**
+ * Hours the researcher has free between `from` and `from + weeks`. Each working day gives its
+ * scheduled hours unless it falls in a blackout period; commitments running that day take the
+ * same share of it that their weekly hours take of the weekly schedule.
+ * @param {Object} params
+ * @param {Object|null} params.weeklyHours - Published schedule
+ * @param {Array<Object>} [params.blackoutPeriods] - { start_date, end_date }
+ * @param {Array<Object>} [params.commitments] - { weekly_hours, due_date }
+ * @param {string} params.from - First day (YYYY-MM-DD)
+ * @param {number} [params.weeks]
+ * @returns {{from: string, to: string, available_hours: number, committed_hours: number, free_hours: number, blackout_days: number}}
+ */
+function calculateFreeHours({ weeklyHours, blackoutPeriods = [], commitments = [], from, weeks = getPlanningWeeks() }) {
+  const days = weeks * 7;
+  const summary = {
+    from,
+    to: addDays(from, days - 1),
+    available_hours: 0,
+    committed_hours: 0,
+    free_hours: 0,
+    blackout_days: 0
+  };
+
+  const weeklyTotal = getWeeklyTotal(weeklyHours);
+  if (!weeklyTotal) {
+    return summary;
+  }
+
+  for (let offset = 0; offset < days; offset += 1) {
+    const date = addDays(from, offset);
+    const dayHours = Number(weeklyHours[weekdayOf(date)]) || 0;
+    if (dayHours === 0) {
+      continue;
+    }
+    if (isBlackedOut(date, blackoutPeriods)) {
+      summary.blackout_days += 1;
+      continue;
+    }
+
+    const committedWeekly = commitments
+      .filter((commitment) => !commitment.due_date || commitment.due_date >= date)
+      .reduce((total, commitment) => total + commitment.weekly_hours, 0);
+
+    summary.available_hours += dayHours;
+    summary.committed_hours += dayHours * Math.min(1, committedWeekly / weeklyTotal);
+  }
+
+  summary.free_hours = roundHours(summary.available_hours - summary.committed_hours);
+  summary.available_hours = roundHours(summary.available_hours);
+  summary.committed_hours = roundHours(summary.committed_hours);
+  return summary;
+}
+
+/**
+ * Schedules, upcoming blackout periods and active milestone commitments for researchers
+ * @param {Array<number>} researcherIds
+ * @returns {Promise<Map<number, Object>>} Keyed by researcher id
+ */
+async function loadCapacityInputs(researcherIds, { today = toDateOnly(new Date()) } = {}) {
+  const ids = Array.from(new Set(researcherIds.map(Number).filter(Boolean)));
+  const inputs = new Map();
+  if (ids.length === 0) {
+    return inputs;
+  }
+
+  const [profiles, blackoutPeriods, assignments] = await Promise.all([
+    ResearcherProfile.findAll({
+      where: { user_id: ids },
+      attributes: ['user_id', 'weekly_hours', 'max_concurrent_projects', 'available_start_date']
+    }),
+    ResearcherBlackoutPeriod.findAll({
+      where: { researcher_id: ids, end_date: { [Op.gte]: today } },
+      attributes: ['id', 'researcher_id', 'start_date', 'end_date', 'reason'],
+      order: [['start_date', 'ASC']]
+    }),
+    MilestoneResearcher.findAll({
+      where: { researcher_id: ids },
+      attributes: ['researcher_id', 'milestone_id', 'weekly_hours'],
+      include: [
+        {
+          model: Milestone,
+          as: 'milestone',
+          required: true,
+          where: { status: { [Op.in]: ACTIVE_MILESTONE_STATUSES } },
+          attributes: ['id', 'project_id', 'name', 'due_date']
+        }
+      ]
+    })
+  ]);
+
+  ids.forEach((id) => inputs.set(id, {
+    has_profile: false,
+    weekly_hours: null,
+    max_concurrent_projects: null,
+    available_start_date: null,
+    blackout_periods: [],
+    commitments: []
+  }));
+
+  profiles.forEach((profile) => Object.assign(inputs.get(Number(profile.user_id)), {
+    has_profile: true,
+    weekly_hours: profile.weekly_hours || null,
+    max_concurrent_projects: profile.max_concurrent_projects,
+    available_start_date: profile.available_start_date
+  }));
+
+  blackoutPeriods.forEach((period) => inputs.get(Number(period.researcher_id)).blackout_periods.push({
+    id: period.id,
+    start_date: toDateOnly(period.start_date),
+    end_date: toDateOnly(period.end_date),
+    reason: period.reason
+  }));
+
+  assignments.forEach((assignment) => inputs.get(Number(assignment.researcher_id)).commitments.push({
+    milestone_id: assignment.milestone_id,
+    milestone_name: assignment.milestone.name,
+    project_id: assignment.milestone.project_id,
+    due_date: toDateOnly(assignment.milestone.due_date),
+    weekly_hours: getAssignmentHours(assignment)
+  }));
+
+  return inputs;
+}
+
+/**
+ * Current load against the published schedule plus free hours over the planning window
+ * @param {Object} input - One entry from loadCapacityInputs
+ */
+function buildCapacitySummary(input, { from, weeks = getPlanningWeeks() }) {
+  const weeklyTotal = getWeeklyTotal(input.weekly_hours);
+  const committedWeekly = roundHours(input.commitments.reduce((total, item) => total + item.weekly_hours, 0));
+  const activeProjects = new Set(input.commitments.map((item) => item.project_id)).size;
+
+  return {
+    weekly_hours: input.weekly_hours,
+    weekly_total: weeklyTotal,
+    committed_weekly_hours: committedWeekly,
+    free_weekly_hours: weeklyTotal === null ? null : roundHours(Math.max(0, weeklyTotal - committedWeekly)),
+    over_capacity: weeklyTotal !== null && committedWeekly > weeklyTotal,
+    active_projects: activeProjects,
+    max_concurrent_projects: input.max_concurrent_projects,
+    blackout_periods: input.blackout_periods,
+    window: calculateFreeHours({
+      weeklyHours: input.weekly_hours,
+      blackoutPeriods: input.blackout_periods,
+      commitments: input.commitments,
+      from,
+      weeks
+    })
+  };
+}
+
+/**
+ * Capacity summary for one researcher, including their active milestone assignments
+ */
+async function getCapacitySummary(researcherId, { now = new Date() } = {}) {
+  const today = toDateOnly(now);
+  const inputs = await loadCapacityInputs([researcherId], { today });
+  const input = inputs.get(Number(researcherId));
+  if (!input || !input.has_profile) {
+    throw new Error('RESEARCHER_NOT_FOUND');
+  }
+
+  return {
+    ...buildCapacitySummary(input, { from: today }),
+    assignments: input.commitments
+  };
+}
+
+/**
+ * Warnings for researchers who are over capacity once assigned to the milestone: more weekly
+ * hours committed than they publish, more active projects than max_concurrent_projects, or a
+ * blackout period before the milestone's due date. Call after the assignment is saved so it is
+ * part of the load.
+ * @param {Object} params
+ * @param {Array<number>} params.researcherIds
+ * @param {Object} params.milestone - { id, due_date }
+ * @returns {Promise<Array<Object>>} One entry per researcher with at least one reason
+ */
+async function getAssignmentCapacityWarnings({ researcherIds, milestone, now = new Date() }) {
+  const today = toDateOnly(now);
+  const inputs = await loadCapacityInputs(researcherIds, { today });
+  const dueDate = toDateOnly(milestone.due_date);
+  const windowEnd = dueDate && dueDate >= today ? dueDate : addDays(today, getPlanningWeeks() * 7 - 1);
+
+  const warnings = [];
+  inputs.forEach((input, researcherId) => {
+    const summary = buildCapacitySummary(input, { from: today });
+    const blackouts = overlappingBlackouts(input.blackout_periods, today, windowEnd);
+    const reasons = [];
+
+    if (summary.over_capacity) {
+      reasons.push('over_weekly_hours');
+    }
+    if (input.max_concurrent_projects && summary.active_projects > input.max_concurrent_projects) {
+      reasons.push('over_project_limit');
+    }
+    if (blackouts.length > 0) {
+      reasons.push('blackout_during_milestone');
+    }
+
+    if (reasons.length > 0) {
+      warnings.push({
+        researcher_id: researcherId,
+        reasons,
+        weekly_total: summary.weekly_total,
+        committed_weekly_hours: summary.committed_weekly_hours,
+        active_projects: summary.active_projects,
+        max_concurrent_projects: input.max_concurrent_projects,
+        blackout_periods: blackouts
+      });
+    }
+  });
+
+  return warnings;
+}
+
+async function updateWeeklyHours(researcherId, weeklyHours) {
+  const schedule = normalizeWeeklyHours(weeklyHours);
+  const profile = await ResearcherProfile.findOne({ where: { user_id: researcherId } });
+  if (!profile) {
+    throw new Error('RESEARCHER_NOT_FOUND');
+  }
+
+  await profile.update({ weekly_hours: schedule });
+  return schedule;
+}
+
+async function listBlackoutPeriods(researcherId, { includePast = false } = {}) {
+  const where = { researcher_id: researcherId };
+  if (!includePast) {
+    where.end_date = { [Op.gte]: toDateOnly(new Date()) };
+  }
+
+  return ResearcherBlackoutPeriod.findAll({ where, order: [['start_date', 'ASC']] });
+}
+
+/**
+ * Add a blackout period (inclusive dates)
+ */
+async function createBlackoutPeriod({ researcherId, startDate, endDate, reason }) {
+  const start = toDateOnly(startDate);
+  const end = toDateOnly(endDate);
+  if (!start || !end || end < start) {
+    throw new Error('INVALID_BLACKOUT_PERIOD');
+  }
+  if (end < toDateOnly(new Date())) {
+    throw new Error('BLACKOUT_PERIOD_IN_PAST');
+  }
+
+  const normalizedReason = typeof reason === 'string' && reason.trim() ? reason.trim() : null;
+  if (normalizedReason && normalizedReason.length > MAX_REASON_LENGTH) {
+    throw new Error('INVALID_BLACKOUT_REASON');
+  }
+
+  return ResearcherBlackoutPeriod.create({
+    researcher_id: researcherId,
+    start_date: start,
+    end_date: end,
+    reason: normalizedReason
+  });
+}
+
+async function deleteBlackoutPeriod({ researcherId, periodId }) {
+  const deleted = await ResearcherBlackoutPeriod.destroy({ where: { id: periodId, researcher_id: researcherId } });
+  if (!deleted) {
+    throw new Error('BLACKOUT_PERIOD_NOT_FOUND');
+  }
+}
+
+module.exports = {
+  WEEKDAYS,
+  ACTIVE_MILESTONE_STATUSES,
+  normalizeWeeklyHours,
+  normalizeAssignmentHours,
+  getWeeklyTotal,
+  getAssignmentHours,
+  calculateFreeHours,
+  loadCapacityInputs,
+  buildCapacitySummary,
+  getCapacitySummary,
+  getAssignmentCapacityWarnings,
+  updateWeeklyHours,
+  listBlackoutPeriods,
+  createBlackoutPeriod,
+  deleteBlackoutPeriod
+};
@@ -0,0 +1,345 @@
+const { Op } = require('sequelize');
+const {
+  ResearcherPortfolioItem,
+  Application,
+  Project,
+  Milestone,
+  Attachment,
+  Organization,
+  OrganizationMember,
+  User
+} = require('../database/models');
+const notificationService = require('./notificationService');
+const {
+  ORGANIZATION_PERMISSIONS,
+  getMembership,
+  hasOrganizationPermission,
+  canInOrganization
+} = require('./organizationMemberService');
+const { logAudit, AUDIT_ACTIONS } = require('../utils/auditLogger');
+
+/**
+ * Researcher portfolio: past deliverables a researcher wants to show on their public profile.
+ * The researcher proposes an item from a project they were accepted on (a completed milestone,
+ * or the completed project itself, optionally with one of its attachments); the nonprofit that
+ * owns the project approves it for public display or declines it. A nonprofit can later decline
+ * an approved item to take it down.
+ *
+ * Item statuses: pending -> approved | declined; approved -> declined.
+ */
+
+const REVIEW_PERMISSION = 'projects:update';
+const MAX_TITLE_LENGTH = 255;
+const MAX_SUMMARY_LENGTH = 5000;
+
+const PUBLIC_ITEM_ATTRIBUTES = ['id', 'title', 'summary', 'project_id', 'milestone_id', 'attachment_id', 'reviewed_at'];
+
+const REVIEW_OUTCOMES = {
+  approve: {
+    status: 'approved',
+    from: ['pending'],
+    audit: AUDIT_ACTIONS.PORTFOLIO_ITEM_APPROVED,
+    title: 'Portfolio Item Approved',
+    message: (item, orgName) => `${orgName} approved "${item.title}" for your public portfolio.`
+  },
+  decline: {
+    status: 'declined',
+    from: ['pending', 'approved'],
+    audit: AUDIT_ACTIONS.PORTFOLIO_ITEM_DECLINED,
+    title: 'Portfolio Item Declined',
+    message: (item, orgName, note) => `${orgName} declined "${item.title}" for public display. ${note}`
+  }
+};
+
+function normalizeText(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function portfolioIncludes() {
+  return [
+    {
+      model: Project,
+      as: 'project',
+      attributes: ['project_id', 'title', 'org_id'],
+      include: [{ model: Organization, as: 'organization', attributes: ['id', 'name', 'is_verified'] }]
+    },
+    { model: Milestone, as: 'milestone', attributes: ['id', 'name', 'completed_at'] },
+    { model: Attachment, as: 'attachment', attributes: ['id', 'filename', 'mimetype', 'size'] }
+  ];
+}
+
+async function notifyReviewers(project, item, researcher) {
+  try {
+    const reviewers = await OrganizationMember.findAll({
+      where: { org_id: project.org_id, role: { [Op.in]: ORGANIZATION_PERMISSIONS[REVIEW_PERMISSION] } },
+      attributes: ['user_id']
+    });
+
+    if (reviewers.length > 0) {
+      await notificationService.createBulkNotifications(reviewers.map((member) => member.user_id), {
+        type: 'portfolio_item_review_requested',
+        title: 'Portfolio Approval Requested',
+        message: `${researcher.name || 'A researcher'} would like to show "${item.title}" from ${project.title} in their public portfolio.`,
+        link: '/researchers/portfolio/reviews',
+        metadata: { portfolio_item_id: item.id, project_id: project.project_id, researcher_id: researcher.id }
+      });
+    }
+  } catch (error) {
+    console.error(`[Portfolio] Failed to notify reviewers for item ${item.id}:`, error.message);
+  }
+}
+
+async function notifyResearcher(item, { title, message }) {
+  try {
+    await notificationService.createNotification({
+      userId: item.researcher_id,
+      type: 'portfolio_item_reviewed',
+      title,
+      message,
+      link: '/researcher/portfolio',
+      metadata: { portfolio_item_id: item.id, project_id: item.project_id, status: item.status }
+    });
+  } catch (error) {
+    console.error(`[Portfolio] Failed to notify researcher ${item.researcher_id}:`, error.message);
+  }
+}
+
+/**
+ * Propose a portfolio item for nonprofit approval
+ * @param {Object} params
+ * @param {Object} params.researcher - Signed-in researcher
+ * @param {number} params.projectId
+ * @param {number|null} [params.milestoneId] - Must be a completed milestone of the project
+ * @param {number|null} [params.attachmentId] - Must be an active attachment of the project
+ * @returns {Promise<ResearcherPortfolioItem>}
+ */
+async function submitPortfolioItem({ researcher, projectId, milestoneId = null, attachmentId = null, title, summary }) {
+  const normalizedTitle = normalizeText(title);
+  if (!normalizedTitle || normalizedTitle.length > MAX_TITLE_LENGTH) {
+    throw new Error('INVALID_PORTFOLIO_TITLE');
+  }
+  const normalizedSummary = normalizeText(summary);
+  if (normalizedSummary && normalizedSummary.length > MAX_SUMMARY_LENGTH) {
+    throw new Error('INVALID_PORTFOLIO_SUMMARY');
+  }
+
+  const project = await Project.findByPk(projectId, { attributes: ['project_id', 'title', 'org_id', 'status'] });
+  if (!project) {
+    throw new Error('PROJECT_NOT_FOUND');
+  }
+
+  const application = await Application.findOne({
+    where: { project_id: projectId, researcher_id: researcher.id, status: 'accepted' },
+    attributes: ['id']
+  });
+  if (!application) {
+    throw new Error('PROJECT_ACCESS_REQUIRED');
+  }
+
+  if (milestoneId) {
+    const milestone = await Milestone.findOne({
+      where: { id: milestoneId, project_id: projectId },
+      attributes: ['id', 'status']
+    });
+    if (!milestone) {
+      throw new Error('MILESTONE_NOT_FOUND');
+    }
+    if (milestone.status !== 'completed') {
+      throw new Error('MILESTONE_NOT_COMPLETED');
+    }
+  } else if (project.status !== 'completed') {
+    throw new Error('PROJECT_NOT_COMPLETED');
+  }
+
+  if (attachmentId) {
+    const attachment = await Attachment.findOne({
+      where: { id: attachmentId, project_id: projectId, status: 'active' },
+      attributes: ['id']
+    });
+    if (!attachment) {
+      throw new Error('ATTACHMENT_NOT_FOUND');
+    }
+  }
+
+  const item = await ResearcherPortfolioItem.create({
+    researcher_id: researcher.id,
+    project_id: projectId,
+    milestone_id: milestoneId,
+    attachment_id: attachmentId,
+    title: normalizedTitle,
+    summary: normalizedSummary,
+    status: 'pending'
+  });
+
+  await logAudit({
+    actorId: researcher.id,
+    action: AUDIT_ACTIONS.PORTFOLIO_ITEM_SUBMITTED,
+    entityType: 'PROJECT',
+    entityId: project.project_id,
+    metadata: { portfolio_item_id: item.id, milestone_id: milestoneId, attachment_id: attachmentId }
+  });
+  await notifyReviewers(project, item, researcher);
+
+  return item;
+}
+
+/**
+ * Every item the researcher has proposed, with its review status
+ */
+async function listResearcherPortfolio(researcherId) {
+  return ResearcherPortfolioItem.findAll({
+    where: { researcher_id: researcherId },
+    include: portfolioIncludes(),
+    order: [['created_at', 'DESC']]
+  });
+}
+
+/**
+ * Approved items for the public profile
+ */
+async function listPublicPortfolio(researcherId) {
+  return ResearcherPortfolioItem.findAll({
+    where: { researcher_id: researcherId, status: 'approved' },
+    attributes: PUBLIC_ITEM_ATTRIBUTES,
+    include: portfolioIncludes(),
+    order: [['reviewed_at', 'DESC']]
+  });
+}
+
+async function deletePortfolioItem({ researcherId, itemId }) {
+  const item = await ResearcherPortfolioItem.findOne({ where: { id: itemId, researcher_id: researcherId } });
+  if (!item) {
+    throw new Error('PORTFOLIO_ITEM_NOT_FOUND');
+  }
+
+  await item.destroy();
+  await logAudit({
+    actorId: researcherId,
+    action: AUDIT_ACTIONS.PORTFOLIO_ITEM_DELETED,
+    entityType: 'PROJECT',
+    entityId: item.project_id,
+    metadata: { portfolio_item_id: item.id, status: item.status }
+  });
+}
+
+/**
+ * Items awaiting review on the reviewer's organization's projects
+ * @param {Object} user - Nonprofit member with projects:update
+ */
+async function listPortfolioReviews(user) {
+  const membership = await getMembership(user.id);
+  if (!membership || !hasOrganizationPermission(membership.role, REVIEW_PERMISSION)) {
+    throw new Error('ORGANIZATION_ACCESS_DENIED');
+  }
+
+  return ResearcherPortfolioItem.findAll({
+    where: { status: 'pending' },
+    include: [
+      {
+        model: Project,
+        as: 'project',
+        required: true,
+        where: { org_id: membership.org_id },
+        attributes: ['project_id', 'title', 'org_id']
+      },
+      { model: Milestone, as: 'milestone', attributes: ['id', 'name', 'completed_at'] },
+      { model: Attachment, as: 'attachment', attributes: ['id', 'filename', 'mimetype', 'size'] },
+      { model: User, as: 'researcher', attributes: ['id', 'name'] }
+    ],
+    order: [['created_at', 'ASC']]
+  });
+}
+
+/**
+ * Approve a pending item for public display, or decline a pending or approved one. Declining
+ * needs a note for the researcher.
+ * @param {Object} params
+ * @param {Object} params.reviewer - Nonprofit member with projects:update on the item's project
+ * @param {string} params.action - 'approve' | 'decline'
+ * @returns {Promise<ResearcherPortfolioItem>}
+ */
+async function reviewPortfolioItem({ reviewer, itemId, action, note }) {
+  const outcome = REVIEW_OUTCOMES[action];
+  if (!outcome) {
+    throw new Error('INVALID_REVIEW_ACTION');
+  }
+
+  const reviewNote = normalizeText(note);
+  if (action === 'decline' && !reviewNote) {
+    throw new Error('REVIEW_NOTE_REQUIRED');
+  }
+
+  const item = await ResearcherPortfolioItem.findByPk(itemId, {
+    include: [
+      {
+        model: Project,
+        as: 'project',
+        attributes: ['project_id', 'title', 'org_id'],
+        include: [{ model: Organization, as: 'organization', attributes: ['id', 'name'] }]
+      }
+    ]
+  });
+  if (!item) {
+    throw new Error('PORTFOLIO_ITEM_NOT_FOUND');
+  }
+  if (!(await canInOrganization(reviewer, item.project.org_id, REVIEW_PERMISSION))) {
+    throw new Error('ORGANIZATION_ACCESS_DENIED');
+  }
+  if (!outcome.from.includes(item.status)) {
+    throw new Error('PORTFOLIO_ITEM_NOT_REVIEWABLE');
+  }
+
+  await item.update({
+    status: outcome.status,
+    reviewed_by: reviewer.id,
+    reviewed_at: new Date(),
+    review_note: reviewNote
+  });
+
+  await logAudit({
+    actorId: reviewer.id,
+    action: outcome.audit,
+    entityType: 'PROJECT',
+    entityId: item.project_id,
+    metadata: { portfolio_item_id: item.id, researcher_id: item.researcher_id, note: reviewNote }
+  });
+
+  const orgName = item.project.organization?.name || 'The nonprofit';
+  await notifyResearcher(item, {
+    title: outcome.title,
+    message: outcome.message(item, orgName, reviewNote || '').trim()
+  });
+
+  return item;
+}
+
+/**
+ * Attachment of an approved portfolio item; callers check the portfolio section's visibility
+ */
+async function findPublicPortfolioAttachment({ researcherId, itemId }) {
+  const item = await ResearcherPortfolioItem.findOne({
+    where: { id: itemId, researcher_id: researcherId, status: 'approved' },
+    attributes: ['id', 'attachment_id']
+  });
+  if (!item) {
+    throw new Error('PORTFOLIO_ITEM_NOT_FOUND');
+  }
+
+  const attachment = item.attachment_id
+    ? await Attachment.findOne({ where: { id: item.attachment_id, status: 'active' } })
+    : null;
+  if (!attachment) {
+    throw new Error('ATTACHMENT_NOT_FOUND');
+  }
+  return attachment;
+}
+
+module.exports = {
+  submitPortfolioItem,
+  listResearcherPortfolio,
+  listPublicPortfolio,
+  deletePortfolioItem,
+  listPortfolioReviews,
+  reviewPortfolioItem,
+  findPublicPortfolioAttachment
+};
@@ -0,0 +1,253 @@
+const {
+  ResearcherProfile,
+  AcademicHistory,
+  Certification,
+  Application,
+  Project,
+  Organization,
+  User,
+  Rating
+} = require('../database/models');
+const { syncProjectsCompletedForUser } = require('./researcherMetricsService');
+const researcherPortfolioService = require('./researcherPortfolioService');
+const { calculateSummary } = require('../utils/ratingScores');
+const { normalizeResearcherProfileForResponse } = require('../utils/researcherProfileFields');
+
+/**
+ * Public researcher profile: the view other users get of a researcher, assembled from the
+ * profile, academic history, admin-verified certifications, completed projects, rating summary
+ * and nonprofit-approved portfolio items.
+ *
+ * Researchers choose who sees each section (profile_visibility):
+ *   public     - any signed-in user
+ *   nonprofits - nonprofit users only
+ *   private    - nobody else
+ * The researcher and admins always see every section.
+ */
+
+const PROFILE_SECTIONS = ['contact', 'rates', 'academics', 'certifications', 'projects', 'ratings', 'portfolio'];
+const VISIBILITY_LEVELS = ['public', 'nonprofits', 'private'];
+const DEFAULT_VISIBILITY = 'public';
+
+const RATE_FIELDS = ['rate_min', 'rate_max', 'hourly_rate_min', 'hourly_rate_max'];
+const CERTIFICATION_ATTRIBUTES = ['id', 'name', 'issuer', 'year', 'credential_id', 'verified_at'];
+
+/**
+ * Stored visibility merged over the defaults; unknown sections and levels are ignored
+ * @param {Object|null} stored - researcher_profiles.profile_visibility
+ * @returns {Object} Level for every section in PROFILE_SECTIONS
+ */
+function resolveVisibility(stored) {
+  const source = stored && typeof stored === 'object' ? stored : {};
+  return PROFILE_SECTIONS.reduce((visibility, section) => {
+    visibility[section] = VISIBILITY_LEVELS.includes(source[section]) ? source[section] : DEFAULT_VISIBILITY;
+    return visibility;
+  }, {});
+}
+
+function canViewSection(level, viewer, researcherId) {
+  if (!viewer) {
+    return false;
+  }
+  if (Number(viewer.id) === Number(researcherId) || ['admin', 'super_admin'].includes(viewer.role)) {
+    return true;
+  }
+  if (level === 'public') {
+    return true;
+  }
+  return level === 'nonprofits' && viewer.role === 'nonprofit';
+}
+
+async function getCompletedProjects(researcherId) {
+  const applications = await Application.findAll({
+    where: { researcher_id: researcherId, status: 'accepted' },
+    attributes: ['id', 'project_id'],
+    include: [
+      {
+        model: Project,
+        as: 'project',
+        required: true,
+        where: { status: 'completed' },
+        attributes: ['project_id', 'title'],
+        include: [
+          {
+            model: Organization,
+            as: 'organization',
+            attributes: ['id', 'name', 'is_verified']
+          }
+        ]
+      }
+    ],
+    order: [['id', 'DESC']]
+  });
+
+  const seen = new Set();
+  return applications.reduce((projects, application) => {
+    const { project } = application;
+    if (seen.has(project.project_id)) {
+      return projects;
+    }
+    seen.add(project.project_id);
+    projects.push({
+      project_id: project.project_id,
+      title: project.title,
+      organization: project.organization ? {
+        id: project.organization.id,
+        name: project.organization.name,
+        is_verified: Boolean(project.organization.is_verified)
+      } : null
+    });
+    return projects;
+  }, []);
+}
+
+async function getRatingSummary(researcherId) {
+  const ratings = await Rating.findAll({
+    where: { rated_user_id: researcherId, status: 'active' },
+    attributes: ['scores']
+  });
+  return calculateSummary(ratings);
+}
+
+/**
+ * Build the profile a viewer is allowed to see. Hidden sections are null and listed in
+ * hidden_sections; the researcher also gets their visibility settings back.
+ * @param {Object} params
+ * @param {number} params.researcherId - Researcher user id
+ * @param {Object} params.viewer - Signed-in user (id, role)
+ * @returns {Promise<Object>}
+ */
+async function buildPublicProfile({ researcherId, viewer }) {
+  const [profile, user] = await Promise.all([
+    ResearcherProfile.findOne({ where: { user_id: researcherId } }),
+    User.findOne({
+      where: { id: researcherId, account_status: 'active', deleted_at: null },
+      attributes: ['id', 'name', 'email', 'role']
+    })
+  ]);
+
+  if (!profile || !user) {
+    throw new Error('RESEARCHER_NOT_FOUND');
+  }
+
+  const visibility = resolveVisibility(profile.profile_visibility);
+  const visible = PROFILE_SECTIONS.reduce((result, section) => {
+    result[section] = canViewSection(visibility[section], viewer, researcherId);
+    return result;
+  }, {});
+
+  const [projectsCompleted, academics, certifications, completedProjects, ratings, portfolio] = await Promise.all([
+    syncProjectsCompletedForUser(researcherId),
+    visible.academics
+      ? AcademicHistory.findAll({ where: { user_id: researcherId }, order: [['year', 'DESC']] })
+      : null,
+    visible.certifications
+      ? Certification.findAll({
+        where: { user_id: researcherId, verification_status: 'verified' },
+        attributes: CERTIFICATION_ATTRIBUTES,
+        order: [['year', 'DESC']]
+      })
+      : null,
+    visible.projects ? getCompletedProjects(researcherId) : null,
+    visible.ratings ? getRatingSummary(researcherId) : null,
+    visible.portfolio ? researcherPortfolioService.listPublicPortfolio(researcherId) : null
+  ]);
+
+  const { profile_visibility: _visibility, ...profileFields } = profile.toJSON();
+  const publicProfile = normalizeResearcherProfileForResponse({
+    ...profileFields,
+    projects_completed: projectsCompleted
+  });
+  if (!visible.rates) {
+    RATE_FIELDS.forEach((field) => delete publicProfile[field]);
+  }
+  if (!visible.projects) {
+    delete publicProfile.projects_completed;
+  }
+
+  const { email, ...userFields } = user.toSafeObject();
+  const isOwner = Number(viewer?.id) === Number(researcherId);
+
+  return {
+    profile: publicProfile,
+    user: visible.contact ? { ...userFields, email } : userFields,
+    academics,
+    certifications,
+    completed_projects: completedProjects,
+    ratings,
+    portfolio,
+    hidden_sections: PROFILE_SECTIONS.filter((section) => !visible[section]),
+    ...(isOwner && { visibility })
+  };
+}
+
+/**
+ * Attachment of an approved portfolio item, if the viewer may see the researcher's portfolio.
+ * A hidden portfolio reads as a missing item so its contents are not confirmed to exist.
+ * @param {Object} params
+ * @param {number} params.researcherId
+ * @param {number} params.itemId
+ * @param {Object} params.viewer - Signed-in user (id, role)
+ * @returns {Promise<Attachment>}
+ */
+async function findVisiblePortfolioAttachment({ researcherId, itemId, viewer }) {
+  const profile = await ResearcherProfile.findOne({
+    where: { user_id: researcherId },
+    attributes: ['user_id', 'profile_visibility']
+  });
+  const visibility = resolveVisibility(profile?.profile_visibility);
+  if (!profile || !canViewSection(visibility.portfolio, viewer, researcherId)) {
+    throw new Error('PORTFOLIO_ITEM_NOT_FOUND');
+  }
+
+  return researcherPortfolioService.findPublicPortfolioAttachment({ researcherId, itemId });
+}
+
+async function getProfileVisibility(userId) {
+  const profile = await ResearcherProfile.findOne({
+    where: { user_id: userId },
+    attributes: ['user_id', 'profile_visibility']
+  });
+  if (!profile) {
+    throw new Error('RESEARCHER_NOT_FOUND');
+  }
+  return resolveVisibility(profile.profile_visibility);
+}
+
+/**
+ * Change the visibility of one or more sections; sections left out keep their setting
+ * @param {number} userId
+ * @param {Object} changes - { section: level }
+ * @returns {Promise<Object>} Resolved visibility
+ */
+async function updateProfileVisibility(userId, changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+    throw new Error('INVALID_VISIBILITY');
+  }
+
+  Object.entries(changes).forEach(([section, level]) => {
+    if (!PROFILE_SECTIONS.includes(section) || !VISIBILITY_LEVELS.includes(level)) {
+      throw new Error('INVALID_VISIBILITY');
+    }
+  });
+
+  const profile = await ResearcherProfile.findOne({ where: { user_id: userId } });
+  if (!profile) {
+    throw new Error('RESEARCHER_NOT_FOUND');
+  }
+
+  const visibility = { ...resolveVisibility(profile.profile_visibility), ...changes };
+  await profile.update({ profile_visibility: visibility });
+  return visibility;
+}
+
+module.exports = {
+  PROFILE_SECTIONS,
+  VISIBILITY_LEVELS,
+  resolveVisibility,
+  canViewSection,
+  buildPublicProfile,
+  findVisiblePortfolioAttachment,
+  getProfileVisibility,
+  updateProfileVisibility
+};
@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const { Op, fn, col } = require('sequelize');
+const { User, UserSession } = require('../database/models');
+
+const DEFAULT_REFRESH_TOKEN_TTL = '7d';
+const DURATION_UNITS_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_USER_AGENT_LENGTH = 512;
+
+/**
+ * Parse durations like 15m, 12h or 7d (the format used by ACCESS_TOKEN_EXPIRES / REFRESH_TOKEN_EXPIRES)
+ */
+function parseDuration(value, fallback) {
+  const match = /^(\d+)\s*([smhd])$/.exec(String(value || '').trim());
+  if (!match) {
+    return parseDuration(fallback);
+  }
+  return Number(match[1]) * DURATION_UNITS_MS[match[2]];
+}
+
+function getRefreshTokenTtlMs() {
+  return parseDuration(process.env.REFRESH_TOKEN_EXPIRES, DEFAULT_REFRESH_TOKEN_TTL);
+}
+
+function hashRefreshSecret(secret) {
+  const key = process.env.REFRESH_TOKEN_SECRET || process.env.JWT_SECRET;
+  return crypto.createHmac('sha256', key).update(secret).digest('hex');
+}
+
+/**
+ * Refresh tokens are `<session id>.<random secret>`. Carrying the session id lets a replayed,
+ * already-rotated token identify the family it belongs to so the whole session can be revoked.
+ */
+function parseRefreshToken(refreshToken) {
+  const [sessionId, secret, extra] = String(refreshToken || '').split('.');
+  if (extra !== undefined || !UUID_PATTERN.test(sessionId || '') || !secret) {
+    return null;
+  }
+  return { sessionId, secret };
+}
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function getClientInfo(req) {
+  const userAgent = req?.get?.('user-agent') || req?.headers?.['user-agent'] || null;
+  return {
+    user_agent: userAgent ? String(userAgent).slice(0, MAX_USER_AGENT_LENGTH) : null,
+    ip_address: req?.ip || null
+  };
+}
+
+/**
+ * Short human label for a user agent, e.g. "Chrome on macOS"
+ */
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['iOS', /iPhone|iPad/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+}
+
+/**
+ * Start a session for a signed-in user
+ * @returns {Promise<{ session: UserSession, refreshToken: string }>}
+ */
+async function createSession({ userId, req }) {
+  const id = crypto.randomUUID();
+  const secret = generateSecret();
+  const now = new Date();
+
+  const session = await UserSession.create({
+    id,
+    user_id: userId,
+    refresh_token_hash: hashRefreshSecret(secret),
+    last_used_at: now,
+    expires_at: new Date(now.getTime() + getRefreshTokenTtlMs()),
+    ...getClientInfo(req)
+  });
+
+  return { session, refreshToken: `${id}.${secret}` };
+}
+
+async function revokeSession({ sessionId, userId = null, reason }) {
+  const where = { id: sessionId, revoked_at: null };
+  if (userId !== null) {
+    where.user_id = userId;
+  }
+
+  const [updated] = await UserSession.update(
+    { revoked_at: new Date(), revoked_reason: reason },
+    { where }
+  );
+  return updated > 0;
+}
+
+/**
+ * Revoke every active session for a user
+ * @param {number} userId
+ * @param {Object} options
+ * @param {string} options.reason - Stored on each revoked session
+ * @param {string} [options.exceptSessionId] - Keep this session (e.g. "sign out other devices")
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllUserSessions(userId, { reason, exceptSessionId = null } = {}) {
+  const where = { user_id: userId, revoked_at: null };
+  if (exceptSessionId) {
+    where.id = { [Op.ne]: exceptSessionId };
+  }
+
+  const [updated] = await UserSession.update(
+    { revoked_at: new Date(), revoked_reason: reason },
+    { where }
+  );
+  return updated;
+}
+
+/**
+ * Exchange a refresh token for a new one, rotating the session's stored hash.
+ * Presenting any token the session has already rotated away from revokes the whole session; any
+ * other unknown secret is rejected as invalid.
+ * @returns {Promise<{ session: UserSession, user: User, refreshToken: string }>}
+ * @throws {Error} INVALID_REFRESH_TOKEN | REFRESH_TOKEN_REUSED | SESSION_REVOKED | SESSION_EXPIRED | ACCOUNT_UNAVAILABLE
+ */
+async function rotateRefreshToken({ refreshToken, req }) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    throw new Error('INVALID_REFRESH_TOKEN');
+  }
+
+  const session = await UserSession.findByPk(parsed.sessionId);
+  if (!session) {
+    throw new Error('INVALID_REFRESH_TOKEN');
+  }
+
+  if (session.revoked_at) {
+    throw new Error('SESSION_REVOKED');
+  }
+
+  const presentedHash = hashRefreshSecret(parsed.secret);
+  if (presentedHash !== session.refresh_token_hash) {
+    // Only a replay of a token we rotated away from proves the family leaked; an unknown secret
+    // must not let anyone who learns the session id sign its owner out.
+    if ((session.rotated_refresh_token_hashes || []).includes(presentedHash)) {
+      await revokeSession({ sessionId: session.id, reason: 'refresh_token_reuse' });
+      throw new Error('REFRESH_TOKEN_REUSED');
+    }
+    throw new Error('INVALID_REFRESH_TOKEN');
+  }
+
+  const now = new Date();
+  if (new Date(session.expires_at) <= now) {
+    await revokeSession({ sessionId: session.id, reason: 'expired' });
+    throw new Error('SESSION_EXPIRED');
+  }
+
+  const user = await User.findByPk(session.user_id);
+  if (!user || user.account_status !== 'active') {
+    await revokeSession({ sessionId: session.id, reason: 'account_unavailable' });
+    throw new Error('ACCOUNT_UNAVAILABLE');
+  }
+
+  const secret = generateSecret();
+  const [rotated] = await UserSession.update(
+    {
+      refresh_token_hash: hashRefreshSecret(secret),
+      rotated_refresh_token_hashes: fn('array_append', col('rotated_refresh_token_hashes'), presentedHash),
+      rotation_count: session.rotation_count + 1,
+      last_used_at: now,
+      expires_at: new Date(now.getTime() + getRefreshTokenTtlMs()),
+      ...getClientInfo(req)
+    },
+    { where: { id: session.id, refresh_token_hash: presentedHash, revoked_at: null } }
+  );
+
+  // Another request rotated this token first: the same token was used twice.
+  if (!rotated) {
+    await revokeSession({ sessionId: session.id, reason: 'refresh_token_reuse' });
+    throw new Error('REFRESH_TOKEN_REUSED');
+  }
+
+  return { session, user, refreshToken: `${session.id}.${secret}` };
+}
+
+/**
+ * Revoke the session a refresh token belongs to (logout)
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+async function revokeRefreshToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return false;
+  }
+
+  const session = await UserSession.findByPk(parsed.sessionId);
+  if (!session || session.refresh_token_hash !== hashRefreshSecret(parsed.secret)) {
+    return false;
+  }
+
+  return revokeSession({ sessionId: session.id, reason: 'logout' });
+}
+
+async function isSessionActive(sessionId, userId) {
+  const session = await UserSession.findByPk(sessionId, {
+    attributes: ['id', 'user_id', 'revoked_at', 'expires_at']
+  });
+  return Boolean(session && session.user_id === userId && session.isActive());
+}
+
+async function listActiveSessions(userId) {
+  const sessions = await UserSession.findAll({
+    where: {
+      user_id: userId,
+      revoked_at: null,
+      expires_at: { [Op.gt]: new Date() }
+    },
+    order: [['last_used_at', 'DESC'], ['created_at', 'DESC']]
+  });
+
+  return sessions.map((session) => ({
+    id: session.id,
+    device: describeDevice(session.user_agent),
+    user_agent: session.user_agent,
+    ip_address: session.ip_address,
+    created_at: session.created_at,
+    last_used_at: session.last_used_at,
+    expires_at: session.expires_at
+  }));
+}
+
+module.exports = {
+  parseDuration,
+  describeDevice,
+  createSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeSession,
+  revokeAllUserSessions,
+  isSessionActive,
+  listActiveSessions
+};
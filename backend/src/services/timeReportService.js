@@ -0,0 +1,288 @@
+const { Op } = require('sequelize');
+const {
+  Timesheet,
+  TimeEntry,
+  Milestone,
+  MilestoneResearcher,
+  ResearcherProfile,
+  User
+} = require('../database/models');
+const { loadProject, canViewProjectTimesheets } = require('./timesheetService');
+const { getAssignmentHours } = require('./researcherCapacityService');
+const { toDateOnly, daysBetween } = require('../utils/calendarDates');
+const { toCsv } = require('../utils/csv');
+
+/**
+ * Estimated vs. actual hours for a project. Actual hours come from time entries, split by the
+ * status of their timesheet: approved, awaiting approval (submitted) and unsubmitted (draft or
+ * rejected). Variance and cost use approved hours only.
+ *
+ * Estimates: the project total is Project.estimated_hours. A researcher's estimate is the weekly
+ * hours of each of their milestone assignments times the weeks from the assignment to the
+ * milestone's due date; assignments on cancelled milestones or milestones without a due date add
+ * nothing. The from/to range limits actual hours only.
+ */
+
+const roundHours = (value) => Math.round(value * 100) / 100;
+
+function emptyHours() {
+  return { approved_hours: 0, awaiting_approval_hours: 0, unsubmitted_hours: 0 };
+}
+
+function addEntryHours(bucket, entry, status) {
+  const hours = Number(entry.hours) || 0;
+  if (status === 'approved') {
+    bucket.approved_hours += hours;
+  } else if (status === 'submitted') {
+    bucket.awaiting_approval_hours += hours;
+  } else {
+    bucket.unsubmitted_hours += hours;
+  }
+}
+
+/**
+ * Estimate, actual hours and the difference between them
+ */
+function compareHours(estimatedHours, hours) {
+  const estimated = estimatedHours === null || estimatedHours === undefined ? null : roundHours(Number(estimatedHours));
+  const approved = roundHours(hours.approved_hours);
+
+  return {
+    estimated_hours: estimated,
+    approved_hours: approved,
+    awaiting_approval_hours: roundHours(hours.awaiting_approval_hours),
+    unsubmitted_hours: roundHours(hours.unsubmitted_hours),
+    variance_hours: estimated === null ? null : roundHours(approved - estimated),
+    percent_of_estimate: estimated ? Math.round((approved / estimated) * 100) : null
+  };
+}
+
+/**
+ * Hours an assignment is expected to take: weekly hours for every started week until the due date
+ */
+function estimateAssignmentHours(assignment, milestone) {
+  if (!milestone || milestone.status === 'cancelled' || !milestone.due_date) {
+    return 0;
+  }
+  const assignedOn = toDateOnly(assignment.created_at) || toDateOnly(milestone.due_date);
+  const weeks = Math.max(1, Math.ceil((daysBetween(assignedOn, toDateOnly(milestone.due_date)) + 1) / 7));
+  return getAssignmentHours(assignment) * weeks;
+}
+
+function rateOrNull(value) {
+  const rate = Number(value);
+  return value === null || value === undefined || !Number.isFinite(rate) ? null : rate;
+}
+
+/**
+ * Build the report from loaded rows
+ * @param {Object} params
+ * @param {Object} params.project
+ * @param {Array<TimeEntry>} params.entries - With timesheet (status, researcher_id) loaded
+ * @param {Array<Milestone>} params.milestones
+ * @param {Array<MilestoneResearcher>} params.assignments
+ * @param {Array<User>} params.researchers - With researcherProfile (hourly rates) loaded
+ * @returns {Object} { project, range, totals, researchers, milestones }
+ */
+function buildTimeReport({ project, entries, milestones, assignments, researchers, from = null, to = null }) {
+  const milestonesById = new Map(milestones.map((milestone) => [milestone.id, milestone]));
+  const researchersById = new Map(researchers.map((researcher) => [researcher.id, researcher]));
+
+  const projectHours = emptyHours();
+  const researcherHours = new Map();
+  const milestoneHours = new Map(milestones.map((milestone) => [milestone.id, emptyHours()]));
+  const researcherEstimates = new Map();
+  const milestoneEstimates = new Map();
+
+  for (const assignment of assignments) {
+    const estimate = estimateAssignmentHours(assignment, milestonesById.get(assignment.milestone_id));
+    researcherEstimates.set(assignment.researcher_id, (researcherEstimates.get(assignment.researcher_id) || 0) + estimate);
+    milestoneEstimates.set(assignment.milestone_id, (milestoneEstimates.get(assignment.milestone_id) || 0) + estimate);
+  }
+
+  for (const entry of entries) {
+    const { status, researcher_id: researcherId } = entry.timesheet;
+    if (!researcherHours.has(researcherId)) {
+      researcherHours.set(researcherId, emptyHours());
+    }
+    if (!milestoneHours.has(entry.milestone_id)) {
+      milestoneHours.set(entry.milestone_id, emptyHours());
+    }
+    addEntryHours(projectHours, entry, status);
+    addEntryHours(researcherHours.get(researcherId), entry, status);
+    addEntryHours(milestoneHours.get(entry.milestone_id), entry, status);
+  }
+
+  const researcherIds = [...new Set([...researcherEstimates.keys(), ...researcherHours.keys()])].sort((a, b) => a - b);
+  const researcherRows = researcherIds.map((researcherId) => {
+    const researcher = researchersById.get(researcherId);
+    const profile = researcher ? researcher.researcherProfile : null;
+    const hours = compareHours(
+      researcherEstimates.has(researcherId) ? researcherEstimates.get(researcherId) : null,
+      researcherHours.get(researcherId) || emptyHours()
+    );
+    const rateMin = rateOrNull(profile?.hourly_rate_min);
+    const rateMax = rateOrNull(profile?.hourly_rate_max);
+
+    return {
+      researcher_id: researcherId,
+      name: researcher ? researcher.name : null,
+      ...hours,
+      hourly_rate_min: rateMin,
+      hourly_rate_max: rateMax,
+      cost_min: rateMin === null ? null : roundHours(rateMin * hours.approved_hours),
+      cost_max: rateMax === null ? null : roundHours(rateMax * hours.approved_hours)
+    };
+  });
+
+  const sumCosts = (key) => (researcherRows.some((row) => row[key] !== null)
+    ? roundHours(researcherRows.reduce((sum, row) => sum + (row[key] || 0), 0))
+    : null);
+
+  return {
+    project: { project_id: project.project_id, title: project.title },
+    range: { from, to },
+    totals: {
+      ...compareHours(project.estimated_hours, projectHours),
+      cost_min: sumCosts('cost_min'),
+      cost_max: sumCosts('cost_max')
+    },
+    researchers: researcherRows,
+    milestones: [...milestoneHours.keys()].map((milestoneId) => ({
+      milestone_id: milestoneId,
+      name: milestonesById.has(milestoneId) ? milestonesById.get(milestoneId).name : null,
+      status: milestonesById.has(milestoneId) ? milestonesById.get(milestoneId).status : null,
+      ...compareHours(
+        milestoneEstimates.has(milestoneId) ? milestoneEstimates.get(milestoneId) : null,
+        milestoneHours.get(milestoneId)
+      )
+    }))
+  };
+}
+
+function parseRange({ from, to }) {
+  const range = { from: null, to: null };
+  for (const [key, value] of Object.entries({ from, to })) {
+    if (value !== undefined && value !== null && value !== '') {
+      range[key] = toDateOnly(value);
+      if (!range[key]) {
+        throw new Error('INVALID_REPORT_RANGE');
+      }
+    }
+  }
+  if (range.from && range.to && range.from > range.to) {
+    throw new Error('INVALID_REPORT_RANGE');
+  }
+  return range;
+}
+
+/**
+ * Estimated vs. actual hours for a project, per researcher and per milestone
+ * @param {Object} params
+ * @param {Object} params.user - Admin or member of the owning organization
+ * @param {number} params.projectId
+ * @param {string} [params.from] - YYYY-MM-DD, first work date counted
+ * @param {string} [params.to] - YYYY-MM-DD, last work date counted
+ * @returns {Promise<Object>} See buildTimeReport
+ */
+async function getTimeReport({ user, projectId, from, to }) {
+  const range = parseRange({ from, to });
+  const project = await loadProject(projectId);
+  if (!(await canViewProjectTimesheets(user, project))) {
+    throw new Error('ORGANIZATION_ACCESS_DENIED');
+  }
+
+  const milestones = await Milestone.findAll({
+    where: { project_id: projectId },
+    attributes: ['id', 'name', 'status', 'due_date'],
+    order: [['id', 'ASC']]
+  });
+  const milestoneIds = milestones.map((milestone) => milestone.id);
+
+  const assignments = milestoneIds.length > 0
+    ? await MilestoneResearcher.findAll({
+      where: { milestone_id: { [Op.in]: milestoneIds } },
+      attributes: ['milestone_id', 'researcher_id', 'weekly_hours', 'created_at']
+    })
+    : [];
+
+  const entryWhere = {};
+  if (range.from || range.to) {
+    entryWhere.work_date = {
+      ...(range.from ? { [Op.gte]: range.from } : {}),
+      ...(range.to ? { [Op.lte]: range.to } : {})
+    };
+  }
+  const entries = await TimeEntry.findAll({
+    where: entryWhere,
+    attributes: ['id', 'milestone_id', 'hours', 'work_date'],
+    include: [{
+      model: Timesheet,
+      as: 'timesheet',
+      required: true,
+      where: { project_id: projectId },
+      attributes: ['id', 'researcher_id', 'status']
+    }]
+  });
+
+  const researcherIds = [...new Set([
+    ...assignments.map((assignment) => assignment.researcher_id),
+    ...entries.map((entry) => entry.timesheet.researcher_id)
+  ])];
+  const researchers = researcherIds.length > 0
+    ? await User.findAll({
+      where: { id: { [Op.in]: researcherIds } },
+      attributes: ['id', 'name'],
+      include: [{
+        model: ResearcherProfile,
+        as: 'researcherProfile',
+        required: false,
+        attributes: ['hourly_rate_min', 'hourly_rate_max']
+      }]
+    })
+    : [];
+
+  return buildTimeReport({ project, entries, milestones, assignments, researchers, ...range });
+}
+
+const CSV_HEADERS = [
+  'Researcher ID',
+  'Researcher',
+  'Estimated Hours',
+  'Approved Hours',
+  'Awaiting Approval Hours',
+  'Unsubmitted Hours',
+  'Variance Hours',
+  'Percent of Estimate',
+  'Cost Min',
+  'Cost Max'
+];
+
+/**
+ * One row per researcher followed by the project total
+ */
+function buildTimeReportCsv(report) {
+  const toRow = (label, id, row) => [
+    id,
+    label,
+    row.estimated_hours,
+    row.approved_hours,
+    row.awaiting_approval_hours,
+    row.unsubmitted_hours,
+    row.variance_hours,
+    row.percent_of_estimate,
+    row.cost_min,
+    row.cost_max
+  ];
+
+  return toCsv(CSV_HEADERS, [
+    ...report.researchers.map((row) => toRow(row.name, row.researcher_id, row)),
+    toRow('Project total', '', report.totals)
+  ]);
+}
+
+module.exports = {
+  buildTimeReport,
+  getTimeReport,
+  buildTimeReportCsv
+};
@@ -0,0 +1,497 @@
+const { Op } = require('sequelize');
+const {
+  Timesheet,
+  TimeEntry,
+  Milestone,
+  Project,
+  OrganizationMember,
+  User,
+  sequelize
+} = require('../database/models');
+const notificationService = require('./notificationService');
+const {
+  ORGANIZATION_PERMISSIONS,
+  canInOrganization
+} = require('./organizationMemberService');
+const { canResearcherAccessMilestone } = require('./milestoneAccessService');
+const { toDateOnly, startOfWeek } = require('../utils/calendarDates');
+const { logAudit, AUDIT_ACTIONS } = require('../utils/auditLogger');
+
+/**
+ * Time tracking. Researchers log hours against milestones they can access; entries land on their
+ * weekly timesheet for the project (weeks start on Monday). A timesheet can be edited while it is
+ * a draft or after it was rejected, is then submitted, and the nonprofit approves or rejects it.
+ *
+ * Timesheet statuses: draft -> submitted -> approved | rejected; rejected -> submitted.
+ * Status changes and entry writes lock the timesheet row, so an entry cannot change while the
+ * timesheet is being submitted and a submitted timesheet is reviewed only once.
+ */
+
+const REVIEW_PERMISSION = 'timesheets:review';
+const VIEW_PERMISSION = 'projects:view';
+const EDITABLE_STATUSES = new Set(['draft', 'rejected']);
+const TIMESHEET_STATUSES = ['draft', 'submitted', 'approved', 'rejected'];
+const MAX_HOURS_PER_DAY = 24;
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+const REVIEW_OUTCOMES = {
+  approve: {
+    status: 'approved',
+    audit: AUDIT_ACTIONS.TIMESHEET_APPROVED,
+    title: 'Timesheet Approved',
+    message: (timesheet, project) => `Your timesheet for the week of ${timesheet.week_start} on "${project.title}" was approved.`
+  },
+  reject: {
+    status: 'rejected',
+    audit: AUDIT_ACTIONS.TIMESHEET_REJECTED,
+    title: 'Timesheet Rejected',
+    message: (timesheet, project, feedback) => `Your timesheet for the week of ${timesheet.week_start} on "${project.title}" was rejected: ${feedback}`
+  }
+};
+
+const isAdminUser = (user) => user?.role === 'admin' || user?.role === 'super_admin';
+
+function normalizeText(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function timesheetIncludes() {
+  return [
+    {
+      model: TimeEntry,
+      as: 'entries',
+      include: [{ model: Milestone, as: 'milestone', attributes: ['id', 'name'] }]
+    },
+    { model: User, as: 'researcher', attributes: ['id', 'name', 'email'] },
+    { model: User, as: 'reviewer', attributes: ['id', 'name', 'email'] }
+  ];
+}
+
+/**
+ * Validate time entry fields from a request body
+ * @param {Object} body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Updates may leave out any field
+ * @param {string} [options.today] - YYYY-MM-DD; work dates after it are rejected
+ * @returns {Object} Only the fields that were sent
+ */
+function parseEntryInput(body = {}, { partial = false, today = toDateOnly(new Date()) } = {}) {
+  const input = {};
+
+  if (body.milestone_id !== undefined || !partial) {
+    const milestoneId = Number(body.milestone_id);
+    if (!Number.isInteger(milestoneId) || milestoneId <= 0) {
+      throw new Error('INVALID_TIME_ENTRY_MILESTONE');
+    }
+    input.milestone_id = milestoneId;
+  }
+
+  if (body.work_date !== undefined || !partial) {
+    const workDate = typeof body.work_date === 'string' ? toDateOnly(body.work_date) : null;
+    if (!workDate) {
+      throw new Error('INVALID_TIME_ENTRY_DATE');
+    }
+    if (workDate > today) {
+      throw new Error('TIME_ENTRY_IN_FUTURE');
+    }
+    input.work_date = workDate;
+  }
+
+  if (body.hours !== undefined || !partial) {
+    const hours = Math.round(Number(body.hours) * 100) / 100;
+    if (typeof body.hours === 'boolean' || !Number.isFinite(hours) || hours <= 0 || hours > MAX_HOURS_PER_DAY) {
+      throw new Error('INVALID_TIME_ENTRY_HOURS');
+    }
+    input.hours = hours;
+  }
+
+  if (body.description !== undefined) {
+    const description = normalizeText(body.description);
+    if (description && description.length > MAX_DESCRIPTION_LENGTH) {
+      throw new Error('INVALID_TIME_ENTRY_DESCRIPTION');
+    }
+    input.description = description;
+  }
+
+  return input;
+}
+
+async function loadProject(projectId) {
+  const project = await Project.findOne({
+    where: { project_id: projectId },
+    attributes: ['project_id', 'title', 'org_id', 'estimated_hours', 'start_date']
+  });
+  if (!project) {
+    throw new Error('PROJECT_NOT_FOUND');
+  }
+  return project;
+}
+
+/**
+ * Admins and organization members whose role allows reviewing timesheets
+ */
+async function canReviewTimesheets(user, project) {
+  return isAdminUser(user) || canInOrganization(user, project.org_id, REVIEW_PERMISSION);
+}
+
+/**
+ * Admins and any member of the organization that owns the project
+ */
+async function canViewProjectTimesheets(user, project) {
+  return isAdminUser(user) || canInOrganization(user, project.org_id, VIEW_PERMISSION);
+}
+
+async function ensureMilestoneAccess({ researcherId, projectId, milestoneId }) {
+  const milestone = await Milestone.findOne({
+    where: { id: milestoneId, project_id: projectId },
+    attributes: ['id', 'name', 'status']
+  });
+  if (!milestone) {
+    throw new Error('MILESTONE_NOT_FOUND');
+  }
+  if (milestone.status === 'cancelled') {
+    throw new Error('MILESTONE_CANCELLED');
+  }
+  if (!(await canResearcherAccessMilestone({ researcherId, projectId, milestoneId }))) {
+    throw new Error('MILESTONE_ACCESS_DENIED');
+  }
+}
+
+/**
+ * A researcher cannot log more than 24 hours on one day, across all their projects
+ */
+async function ensureDailyLimit({ researcherId, workDate, hours, excludeEntryId = null, transaction }) {
+  const timesheets = await Timesheet.findAll({
+    where: { researcher_id: researcherId, week_start: startOfWeek(workDate) },
+    attributes: ['id'],
+    transaction
+  });
+
+  const where = { timesheet_id: { [Op.in]: timesheets.map((timesheet) => timesheet.id) }, work_date: workDate };
+  if (excludeEntryId) {
+    where.id = { [Op.ne]: excludeEntryId };
+  }
+  const logged = timesheets.length > 0 ? Number(await TimeEntry.sum('hours', { where, transaction })) || 0 : 0;
+
+  if (logged + hours > MAX_HOURS_PER_DAY) {
+    throw new Error('DAILY_HOURS_EXCEEDED');
+  }
+}
+
+/**
+ * The researcher's timesheet for the project and the week of workDate, created as a draft when
+ * missing. Only editable timesheets are returned.
+ */
+async function findEditableTimesheet({ projectId, researcherId, workDate }) {
+  const [timesheet] = await Timesheet.findOrCreate({
+    where: { project_id: projectId, researcher_id: researcherId, week_start: startOfWeek(workDate) },
+    defaults: { status: 'draft' }
+  });
+  if (!EDITABLE_STATUSES.has(timesheet.status)) {
+    throw new Error('TIMESHEET_LOCKED');
+  }
+  return timesheet;
+}
+
+/**
+ * Lock the timesheets an entry write touches and check they are still editable; a submit that
+ * got there first has moved them on
+ */
+async function lockEditableTimesheets(timesheetIds, transaction) {
+  const ids = [...new Set(timesheetIds)];
+  const timesheets = await Timesheet.findAll({
+    where: { id: { [Op.in]: ids } },
+    order: [['id', 'ASC']],
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  if (timesheets.length !== ids.length || timesheets.some((timesheet) => !EDITABLE_STATUSES.has(timesheet.status))) {
+    throw new Error('TIMESHEET_LOCKED');
+  }
+}
+
+async function loadOwnEntry({ researcherId, projectId, entryId }) {
+  const entry = await TimeEntry.findOne({
+    where: { id: entryId },
+    include: [{
+      model: Timesheet,
+      as: 'timesheet',
+      required: true,
+      where: { project_id: projectId, researcher_id: researcherId }
+    }]
+  });
+  if (!entry) {
+    throw new Error('TIME_ENTRY_NOT_FOUND');
+  }
+  if (!EDITABLE_STATUSES.has(entry.timesheet.status)) {
+    throw new Error('TIMESHEET_LOCKED');
+  }
+  return entry;
+}
+
+/**
+ * Log hours on a milestone; the entry goes on the researcher's timesheet for that week
+ * @param {Object} params
+ * @param {Object} params.researcher - Signed-in researcher
+ * @param {number} params.projectId
+ * @param {Object} params.input - From parseEntryInput
+ * @returns {Promise<TimeEntry>}
+ */
+async function logTimeEntry({ researcher, projectId, input }) {
+  await loadProject(projectId);
+  await ensureMilestoneAccess({ researcherId: researcher.id, projectId, milestoneId: input.milestone_id });
+
+  const timesheet = await findEditableTimesheet({ projectId, researcherId: researcher.id, workDate: input.work_date });
+
+  return sequelize.transaction(async (transaction) => {
+    await lockEditableTimesheets([timesheet.id], transaction);
+    await ensureDailyLimit({ researcherId: researcher.id, workDate: input.work_date, hours: input.hours, transaction });
+    return TimeEntry.create({ ...input, timesheet_id: timesheet.id }, { transaction });
+  });
+}
+
+/**
+ * Change a time entry on an editable timesheet. Moving it to another week moves it to that
+ * week's timesheet.
+ */
+async function updateTimeEntry({ researcher, projectId, entryId, input }) {
+  const entry = await loadOwnEntry({ researcherId: researcher.id, projectId, entryId });
+
+  if (input.milestone_id !== undefined && input.milestone_id !== entry.milestone_id) {
+    await ensureMilestoneAccess({ researcherId: researcher.id, projectId, milestoneId: input.milestone_id });
+  }
+
+  const workDate = input.work_date || entry.work_date;
+  const updates = { ...input };
+  if (startOfWeek(workDate) !== entry.timesheet.week_start) {
+    const timesheet = await findEditableTimesheet({ projectId, researcherId: researcher.id, workDate });
+    updates.timesheet_id = timesheet.id;
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await lockEditableTimesheets([entry.timesheet.id, updates.timesheet_id || entry.timesheet.id], transaction);
+    await ensureDailyLimit({
+      researcherId: researcher.id,
+      workDate,
+      hours: input.hours !== undefined ? input.hours : Number(entry.hours),
+      excludeEntryId: entry.id,
+      transaction
+    });
+    await entry.update(updates, { transaction });
+  });
+  return entry;
+}
+
+async function deleteTimeEntry({ researcher, projectId, entryId }) {
+  const entry = await loadOwnEntry({ researcherId: researcher.id, projectId, entryId });
+  await sequelize.transaction(async (transaction) => {
+    await lockEditableTimesheets([entry.timesheet.id], transaction);
+    await entry.destroy({ transaction });
+  });
+}
+
+/**
+ * Timesheets on a project: researchers see their own, the owning organization and admins see all
+ * @param {Object} params
+ * @param {Object} params.user
+ * @param {number} params.projectId
+ * @param {Object} [params.filters] - status, researcherId, weekStart
+ */
+async function listTimesheets({ user, projectId, filters = {} }) {
+  const project = await loadProject(projectId);
+  const where = { project_id: projectId };
+
+  if (user.role === 'researcher') {
+    where.researcher_id = user.id;
+  } else if (!(await canViewProjectTimesheets(user, project))) {
+    throw new Error('ORGANIZATION_ACCESS_DENIED');
+  } else if (filters.researcherId) {
+    where.researcher_id = filters.researcherId;
+  }
+
+  if (filters.status) {
+    if (!TIMESHEET_STATUSES.includes(filters.status)) {
+      throw new Error('INVALID_TIMESHEET_STATUS');
+    }
+    where.status = filters.status;
+  }
+  if (filters.weekStart) {
+    const weekStart = toDateOnly(filters.weekStart);
+    if (!weekStart) {
+      throw new Error('INVALID_TIMESHEET_WEEK');
+    }
+    where.week_start = startOfWeek(weekStart);
+  }
+
+  return Timesheet.findAll({
+    where,
+    include: timesheetIncludes(),
+    order: [['week_start', 'DESC'], ['researcher_id', 'ASC']]
+  });
+}
+
+async function getTimesheet({ user, projectId, timesheetId }) {
+  const project = await loadProject(projectId);
+  const timesheet = await Timesheet.findOne({
+    where: { id: timesheetId, project_id: projectId },
+    include: timesheetIncludes()
+  });
+  if (!timesheet) {
+    throw new Error('TIMESHEET_NOT_FOUND');
+  }
+
+  const isOwner = timesheet.researcher_id === user.id;
+  if (!isOwner && !(await canViewProjectTimesheets(user, project))) {
+    throw new Error('TIMESHEET_NOT_FOUND');
+  }
+  return timesheet;
+}
+
+async function notifyReviewers(project, timesheet, researcher) {
+  try {
+    const reviewers = await OrganizationMember.findAll({
+      where: { org_id: project.org_id, role: { [Op.in]: ORGANIZATION_PERMISSIONS[REVIEW_PERMISSION] } },
+      attributes: ['user_id']
+    });
+
+    if (reviewers.length > 0) {
+      await notificationService.createBulkNotifications(reviewers.map((member) => member.user_id), {
+        type: 'timesheet_submitted',
+        title: 'Timesheet Submitted',
+        message: `${researcher.name || 'A researcher'} submitted their timesheet for the week of ${timesheet.week_start} on "${project.title}".`,
+        link: `/projects/${project.project_id}/timesheets`,
+        metadata: { timesheet_id: timesheet.id, project_id: project.project_id, researcher_id: researcher.id }
+      });
+    }
+  } catch (error) {
+    console.error(`[Timesheets] Failed to notify reviewers for timesheet ${timesheet.id}:`, error.message);
+  }
+}
+
+async function notifyResearcher(project, timesheet, { title, message }) {
+  try {
+    await notificationService.createNotification({
+      userId: timesheet.researcher_id,
+      type: 'timesheet_reviewed',
+      title,
+      message,
+      link: `/projects/${project.project_id}/timesheets`,
+      metadata: { timesheet_id: timesheet.id, project_id: project.project_id, status: timesheet.status }
+    });
+  } catch (error) {
+    console.error(`[Timesheets] Failed to notify researcher ${timesheet.researcher_id}:`, error.message);
+  }
+}
+
+/**
+ * Submit a draft or rejected timesheet for approval
+ */
+async function submitTimesheet({ researcher, projectId, timesheetId }) {
+  const project = await loadProject(projectId);
+  const timesheet = await sequelize.transaction(async (transaction) => {
+    const locked = await Timesheet.findOne({
+      where: { id: timesheetId, project_id: projectId, researcher_id: researcher.id },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!locked) {
+      throw new Error('TIMESHEET_NOT_FOUND');
+    }
+    if (!EDITABLE_STATUSES.has(locked.status)) {
+      throw new Error('TIMESHEET_NOT_SUBMITTABLE');
+    }
+    if ((await TimeEntry.count({ where: { timesheet_id: locked.id }, transaction })) === 0) {
+      throw new Error('TIMESHEET_EMPTY');
+    }
+
+    await locked.update({ status: 'submitted', submitted_at: new Date() }, { transaction });
+    return locked;
+  });
+
+  await logAudit({
+    actorId: researcher.id,
+    action: AUDIT_ACTIONS.TIMESHEET_SUBMITTED,
+    entityType: 'PROJECT',
+    entityId: project.project_id,
+    metadata: { timesheet_id: timesheet.id, week_start: timesheet.week_start }
+  });
+  await notifyReviewers(project, timesheet, researcher);
+
+  return timesheet;
+}
+
+/**
+ * Approve or reject a submitted timesheet. Rejecting needs feedback for the researcher, who can
+ * then correct the entries and submit again.
+ * @param {Object} params
+ * @param {Object} params.reviewer - Admin or nonprofit member with timesheets:review
+ * @param {string} params.action - 'approve' | 'reject'
+ * @returns {Promise<Timesheet>}
+ */
+async function reviewTimesheet({ reviewer, projectId, timesheetId, action, feedback }) {
+  const outcome = REVIEW_OUTCOMES[action];
+  if (!outcome) {
+    throw new Error('INVALID_REVIEW_ACTION');
+  }
+
+  const reviewFeedback = normalizeText(feedback);
+  if (action === 'reject' && !reviewFeedback) {
+    throw new Error('FEEDBACK_REQUIRED');
+  }
+
+  const project = await loadProject(projectId);
+  if (!(await canReviewTimesheets(reviewer, project))) {
+    throw new Error('ORGANIZATION_ACCESS_DENIED');
+  }
+
+  // The row lock makes a concurrent approve and reject take turns; the second sees the first's status
+  const timesheet = await sequelize.transaction(async (transaction) => {
+    const locked = await Timesheet.findOne({
+      where: { id: timesheetId, project_id: projectId },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!locked) {
+      throw new Error('TIMESHEET_NOT_FOUND');
+    }
+    if (locked.status !== 'submitted') {
+      throw new Error('TIMESHEET_NOT_REVIEWABLE');
+    }
+
+    await locked.update({
+      status: outcome.status,
+      reviewed_by: reviewer.id,
+      reviewed_at: new Date(),
+      feedback: reviewFeedback
+    }, { transaction });
+    return locked;
+  });
+
+  await logAudit({
+    actorId: reviewer.id,
+    action: outcome.audit,
+    entityType: 'PROJECT',
+    entityId: project.project_id,
+    metadata: { timesheet_id: timesheet.id, researcher_id: timesheet.researcher_id, feedback: reviewFeedback }
+  });
+  await notifyResearcher(project, timesheet, {
+    title: outcome.title,
+    message: outcome.message(timesheet, project, reviewFeedback)
+  });
+
+  return timesheet;
+}
+
+module.exports = {
+  REVIEW_PERMISSION,
+  parseEntryInput,
+  loadProject,
+  canViewProjectTimesheets,
+  logTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry,
+  listTimesheets,
+  getTimesheet,
+  submitTimesheet,
+  reviewTimesheet
+};
@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User, UserTotpFactor, TwoFactorRecoveryCode, sequelize } = require('../database/models');
+const { encryptMessage, decryptMessage } = require('../utils/encryption');
+const { generateSecret, verifyTotp, buildOtpauthUrl } = require('../utils/totp');
+
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const LOGIN_METHODS = ['totp', 'email', 'recovery_code'];
+const MAX_FAILED_LOGIN_ATTEMPTS = 5;
+const LOGIN_LOCK_MS = 15 * 60 * 1000;
+
+const getEncryptionKey = () => process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET;
+
+const getIssuer = () => process.env.TOTP_ISSUER || 'TRIDENT';
+
+const hashRecoveryCode = (code) => crypto
+  .createHmac('sha256', getEncryptionKey())
+  .update(code)
+  .digest('hex');
+
+// Codes are shown as xxxxx-xxxxx; accept them with any case, spacing or dashes
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
+
+const generateRecoveryCode = () => {
+  const chars = Array.from({ length: 10 }, () => RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)]);
+  return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+};
+
+async function findConfirmedFactor(userId) {
+  const factor = await UserTotpFactor.findOne({ where: { user_id: userId } });
+  return factor && factor.confirmed_at ? factor : null;
+}
+
+/**
+ * Start (or restart) authenticator app enrolment with a fresh secret
+ * @returns {Promise<{ secret: string, otpauthUrl: string }>}
+ * @throws {Error} TOTP_ALREADY_ENABLED
+ */
+async function beginTotpEnrollment(user) {
+  const existing = await UserTotpFactor.findOne({ where: { user_id: user.id } });
+  if (existing && existing.confirmed_at) {
+    throw new Error('TOTP_ALREADY_ENABLED');
+  }
+
+  const secret = generateSecret();
+  const secretEncrypted = encryptMessage(secret, getEncryptionKey());
+
+  if (existing) {
+    await existing.update({ secret_encrypted: secretEncrypted, last_used_step: null });
+  } else {
+    await UserTotpFactor.create({ user_id: user.id, secret_encrypted: secretEncrypted });
+  }
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUrl({ secret, accountName: user.email, issuer: getIssuer() })
+  };
+}
+
+/**
+ * Replace a user's recovery codes with a new set
+ * @returns {Promise<string[]>} Plaintext codes; they are only ever shown once
+ */
+async function replaceRecoveryCodes(userId, { transaction } = {}) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+  await TwoFactorRecoveryCode.destroy({ where: { user_id: userId }, transaction });
+  await TwoFactorRecoveryCode.bulkCreate(
+    codes.map((code) => ({ user_id: userId, code_hash: hashRecoveryCode(normalizeRecoveryCode(code)) })),
+    { transaction }
+  );
+
+  return codes;
+}
+
+/**
+ * Finish enrolment by proving the app produces valid codes. Turns 2FA on and issues recovery codes.
+ * @returns {Promise<{ recoveryCodes: string[] }>}
+ * @throws {Error} TOTP_NOT_STARTED | TOTP_ALREADY_ENABLED | INVALID_CODE
+ */
+async function confirmTotpEnrollment(userId, code) {
+  const factor = await UserTotpFactor.findOne({ where: { user_id: userId } });
+  if (!factor) {
+    throw new Error('TOTP_NOT_STARTED');
+  }
+  if (factor.confirmed_at) {
+    throw new Error('TOTP_ALREADY_ENABLED');
+  }
+
+  const step = verifyTotp(decryptMessage(factor.secret_encrypted, getEncryptionKey()), code);
+  if (step === null) {
+    throw new Error('INVALID_CODE');
+  }
+
+  const recoveryCodes = await sequelize.transaction(async (transaction) => {
+    await factor.update({ confirmed_at: new Date(), last_used_step: step }, { transaction });
+    await User.update({ mfa_enabled: true }, { where: { id: userId }, transaction });
+    return replaceRecoveryCodes(userId, { transaction });
+  });
+
+  return { recoveryCodes };
+}
+
+/**
+ * Check an authenticator code for a user with confirmed TOTP. Each time step is accepted once.
+ * @returns {Promise<boolean>}
+ */
+async function verifyTotpCode(userId, code) {
+  const factor = await findConfirmedFactor(userId);
+  if (!factor) {
+    return false;
+  }
+
+  const step = verifyTotp(decryptMessage(factor.secret_encrypted, getEncryptionKey()), code);
+  if (step === null) {
+    return false;
+  }
+
+  // Conditional update so a code cannot be replayed, even by concurrent requests
+  const [updated] = await UserTotpFactor.update(
+    { last_used_step: step },
+    {
+      where: {
+        id: factor.id,
+        [Op.or]: [{ last_used_step: null }, { last_used_step: { [Op.lt]: step } }]
+      }
+    }
+  );
+
+  return updated > 0;
+}
+
+/**
+ * Spend a recovery code
+ * @returns {Promise<boolean>} False when the code is unknown or already used
+ */
+async function consumeRecoveryCode(userId, code) {
+  const normalized = normalizeRecoveryCode(code);
+  if (!normalized) {
+    return false;
+  }
+
+  const [updated] = await TwoFactorRecoveryCode.update(
+    { used_at: new Date() },
+    { where: { user_id: userId, code_hash: hashRecoveryCode(normalized), used_at: null } }
+  );
+
+  return updated > 0;
+}
+
+async function countRemainingRecoveryCodes(userId) {
+  return TwoFactorRecoveryCode.count({ where: { user_id: userId, used_at: null } });
+}
+
+/**
+ * Whether too many wrong authenticator or recovery codes have locked sign-in for this user
+ * @returns {Promise<boolean>}
+ */
+async function isLoginLocked(userId, now = new Date()) {
+  const factor = await findConfirmedFactor(userId);
+  return Boolean(factor && factor.login_locked_until && new Date(factor.login_locked_until) > now);
+}
+
+/**
+ * Count a wrong authenticator or recovery code at sign-in; the attempt that reaches
+ * MAX_FAILED_LOGIN_ATTEMPTS locks sign-in for LOGIN_LOCK_MS and starts the count again
+ */
+async function recordFailedLoginAttempt(userId) {
+  await UserTotpFactor.increment('failed_login_attempts', { where: { user_id: userId } });
+  await UserTotpFactor.update(
+    { failed_login_attempts: 0, login_locked_until: new Date(Date.now() + LOGIN_LOCK_MS) },
+    { where: { user_id: userId, failed_login_attempts: { [Op.gte]: MAX_FAILED_LOGIN_ATTEMPTS } } }
+  );
+}
+
+async function clearFailedLoginAttempts(userId) {
+  await UserTotpFactor.update(
+    { failed_login_attempts: 0, login_locked_until: null },
+    { where: { user_id: userId } }
+  );
+}
+
+/**
+ * Factors a user with 2FA enabled may use to finish signing in. Email stays available as a fallback.
+ */
+async function getLoginMethods(userId) {
+  const factor = await findConfirmedFactor(userId);
+  return factor ? [...LOGIN_METHODS] : ['email'];
+}
+
+async function getTwoFactorStatus(user) {
+  const factor = await findConfirmedFactor(user.id);
+
+  return {
+    enabled: Boolean(user.mfa_enabled),
+    totp_enabled: Boolean(factor),
+    methods: user.mfa_enabled ? (factor ? [...LOGIN_METHODS] : ['email']) : [],
+    recovery_codes_remaining: factor ? await countRemainingRecoveryCodes(user.id) : 0
+  };
+}
+
+/**
+ * Remove the authenticator app and recovery codes (used when 2FA is turned off)
+ */
+async function removeTotpFactors(userId) {
+  await UserTotpFactor.destroy({ where: { user_id: userId } });
+  await TwoFactorRecoveryCode.destroy({ where: { user_id: userId } });
+}
+
+module.exports = {
+  LOGIN_METHODS,
+  MAX_FAILED_LOGIN_ATTEMPTS,
+  beginTotpEnrollment,
+  confirmTotpEnrollment,
+  replaceRecoveryCodes,
+  verifyTotpCode,
+  consumeRecoveryCode,
+  countRemainingRecoveryCodes,
+  isLoginLocked,
+  recordFailedLoginAttempt,
+  clearFailedLoginAttempts,
+  getLoginMethods,
+  getTwoFactorStatus,
+  removeTotpFactors
+};
@@ -1,4 +1,5 @@
 const notificationService = require('./notificationService');
+const sessionService = require('./sessionService');
 
 async function suspendUserAccount({ targetUser, reason, metadata = {} }) {
   if (!targetUser) {
@@ -20,6 +21,7 @@ async function suspendUserAccount({ targetUser, reason, metadata = {} }) {
   }
 
   await targetUser.destroy();
+  await sessionService.revokeAllUserSessions(targetUser.id, { reason: 'account_suspended' });
 
   try {
     await notificationService.createNotification({
@@ -0,0 +1,49 @@
+/**
+ * Bulk Job Worker Task
+ * Periodically re-queues stale bulk jobs and drains the queue. New jobs start right away in the
+ * process that queued them; this sweep picks up jobs left behind by a crash, a redeploy or a
+ * serverless request that ended before its job finished.
+ */
+
+const schedule = require('node-schedule');
+const bulkJobService = require('../services/bulkJobService');
+
+// Controllers register their bulk item processors when loaded.
+require('../controllers/adminController');
+require('../controllers/ratingController');
+
+// Cron-triggered runs stop claiming work after this long so the request returns in time.
+const DEFAULT_CRON_RUN_MS = 50 * 1000;
+
+const runBulkJobWorker = async ({ maxDurationMs = null } = {}) => {
+  const summary = await bulkJobService.processBulkJobs({ maxDurationMs });
+  if (summary.claimed > 0 || summary.recovered > 0) {
+    console.log('[Bulk Jobs] Worker run:', JSON.stringify(summary));
+  }
+  return summary;
+};
+
+const runBulkJobWorkerForCron = () => runBulkJobWorker({
+  maxDurationMs: Number.parseInt(process.env.BULK_JOB_CRON_RUN_MS, 10) || DEFAULT_CRON_RUN_MS
+});
+
+const scheduleBulkJobWorker = () => {
+  const cron = process.env.BULK_JOB_WORKER_CRON || '* * * * *';
+
+  const job = schedule.scheduleJob(cron, async () => {
+    try {
+      await runBulkJobWorker();
+    } catch (error) {
+      console.error('[Bulk Jobs] Scheduled run failed:', error.message);
+    }
+  });
+
+  console.log(`[Bulk Jobs] Worker scheduled with cron: ${cron}`);
+  return job;
+};
+
+module.exports = {
+  runBulkJobWorker,
+  runBulkJobWorkerForCron,
+  scheduleBulkJobWorker
+};
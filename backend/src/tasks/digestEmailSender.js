@@ -0,0 +1,341 @@
+/**
+ * Digest Email Sender Task
+ * Sends each opted-in user a daily or weekly summary of unread notifications,
+ * new high-score matches, upcoming milestones and agreements awaiting their signature.
+ * Every send is recorded in digest_deliveries so a period's digest goes out at most once.
+ */
+
+const schedule = require('node-schedule');
+const { Op } = require('sequelize');
+const {
+  User,
+  UserPreferences,
+  Notification,
+  Match,
+  Project,
+  Milestone,
+  MilestoneResearcher,
+  ProjectResearcherAccess,
+  Contract,
+  DigestDelivery
+} = require('../database/models');
+const emailService = require('../services/emailService');
+const { getHighScoreThreshold } = require('./matchGenerationJob');
+
+const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+const MILESTONE_HORIZON_DAYS = 7;
+const MAX_HIGHLIGHTS = 8;
+const CLOSED_MILESTONE_STATUSES = ['completed', 'cancelled'];
+const AWAITING_SIGNATURE_STATUSES = ['approved_for_signature', 'pending_signature'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A pending claim this old belongs to a runner that died mid-send; another run may take it over.
+const STALE_PENDING_MS = 30 * 60 * 1000;
+
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+
+const getIsoWeekKey = (date) => {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const weekday = day.getUTCDay() || 7;
+  // ISO weeks belong to the year that contains their Thursday.
+  day.setUTCDate(day.getUTCDate() + 4 - weekday);
+  const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((day - yearStart) / DAY_MS + 1) / 7);
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+/**
+ * Identify the digest period a moment falls in
+ * @param {string} frequency - 'daily' or 'weekly'
+ * @param {Date} now - Reference time
+ * @returns {string} Period key, e.g. daily:2026-10-19 or weekly:2026-W43
+ */
+const getPeriodKey = (frequency, now) => (
+  frequency === 'daily'
+    ? `daily:${toDateKey(now)}`
+    : `weekly:${getIsoWeekKey(now)}`
+);
+
+const getLastSentDelivery = (userId, frequency) => DigestDelivery.findOne({
+  where: { user_id: userId, frequency, status: 'sent' },
+  order: [['sent_at', 'DESC']]
+});
+
+/**
+ * Reserve the (user, period) slot before sending
+ * Returns null when the digest for this period was already sent, skipped or is in flight.
+ * Failed sends and pending claims older than STALE_PENDING_MS can be claimed again.
+ */
+const claimDelivery = async ({ userId, frequency, periodKey }) => {
+  const [delivery, created] = await DigestDelivery.findOrCreate({
+    where: { user_id: userId, period_key: periodKey },
+    defaults: { user_id: userId, frequency, period_key: periodKey, status: 'pending' }
+  });
+
+  if (created) {
+    return delivery;
+  }
+
+  const staleBefore = new Date(Date.now() - STALE_PENDING_MS);
+  let where;
+  if (delivery.status === 'failed') {
+    where = { id: delivery.id, status: 'failed' };
+  } else if (delivery.status === 'pending' && new Date(delivery.updated_at) <= staleBefore) {
+    where = { id: delivery.id, status: 'pending', updated_at: { [Op.lte]: staleBefore } };
+  } else {
+    return null;
+  }
+
+  // The conditional update (which also bumps updated_at) keeps two runners from both retrying.
+  const [reclaimed] = await DigestDelivery.update(
+    { status: 'pending', error_message: null },
+    { where }
+  );
+
+  return reclaimed ? delivery : null;
+};
+
+const getUpcomingMilestones = async (user, now) => {
+  const horizon = new Date(now.getTime() + MILESTONE_HORIZON_DAYS * DAY_MS);
+  const where = {
+    due_date: { [Op.gte]: toDateKey(now), [Op.lte]: toDateKey(horizon) },
+    status: { [Op.notIn]: CLOSED_MILESTONE_STATUSES }
+  };
+
+  if (user.role === 'nonprofit') {
+    if (!user.org_id) return [];
+
+    return Milestone.findAll({
+      where,
+      include: [{
+        model: Project,
+        as: 'project',
+        attributes: ['project_id', 'title'],
+        where: { org_id: user.org_id },
+        required: true
+      }],
+      order: [['due_date', 'ASC']]
+    });
+  }
+
+  if (user.role === 'researcher') {
+    const [assignments, projectAccess] = await Promise.all([
+      MilestoneResearcher.findAll({ where: { researcher_id: user.id }, attributes: ['milestone_id'] }),
+      ProjectResearcherAccess.findAll({
+        where: { researcher_id: user.id, whole_project: true },
+        attributes: ['project_id']
+      })
+    ]);
+
+    const milestoneIds = assignments.map((assignment) => assignment.milestone_id);
+    const projectIds = projectAccess.map((access) => access.project_id);
+    if (milestoneIds.length === 0 && projectIds.length === 0) return [];
+
+    return Milestone.findAll({
+      where: {
+        ...where,
+        [Op.or]: [
+          { id: milestoneIds },
+          { project_id: projectIds }
+        ]
+      },
+      include: [{ model: Project, as: 'project', attributes: ['project_id', 'title'] }],
+      order: [['due_date', 'ASC']]
+    });
+  }
+
+  return [];
+};
+
+const getNewMatches = async (user, { since, lastMatchId }) => {
+  if (user.role !== 'researcher') return [];
+
+  const where = {
+    researcher_id: user.id,
+    dismissed: false,
+    score: { [Op.gte]: getHighScoreThreshold() }
+  };
+
+  // Matches are re-scored daily, so "new" means rows created after the last digest, not recently scored.
+  if (lastMatchId) {
+    where.id = { [Op.gt]: lastMatchId };
+  } else {
+    where.calculated_at = { [Op.gte]: since };
+  }
+
+  return Match.findAll({
+    where,
+    include: [{ model: Project, as: 'project', attributes: ['project_id', 'title'] }],
+    order: [['score', 'DESC']]
+  });
+};
+
+const getAgreementsAwaitingSignature = (user) => Contract.findAll({
+  where: {
+    status: { [Op.in]: AWAITING_SIGNATURE_STATUSES },
+    [Op.or]: [
+      { nonprofit_user_id: user.id, nonprofit_signed_at: null },
+      { researcher_user_id: user.id, researcher_signed_at: null }
+    ]
+  },
+  attributes: ['id', 'title', 'status', 'project_id'],
+  order: [['updated_at', 'ASC']]
+});
+
+/**
+ * Collect the digest contents for one user
+ * @param {Object} user - User row (id, role, org_id)
+ * @param {Object} options
+ * @param {Date} options.since - Start of the reporting window
+ * @param {Date} options.now - Reference time
+ * @param {number|null} [options.lastMatchId] - Highest match id reported in the previous digest
+ * @returns {Promise<Object>} Digest data accepted by emailService.sendWeeklyDigest plus a summary
+ */
+const buildDigestForUser = async (user, { since, now, lastMatchId = null }) => {
+  const [unreadNotifications, matches, milestones, agreements] = await Promise.all([
+    Notification.count({ where: { user_id: user.id, is_read: false, archived: false } }),
+    getNewMatches(user, { since, lastMatchId }),
+    getUpcomingMilestones(user, now),
+    getAgreementsAwaitingSignature(user)
+  ]);
+
+  const highlights = [
+    ...agreements.map((agreement) => `Awaiting your signature: ${agreement.title || `Agreement #${agreement.id}`}`),
+    ...milestones.map((milestone) => `Milestone "${milestone.name}" due ${milestone.due_date}${milestone.project ? ` (${milestone.project.title})` : ''}`),
+    ...matches.map((match) => `New ${Math.round(Number(match.score))}% match: ${match.project?.title || `Project #${match.brief_id}`}`)
+  ].slice(0, MAX_HIGHLIGHTS);
+
+  const matchIds = matches.map((match) => match.id);
+
+  return {
+    unreadNotifications,
+    newMatches: matches.length,
+    upcomingMilestones: milestones.length,
+    pendingAgreements: agreements.length,
+    highlights,
+    summary: {
+      unread_notifications: unreadNotifications,
+      match_ids: matchIds,
+      max_match_id: matchIds.length > 0 ? Math.max(...matchIds) : lastMatchId,
+      milestone_ids: milestones.map((milestone) => milestone.id),
+      agreement_ids: agreements.map((agreement) => agreement.id)
+    }
+  };
+};
+
+const hasDigestContent = (digest) => (
+  digest.unreadNotifications > 0
+  || digest.newMatches > 0
+  || digest.upcomingMilestones > 0
+  || digest.pendingAgreements > 0
+);
+
+const sendDigestToUser = async (user, frequency, now) => {
+  const periodKey = getPeriodKey(frequency, now);
+  const delivery = await claimDelivery({ userId: user.id, frequency, periodKey });
+  if (!delivery) {
+    return 'duplicate';
+  }
+
+  let digest;
+  try {
+    const lastSent = await getLastSentDelivery(user.id, frequency);
+    const since = lastSent?.sent_at || new Date(now.getTime() - PERIOD_DAYS[frequency] * DAY_MS);
+    digest = await buildDigestForUser(user, {
+      since,
+      now,
+      lastMatchId: lastSent?.summary?.max_match_id || null
+    });
+
+    if (!hasDigestContent(digest)) {
+      await delivery.update({ status: 'skipped', summary: digest.summary });
+      return 'skipped';
+    }
+
+    await emailService.sendWeeklyDigest(user.email, user.name, { ...digest, frequency });
+  } catch (error) {
+    console.error(`[Digest Emails] Failed to send ${frequency} digest to user ${user.id}:`, error.message);
+    await delivery.update({ status: 'failed', error_message: error.message }).catch(() => {});
+    return 'failed';
+  }
+
+  // The email is out: a failure to record it must not mark the delivery failed and resend it.
+  try {
+    await delivery.update({ status: 'sent', summary: digest.summary, sent_at: new Date() });
+  } catch (error) {
+    console.error(`[Digest Emails] Sent ${frequency} digest to user ${user.id} but could not record it:`, error.message);
+  }
+  return 'sent';
+};
+
+/**
+ * Send digests for one frequency to every opted-in active user
+ * @param {string} frequency - 'daily' or 'weekly'
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time (defaults to now)
+ * @returns {Promise<Object>} Counts of sent, skipped, duplicate and failed digests
+ */
+const sendDigests = async (frequency, { now = new Date() } = {}) => {
+  if (!DIGEST_FREQUENCIES.includes(frequency)) {
+    throw new Error(`Unsupported digest frequency: ${frequency}`);
+  }
+
+  const preferences = await UserPreferences.findAll({
+    where: { digest_frequency: frequency, email_notifications: true },
+    include: [{
+      model: User,
+      as: 'user',
+      attributes: ['id', 'name', 'email', 'role', 'org_id'],
+      where: { account_status: 'active' },
+      required: true
+    }]
+  });
+
+  const result = { frequency, usersConsidered: preferences.length, sent: 0, skipped: 0, duplicate: 0, failed: 0 };
+
+  for (const preference of preferences) {
+    const outcome = await sendDigestToUser(preference.user, frequency, now);
+    result[outcome] += 1;
+  }
+
+  return result;
+};
+
+/**
+ * Run both digest frequencies
+ * Weekly digests go out on the first run of each ISO week; later runs that week are no-ops.
+ */
+const runDigests = async ({ now = new Date() } = {}) => {
+  const daily = await sendDigests('daily', { now });
+  const weekly = await sendDigests('weekly', { now });
+
+  console.log('[Digest Emails] Run complete:', { daily, weekly });
+  return { daily, weekly };
+};
+
+/**
+ * Schedule the digest run daily at 7 AM
+ * Call this in your server startup (index.js or similar)
+ */
+const scheduleDigests = () => {
+  const cron = process.env.DIGEST_EMAIL_CRON || '0 7 * * *';
+
+  const job = schedule.scheduleJob(cron, async () => {
+    try {
+      await runDigests();
+    } catch (error) {
+      console.error('[Digest Emails] Scheduled run failed:', error.message);
+    }
+  });
+
+  console.log(`[Digest Emails] Scheduled with cron: ${cron}`);
+  return job;
+};
+
+module.exports = {
+  getPeriodKey,
+  buildDigestForUser,
+  sendDigests,
+  runDigests,
+  scheduleDigests
+};
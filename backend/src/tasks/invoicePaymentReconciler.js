@@ -0,0 +1,45 @@
+/**
+ * Invoice Payment Reconciler Task
+ * Finishes invoice payments left in processing when a payInvoice request died before recording
+ * the processor's result.
+ */
+
+const schedule = require('node-schedule');
+const invoiceService = require('../services/invoiceService');
+
+// Cron-triggered runs stop after this long so the request returns in time.
+const DEFAULT_CRON_RUN_MS = 50 * 1000;
+
+const runInvoicePaymentReconcile = async ({ maxDurationMs = null } = {}) => {
+  const summary = await invoiceService.reconcileStaleInvoicePayments({ maxDurationMs });
+
+  if (summary.paid > 0 || summary.released > 0 || summary.failed > 0) {
+    console.log('[Invoices] Payment reconcile run:', JSON.stringify(summary));
+  }
+  return summary;
+};
+
+const runInvoicePaymentReconcileForCron = () => runInvoicePaymentReconcile({
+  maxDurationMs: Number.parseInt(process.env.INVOICE_PAYMENT_RECONCILE_CRON_RUN_MS, 10) || DEFAULT_CRON_RUN_MS
+});
+
+const scheduleInvoicePaymentReconcile = () => {
+  const cron = process.env.INVOICE_PAYMENT_RECONCILE_CRON || '*/15 * * * *';
+
+  const job = schedule.scheduleJob(cron, async () => {
+    try {
+      await runInvoicePaymentReconcile();
+    } catch (error) {
+      console.error('[Invoices] Scheduled payment reconcile failed:', error.message);
+    }
+  });
+
+  console.log(`[Invoices] Payment reconciler scheduled with cron: ${cron}`);
+  return job;
+};
+
+module.exports = {
+  runInvoicePaymentReconcile,
+  runInvoicePaymentReconcileForCron,
+  scheduleInvoicePaymentReconcile
+};
@@ -14,10 +14,9 @@ const notificationService = require('../services/notificationService');
 const DEFAULT_THRESHOLD = 70;
 const DEDUP_DAYS = 7;
 
-const isHighScore = (score) => {
-  const threshold = Number(process.env.MATCH_NOTIFICATION_THRESHOLD || DEFAULT_THRESHOLD);
-  return Number(score) >= threshold;
-};
+const getHighScoreThreshold = () => Number(process.env.MATCH_NOTIFICATION_THRESHOLD || DEFAULT_THRESHOLD);
+
+const isHighScore = (score) => Number(score) >= getHighScoreThreshold();
 
 async function hasRecentMatchNotification(userId, projectId) {
   const cutoff = new Date(Date.now() - DEDUP_DAYS * 24 * 60 * 60 * 1000);
@@ -109,6 +108,8 @@ async function generateMatches() {
 
   const activeUserIds = new Set(users.map((u) => u.id));
   const activeResearchers = researchers.filter((r) => activeUserIds.has(r.user_id));
+  // Loaded once per run; scored the same way as findMatchesForProject
+  const capacityInputs = await matchingService.loadCapacityForMatching(activeResearchers.map((r) => r.user_id));
 
   let matchesCreated = 0;
   let matchesUpdated = 0;
@@ -120,7 +121,10 @@ async function generateMatches() {
     projectData.organization = organization ? organization.toJSON() : null;
 
     for (const researcher of activeResearchers) {
-      const scoreData = matchingService.calculateMatchScore(projectData, researcher.toJSON());
+      const scoreData = matchingService.calculateMatchScore(
+        projectData,
+        matchingService.withCapacity(researcher.toJSON(), capacityInputs)
+      );
       const { created } = await upsertMatch(project, researcher, scoreData);
 
       if (created) {
@@ -177,5 +181,6 @@ function scheduleMatchGeneration() {
 
 module.exports = {
   generateMatches,
+  getHighScoreThreshold,
   scheduleMatchGeneration
 };
@@ -0,0 +1,50 @@
+/**
+ * Message Key Rotation Task
+ * Re-encrypts message bodies that are still in the legacy MSG_SECRET format or under an older
+ * master key version, then deletes data keys nothing references anymore. Each run picks up
+ * wherever the last one stopped; once it reports nothing remaining, old versions can be dropped
+ * from MESSAGE_MASTER_KEYS.
+ */
+
+const schedule = require('node-schedule');
+const messageKeyService = require('../services/messageKeyService');
+
+// Cron-triggered runs stop after this long so the request returns in time.
+const DEFAULT_CRON_RUN_MS = 50 * 1000;
+
+const runMessageKeyRotation = async ({ maxDurationMs = null } = {}) => {
+  const summary = await messageKeyService.reencryptStaleMessages({
+    batchSize: Number.parseInt(process.env.MESSAGE_KEY_ROTATION_BATCH_SIZE, 10) || undefined,
+    maxDurationMs
+  });
+
+  if (summary.scanned > 0 || summary.retiredKeys > 0) {
+    console.log('[Message Keys] Rotation run:', JSON.stringify(summary));
+  }
+  return summary;
+};
+
+const runMessageKeyRotationForCron = () => runMessageKeyRotation({
+  maxDurationMs: Number.parseInt(process.env.MESSAGE_KEY_ROTATION_CRON_RUN_MS, 10) || DEFAULT_CRON_RUN_MS
+});
+
+const scheduleMessageKeyRotation = () => {
+  const cron = process.env.MESSAGE_KEY_ROTATION_CRON || '15 * * * *';
+
+  const job = schedule.scheduleJob(cron, async () => {
+    try {
+      await runMessageKeyRotation();
+    } catch (error) {
+      console.error('[Message Keys] Scheduled rotation failed:', error.message);
+    }
+  });
+
+  console.log(`[Message Keys] Rotation scheduled with cron: ${cron}`);
+  return job;
+};
+
+module.exports = {
+  runMessageKeyRotation,
+  runMessageKeyRotationForCron,
+  scheduleMessageKeyRotation
+};
@@ -0,0 +1,48 @@
+/**
+ * Message Search Indexer Task
+ * Adds messages that are missing from the search index (sent before search existed, or whose
+ * indexing was interrupted) to the blind index used by GET /api/messages/search.
+ */
+
+const schedule = require('node-schedule');
+const messageSearchService = require('../services/messageSearchService');
+
+// Cron-triggered runs stop after this long so the request returns in time.
+const DEFAULT_CRON_RUN_MS = 50 * 1000;
+
+const runMessageSearchIndexer = async ({ maxDurationMs = null } = {}) => {
+  const summary = await messageSearchService.indexPendingMessages({
+    batchSize: Number.parseInt(process.env.MESSAGE_SEARCH_INDEX_BATCH_SIZE, 10) || undefined,
+    maxDurationMs
+  });
+
+  if (summary.scanned > 0) {
+    console.log('[Message Search] Index run:', JSON.stringify(summary));
+  }
+  return summary;
+};
+
+const runMessageSearchIndexerForCron = () => runMessageSearchIndexer({
+  maxDurationMs: Number.parseInt(process.env.MESSAGE_SEARCH_INDEX_CRON_RUN_MS, 10) || DEFAULT_CRON_RUN_MS
+});
+
+const scheduleMessageSearchIndexer = () => {
+  const cron = process.env.MESSAGE_SEARCH_INDEX_CRON || '*/10 * * * *';
+
+  const job = schedule.scheduleJob(cron, async () => {
+    try {
+      await runMessageSearchIndexer();
+    } catch (error) {
+      console.error('[Message Search] Scheduled indexing failed:', error.message);
+    }
+  });
+
+  console.log(`[Message Search] Indexer scheduled with cron: ${cron}`);
+  return job;
+};
+
+module.exports = {
+  runMessageSearchIndexer,
+  runMessageSearchIndexerForCron,
+  scheduleMessageSearchIndexer
+};
@@ -0,0 +1,45 @@
+/**
+ * Organization Re-verification Reminder Task
+ * Expires lapsed nonprofit verifications and reminds organization owners and admins to renew
+ * before their verified badge runs out.
+ */
+
+const schedule = require('node-schedule');
+const organizationVerificationService = require('../services/organizationVerificationService');
+
+// Cron-triggered runs stop after this long so the request returns in time.
+const DEFAULT_CRON_RUN_MS = 50 * 1000;
+
+const runReverificationReminders = async ({ maxDurationMs = null } = {}) => {
+  const summary = await organizationVerificationService.sendReverificationReminders({ maxDurationMs });
+
+  if (summary.expired > 0 || summary.reminded > 0 || summary.failed > 0) {
+    console.log('[Organization Verification] Reminder run:', JSON.stringify(summary));
+  }
+  return summary;
+};
+
+const runReverificationRemindersForCron = () => runReverificationReminders({
+  maxDurationMs: Number.parseInt(process.env.ORGANIZATION_REVERIFICATION_CRON_RUN_MS, 10) || DEFAULT_CRON_RUN_MS
+});
+
+const scheduleReverificationReminders = () => {
+  const cron = process.env.ORGANIZATION_REVERIFICATION_CRON || '0 9 * * *';
+
+  const job = schedule.scheduleJob(cron, async () => {
+    try {
+      await runReverificationReminders();
+    } catch (error) {
+      console.error('[Organization Verification] Scheduled reminders failed:', error.message);
+    }
+  });
+
+  console.log(`[Organization Verification] Re-verification reminders scheduled with cron: ${cron}`);
+  return job;
+};
+
+module.exports = {
+  runReverificationReminders,
+  runReverificationRemindersForCron,
+  scheduleReverificationReminders
+};
@@ -0,0 +1,46 @@
+/**
+ * Project Channel Reconciler Task
+ * Brings every project team channel's membership back in line with accepted applications,
+ * researcher access and agreement terminations, covering changes whose immediate sync failed
+ * or that happened outside the API (e.g. direct data fixes).
+ */
+
+const schedule = require('node-schedule');
+const projectChannelService = require('../services/projectChannelService');
+
+// Cron-triggered runs stop after this long so the request returns in time.
+const DEFAULT_CRON_RUN_MS = 50 * 1000;
+
+const runProjectChannelReconciler = async ({ maxDurationMs = null } = {}) => {
+  const summary = await projectChannelService.reconcileProjectChannels({ maxDurationMs });
+
+  if (summary.added > 0 || summary.removed > 0 || summary.failed > 0) {
+    console.log('[Project Channels] Reconcile run:', JSON.stringify(summary));
+  }
+  return summary;
+};
+
+const runProjectChannelReconcilerForCron = () => runProjectChannelReconciler({
+  maxDurationMs: Number.parseInt(process.env.PROJECT_CHANNEL_RECONCILE_CRON_RUN_MS, 10) || DEFAULT_CRON_RUN_MS
+});
+
+const scheduleProjectChannelReconciler = () => {
+  const cron = process.env.PROJECT_CHANNEL_RECONCILE_CRON || '45 * * * *';
+
+  const job = schedule.scheduleJob(cron, async () => {
+    try {
+      await runProjectChannelReconciler();
+    } catch (error) {
+      console.error('[Project Channels] Scheduled reconcile failed:', error.message);
+    }
+  });
+
+  console.log(`[Project Channels] Reconciler scheduled with cron: ${cron}`);
+  return job;
+};
+
+module.exports = {
+  runProjectChannelReconciler,
+  runProjectChannelReconcilerForCron,
+  scheduleProjectChannelReconciler
+};
@@ -6,14 +6,38 @@ const AUDIT_ACTIONS = {
   EMAIL_CHANGE: 'EMAIL_CHANGE',
   PREFERENCES_UPDATE: 'PREFERENCES_UPDATE',
   ACCOUNT_DELETE: 'ACCOUNT_DELETE',
+  SESSION_REVOKE: 'SESSION_REVOKE',
+  TWO_FACTOR_TOTP_ENROLLED: 'TWO_FACTOR_TOTP_ENROLLED',
+  TWO_FACTOR_RECOVERY_CODE_USED: 'TWO_FACTOR_RECOVERY_CODE_USED',
+  TWO_FACTOR_RECOVERY_CODES_REGENERATED: 'TWO_FACTOR_RECOVERY_CODES_REGENERATED',
+  TWO_FACTOR_DISABLED: 'TWO_FACTOR_DISABLED',
   ORGANIZATION_UPDATE: 'ORGANIZATION_UPDATE',
+  ORGANIZATION_MEMBER_INVITED: 'ORGANIZATION_MEMBER_INVITED',
+  ORGANIZATION_INVITATION_REVOKED: 'ORGANIZATION_INVITATION_REVOKED',
+  ORGANIZATION_INVITATION_ACCEPTED: 'ORGANIZATION_INVITATION_ACCEPTED',
+  ORGANIZATION_MEMBER_ROLE_UPDATED: 'ORGANIZATION_MEMBER_ROLE_UPDATED',
+  ORGANIZATION_MEMBER_REMOVED: 'ORGANIZATION_MEMBER_REMOVED',
+  ORGANIZATION_VERIFICATION_SUBMITTED: 'ORGANIZATION_VERIFICATION_SUBMITTED',
+  ORGANIZATION_VERIFICATION_APPROVED: 'ORGANIZATION_VERIFICATION_APPROVED',
+  ORGANIZATION_VERIFICATION_REJECTED: 'ORGANIZATION_VERIFICATION_REJECTED',
+  ORGANIZATION_VERIFICATION_INFO_REQUESTED: 'ORGANIZATION_VERIFICATION_INFO_REQUESTED',
+  ORGANIZATION_VERIFICATION_EXPIRED: 'ORGANIZATION_VERIFICATION_EXPIRED',
   RESEARCHER_PROFILE_UPDATE: 'RESEARCHER_PROFILE_UPDATE',
+  RESEARCHER_PRIVACY_UPDATE: 'RESEARCHER_PRIVACY_UPDATE',
+  RESEARCHER_AVAILABILITY_UPDATE: 'RESEARCHER_AVAILABILITY_UPDATE',
+  PORTFOLIO_ITEM_SUBMITTED: 'PORTFOLIO_ITEM_SUBMITTED',
+  PORTFOLIO_ITEM_APPROVED: 'PORTFOLIO_ITEM_APPROVED',
+  PORTFOLIO_ITEM_DECLINED: 'PORTFOLIO_ITEM_DECLINED',
+  PORTFOLIO_ITEM_DELETED: 'PORTFOLIO_ITEM_DELETED',
   ACADEMIC_HISTORY_CREATE: 'ACADEMIC_HISTORY_CREATE',
   ACADEMIC_HISTORY_UPDATE: 'ACADEMIC_HISTORY_UPDATE',
   ACADEMIC_HISTORY_DELETE: 'ACADEMIC_HISTORY_DELETE',
   CERTIFICATION_CREATE: 'CERTIFICATION_CREATE',
   CERTIFICATION_UPDATE: 'CERTIFICATION_UPDATE',
   CERTIFICATION_DELETE: 'CERTIFICATION_DELETE',
+  CERTIFICATION_VERIFICATION_REQUESTED: 'CERTIFICATION_VERIFICATION_REQUESTED',
+  CERTIFICATION_VERIFICATION_APPROVED: 'CERTIFICATION_VERIFICATION_APPROVED',
+  CERTIFICATION_VERIFICATION_REJECTED: 'CERTIFICATION_VERIFICATION_REJECTED',
   AGREEMENT_CREATED: 'AGREEMENT_CREATED',
   AGREEMENT_UPDATED: 'AGREEMENT_UPDATED',
   AGREEMENT_SUBMITTED_FOR_REVIEW: 'AGREEMENT_SUBMITTED_FOR_REVIEW',
@@ -30,12 +54,31 @@ const AUDIT_ACTIONS = {
   AGREEMENT_REMOVAL_REQUESTED: 'AGREEMENT_REMOVAL_REQUESTED',
   AGREEMENT_REMOVAL_APPROVED: 'AGREEMENT_REMOVAL_APPROVED',
   AGREEMENT_REMOVAL_REJECTED: 'AGREEMENT_REMOVAL_REJECTED',
+  AGREEMENT_TEMPLATE_CREATED: 'AGREEMENT_TEMPLATE_CREATED',
+  AGREEMENT_TEMPLATE_UPDATED: 'AGREEMENT_TEMPLATE_UPDATED',
+  AGREEMENT_TEMPLATE_DELETED: 'AGREEMENT_TEMPLATE_DELETED',
+  AGREEMENT_TEMPLATE_VERSION_CREATED: 'AGREEMENT_TEMPLATE_VERSION_CREATED',
+  AGREEMENT_TEMPLATE_VERSION_UPDATED: 'AGREEMENT_TEMPLATE_VERSION_UPDATED',
+  AGREEMENT_TEMPLATE_VERSION_DELETED: 'AGREEMENT_TEMPLATE_VERSION_DELETED',
+  AGREEMENT_TEMPLATE_VERSION_PUBLISHED: 'AGREEMENT_TEMPLATE_VERSION_PUBLISHED',
+  AGREEMENT_TEMPLATE_VERSION_RETIRED: 'AGREEMENT_TEMPLATE_VERSION_RETIRED',
   MILESTONE_REVISION_REQUESTED: 'MILESTONE_REVISION_REQUESTED',
   MILESTONE_REVISION_APPROVED: 'MILESTONE_REVISION_APPROVED',
   MILESTONE_REVISION_REJECTED: 'MILESTONE_REVISION_REJECTED',
   MILESTONE_REQUEST_CREATED: 'MILESTONE_REQUEST_CREATED',
   MILESTONE_REQUEST_APPROVED: 'MILESTONE_REQUEST_APPROVED',
   MILESTONE_REQUEST_REJECTED: 'MILESTONE_REQUEST_REJECTED',
+  MILESTONE_SUBMISSION_CREATED: 'MILESTONE_SUBMISSION_CREATED',
+  MILESTONE_SUBMISSION_ACCEPTED: 'MILESTONE_SUBMISSION_ACCEPTED',
+  MILESTONE_SUBMISSION_REJECTED: 'MILESTONE_SUBMISSION_REJECTED',
+  TIMESHEET_SUBMITTED: 'TIMESHEET_SUBMITTED',
+  TIMESHEET_APPROVED: 'TIMESHEET_APPROVED',
+  TIMESHEET_REJECTED: 'TIMESHEET_REJECTED',
+  PAYMENT_TRANCHE_CREATED: 'PAYMENT_TRANCHE_CREATED',
+  PAYMENT_TRANCHE_UPDATED: 'PAYMENT_TRANCHE_UPDATED',
+  PAYMENT_TRANCHE_CANCELLED: 'PAYMENT_TRANCHE_CANCELLED',
+  INVOICE_ISSUED: 'INVOICE_ISSUED',
+  INVOICE_PAID: 'INVOICE_PAID',
   PROJECT_RESEARCHER_ACCESS_UPDATED: 'PROJECT_RESEARCHER_ACCESS_UPDATED',
   ADMIN_BULK_USER_APPROVED: 'ADMIN_BULK_USER_APPROVED',
   ADMIN_BULK_USER_SUSPENDED: 'ADMIN_BULK_USER_SUSPENDED',
@@ -55,7 +98,10 @@ const AUDIT_ACTIONS = {
   ADMIN_MESSAGE_UPLOAD_ASSET_FORCE_DELETED: 'ADMIN_MESSAGE_UPLOAD_ASSET_FORCE_DELETED',
   UPLOAD_SECURITY_REJECTED: 'UPLOAD_SECURITY_REJECTED',
   UPLOAD_SECURITY_SCAN_FAILED: 'UPLOAD_SECURITY_SCAN_FAILED',
-  UPLOAD_SECURITY_USER_SUSPENDED: 'UPLOAD_SECURITY_USER_SUSPENDED'
+  UPLOAD_SECURITY_USER_SUSPENDED: 'UPLOAD_SECURITY_USER_SUSPENDED',
+  INBOUND_EMAIL_BOUNCED: 'INBOUND_EMAIL_BOUNCED',
+  INBOUND_EMAIL_UNKNOWN_SENDER: 'INBOUND_EMAIL_UNKNOWN_SENDER',
+  INBOUND_EMAIL_REJECTED: 'INBOUND_EMAIL_REJECTED'
 };
 
 async function logAudit({ actorId, action, entityType, entityId, metadata = {} }) {
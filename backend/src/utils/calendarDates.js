@@ -0,0 +1,48 @@
+/**
+ * Calendar-day helpers. Dates are YYYY-MM-DD strings in UTC, which compare correctly as strings.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Calendar day of a Date or date string, or null when it is not a valid date
+ * @returns {string|null} YYYY-MM-DD
+ */
+function toDateOnly(value) {
+  if (!value) {
+    return null;
+  }
+  if (typeof value === 'string' && DATE_ONLY_PATTERN.test(value)) {
+    const parsed = new Date(`${value}T00:00:00Z`);
+    return Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== value ? null : value;
+  }
+  const parsed = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+}
+
+function addDays(dateOnly, days) {
+  return new Date(new Date(`${dateOnly}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Monday of the ISO week a calendar day falls in
+ */
+function startOfWeek(dateOnly) {
+  const weekday = new Date(`${dateOnly}T00:00:00Z`).getUTCDay();
+  return addDays(dateOnly, weekday === 0 ? -6 : 1 - weekday);
+}
+
+/**
+ * Whole days from one calendar day to another (negative when `to` is earlier)
+ */
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`).getTime() - new Date(`${from}T00:00:00Z`).getTime()) / DAY_MS);
+}
+
+module.exports = {
+  toDateOnly,
+  addDays,
+  startOfWeek,
+  daysBetween
+};
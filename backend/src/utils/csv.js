@@ -0,0 +1,37 @@
+/**
+ * CSV helpers for exports. Values with commas, quotes or line breaks are quoted.
+ * Text that a spreadsheet would run as a formula is prefixed with an apostrophe.
+ */
+
+// =SUM(), +cmd, -cmd, @SUM() and leading tab/CR are evaluated by Excel, Sheets and LibreOffice
+const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/;
+
+function escapeCsv(value) {
+  // Real numbers (e.g. a variance of -10) are data, not formulas
+  if (typeof value === 'number' || typeof value === 'bigint') {
+    return String(value);
+  }
+
+  let str = String(value ?? '');
+  if (FORMULA_PREFIX_PATTERN.test(str)) {
+    str = `'${str}`;
+  }
+  if (str.includes(',') || str.includes('"') || str.includes('\n') || str.includes('\r')) {
+    return '"' + str.replace(/"/g, '""') + '"';
+  }
+  return str;
+}
+
+/**
+ * @param {Array<string>} headers
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+function toCsv(headers, rows) {
+  return [headers, ...rows].map((row) => row.map(escapeCsv).join(',')).join('\n');
+}
+
+module.exports = {
+  escapeCsv,
+  toCsv
+};
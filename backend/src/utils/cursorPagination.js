@@ -0,0 +1,210 @@
+/**
+ * Cursor Pagination
+ * Keyset pagination shared by list endpoints. Cursors are opaque, HMAC-signed and bound to
+ * the endpoint scope and sort they were issued for, so clients cannot forge or replay them
+ * against a different ordering.
+ *
+ * Clients opt in by sending `cursor` (empty for the first page); endpoints keep their
+ * page/offset parameters for existing clients.
+ */
+
+const crypto = require('crypto');
+const { Op, Sequelize } = require('sequelize');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const INVALID_CURSOR = 'INVALID_CURSOR';
+
+const getCursorSecret = () => {
+  const secret = process.env.CURSOR_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('CURSOR_SECRET or JWT_SECRET must be configured for cursor pagination');
+  }
+  return secret;
+};
+
+const sign = (payload) => crypto
+  .createHmac('sha256', getCursorSecret())
+  .update(payload)
+  .digest('base64url');
+
+const invalidCursor = () => new Error(INVALID_CURSOR);
+
+/**
+ * Whether the request asked for cursor pagination
+ * @param {Object} query - req.query
+ */
+const isCursorRequest = (query = {}) => Object.prototype.hasOwnProperty.call(query, 'cursor');
+
+/**
+ * Clamp a requested page size to [1, MAX_PAGE_SIZE]
+ */
+const parsePageSize = (value, defaultSize = DEFAULT_PAGE_SIZE) => {
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isInteger(parsed)) {
+    return Math.min(defaultSize, MAX_PAGE_SIZE);
+  }
+  return Math.min(Math.max(parsed, 1), MAX_PAGE_SIZE);
+};
+
+const getSortSignature = (scope, keys) => `${scope}|${keys
+  .map((key) => `${key.field}:${key.direction}${key.nulls ? `:${key.nulls}` : ''}`)
+  .join(',')}`;
+
+const encodeCursor = (values, signature) => {
+  const payload = Buffer.from(JSON.stringify({ s: signature, v: values })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+};
+
+const decodeCursor = (cursor, signature, keyCount) => {
+  const [payload, mac] = String(cursor).split('.');
+  if (!payload || !mac) throw invalidCursor();
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(mac);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw invalidCursor();
+  }
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalidCursor();
+  }
+
+  if (decoded?.s !== signature || !Array.isArray(decoded.v) || decoded.v.length !== keyCount) {
+    throw invalidCursor();
+  }
+
+  return decoded.v;
+};
+
+const compare = (key, operator, value) => (
+  key.expression
+    ? Sequelize.where(key.expression, { [operator]: value })
+    : { [key.field]: { [operator]: value } }
+);
+
+const isNull = (key) => compare(key, Op.is, null);
+
+const equals = (key, value) => (value === null ? isNull(key) : compare(key, Op.eq, value));
+
+/**
+ * Condition for rows strictly after `value` on one key. With NULLS LAST, nulls follow every
+ * non-null value and nothing follows a null except ties broken by later keys.
+ */
+const after = (key, value) => {
+  if (value === null) return null;
+
+  const strict = compare(key, key.direction === 'DESC' ? Op.lt : Op.gt, value);
+  return key.nulls === 'LAST' ? { [Op.or]: [strict, isNull(key)] } : strict;
+};
+
+const buildKeysetWhere = (keys, values) => {
+  const branches = [];
+
+  keys.forEach((key, index) => {
+    const next = after(key, values[index]);
+    if (!next) return;
+
+    const ties = keys.slice(0, index).map((previous, previousIndex) => equals(previous, values[previousIndex]));
+    branches.push(ties.length > 0 ? { [Op.and]: [...ties, next] } : next);
+  });
+
+  return { [Op.or]: branches };
+};
+
+const readKeyValue = (row, key) => {
+  const value = typeof row.get === 'function' ? row.get(key.field) : row[key.field];
+  if (value === undefined || value === null) return null;
+  // Dates only hold milliseconds; use timestampKey so the query compares at the same precision.
+  return value instanceof Date ? value.toISOString() : value;
+};
+
+/**
+ * Sort key for a timestamp column. Postgres keeps microseconds (e.g. from NOW() defaults) but the
+ * cursor carries the millisecond Date read back, so ordering and comparison both use the column
+ * truncated to milliseconds; otherwise rows within the same millisecond are skipped between pages.
+ * @param {Model} model - Queried model, to qualify the column when the query has includes
+ * @param {string} field - Timestamp attribute, e.g. 'created_at'
+ * @param {'ASC'|'DESC'} direction
+ */
+const timestampKey = (model, field, direction) => ({
+  field,
+  direction,
+  expression: Sequelize.fn('date_trunc', 'milliseconds', Sequelize.col(`${model.name}.${field}`))
+});
+
+/**
+ * ORDER BY clause for a set of sort keys, for offset queries that share a cursor sort
+ */
+const buildOrder = (keys) => keys.map((key) => {
+  const direction = key.nulls ? `${key.direction} NULLS ${key.nulls}` : key.direction;
+  return [key.expression || key.field, direction];
+});
+
+/**
+ * Prepare a keyset page for a list query
+ * @param {Object} query - req.query (reads cursor and limit)
+ * @param {Object} options
+ * @param {string} options.scope - Endpoint identifier the cursor is bound to
+ * @param {Array<{field: string, direction: 'ASC'|'DESC', nulls?: 'LAST', expression?: Object}>} options.keys
+ *   Sort keys; the last key must be unique (e.g. the primary key) so ties are stable.
+ *   `expression` orders by a literal instead of a column; `field` then names the selected alias.
+ * @param {number} [options.defaultLimit]
+ * @returns {{ pageSize: number, where: Object|null, order: Array, limit: number, buildPage: Function }}
+ * @throws {Error} INVALID_CURSOR when the cursor is malformed, tampered with or from another sort
+ */
+const createCursorPage = (query, { scope, keys, defaultLimit = DEFAULT_PAGE_SIZE }) => {
+  const pageSize = parsePageSize(query.limit, defaultLimit);
+  const signature = getSortSignature(scope, keys);
+  const cursor = query.cursor ? decodeCursor(query.cursor, signature, keys.length) : null;
+
+  return {
+    pageSize,
+    where: cursor ? buildKeysetWhere(keys, cursor) : null,
+    order: buildOrder(keys),
+    // One extra row tells us whether another page exists without a COUNT query.
+    limit: pageSize + 1,
+    buildPage(rows, mapRow = (row) => row) {
+      const hasMore = rows.length > pageSize;
+      const pageRows = hasMore ? rows.slice(0, pageSize) : rows;
+      const last = pageRows[pageRows.length - 1];
+
+      return {
+        data: pageRows.map(mapRow),
+        page: {
+          next_cursor: hasMore ? encodeCursor(keys.map((key) => readKeyValue(last, key)), signature) : null,
+          has_more: hasMore,
+          limit: pageSize
+        }
+      };
+    }
+  };
+};
+
+/**
+ * Add a keyset condition to an existing where clause without clobbering its own Op.and / Op.or
+ */
+const withCursorWhere = (where, cursorWhere) => {
+  if (!cursorWhere) return where;
+  return {
+    ...where,
+    [Op.and]: [...(where[Op.and] || []), cursorWhere]
+  };
+};
+
+const isInvalidCursorError = (error) => error?.message === INVALID_CURSOR;
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  isCursorRequest,
+  parsePageSize,
+  buildOrder,
+  timestampKey,
+  createCursorPage,
+  withCursorWhere,
+  isInvalidCursorError
+};
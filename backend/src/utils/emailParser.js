@@ -0,0 +1,255 @@
+/**
+ * Email Parser
+ * Minimal RFC 822 / MIME parsing for inbound replies: headers (folded and RFC 2047 encoded),
+ * nested multipart bodies, base64 and quoted-printable transfer encodings, and charsets.
+ * Only what reply handling needs is extracted: addresses, a few headers and the text body.
+ *
+ * Raw messages are handled as binary strings (one char per byte, "latin1") until a part's
+ * charset is known, so 8bit bodies decode correctly.
+ */
+
+const MAX_MIME_DEPTH = 5;
+
+const toBinaryString = (raw) => {
+  if (Buffer.isBuffer(raw)) {
+    return raw.toString('latin1');
+  }
+  return Buffer.from(String(raw || ''), 'utf8').toString('latin1');
+};
+
+const decodeBytes = (bytes, charset = 'utf-8') => {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch (_error) {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+};
+
+const decodeQuotedPrintable = (binary) => Buffer.from(
+  binary
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-Fa-f]{2})/g, (_match, hex) => String.fromCharCode(Number.parseInt(hex, 16))),
+  'latin1'
+);
+
+// =?charset?B|Q?text?= words in header values
+const decodeEncodedWords = (value) => value
+  .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+  .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (_match, charset, encoding, text) => {
+    const bytes = encoding.toUpperCase() === 'B'
+      ? Buffer.from(text, 'base64')
+      : decodeQuotedPrintable(text.replace(/_/g, ' '));
+    return decodeBytes(bytes, charset);
+  });
+
+const splitHeaderAndBody = (binary) => {
+  const match = /\r?\n\r?\n/.exec(binary);
+  if (!match) {
+    return { headerText: binary, body: '' };
+  }
+  return {
+    headerText: binary.slice(0, match.index),
+    body: binary.slice(match.index + match[0].length)
+  };
+};
+
+/**
+ * @returns {Map<string, string[]>} Lowercased header names to decoded values, in order
+ */
+const parseHeaders = (headerText) => {
+  const headers = new Map();
+  const unfolded = headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/);
+
+  for (const line of unfolded) {
+    const separator = line.indexOf(':');
+    if (separator <= 0) {
+      continue;
+    }
+
+    const name = line.slice(0, separator).trim().toLowerCase();
+    const rawValue = line.slice(separator + 1).trim();
+    const value = decodeEncodedWords(decodeBytes(Buffer.from(rawValue, 'latin1')));
+
+    if (!headers.has(name)) {
+      headers.set(name, []);
+    }
+    headers.get(name).push(value);
+  }
+
+  return headers;
+};
+
+const getHeader = (headers, name) => (headers.get(name.toLowerCase()) || [])[0] || '';
+
+// "text/plain; charset=utf-8" -> { value: 'text/plain', params: { charset: 'utf-8' } }
+const parseHeaderParams = (value) => {
+  const [main, ...rest] = String(value || '').split(';');
+  const params = {};
+
+  for (const part of rest) {
+    const separator = part.indexOf('=');
+    if (separator > 0) {
+      params[part.slice(0, separator).trim().toLowerCase()] = part.slice(separator + 1).trim().replace(/^"|"$/g, '');
+    }
+  }
+
+  return { value: main.trim().toLowerCase(), params };
+};
+
+const decodeBody = (body, transferEncoding, charset) => {
+  const encoding = String(transferEncoding || '').trim().toLowerCase();
+  let bytes;
+
+  if (encoding === 'base64') {
+    bytes = Buffer.from(body.replace(/\s+/g, ''), 'base64');
+  } else if (encoding === 'quoted-printable') {
+    bytes = decodeQuotedPrintable(body);
+  } else {
+    bytes = Buffer.from(body, 'latin1');
+  }
+
+  return decodeBytes(bytes, charset);
+};
+
+const htmlToText = (html) => html
+  .replace(/<(style|script)[\s\S]*?<\/\1>/gi, '')
+  .replace(/<blockquote[\s\S]*?<\/blockquote>/gi, '')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+/**
+ * Walk a MIME entity and collect its parts' content types and decoded text bodies
+ */
+const collectParts = (binary, depth = 0, parts = []) => {
+  const { headerText, body } = splitHeaderAndBody(binary);
+  const headers = parseHeaders(headerText);
+  const contentType = parseHeaderParams(getHeader(headers, 'content-type') || 'text/plain');
+
+  parts.push({ contentType: contentType.value, params: contentType.params });
+
+  if (contentType.value.startsWith('multipart/') && contentType.params.boundary && depth < MAX_MIME_DEPTH) {
+    const delimiter = `--${contentType.params.boundary}`;
+    const sections = body.split(delimiter).slice(1);
+
+    for (const section of sections) {
+      if (section.startsWith('--')) {
+        break;
+      }
+      collectParts(section.replace(/^\r?\n/, ''), depth + 1, parts);
+    }
+    return parts;
+  }
+
+  if (contentType.value === 'text/plain' || contentType.value === 'text/html') {
+    const disposition = getHeader(headers, 'content-disposition').toLowerCase();
+    if (!disposition.startsWith('attachment')) {
+      parts[parts.length - 1].text = decodeBody(
+        body,
+        getHeader(headers, 'content-transfer-encoding'),
+        contentType.params.charset
+      );
+    }
+  }
+
+  return parts;
+};
+
+const ADDRESS_PATTERN = /[^\s<>,;:"()]+@[^\s<>,;:"()]+/;
+
+// Address of one mailbox: the <angle-addr> when present, so an address-like display name never counts
+const extractMailboxAddress = (mailbox) => {
+  const angle = mailbox.match(/<([^<>]*)>/);
+  const match = (angle ? angle[1] : mailbox).match(ADDRESS_PATTERN);
+  return match ? match[0].toLowerCase() : null;
+};
+
+// Addresses of an address-list header; quoted display names and (comments) are dropped first
+const extractAddresses = (value) => String(value || '')
+  .replace(/"(?:[^"\\]|\\.)*"/g, ' ')
+  .replace(/\((?:[^()\\]|\\.)*\)/g, ' ')
+  .split(/[,;]/)
+  .map(extractMailboxAddress)
+  .filter(Boolean);
+
+/**
+ * Parse an Authentication-Results header (RFC 8601), e.g.
+ * "mx.example.net; dkim=pass header.d=example.com; spf=pass smtp.mailfrom=ada@example.com"
+ * @returns {{authservId: string, results: Array<{method: string, result: string,
+ *   properties: Object<string, string>}>}}
+ */
+const parseAuthenticationResults = (value) => {
+  let text = String(value || '');
+  // Drop (comments), innermost first
+  while (/\([^()]*\)/.test(text)) {
+    text = text.replace(/\([^()]*\)/g, ' ');
+  }
+
+  const [authserv = '', ...resinfos] = text.split(';');
+  const results = [];
+
+  for (const resinfo of resinfos) {
+    const [methodToken, ...propertyTokens] = resinfo.trim().split(/\s+/);
+    const match = /^([\w-]+)(?:\/\d+)?=([\w-]+)$/.exec(methodToken || '');
+    if (!match) {
+      continue;
+    }
+
+    const properties = {};
+    for (const token of propertyTokens) {
+      const separator = token.indexOf('=');
+      if (separator > 0) {
+        properties[token.slice(0, separator).toLowerCase()] = token.slice(separator + 1).replace(/^"|"$/g, '');
+      }
+    }
+
+    results.push({ method: match[1].toLowerCase(), result: match[2].toLowerCase(), properties });
+  }
+
+  return { authservId: authserv.trim().split(/\s+/)[0].toLowerCase(), results };
+};
+
+/**
+ * Parse a raw RFC 822 message
+ * @param {Buffer|string} raw
+ * @returns {{headers: Map<string, string[]>, from: string|null, recipients: string[],
+ *   messageId: string, subject: string, contentTypes: string[], text: string}}
+ */
+const parseRawEmail = (raw) => {
+  const binary = toBinaryString(raw);
+  const { headerText } = splitHeaderAndBody(binary);
+  const headers = parseHeaders(headerText);
+  const parts = collectParts(binary);
+
+  const plain = parts.find((part) => part.contentType === 'text/plain' && typeof part.text === 'string');
+  const html = parts.find((part) => part.contentType === 'text/html' && typeof part.text === 'string');
+
+  const recipientHeaders = ['to', 'cc', 'delivered-to', 'x-original-to', 'envelope-to'];
+  const recipients = Array.from(new Set(
+    recipientHeaders.flatMap((name) => (headers.get(name) || []).flatMap(extractAddresses))
+  ));
+
+  return {
+    headers,
+    from: extractAddresses(getHeader(headers, 'from'))[0] || null,
+    recipients,
+    messageId: getHeader(headers, 'message-id'),
+    subject: getHeader(headers, 'subject'),
+    contentTypes: parts.map((part) => part.contentType),
+    text: plain ? plain.text : html ? htmlToText(html.text) : ''
+  };
+};
+
+module.exports = {
+  parseRawEmail,
+  parseHeaders,
+  getHeader,
+  decodeEncodedWords,
+  parseAuthenticationResults
+};
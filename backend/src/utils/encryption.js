@@ -1,16 +1,59 @@
+const crypto = require("crypto");
 const CryptoJS = require("crypto-js");
 
-// Encrypt plaintext → return JSON string for DB
-function encryptMessage(plaintext, key) {
-    const iv = CryptoJS.lib.WordArray.random(16);
-    const encrypted = CryptoJS.AES.encrypt(plaintext, key, { iv });
+const ALGORITHM = "aes-256-gcm";
+const PAYLOAD_VERSION = 2;
+const IV_BYTES = 12;
+const SALT_BYTES = 16;
+const KEY_BYTES = 32;
+
+// Secrets from the environment are stretched into a 256-bit key with a per-payload salt.
+function deriveKey(secret, salt) {
+    return Buffer.from(
+        crypto.hkdfSync("sha256", Buffer.from(String(secret), "utf8"), salt, "trident-encryption", KEY_BYTES)
+    );
+}
+
+function assertKey(key) {
+    if (!Buffer.isBuffer(key) || key.length !== KEY_BYTES) {
+        throw new Error("ENCRYPTION_KEY_INVALID");
+    }
+}
+
+function seal(plaintext, key, aad, extra = {}) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+
+    if (aad) {
+        cipher.setAAD(Buffer.from(aad, "utf8"));
+    }
+
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), "utf8"), cipher.final()]);
 
     return JSON.stringify({
-        iv: iv.toString(),
-        ciphertext: encrypted.toString()
+        v: PAYLOAD_VERSION,
+        ...extra,
+        iv: iv.toString("base64"),
+        tag: cipher.getAuthTag().toString("base64"),
+        ciphertext: ciphertext.toString("base64"),
     });
 }
 
+function open(payload, key, aad) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(payload.iv, "base64"));
+
+    if (aad) {
+        decipher.setAAD(Buffer.from(aad, "utf8"));
+    }
+
+    decipher.setAuthTag(Buffer.from(payload.tag, "base64"));
+
+    return Buffer.concat([
+        decipher.update(Buffer.from(payload.ciphertext, "base64")),
+        decipher.final(),
+    ]).toString("utf8");
+}
+
 function parseEncryptedPayload(storedBody) {
     if (typeof storedBody !== "string") {
         return { type: "empty" };
@@ -36,24 +79,57 @@ function parseEncryptedPayload(storedBody) {
     }
 
     if (
-        parsed &&
-        typeof parsed.iv === "string" &&
-        parsed.iv &&
-        typeof parsed.ciphertext === "string" &&
-        parsed.ciphertext
+        !parsed ||
+        typeof parsed.iv !== "string" ||
+        !parsed.iv ||
+        typeof parsed.ciphertext !== "string" ||
+        !parsed.ciphertext
     ) {
+        return { type: "plaintext", value: storedBody };
+    }
+
+    if (parsed.v === PAYLOAD_VERSION && typeof parsed.tag === "string") {
         return {
-            type: "encrypted",
+            type: "gcm",
             iv: parsed.iv,
+            tag: parsed.tag,
+            salt: typeof parsed.salt === "string" ? parsed.salt : null,
             ciphertext: parsed.ciphertext,
         };
     }
 
-    return { type: "plaintext", value: storedBody };
+    // Written by the crypto-js AES implementation this module used before AES-GCM.
+    return {
+        type: "legacy",
+        iv: parsed.iv,
+        ciphertext: parsed.ciphertext,
+    };
+}
+
+function decryptLegacy(payload, secret) {
+    const bytes = CryptoJS.AES.decrypt(
+        payload.ciphertext,
+        secret,
+        { iv: CryptoJS.enc.Hex.parse(payload.iv) }
+    );
+
+    const decrypted = bytes.toString(CryptoJS.enc.Utf8);
+
+    if (!decrypted) {
+        throw new Error("MESSAGE_DECRYPTION_FAILED");
+    }
+
+    return decrypted;
 }
 
-// Decrypt DB JSON string → return plaintext
-function decryptMessage(storedBody, key) {
+// Encrypt plaintext with a secret string → return JSON string for DB
+function encryptMessage(plaintext, secret) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    return seal(plaintext, deriveKey(secret, salt), null, { salt: salt.toString("base64") });
+}
+
+// Decrypt DB JSON string written by encryptMessage (or the legacy crypto-js format) → return plaintext
+function decryptMessage(storedBody, secret) {
     const payload = parseEncryptedPayload(storedBody);
 
     if (payload.type === "empty") {
@@ -65,22 +141,55 @@ function decryptMessage(storedBody, key) {
     }
 
     try {
-        const bytes = CryptoJS.AES.decrypt(
-            payload.ciphertext,
-            key,
-            { iv: CryptoJS.enc.Hex.parse(payload.iv) }
-        );
-
-        const decrypted = bytes.toString(CryptoJS.enc.Utf8);
+        if (payload.type === "legacy") {
+            return decryptLegacy(payload, secret);
+        }
 
-        if (!decrypted) {
-            throw new Error("MESSAGE_DECRYPTION_FAILED");
+        if (!payload.salt) {
+            throw new Error("PAYLOAD_REQUIRES_DATA_KEY");
         }
 
-        return decrypted;
+        return open(payload, deriveKey(secret, Buffer.from(payload.salt, "base64")), null);
+    } catch (error) {
+        throw new Error(`DECRYPT_MESSAGE_FAILED: ${error.message}`);
+    }
+}
+
+// Encrypt with a raw 256-bit key (envelope data keys); aad binds the ciphertext to its context
+function encryptWithKey(plaintext, key, aad = null) {
+    assertKey(key);
+    return seal(plaintext, key, aad);
+}
+
+function decryptWithKey(storedBody, key, aad = null) {
+    assertKey(key);
+    const payload = parseEncryptedPayload(storedBody);
+
+    if (payload.type === "empty") {
+        return "";
+    }
+
+    if (payload.type !== "gcm" || payload.salt) {
+        throw new Error("DECRYPT_MESSAGE_FAILED: payload was not written with a data key");
+    }
+
+    try {
+        return open(payload, key, aad);
     } catch (error) {
         throw new Error(`DECRYPT_MESSAGE_FAILED: ${error.message}`);
     }
 }
 
-module.exports = { encryptMessage, decryptMessage };
+function generateDataKey() {
+    return crypto.randomBytes(KEY_BYTES);
+}
+
+module.exports = {
+    KEY_BYTES,
+    encryptMessage,
+    decryptMessage,
+    encryptWithKey,
+    decryptWithKey,
+    generateDataKey,
+    parseEncryptedPayload,
+};
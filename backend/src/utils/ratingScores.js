@@ -0,0 +1,119 @@
+/**
+ * Rating score parsing and summaries, shared by the rating endpoints and public profiles
+ */
+
+const SCORE_DIMENSIONS = ['quality', 'communication', 'timeliness', 'overall'];
+
+/**
+ * Normalize submitted scores. A bare number or a missing dimension falls back to overall.
+ * @param {Object|string|number} scores
+ * @returns {Object|null} Scores keyed by SCORE_DIMENSIONS, or null when invalid
+ */
+const parseScores = (scores) => {
+  let parsed = scores;
+  if (typeof scores === 'string') {
+    try {
+      parsed = JSON.parse(scores);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (typeof parsed === 'number') {
+    parsed = { overall: parsed };
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return null;
+  }
+
+  const overallValue = parsed.overall;
+  if (!Number.isInteger(overallValue) || overallValue < 1 || overallValue > 5) {
+    return null;
+  }
+
+  const normalized = { overall: overallValue };
+  for (const dimension of SCORE_DIMENSIONS) {
+    if (dimension === 'overall') {
+      continue;
+    }
+    const value = parsed[dimension];
+    if (value === undefined || value === null || value === '') {
+      normalized[dimension] = overallValue;
+      continue;
+    }
+    if (!Number.isInteger(value) || value < 1 || value > 5) {
+      return null;
+    }
+    normalized[dimension] = value;
+  }
+
+  return normalized;
+};
+
+/**
+ * Average scores across ratings
+ * @param {Array<Object>} ratings - Ratings with a scores field
+ * @returns {{count: number, averages: Object}}
+ */
+const calculateSummary = (ratings) => {
+  if (!ratings.length) {
+    return {
+      count: 0,
+      averages: {
+        quality: 0,
+        communication: 0,
+        timeliness: 0,
+        overall: 0
+      }
+    };
+  }
+
+  const sums = {
+    quality: 0,
+    communication: 0,
+    timeliness: 0,
+    overall: 0
+  };
+  let scoredCount = 0;
+
+  for (const rating of ratings) {
+    const scores = parseScores(rating.scores);
+    if (!scores) {
+      continue;
+    }
+    scoredCount += 1;
+    sums.quality += scores.quality;
+    sums.communication += scores.communication;
+    sums.timeliness += scores.timeliness;
+    sums.overall += scores.overall;
+  }
+
+  if (scoredCount === 0) {
+    return {
+      count: ratings.length,
+      averages: {
+        quality: 0,
+        communication: 0,
+        timeliness: 0,
+        overall: 0
+      }
+    };
+  }
+
+  return {
+    count: ratings.length,
+    averages: {
+      quality: Number((sums.quality / scoredCount).toFixed(2)),
+      communication: Number((sums.communication / scoredCount).toFixed(2)),
+      timeliness: Number((sums.timeliness / scoredCount).toFixed(2)),
+      overall: Number((sums.overall / scoredCount).toFixed(2))
+    }
+  };
+};
+
+module.exports = {
+  SCORE_DIMENSIONS,
+  parseScores,
+  calculateSummary
+};
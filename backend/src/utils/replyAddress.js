@@ -0,0 +1,81 @@
+/**
+ * Reply Addresses
+ * Signed per-user, per-thread addresses for answering message notifications by email:
+ * reply+<userId>.<threadId>.<signature>@INBOUND_EMAIL_DOMAIN. The signature is a truncated
+ * HMAC over both ids, so an address cannot be altered to post as someone else or into another
+ * thread. Lowercase hex keeps it intact through mail servers that fold local-part case.
+ *
+ * Reply addresses are only issued when INBOUND_EMAIL_DOMAIN and INBOUND_EMAIL_SECRET are set.
+ */
+
+const crypto = require('crypto');
+
+const LOCAL_PART_PREFIX = 'reply';
+const SIGNATURE_LENGTH = 24;
+const REPLY_LOCAL_PART_PATTERN = new RegExp(`^${LOCAL_PART_PREFIX}\\+(\\d+)\\.(\\d+)\\.([0-9a-f]{${SIGNATURE_LENGTH}})$`, 'i');
+
+const isReplyAddressConfigured = () => Boolean(process.env.INBOUND_EMAIL_DOMAIN && process.env.INBOUND_EMAIL_SECRET);
+
+const sign = (userId, threadId) => crypto
+  .createHmac('sha256', process.env.INBOUND_EMAIL_SECRET)
+  .update(`reply:v1:${userId}:${threadId}`)
+  .digest('hex')
+  .slice(0, SIGNATURE_LENGTH);
+
+/**
+ * @returns {string|null} Reply address, or null when inbound email is not configured
+ */
+const buildReplyAddress = (userId, threadId) => {
+  const normalizedUserId = Number(userId);
+  const normalizedThreadId = Number(threadId);
+
+  if (!isReplyAddressConfigured() || !Number.isInteger(normalizedUserId) || !Number.isInteger(normalizedThreadId)) {
+    return null;
+  }
+
+  return `${LOCAL_PART_PREFIX}+${normalizedUserId}.${normalizedThreadId}.${sign(normalizedUserId, normalizedThreadId)}@${process.env.INBOUND_EMAIL_DOMAIN}`;
+};
+
+const isReplyAddressCandidate = (address) => {
+  const [localPart] = String(address || '').split('@');
+  return localPart.toLowerCase().startsWith(`${LOCAL_PART_PREFIX}+`);
+};
+
+/**
+ * Verify a reply address and return the ids it was issued for
+ * @returns {{userId: number, threadId: number}|null} null when the address is malformed,
+ *   addressed to another domain or carries a bad signature
+ */
+const verifyReplyAddress = (address) => {
+  if (!isReplyAddressConfigured()) {
+    return null;
+  }
+
+  const [localPart, domain] = String(address || '').trim().split('@');
+  if (!domain || domain.toLowerCase() !== process.env.INBOUND_EMAIL_DOMAIN.toLowerCase()) {
+    return null;
+  }
+
+  const match = REPLY_LOCAL_PART_PATTERN.exec(localPart);
+  if (!match) {
+    return null;
+  }
+
+  const userId = Number(match[1]);
+  const threadId = Number(match[2]);
+  const expected = Buffer.from(sign(userId, threadId), 'utf8');
+  const provided = Buffer.from(match[3].toLowerCase(), 'utf8');
+
+  if (!crypto.timingSafeEqual(expected, provided)) {
+    return null;
+  }
+
+  return { userId, threadId };
+};
+
+module.exports = {
+  isReplyAddressConfigured,
+  isReplyAddressCandidate,
+  buildReplyAddress,
+  verifyReplyAddress
+};
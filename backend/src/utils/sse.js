@@ -0,0 +1,78 @@
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+/**
+ * Switch an Express response into a Server-Sent Events stream
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} [options]
+ * @param {number} [options.heartbeatMs] - Comment ping interval to keep proxies from idling out
+ * @param {number} [options.retryMs] - Reconnect delay suggested to the client
+ * @returns {{ send: Function, onClose: Function, close: Function }}
+ */
+function openEventStream(req, res, { heartbeatMs = HEARTBEAT_INTERVAL_MS, retryMs = 5000 } = {}) {
+  const closeHandlers = [];
+  let closed = false;
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  if (typeof res.flushHeaders === 'function') {
+    res.flushHeaders();
+  }
+  res.write(`retry: ${retryMs}\n\n`);
+
+  const heartbeat = setInterval(() => {
+    if (!closed) {
+      res.write(': ping\n\n');
+    }
+  }, heartbeatMs);
+  heartbeat.unref();
+
+  const cleanup = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+
+    for (const handler of closeHandlers) {
+      Promise.resolve()
+        .then(handler)
+        .catch((error) => console.error('[SSE] Close handler failed:', error));
+    }
+  };
+
+  req.on('close', cleanup);
+
+  return {
+    send({ event, data, id } = {}) {
+      if (closed) return;
+
+      let frame = '';
+      if (id !== undefined && id !== null) frame += `id: ${id}\n`;
+      if (event) frame += `event: ${event}\n`;
+      frame += `data: ${JSON.stringify(data === undefined ? null : data)}\n\n`;
+      res.write(frame);
+    },
+    onClose(handler) {
+      if (closed) {
+        // The client left while the caller was still setting up; release immediately.
+        Promise.resolve()
+          .then(handler)
+          .catch((error) => console.error('[SSE] Close handler failed:', error));
+        return;
+      }
+      closeHandlers.push(handler);
+    },
+    close() {
+      cleanup();
+      res.end();
+    },
+  };
+}
+
+module.exports = {
+  openEventStream,
+};
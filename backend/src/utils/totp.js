@@ -0,0 +1,131 @@
+/**
+ * TOTP (RFC 6238) helpers for authenticator apps
+ * SHA-1, 6 digits and a 30 second step: the defaults every common authenticator app supports.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const SECRET_BYTES = 20;
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+// Accept the previous and next step to tolerate clock drift on the user's device
+const DEFAULT_WINDOW = 1;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = String(input || '').toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('INVALID_BASE32');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * New random shared secret, base32 encoded for authenticator apps
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * HOTP value (RFC 4226) for a counter
+ */
+const generateHotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const generateTotp = (secret, time = Date.now()) => generateHotp(secret, getTimeStep(time));
+
+/**
+ * Check a code against the steps around `time`
+ * @returns {number|null} The matching time step (store it to reject replays), or null
+ */
+const verifyTotp = (secret, code, { time = Date.now(), window = DEFAULT_WINDOW } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const current = getTimeStep(time);
+  const expected = Buffer.from(normalized);
+
+  for (let offset = -window; offset <= window; offset += 1) {
+    const step = current + offset;
+    const candidate = Buffer.from(generateHotp(secret, step));
+    if (crypto.timingSafeEqual(candidate, expected)) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * otpauth:// provisioning URI, rendered as a QR code by the client
+ * @see https://github.com/google/google-authenticator/wiki/Key-Uri-Format
+ */
+const buildOtpauthUrl = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUrl
+};
@@ -38,7 +38,8 @@ jest.mock('../../src/middleware/auth', () => ({
 }));
 
 jest.mock('../../src/middleware/rateLimit', () => ({
-  createRateLimiter: () => (req, res, next) => next()
+  createRateLimiter: () => (req, res, next) => next(),
+  rateLimitPolicy: () => (req, res, next) => next()
 }));
 
 const agreementRoutes = require('../../src/routes/agreementRoutes');
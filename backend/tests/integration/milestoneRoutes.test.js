@@ -43,8 +43,20 @@ jest.mock('../../src/controllers/milestoneController', () => ({
   listMilestoneRevisionRequests: (req, res) => res.status(200).json({ revision_requests: [] }),
   approveMilestoneRevisionRequest: (req, res) => res.status(200).json({ message: 'approved' }),
   rejectMilestoneRevisionRequest: (req, res) => res.status(200).json({ message: 'rejected' }),
+  submitMilestoneDeliverable: (req, res) => res.status(201).json({ submission: { id: 1, round: 1 } }),
+  listMilestoneSubmissions: (req, res) => res.status(200).json({ submissions: [] }),
+  acceptMilestoneSubmission: (req, res) => res.status(200).json({ message: 'accepted' }),
+  rejectMilestoneSubmission: (req, res) => res.status(200).json({ message: 'rejected' }),
+  getMilestoneChecklist: (req, res) => res.status(200).json({ milestone_id: Number(req.params.id), items: [] }),
+  createChecklistItem: (req, res) => res.status(201).json({ item: { id: 1, ...req.body } }),
+  reorderChecklistItems: (req, res) => res.status(200).json({ reordered: req.body.item_ids }),
+  updateChecklistItem: (req, res) => res.status(200).json({ item: { id: Number(req.params.itemId), ...req.body } }),
+  deleteChecklistItem: (req, res) => res.status(200).json({ deleted_id: Number(req.params.itemId) }),
   getMilestoneStats: (req, res) => res.status(200).json({
     stats: { total: 1, completed: 0, overdue: 0 }
+  }),
+  getProjectSchedule: (req, res) => res.status(200).json({
+    schedule: { project_id: Number(req.params.projectId), critical_path: [] }
   })
 }));
 
@@ -195,6 +207,15 @@ describe('milestoneRoutes integration', () => {
     expect(response.body.stats.total).toBe(1);
   });
 
+  test('routes the project schedule ahead of milestone ids', async () => {
+    const response = await request(app)
+      .get('/api/projects/9/milestones/schedule')
+      .set('Authorization', 'Bearer token');
+
+    expect(response.status).toBe(200);
+    expect(response.body.schedule.project_id).toBe(9);
+  });
+
   test('supports researcher milestone request and revision routes', async () => {
     const auth = { Authorization: 'Bearer token' };
 
@@ -223,6 +244,77 @@ describe('milestoneRoutes integration', () => {
     expect(listRevisions.status).toBe(200);
   });
 
+  test('routes deliverable submissions to researchers and reviews to nonprofits', async () => {
+    const auth = { Authorization: 'Bearer token' };
+
+    const submit = await request(app)
+      .post('/api/projects/9/milestones/4/submissions')
+      .set(auth)
+      .set('x-role', 'researcher')
+      .send({ notes: 'Final report attached', attachment_ids: [12] });
+    expect(submit.status).toBe(201);
+
+    const submitAsNonprofit = await request(app)
+      .post('/api/projects/9/milestones/4/submissions')
+      .set(auth)
+      .set('x-role', 'nonprofit')
+      .send({ notes: 'Not allowed' });
+    expect(submitAsNonprofit.status).toBe(403);
+
+    const listSubmissions = await request(app)
+      .get('/api/projects/9/milestones/4/submissions')
+      .set(auth)
+      .set('x-role', 'researcher');
+    expect(listSubmissions.status).toBe(200);
+
+    const acceptAsResearcher = await request(app)
+      .post('/api/projects/9/milestones/4/submissions/1/accept')
+      .set(auth)
+      .set('x-role', 'researcher');
+    expect(acceptAsResearcher.status).toBe(403);
+
+    const accept = await request(app)
+      .post('/api/projects/9/milestones/4/submissions/1/accept')
+      .set(auth)
+      .set('x-role', 'nonprofit');
+    expect(accept.status).toBe(200);
+
+    const reject = await request(app)
+      .post('/api/projects/9/milestones/4/submissions/1/reject')
+      .set(auth)
+      .set('x-role', 'nonprofit')
+      .send({ feedback: 'Missing appendix' });
+    expect(reject.status).toBe(200);
+  });
+
+  test('routes checklist reordering ahead of item ids', async () => {
+    const auth = { Authorization: 'Bearer token' };
+
+    const create = await request(app)
+      .post('/api/projects/9/milestones/4/checklist')
+      .set(auth)
+      .set('x-role', 'researcher')
+      .send({ title: 'Draft survey' });
+    expect(create.status).toBe(201);
+
+    const reorder = await request(app)
+      .put('/api/projects/9/milestones/4/checklist/order')
+      .set(auth)
+      .send({ item_ids: [2, 1] });
+    expect(reorder.body).toEqual({ reordered: [2, 1] });
+
+    const update = await request(app)
+      .put('/api/projects/9/milestones/4/checklist/2')
+      .set(auth)
+      .send({ is_completed: true });
+    expect(update.body.item).toEqual({ id: 2, is_completed: true });
+
+    const remove = await request(app)
+      .delete('/api/projects/9/milestones/4/checklist/2')
+      .set(auth);
+    expect(remove.body).toEqual({ deleted_id: 2 });
+  });
+
   test('supports nonprofit review of milestone requests and revisions plus access matrix updates', async () => {
     const auth = { Authorization: 'Bearer token' };
 
@@ -51,6 +51,10 @@ jest.mock('../../src/database/models', () => ({
     create: jest.fn(),
     findOne: jest.fn()
   },
+  BulkJob: {
+    findAll: jest.fn(),
+    findAndCountAll: jest.fn()
+  },
   sequelize: {
     query: jest.fn()
   }
@@ -64,6 +68,10 @@ jest.mock('../../src/services/notificationService', () => ({
   createNotification: jest.fn(),
 }));
 
+jest.mock('../../src/services/sessionService', () => ({
+  revokeAllUserSessions: jest.fn().mockResolvedValue(0)
+}));
+
 jest.mock('../../src/utils/auditLogger', () => ({
   AUDIT_ACTIONS: {
     ADMIN_BULK_USER_APPROVED: 'ADMIN_BULK_USER_APPROVED',
@@ -75,11 +83,19 @@ jest.mock('../../src/utils/auditLogger', () => ({
   logAudit: jest.fn().mockResolvedValue(undefined),
 }));
 
-jest.mock('../../src/utils/bulkJobStore', () => ({
-  createBulkJob: jest.fn(),
-  updateBulkJob: jest.fn(),
-  getBulkJob: jest.fn(),
-}));
+jest.mock('../../src/services/bulkJobService', () => {
+  const actual = jest.requireActual('../../src/services/bulkJobService');
+  return {
+    registerBulkJobHandler: jest.fn(),
+    executeBulkItems: actual.executeBulkItems,
+    serializeBulkJob: actual.serializeBulkJob,
+    isBulkJobLimitError: actual.isBulkJobLimitError,
+    createBulkJob: jest.fn(),
+    getBulkJob: jest.fn(),
+    cancelBulkJob: jest.fn(),
+    getBulkJobResults: jest.fn(),
+  };
+});
 
 const bcrypt = require('bcryptjs');
 const adminController = require('../../src/controllers/adminController');
@@ -92,9 +108,11 @@ const {
   Attachment,
   MessageUploadAsset,
   UploadSecurityIncident,
+  BulkJob,
   sequelize
 } = require('../../src/database/models');
 const notificationService = require('../../src/services/notificationService');
+const bulkJobService = require('../../src/services/bulkJobService');
 
 describe('Admin Controller', () => {
   let req, res;
@@ -667,6 +685,28 @@ describe('Admin Controller', () => {
       expect(csv).toContain('"Last, First"');
     });
 
+    it('should neutralize values that start a spreadsheet formula', async () => {
+      req.params.entity = 'users';
+      req.query = {};
+
+      User.findAll.mockResolvedValue([
+        {
+          id: 1,
+          name: '=cmd|\' /C calc\'!A0',
+          email: '+1@test.com',
+          role: 'researcher',
+          account_status: 'active',
+          created_at: new Date('2024-01-01'),
+          organization: { name: '-Acme' }
+        }
+      ]);
+
+      await adminController.exportAdminData(req, res);
+
+      const csv = res.send.mock.calls[0][0];
+      expect(csv).toContain('1,\'=cmd|\' /C calc\'!A0,\'+1@test.com,researcher,active,\'-Acme,');
+    });
+
     it('should handle database errors', async () => {
       req.params.entity = 'users';
       req.query = {};
@@ -743,4 +783,145 @@ describe('Admin Controller', () => {
       expect(response.summary.failed).toBe(0);
     });
   });
+
+  describe('queued bulk jobs', () => {
+    const jobId = '6f1c2b8e-4d0a-4c5e-9b7a-2e3f4a5b6c7d';
+    const jobFactory = (overrides = {}) => ({
+      id: jobId,
+      entity_type: 'user',
+      action: 'approve',
+      actor_id: 1,
+      status: 'queued',
+      requested_count: 60,
+      processed_count: 0,
+      skipped_count: 0,
+      failed_count: 0,
+      attempts: 0,
+      cancel_requested_at: null,
+      ...overrides,
+    });
+
+    const manyIds = () => Array.from({ length: 60 }, (_, index) => index + 1);
+
+    it('queues large batches as a persisted job', async () => {
+      req.body = { action: 'approve', ids: manyIds() };
+      bulkJobService.createBulkJob.mockResolvedValue(jobFactory());
+
+      await adminController.bulkUsers(req, res);
+
+      expect(bulkJobService.createBulkJob).toHaveBeenCalledWith({
+        entityType: 'user',
+        action: 'approve',
+        actorId: 1,
+        ids: manyIds(),
+        params: { reason: null },
+      });
+      expect(User.findByPk).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(202);
+      expect(res.json.mock.calls[0][0].queued).toEqual({
+        jobId,
+        status: 'queued',
+        queuedCount: 60,
+      });
+    });
+
+    it('returns 429 when the admin has too many active jobs', async () => {
+      req.body = { action: 'approve', ids: manyIds() };
+      bulkJobService.createBulkJob.mockRejectedValue(new Error('BULK_JOB_LIMIT_REACHED'));
+
+      await adminController.bulkUsers(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(429);
+    });
+
+    it('returns job progress with per-item results', async () => {
+      req.params = { jobId };
+      bulkJobService.getBulkJob.mockResolvedValue(jobFactory({
+        status: 'running',
+        processed_count: 2,
+        skipped_count: 1,
+        actor: { id: 1, name: 'Admin', email: 'admin@example.com' },
+      }));
+      bulkJobService.getBulkJobResults.mockResolvedValue({
+        processed: [{ id: 1, message: 'User approved' }, { id: 2, message: 'User approved' }],
+        skipped: [{ id: 3, reason: 'User already active' }],
+        failed: [],
+        cancelled: [],
+      });
+
+      await adminController.getBulkJobStatus(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const response = res.json.mock.calls[0][0];
+      expect(response.status).toBe('running');
+      expect(response.actor).toEqual({ id: 1, name: 'Admin', email: 'admin@example.com' });
+      expect(response.progress).toEqual({ completed: 3, processed: 2, skipped: 1, failed: 0, percent: 5 });
+      expect(response.result.summary).toEqual(expect.objectContaining({ processed: 2, skipped: 1 }));
+    });
+
+    it('returns 404 for an unknown job', async () => {
+      req.params = { jobId: '0b9d4c3e-1a2f-4e6d-8c7b-5a4f3e2d1c0b' };
+      bulkJobService.getBulkJob.mockResolvedValue(null);
+
+      await adminController.getBulkJobStatus(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('returns 404 without querying for a job id that is not a UUID', async () => {
+      req.params = { jobId: 'not-a-uuid' };
+
+      await adminController.getBulkJobStatus(req, res);
+      expect(res.status).toHaveBeenCalledWith(404);
+
+      await adminController.cancelBulkJobRequest(req, res);
+      expect(res.status).toHaveBeenLastCalledWith(404);
+
+      expect(bulkJobService.getBulkJob).not.toHaveBeenCalled();
+      expect(bulkJobService.cancelBulkJob).not.toHaveBeenCalled();
+    });
+
+    it('lists jobs filtered by status', async () => {
+      req.query = { status: 'running' };
+      BulkJob.findAndCountAll.mockResolvedValue({ count: 1, rows: [jobFactory({ status: 'running' })] });
+
+      await adminController.listBulkJobs(req, res);
+
+      expect(BulkJob.findAndCountAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { status: 'running' },
+      }));
+      expect(res.status).toHaveBeenCalledWith(200);
+      const response = res.json.mock.calls[0][0];
+      expect(response.jobs).toHaveLength(1);
+      expect(response.pagination.total).toBe(1);
+    });
+
+    it('cancels a queued job immediately', async () => {
+      req.params = { jobId };
+      bulkJobService.cancelBulkJob.mockResolvedValue(jobFactory({ status: 'cancelled', cancel_requested_at: new Date() }));
+
+      await adminController.cancelBulkJobRequest(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json.mock.calls[0][0]).toEqual(expect.objectContaining({ status: 'cancelled', cancelRequested: true }));
+    });
+
+    it('accepts a cancel request for a running job', async () => {
+      req.params = { jobId };
+      bulkJobService.cancelBulkJob.mockResolvedValue(jobFactory({ status: 'running', cancel_requested_at: new Date() }));
+
+      await adminController.cancelBulkJobRequest(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(202);
+    });
+
+    it('returns 409 when the job has already finished', async () => {
+      req.params = { jobId };
+      bulkJobService.cancelBulkJob.mockRejectedValue(new Error('BULK_JOB_FINISHED'));
+
+      await adminController.cancelBulkJobRequest(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+    });
+  });
 });
@@ -47,11 +47,24 @@ jest.mock('../../src/services/notificationService', () => ({
   createBulkNotifications: jest.fn().mockResolvedValue([])
 }));
 
+jest.mock('../../src/services/projectChannelService', () => ({
+  syncProjectChannelSafely: jest.fn().mockResolvedValue(null)
+}));
+
+jest.mock('../../src/services/organizationMemberService', () => ({
+  canInOrganization: jest.fn().mockResolvedValue(true)
+}));
+
 jest.mock('../../src/services/pdfService', () => ({
-  renderTemplatePreview: jest.fn(),
-  generatePdf: jest.fn(),
-  generatePdfFromText: jest.fn(),
-  getAvailableTemplates: jest.fn(() => [{ type: 'NDA', requiredVariables: ['project_title'] }])
+  generatePdfFromText: jest.fn()
+}));
+
+jest.mock('../../src/services/agreementTemplateService', () => ({
+  resolvePublishedVersion: jest.fn(),
+  renderTemplateVersion: jest.fn(),
+  findActiveTemplate: jest.fn(),
+  findVersion: jest.fn(),
+  listPublishedTemplates: jest.fn()
 }));
 
 const adapterMock = {
@@ -108,7 +121,10 @@ const {
   sequelize
 } = require('../../src/database/models');
 const notificationService = require('../../src/services/notificationService');
+const projectChannelService = require('../../src/services/projectChannelService');
+const organizationMemberService = require('../../src/services/organizationMemberService');
 const pdfService = require('../../src/services/pdfService');
+const agreementTemplateService = require('../../src/services/agreementTemplateService');
 const { getAgreementObservabilitySnapshot } = require('../../src/utils/agreementObservability');
 
 const transactionMock = {
@@ -212,6 +228,14 @@ function makeRemovalRequest(overrides = {}) {
   return record;
 }
 
+const ndaVersion = {
+  id: 'NDA:v1',
+  version_number: 1,
+  status: 'published',
+  title: 'Non-Disclosure Agreement',
+  variable_schema: [{ key: 'project_title', type: 'string', required: true }]
+};
+
 describe('agreementController lifecycle', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -226,6 +250,19 @@ describe('agreementController lifecycle', () => {
     AgreementRemovalRequest.findAndCountAll.mockResolvedValue({ count: 0, rows: [] });
     AgreementRemovalRequest.create.mockResolvedValue(makeRemovalRequest());
     User.findAll.mockResolvedValue([{ id: 90 }, { id: 91 }]);
+    agreementTemplateService.resolvePublishedVersion.mockResolvedValue({
+      template: { id: 1, template_type: 'NDA' },
+      version: ndaVersion
+    });
+    agreementTemplateService.renderTemplateVersion.mockImplementation((version, variables) => ({
+      variables,
+      renderedContent: 'Rendered NDA Preview'
+    }));
+    agreementTemplateService.findActiveTemplate.mockResolvedValue({ id: 1, template_type: 'NDA' });
+    agreementTemplateService.findVersion.mockResolvedValue(ndaVersion);
+    agreementTemplateService.listPublishedTemplates.mockResolvedValue([
+      { type: 'NDA', version_id: 'NDA:v1', requiredVariables: ['project_title'] }
+    ]);
   });
 
   test('createAgreement stores lifecycle metadata and default review rules', async () => {
@@ -258,7 +295,6 @@ describe('agreementController lifecycle', () => {
       researcher_id: 11
     });
     Contract.findOne.mockResolvedValue(null);
-    pdfService.renderTemplatePreview.mockReturnValue('Rendered NDA Preview');
     Contract.create.mockResolvedValue(mockContract({ title: 'Data NDA', review_required: true, contains_sensitive_data: true }));
 
     await agreementController.createAgreement(req, res);
@@ -272,9 +308,14 @@ describe('agreementController lifecycle', () => {
       transaction: transactionMock,
       lock: 'UPDATE'
     }));
+    expect(agreementTemplateService.resolvePublishedVersion).toHaveBeenCalledWith('NDA', {
+      versionId: null,
+      transaction: transactionMock
+    });
     expect(Contract.create).toHaveBeenCalledWith(expect.objectContaining({
       template_type: 'NDA',
       template_version_id: 'NDA:v1',
+      rendered_content: 'Rendered NDA Preview',
       review_required: true,
       contains_sensitive_data: true,
       data_classification: 'confidential',
@@ -307,6 +348,18 @@ describe('agreementController lifecycle', () => {
     expect(notificationService.createBulkNotifications).toHaveBeenCalled();
   });
 
+  test('submitAgreementForReview rejects nonprofit staff whose organization role cannot manage agreements', async () => {
+    organizationMemberService.canInOrganization.mockResolvedValueOnce(false);
+    const req = { user: { id: 7, role: 'nonprofit', org_id: 3 }, params: { id: '10' }, body: {} };
+    const res = createRes();
+
+    await agreementController.submitAgreementForReview(req, res);
+
+    expect(organizationMemberService.canInOrganization).toHaveBeenCalledWith(req.user, 3, 'agreements:manage');
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+  });
+
   test('submitAgreementForReview routes directly to counterparty review when internal review is not required', async () => {
     const contract = mockContract({ status: 'draft', review_required: false, contains_sensitive_data: false });
     Contract.findByPk.mockResolvedValue(contract);
@@ -422,7 +475,7 @@ describe('agreementController lifecycle', () => {
       nonprofit_signed_at: new Date('2026-03-14T00:00:00.000Z')
     });
     Contract.findByPk.mockResolvedValue(contract);
-    pdfService.generatePdf.mockResolvedValue({
+    pdfService.generatePdfFromText.mockResolvedValue({
       buffer: Buffer.from('pdf-bytes'),
       checksum: 'a'.repeat(64),
       preview: 'body'
@@ -433,6 +486,8 @@ describe('agreementController lifecycle', () => {
 
     await agreementController.signAgreement(req, res);
 
+    expect(agreementTemplateService.findVersion).toHaveBeenCalledWith('NDA:v1');
+    expect(pdfService.generatePdfFromText).toHaveBeenCalledWith('Non-Disclosure Agreement', 'Rendered body');
     expect(contract.status).toBe('executed');
     expect(notificationService.createBulkNotifications).toHaveBeenCalledWith(
       [7, 11],
@@ -465,7 +520,7 @@ describe('agreementController lifecycle', () => {
 
     await agreementController.signAgreement(req, res);
 
-    expect(pdfService.generatePdf).not.toHaveBeenCalled();
+    expect(pdfService.generatePdfFromText).not.toHaveBeenCalled();
     expect(adapterMock.save).toHaveBeenCalledWith(expect.objectContaining({
       filename: expect.stringMatching(/\.docx$/),
       mimetype: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
@@ -590,6 +645,11 @@ describe('agreementController lifecycle', () => {
     expect(sequelize.transaction).toHaveBeenCalledTimes(2);
     expect(contract.status).toBe('terminated');
     expect(contract.save).toHaveBeenCalledWith(expect.objectContaining({ transaction: transactionMock }));
+    expect(projectChannelService.syncProjectChannelSafely).toHaveBeenCalledTimes(1);
+    expect(projectChannelService.syncProjectChannelSafely).toHaveBeenCalledWith(22, {
+      actorId: 7,
+      reason: 'agreement_terminated'
+    });
   });
 
   test('createAmendment clones executed agreement into a draft amendment', async () => {
@@ -829,8 +889,8 @@ describe('agreementController lifecycle', () => {
       researcher_id: 11
     });
     Contract.findOne.mockResolvedValueOnce(null);
-    pdfService.renderTemplatePreview.mockImplementationOnce(() => {
-      throw new Error('Missing fields');
+    agreementTemplateService.renderTemplateVersion.mockImplementationOnce(() => {
+      throw new Error('Missing required template variables: project_title');
     });
 
     await agreementController.createAgreement(req, res);
@@ -838,6 +898,51 @@ describe('agreementController lifecycle', () => {
     expect(res.status).toHaveBeenCalledWith(400);
   });
 
+  test('createAgreement only accepts a committed amount on SOW agreements', async () => {
+    const buildReq = (body) => ({
+      user: { id: 7, role: 'nonprofit', org_id: 4 },
+      body: { application_id: 3, title: 'Scope', variables: {}, ...body }
+    });
+
+    const ndaRes = createRes();
+    await agreementController.createAgreement(buildReq({ template_type: 'nda', committed_amount: 5000 }), ndaRes);
+    expect(ndaRes.status).toHaveBeenCalledWith(400);
+    expect(ndaRes.json).toHaveBeenCalledWith(expect.objectContaining({
+      error: 'committed_amount only applies to SOW agreements'
+    }));
+
+    const negativeRes = createRes();
+    await agreementController.createAgreement(buildReq({ template_type: 'sow', committed_amount: -1 }), negativeRes);
+    expect(negativeRes.status).toHaveBeenCalledWith(400);
+    expect(Contract.create).not.toHaveBeenCalled();
+  });
+
+  test('previewAgreement renders the agreement against another published version on request', async () => {
+    const res = createRes();
+    Contract.findByPk.mockResolvedValueOnce(mockContract());
+    agreementTemplateService.resolvePublishedVersion.mockResolvedValueOnce({
+      template: { id: 1, template_type: 'NDA' },
+      version: { ...ndaVersion, id: 'NDA:v2', version_number: 2 }
+    });
+    agreementTemplateService.renderTemplateVersion.mockReturnValueOnce({
+      variables: { project_title: 'Study A' },
+      renderedContent: 'Rendered with v2'
+    });
+
+    await agreementController.previewAgreement({
+      user: { id: 7, role: 'nonprofit' },
+      params: { id: '10' },
+      query: { template_version_id: 'NDA:v2' }
+    }, res);
+
+    expect(agreementTemplateService.resolvePublishedVersion).toHaveBeenCalledWith('NDA', { versionId: 'NDA:v2' });
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      template_version_id: 'NDA:v2',
+      preview: 'Rendered with v2',
+      is_recorded_version: false
+    }));
+  });
+
   test('getTemplates returns available template metadata', async () => {
     const res = createRes();
     await agreementController.getTemplates({}, res);
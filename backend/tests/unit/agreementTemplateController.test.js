@@ -0,0 +1,151 @@
+jest.mock('../../src/services/agreementTemplateService', () => {
+  const actual = jest.requireActual('../../src/services/agreementTemplateService');
+  return {
+    isTemplateValidationError: actual.isTemplateValidationError,
+    serializeTemplate: actual.serializeTemplate,
+    serializeVersion: actual.serializeVersion,
+    listTemplates: jest.fn(),
+    countAgreementsByVersion: jest.fn(),
+    createTemplate: jest.fn(),
+    createDraftVersion: jest.fn(),
+    publishVersion: jest.fn(),
+    retireVersion: jest.fn(),
+    previewVersion: jest.fn()
+  };
+});
+
+jest.mock('../../src/database/models', () => ({}));
+
+jest.mock('../../src/utils/auditLogger', () => ({
+  AUDIT_ACTIONS: {
+    AGREEMENT_TEMPLATE_CREATED: 'AGREEMENT_TEMPLATE_CREATED',
+    AGREEMENT_TEMPLATE_VERSION_CREATED: 'AGREEMENT_TEMPLATE_VERSION_CREATED',
+    AGREEMENT_TEMPLATE_VERSION_PUBLISHED: 'AGREEMENT_TEMPLATE_VERSION_PUBLISHED'
+  },
+  logAudit: jest.fn().mockResolvedValue(undefined)
+}));
+
+const agreementTemplateController = require('../../src/controllers/agreementTemplateController');
+const agreementTemplateService = require('../../src/services/agreementTemplateService');
+const { logAudit } = require('../../src/utils/auditLogger');
+
+const createRes = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn().mockReturnThis()
+});
+
+const version = (overrides = {}) => ({
+  id: 'MOU:v1',
+  template_id: 4,
+  version_number: 1,
+  status: 'draft',
+  title: 'Memorandum of Understanding',
+  variable_schema: [],
+  sections: [{ key: 'body', body: 'Text' }],
+  ...overrides
+});
+
+describe('agreementTemplateController', () => {
+  const user = { id: 1, role: 'admin' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('lists templates with agreement counts per version', async () => {
+    agreementTemplateService.listTemplates.mockResolvedValue([{
+      id: 1,
+      template_type: 'NDA',
+      label: 'Non-Disclosure Agreement',
+      is_active: true,
+      versions: [version({ id: 'NDA:v1', status: 'published' })]
+    }]);
+    agreementTemplateService.countAgreementsByVersion.mockResolvedValue({ 'NDA:v1': 4 });
+    const res = createRes();
+
+    await agreementTemplateController.listTemplates({ user, query: {} }, res);
+
+    expect(agreementTemplateService.countAgreementsByVersion).toHaveBeenCalledWith(['NDA:v1']);
+    const [template] = res.json.mock.calls[0][0].templates;
+    expect(template.versions[0]).toEqual(expect.objectContaining({ id: 'NDA:v1', agreement_count: 4 }));
+  });
+
+  it('creates a template and records an audit entry', async () => {
+    agreementTemplateService.createTemplate.mockResolvedValue({ id: 4, template_type: 'MOU', label: 'MOU', is_active: true });
+    const res = createRes();
+
+    await agreementTemplateController.createTemplate({ user, body: { template_type: 'mou', label: 'MOU' } }, res);
+
+    expect(agreementTemplateService.createTemplate).toHaveBeenCalledWith({
+      templateType: 'mou',
+      label: 'MOU',
+      description: undefined,
+      actorId: 1
+    });
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({ action: 'AGREEMENT_TEMPLATE_CREATED', entityId: 4 }));
+  });
+
+  it('returns 409 for a duplicate template type', async () => {
+    agreementTemplateService.createTemplate.mockRejectedValue(new Error('TEMPLATE_TYPE_TAKEN'));
+    const res = createRes();
+
+    await agreementTemplateController.createTemplate({ user, body: { template_type: 'NDA', label: 'NDA' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  it('returns validation details for invalid version content', async () => {
+    const error = new Error('INVALID_TEMPLATE');
+    error.details = ['sections must be a non-empty list'];
+    agreementTemplateService.createDraftVersion.mockRejectedValue(error);
+    const res = createRes();
+
+    await agreementTemplateController.createVersion({
+      user,
+      params: { templateId: '4' },
+      body: { sections: [] }
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      error: 'Invalid template content',
+      details: ['sections must be a non-empty list']
+    });
+  });
+
+  it('publishes a draft version', async () => {
+    agreementTemplateService.publishVersion.mockResolvedValue(version({ status: 'published', content_hash: 'a'.repeat(64) }));
+    const res = createRes();
+
+    await agreementTemplateController.publishVersion({ user, params: { templateId: '4', versionId: 'MOU:v1' } }, res);
+
+    expect(agreementTemplateService.publishVersion).toHaveBeenCalledWith(4, 'MOU:v1', { actorId: 1 });
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      version: expect.objectContaining({ status: 'published' })
+    }));
+  });
+
+  it('returns 409 when publishing a version that is not a draft', async () => {
+    agreementTemplateService.publishVersion.mockRejectedValue(new Error('VERSION_NOT_DRAFT'));
+    const res = createRes();
+
+    await agreementTemplateController.publishVersion({ user, params: { templateId: '4', versionId: 'MOU:v1' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  it('returns 400 when preview variables are missing', async () => {
+    agreementTemplateService.previewVersion.mockRejectedValue(new Error('Missing required template variables: party_a'));
+    const res = createRes();
+
+    await agreementTemplateController.previewVersion({
+      user,
+      params: { templateId: '4', versionId: 'MOU:v1' },
+      body: { variables: {} }
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Missing required template variables: party_a' });
+  });
+});
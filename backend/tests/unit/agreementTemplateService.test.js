@@ -0,0 +1,265 @@
+jest.mock('../../src/database/models', () => ({
+  AgreementTemplate: {
+    findOne: jest.fn(),
+    findByPk: jest.fn(),
+    findAll: jest.fn(),
+    create: jest.fn()
+  },
+  AgreementTemplateVersion: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    count: jest.fn(),
+    create: jest.fn()
+  },
+  Contract: {
+    findAll: jest.fn()
+  },
+  sequelize: {
+    transaction: jest.fn(),
+    fn: jest.fn(),
+    col: jest.fn()
+  }
+}));
+
+const { AgreementTemplate, AgreementTemplateVersion, sequelize } = require('../../src/database/models');
+const agreementTemplateService = require('../../src/services/agreementTemplateService');
+
+const sowSchema = [
+  { key: 'project_title', label: 'Project title', type: 'string' },
+  { key: 'budget', label: 'Budget', type: 'number', min: 0 },
+  { key: 'start_date', label: 'Start date', type: 'date' },
+  { key: 'payment_terms', label: 'Payment terms', type: 'enum', options: ['milestone', 'monthly'] },
+  { key: 'includes_data', label: 'Includes data sharing', type: 'boolean', required: false, default: false },
+  {
+    key: 'deliverables',
+    label: 'Deliverables',
+    type: 'list',
+    min_items: 1,
+    item_schema: [
+      { key: 'name', type: 'string' },
+      { key: 'due_date', type: 'date' }
+    ]
+  }
+];
+
+const sowSections = [
+  { key: 'header', body: 'STATEMENT OF WORK\nProject: {{project_title}}' },
+  { key: 'budget', heading: 'Budget', body: '${{budget}} paid {{payment_terms}}, starting {{start_date}}.' },
+  { key: 'deliverables', heading: 'Deliverables', repeat: 'deliverables', body: '{{index}}. {{item.name}} (due {{item.due_date}})' },
+  { key: 'data', heading: 'Data Sharing', condition: { variable: 'includes_data', equals: true }, body: 'Data shared under a separate DUA.' }
+];
+
+const sowVersion = {
+  id: 'SOW:v2',
+  title: 'Statement of Work',
+  variable_schema: sowSchema,
+  sections: sowSections
+};
+
+const validVariables = {
+  project_title: 'Housing Study',
+  budget: '2500',
+  start_date: '2026-11-01',
+  payment_terms: 'milestone',
+  deliverables: [
+    { name: 'Interim report', due_date: '2026-12-01' },
+    { name: 'Final report', due_date: '2027-02-01' }
+  ]
+};
+
+const buildVersion = (overrides = {}) => ({
+  id: 'SOW:v2',
+  template_id: 3,
+  version_number: 2,
+  status: 'draft',
+  ...sowVersion,
+  isDraft() {
+    return this.status === 'draft';
+  },
+  isPublished() {
+    return this.status === 'published';
+  },
+  update: jest.fn(function update(values) {
+    Object.assign(this, values);
+    return Promise.resolve(this);
+  }),
+  ...overrides
+});
+
+describe('agreementTemplateService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sequelize.transaction.mockImplementation(async (callback) => callback({ LOCK: { UPDATE: 'UPDATE' } }));
+  });
+
+  describe('validateTemplateContent', () => {
+    it('accepts a schema with conditional and repeated sections', () => {
+      expect(() => agreementTemplateService.validateTemplateContent(sowVersion)).not.toThrow();
+    });
+
+    it('reports every problem at once', () => {
+      let thrown;
+      try {
+        agreementTemplateService.validateTemplateContent({
+          title: 'Broken',
+          variable_schema: [
+            { key: 'choice', type: 'enum', options: [] },
+            { key: 'items', type: 'list' }
+          ],
+          sections: [
+            { key: 'one', body: 'Hello {{missing}} and {{item.name}}' },
+            { key: 'two', repeat: 'choice', body: 'x' },
+            { key: 'three', condition: { variable: 'nope' }, body: 'y' }
+          ]
+        });
+      } catch (error) {
+        thrown = error;
+      }
+
+      expect(agreementTemplateService.isTemplateValidationError(thrown)).toBe(true);
+      expect(thrown.details).toEqual(expect.arrayContaining([
+        'variable_schema[0].options must be a non-empty list of values',
+        'variable_schema[1].item_schema must list the fields of each item',
+        'sections[0].body uses undeclared variable {{missing}}',
+        'sections[0].body uses {{item.name}} outside a repeated section',
+        'sections[1].repeat must name a list variable',
+        'sections[2].condition.variable must name a declared variable'
+      ]));
+    });
+  });
+
+  describe('validateTemplateVariables', () => {
+    it('normalizes values by type and applies defaults', () => {
+      const normalized = agreementTemplateService.validateTemplateVariables(sowSchema, {
+        ...validVariables,
+        unexpected: 'dropped'
+      });
+
+      expect(normalized).toEqual({
+        project_title: 'Housing Study',
+        budget: 2500,
+        start_date: '2026-11-01',
+        payment_terms: 'milestone',
+        includes_data: false,
+        deliverables: validVariables.deliverables
+      });
+    });
+
+    it('lists missing required variables, including list item fields', () => {
+      expect(() => agreementTemplateService.validateTemplateVariables(sowSchema, {
+        ...validVariables,
+        project_title: ' ',
+        deliverables: [{ name: 'Report' }]
+      })).toThrow('Missing required template variables: project_title, deliverables[0].due_date');
+    });
+
+    it('rejects values of the wrong type', () => {
+      expect(() => agreementTemplateService.validateTemplateVariables(sowSchema, {
+        ...validVariables,
+        budget: '-5',
+        start_date: 'next week',
+        payment_terms: 'weekly'
+      })).toThrow('Invalid template variables: budget must be at least 0; start_date must be a date (YYYY-MM-DD); payment_terms must be one of milestone, monthly');
+    });
+  });
+
+  describe('renderTemplateVersion', () => {
+    it('renders repeated sections per item and skips unmet conditions', () => {
+      const { renderedContent } = agreementTemplateService.renderTemplateVersion(sowVersion, validVariables);
+
+      expect(renderedContent).toBe([
+        'STATEMENT OF WORK\nProject: Housing Study',
+        'Budget\n$2500 paid milestone, starting 2026-11-01.',
+        'Deliverables\n1. Interim report (due 2026-12-01)\n2. Final report (due 2027-02-01)'
+      ].join('\n\n'));
+    });
+
+    it('includes conditional sections when their condition holds', () => {
+      const { renderedContent } = agreementTemplateService.renderTemplateVersion(sowVersion, {
+        ...validVariables,
+        includes_data: 'true'
+      });
+
+      expect(renderedContent).toContain('Data Sharing\nData shared under a separate DUA.');
+    });
+  });
+
+  describe('resolvePublishedVersion', () => {
+    it('uses the latest published version by default', async () => {
+      AgreementTemplate.findOne.mockResolvedValue({ id: 3, template_type: 'SOW' });
+      AgreementTemplateVersion.findOne.mockResolvedValue(buildVersion({ status: 'published' }));
+
+      const { version } = await agreementTemplateService.resolvePublishedVersion('SOW');
+
+      expect(version.id).toBe('SOW:v2');
+      expect(AgreementTemplateVersion.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { template_id: 3, status: 'published' },
+        order: [['version_number', 'DESC']]
+      }));
+    });
+
+    it('only accepts a requested version that is published for the same template', async () => {
+      AgreementTemplate.findOne.mockResolvedValue({ id: 3, template_type: 'SOW' });
+      AgreementTemplateVersion.findOne.mockResolvedValue(null);
+
+      await expect(agreementTemplateService.resolvePublishedVersion('SOW', { versionId: 'NDA:v1' }))
+        .rejects.toThrow('Template version is not available for this template type');
+      expect(AgreementTemplateVersion.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'NDA:v1', template_id: 3, status: 'published' }
+      }));
+    });
+
+    it('rejects unknown or inactive template types', async () => {
+      AgreementTemplate.findOne.mockResolvedValue(null);
+
+      await expect(agreementTemplateService.resolvePublishedVersion('MOU')).rejects.toThrow('Unsupported template type');
+    });
+  });
+
+  describe('version lifecycle', () => {
+    it('creates the next draft number from a copy of the latest version', async () => {
+      AgreementTemplate.findByPk.mockResolvedValue({ id: 3, template_type: 'SOW', label: 'Statement of Work' });
+      AgreementTemplateVersion.findOne.mockResolvedValue(buildVersion({ status: 'published' }));
+      AgreementTemplateVersion.create.mockImplementation(async (values) => values);
+
+      const draft = await agreementTemplateService.createDraftVersion(3, { notes: 'Clarify payment', actorId: 1 });
+
+      expect(draft).toEqual(expect.objectContaining({
+        id: 'SOW:v3',
+        version_number: 3,
+        status: 'draft',
+        title: 'Statement of Work',
+        sections: sowSections,
+        notes: 'Clarify payment',
+        created_by: 1
+      }));
+    });
+
+    it('publishes drafts with a content hash', async () => {
+      const version = buildVersion();
+      AgreementTemplateVersion.findOne.mockResolvedValue(version);
+
+      await agreementTemplateService.publishVersion(3, 'SOW:v2', { actorId: 1 });
+
+      expect(version.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'published',
+        published_by: 1,
+        content_hash: agreementTemplateService.computeContentHash(sowVersion)
+      }));
+    });
+
+    it('refuses to edit published versions', async () => {
+      AgreementTemplateVersion.findOne.mockResolvedValue(buildVersion({ status: 'published' }));
+
+      await expect(agreementTemplateService.updateDraftVersion(3, 'SOW:v2', { title: 'Changed' }))
+        .rejects.toThrow('VERSION_NOT_DRAFT');
+    });
+
+    it('refuses to delete templates with published versions', async () => {
+      AgreementTemplate.findByPk.mockResolvedValue({ id: 3, destroy: jest.fn() });
+      AgreementTemplateVersion.count.mockResolvedValue(1);
+
+      await expect(agreementTemplateService.deleteTemplate(3)).rejects.toThrow('TEMPLATE_HAS_PUBLISHED_VERSIONS');
+    });
+  });
+});
@@ -15,7 +15,12 @@ jest.mock('../../src/database/models', () => ({
   }
 }));
 
+jest.mock('../../src/services/sessionService', () => ({
+  isSessionActive: jest.fn()
+}));
+
 const jwt = require('jsonwebtoken');
+const sessionService = require('../../src/services/sessionService');
 const { authenticate, requireAdmin, requireNonprofit, requireResearcher } = require('../../src/middleware/auth');
 const { User } = require('../../src/database/models');
 
@@ -187,6 +192,34 @@ describe('Authentication Middleware', () => {
       expect(next).not.toHaveBeenCalled();
     });
 
+    it('should attach the session id from a session-bound token', async () => {
+      req.headers.authorization = 'Bearer valid-token';
+
+      jwt.verify.mockReturnValue({ userId: 1, sid: 'session-1' });
+      User.findByPk.mockResolvedValue({ id: 1, account_status: 'active' });
+      sessionService.isSessionActive.mockResolvedValue(true);
+
+      await authenticate(req, res, next);
+
+      expect(sessionService.isSessionActive).toHaveBeenCalledWith('session-1', 1);
+      expect(req.sessionId).toBe('session-1');
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should return 401 if the token\'s session was revoked', async () => {
+      req.headers.authorization = 'Bearer valid-token';
+
+      jwt.verify.mockReturnValue({ userId: 1, sid: 'session-1' });
+      User.findByPk.mockResolvedValue({ id: 1, account_status: 'active' });
+      sessionService.isSessionActive.mockResolvedValue(false);
+
+      await authenticate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Session has been revoked' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
     it('should handle unexpected errors gracefully', async () => {
       req.headers.authorization = 'Bearer valid-token';
 
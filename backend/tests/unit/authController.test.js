@@ -45,6 +45,37 @@ jest.mock('../../src/services/notificationService', () => ({
   createNotification: jest.fn(),
 }));
 
+jest.mock('../../src/services/twoFactorService', () => ({
+  getLoginMethods: jest.fn(),
+  verifyTotpCode: jest.fn(),
+  consumeRecoveryCode: jest.fn(),
+  countRemainingRecoveryCodes: jest.fn(),
+  isLoginLocked: jest.fn(),
+  recordFailedLoginAttempt: jest.fn(),
+  clearFailedLoginAttempts: jest.fn(),
+  beginTotpEnrollment: jest.fn(),
+  confirmTotpEnrollment: jest.fn(),
+  replaceRecoveryCodes: jest.fn(),
+  removeTotpFactors: jest.fn()
+}));
+
+jest.mock('../../src/utils/auditLogger', () => ({
+  logAudit: jest.fn().mockResolvedValue(undefined),
+  AUDIT_ACTIONS: {
+    TWO_FACTOR_TOTP_ENROLLED: 'TWO_FACTOR_TOTP_ENROLLED',
+    TWO_FACTOR_RECOVERY_CODE_USED: 'TWO_FACTOR_RECOVERY_CODE_USED',
+    TWO_FACTOR_RECOVERY_CODES_REGENERATED: 'TWO_FACTOR_RECOVERY_CODES_REGENERATED',
+    TWO_FACTOR_DISABLED: 'TWO_FACTOR_DISABLED'
+  }
+}));
+
+jest.mock('../../src/services/sessionService', () => ({
+  createSession: jest.fn(),
+  rotateRefreshToken: jest.fn(),
+  revokeRefreshToken: jest.fn(),
+  revokeAllUserSessions: jest.fn()
+}));
+
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const authController = require('../../src/controllers/authController');
@@ -53,6 +84,9 @@ const { EmailVerification, PasswordReset, User } = require('../../src/database/m
 const TwoFactorCode = require('../../src/database/models/TwoFactorCode');
 const emailService = require('../../src/services/emailService');
 const notificationService = require('../../src/services/notificationService');
+const sessionService = require('../../src/services/sessionService');
+const twoFactorService = require('../../src/services/twoFactorService');
+const { logAudit } = require('../../src/utils/auditLogger');
 
 describe('Authentication Controller', () => {
   let req;
@@ -136,6 +170,66 @@ describe('Authentication Controller', () => {
         error: 'organizationData is required for nonprofit role'
       }));
     });
+
+    it('signs invited nonprofits up without a new organization', async () => {
+      req.body = {
+        name: 'Invited Manager',
+        email: 'invitee@example.org',
+        password: 'Strong1!',
+        role: 'nonprofit',
+        invitation_token: 'invite-token'
+      };
+
+      authModel.findUserByEmail.mockResolvedValue(false);
+      bcrypt.hash.mockResolvedValue('hashed_password');
+      authModel.createUser.mockResolvedValueOnce({
+        id: 13,
+        name: 'Invited Manager',
+        email: 'invitee@example.org',
+        role: 'nonprofit',
+        org_id: 9
+      });
+      jwt.sign.mockReturnValue('verify-token');
+      EmailVerification.create.mockResolvedValue({});
+      emailService.sendVerificationEmail.mockResolvedValue({});
+
+      await authController.register(req, res);
+
+      expect(authModel.createUser).toHaveBeenCalledWith(
+        'Invited Manager',
+        'invitee@example.org',
+        'hashed_password',
+        'nonprofit',
+        undefined,
+        undefined,
+        undefined,
+        { invitationToken: 'invite-token' }
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('reports invitations that cannot be used for signup', async () => {
+      req.body = {
+        name: 'Invited Manager',
+        email: 'invitee@example.org',
+        password: 'Strong1!',
+        role: 'nonprofit',
+        invitation_token: 'invite-token'
+      };
+
+      authModel.findUserByEmail.mockResolvedValue(false);
+      bcrypt.hash.mockResolvedValue('hashed_password');
+      authModel.createUser.mockRejectedValueOnce(new Error('INVITATION_EXPIRED'));
+
+      await authController.register(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(410);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Invitation has expired' });
+
+      req.body = { ...req.body, role: 'researcher' };
+      await authController.register(req, res);
+      expect(res.status).toHaveBeenLastCalledWith(400);
+    });
   });
 
   describe('login', () => {
@@ -201,12 +295,19 @@ describe('Authentication Controller', () => {
       bcrypt.compare.mockResolvedValue(true);
       EmailVerification.findByUserId.mockResolvedValue(null);
       jwt.sign.mockReturnValue('jwt-token');
+      sessionService.createSession.mockResolvedValue({ session: { id: 'session-1' }, refreshToken: 'refresh-1' });
 
       await authController.login(req, res);
 
-      expect(jwt.sign).toHaveBeenCalled();
+      expect(sessionService.createSession).toHaveBeenCalledWith({ userId: 1, req });
+      expect(jwt.sign).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: 1, sid: 'session-1' }),
+        'test-secret',
+        expect.objectContaining({ expiresIn: '15m' })
+      );
       expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
         token: 'jwt-token',
+        refreshToken: 'refresh-1',
         user: expect.objectContaining({
           id: 1,
           role: 'nonprofit',
@@ -216,6 +317,175 @@ describe('Authentication Controller', () => {
     });
   });
 
+  describe('two-factor login', () => {
+    const mfaUser = {
+      id: 1,
+      name: 'John',
+      email: 'john@example.com',
+      role: 'researcher',
+      mfa_enabled: true,
+      password_hash: 'hash'
+    };
+
+    beforeEach(() => {
+      req.headers = { authorization: 'Bearer temp-token' };
+      jwt.verify.mockReturnValue({ userId: 1, pending2fa: true });
+      jwt.sign.mockReturnValue('jwt-token');
+      sessionService.createSession.mockResolvedValue({ session: { id: 'session-1' }, refreshToken: 'refresh-1' });
+      User.findByPk.mockResolvedValue(mfaUser);
+    });
+
+    it('offers authenticator, email and recovery factors without emailing a code', async () => {
+      req.body = { email: 'john@example.com', password: 'Strong1!' };
+      authModel.getUserByEmail.mockResolvedValue(mfaUser);
+      bcrypt.compare.mockResolvedValue(true);
+      EmailVerification.findByUserId.mockResolvedValue(null);
+      twoFactorService.getLoginMethods.mockResolvedValue(['totp', 'email', 'recovery_code']);
+
+      await authController.login(req, res);
+
+      expect(TwoFactorCode.create).not.toHaveBeenCalled();
+      expect(emailService.sendTwoFactorCodeEmail).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({
+        requires2FA: true,
+        tempToken: 'jwt-token',
+        methods: ['totp', 'email', 'recovery_code']
+      });
+    });
+
+    it('still emails a code to users without an authenticator app', async () => {
+      req.body = { email: 'john@example.com', password: 'Strong1!' };
+      authModel.getUserByEmail.mockResolvedValue(mfaUser);
+      bcrypt.compare.mockResolvedValue(true);
+      EmailVerification.findByUserId.mockResolvedValue(null);
+      twoFactorService.getLoginMethods.mockResolvedValue(['email']);
+      bcrypt.hash.mockResolvedValue('code-hash');
+
+      await authController.login(req, res);
+
+      expect(TwoFactorCode.create).toHaveBeenCalledWith(expect.objectContaining({ purpose: 'login' }));
+      expect(emailService.sendTwoFactorCodeEmail).toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ methods: ['email'] }));
+    });
+
+    it('verifies an authenticator code by default when TOTP is enrolled', async () => {
+      req.body = { code: '123456' };
+      twoFactorService.getLoginMethods.mockResolvedValue(['totp', 'email', 'recovery_code']);
+      twoFactorService.verifyTotpCode.mockResolvedValue(true);
+
+      await authController.verifyLogin2FACode(req, res);
+
+      expect(twoFactorService.verifyTotpCode).toHaveBeenCalledWith(1, '123456');
+      expect(TwoFactorCode.findOne).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ token: 'jwt-token', refreshToken: 'refresh-1' }));
+    });
+
+    it('rejects an invalid authenticator code', async () => {
+      req.body = { code: '000000', method: 'totp' };
+      twoFactorService.getLoginMethods.mockResolvedValue(['totp', 'email', 'recovery_code']);
+      twoFactorService.verifyTotpCode.mockResolvedValue(false);
+
+      await authController.verifyLogin2FACode(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(twoFactorService.recordFailedLoginAttempt).toHaveBeenCalledWith(1);
+      expect(sessionService.createSession).not.toHaveBeenCalled();
+    });
+
+    it('stops checking authenticator and recovery codes once the user is locked out', async () => {
+      twoFactorService.getLoginMethods.mockResolvedValue(['totp', 'email', 'recovery_code']);
+      twoFactorService.isLoginLocked.mockResolvedValueOnce(true).mockResolvedValueOnce(true);
+
+      for (const method of ['totp', 'recovery_code']) {
+        req.body = { code: '123456', method };
+        await authController.verifyLogin2FACode(req, res);
+        expect(res.status).toHaveBeenLastCalledWith(429);
+      }
+
+      expect(twoFactorService.isLoginLocked).toHaveBeenCalledWith(1);
+      expect(twoFactorService.verifyTotpCode).not.toHaveBeenCalled();
+      expect(twoFactorService.consumeRecoveryCode).not.toHaveBeenCalled();
+      expect(sessionService.createSession).not.toHaveBeenCalled();
+    });
+
+    it('counts a wrong recovery code and clears the count after a valid one', async () => {
+      twoFactorService.getLoginMethods.mockResolvedValue(['totp', 'email', 'recovery_code']);
+      twoFactorService.consumeRecoveryCode.mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+
+      req.body = { code: 'wrong-code', method: 'recovery_code' };
+      await authController.verifyLogin2FACode(req, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(twoFactorService.recordFailedLoginAttempt).toHaveBeenCalledWith(1);
+
+      req.body = { code: 'abcde-fghjk', method: 'recovery_code' };
+      await authController.verifyLogin2FACode(req, res);
+      expect(twoFactorService.clearFailedLoginAttempts).toHaveBeenCalledWith(1);
+      expect(res.json).toHaveBeenLastCalledWith(expect.objectContaining({ token: 'jwt-token' }));
+    });
+
+    it('accepts a recovery code once and audits its use', async () => {
+      req.body = { code: 'abcde-fghjk', method: 'recovery_code' };
+      twoFactorService.getLoginMethods.mockResolvedValue(['totp', 'email', 'recovery_code']);
+      twoFactorService.consumeRecoveryCode.mockResolvedValue(true);
+      twoFactorService.countRemainingRecoveryCodes.mockResolvedValue(9);
+
+      await authController.verifyLogin2FACode(req, res);
+
+      expect(twoFactorService.consumeRecoveryCode).toHaveBeenCalledWith(1, 'abcde-fghjk');
+      expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'TWO_FACTOR_RECOVERY_CODE_USED',
+        metadata: { remaining: 9 }
+      }));
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ token: 'jwt-token' }));
+    });
+
+    it('rejects factors the user has not enrolled', async () => {
+      req.body = { code: '123456', method: 'totp' };
+      twoFactorService.getLoginMethods.mockResolvedValue(['email']);
+
+      await authController.verifyLogin2FACode(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Unsupported 2FA method.' });
+    });
+  });
+
+  describe('authenticator enrolment', () => {
+    beforeEach(() => {
+      req.user = { id: 1 };
+    });
+
+    it('returns a provisioning URI for the authenticator app', async () => {
+      User.findByPk.mockResolvedValue({ id: 1, email: 'john@example.com' });
+      twoFactorService.beginTotpEnrollment.mockResolvedValue({ secret: 'SECRET', otpauthUrl: 'otpauth://totp/x' });
+
+      await authController.setupTotp(req, res);
+
+      expect(res.json).toHaveBeenCalledWith({ secret: 'SECRET', otpauthUrl: 'otpauth://totp/x' });
+    });
+
+    it('enables TOTP, returns recovery codes and audits the enrolment', async () => {
+      req.body = { code: '123456' };
+      twoFactorService.confirmTotpEnrollment.mockResolvedValue({ recoveryCodes: ['aaaaa-bbbbb'] });
+
+      await authController.verifyTotpSetup(req, res);
+
+      expect(twoFactorService.confirmTotpEnrollment).toHaveBeenCalledWith(1, '123456');
+      expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({ action: 'TWO_FACTOR_TOTP_ENROLLED', entityId: 1 }));
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ recoveryCodes: ['aaaaa-bbbbb'] }));
+    });
+
+    it('returns 400 when the setup code is wrong', async () => {
+      req.body = { code: '000000' };
+      twoFactorService.confirmTotpEnrollment.mockRejectedValue(new Error('INVALID_CODE'));
+
+      await authController.verifyTotpSetup(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(logAudit).not.toHaveBeenCalled();
+    });
+  });
+
   describe('requestPasswordReset', () => {
     it('responds generically when user email does not exist', async () => {
       req.body = { email: 'none@example.com' };
@@ -383,7 +653,59 @@ describe('Authentication Controller', () => {
       expect(bcrypt.hash).toHaveBeenCalledWith('Strong1!', 10);
       expect(save).toHaveBeenCalled();
       expect(destroy).toHaveBeenCalled();
+      expect(sessionService.revokeAllUserSessions).toHaveBeenCalledWith(1, { reason: 'password_reset' });
       expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
     });
   });
+
+  describe('refresh', () => {
+    it('requires a refresh token', async () => {
+      await authController.refresh(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(sessionService.rotateRefreshToken).not.toHaveBeenCalled();
+    });
+
+    it('returns a new access token and rotated refresh token', async () => {
+      req.body = { refreshToken: 'refresh-1' };
+      sessionService.rotateRefreshToken.mockResolvedValue({
+        session: { id: 'session-1' },
+        user: { id: 1, role: 'researcher', email: 'john@example.com', mfa_enabled: false },
+        refreshToken: 'refresh-2'
+      });
+      jwt.sign.mockReturnValue('jwt-token');
+
+      await authController.refresh(req, res);
+
+      expect(sessionService.rotateRefreshToken).toHaveBeenCalledWith({ refreshToken: 'refresh-1', req });
+      expect(jwt.sign).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: 1, sid: 'session-1' }),
+        'test-secret',
+        expect.any(Object)
+      );
+      expect(res.json).toHaveBeenCalledWith({ token: 'jwt-token', refreshToken: 'refresh-2' });
+    });
+
+    it('returns 401 with a code when a refresh token is reused', async () => {
+      req.body = { refreshToken: 'refresh-1' };
+      sessionService.rotateRefreshToken.mockRejectedValue(new Error('REFRESH_TOKEN_REUSED'));
+
+      await authController.refresh(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'REFRESH_TOKEN_REUSED' }));
+    });
+  });
+
+  describe('logout', () => {
+    it('revokes the session behind the refresh token', async () => {
+      req.body = { refreshToken: 'refresh-1' };
+      sessionService.revokeRefreshToken.mockResolvedValue(true);
+
+      await authController.logout(req, res);
+
+      expect(sessionService.revokeRefreshToken).toHaveBeenCalledWith('refresh-1');
+      expect(res.json).toHaveBeenCalledWith({ success: true });
+    });
+  });
 });
@@ -1,19 +1,51 @@
+jest.mock('../../src/database', () => ({
+  transaction: jest.fn(),
+  where: jest.fn((left, right) => ({ left, right })),
+  fn: jest.fn((name, arg) => ({ fn: name, arg })),
+  col: jest.fn((name) => ({ col: name }))
+}));
+
 jest.mock('../../src/database/models', () => ({
+  OrganizationMember: {
+    create: jest.fn(),
+    findOne: jest.fn()
+  },
+  OrganizationInvitation: {
+    create: jest.fn(),
+    findOne: jest.fn(),
+    update: jest.fn()
+  },
   User: {
     sequelize: {
       transaction: jest.fn()
     },
-    create: jest.fn()
+    create: jest.fn(),
+    findOne: jest.fn(),
+    update: jest.fn()
   },
   Organization: {
-    create: jest.fn()
+    create: jest.fn(),
+    findByPk: jest.fn()
   },
   ResearcherProfile: {
     create: jest.fn()
   }
 }));
 
-const { User, Organization, ResearcherProfile } = require('../../src/database/models');
+jest.mock('../../src/services/emailService', () => ({
+  sendOrganizationInvitationEmail: jest.fn()
+}));
+
+const sequelize = require('../../src/database');
+const {
+  User,
+  Organization,
+  OrganizationMember,
+  OrganizationInvitation,
+  ResearcherProfile
+} = require('../../src/database/models');
+const emailService = require('../../src/services/emailService');
+const organizationMemberService = require('../../src/services/organizationMemberService');
 const authModel = require('../../src/models/authModel');
 
 describe('authModel.createUser', () => {
@@ -66,6 +98,182 @@ describe('authModel.createUser', () => {
     expect(result.org_id).toBe(44);
   });
 
+  it('makes a new nonprofit the owner of its organization so it can create projects', async () => {
+    const transaction = {
+      commit: jest.fn(),
+      rollback: jest.fn()
+    };
+    const memberships = [];
+
+    User.sequelize.transaction.mockResolvedValue(transaction);
+    User.create.mockResolvedValue({
+      id: 12,
+      name: 'New Nonprofit',
+      email: 'new@example.org',
+      role: 'nonprofit',
+      org_id: null,
+      created_at: new Date('2026-01-01'),
+      save: jest.fn().mockResolvedValue(undefined)
+    });
+    Organization.create.mockResolvedValue({ id: 45 });
+    OrganizationMember.create.mockImplementation(async (values) => {
+      memberships.push(values);
+      return values;
+    });
+    OrganizationMember.findOne.mockImplementation(async ({ where }) => (
+      memberships.find((membership) => membership.user_id === where.user_id) || null
+    ));
+
+    const result = await authModel.createUser(
+      'New Nonprofit',
+      'new@example.org',
+      'hashed',
+      'nonprofit',
+      false,
+      { name: 'Food Bank' },
+      null
+    );
+
+    expect(OrganizationMember.create).toHaveBeenCalledWith(expect.objectContaining({
+      org_id: 45,
+      user_id: 12,
+      role: 'owner'
+    }), { transaction });
+    await expect(organizationMemberService.canInOrganization(
+      { id: result.id, role: result.role },
+      result.org_id,
+      'projects:create'
+    )).resolves.toBe(true);
+  });
+
+  it('signs an invited nonprofit up into the inviting organization', async () => {
+    const transaction = {
+      commit: jest.fn(),
+      rollback: jest.fn()
+    };
+    const invitations = [];
+    const memberships = [{ org_id: 9, user_id: 7, role: 'owner' }];
+
+    sequelize.transaction.mockImplementation(async (callback) => callback(transaction));
+    User.sequelize.transaction.mockResolvedValue(transaction);
+    Organization.findByPk.mockResolvedValue({ id: 9, name: 'Food Bank' });
+    User.findOne.mockResolvedValue(null);
+    OrganizationInvitation.update.mockImplementation(async (values, { where }) => {
+      const matches = invitations.filter((invitation) => (
+        (!where.id || invitation.id === where.id) && !invitation.accepted_at && !invitation.revoked_at
+      ));
+      matches.forEach((invitation) => Object.assign(invitation, values));
+      return [matches.length];
+    });
+    OrganizationInvitation.create.mockImplementation(async (values) => {
+      const invitation = {
+        id: invitations.length + 1,
+        accepted_at: null,
+        revoked_at: null,
+        ...values,
+        isExpired: () => false,
+        toSafeObject() {
+          const { token_hash, ...safe } = this;
+          return safe;
+        }
+      };
+      invitations.push(invitation);
+      return invitation;
+    });
+    OrganizationInvitation.findOne.mockImplementation(async ({ where }) => (
+      invitations.find((invitation) => invitation.token_hash === where.token_hash) || null
+    ));
+    OrganizationMember.create.mockImplementation(async (values) => {
+      memberships.push(values);
+      return values;
+    });
+    OrganizationMember.findOne.mockImplementation(async ({ where }) => (
+      memberships.find((membership) => membership.user_id === where.user_id) || null
+    ));
+    User.create.mockResolvedValue({
+      id: 13,
+      name: 'Invited Manager',
+      email: 'invitee@example.org',
+      role: 'nonprofit',
+      org_id: null,
+      created_at: new Date('2026-01-01'),
+      save: jest.fn().mockResolvedValue(undefined)
+    });
+
+    await organizationMemberService.inviteMember({
+      orgId: 9,
+      actor: { id: 7, name: 'Owner' },
+      actorRole: 'owner',
+      email: 'Invitee@example.org',
+      role: 'project_manager'
+    });
+    const { token } = emailService.sendOrganizationInvitationEmail.mock.calls[0][1];
+
+    const result = await authModel.createUser(
+      'Invited Manager',
+      'invitee@example.org',
+      'hashed',
+      'nonprofit',
+      false,
+      null,
+      null,
+      { invitationToken: token }
+    );
+
+    expect(Organization.create).not.toHaveBeenCalled();
+    expect(OrganizationMember.create).toHaveBeenCalledWith(expect.objectContaining({
+      org_id: 9,
+      user_id: 13,
+      role: 'project_manager',
+      invited_by: 7
+    }), { transaction });
+    expect(User.update).toHaveBeenCalledWith({ org_id: 9 }, { where: { id: 13 }, transaction });
+    expect(transaction.commit).toHaveBeenCalled();
+    expect(result.org_id).toBe(9);
+    expect(invitations[0].accepted_by).toBe(13);
+    await expect(organizationMemberService.canInOrganization(
+      { id: result.id, role: result.role },
+      result.org_id,
+      'projects:create'
+    )).resolves.toBe(true);
+
+    await expect(organizationMemberService.acceptInvitation({
+      token,
+      user: { id: 14, email: 'invitee@example.org', role: 'nonprofit', org_id: null }
+    })).rejects.toThrow('INVITATION_NOT_FOUND');
+  });
+
+  it('does not create the account when the invitation cannot be accepted', async () => {
+    const transaction = {
+      commit: jest.fn(),
+      rollback: jest.fn()
+    };
+
+    User.sequelize.transaction.mockResolvedValue(transaction);
+    User.create.mockResolvedValue({ id: 15, email: 'other@example.org', role: 'nonprofit' });
+    OrganizationInvitation.findOne.mockResolvedValueOnce({
+      org_id: 9,
+      email: 'invitee@example.org',
+      accepted_at: null,
+      revoked_at: null,
+      isExpired: () => false
+    });
+
+    await expect(authModel.createUser(
+      'Someone Else',
+      'other@example.org',
+      'hashed',
+      'nonprofit',
+      false,
+      null,
+      null,
+      { invitationToken: 'abc' }
+    )).rejects.toThrow('INVITATION_EMAIL_MISMATCH');
+    expect(transaction.rollback).toHaveBeenCalled();
+    expect(transaction.commit).not.toHaveBeenCalled();
+    expect(Organization.create).not.toHaveBeenCalled();
+  });
+
   it('creates researcher profile when researcherData is provided', async () => {
     const transaction = {
       commit: jest.fn(),
@@ -0,0 +1,280 @@
+jest.mock('../../src/database/models', () => ({
+  Contract: { findAll: jest.fn(), findOne: jest.fn() },
+  Invoice: {},
+  Milestone: { findOne: jest.fn() },
+  PaymentTranche: { findAll: jest.fn(), findOne: jest.fn(), create: jest.fn(), sum: jest.fn() },
+  Project: { findOne: jest.fn() },
+  User: {},
+  sequelize: { transaction: jest.fn() }
+}));
+
+jest.mock('../../src/services/organizationMemberService', () => ({
+  canInOrganization: jest.fn()
+}));
+
+jest.mock('../../src/services/milestoneAccessService', () => ({
+  canResearcherAccessMilestone: jest.fn()
+}));
+
+jest.mock('../../src/utils/auditLogger', () => ({
+  logAudit: jest.fn(),
+  AUDIT_ACTIONS: {
+    PAYMENT_TRANCHE_CREATED: 'PAYMENT_TRANCHE_CREATED',
+    PAYMENT_TRANCHE_UPDATED: 'PAYMENT_TRANCHE_UPDATED',
+    PAYMENT_TRANCHE_CANCELLED: 'PAYMENT_TRANCHE_CANCELLED'
+  }
+}));
+
+const { Op } = require('sequelize');
+const {
+  Contract,
+  Milestone,
+  PaymentTranche,
+  Project,
+  sequelize
+} = require('../../src/database/models');
+const { canInOrganization } = require('../../src/services/organizationMemberService');
+const { canResearcherAccessMilestone } = require('../../src/services/milestoneAccessService');
+const { logAudit } = require('../../src/utils/auditLogger');
+const budgetLedgerService = require('../../src/services/budgetLedgerService');
+
+const manager = { id: 7, role: 'nonprofit' };
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+const trancheInput = { contract_id: 31, milestone_id: 11, amount: 1500 };
+
+const buildVersion = (overrides = {}) => ({
+  id: 31,
+  researcher_user_id: 22,
+  committed_amount: '5000.00',
+  status: 'executed',
+  is_current_version: true,
+  ...overrides
+});
+
+const buildTranche = (overrides = {}) => ({
+  id: 4,
+  contract_id: 31,
+  amount: '1500.00',
+  status: 'planned',
+  update: jest.fn(async function update(values) {
+    Object.assign(this, values);
+  }),
+  ...overrides
+});
+
+describe('budgetLedgerService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Project.findOne.mockResolvedValue({ project_id: 5, title: 'Food Access Study', org_id: 9, start_date: null });
+    sequelize.transaction.mockImplementation(async (callback) => callback(transaction));
+    Contract.findOne.mockResolvedValue({ id: 31, root_contract_id: null });
+    Contract.findAll.mockResolvedValue([buildVersion()]);
+    Milestone.findOne.mockResolvedValue({ id: 11, status: 'in_progress' });
+    canInOrganization.mockResolvedValue(true);
+    canResearcherAccessMilestone.mockResolvedValue(true);
+    PaymentTranche.sum.mockResolvedValue(0);
+    PaymentTranche.create.mockImplementation(async (values) => ({ id: 4, ...values }));
+  });
+
+  it('validates tranche contracts, milestones and amounts', () => {
+    expect(budgetLedgerService.parseTrancheInput({ contract_id: '31', milestone_id: 11, amount: '1500.005' }))
+      .toEqual({ contract_id: 31, milestone_id: 11, amount: 1500.01 });
+    expect(budgetLedgerService.parseTrancheInput({ contract_id: 'x', amount: 5 }, { partial: true }))
+      .toEqual({ amount: 5 });
+
+    expect(() => budgetLedgerService.parseTrancheInput({ milestone_id: 11, amount: 5 }))
+      .toThrow('INVALID_TRANCHE_CONTRACT');
+    expect(() => budgetLedgerService.parseTrancheInput({ contract_id: 31, amount: 5 }))
+      .toThrow('INVALID_TRANCHE_MILESTONE');
+    expect(() => budgetLedgerService.parseTrancheInput({ amount: 0 }, { partial: true }))
+      .toThrow('INVALID_TRANCHE_AMOUNT');
+    expect(() => budgetLedgerService.parseTrancheInput({ amount: true }, { partial: true }))
+      .toThrow('INVALID_TRANCHE_AMOUNT');
+  });
+
+  describe('createTranche', () => {
+    it('ties part of an executed SOW to a milestone of its researcher', async () => {
+      await budgetLedgerService.createTranche({ user: manager, projectId: 5, input: trancheInput });
+
+      expect(canInOrganization).toHaveBeenCalledWith(manager, 9, 'budget:manage');
+      expect(Contract.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 31, project_id: 5, template_type: 'SOW' }
+      }));
+      expect(Contract.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ project_id: 5, template_type: 'SOW' }),
+        transaction,
+        lock: 'UPDATE'
+      }));
+      expect(canResearcherAccessMilestone).toHaveBeenCalledWith({ researcherId: 22, projectId: 5, milestoneId: 11 });
+      expect(PaymentTranche.create).toHaveBeenCalledWith({
+        project_id: 5,
+        contract_id: 31,
+        milestone_id: 11,
+        researcher_id: 22,
+        amount: 1500,
+        status: 'planned',
+        created_by: 7
+      }, { transaction });
+      expect(PaymentTranche.sum).toHaveBeenCalledWith('amount', {
+        where: { contract_id: { [Op.in]: [31] }, status: { [Op.ne]: 'cancelled' } },
+        transaction
+      });
+      expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({ action: 'PAYMENT_TRANCHE_CREATED', entityId: 5 }));
+    });
+
+    it('keeps tranches within the committed amount', async () => {
+      PaymentTranche.sum.mockResolvedValueOnce('3500.01');
+      await expect(budgetLedgerService.createTranche({ user: manager, projectId: 5, input: trancheInput }))
+        .rejects.toThrow('TRANCHES_EXCEED_COMMITMENT');
+
+      PaymentTranche.sum.mockResolvedValueOnce('3500.00');
+      await expect(budgetLedgerService.createTranche({ user: manager, projectId: 5, input: trancheInput }))
+        .resolves.toEqual(expect.objectContaining({ amount: 1500 }));
+    });
+
+    it('needs an executed SOW with an amount and a researcher on the milestone', async () => {
+      Contract.findOne.mockResolvedValueOnce(null);
+      await expect(budgetLedgerService.createTranche({ user: manager, projectId: 5, input: trancheInput }))
+        .rejects.toThrow('CONTRACT_NOT_COMMITTED');
+
+      Contract.findAll.mockResolvedValueOnce([buildVersion({ committed_amount: null })]);
+      await expect(budgetLedgerService.createTranche({ user: manager, projectId: 5, input: trancheInput }))
+        .rejects.toThrow('COMMITTED_AMOUNT_MISSING');
+
+      canResearcherAccessMilestone.mockResolvedValueOnce(false);
+      await expect(budgetLedgerService.createTranche({ user: manager, projectId: 5, input: trancheInput }))
+        .rejects.toThrow('TRANCHE_RESEARCHER_NOT_ON_MILESTONE');
+
+      canInOrganization.mockResolvedValueOnce(false);
+      await expect(budgetLedgerService.createTranche({ user: manager, projectId: 5, input: trancheInput }))
+        .rejects.toThrow('ORGANIZATION_ACCESS_DENIED');
+      expect(PaymentTranche.create).not.toHaveBeenCalled();
+    });
+
+    it('reports a second open tranche for the same milestone as a conflict', async () => {
+      const uniqueError = new Error('duplicate key');
+      uniqueError.name = 'SequelizeUniqueConstraintError';
+      PaymentTranche.create.mockRejectedValueOnce(uniqueError);
+
+      await expect(budgetLedgerService.createTranche({ user: manager, projectId: 5, input: trancheInput }))
+        .rejects.toThrow('TRANCHE_ALREADY_EXISTS');
+    });
+
+    it('counts tranches on every version of an amended SOW against the current commitment', async () => {
+      Contract.findOne.mockResolvedValue({ id: 31, root_contract_id: null });
+      Contract.findAll.mockResolvedValue([
+        buildVersion({ status: 'superseded', is_current_version: false }),
+        buildVersion({ id: 35, committed_amount: '3000.00' })
+      ]);
+      PaymentTranche.sum.mockResolvedValueOnce('2000.00');
+
+      await expect(budgetLedgerService.createTranche({ user: manager, projectId: 5, input: trancheInput }))
+        .rejects.toThrow('TRANCHES_EXCEED_COMMITMENT');
+      expect(PaymentTranche.sum).toHaveBeenCalledWith('amount', expect.objectContaining({
+        where: expect.objectContaining({ contract_id: { [Op.in]: [31, 35] } })
+      }));
+
+      PaymentTranche.findOne.mockResolvedValueOnce({ id: 4 });
+      await expect(budgetLedgerService.createTranche({ user: manager, projectId: 5, input: trancheInput }))
+        .rejects.toThrow('TRANCHE_ALREADY_EXISTS');
+
+      PaymentTranche.sum.mockResolvedValueOnce('1000.00');
+      await budgetLedgerService.createTranche({ user: manager, projectId: 5, input: trancheInput });
+      expect(PaymentTranche.create).toHaveBeenCalledWith(expect.objectContaining({ contract_id: 35 }), { transaction });
+
+      // A tranche planned under the first version can still be changed after the amendment
+      const tranche = buildTranche();
+      PaymentTranche.findOne.mockResolvedValueOnce(tranche);
+      PaymentTranche.sum.mockResolvedValueOnce('1500.00');
+      await budgetLedgerService.updateTranche({ user: manager, projectId: 5, trancheId: 4, input: { amount: 1500 } });
+      expect(tranche.update).toHaveBeenCalledWith({ amount: 1500 }, { transaction });
+    });
+  });
+
+  it('only changes or cancels tranches that have not been invoiced', async () => {
+    PaymentTranche.findOne.mockResolvedValueOnce(buildTranche({ status: 'invoiced' }));
+    await expect(budgetLedgerService.cancelTranche({ user: manager, projectId: 5, trancheId: 4 }))
+      .rejects.toThrow('TRANCHE_LOCKED');
+
+    const tranche = buildTranche();
+    PaymentTranche.findOne.mockResolvedValueOnce(tranche);
+    await budgetLedgerService.updateTranche({ user: manager, projectId: 5, trancheId: 4, input: { amount: 2000 } });
+    expect(PaymentTranche.findOne).toHaveBeenCalledWith(expect.objectContaining({ transaction, lock: 'UPDATE' }));
+    expect(PaymentTranche.sum).toHaveBeenCalledWith('amount', {
+      where: expect.objectContaining({ contract_id: { [Op.in]: [31] }, id: expect.anything() }),
+      transaction
+    });
+    expect(tranche.update).toHaveBeenCalledWith({ amount: 2000 }, { transaction });
+
+    PaymentTranche.findOne.mockResolvedValueOnce(tranche);
+    await budgetLedgerService.cancelTranche({ user: manager, projectId: 5, trancheId: 4 });
+    expect(tranche.status).toBe('cancelled');
+  });
+
+  it('adds up committed, allocated, invoiced and paid amounts', () => {
+    const totals = budgetLedgerService.summarizeLedger(
+      [{ committed_amount: 5000 }, { committed_amount: 2500.5 }],
+      [
+        { amount: '1000.10', status: 'paid', invoice: { amount: '1000.10', status: 'paid' } },
+        { amount: '2000.20', status: 'invoiced', invoice: { amount: '2000.20', status: 'unpaid' } },
+        { amount: '500.00', status: 'planned', invoice: null },
+        { amount: '900.00', status: 'cancelled', invoice: null }
+      ]
+    );
+
+    expect(totals).toEqual({
+      committed: 7500.5,
+      allocated: 3500.3,
+      unallocated: 4000.2,
+      invoiced: 3000.3,
+      paid: 1000.1,
+      unpaid: 2000.2,
+      remaining: 6500.4
+    });
+  });
+
+  it('builds a weekly burn-down of planned and paid amounts', () => {
+    const points = budgetLedgerService.buildBurnDown({
+      committed: 3000,
+      startDate: '2026-10-07',
+      today: '2026-10-14',
+      tranches: [
+        { amount: '1000.00', milestone: { due_date: '2026-10-10' }, invoice: { amount: '1000.00', status: 'paid', paid_at: new Date('2026-10-13T15:00:00Z') } },
+        { amount: '1500.00', milestone: { due_date: '2026-10-21' }, invoice: null },
+        { amount: '500.00', milestone: { due_date: null }, invoice: null }
+      ]
+    });
+
+    expect(points).toEqual([
+      { week_start: '2026-10-05', week_end: '2026-10-11', planned_remaining: 2000, actual_remaining: 3000 },
+      { week_start: '2026-10-12', week_end: '2026-10-18', planned_remaining: 2000, actual_remaining: 2000 },
+      { week_start: '2026-10-19', week_end: '2026-10-25', planned_remaining: 500, actual_remaining: null }
+    ]);
+  });
+
+  it('counts only current, executed SOWs as commitments', async () => {
+    Contract.findAll.mockResolvedValue([{
+      id: 31,
+      title: 'Survey SOW',
+      researcher_user_id: 22,
+      status: 'executed',
+      committed_amount: '5000.00',
+      nonprofit_signed_at: new Date('2026-10-01T10:00:00Z'),
+      researcher_signed_at: new Date('2026-10-02T10:00:00Z')
+    }]);
+
+    await expect(budgetLedgerService.getCommitments(5)).resolves.toEqual([{
+      contract_id: 31,
+      title: 'Survey SOW',
+      researcher_id: 22,
+      status: 'executed',
+      committed_amount: 5000,
+      executed_at: new Date('2026-10-02T10:00:00Z')
+    }]);
+    expect(Contract.findAll.mock.calls[0][0].where).toEqual(expect.objectContaining({
+      project_id: 5,
+      template_type: 'SOW',
+      is_current_version: true
+    }));
+  });
+});
@@ -0,0 +1,239 @@
+jest.mock('../../src/database/models', () => ({
+  BulkJob: {
+    count: jest.fn(),
+    create: jest.fn(),
+    findByPk: jest.fn(),
+    findOne: jest.fn(),
+    update: jest.fn(),
+    increment: jest.fn()
+  },
+  BulkJobItem: {
+    bulkCreate: jest.fn(),
+    findAll: jest.fn(),
+    update: jest.fn()
+  },
+  User: {
+    findByPk: jest.fn()
+  },
+  sequelize: {
+    transaction: jest.fn(),
+    query: jest.fn()
+  }
+}));
+
+const { BulkJob, BulkJobItem, User, sequelize } = require('../../src/database/models');
+const bulkJobService = require('../../src/services/bulkJobService');
+
+const buildJob = (overrides = {}) => ({
+  id: 'job-1',
+  entity_type: 'widget',
+  action: 'archive',
+  actor_id: 1,
+  params: { reason: 'cleanup' },
+  status: 'running',
+  requested_count: 3,
+  processed_count: 0,
+  skipped_count: 0,
+  failed_count: 0,
+  attempts: 1,
+  cancel_requested_at: null,
+  isFinished() {
+    return ['completed', 'failed', 'cancelled'].includes(this.status);
+  },
+  ...overrides
+});
+
+const buildItem = (targetId, position) => ({
+  target_id: targetId,
+  position,
+  status: 'pending',
+  update: jest.fn().mockResolvedValue(true)
+});
+
+describe('bulkJobService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.BULK_JOB_MAX_ACTIVE_PER_ADMIN;
+    BulkJob.update.mockResolvedValue([1]);
+    BulkJobItem.update.mockResolvedValue([0]);
+    sequelize.transaction.mockImplementation(async (callback) => callback('tx'));
+    sequelize.query.mockResolvedValue([]);
+  });
+
+  describe('executeBulkItems', () => {
+    it('groups processed, skipped and failed outcomes', async () => {
+      const result = await bulkJobService.executeBulkItems({
+        ids: [1, 2, 3, 4],
+        processItem: async (id) => {
+          if (id === 2) return { status: 'skipped', reason: 'Already done' };
+          if (id === 3) throw new Error('Boom');
+          if (id === 4) return { status: 'failed', error: 'Not found' };
+          return { status: 'processed', message: 'Done' };
+        }
+      });
+
+      expect(result).toEqual({
+        processed: [{ id: 1, message: 'Done' }],
+        skipped: [{ id: 2, reason: 'Already done' }],
+        failed: [{ id: 3, error: 'Boom' }, { id: 4, error: 'Not found' }]
+      });
+    });
+  });
+
+  describe('createBulkJob', () => {
+    it('rejects the job when the admin has reached the active job limit', async () => {
+      process.env.BULK_JOB_MAX_ACTIVE_PER_ADMIN = '2';
+      BulkJob.count.mockResolvedValue(2);
+
+      await expect(bulkJobService.createBulkJob({
+        entityType: 'widget', action: 'archive', actorId: 1, ids: [1, 2]
+      })).rejects.toThrow('BULK_JOB_LIMIT_REACHED');
+      expect(BulkJob.create).not.toHaveBeenCalled();
+    });
+
+    it('stores the job with one pending item per id in submission order', async () => {
+      BulkJob.count.mockResolvedValue(0);
+      BulkJob.create.mockResolvedValue(buildJob({ status: 'queued' }));
+      BulkJob.findOne.mockResolvedValue(null);
+
+      const job = await bulkJobService.createBulkJob({
+        entityType: 'widget', action: 'archive', actorId: 1, ids: [30, 10, 20], params: { reason: 'cleanup' }
+      });
+      await bulkJobService.kickBulkJobWorker();
+
+      expect(job.id).toBe('job-1');
+      expect(BulkJob.create).toHaveBeenCalledWith(expect.objectContaining({
+        entity_type: 'widget',
+        actor_id: 1,
+        params: { reason: 'cleanup' },
+        status: 'queued',
+        requested_count: 3
+      }), { transaction: 'tx' });
+      expect(BulkJobItem.bulkCreate).toHaveBeenCalledWith([
+        { job_id: 'job-1', position: 0, target_id: 30 },
+        { job_id: 'job-1', position: 1, target_id: 10 },
+        { job_id: 'job-1', position: 2, target_id: 20 }
+      ], { transaction: 'tx' });
+    });
+  });
+
+  describe('cancelBulkJob', () => {
+    it('cancels a queued job and its pending items immediately', async () => {
+      BulkJob.findByPk.mockResolvedValueOnce(buildJob({ status: 'queued' }));
+      BulkJob.findByPk.mockResolvedValueOnce(buildJob({ status: 'cancelled' }));
+      BulkJob.update.mockResolvedValueOnce([1]);
+
+      const job = await bulkJobService.cancelBulkJob('job-1');
+
+      expect(job.status).toBe('cancelled');
+      expect(BulkJobItem.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'cancelled' }),
+        { where: { job_id: 'job-1', status: 'pending' } }
+      );
+    });
+
+    it('only flags a running job so its worker stops before the next batch', async () => {
+      BulkJob.findByPk.mockResolvedValue(buildJob());
+      BulkJob.update.mockResolvedValueOnce([0]);
+
+      await bulkJobService.cancelBulkJob('job-1');
+
+      expect(BulkJob.update).toHaveBeenLastCalledWith(
+        { cancel_requested_at: expect.any(Date) },
+        { where: { id: 'job-1', status: 'running', cancel_requested_at: null } }
+      );
+      expect(BulkJobItem.update).not.toHaveBeenCalled();
+    });
+
+    it('refuses to cancel a finished job', async () => {
+      BulkJob.findByPk.mockResolvedValue(buildJob({ status: 'completed' }));
+
+      await expect(bulkJobService.cancelBulkJob('job-1')).rejects.toThrow('BULK_JOB_FINISHED');
+    });
+  });
+
+  describe('runBulkJob', () => {
+    const processItem = jest.fn();
+
+    beforeAll(() => {
+      bulkJobService.registerBulkJobHandler('widget', processItem);
+    });
+
+    beforeEach(() => {
+      User.findByPk.mockResolvedValue({ id: 1, role: 'admin' });
+    });
+
+    it('processes pending items and records each outcome', async () => {
+      const items = [buildItem(5, 0), buildItem(6, 1)];
+      BulkJob.findByPk.mockResolvedValue({ id: 'job-1', cancel_requested_at: null });
+      BulkJobItem.findAll.mockResolvedValueOnce(items).mockResolvedValueOnce([]);
+      processItem
+        .mockResolvedValueOnce({ status: 'processed', message: 'Archived' })
+        .mockResolvedValueOnce({ status: 'skipped', reason: 'Already archived' });
+
+      const outcome = await bulkJobService.runBulkJob(buildJob());
+
+      expect(outcome).toBe('completed');
+      expect(processItem).toHaveBeenCalledWith(
+        { actor: { id: 1, role: 'admin' }, action: 'archive', params: { reason: 'cleanup' }, batchId: 'job-1' },
+        5
+      );
+      expect(items[0].update).toHaveBeenCalledWith(expect.objectContaining({ status: 'processed', message: 'Archived' }));
+      expect(items[1].update).toHaveBeenCalledWith(expect.objectContaining({ status: 'skipped', message: 'Already archived' }));
+      expect(BulkJob.increment).toHaveBeenCalledWith('processed_count', { where: { id: 'job-1' } });
+      expect(BulkJob.increment).toHaveBeenCalledWith('skipped_count', { where: { id: 'job-1' } });
+      expect(BulkJob.update).toHaveBeenLastCalledWith(
+        expect.objectContaining({ status: 'completed' }),
+        { where: { id: 'job-1', locked_by: expect.any(String) } }
+      );
+    });
+
+    it('stops and cancels remaining items once cancellation is requested', async () => {
+      BulkJob.findByPk.mockResolvedValue({ id: 'job-1', cancel_requested_at: new Date() });
+
+      const outcome = await bulkJobService.runBulkJob(buildJob());
+
+      expect(outcome).toBe('cancelled');
+      expect(processItem).not.toHaveBeenCalled();
+      expect(BulkJobItem.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'cancelled' }),
+        { where: { job_id: 'job-1', status: 'pending' } }
+      );
+    });
+
+    it('releases the job back to the queue when the deadline has passed', async () => {
+      BulkJob.findByPk.mockResolvedValue({ id: 'job-1', cancel_requested_at: null });
+
+      const outcome = await bulkJobService.runBulkJob(buildJob(), { deadline: Date.now() - 1 });
+
+      expect(outcome).toBe('released');
+      expect(BulkJob.update).toHaveBeenCalledWith(
+        { status: 'queued', locked_by: null },
+        { where: { id: 'job-1', locked_by: expect.any(String) } }
+      );
+    });
+
+    it('fails jobs whose entity type has no registered handler', async () => {
+      const outcome = await bulkJobService.runBulkJob(buildJob({ entity_type: 'unknown' }));
+
+      expect(outcome).toBe('failed');
+      expect(BulkJob.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'failed', error: 'No bulk handler registered for unknown' }),
+        expect.any(Object)
+      );
+    });
+  });
+
+  describe('serializeBulkJob', () => {
+    it('reports progress against the requested count', () => {
+      const serialized = bulkJobService.serializeBulkJob(buildJob({
+        requested_count: 4,
+        processed_count: 1,
+        failed_count: 1
+      }));
+
+      expect(serialized.progress).toEqual({ completed: 2, processed: 1, skipped: 0, failed: 1, percent: 50 });
+      expect(serialized.actor).toEqual({ id: 1 });
+    });
+  });
+});
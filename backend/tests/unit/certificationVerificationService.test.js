@@ -0,0 +1,227 @@
+jest.mock('../../src/database', () => ({
+  transaction: jest.fn()
+}));
+
+jest.mock('../../src/database/models', () => ({
+  Certification: { findOne: jest.fn(), findByPk: jest.fn(), findAndCountAll: jest.fn() },
+  CertificationEvidence: { create: jest.fn(), findOne: jest.fn(), findAll: jest.fn() },
+  User: { findAll: jest.fn() }
+}));
+
+jest.mock('../../src/services/storage', () => ({
+  getStorageAdapter: jest.fn()
+}));
+
+jest.mock('../../src/services/uploadSecurityService', () => ({
+  evaluateUploadSecurity: jest.fn()
+}));
+
+jest.mock('../../src/services/notificationService', () => ({
+  createNotification: jest.fn(),
+  createBulkNotifications: jest.fn()
+}));
+
+jest.mock('../../src/utils/auditLogger', () => ({
+  logAudit: jest.fn(),
+  AUDIT_ACTIONS: {
+    CERTIFICATION_VERIFICATION_REQUESTED: 'CERTIFICATION_VERIFICATION_REQUESTED',
+    CERTIFICATION_VERIFICATION_APPROVED: 'CERTIFICATION_VERIFICATION_APPROVED',
+    CERTIFICATION_VERIFICATION_REJECTED: 'CERTIFICATION_VERIFICATION_REJECTED'
+  }
+}));
+
+const sequelize = require('../../src/database');
+const { Certification, CertificationEvidence, User } = require('../../src/database/models');
+const { getStorageAdapter } = require('../../src/services/storage');
+const { evaluateUploadSecurity } = require('../../src/services/uploadSecurityService');
+const notificationService = require('../../src/services/notificationService');
+const { logAudit } = require('../../src/utils/auditLogger');
+const certificationVerificationService = require('../../src/services/certificationVerificationService');
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+const user = { id: 5, name: 'Rae Researcher', role: 'researcher' };
+
+const makeCertification = (overrides = {}) => ({
+  id: 3,
+  user_id: 5,
+  name: 'CITI Human Subjects',
+  verification_status: 'unverified',
+  isVerified() {
+    return this.verification_status === 'verified';
+  },
+  reload: jest.fn(),
+  update: jest.fn(function update(values) {
+    Object.assign(this, values);
+  }),
+  destroy: jest.fn(),
+  ...overrides
+});
+
+const makeFile = (name = 'certificate.pdf') => ({
+  originalname: name,
+  mimetype: 'application/pdf',
+  size: 900,
+  buffer: Buffer.from('%PDF-1.4')
+});
+
+describe('certificationVerificationService', () => {
+  let storageAdapter;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sequelize.transaction.mockImplementation(async (callback) => callback(transaction));
+    storageAdapter = {
+      save: jest.fn().mockResolvedValue({ storageKey: 'certification-evidence/user-5/certificate.pdf' }),
+      delete: jest.fn()
+    };
+    getStorageAdapter.mockReturnValue(storageAdapter);
+    evaluateUploadSecurity.mockResolvedValue({ accepted: true, contentHash: 'abc123' });
+    User.findAll.mockResolvedValue([{ id: 99 }]);
+  });
+
+  describe('requestCertificationVerification', () => {
+    it('scans and stores evidence, marks the certification pending and notifies admins', async () => {
+      const certification = makeCertification();
+      Certification.findOne.mockResolvedValue(certification);
+
+      const result = await certificationVerificationService.requestCertificationVerification({
+        user,
+        certificationId: 3,
+        files: [makeFile()],
+        notes: ' Issued 2024 ',
+        route: '/api/researchers/me/certifications/3/verification'
+      });
+
+      expect(result).toEqual({ accepted: true, certification });
+      expect(evaluateUploadSecurity).toHaveBeenCalledWith(expect.objectContaining({
+        user,
+        surface: 'certification_evidence'
+      }));
+      expect(storageAdapter.save).toHaveBeenCalledWith(expect.objectContaining({
+        storagePrefix: 'certification-evidence/user-5'
+      }));
+      expect(CertificationEvidence.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          certification_id: 3,
+          storage_key: 'certification-evidence/user-5/certificate.pdf',
+          content_hash: 'abc123'
+        }),
+        { transaction }
+      );
+      expect(certification.update).toHaveBeenCalledWith(
+        expect.objectContaining({ verification_status: 'pending', verification_note: 'Issued 2024' }),
+        { transaction }
+      );
+      expect(notificationService.createBulkNotifications).toHaveBeenCalledWith(
+        [99],
+        expect.objectContaining({ type: 'certification_verification_updated' })
+      );
+    });
+
+    it('stores nothing when evidence fails the upload security check', async () => {
+      Certification.findOne.mockResolvedValue(makeCertification());
+      const rejection = { accepted: false, statusCode: 422, errorCode: 'MALICIOUS_UPLOAD_REJECTED' };
+      evaluateUploadSecurity.mockResolvedValue(rejection);
+
+      const result = await certificationVerificationService.requestCertificationVerification({
+        user,
+        certificationId: 3,
+        files: [makeFile()]
+      });
+
+      expect(result).toBe(rejection);
+      expect(storageAdapter.save).not.toHaveBeenCalled();
+      expect(CertificationEvidence.create).not.toHaveBeenCalled();
+    });
+
+    it('removes stored files when saving the request fails', async () => {
+      Certification.findOne.mockResolvedValue(makeCertification());
+      sequelize.transaction.mockRejectedValue(new Error('db down'));
+
+      await expect(certificationVerificationService.requestCertificationVerification({
+        user,
+        certificationId: 3,
+        files: [makeFile()]
+      })).rejects.toThrow('db down');
+      expect(storageAdapter.delete).toHaveBeenCalledWith('certification-evidence/user-5/certificate.pdf');
+    });
+
+    it('refuses verified, pending or evidence-less requests', async () => {
+      Certification.findOne.mockResolvedValueOnce(makeCertification({ verification_status: 'verified' }));
+      await expect(certificationVerificationService.requestCertificationVerification({
+        user, certificationId: 3, files: [makeFile()]
+      })).rejects.toThrow('CERTIFICATION_ALREADY_VERIFIED');
+
+      Certification.findOne.mockResolvedValueOnce(makeCertification({ verification_status: 'pending' }));
+      await expect(certificationVerificationService.requestCertificationVerification({
+        user, certificationId: 3, files: [makeFile()]
+      })).rejects.toThrow('VERIFICATION_ALREADY_PENDING');
+
+      Certification.findOne.mockResolvedValueOnce(makeCertification({ verification_status: 'rejected' }));
+      await expect(certificationVerificationService.requestCertificationVerification({
+        user, certificationId: 3, files: []
+      })).rejects.toThrow('EVIDENCE_REQUIRED');
+    });
+  });
+
+  describe('reviewCertificationVerification', () => {
+    it('verifies a pending certification and tells the researcher', async () => {
+      const certification = makeCertification({ verification_status: 'pending' });
+      Certification.findByPk.mockResolvedValue(certification);
+
+      await certificationVerificationService.reviewCertificationVerification({
+        certificationId: 3,
+        reviewer: { id: 99, role: 'admin' },
+        action: 'approve'
+      });
+
+      expect(certification.update).toHaveBeenCalledWith(
+        expect.objectContaining({ verification_status: 'verified', verified_by: 99, verified_at: expect.any(Date) }),
+        { transaction }
+      );
+      expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({ action: 'CERTIFICATION_VERIFICATION_APPROVED' }));
+      expect(notificationService.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 5,
+        type: 'certification_verification_updated',
+        title: 'Certification Verified'
+      }));
+    });
+
+    it('needs a message to reject and only reviews pending requests', async () => {
+      await expect(certificationVerificationService.reviewCertificationVerification({
+        certificationId: 3,
+        reviewer: { id: 99, role: 'admin' },
+        action: 'reject'
+      })).rejects.toThrow('REVIEW_MESSAGE_REQUIRED');
+
+      Certification.findByPk.mockResolvedValue(makeCertification({ verification_status: 'verified' }));
+      await expect(certificationVerificationService.reviewCertificationVerification({
+        certificationId: 3,
+        reviewer: { id: 99, role: 'admin' },
+        action: 'reject',
+        message: 'Certificate number does not match'
+      })).rejects.toThrow('VERIFICATION_NOT_PENDING');
+    });
+  });
+
+  it('scopes evidence downloads to the owning researcher', async () => {
+    CertificationEvidence.findOne.mockResolvedValue(null);
+
+    await expect(certificationVerificationService.findCertificationEvidence({
+      evidenceId: 4,
+      certificationId: 3,
+      userId: 6
+    })).rejects.toThrow('EVIDENCE_NOT_FOUND');
+    expect(CertificationEvidence.findOne.mock.calls[0][0].include[0].where).toEqual({ id: 3, user_id: 6 });
+  });
+
+  it('deletes the certification before removing its evidence files', async () => {
+    const certification = makeCertification();
+    CertificationEvidence.findAll.mockResolvedValue([{ id: 4, storage_key: 'certification-evidence/user-5/a.pdf' }]);
+
+    await certificationVerificationService.deleteCertificationWithEvidence(certification);
+
+    expect(certification.destroy).toHaveBeenCalled();
+    expect(storageAdapter.delete).toHaveBeenCalledWith('certification-evidence/user-5/a.pdf');
+  });
+});
@@ -15,6 +15,30 @@ jest.mock('../../src/tasks/agreementLifecycleMaintenance', () => ({
   runAgreementLifecycleMaintenance: jest.fn(),
 }));
 
+jest.mock('../../src/tasks/digestEmailSender', () => ({
+  runDigests: jest.fn(),
+}));
+
+jest.mock('../../src/tasks/bulkJobWorker', () => ({
+  runBulkJobWorkerForCron: jest.fn(),
+}));
+
+jest.mock('../../src/tasks/messageKeyRotation', () => ({
+  runMessageKeyRotationForCron: jest.fn(),
+}));
+jest.mock('../../src/tasks/messageSearchIndexer', () => ({
+  runMessageSearchIndexerForCron: jest.fn(),
+}));
+jest.mock('../../src/tasks/projectChannelReconciler', () => ({
+  runProjectChannelReconcilerForCron: jest.fn(),
+}));
+jest.mock('../../src/tasks/organizationReverificationReminder', () => ({
+  runReverificationRemindersForCron: jest.fn(),
+}));
+jest.mock('../../src/tasks/invoicePaymentReconciler', () => ({
+  runInvoicePaymentReconcileForCron: jest.fn(),
+}));
+
 const express = require('express');
 const request = require('supertest');
 const cronRoutes = require('../../src/routes/cronRoutes');
@@ -22,6 +46,13 @@ const notificationCleanup = require('../../src/tasks/notificationCleanup');
 const milestoneDeadlineChecker = require('../../src/tasks/milestoneDeadlineChecker');
 const matchGenerationJob = require('../../src/tasks/matchGenerationJob');
 const agreementLifecycleMaintenance = require('../../src/tasks/agreementLifecycleMaintenance');
+const digestEmailSender = require('../../src/tasks/digestEmailSender');
+const bulkJobWorker = require('../../src/tasks/bulkJobWorker');
+const messageKeyRotation = require('../../src/tasks/messageKeyRotation');
+const messageSearchIndexer = require('../../src/tasks/messageSearchIndexer');
+const projectChannelReconciler = require('../../src/tasks/projectChannelReconciler');
+const organizationReverificationReminder = require('../../src/tasks/organizationReverificationReminder');
+const invoicePaymentReconciler = require('../../src/tasks/invoicePaymentReconciler');
 
 const app = express();
 app.use(express.json());
@@ -164,4 +195,147 @@ describe('cronRoutes', () => {
       })
     );
   });
-});
\ No newline at end of file
+
+  it('runs digest emails when authorized', async () => {
+    digestEmailSender.runDigests.mockResolvedValue({
+      daily: { frequency: 'daily', usersConsidered: 2, sent: 1, skipped: 1, duplicate: 0, failed: 0 },
+      weekly: { frequency: 'weekly', usersConsidered: 1, sent: 0, skipped: 0, duplicate: 1, failed: 0 }
+    });
+
+    const response = await request(app)
+      .get('/api/cron/digest-emails')
+      .set('Authorization', 'Bearer test-cron-secret')
+      .expect(200);
+
+    expect(digestEmailSender.runDigests).toHaveBeenCalledTimes(1);
+    expect(response.body).toEqual(
+      expect.objectContaining({
+        ok: true,
+        job: 'digest-emails',
+        result: expect.objectContaining({
+          daily: expect.objectContaining({ sent: 1 }),
+          weekly: expect.objectContaining({ duplicate: 1 })
+        })
+      })
+    );
+  });
+
+  it('runs the bulk job worker when authorized', async () => {
+    bulkJobWorker.runBulkJobWorkerForCron.mockResolvedValue({ recovered: 1, claimed: 2, completed: 2 });
+
+    const response = await request(app)
+      .get('/api/cron/bulk-jobs')
+      .set('Authorization', 'Bearer test-cron-secret')
+      .expect(200);
+
+    expect(bulkJobWorker.runBulkJobWorkerForCron).toHaveBeenCalledTimes(1);
+    expect(response.body).toEqual(
+      expect.objectContaining({
+        ok: true,
+        job: 'bulk-jobs',
+        result: { recovered: 1, claimed: 2, completed: 2 }
+      })
+    );
+  });
+
+  it('runs message key rotation when authorized', async () => {
+    messageKeyRotation.runMessageKeyRotationForCron.mockResolvedValue({ masterKeyVersion: 2, reencrypted: 40, remaining: 0 });
+
+    const response = await request(app)
+      .get('/api/cron/message-key-rotation')
+      .set('Authorization', 'Bearer test-cron-secret')
+      .expect(200);
+
+    expect(messageKeyRotation.runMessageKeyRotationForCron).toHaveBeenCalledTimes(1);
+    expect(response.body).toEqual(
+      expect.objectContaining({
+        ok: true,
+        job: 'message-key-rotation',
+        result: { masterKeyVersion: 2, reencrypted: 40, remaining: 0 }
+      })
+    );
+  });
+
+  it('runs message search indexing when authorized', async () => {
+    messageSearchIndexer.runMessageSearchIndexerForCron.mockResolvedValue({ indexed: 120, remaining: 0, completed: true });
+
+    const response = await request(app)
+      .get('/api/cron/message-search-index')
+      .set('Authorization', 'Bearer test-cron-secret')
+      .expect(200);
+
+    expect(messageSearchIndexer.runMessageSearchIndexerForCron).toHaveBeenCalledTimes(1);
+    expect(response.body).toEqual(
+      expect.objectContaining({
+        ok: true,
+        job: 'message-search-index',
+        result: { indexed: 120, remaining: 0, completed: true }
+      })
+    );
+  });
+
+  it('runs project channel reconciliation when authorized', async () => {
+    projectChannelReconciler.runProjectChannelReconcilerForCron.mockResolvedValue({ projects: 4, added: 1, removed: 2 });
+
+    const response = await request(app)
+      .get('/api/cron/project-channel-reconcile')
+      .set('Authorization', 'Bearer test-cron-secret')
+      .expect(200);
+
+    expect(projectChannelReconciler.runProjectChannelReconcilerForCron).toHaveBeenCalledTimes(1);
+    expect(response.body).toEqual(
+      expect.objectContaining({
+        ok: true,
+        job: 'project-channel-reconcile',
+        result: { projects: 4, added: 1, removed: 2 }
+      })
+    );
+  });
+
+  it('runs organization re-verification reminders when authorized', async () => {
+    organizationReverificationReminder.runReverificationRemindersForCron.mockResolvedValue({
+      expired: 1,
+      reminded: 3,
+      failed: 0,
+      completed: true
+    });
+
+    const response = await request(app)
+      .get('/api/cron/organization-reverification')
+      .set('Authorization', 'Bearer test-cron-secret')
+      .expect(200);
+
+    expect(organizationReverificationReminder.runReverificationRemindersForCron).toHaveBeenCalledTimes(1);
+    expect(response.body).toEqual(
+      expect.objectContaining({
+        ok: true,
+        job: 'organization-reverification',
+        result: { expired: 1, reminded: 3, failed: 0, completed: true }
+      })
+    );
+  });
+
+  it('runs the invoice payment reconciler when authorized', async () => {
+    invoicePaymentReconciler.runInvoicePaymentReconcileForCron.mockResolvedValue({
+      scanned: 2,
+      paid: 1,
+      released: 1,
+      failed: 0,
+      completed: true
+    });
+
+    const response = await request(app)
+      .get('/api/cron/invoice-payment-reconcile')
+      .set('Authorization', 'Bearer test-cron-secret')
+      .expect(200);
+
+    expect(invoicePaymentReconciler.runInvoicePaymentReconcileForCron).toHaveBeenCalledTimes(1);
+    expect(response.body).toEqual(
+      expect.objectContaining({
+        ok: true,
+        job: 'invoice-payment-reconcile',
+        result: { scanned: 2, paid: 1, released: 1, failed: 0, completed: true }
+      })
+    );
+  });
+});
@@ -0,0 +1,148 @@
+const { Op, Sequelize } = require('sequelize');
+const {
+  MAX_PAGE_SIZE,
+  isCursorRequest,
+  parsePageSize,
+  timestampKey,
+  createCursorPage,
+  withCursorWhere,
+  isInvalidCursorError
+} = require('../../src/utils/cursorPagination');
+
+const NEWEST_FIRST = [
+  { field: 'created_at', direction: 'DESC' },
+  { field: 'id', direction: 'DESC' }
+];
+
+const buildRows = (count) => Array.from({ length: count }, (_, index) => ({
+  id: 100 - index,
+  created_at: new Date(Date.UTC(2026, 9, 19, 12, 0, 0) - Math.floor(index / 2) * 1000)
+}));
+
+const nextCursorFor = (rows, limit, keys = NEWEST_FIRST, scope = 'test.list') => (
+  createCursorPage({ cursor: '', limit: String(limit) }, { scope, keys }).buildPage(rows).page.next_cursor
+);
+
+describe('cursorPagination', () => {
+  test('isCursorRequest opts in on the presence of cursor, even when empty', () => {
+    expect(isCursorRequest({ cursor: '' })).toBe(true);
+    expect(isCursorRequest({ page: '2' })).toBe(false);
+  });
+
+  test('parsePageSize clamps to the maximum page size', () => {
+    expect(parsePageSize('500')).toBe(MAX_PAGE_SIZE);
+    expect(parsePageSize('0')).toBe(1);
+    expect(parsePageSize(undefined, 50)).toBe(50);
+  });
+
+  test('first page fetches one extra row and reports has_more', () => {
+    const cursorPage = createCursorPage({ cursor: '', limit: '3' }, { scope: 'test.list', keys: NEWEST_FIRST });
+
+    expect(cursorPage.where).toBeNull();
+    expect(cursorPage.limit).toBe(4);
+    expect(cursorPage.order).toEqual([['created_at', 'DESC'], ['id', 'DESC']]);
+
+    const page = cursorPage.buildPage(buildRows(4));
+    expect(page.data.map((row) => row.id)).toEqual([100, 99, 98]);
+    expect(page.page.has_more).toBe(true);
+    expect(typeof page.page.next_cursor).toBe('string');
+  });
+
+  test('last page has no next cursor', () => {
+    const page = createCursorPage({ cursor: '' }, { scope: 'test.list', keys: NEWEST_FIRST }).buildPage(buildRows(2));
+
+    expect(page.page).toEqual({ next_cursor: null, has_more: false, limit: 20 });
+  });
+
+  test('next cursor resumes after the last row and breaks ties on id', () => {
+    const rows = buildRows(4);
+    const cursorPage = createCursorPage(
+      { cursor: nextCursorFor(rows, 3), limit: '3' },
+      { scope: 'test.list', keys: NEWEST_FIRST }
+    );
+
+    const lastCreatedAt = rows[2].created_at.toISOString();
+    expect(cursorPage.where).toEqual({
+      [Op.or]: [
+        { created_at: { [Op.lt]: lastCreatedAt } },
+        { [Op.and]: [{ created_at: { [Op.eq]: lastCreatedAt } }, { id: { [Op.lt]: 98 } }] }
+      ]
+    });
+  });
+
+  test('timestamp keys compare and order at the millisecond precision the cursor carries', () => {
+    const keys = [timestampKey({ name: 'Notification' }, 'created_at', 'DESC'), { field: 'id', direction: 'DESC' }];
+    const truncated = Sequelize.fn('date_trunc', 'milliseconds', Sequelize.col('Notification.created_at'));
+    // Postgres kept 12:00:00.000900 for this row; the Date read back is 12:00:00.000
+    const rows = [{ id: 7, created_at: new Date('2026-10-19T12:00:00.000Z') }, { id: 6, created_at: new Date() }];
+
+    const cursorPage = createCursorPage(
+      { cursor: nextCursorFor(rows, 1, keys), limit: '1' },
+      { scope: 'test.list', keys }
+    );
+
+    expect(cursorPage.order[0]).toEqual([truncated, 'DESC']);
+    expect(cursorPage.where).toEqual({
+      [Op.or]: [
+        Sequelize.where(truncated, { [Op.lt]: '2026-10-19T12:00:00.000Z' }),
+        { [Op.and]: [Sequelize.where(truncated, { [Op.eq]: '2026-10-19T12:00:00.000Z' }), { id: { [Op.lt]: 7 } }] }
+      ]
+    });
+  });
+
+  test('nullable keys sorted NULLS LAST keep null rows reachable', () => {
+    const keys = [
+      { field: 'start_date', direction: 'ASC', nulls: 'LAST' },
+      { field: 'project_id', direction: 'DESC' }
+    ];
+    const datedCursor = nextCursorFor([{ project_id: 9, start_date: '2026-11-01' }, { project_id: 8 }], 1, keys);
+    const undatedCursor = nextCursorFor([{ project_id: 7, start_date: null }, { project_id: 6 }], 1, keys);
+
+    const dated = createCursorPage({ cursor: datedCursor, limit: '1' }, { scope: 'test.list', keys });
+    expect(dated.where[Op.or][0]).toEqual({
+      [Op.or]: [{ start_date: { [Op.gt]: '2026-11-01' } }, { start_date: { [Op.is]: null } }]
+    });
+
+    const undated = createCursorPage({ cursor: undatedCursor, limit: '1' }, { scope: 'test.list', keys });
+    expect(undated.where).toEqual({
+      [Op.or]: [{ [Op.and]: [{ start_date: { [Op.is]: null } }, { project_id: { [Op.lt]: 7 } }] }]
+    });
+    expect(undated.order[0]).toEqual(['start_date', 'ASC NULLS LAST']);
+  });
+
+  test('rejects tampered cursors', () => {
+    const cursor = nextCursorFor(buildRows(2), 1);
+    const [payload, mac] = cursor.split('.');
+    const forgedPayload = Buffer.from(JSON.stringify({ s: 'test.list', v: ['2030-01-01T00:00:00.000Z', 1] })).toString('base64url');
+
+    expect(() => createCursorPage({ cursor: `${forgedPayload}.${mac}` }, { scope: 'test.list', keys: NEWEST_FIRST }))
+      .toThrow('INVALID_CURSOR');
+    expect(() => createCursorPage({ cursor: payload }, { scope: 'test.list', keys: NEWEST_FIRST }))
+      .toThrow('INVALID_CURSOR');
+  });
+
+  test('rejects cursors issued for another endpoint or sort', () => {
+    const cursor = nextCursorFor(buildRows(2), 1);
+
+    let caught;
+    try {
+      createCursorPage({ cursor }, { scope: 'other.list', keys: NEWEST_FIRST });
+    } catch (error) {
+      caught = error;
+    }
+
+    expect(isInvalidCursorError(caught)).toBe(true);
+    expect(() => createCursorPage({ cursor }, { scope: 'test.list', keys: [{ field: 'id', direction: 'DESC' }] }))
+      .toThrow('INVALID_CURSOR');
+  });
+
+  test('withCursorWhere keeps existing Op.and and Op.or conditions', () => {
+    const existing = { status: 'open', [Op.or]: [{ a: 1 }, { b: 2 }], [Op.and]: [{ c: 3 }] };
+    const merged = withCursorWhere(existing, { id: { [Op.lt]: 5 } });
+
+    expect(merged.status).toBe('open');
+    expect(merged[Op.or]).toEqual([{ a: 1 }, { b: 2 }]);
+    expect(merged[Op.and]).toEqual([{ c: 3 }, { id: { [Op.lt]: 5 } }]);
+    expect(withCursorWhere(existing, null)).toBe(existing);
+  });
+});
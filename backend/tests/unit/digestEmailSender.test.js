@@ -0,0 +1,193 @@
+jest.mock('node-schedule', () => ({
+  scheduleJob: jest.fn(() => ({ name: 'job' }))
+}));
+
+jest.mock('../../src/services/emailService', () => ({
+  sendWeeklyDigest: jest.fn()
+}));
+
+jest.mock('../../src/tasks/matchGenerationJob', () => ({
+  getHighScoreThreshold: jest.fn(() => 70)
+}));
+
+jest.mock('../../src/database/models', () => ({
+  User: {},
+  UserPreferences: { findAll: jest.fn() },
+  Notification: { count: jest.fn() },
+  Match: { findAll: jest.fn() },
+  Project: {},
+  Milestone: { findAll: jest.fn() },
+  MilestoneResearcher: { findAll: jest.fn() },
+  ProjectResearcherAccess: { findAll: jest.fn() },
+  Contract: { findAll: jest.fn() },
+  DigestDelivery: { findOne: jest.fn(), findOrCreate: jest.fn(), update: jest.fn() }
+}));
+
+const { Op } = require('sequelize');
+const schedule = require('node-schedule');
+const emailService = require('../../src/services/emailService');
+const {
+  UserPreferences,
+  Notification,
+  Match,
+  Milestone,
+  MilestoneResearcher,
+  ProjectResearcherAccess,
+  Contract,
+  DigestDelivery
+} = require('../../src/database/models');
+const digestEmailSender = require('../../src/tasks/digestEmailSender');
+
+describe('digestEmailSender', () => {
+  const now = new Date('2026-10-19T07:00:00Z');
+  const researcher = { id: 5, name: 'Riley', email: 'riley@example.com', role: 'researcher', org_id: null };
+  let delivery;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delivery = { id: 1, status: 'pending', update: jest.fn().mockResolvedValue(true) };
+    DigestDelivery.findOrCreate.mockResolvedValue([delivery, true]);
+    DigestDelivery.findOne.mockResolvedValue(null);
+    Notification.count.mockResolvedValue(0);
+    Match.findAll.mockResolvedValue([]);
+    Milestone.findAll.mockResolvedValue([]);
+    MilestoneResearcher.findAll.mockResolvedValue([]);
+    ProjectResearcherAccess.findAll.mockResolvedValue([]);
+    Contract.findAll.mockResolvedValue([]);
+    emailService.sendWeeklyDigest.mockResolvedValue({ messageId: 'm1' });
+  });
+
+  test('getPeriodKey uses calendar days and ISO weeks', () => {
+    expect(digestEmailSender.getPeriodKey('daily', now)).toBe('daily:2026-10-19');
+    expect(digestEmailSender.getPeriodKey('weekly', now)).toBe('weekly:2026-W43');
+    expect(digestEmailSender.getPeriodKey('weekly', new Date('2027-01-01T12:00:00Z'))).toBe('weekly:2026-W53');
+  });
+
+  test('buildDigestForUser reports only matches newer than the last digest', async () => {
+    Notification.count.mockResolvedValue(3);
+    Match.findAll.mockResolvedValue([
+      { id: 41, score: 88.4, brief_id: 9, project: { title: 'Water Access Study' } }
+    ]);
+    Contract.findAll.mockResolvedValue([{ id: 7, title: 'Data Sharing Agreement' }]);
+
+    const digest = await digestEmailSender.buildDigestForUser(researcher, {
+      since: new Date('2026-10-18T07:00:00Z'),
+      now,
+      lastMatchId: 40
+    });
+
+    expect(Match.findAll.mock.calls[0][0].where).toEqual(expect.objectContaining({
+      researcher_id: 5,
+      dismissed: false,
+      id: { [Op.gt]: 40 }
+    }));
+    expect(digest).toEqual(expect.objectContaining({
+      unreadNotifications: 3,
+      newMatches: 1,
+      pendingAgreements: 1,
+      upcomingMilestones: 0
+    }));
+    expect(digest.highlights).toEqual([
+      'Awaiting your signature: Data Sharing Agreement',
+      'New 88% match: Water Access Study'
+    ]);
+    expect(digest.summary.max_match_id).toBe(41);
+  });
+
+  test('sendDigests sends and records a digest with content', async () => {
+    UserPreferences.findAll.mockResolvedValue([{ user: researcher }]);
+    Notification.count.mockResolvedValue(2);
+
+    const result = await digestEmailSender.sendDigests('daily', { now });
+
+    expect(DigestDelivery.findOrCreate).toHaveBeenCalledWith(expect.objectContaining({
+      where: { user_id: 5, period_key: 'daily:2026-10-19' }
+    }));
+    expect(emailService.sendWeeklyDigest).toHaveBeenCalledWith(
+      'riley@example.com',
+      'Riley',
+      expect.objectContaining({ frequency: 'daily', unreadNotifications: 2 })
+    );
+    expect(delivery.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'sent' }));
+    expect(result).toEqual(expect.objectContaining({ sent: 1, skipped: 0, failed: 0 }));
+  });
+
+  test('sendDigests skips empty digests without emailing', async () => {
+    UserPreferences.findAll.mockResolvedValue([{ user: researcher }]);
+
+    const result = await digestEmailSender.sendDigests('weekly', { now });
+
+    expect(emailService.sendWeeklyDigest).not.toHaveBeenCalled();
+    expect(delivery.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'skipped' }));
+    expect(result.skipped).toBe(1);
+  });
+
+  test('sendDigests does not resend a digest already delivered for the period', async () => {
+    UserPreferences.findAll.mockResolvedValue([{ user: researcher }]);
+    DigestDelivery.findOrCreate.mockResolvedValue([{ id: 1, status: 'sent' }, false]);
+
+    const result = await digestEmailSender.sendDigests('weekly', { now });
+
+    expect(emailService.sendWeeklyDigest).not.toHaveBeenCalled();
+    expect(result.duplicate).toBe(1);
+  });
+
+  test('sendDigests records failures so the next run can retry', async () => {
+    UserPreferences.findAll.mockResolvedValue([{ user: researcher }]);
+    Notification.count.mockResolvedValue(1);
+    emailService.sendWeeklyDigest.mockRejectedValue(new Error('SMTP down'));
+
+    const result = await digestEmailSender.sendDigests('daily', { now });
+
+    expect(delivery.update).toHaveBeenCalledWith({ status: 'failed', error_message: 'SMTP down' });
+    expect(result.failed).toBe(1);
+  });
+
+  test('sendDigests keeps a sent digest sent when recording it fails', async () => {
+    UserPreferences.findAll.mockResolvedValue([{ user: researcher }]);
+    Notification.count.mockResolvedValue(1);
+    delivery.update.mockRejectedValueOnce(new Error('connection lost'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await digestEmailSender.sendDigests('daily', { now });
+
+    expect(emailService.sendWeeklyDigest).toHaveBeenCalledTimes(1);
+    expect(delivery.update).toHaveBeenCalledTimes(1);
+    expect(delivery.update).not.toHaveBeenCalledWith(expect.objectContaining({ status: 'failed' }));
+    expect(result).toEqual(expect.objectContaining({ sent: 1, failed: 0 }));
+    console.error.mockRestore();
+  });
+
+  test('sendDigests takes over pending claims abandoned by a crashed run', async () => {
+    UserPreferences.findAll.mockResolvedValue([{ user: researcher }, { user: { ...researcher, id: 6 } }]);
+    Notification.count.mockResolvedValue(1);
+    const stale = { id: 2, status: 'pending', updated_at: new Date(Date.now() - 60 * 60 * 1000), update: jest.fn() };
+    const inFlight = { id: 3, status: 'pending', updated_at: new Date(), update: jest.fn() };
+    DigestDelivery.findOrCreate
+      .mockResolvedValueOnce([stale, false])
+      .mockResolvedValueOnce([inFlight, false]);
+    DigestDelivery.update.mockResolvedValue([1]);
+
+    const result = await digestEmailSender.sendDigests('daily', { now });
+
+    expect(DigestDelivery.update).toHaveBeenCalledTimes(1);
+    expect(DigestDelivery.update).toHaveBeenCalledWith(
+      { status: 'pending', error_message: null },
+      { where: { id: 2, status: 'pending', updated_at: { [Op.lte]: expect.any(Date) } } }
+    );
+    expect(stale.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'sent' }));
+    expect(inFlight.update).not.toHaveBeenCalled();
+    expect(result).toEqual(expect.objectContaining({ sent: 1, duplicate: 1 }));
+  });
+
+  test('sendDigests rejects unknown frequencies', async () => {
+    await expect(digestEmailSender.sendDigests('hourly')).rejects.toThrow('Unsupported digest frequency: hourly');
+  });
+
+  test('scheduleDigests registers a daily job', () => {
+    const job = digestEmailSender.scheduleDigests();
+
+    expect(schedule.scheduleJob).toHaveBeenCalledWith('0 7 * * *', expect.any(Function));
+    expect(job).toEqual({ name: 'job' });
+  });
+});
@@ -1,4 +1,11 @@
-const { encryptMessage, decryptMessage } = require('../../src/utils/encryption');
+const CryptoJS = require('crypto-js');
+const {
+  encryptMessage,
+  decryptMessage,
+  encryptWithKey,
+  decryptWithKey,
+  generateDataKey,
+} = require('../../src/utils/encryption');
 
 describe('Encryption Utility', () => {
   const key = 'unit-test-secret';
@@ -33,4 +40,38 @@ describe('Encryption Utility', () => {
       /DECRYPT_MESSAGE_FAILED/
     );
   });
+
+  it('writes authenticated AES-GCM payloads', () => {
+    const parsed = JSON.parse(encryptMessage('hello world', key));
+
+    expect(parsed).toEqual(expect.objectContaining({ v: 2, tag: expect.any(String), salt: expect.any(String) }));
+  });
+
+  it('decrypts payloads written by the legacy crypto-js format', () => {
+    const iv = CryptoJS.lib.WordArray.random(16);
+    const legacy = JSON.stringify({
+      iv: iv.toString(),
+      ciphertext: CryptoJS.AES.encrypt('from before', key, { iv }).toString(),
+    });
+
+    expect(decryptMessage(legacy, key)).toBe('from before');
+  });
+
+  it('rejects tampered ciphertext', () => {
+    const parsed = JSON.parse(encryptMessage('hello world', key));
+    const bytes = Buffer.from(parsed.ciphertext, 'base64');
+    bytes[0] ^= 1;
+    parsed.ciphertext = bytes.toString('base64');
+
+    expect(() => decryptMessage(JSON.stringify(parsed), key)).toThrow(/DECRYPT_MESSAGE_FAILED/);
+  });
+
+  it('encrypts with raw data keys bound to their context', () => {
+    const dataKey = generateDataKey();
+    const encrypted = encryptWithKey('per-thread', dataKey, 'thread:1');
+
+    expect(decryptWithKey(encrypted, dataKey, 'thread:1')).toBe('per-thread');
+    expect(() => decryptWithKey(encrypted, dataKey, 'thread:2')).toThrow(/DECRYPT_MESSAGE_FAILED/);
+    expect(() => decryptWithKey(encrypted, generateDataKey(), 'thread:1')).toThrow(/DECRYPT_MESSAGE_FAILED/);
+  });
 });
@@ -0,0 +1,288 @@
+jest.mock('../../src/database/models', () => ({
+  InboundEmail: { findOrCreate: jest.fn() },
+  User: { findByPk: jest.fn() },
+}));
+
+jest.mock('../../src/services/messageService', () => ({
+  sendMessage: jest.fn(),
+}));
+
+jest.mock('../../src/utils/auditLogger', () => ({
+  logAudit: jest.fn(),
+  AUDIT_ACTIONS: {
+    INBOUND_EMAIL_BOUNCED: 'INBOUND_EMAIL_BOUNCED',
+    INBOUND_EMAIL_UNKNOWN_SENDER: 'INBOUND_EMAIL_UNKNOWN_SENDER',
+    INBOUND_EMAIL_REJECTED: 'INBOUND_EMAIL_REJECTED',
+  },
+}));
+
+const { InboundEmail, User } = require('../../src/database/models');
+const messageService = require('../../src/services/messageService');
+const { logAudit } = require('../../src/utils/auditLogger');
+const { buildReplyAddress, verifyReplyAddress } = require('../../src/utils/replyAddress');
+const { parseRawEmail } = require('../../src/utils/emailParser');
+const inboundEmailService = require('../../src/services/inboundEmailService');
+
+const PROVIDER_AUTH_RESULTS = 'Authentication-Results: mx.reply.trident.test; dkim=pass header.d=example.com; spf=pass smtp.mailfrom=ada@example.com';
+
+const buildEmail = ({ from = 'Ada <ada@example.com>', to, headers = [], authResults = [PROVIDER_AUTH_RESULTS], body }) => [
+  ...authResults,
+  `From: ${from}`,
+  `To: ${to}`,
+  'Subject: Re: New Message',
+  'Message-ID: <abc@mail.example.com>',
+  ...headers,
+  '',
+  body,
+].join('\r\n');
+
+describe('inboundEmailService', () => {
+  const originalEnv = { ...process.env };
+  let replyAddress;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.INBOUND_EMAIL_DOMAIN = 'reply.trident.test';
+    process.env.INBOUND_EMAIL_SECRET = 'inbound-secret-for-tests';
+    replyAddress = buildReplyAddress(11, 40);
+
+    User.findByPk.mockResolvedValue({ id: 11, email: 'Ada@example.com', account_status: 'active' });
+    messageService.sendMessage.mockResolvedValue({ message: { id: 900 } });
+    InboundEmail.findOrCreate.mockImplementation(async ({ where, defaults }) => [
+      { ...where, ...defaults, update: jest.fn(), destroy: jest.fn() },
+      true,
+    ]);
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('reply addresses', () => {
+    it('round-trips the user and thread and rejects tampered addresses', () => {
+      expect(replyAddress).toMatch(/^reply\+11\.40\.[0-9a-f]{24}@reply\.trident\.test$/);
+      expect(verifyReplyAddress(replyAddress.toUpperCase())).toEqual({ userId: 11, threadId: 40 });
+      expect(verifyReplyAddress(replyAddress.replace('reply+11.40', 'reply+12.40'))).toBeNull();
+      expect(verifyReplyAddress(replyAddress.replace('reply.trident.test', 'evil.test'))).toBeNull();
+    });
+
+    it('is not issued when inbound email is not configured', () => {
+      delete process.env.INBOUND_EMAIL_SECRET;
+      expect(buildReplyAddress(11, 40)).toBeNull();
+    });
+  });
+
+  describe('extractReplyText', () => {
+    it('drops quoted history, attributions and signatures', () => {
+      const text = [
+        'Sounds good, see you Friday.',
+        '',
+        'Ada',
+        '-- ',
+        'Ada Lovelace | Analytical Engines',
+        '',
+        'On Mon, Oct 19, 2026 at 9:00 AM TRIDENT <noreply@trident.test>',
+        'wrote:',
+        '> Grace sent you a message',
+      ].join('\n');
+
+      expect(inboundEmailService.extractReplyText(text)).toBe('Sounds good, see you Friday.\n\nAda');
+    });
+
+    it('stops at Outlook header blocks and mobile signatures', () => {
+      expect(inboundEmailService.extractReplyText('Thanks!\nSent from my iPhone\n\nFrom: TRIDENT\nSent: Monday')).toBe('Thanks!');
+      expect(inboundEmailService.extractReplyText('Agreed\n\nFrom: TRIDENT <noreply@trident.test>\nSent: Monday\nTo: Ada')).toBe('Agreed');
+    });
+  });
+
+  describe('emailParser', () => {
+    it('prefers the decoded text/plain part of a multipart message', () => {
+      const raw = [
+        'From: =?UTF-8?B?QWTDoQ==?= <ada@example.com>',
+        'To: team@example.com',
+        'Content-Type: multipart/alternative; boundary="b1"',
+        '',
+        '--b1',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: quoted-printable',
+        '',
+        'Caf=C3=A9 at noon?=',
+        '',
+        '--b1',
+        'Content-Type: text/html; charset=utf-8',
+        '',
+        '<p>Café at noon?</p>',
+        '--b1--',
+      ].join('\r\n');
+
+      const email = parseRawEmail(raw);
+
+      expect(email.from).toBe('ada@example.com');
+      expect(email.headers.get('from')[0]).toBe('Adá <ada@example.com>');
+      expect(email.text.trim()).toBe('Café at noon?');
+    });
+
+    it('reads the sender from the angle address, never from an address-like display name', () => {
+      const parse = (from, to = 'team@example.com') => parseRawEmail(`From: ${from}\r\nTo: ${to}\r\n\r\nHi`);
+
+      expect(parse('"victim@gmail.com" <attacker@gmail.com>').from).toBe('attacker@gmail.com');
+      expect(parse('victim@gmail.com <Attacker@Gmail.com>').from).toBe('attacker@gmail.com');
+      expect(parse('ada@example.com (victim@gmail.com)').from).toBe('ada@example.com');
+      expect(parse('Ada <ada@example.com>', '"Team, a@b.test" <team@example.com>, bob@example.com').recipients)
+        .toEqual(['team@example.com', 'bob@example.com']);
+    });
+  });
+
+  describe('processInboundEmail', () => {
+    it('posts the stripped reply as the user who owns the reply address', async () => {
+      const raw = buildEmail({
+        to: replyAddress,
+        body: 'On it, thanks!\r\n\r\nOn Mon, Oct 19, 2026, TRIDENT wrote:\r\n> Grace sent you a message',
+      });
+
+      await expect(inboundEmailService.processInboundEmail(raw)).resolves.toEqual({ status: 'posted', message_id: 900 });
+      expect(messageService.sendMessage).toHaveBeenCalledWith({ threadId: 40, senderId: 11, body: 'On it, thanks!' });
+      expect(logAudit).not.toHaveBeenCalled();
+    });
+
+    it('logs bounces as security events without posting', async () => {
+      const raw = buildEmail({
+        from: 'MAILER-DAEMON@mail.example.com',
+        to: replyAddress,
+        headers: ['Content-Type: multipart/report; report-type=delivery-status; boundary="r"'],
+        body: '--r\r\nContent-Type: text/plain\r\n\r\nDelivery failed\r\n--r--',
+      });
+
+      await expect(inboundEmailService.processInboundEmail(raw)).resolves.toEqual({ status: 'bounced' });
+      expect(messageService.sendMessage).not.toHaveBeenCalled();
+      expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'INBOUND_EMAIL_BOUNCED',
+        entityType: 'inbound_email',
+        actorId: 11,
+      }));
+    });
+
+    it('logs senders that do not own the reply address', async () => {
+      const raw = buildEmail({ from: 'mallory@example.com', to: replyAddress, body: 'Hello' });
+
+      await expect(inboundEmailService.processInboundEmail(raw)).resolves.toEqual({ status: 'unknown_sender' });
+      expect(messageService.sendMessage).not.toHaveBeenCalled();
+      expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'INBOUND_EMAIL_UNKNOWN_SENDER',
+        metadata: expect.objectContaining({ from: 'mallory@example.com', reason: 'sender_mismatch' }),
+      }));
+    });
+
+    it('does not take the sender from a spoofed display name', async () => {
+      const spoofed = buildEmail({
+        from: '"ada@example.com" <mallory@mallory.test>',
+        to: replyAddress,
+        authResults: ['Authentication-Results: mx.reply.trident.test; dkim=pass header.d=mallory.test; spf=pass smtp.mailfrom=mallory@mallory.test'],
+        body: 'Please wire the funds',
+      });
+
+      await expect(inboundEmailService.processInboundEmail(spoofed)).resolves.toEqual({ status: 'unknown_sender' });
+      expect(messageService.sendMessage).not.toHaveBeenCalled();
+      expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({
+        metadata: expect.objectContaining({ from: 'mallory@mallory.test' }),
+      }));
+
+      const legitimate = buildEmail({ from: '"ada@work.test" <ada@example.com>', to: replyAddress, body: 'Thanks' });
+      await expect(inboundEmailService.processInboundEmail(legitimate)).resolves.toEqual({ status: 'posted', message_id: 900 });
+    });
+
+    it('rejects forged reply tokens', async () => {
+      const raw = buildEmail({ to: replyAddress.replace('reply+11.40', 'reply+11.41'), body: 'Hello' });
+
+      await expect(inboundEmailService.processInboundEmail(raw)).resolves.toEqual({ status: 'rejected' });
+      expect(User.findByPk).not.toHaveBeenCalled();
+      expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'INBOUND_EMAIL_REJECTED',
+        metadata: expect.objectContaining({ reason: 'invalid_reply_token' }),
+      }));
+    });
+
+    it('requires the provider to authenticate the sender domain', async () => {
+      const forged = buildEmail({ to: replyAddress, authResults: [], body: 'Hello' });
+      await expect(inboundEmailService.processInboundEmail(forged)).resolves.toEqual({ status: 'unknown_sender' });
+      expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'INBOUND_EMAIL_UNKNOWN_SENDER',
+        metadata: expect.objectContaining({ reason: 'sender_not_authenticated' }),
+      }));
+
+      // A pass for another domain, or one the sender added below the provider's header, does not count
+      const unaligned = buildEmail({
+        to: replyAddress,
+        authResults: [
+          'Authentication-Results: mx.reply.trident.test; dkim=pass header.d=mallory.test; spf=fail smtp.mailfrom=ada@example.com',
+          'Authentication-Results: mx.reply.trident.test; dkim=pass header.d=example.com',
+        ],
+        body: 'Hello',
+      });
+      await expect(inboundEmailService.processInboundEmail(unaligned)).resolves.toEqual({ status: 'unknown_sender' });
+      expect(messageService.sendMessage).not.toHaveBeenCalled();
+
+      const dmarc = buildEmail({
+        to: replyAddress,
+        authResults: ['Authentication-Results: mx.reply.trident.test; dmarc=pass (p=reject) header.from=example.com'],
+        body: 'Hello',
+      });
+      await expect(inboundEmailService.processInboundEmail(dmarc)).resolves.toEqual({ status: 'posted', message_id: 900 });
+    });
+
+    it('only trusts Authentication-Results from the configured authserv-id', () => {
+      process.env.INBOUND_EMAIL_AUTHSERV_ID = 'mx.provider.test';
+      const email = parseRawEmail(buildEmail({
+        to: replyAddress,
+        authResults: [
+          'Authentication-Results: mx.provider.test; spf=pass smtp.mailfrom=ada@mail.example.com',
+          'Authentication-Results: mx.reply.trident.test; dkim=fail header.d=example.com',
+        ],
+        body: 'Hello',
+      }));
+      expect(inboundEmailService.isSenderAuthenticated(email)).toBe(false);
+
+      email.from = 'ada@mail.example.com';
+      expect(inboundEmailService.isSenderAuthenticated(email)).toBe(true);
+      delete process.env.INBOUND_EMAIL_AUTHSERV_ID;
+    });
+
+    it('posts a redelivered Message-ID once and returns the first result', async () => {
+      const raw = buildEmail({ to: replyAddress, body: 'Hello' });
+
+      await expect(inboundEmailService.processInboundEmail(raw)).resolves.toEqual({ status: 'posted', message_id: 900 });
+      expect(InboundEmail.findOrCreate).toHaveBeenCalledWith({
+        where: { message_id_header: '<abc@mail.example.com>' },
+        defaults: { user_id: 11, thread_id: 40, status: 'processing' },
+      });
+      const [record] = await InboundEmail.findOrCreate.mock.results[0].value;
+      expect(record.update).toHaveBeenCalledWith({ status: 'posted', message_id: 900 });
+
+      InboundEmail.findOrCreate.mockResolvedValueOnce([{ status: 'posted', message_id: 900 }, false]);
+      await expect(inboundEmailService.processInboundEmail(raw)).resolves.toEqual({ status: 'posted', message_id: 900 });
+
+      InboundEmail.findOrCreate.mockResolvedValueOnce([{ status: 'processing', message_id: null }, false]);
+      await expect(inboundEmailService.processInboundEmail(raw)).resolves.toEqual({ status: 'duplicate' });
+      expect(messageService.sendMessage).toHaveBeenCalledTimes(1);
+    });
+
+    it('releases the Message-ID when posting fails unexpectedly so a retry can post', async () => {
+      messageService.sendMessage.mockRejectedValueOnce(new Error('connection reset'));
+      const raw = buildEmail({ to: replyAddress, body: 'Hello' });
+
+      await expect(inboundEmailService.processInboundEmail(raw)).rejects.toThrow('connection reset');
+      const [record] = await InboundEmail.findOrCreate.mock.results[0].value;
+      expect(record.destroy).toHaveBeenCalled();
+    });
+
+    it('rejects replies from users who have left the thread', async () => {
+      messageService.sendMessage.mockRejectedValue(new Error('NOT_THREAD_MEMBER'));
+      const raw = buildEmail({ to: replyAddress, body: 'Hello' });
+
+      await expect(inboundEmailService.processInboundEmail(raw)).resolves.toEqual({ status: 'rejected' });
+      expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({
+        metadata: expect.objectContaining({ reason: 'not_thread_member' }),
+      }));
+    });
+  });
+});
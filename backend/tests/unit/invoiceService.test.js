@@ -0,0 +1,315 @@
+jest.mock('../../src/database/models', () => ({
+  Invoice: { findOne: jest.fn(), findAll: jest.fn(), findByPk: jest.fn(), create: jest.fn(), update: jest.fn() },
+  Milestone: {},
+  OrganizationMember: { findAll: jest.fn() },
+  PaymentTranche: { findOne: jest.fn(), update: jest.fn() },
+  User: {},
+  sequelize: { transaction: jest.fn() }
+}));
+
+jest.mock('../../src/services/notificationService', () => ({
+  createNotification: jest.fn(),
+  createBulkNotifications: jest.fn()
+}));
+
+jest.mock('../../src/services/pdfService', () => ({
+  generatePdfFromText: jest.fn()
+}));
+
+jest.mock('../../src/services/storage', () => {
+  const adapter = { save: jest.fn(), delete: jest.fn(), getReadStream: jest.fn() };
+  return { getStorageAdapter: () => adapter };
+});
+
+jest.mock('../../src/services/payments', () => {
+  const adapter = { provider: 'local', createPayment: jest.fn() };
+  return { getPaymentAdapter: () => adapter };
+});
+
+jest.mock('../../src/services/organizationMemberService', () => ({
+  ORGANIZATION_PERMISSIONS: { 'payments:release': ['owner', 'admin'] },
+  canInOrganization: jest.fn()
+}));
+
+jest.mock('../../src/services/budgetLedgerService', () => ({
+  loadProject: jest.fn(),
+  canViewBudget: jest.fn()
+}));
+
+jest.mock('../../src/utils/auditLogger', () => ({
+  logAudit: jest.fn(),
+  AUDIT_ACTIONS: { INVOICE_ISSUED: 'INVOICE_ISSUED', INVOICE_PAID: 'INVOICE_PAID' }
+}));
+
+const { Op } = require('sequelize');
+const {
+  Invoice,
+  OrganizationMember,
+  PaymentTranche,
+  sequelize
+} = require('../../src/database/models');
+const notificationService = require('../../src/services/notificationService');
+const pdfService = require('../../src/services/pdfService');
+const { getStorageAdapter } = require('../../src/services/storage');
+const { getPaymentAdapter } = require('../../src/services/payments');
+const { canInOrganization } = require('../../src/services/organizationMemberService');
+const budgetLedgerService = require('../../src/services/budgetLedgerService');
+const { logAudit } = require('../../src/utils/auditLogger');
+const invoiceService = require('../../src/services/invoiceService');
+
+const researcher = { id: 22, name: 'Riley', email: 'riley@example.org', role: 'researcher' };
+const payer = { id: 7, role: 'nonprofit' };
+
+const withUpdate = (record) => ({
+  ...record,
+  update: jest.fn(async function update(values) {
+    Object.assign(this, values);
+  })
+});
+
+const buildTranche = (overrides = {}) => withUpdate({
+  id: 4,
+  project_id: 5,
+  contract_id: 31,
+  amount: '1500.00',
+  status: 'planned',
+  milestone: { id: 11, name: 'Survey', status: 'completed', completed_at: new Date('2026-10-15T12:00:00Z') },
+  ...overrides
+});
+
+describe('invoiceService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sequelize.transaction.mockImplementation(async (callback) => callback('tx'));
+    budgetLedgerService.loadProject.mockResolvedValue({ project_id: 5, title: 'Food Access Study', org_id: 9 });
+    pdfService.generatePdfFromText.mockResolvedValue({ buffer: Buffer.from('pdf'), checksum: 'abc123' });
+    getStorageAdapter().save.mockResolvedValue({ storageKey: 'project-5/INV-5-4.pdf' });
+    getStorageAdapter().delete.mockResolvedValue();
+    Invoice.create.mockImplementation(async (values) => ({ id: 8, ...values }));
+    OrganizationMember.findAll.mockResolvedValue([{ user_id: 7 }]);
+    canInOrganization.mockResolvedValue(true);
+    Invoice.update.mockResolvedValue([1]);
+  });
+
+  describe('generateInvoice', () => {
+    it('renders the invoice PDF, stores it and marks the tranche invoiced', async () => {
+      const tranche = buildTranche();
+      PaymentTranche.findOne.mockResolvedValue(tranche);
+
+      const invoice = await invoiceService.generateInvoice({ researcher, projectId: 5, trancheId: 4 });
+
+      expect(PaymentTranche.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 4, project_id: 5, researcher_id: 22 }
+      }));
+      const [title, text] = pdfService.generatePdfFromText.mock.calls[0];
+      expect(title).toBe('Invoice INV-5-4');
+      expect(text).toContain('Milestone: Survey');
+      expect(text).toContain('Amount due: 1500.00');
+      expect(Invoice.create).toHaveBeenCalledWith(expect.objectContaining({
+        invoice_number: 'INV-5-4',
+        tranche_id: 4,
+        researcher_id: 22,
+        amount: '1500.00',
+        status: 'unpaid',
+        storage_key: 'project-5/INV-5-4.pdf',
+        checksum: 'abc123'
+      }), { transaction: 'tx' });
+      expect(tranche.update).toHaveBeenCalledWith({ status: 'invoiced' }, { transaction: 'tx' });
+      expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({ action: 'INVOICE_ISSUED' }));
+      expect(notificationService.createBulkNotifications).toHaveBeenCalledWith([7], expect.objectContaining({
+        type: 'invoice_issued'
+      }));
+      expect(invoice.id).toBe(8);
+    });
+
+    it('waits for the milestone to be accepted and invoices a tranche once', async () => {
+      PaymentTranche.findOne.mockResolvedValueOnce(buildTranche({ milestone: { id: 11, status: 'in_progress' } }));
+      await expect(invoiceService.generateInvoice({ researcher, projectId: 5, trancheId: 4 }))
+        .rejects.toThrow('MILESTONE_NOT_ACCEPTED');
+
+      PaymentTranche.findOne.mockResolvedValueOnce(buildTranche({ status: 'invoiced' }));
+      await expect(invoiceService.generateInvoice({ researcher, projectId: 5, trancheId: 4 }))
+        .rejects.toThrow('INVOICE_ALREADY_EXISTS');
+
+      PaymentTranche.findOne.mockResolvedValueOnce(null);
+      await expect(invoiceService.generateInvoice({ researcher, projectId: 5, trancheId: 4 }))
+        .rejects.toThrow('TRANCHE_NOT_FOUND');
+      expect(pdfService.generatePdfFromText).not.toHaveBeenCalled();
+    });
+
+    it('removes the stored PDF when the invoice cannot be saved', async () => {
+      PaymentTranche.findOne.mockResolvedValue(buildTranche());
+      const uniqueError = new Error('duplicate key');
+      uniqueError.name = 'SequelizeUniqueConstraintError';
+      Invoice.create.mockRejectedValueOnce(uniqueError);
+
+      await expect(invoiceService.generateInvoice({ researcher, projectId: 5, trancheId: 4 }))
+        .rejects.toThrow('INVOICE_ALREADY_EXISTS');
+      expect(getStorageAdapter().delete).toHaveBeenCalledWith('project-5/INV-5-4.pdf');
+    });
+  });
+
+  describe('payInvoice', () => {
+    it('pays through the payment adapter and records the payment', async () => {
+      const invoice = withUpdate({ id: 8, tranche_id: 4, researcher_id: 22, invoice_number: 'INV-5-4', amount: '1500.00', status: 'unpaid' });
+      Invoice.findOne.mockResolvedValue(invoice);
+      getPaymentAdapter().createPayment.mockResolvedValue({ provider: 'local', reference: 'local_1', status: 'succeeded' });
+
+      await invoiceService.payInvoice({ payer, projectId: 5, invoiceId: 8 });
+
+      expect(canInOrganization).toHaveBeenCalledWith(payer, 9, 'payments:release');
+      expect(Invoice.update).toHaveBeenCalledWith({
+        status: 'processing',
+        payment_idempotency_key: 'INV-5-4',
+        payment_provider: 'local',
+        processing_started_at: expect.any(Date),
+        payment_requested_by: 7
+      }, { where: { id: 8, status: 'unpaid' } });
+      expect(getPaymentAdapter().createPayment).toHaveBeenCalledWith(expect.objectContaining({
+        invoiceNumber: 'INV-5-4', amount: 1500, payeeId: 22, idempotencyKey: 'INV-5-4'
+      }));
+      expect(invoice).toEqual(expect.objectContaining({
+        status: 'paid', paid_by: 7, payment_provider: 'local', payment_reference: 'local_1'
+      }));
+      expect(PaymentTranche.update).toHaveBeenCalledWith({ status: 'paid' }, { where: { id: 4 }, transaction: 'tx' });
+      expect(notificationService.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 22, type: 'invoice_paid'
+      }));
+    });
+
+    it('does not record failed or repeated payments', async () => {
+      Invoice.findOne.mockResolvedValueOnce(withUpdate({ id: 8, status: 'paid' }));
+      await expect(invoiceService.payInvoice({ payer, projectId: 5, invoiceId: 8 }))
+        .rejects.toThrow('INVOICE_ALREADY_PAID');
+
+      const invoice = withUpdate({ id: 8, tranche_id: 4, amount: '1500.00', status: 'unpaid' });
+      Invoice.findOne.mockResolvedValueOnce(invoice);
+      getPaymentAdapter().createPayment.mockResolvedValueOnce({ provider: 'local', reference: 'local_2', status: 'failed' });
+      await expect(invoiceService.payInvoice({ payer, projectId: 5, invoiceId: 8 }))
+        .rejects.toThrow('PAYMENT_FAILED');
+      expect(invoice.update).not.toHaveBeenCalled();
+      expect(Invoice.update).toHaveBeenLastCalledWith(
+        { status: 'unpaid', processing_started_at: null },
+        { where: { id: 8, status: 'processing' } }
+      );
+
+      Invoice.findOne.mockResolvedValueOnce(invoice);
+      getPaymentAdapter().createPayment.mockRejectedValueOnce(new Error('processor unavailable'));
+      await expect(invoiceService.payInvoice({ payer, projectId: 5, invoiceId: 8 }))
+        .rejects.toThrow('processor unavailable');
+      expect(Invoice.update).toHaveBeenLastCalledWith(
+        { status: 'unpaid', processing_started_at: null },
+        { where: { id: 8, status: 'processing' } }
+      );
+
+      canInOrganization.mockResolvedValueOnce(false);
+      await expect(invoiceService.payInvoice({ payer, projectId: 5, invoiceId: 8 }))
+        .rejects.toThrow('ORGANIZATION_ACCESS_DENIED');
+    });
+
+    it('pays an invoice once when two payments race', async () => {
+      const stored = { id: 8, status: 'unpaid' };
+      Invoice.findOne.mockImplementation(async () => withUpdate({
+        id: 8, tranche_id: 4, researcher_id: 22, invoice_number: 'INV-5-4', amount: '1500.00', status: stored.status
+      }));
+      Invoice.update.mockImplementation(async (values, { where }) => {
+        if (where.status !== stored.status) return [0];
+        stored.status = values.status;
+        return [1];
+      });
+      Invoice.findByPk.mockImplementation(async () => ({ ...stored }));
+      getPaymentAdapter().createPayment.mockResolvedValue({ provider: 'local', reference: 'local_1', status: 'succeeded' });
+
+      const results = await Promise.allSettled([
+        invoiceService.payInvoice({ payer, projectId: 5, invoiceId: 8 }),
+        invoiceService.payInvoice({ payer, projectId: 5, invoiceId: 8 })
+      ]);
+
+      expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(results.find((result) => result.status === 'rejected').reason.message)
+        .toBe('INVOICE_PAYMENT_IN_PROGRESS');
+      expect(getPaymentAdapter().createPayment).toHaveBeenCalledTimes(1);
+
+      Invoice.findOne.mockResolvedValueOnce(withUpdate({ id: 8, status: 'processing' }));
+      await expect(invoiceService.payInvoice({ payer, projectId: 5, invoiceId: 8 }))
+        .rejects.toThrow('INVOICE_PAYMENT_IN_PROGRESS');
+    });
+  });
+
+  describe('reconcileStaleInvoicePayments', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+    const startedAt = new Date('2026-10-19T11:00:00Z');
+    const buildStale = (overrides = {}) => withUpdate({
+      id: 8,
+      project_id: 5,
+      tranche_id: 4,
+      researcher_id: 22,
+      invoice_number: 'INV-5-4',
+      amount: '1500.00',
+      status: 'processing',
+      payment_idempotency_key: 'INV-5-4',
+      processing_started_at: startedAt,
+      payment_requested_by: 7,
+      ...overrides
+    });
+
+    it('records a payment the processor made before the request died', async () => {
+      const invoice = buildStale();
+      Invoice.findAll.mockResolvedValueOnce([invoice]).mockResolvedValueOnce([]);
+      getPaymentAdapter().createPayment.mockResolvedValueOnce({ provider: 'local', reference: 'local_1', status: 'succeeded' });
+
+      const summary = await invoiceService.reconcileStaleInvoicePayments({ now });
+
+      expect(summary).toEqual({ scanned: 1, paid: 1, released: 0, failed: 0, completed: true });
+      expect(Invoice.findAll.mock.calls[0][0].where.status).toBe('processing');
+      expect(Invoice.update).toHaveBeenCalledWith(
+        { processing_started_at: expect.any(Date) },
+        { where: { id: 8, status: 'processing', processing_started_at: startedAt } }
+      );
+      expect(getPaymentAdapter().createPayment).toHaveBeenCalledWith(expect.objectContaining({
+        idempotencyKey: 'INV-5-4', amount: 1500, payeeId: 22
+      }));
+      expect(invoice).toEqual(expect.objectContaining({
+        status: 'paid', paid_by: 7, payment_reference: 'local_1', processing_started_at: null
+      }));
+      expect(PaymentTranche.update).toHaveBeenCalledWith({ status: 'paid' }, { where: { id: 4 }, transaction: 'tx' });
+      expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({ actorId: 7, action: 'INVOICE_PAID', entityId: 5 }));
+    });
+
+    it('releases failed payments and retries later when the processor is unavailable', async () => {
+      const failed = buildStale();
+      const unavailable = buildStale({ id: 9, tranche_id: 6, invoice_number: 'INV-5-6', payment_idempotency_key: 'INV-5-6' });
+      Invoice.findAll.mockResolvedValueOnce([failed, unavailable]).mockResolvedValueOnce([]);
+      getPaymentAdapter().createPayment
+        .mockResolvedValueOnce({ provider: 'local', reference: 'local_2', status: 'failed' })
+        .mockRejectedValueOnce(new Error('processor unavailable'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const summary = await invoiceService.reconcileStaleInvoicePayments({ now });
+      console.error.mockRestore();
+
+      expect(summary).toEqual({ scanned: 2, paid: 0, released: 1, failed: 1, completed: true });
+      expect(Invoice.update).toHaveBeenCalledWith(
+        { status: 'unpaid', processing_started_at: null },
+        { where: { id: 8, status: 'processing' } }
+      );
+      expect(Invoice.update).not.toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'unpaid' }),
+        { where: { id: 9, status: 'processing' } }
+      );
+      expect(failed.update).not.toHaveBeenCalled();
+      expect(unavailable.update).not.toHaveBeenCalled();
+      expect(Invoice.findAll.mock.calls[1][0].where.id).toEqual({ [Op.notIn]: [8, 9] });
+    });
+
+    it('skips invoices another run picked up first', async () => {
+      Invoice.findAll.mockResolvedValueOnce([buildStale()]).mockResolvedValueOnce([]);
+      Invoice.update.mockResolvedValueOnce([0]);
+
+      const summary = await invoiceService.reconcileStaleInvoicePayments({ now });
+
+      expect(summary).toEqual({ scanned: 1, paid: 0, released: 0, failed: 0, completed: true });
+      expect(getPaymentAdapter().createPayment).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,29 @@
+const LocalPaymentAdapter = require('../../src/services/payments/localPaymentAdapter');
+
+describe('LocalPaymentAdapter', () => {
+  it('records a succeeded payment that can be looked up by reference', async () => {
+    const adapter = new LocalPaymentAdapter();
+
+    const payment = await adapter.createPayment({ invoiceNumber: 'INV-5-4', amount: 1500, payeeId: 22 });
+
+    expect(payment).toEqual({ provider: 'local', reference: expect.stringMatching(/^local_/), status: 'succeeded' });
+    await expect(adapter.getPayment(payment.reference)).resolves.toEqual(expect.objectContaining({
+      invoiceNumber: 'INV-5-4',
+      amount: 1500,
+      payeeId: 22
+    }));
+  });
+
+  it('returns the original payment for a repeated idempotency key', async () => {
+    const adapter = new LocalPaymentAdapter();
+    const request = { invoiceNumber: 'INV-5-4', amount: 1500, payeeId: 22, idempotencyKey: 'INV-5-4' };
+
+    const first = await adapter.createPayment(request);
+    const second = await adapter.createPayment(request);
+    const other = await adapter.createPayment({ ...request, idempotencyKey: 'INV-5-5' });
+
+    expect(second).toEqual(first);
+    expect(other.reference).not.toBe(first.reference);
+    expect(adapter.payments.size).toBe(2);
+  });
+});
@@ -11,12 +11,17 @@ jest.mock('../../src/database/models', () => ({
   Notification: { findAll: jest.fn() }
 }));
 
-jest.mock('../../src/services/matchingService', () => ({
-  calculateMatchScore: jest.fn(() => ({
-    totalScore: 82,
-    breakdown: { expertise: 20, methods: 20, budget: 12, availability: 10, experience: 10, domain: 10 }
-  }))
-}));
+jest.mock('../../src/services/matchingService', () => {
+  const actual = jest.requireActual('../../src/services/matchingService');
+  return {
+    calculateMatchScore: jest.fn(() => ({
+      totalScore: 82,
+      breakdown: { expertise: 20, methods: 20, budget: 12, availability: 10, experience: 10, domain: 10 }
+    })),
+    loadCapacityForMatching: jest.fn(async () => new Map()),
+    withCapacity: actual.withCapacity
+  };
+});
 
 jest.mock('../../src/services/notificationService', () => ({
   createNotification: jest.fn().mockResolvedValue({ id: 1 })
@@ -151,6 +156,39 @@ describe('matchGenerationJob', () => {
     expect(notificationService.createNotification).not.toHaveBeenCalled();
   });
 
+  it('scores with blackout periods and commitments loaded once per run', async () => {
+    const blackout = { start_date: '2026-11-01', end_date: '2026-11-30' };
+    matchingService.loadCapacityForMatching.mockResolvedValueOnce(new Map([
+      [10, { blackout_periods: [blackout], commitments: [] }]
+    ]));
+    Project.findAll.mockResolvedValue([
+      { project_id: 5, org_id: 20, title: 'P5', toJSON: () => ({ project_id: 5, org_id: 20, title: 'P5' }) },
+      { project_id: 6, org_id: 20, title: 'P6', toJSON: () => ({ project_id: 6, org_id: 20, title: 'P6' }) }
+    ]);
+    ResearcherProfile.findAll.mockResolvedValue([
+      { user_id: 10, toJSON: () => ({ user_id: 10 }) },
+      { user_id: 11, toJSON: () => ({ user_id: 11 }) }
+    ]);
+    User.findAll.mockResolvedValue([{ id: 10 }, { id: 11 }]);
+    Organization.findByPk.mockResolvedValue(null);
+    Match.findOne.mockResolvedValue(null);
+    Match.create.mockResolvedValue({ id: 103 });
+    Notification.findAll.mockResolvedValue([{ metadata: { project_id: 5 } }, { metadata: { project_id: 6 } }]);
+
+    await matchGenerationJob.generateMatches();
+
+    expect(matchingService.loadCapacityForMatching).toHaveBeenCalledTimes(1);
+    expect(matchingService.loadCapacityForMatching).toHaveBeenCalledWith([10, 11]);
+    expect(matchingService.calculateMatchScore).toHaveBeenCalledWith(
+      expect.objectContaining({ project_id: 5 }),
+      { user_id: 10, blackout_periods: [blackout], commitments: [] }
+    );
+    expect(matchingService.calculateMatchScore).toHaveBeenCalledWith(
+      expect.objectContaining({ project_id: 6 }),
+      { user_id: 11 }
+    );
+  });
+
   it('scheduled callback handles runtime errors', async () => {
     schedule.scheduleJob.mockClear();
     matchGenerationJob.scheduleMatchGeneration();
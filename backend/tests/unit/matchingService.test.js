@@ -25,6 +25,13 @@ jest.mock('../../src/database/models/Application', () => ({
   findAll: jest.fn()
 }));
 
+jest.mock('../../src/database/models', () => ({}));
+
+jest.mock('../../src/services/researcherCapacityService', () => ({
+  ...jest.requireActual('../../src/services/researcherCapacityService'),
+  loadCapacityInputs: jest.fn().mockResolvedValue(new Map())
+}));
+
 const Project = require('../../src/database/models/Project');
 const ResearcherProfile = require('../../src/database/models/ResearcherProfile');
 const Organization = require('../../src/database/models/Organization');
@@ -108,6 +115,29 @@ describe('matchingService', () => {
       expect(matchingService.calculateBudgetScore({ budget_min: 1000, budget_max: 2000 }, { rate_min: 0, rate_max: 0 })).toBe(0);
     });
 
+    it('scores free scheduled hours against the project estimate when a schedule is published', () => {
+      const now = new Date('2026-10-19T12:00:00Z');
+      const weeklyHours = { monday: 2, tuesday: 2, wednesday: 2, thursday: 2, friday: 2 };
+      const project = { start_date: '2026-11-02', estimated_hours: 200 };
+
+      expect(matchingService.calculateAvailabilityScore(project, { weekly_hours: weeklyHours }, now)).toBe(8);
+
+      expect(matchingService.calculateAvailabilityScore(project, {
+        weekly_hours: weeklyHours,
+        commitments: [{ weekly_hours: 5, due_date: null }]
+      }, now)).toBe(6.5);
+
+      expect(matchingService.calculateAvailabilityScore(project, {
+        weekly_hours: weeklyHours,
+        blackout_periods: [{ start_date: '2026-11-01', end_date: '2026-11-07' }]
+      }, now)).toBe(2.8);
+
+      expect(matchingService.calculateAvailabilityScore(project, {
+        weekly_hours: weeklyHours,
+        available_start_date: '2026-12-01'
+      }, now)).toBe(3);
+    });
+
     it('calculates availability and experience tiers', () => {
       expect(
         matchingService.calculateAvailabilityScore(
@@ -0,0 +1,206 @@
+jest.mock('../../src/database/models', () => ({
+  Message: {
+    name: 'Message',
+    findAll: jest.fn(),
+    update: jest.fn(),
+    count: jest.fn(),
+  },
+  MessageRevision: {
+    name: 'MessageRevision',
+    findAll: jest.fn(),
+    update: jest.fn(),
+    count: jest.fn(),
+  },
+  ThreadDataKey: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    create: jest.fn(),
+    destroy: jest.fn(),
+  },
+  sequelize: {
+    literal: jest.fn((sql) => sql),
+  },
+}));
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { encryptMessage } = require('../../src/utils/encryption');
+
+const masterKeyOne = crypto.randomBytes(32).toString('base64');
+const masterKeyTwo = crypto.randomBytes(32).toString('base64');
+
+describe('messageKeyService', () => {
+  const previousEnv = { ...process.env };
+  let messageKeyService;
+  let Message;
+  let MessageRevision;
+  let ThreadDataKey;
+  let storedKeys;
+
+  // Fresh module state (key caches) backed by the same minimal thread_data_keys table
+  const loadService = () => {
+    jest.resetModules();
+    ({ Message, MessageRevision, ThreadDataKey } = require('../../src/database/models'));
+
+    ThreadDataKey.findOne.mockImplementation(async ({ where }) => storedKeys.find((row) => (
+      row.thread_id === where.thread_id && row.master_key_version === where.master_key_version
+    )) || null);
+    ThreadDataKey.findAll.mockImplementation(async ({ where }) => storedKeys.filter((row) => where.id.includes(row.id)));
+    ThreadDataKey.create.mockImplementation(async (values) => {
+      const row = { id: storedKeys.length + 1, ...values };
+      storedKeys.push(row);
+      return row;
+    });
+    ThreadDataKey.destroy.mockResolvedValue(0);
+    Message.update.mockResolvedValue([1]);
+    Message.count.mockResolvedValue(0);
+    MessageRevision.findAll.mockResolvedValue([]);
+    MessageRevision.count.mockResolvedValue(0);
+
+    messageKeyService = require('../../src/services/messageKeyService');
+  };
+
+  beforeEach(() => {
+    process.env.MSG_SECRET = 'legacy-secret';
+    process.env.MESSAGE_MASTER_KEYS = `1:${masterKeyOne}`;
+    delete process.env.MESSAGE_MASTER_KEY_VERSION;
+    storedKeys = [];
+    loadService();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+    console.log.mockRestore();
+  });
+
+  afterAll(() => {
+    process.env = previousEnv;
+  });
+
+  describe('getMasterKeys', () => {
+    it('uses the highest configured version and keeps the MSG_SECRET key as version 0', () => {
+      process.env.MESSAGE_MASTER_KEYS = `1:${masterKeyOne}, 2:${masterKeyTwo}`;
+
+      const { current, keys } = messageKeyService.getMasterKeys();
+
+      expect(current).toBe(2);
+      expect(Array.from(keys.keys()).sort()).toEqual([0, 1, 2]);
+    });
+
+    it('honours an explicit current version and rejects unknown ones', () => {
+      process.env.MESSAGE_MASTER_KEYS = `1:${masterKeyOne},2:${masterKeyTwo}`;
+      process.env.MESSAGE_MASTER_KEY_VERSION = '1';
+      expect(messageKeyService.getCurrentMasterKeyVersion()).toBe(1);
+
+      process.env.MESSAGE_MASTER_KEY_VERSION = '3';
+      expect(() => messageKeyService.getMasterKeys()).toThrow('MESSAGE_MASTER_KEY_VERSION 3 is not listed');
+    });
+
+    it('rejects keys of the wrong length', () => {
+      process.env.MESSAGE_MASTER_KEYS = '1:c2hvcnQ=';
+
+      expect(() => messageKeyService.getMasterKeys()).toThrow('must be a 32-byte key');
+    });
+
+    it('reports MSG_SECRET_MISSING when no key is configured', () => {
+      delete process.env.MSG_SECRET;
+      delete process.env.MESSAGE_MASTER_KEYS;
+
+      expect(() => messageKeyService.getMasterKeys()).toThrow('MSG_SECRET_MISSING');
+    });
+  });
+
+  describe('message bodies', () => {
+    it('creates one wrapped data key per thread and reuses it', async () => {
+      const first = await messageKeyService.encryptMessageBody(10, 'hello');
+      const second = await messageKeyService.encryptMessageBody(10, 'again');
+
+      expect(ThreadDataKey.create).toHaveBeenCalledTimes(1);
+      expect(storedKeys[0]).toEqual(expect.objectContaining({ thread_id: 10, master_key_version: 1 }));
+      expect(storedKeys[0].wrapped_key).not.toContain(first.body);
+      expect(first.key_id).toBe(1);
+      expect(second.key_id).toBe(1);
+    });
+
+    it('decrypts envelope, legacy and plaintext bodies and falls back to a placeholder', async () => {
+      const { body, key_id: keyId } = await messageKeyService.encryptMessageBody(10, 'enveloped');
+      loadService();
+
+      const rows = [
+        { id: 1, thread_id: 10, key_id: keyId, body },
+        { id: 2, thread_id: 10, key_id: null, body: encryptMessage('legacy', 'legacy-secret') },
+        { id: 3, thread_id: 10, key_id: null, body: 'plain text row' },
+        { id: 4, thread_id: 11, key_id: keyId, body },
+      ];
+      const decryptBody = await messageKeyService.createBodyDecryptor(rows);
+
+      expect(ThreadDataKey.findAll).toHaveBeenCalledTimes(1);
+      expect(rows.map(decryptBody)).toEqual([
+        'enveloped',
+        'legacy',
+        'plain text row',
+        messageKeyService.MESSAGE_DECRYPTION_PLACEHOLDER,
+      ]);
+    });
+
+    it('cannot read data keys whose master key version was removed', async () => {
+      const { body, key_id: keyId } = await messageKeyService.encryptMessageBody(10, 'secret');
+      process.env.MESSAGE_MASTER_KEYS = `2:${masterKeyTwo}`;
+      loadService();
+
+      const decryptBody = await messageKeyService.createBodyDecryptor([{ id: 1, thread_id: 10, key_id: keyId, body }]);
+
+      expect(decryptBody({ id: 1, thread_id: 10, key_id: keyId, body })).toBe(
+        messageKeyService.MESSAGE_DECRYPTION_PLACEHOLDER
+      );
+    });
+  });
+
+  describe('reencryptStaleMessages', () => {
+    it('moves legacy and old-version messages to the current master key', async () => {
+      const old = await messageKeyService.encryptMessageBody(10, 'old version');
+      process.env.MESSAGE_MASTER_KEYS = `1:${masterKeyOne},2:${masterKeyTwo}`;
+
+      const rows = [
+        { id: 5, thread_id: 10, key_id: old.key_id, body: old.body },
+        { id: 6, thread_id: 10, key_id: null, body: encryptMessage('legacy', 'legacy-secret') },
+        { id: 7, thread_id: 10, key_id: null, body: '{"iv":"00","ciphertext":"broken"}' },
+      ];
+      Message.findAll.mockResolvedValueOnce(rows).mockResolvedValueOnce([]);
+      Message.update.mockResolvedValueOnce([1]).mockResolvedValueOnce([0]);
+      ThreadDataKey.destroy.mockResolvedValue(1);
+      Message.count.mockResolvedValue(1);
+
+      const summary = await messageKeyService.reencryptStaleMessages({ batchSize: 3 });
+
+      expect(summary).toEqual({
+        masterKeyVersion: 2,
+        scanned: 3,
+        reencrypted: 1,
+        skipped: 1,
+        failed: 1,
+        retiredKeys: 1,
+        remaining: 1,
+        completed: true,
+      });
+      expect(Message.findAll.mock.calls[1][0].where.id).toEqual({ [Op.gt]: 7 });
+
+      const newKey = storedKeys.find((row) => row.master_key_version === 2);
+      const [values, options] = Message.update.mock.calls[0];
+      expect(values.key_id).toBe(newKey.id);
+      expect(options.where).toEqual({ id: 5, body: old.body });
+
+      const decryptBody = await messageKeyService.createBodyDecryptor([{ ...values, id: 5, thread_id: 10 }]);
+      expect(decryptBody({ ...values, id: 5, thread_id: 10 })).toBe('old version');
+    });
+
+    it('stops when the time budget is spent', async () => {
+      const summary = await messageKeyService.reencryptStaleMessages({ maxDurationMs: -1 });
+
+      expect(Message.findAll).not.toHaveBeenCalled();
+      expect(summary.completed).toBe(false);
+    });
+  });
+});
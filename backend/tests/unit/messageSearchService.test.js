@@ -0,0 +1,130 @@
+jest.mock('../../src/database/models', () => ({
+  Message: {
+    findAll: jest.fn(),
+    update: jest.fn(),
+    count: jest.fn(),
+  },
+  MessageSearchToken: {
+    destroy: jest.fn(),
+    bulkCreate: jest.fn(),
+  },
+  sequelize: {
+    query: jest.fn(),
+    transaction: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/services/messageKeyService', () => ({
+  loadDataKeys: jest.fn(),
+  decryptMessageBody: jest.fn(),
+}));
+
+const { Message, MessageSearchToken, sequelize } = require('../../src/database/models');
+const messageKeyService = require('../../src/services/messageKeyService');
+const messageSearchService = require('../../src/services/messageSearchService');
+
+describe('messageSearchService', () => {
+  const originalSearchKey = process.env.MESSAGE_SEARCH_KEY;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.MSG_SECRET = 'test-secret';
+    delete process.env.MESSAGE_SEARCH_KEY;
+    sequelize.transaction.mockImplementation(async (callback) => callback({}));
+  });
+
+  afterAll(() => {
+    if (originalSearchKey === undefined) {
+      delete process.env.MESSAGE_SEARCH_KEY;
+    } else {
+      process.env.MESSAGE_SEARCH_KEY = originalSearchKey;
+    }
+  });
+
+  it('indexes words and their prefixes without accents or case', () => {
+    const tokens = messageSearchService.tokenizeForIndex('Draft Résumé, v2 a');
+
+    expect(tokens).toEqual(expect.arrayContaining(['draft', 'dra', 'draf', 'resume', 'res', 'resu', 'resum', 'v2']));
+    expect(tokens).not.toContain('a');
+    expect(tokens).not.toContain('dr');
+  });
+
+  it('hashes tokens with a key derived from the configured secret', () => {
+    const first = messageSearchService.hashToken('budget');
+
+    expect(first).toMatch(/^[0-9a-f]{32}$/);
+    expect(messageSearchService.hashToken('budget')).toBe(first);
+
+    process.env.MESSAGE_SEARCH_KEY = 'another-secret';
+    expect(messageSearchService.hashToken('budget')).not.toBe(first);
+  });
+
+  it('replaces the stored tokens of a message', async () => {
+    await messageSearchService.indexMessage({ id: 5, thread_id: 9 }, 'Budget budget', { transaction: 'tx' });
+
+    expect(MessageSearchToken.destroy).toHaveBeenCalledWith({ where: { message_id: 5 }, transaction: 'tx' });
+    const rows = MessageSearchToken.bulkCreate.mock.calls[0][0];
+    expect(rows).toHaveLength(messageSearchService.tokenizeForIndex('budget').length);
+    expect(rows[0]).toEqual({ message_id: 5, thread_id: 9, token_hash: expect.stringMatching(/^[0-9a-f]{32}$/) });
+    expect(JSON.stringify(rows)).not.toContain('budget');
+  });
+
+  it('requires every query term to match within the caller threads', async () => {
+    sequelize.query.mockResolvedValue([{ message_id: '12' }, { message_id: '4' }]);
+
+    const result = await messageSearchService.findMatchingMessageIds({
+      userId: 1,
+      query: 'Final REPORT final',
+      threadId: 3,
+      limit: 20,
+    });
+
+    expect(result).toEqual({ ids: [12, 4], terms: ['final', 'report'] });
+    const [sql, options] = sequelize.query.mock.calls[0];
+    expect(sql).toContain('tp.user_id = :userId');
+    expect(sql).toContain('AND t.thread_id = :threadId');
+    expect(sql).not.toContain(':before');
+    expect(options.replacements).toEqual(expect.objectContaining({
+      userId: 1,
+      threadId: 3,
+      termCount: 2,
+      hashes: [messageSearchService.hashToken('final'), messageSearchService.hashToken('report')],
+    }));
+  });
+
+  it('rejects queries without searchable terms', async () => {
+    await expect(messageSearchService.findMatchingMessageIds({ userId: 1, query: ' ! a ', limit: 20 }))
+      .rejects.toThrow('INVALID_SEARCH_QUERY');
+    expect(sequelize.query).not.toHaveBeenCalled();
+  });
+
+  it('backfills unindexed messages and skips rows changed since they were read', async () => {
+    Message.findAll
+      .mockResolvedValueOnce([
+        { id: 1, thread_id: 9, body: 'enc-1', key_id: 2 },
+        { id: 2, thread_id: 9, body: 'enc-2', key_id: 2 },
+        { id: 3, thread_id: 9, body: 'enc-3', key_id: 2 },
+      ])
+      .mockResolvedValueOnce([]);
+    Message.count.mockResolvedValue(0);
+    messageKeyService.loadDataKeys.mockResolvedValue(new Map());
+    messageKeyService.decryptMessageBody.mockImplementation((row) => {
+      if (row.id === 3) {
+        throw new Error('DECRYPT_MESSAGE_FAILED');
+      }
+      return `message ${row.id}`;
+    });
+    Message.update.mockResolvedValueOnce([1]).mockResolvedValueOnce([0]);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const summary = await messageSearchService.indexPendingMessages({ batchSize: 3 });
+
+    expect(summary).toEqual({ scanned: 3, indexed: 1, skipped: 1, failed: 1, remaining: 0, completed: true });
+    expect(Message.update).toHaveBeenCalledWith(
+      { search_indexed_at: expect.any(Date) },
+      expect.objectContaining({ where: { search_indexed_at: null, deleted_at: null, id: 1, body: 'enc-1' } })
+    );
+    expect(MessageSearchToken.bulkCreate).toHaveBeenCalledTimes(1);
+    console.warn.mockRestore();
+  });
+});
@@ -1,5 +1,6 @@
 jest.mock('../../src/database', () => ({
   transaction: jest.fn(),
+  literal: jest.fn((sql) => sql),
 }));
 
 jest.mock('../../src/database/models', () => ({
@@ -15,12 +16,24 @@ jest.mock('../../src/database/models', () => ({
   },
   Message: {
     create: jest.fn(),
+    findOne: jest.fn(),
+    findAll: jest.fn(),
   },
   MessageAttachment: {
     bulkCreate: jest.fn(),
   },
+  MessageRevision: {
+    count: jest.fn(),
+    create: jest.fn(),
+  },
+  MessageReaction: {
+    findAll: jest.fn(),
+    findOrCreate: jest.fn(),
+    destroy: jest.fn(),
+  },
   User: {
     findByPk: jest.fn(),
+    findAll: jest.fn(),
     getAttributes: jest.fn(() => ({ id: {}, name: {}, email: {} })),
   },
 }));
@@ -29,9 +42,21 @@ jest.mock('../../src/services/notificationService', () => ({
   createBulkNotifications: jest.fn(),
 }));
 
-jest.mock('../../src/utils/encryption', () => ({
-  encryptMessage: jest.fn(() => 'encrypted-body'),
-  decryptMessage: jest.fn(),
+jest.mock('../../src/services/realtimeService', () => ({
+  publishToUsers: jest.fn(),
+  getMaxPayloadBytes: jest.fn(() => Infinity),
+}));
+
+jest.mock('../../src/services/messageKeyService', () => ({
+  getMasterKeys: jest.fn(),
+  encryptMessageBody: jest.fn(async () => ({ body: 'encrypted-body', key_id: 7 })),
+  createBodyDecryptor: jest.fn(),
+}));
+
+jest.mock('../../src/services/messageSearchService', () => ({
+  indexMessage: jest.fn(),
+  removeMessageFromIndex: jest.fn(),
+  findMatchingMessageIds: jest.fn(),
 }));
 
 const sequelize = require('../../src/database');
@@ -40,10 +65,22 @@ const {
   ThreadParticipant,
   Message,
   MessageAttachment,
+  MessageRevision,
+  MessageReaction,
   User,
 } = require('../../src/database/models');
 const notificationService = require('../../src/services/notificationService');
-const { sendMessage } = require('../../src/services/messageService');
+const realtimeService = require('../../src/services/realtimeService');
+const messageKeyService = require('../../src/services/messageKeyService');
+const messageSearchService = require('../../src/services/messageSearchService');
+const {
+  getUserThreads,
+  updateThreadSettings,
+  sendMessage,
+  editMessage,
+  deleteMessage,
+  addReaction,
+} = require('../../src/services/messageService');
 
 describe('messageService.sendMessage', () => {
   beforeEach(() => {
@@ -87,6 +124,7 @@ describe('messageService.sendMessage', () => {
     ThreadParticipant.increment.mockResolvedValue([1]);
     ThreadParticipant.update.mockResolvedValue([1]);
     notificationService.createBulkNotifications.mockResolvedValue([]);
+    realtimeService.publishToUsers.mockResolvedValue(true);
   });
 
   it('notifies non-sender participants after a successful send', async () => {
@@ -102,6 +140,8 @@ describe('messageService.sendMessage', () => {
         thread_id: 10,
         sender_id: 1,
         body: 'Hello team',
+        parent_message_id: null,
+        mentions: [],
         created_at: new Date('2026-05-05T10:00:00.000Z'),
         attachments: [],
       },
@@ -124,4 +164,372 @@ describe('messageService.sendMessage', () => {
       })
     );
   });
-});
\ No newline at end of file
+
+  it('stores the body encrypted with the thread data key', async () => {
+    await sendMessage({
+      threadId: 10,
+      senderId: 1,
+      body: ' Hello team ',
+    });
+
+    expect(messageKeyService.encryptMessageBody).toHaveBeenCalledWith(10, 'Hello team');
+    expect(Message.create).toHaveBeenCalledWith(
+      {
+        thread_id: 10,
+        sender_id: 1,
+        body: 'encrypted-body',
+        key_id: 7,
+        parent_message_id: null,
+        search_indexed_at: expect.any(Date),
+      },
+      expect.any(Object)
+    );
+    expect(messageSearchService.indexMessage).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 99 }),
+      'Hello team',
+      expect.any(Object)
+    );
+  });
+
+  it('only accepts a parent message from the same thread', async () => {
+    Message.findOne.mockResolvedValueOnce(null);
+
+    await expect(sendMessage({ threadId: 10, senderId: 1, body: 'Agreed', parentMessageId: 55 }))
+      .rejects.toThrow('INVALID_PARENT_MESSAGE');
+    expect(Message.findOne).toHaveBeenCalledWith(expect.objectContaining({ where: { id: 55, thread_id: 10 } }));
+    expect(Message.create).not.toHaveBeenCalled();
+
+    Message.findOne.mockResolvedValueOnce({ id: 55 });
+    const result = await sendMessage({ threadId: 10, senderId: 1, body: 'Agreed', parentMessageId: '55' });
+
+    expect(result.message.parent_message_id).toBe(55);
+    expect(Message.create).toHaveBeenCalledWith(
+      expect.objectContaining({ parent_message_id: 55 }),
+      expect.any(Object)
+    );
+  });
+
+  it('sends mentioned participants a mention instead of the regular notification', async () => {
+    User.findAll.mockResolvedValue([
+      { id: 2, name: 'Bob Stone', email: 'bob.stone@example.com' },
+      { id: 3, name: 'Carol King', email: 'carol@example.com' },
+    ]);
+
+    const result = await sendMessage({
+      threadId: 10,
+      senderId: 1,
+      body: 'Can @[bob stone] review this? cc @carol.',
+    });
+
+    expect(result.message.mentions).toEqual([2, 3]);
+    expect(notificationService.createBulkNotifications).toHaveBeenCalledTimes(1);
+    expect(notificationService.createBulkNotifications).toHaveBeenCalledWith(
+      [2, 3],
+      expect.objectContaining({
+        type: 'message_mention',
+        message: 'Alice Sender mentioned you',
+        metadata: expect.objectContaining({ message_id: 99, thread_id: 10 }),
+      })
+    );
+  });
+
+  it('ignores mentions of people outside the thread and email addresses', async () => {
+    User.findAll.mockResolvedValue([
+      { id: 2, name: 'Bob Stone', email: 'bob@example.com' },
+      { id: 3, name: 'Carol King', email: 'carol@example.com' },
+    ]);
+
+    const result = await sendMessage({
+      threadId: 10,
+      senderId: 1,
+      body: 'Ask @dave or write to bob@example.com, thanks @BobStone',
+    });
+
+    expect(result.message.mentions).toEqual([2]);
+    expect(notificationService.createBulkNotifications).toHaveBeenCalledWith(
+      [3],
+      expect.objectContaining({ type: 'message_received' })
+    );
+    expect(notificationService.createBulkNotifications).toHaveBeenCalledWith(
+      [2],
+      expect.objectContaining({ type: 'message_mention' })
+    );
+  });
+
+  it('publishes the new message to every participant including the sender', async () => {
+    await sendMessage({
+      threadId: 10,
+      senderId: 1,
+      body: 'Hello team',
+    });
+
+    expect(realtimeService.publishToUsers).toHaveBeenCalledWith({
+      topic: 'messages',
+      userIds: [1, 2, 3],
+      event: 'message.created',
+      data: {
+        thread_id: 10,
+        message: expect.objectContaining({
+          id: 99,
+          body: 'Hello team',
+          sender: { id: 1, name: 'Alice Sender' },
+        }),
+      },
+    });
+  });
+
+  it('omits oversized bodies from the realtime event', async () => {
+    realtimeService.getMaxPayloadBytes.mockReturnValue(1500);
+
+    await sendMessage({
+      threadId: 10,
+      senderId: 1,
+      body: 'x'.repeat(2000),
+    });
+
+    expect(realtimeService.publishToUsers).toHaveBeenCalledWith(
+      expect.objectContaining({
+        data: expect.objectContaining({
+          message: expect.objectContaining({ body: null, body_omitted: true }),
+        }),
+      })
+    );
+  });
+});
+
+describe('messageService message changes', () => {
+  const buildMessage = (overrides = {}) => ({
+    id: 99,
+    thread_id: 10,
+    sender_id: 1,
+    body: 'old-encrypted-body',
+    key_id: 3,
+    created_at: new Date(),
+    edited_at: null,
+    deleted_at: null,
+    update: jest.fn(function update(values) {
+      Object.assign(this, values);
+      return Promise.resolve(this);
+    }),
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.MESSAGE_EDIT_WINDOW_MINUTES;
+
+    const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+    sequelize.transaction.mockImplementation(async (callback) => callback(transaction));
+    ThreadParticipant.findOne.mockResolvedValue({ thread_id: 10, user_id: 1 });
+    ThreadParticipant.findAll.mockResolvedValue([{ user_id: 1 }, { user_id: 2 }]);
+    MessageRevision.count.mockResolvedValue(0);
+    MessageRevision.create.mockResolvedValue({});
+    MessageReaction.findAll.mockResolvedValue([]);
+    realtimeService.publishToUsers.mockResolvedValue(true);
+    realtimeService.getMaxPayloadBytes.mockReturnValue(Infinity);
+  });
+
+  it('keeps the replaced body as a revision when editing', async () => {
+    const message = buildMessage();
+    Message.findOne.mockResolvedValue(message);
+
+    const result = await editMessage({ threadId: 10, messageId: 99, userId: 1, body: ' Fixed typo ' });
+
+    expect(MessageRevision.create).toHaveBeenCalledWith(
+      {
+        message_id: 99,
+        revision_number: 1,
+        body: 'old-encrypted-body',
+        key_id: 3,
+        edited_by: 1,
+      },
+      expect.any(Object)
+    );
+    expect(message.update).toHaveBeenCalledWith(
+      expect.objectContaining({ body: 'encrypted-body', key_id: 7, edited_at: expect.any(Date) }),
+      expect.any(Object)
+    );
+    expect(result.message).toEqual(expect.objectContaining({ body: 'Fixed typo', is_deleted: false }));
+    expect(realtimeService.publishToUsers).toHaveBeenCalledWith(
+      expect.objectContaining({ event: 'message.updated', userIds: [1, 2] })
+    );
+  });
+
+  it('rejects edits after the edit window and by other participants', async () => {
+    process.env.MESSAGE_EDIT_WINDOW_MINUTES = '5';
+    Message.findOne.mockResolvedValue(buildMessage({ created_at: new Date(Date.now() - 6 * 60 * 1000) }));
+
+    await expect(editMessage({ threadId: 10, messageId: 99, userId: 1, body: 'Late' }))
+      .rejects.toThrow('EDIT_WINDOW_EXPIRED');
+
+    Message.findOne.mockResolvedValue(buildMessage({ sender_id: 2 }));
+    await expect(editMessage({ threadId: 10, messageId: 99, userId: 1, body: 'Not mine' }))
+      .rejects.toThrow('NOT_MESSAGE_SENDER');
+    expect(MessageRevision.create).not.toHaveBeenCalled();
+  });
+
+  it('does not let the subject of a system message change it', async () => {
+    Message.findOne.mockResolvedValue(buildMessage({ system_event: { type: 'member_added', user_id: 1 } }));
+
+    await expect(editMessage({ threadId: 10, messageId: 99, userId: 1, body: 'Rewritten' }))
+      .rejects.toThrow('NOT_MESSAGE_SENDER');
+    await expect(deleteMessage({ threadId: 10, messageId: 99, userId: 1 }))
+      .rejects.toThrow('NOT_MESSAGE_SENDER');
+  });
+
+  it('soft-deletes and returns a tombstone', async () => {
+    const message = buildMessage();
+    Message.findOne.mockResolvedValue(message);
+
+    const result = await deleteMessage({ threadId: 10, messageId: 99, userId: 1 });
+
+    expect(message.update).toHaveBeenCalledWith({ deleted_at: expect.any(Date), deleted_by: 1 });
+    expect(result.message).toEqual(expect.objectContaining({
+      id: 99,
+      body: '[Message removed]',
+      is_deleted: true,
+      attachments: [],
+    }));
+    expect(realtimeService.publishToUsers).toHaveBeenCalledWith(
+      expect.objectContaining({ event: 'message.deleted' })
+    );
+  });
+
+  it('aggregates reactions per emoji', async () => {
+    Message.findOne.mockResolvedValue(buildMessage());
+    MessageReaction.findOrCreate.mockResolvedValue([{}, true]);
+    MessageReaction.findAll.mockResolvedValue([
+      { message_id: 99, user_id: 2, emoji: '👍' },
+      { message_id: 99, user_id: 1, emoji: '🎉' },
+      { message_id: 99, user_id: 1, emoji: '👍' },
+    ]);
+
+    const result = await addReaction({ threadId: 10, messageId: 99, userId: 1, emoji: '👍' });
+
+    expect(MessageReaction.findOrCreate).toHaveBeenCalledWith({
+      where: { message_id: 99, user_id: 1, emoji: '👍' },
+    });
+    expect(result).toEqual({
+      message_id: 99,
+      reactions: [
+        { emoji: '👍', count: 2, user_ids: [2, 1], reacted: true },
+        { emoji: '🎉', count: 1, user_ids: [1], reacted: true },
+      ],
+    });
+  });
+
+  it('only accepts a single emoji as a reaction', async () => {
+    await expect(addReaction({ threadId: 10, messageId: 99, userId: 1, emoji: 'lol' }))
+      .rejects.toThrow('INVALID_REACTION');
+    await expect(addReaction({ threadId: 10, messageId: 99, userId: 1, emoji: '👍👍' }))
+      .rejects.toThrow('INVALID_REACTION');
+    await expect(addReaction({ threadId: 10, messageId: 99, userId: 1, emoji: '🇺' }))
+      .rejects.toThrow('INVALID_REACTION');
+  });
+
+  it('accepts ZWJ sequences, skin tones, keycaps and flags as one emoji', async () => {
+    Message.findOne.mockResolvedValue(buildMessage());
+    MessageReaction.findOrCreate.mockResolvedValue([{}, true]);
+    MessageReaction.findAll.mockResolvedValue([]);
+
+    for (const emoji of ['👩‍💻', '👨‍👩‍👧', '🏳️‍🌈', '👍🏽', '1️⃣', '🇺🇸', '🏴󠁧󠁢󠁥󠁮󠁧󠁿']) {
+      await addReaction({ threadId: 10, messageId: 99, userId: 1, emoji });
+      expect(MessageReaction.findOrCreate).toHaveBeenLastCalledWith({
+        where: { message_id: 99, user_id: 1, emoji },
+      });
+    }
+  });
+});
+
+describe('messageService thread settings', () => {
+  const buildMembership = (overrides = {}) => ({
+    thread_id: 10,
+    user_id: 1,
+    muted_at: null,
+    muted_until: null,
+    archived_at: null,
+    pinned_at: null,
+    update: jest.fn(function update(values) {
+      Object.assign(this, values);
+      return Promise.resolve(this);
+    }),
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Thread.findByPk.mockResolvedValue({ id: 10 });
+    realtimeService.publishToUsers.mockResolvedValue(true);
+  });
+
+  it('mutes until a time and pins for the caller only', async () => {
+    const membership = buildMembership();
+    ThreadParticipant.findOne.mockResolvedValue(membership);
+    const until = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    const settings = await updateThreadSettings({ threadId: 10, userId: 1, mutedUntil: until, pinned: true });
+
+    expect(settings).toEqual(expect.objectContaining({
+      thread_id: 10,
+      is_muted: true,
+      muted_until: new Date(until),
+      is_pinned: true,
+      is_archived: false,
+    }));
+    expect(membership.update).toHaveBeenCalledWith({
+      muted_at: expect.any(Date),
+      muted_until: new Date(until),
+      pinned_at: expect.any(Date),
+    });
+    expect(realtimeService.publishToUsers).toHaveBeenCalledWith(expect.objectContaining({
+      userIds: [1],
+      event: 'thread.settings',
+    }));
+  });
+
+  it('rejects mute times in the past and non-members', async () => {
+    await expect(updateThreadSettings({ threadId: 10, userId: 1, muted: true, mutedUntil: '2020-01-01T00:00:00Z' }))
+      .rejects.toThrow('INVALID_MUTE_UNTIL');
+
+    ThreadParticipant.findOne.mockResolvedValue(null);
+    await expect(updateThreadSettings({ threadId: 10, userId: 1, archived: true }))
+      .rejects.toThrow('NOT_THREAD_MEMBER');
+  });
+
+  it('hides archived threads by default and lists pinned threads first', async () => {
+    ThreadParticipant.findAll.mockResolvedValueOnce([]);
+
+    await getUserThreads(1);
+
+    expect(ThreadParticipant.findAll).toHaveBeenCalledWith(expect.objectContaining({
+      where: { user_id: 1, archived_at: null },
+      order: [
+        ['pinned_at', 'DESC NULLS LAST'],
+        [{ model: Thread, as: 'thread' }, 'last_message_at', 'DESC'],
+      ],
+    }));
+    await expect(getUserThreads(1, { filter: 'unknown' })).rejects.toThrow('INVALID_THREAD_FILTER');
+  });
+
+  it('treats expired mutes as unmuted', async () => {
+    ThreadParticipant.findAll.mockResolvedValueOnce([
+      buildMembership({
+        thread_id: 10,
+        muted_at: new Date('2026-01-01T00:00:00Z'),
+        muted_until: new Date('2026-01-02T00:00:00Z'),
+        thread: { id: 10, thread_type: 'group', name: 'Team' },
+      }),
+      buildMembership({
+        thread_id: 11,
+        muted_at: new Date('2026-01-01T00:00:00Z'),
+        thread: { id: 11, thread_type: 'group', name: 'Ops' },
+      }),
+    ]);
+    Message.findAll.mockResolvedValue([]);
+    messageKeyService.createBodyDecryptor.mockResolvedValue(() => '');
+
+    const threads = await getUserThreads(1, { filter: 'muted' });
+
+    expect(threads.map((thread) => [thread.id, thread.is_muted])).toEqual([[11, true]]);
+  });
+});
@@ -0,0 +1,132 @@
+jest.mock('../../src/database/models', () => ({
+  MilestoneChecklistItem: {
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    destroy: jest.fn(),
+    max: jest.fn()
+  },
+  MilestoneResearcher: { findOne: jest.fn() },
+  User: {},
+  sequelize: { transaction: jest.fn() }
+}));
+
+const { MilestoneChecklistItem, MilestoneResearcher, sequelize } = require('../../src/database/models');
+const milestoneChecklistService = require('../../src/services/milestoneChecklistService');
+
+const buildItem = (overrides = {}) => ({
+  id: 2,
+  milestone_id: 11,
+  assignee_id: 22,
+  is_completed: true,
+  completed_at: new Date('2026-10-01T10:00:00Z'),
+  completed_by: 22,
+  update: jest.fn().mockResolvedValue(true),
+  ...overrides
+});
+
+describe('milestoneChecklistService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sequelize.transaction.mockImplementation(async (callback) => callback('tx'));
+    MilestoneChecklistItem.findAll.mockResolvedValue([]);
+    MilestoneResearcher.findOne.mockResolvedValue({ researcher_id: 22 });
+  });
+
+  it('validates titles, assignees, due dates and completion flags', () => {
+    expect(milestoneChecklistService.parseChecklistInput({
+      title: '  Draft survey ', assignee_id: '22', due_date: '2026-11-30', is_completed: false
+    })).toEqual({ title: 'Draft survey', assignee_id: 22, due_date: '2026-11-30', is_completed: false });
+    expect(milestoneChecklistService.parseChecklistInput({ assignee_id: null, due_date: '' }, { partial: true }))
+      .toEqual({ assignee_id: null, due_date: null });
+
+    expect(() => milestoneChecklistService.parseChecklistInput({})).toThrow('INVALID_CHECKLIST_TITLE');
+    expect(() => milestoneChecklistService.parseChecklistInput({ title: 'x'.repeat(256) }))
+      .toThrow('INVALID_CHECKLIST_TITLE');
+    expect(() => milestoneChecklistService.parseChecklistInput({ assignee_id: 'me' }, { partial: true }))
+      .toThrow('INVALID_CHECKLIST_ASSIGNEE');
+    expect(() => milestoneChecklistService.parseChecklistInput({ due_date: '2026-02-30' }, { partial: true }))
+      .toThrow('INVALID_CHECKLIST_DUE_DATE');
+    expect(() => milestoneChecklistService.parseChecklistInput({ is_completed: 'yes' }, { partial: true }))
+      .toThrow('INVALID_CHECKLIST_COMPLETION');
+  });
+
+  it('appends new items after the last position', async () => {
+    MilestoneChecklistItem.max.mockResolvedValueOnce(3);
+
+    await milestoneChecklistService.createItem({
+      milestoneId: 11,
+      input: { title: 'Draft survey', assignee_id: 22 },
+      userId: 7
+    });
+
+    expect(MilestoneChecklistItem.create).toHaveBeenCalledWith({
+      title: 'Draft survey',
+      assignee_id: 22,
+      is_completed: false,
+      completed_at: null,
+      completed_by: null,
+      milestone_id: 11,
+      position: 4,
+      created_by: 7
+    });
+  });
+
+  it('clears completion details when an item is unchecked and keeps an unchanged assignee', async () => {
+    const item = buildItem();
+    MilestoneChecklistItem.findOne.mockResolvedValueOnce(item);
+
+    await milestoneChecklistService.updateItem({
+      milestoneId: 11,
+      itemId: 2,
+      input: { assignee_id: 22, is_completed: false },
+      userId: 7
+    });
+
+    expect(MilestoneResearcher.findOne).not.toHaveBeenCalled();
+    expect(item.update).toHaveBeenCalledWith({
+      assignee_id: 22,
+      is_completed: false,
+      completed_at: null,
+      completed_by: null
+    });
+  });
+
+  it('reorders only when every item is listed exactly once', async () => {
+    MilestoneChecklistItem.findAll.mockResolvedValue([{ id: 1 }, { id: 2 }, { id: 3 }]);
+
+    await expect(milestoneChecklistService.reorderItems({ milestoneId: 11, itemIds: [3, 1] }))
+      .rejects.toThrow('CHECKLIST_ORDER_MISMATCH');
+    await expect(milestoneChecklistService.reorderItems({ milestoneId: 11, itemIds: [3, 1, 1] }))
+      .rejects.toThrow('CHECKLIST_ORDER_MISMATCH');
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+
+    await milestoneChecklistService.reorderItems({ milestoneId: 11, itemIds: [3, '1', 2] });
+    expect(MilestoneChecklistItem.update.mock.calls.map(([values, { where }]) => [where.id, values.position]))
+      .toEqual([[3, 0], [1, 1], [2, 2]]);
+  });
+
+  it('rolls milestone progress up into project progress', () => {
+    const summary = milestoneChecklistService.summarizeItems([
+      { is_completed: true, due_date: null },
+      { is_completed: false, due_date: '2026-10-18' },
+      { is_completed: false, due_date: '2026-10-19' }
+    ], { today: '2026-10-19' });
+    expect(summary).toEqual({ total: 3, completed: 1, overdue: 1, completion_rate: 33 });
+
+    const milestones = [
+      { id: 1, status: 'in_progress' },
+      { id: 2, status: 'completed' },
+      { id: 3, status: 'pending' },
+      { id: 4, status: 'cancelled' }
+    ];
+    const summaries = new Map([[1, summary]]);
+    expect(milestones.map((milestone) => milestoneChecklistService.getMilestoneProgress(
+      milestone,
+      summaries.get(milestone.id)
+    ))).toEqual([33, 100, 0, null]);
+    expect(milestoneChecklistService.getProjectProgress(milestones, summaries)).toBe(44);
+    expect(milestoneChecklistService.getProjectProgress([], summaries)).toBe(0);
+  });
+});
@@ -11,6 +11,9 @@ jest.mock('../../src/utils/auditLogger', () => ({
     MILESTONE_REQUEST_CREATED: 'MILESTONE_REQUEST_CREATED',
     MILESTONE_REQUEST_APPROVED: 'MILESTONE_REQUEST_APPROVED',
     MILESTONE_REQUEST_REJECTED: 'MILESTONE_REQUEST_REJECTED',
+    MILESTONE_SUBMISSION_CREATED: 'MILESTONE_SUBMISSION_CREATED',
+    MILESTONE_SUBMISSION_ACCEPTED: 'MILESTONE_SUBMISSION_ACCEPTED',
+    MILESTONE_SUBMISSION_REJECTED: 'MILESTONE_SUBMISSION_REJECTED',
     PROJECT_RESEARCHER_ACCESS_UPDATED: 'PROJECT_RESEARCHER_ACCESS_UPDATED'
   },
   logAudit: jest.fn().mockResolvedValue(undefined)
@@ -23,17 +26,44 @@ jest.mock('../../src/services/milestoneAccessService', () => ({
   hasAcceptedProjectParticipation: jest.fn().mockResolvedValue(true)
 }));
 
+jest.mock('../../src/services/projectChannelService', () => ({
+  syncProjectChannelSafely: jest.fn().mockResolvedValue(null)
+}));
+
+jest.mock('../../src/services/organizationMemberService', () => ({
+  canInOrganization: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../../src/services/researcherCapacityService', () => ({
+  ...jest.requireActual('../../src/services/researcherCapacityService'),
+  getAssignmentCapacityWarnings: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../../src/services/milestoneSubmissionService', () => ({
+  ...jest.requireActual('../../src/services/milestoneSubmissionService'),
+  createSubmission: jest.fn(),
+  listSubmissions: jest.fn(),
+  reviewSubmission: jest.fn()
+}));
+
 jest.mock('../../src/database/models', () => ({
   Milestone: {
     create: jest.fn(),
     findAll: jest.fn(),
-    findOne: jest.fn()
+    findOne: jest.fn(),
+    findByPk: jest.fn()
+  },
+  MilestoneDependency: {
+    findAll: jest.fn(),
+    destroy: jest.fn(),
+    bulkCreate: jest.fn()
   },
   MilestoneResearcher: {
     findAll: jest.fn(),
     findOne: jest.fn(),
     destroy: jest.fn(),
     bulkCreate: jest.fn(),
+    update: jest.fn(),
     count: jest.fn(),
     findOrCreate: jest.fn()
   },
@@ -43,6 +73,14 @@ jest.mock('../../src/database/models', () => ({
     findAll: jest.fn(),
     count: jest.fn()
   },
+  MilestoneChecklistItem: {
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    destroy: jest.fn(),
+    max: jest.fn()
+  },
   MilestoneRequest: {
     findOne: jest.fn(),
     create: jest.fn(),
@@ -73,10 +111,15 @@ jest.mock('../../src/database/models', () => ({
 const milestoneController = require('../../src/controllers/milestoneController');
 const notificationService = require('../../src/services/notificationService');
 const milestoneAccessService = require('../../src/services/milestoneAccessService');
+const organizationMemberService = require('../../src/services/organizationMemberService');
+const researcherCapacityService = require('../../src/services/researcherCapacityService');
+const milestoneSubmissionService = require('../../src/services/milestoneSubmissionService');
 const {
   Milestone,
+  MilestoneDependency,
   MilestoneResearcher,
   MilestoneRevisionRequest,
+  MilestoneChecklistItem,
   MilestoneRequest,
   ProjectResearcherAccess,
   Project,
@@ -96,7 +139,6 @@ describe('milestoneController', () => {
     id: 11,
     name: 'Old Name',
     status: 'pending',
-    depends_on: null,
     update: jest.fn(),
     destroy: jest.fn(),
     daysUntilDue: jest.fn().mockReturnValue(2),
@@ -111,6 +153,10 @@ describe('milestoneController', () => {
     Milestone.create.mockReset();
     Milestone.findAll.mockReset();
     Milestone.findOne.mockReset();
+    Milestone.findByPk.mockReset();
+    MilestoneDependency.findAll.mockReset();
+    MilestoneDependency.destroy.mockReset();
+    MilestoneDependency.bulkCreate.mockReset();
     MilestoneResearcher.findAll.mockReset();
     MilestoneResearcher.findOne.mockReset();
     MilestoneResearcher.destroy.mockReset();
@@ -121,6 +167,12 @@ describe('milestoneController', () => {
     MilestoneRevisionRequest.create.mockReset();
     MilestoneRevisionRequest.findAll.mockReset();
     MilestoneRevisionRequest.count.mockReset();
+    MilestoneChecklistItem.findAll.mockReset();
+    MilestoneChecklistItem.findOne.mockReset();
+    MilestoneChecklistItem.create.mockReset();
+    MilestoneChecklistItem.update.mockReset();
+    MilestoneChecklistItem.destroy.mockReset();
+    MilestoneChecklistItem.max.mockReset();
     MilestoneRequest.findOne.mockReset();
     MilestoneRequest.create.mockReset();
     MilestoneRequest.findAll.mockReset();
@@ -155,6 +207,10 @@ describe('milestoneController', () => {
     User.findAll.mockResolvedValue([]);
     Application.findAll.mockResolvedValue([]);
     Application.findOne.mockResolvedValue(null);
+    Milestone.findByPk.mockResolvedValue(null);
+    MilestoneDependency.findAll.mockResolvedValue([]);
+    MilestoneDependency.destroy.mockResolvedValue(0);
+    MilestoneDependency.bulkCreate.mockResolvedValue([]);
     MilestoneResearcher.findAll.mockResolvedValue([]);
     MilestoneResearcher.findOne.mockResolvedValue(null);
     MilestoneResearcher.destroy.mockResolvedValue(1);
@@ -169,6 +225,11 @@ describe('milestoneController', () => {
     });
     MilestoneRevisionRequest.findAll.mockResolvedValue([]);
     MilestoneRevisionRequest.count.mockResolvedValue(0);
+    MilestoneChecklistItem.findAll.mockResolvedValue([]);
+    MilestoneChecklistItem.findOne.mockResolvedValue(null);
+    MilestoneChecklistItem.update.mockResolvedValue([0]);
+    MilestoneChecklistItem.destroy.mockResolvedValue(0);
+    MilestoneChecklistItem.max.mockResolvedValue(null);
     MilestoneRequest.findOne.mockResolvedValue(null);
     MilestoneRequest.create.mockResolvedValue({
       id: 1,
@@ -181,7 +242,7 @@ describe('milestoneController', () => {
     ProjectResearcherAccess.findAll.mockResolvedValue([]);
     ProjectResearcherAccess.findOne.mockResolvedValue(null);
     ProjectResearcherAccess.findOrCreate.mockResolvedValue([{ whole_project: false, save: jest.fn() }, true]);
-    sequelize.transaction.mockImplementation(async (callback) => callback({}));
+    sequelize.transaction.mockImplementation(async (callback) => callback({ LOCK: { UPDATE: 'UPDATE' } }));
     milestoneAccessService.canResearcherAccessMilestone.mockResolvedValue(true);
     milestoneAccessService.getResearcherMilestoneAccess.mockResolvedValue({ wholeProject: false, milestoneIds: [] });
     milestoneAccessService.hasWholeProjectAccess.mockResolvedValue(false);
@@ -227,6 +288,15 @@ describe('milestoneController', () => {
       expect(res.status).toHaveBeenCalledWith(403);
     });
 
+    test('returns 403 when the organization role cannot manage milestones', async () => {
+      req.body = { name: 'Alpha' };
+      organizationMemberService.canInOrganization.mockResolvedValueOnce(false);
+      await milestoneController.createMilestone(req, res);
+      expect(organizationMemberService.canInOrganization).toHaveBeenCalledWith(baseUser, 12, 'milestones:manage');
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(Milestone.create).not.toHaveBeenCalled();
+    });
+
     test('returns 403 for org mismatch', async () => {
       req.body = { name: 'Alpha' };
       Project.findOne.mockResolvedValueOnce({ project_id: 5, org_id: 999 });
@@ -248,18 +318,59 @@ describe('milestoneController', () => {
 
     test('rejects invalid depends_on reference', async () => {
       req.body = { name: 'Alpha', depends_on: 222 };
-      Milestone.findOne.mockResolvedValueOnce(null);
+      Milestone.findAll.mockResolvedValueOnce([]);
       await milestoneController.createMilestone(req, res);
       expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: 'depends_on must reference a milestone in the same project' });
     });
 
     test('rejects create transition when dependency incomplete', async () => {
-      req.body = { name: 'Alpha', status: 'in_progress', depends_on: 10 };
-      Milestone.findOne
-        .mockResolvedValueOnce({ id: 10, status: 'pending' })
-        .mockResolvedValueOnce({ id: 10, status: 'pending' });
+      req.body = { name: 'Alpha', status: 'in_progress', depends_on_ids: [10, 12] };
+      Milestone.findAll.mockResolvedValueOnce([
+        { id: 10, status: 'completed' },
+        { id: 12, status: 'pending' }
+      ]);
       await milestoneController.createMilestone(req, res);
       expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ incomplete_dependency_ids: [12] }));
+    });
+
+    test('creates milestone with several prerequisites and reports due date conflicts', async () => {
+      req.body = { name: 'Report', due_date: '2099-01-10', depends_on_ids: [10, 12] };
+      Milestone.findAll.mockResolvedValueOnce([
+        { id: 10, name: 'Survey', status: 'pending', due_date: '2099-01-05' },
+        { id: 12, name: 'Interviews', status: 'pending', due_date: '2099-02-01' }
+      ]);
+      Milestone.create.mockResolvedValue({
+        id: 99,
+        name: 'Report',
+        toSafeObject: () => ({ id: 99, name: 'Report' })
+      });
+      Milestone.findByPk.mockResolvedValueOnce({
+        id: 99,
+        name: 'Report',
+        due_date: '2099-01-10',
+        dependencies: [
+          { id: 10, name: 'Survey', due_date: '2099-01-05' },
+          { id: 12, name: 'Interviews', due_date: '2099-02-01' }
+        ],
+        dependents: []
+      });
+
+      await milestoneController.createMilestone(req, res);
+
+      expect(MilestoneDependency.bulkCreate).toHaveBeenCalledWith(
+        [
+          { milestone_id: 99, depends_on_milestone_id: 10 },
+          { milestone_id: 99, depends_on_milestone_id: 12 }
+        ],
+        expect.objectContaining({ ignoreDuplicates: true })
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        milestone: expect.objectContaining({ depends_on_ids: [10, 12] }),
+        dependency_warnings: [expect.objectContaining({ type: 'due_before_prerequisite', prerequisite_id: 12 })]
+      }));
     });
 
     test('rejects invalid dependency id format', async () => {
@@ -325,7 +436,7 @@ describe('milestoneController', () => {
       await milestoneController.getMilestones(req, res);
 
       expect(Milestone.findAll).toHaveBeenCalledWith(expect.objectContaining({
-        include: [expect.objectContaining({ as: 'dependency' })]
+        include: [expect.objectContaining({ as: 'dependencies' })]
       }));
       expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ count: 1 }));
     });
@@ -398,9 +509,8 @@ describe('milestoneController', () => {
     test('sets completed_at on completion', async () => {
       req.body = { status: 'completed' };
       const milestone = buildMilestone();
-      Milestone.findOne
-        .mockResolvedValueOnce(milestone)
-        .mockResolvedValueOnce({ id: 1, status: 'completed' });
+      Milestone.findOne.mockResolvedValueOnce(milestone);
+      MilestoneDependency.findAll.mockResolvedValueOnce([{ prerequisite: { id: 1, status: 'completed' } }]);
 
       await milestoneController.updateMilestone(req, res);
 
@@ -449,29 +559,96 @@ describe('milestoneController', () => {
       Milestone.findOne.mockResolvedValueOnce(buildMilestone());
       await milestoneController.updateMilestone(req, res);
       expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: 'A milestone cannot depend on itself' });
+    });
+
+    test('rejects dependencies that would form a cycle', async () => {
+      req.body = { depends_on_ids: [3] };
+      Milestone.findOne.mockResolvedValueOnce(buildMilestone());
+      Milestone.findAll.mockResolvedValueOnce([{ id: 3 }, { id: 4 }, { id: 11 }]);
+      MilestoneDependency.findAll.mockResolvedValueOnce([
+        { milestone_id: 3, depends_on_milestone_id: 4 },
+        { milestone_id: 4, depends_on_milestone_id: 11 }
+      ]);
+
+      await milestoneController.updateMilestone(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Milestone dependencies cannot form a cycle',
+        cycle: [11, 3, 4, 11]
+      });
+      expect(MilestoneDependency.bulkCreate).not.toHaveBeenCalled();
+    });
+
+    test('rejects a cycle closed by a concurrent edit before the dependencies are written', async () => {
+      req.body = { depends_on_ids: [3] };
+      const milestone = buildMilestone();
+      Milestone.findOne.mockResolvedValueOnce(milestone);
+      Milestone.findAll.mockResolvedValue([{ id: 3 }, { id: 11 }]);
+      // 3 -> 11 was committed by another request after the unlocked check
+      MilestoneDependency.findAll
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ milestone_id: 3, depends_on_milestone_id: 11 }]);
+
+      await milestoneController.updateMilestone(req, res);
+
+      expect(Milestone.findAll).toHaveBeenLastCalledWith(expect.objectContaining({ lock: 'UPDATE' }));
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Milestone dependencies cannot form a cycle',
+        cycle: [11, 3, 11]
+      });
+      expect(milestone.update).not.toHaveBeenCalled();
+      expect(MilestoneDependency.bulkCreate).not.toHaveBeenCalled();
     });
 
     test('rejects transition when dependency incomplete', async () => {
       req.body = { status: 'completed' };
-      Milestone.findOne
-        .mockResolvedValueOnce(buildMilestone({ depends_on: 2 }))
-        .mockResolvedValueOnce({ id: 2, status: 'in_progress' });
+      Milestone.findOne.mockResolvedValueOnce(buildMilestone());
+      MilestoneDependency.findAll.mockResolvedValueOnce([
+        { prerequisite: { id: 2, status: 'completed' } },
+        { prerequisite: { id: 5, status: 'in_progress' } }
+      ]);
 
       await milestoneController.updateMilestone(req, res);
 
       expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ incomplete_dependency_ids: [5] }));
     });
 
     test('updates dependency when valid', async () => {
       req.body = { depends_on: 3 };
       const milestone = buildMilestone();
-      Milestone.findOne
-        .mockResolvedValueOnce(milestone)
-        .mockResolvedValueOnce({ id: 3, status: 'completed' });
+      Milestone.findOne.mockResolvedValueOnce(milestone);
+      Milestone.findAll.mockResolvedValue([{ id: 3, status: 'completed' }, { id: 11, status: 'pending' }]);
 
       await milestoneController.updateMilestone(req, res);
 
-      expect(milestone.update).toHaveBeenCalledWith(expect.objectContaining({ depends_on: 3 }));
+      expect(Milestone.findAll).toHaveBeenLastCalledWith(expect.objectContaining({
+        where: { project_id: 5 },
+        lock: 'UPDATE'
+      }));
+      expect(MilestoneDependency.destroy).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ milestone_id: 11 })
+      }));
+      expect(MilestoneDependency.bulkCreate).toHaveBeenCalledWith(
+        [{ milestone_id: 11, depends_on_milestone_id: 3 }],
+        expect.any(Object)
+      );
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        milestone: expect.objectContaining({ depends_on_ids: [3] })
+      }));
+    });
+
+    test('clears dependencies when depends_on is null', async () => {
+      req.body = { depends_on: null };
+      Milestone.findOne.mockResolvedValueOnce(buildMilestone());
+
+      await milestoneController.updateMilestone(req, res);
+
+      expect(MilestoneDependency.destroy).toHaveBeenCalledWith(expect.objectContaining({ where: { milestone_id: 11 } }));
+      expect(MilestoneDependency.bulkCreate).not.toHaveBeenCalled();
     });
 
     test('returns 403 for non-nonprofit update user', async () => {
@@ -606,6 +783,42 @@ describe('milestoneController', () => {
     });
   });
 
+  describe('getProjectSchedule', () => {
+    test('returns the schedule with the critical path for the owning nonprofit', async () => {
+      req.user = { id: 7, role: 'nonprofit', org_id: 12 };
+      Project.findOne.mockResolvedValueOnce({ project_id: 5, org_id: 12, start_date: '2026-11-01' });
+      Milestone.findAll.mockResolvedValueOnce([
+        { id: 1, name: 'Survey', status: 'completed', due_date: '2026-11-11' },
+        { id: 2, name: 'Interviews', status: 'pending', due_date: '2026-11-06' },
+        { id: 3, name: 'Report', status: 'pending', due_date: '2026-11-21' }
+      ]);
+      MilestoneDependency.findAll.mockResolvedValueOnce([
+        { milestone_id: 3, depends_on_milestone_id: 1 },
+        { milestone_id: 3, depends_on_milestone_id: 2 }
+      ]);
+
+      await milestoneController.getProjectSchedule(req, res);
+
+      expect(res.json).toHaveBeenCalledWith({
+        schedule: expect.objectContaining({
+          project_id: 5,
+          finish_date: '2026-11-21',
+          critical_path: [1, 3]
+        })
+      });
+    });
+
+    test('denies researchers without an accepted application', async () => {
+      req.user = { id: 22, role: 'researcher' };
+      milestoneAccessService.hasAcceptedProjectParticipation.mockResolvedValueOnce(false);
+
+      await milestoneController.getProjectSchedule(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(Milestone.findAll).not.toHaveBeenCalled();
+    });
+  });
+
   describe('assignment endpoints', () => {
     test('setMilestoneAssignments replaces assignments for valid accepted researchers', async () => {
       req.body = { researcher_ids: [22] };
@@ -635,6 +848,46 @@ describe('milestoneController', () => {
       expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ count: 1 }));
     });
 
+    test('setMilestoneAssignments records weekly hours and warns about over-capacity researchers', async () => {
+      req.body = { researcher_ids: [22, 23], weekly_hours: { 22: 12, 23: '4.5' } };
+      const milestone = buildMilestone({ due_date: '2026-12-01' });
+      const warning = { researcher_id: 22, reasons: ['over_weekly_hours'], weekly_total: 10, committed_weekly_hours: 22 };
+
+      Milestone.findOne.mockResolvedValueOnce(milestone);
+      User.findAll.mockResolvedValueOnce([{ id: 22 }, { id: 23 }]);
+      Application.findAll.mockResolvedValueOnce([{ researcher_id: 22 }, { researcher_id: 23 }]);
+      MilestoneResearcher.findAll
+        .mockResolvedValueOnce([{ researcher_id: 23 }])
+        .mockResolvedValueOnce([]);
+      researcherCapacityService.getAssignmentCapacityWarnings.mockResolvedValueOnce([warning]);
+
+      await milestoneController.setMilestoneAssignments(req, res);
+
+      expect(MilestoneResearcher.bulkCreate).toHaveBeenCalledWith(
+        [expect.objectContaining({ researcher_id: 22, weekly_hours: 12 })],
+        expect.any(Object)
+      );
+      expect(MilestoneResearcher.update).toHaveBeenCalledWith(
+        { weekly_hours: 4.5 },
+        expect.objectContaining({ where: { milestone_id: 11, researcher_id: 23 } })
+      );
+      expect(researcherCapacityService.getAssignmentCapacityWarnings).toHaveBeenCalledWith({
+        researcherIds: [22, 23],
+        milestone
+      });
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ capacity_warnings: [warning] }));
+    });
+
+    test('setMilestoneAssignments rejects weekly hours for researchers not being assigned', async () => {
+      req.body = { researcher_ids: [22], weekly_hours: { 30: 5 } };
+      Milestone.findOne.mockResolvedValueOnce(buildMilestone());
+
+      await milestoneController.setMilestoneAssignments(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(MilestoneResearcher.bulkCreate).not.toHaveBeenCalled();
+    });
+
     test('setMilestoneAssignments rejects unaccepted researchers', async () => {
       req.body = { researcher_ids: [22] };
 
@@ -817,4 +1070,239 @@ describe('milestoneController', () => {
       expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Revision request rejected' }));
     });
   });
+
+  describe('deliverable submissions', () => {
+    const buildSubmission = (overrides = {}) => ({
+      id: 3,
+      round: 2,
+      submitted_by: 22,
+      status: 'pending',
+      toSafeObject: () => ({ id: 3, round: 2 }),
+      ...overrides
+    });
+
+    test('submitMilestoneDeliverable creates a submission and notifies the organization', async () => {
+      req.user = { id: 22, role: 'researcher' };
+      req.body = { notes: ' Final report ', attachment_ids: ['41', 41] };
+      const milestone = buildMilestone({ status: 'in_progress' });
+      Milestone.findOne.mockResolvedValueOnce(milestone);
+      User.findAll.mockResolvedValueOnce([{ id: 7 }, { id: 8 }]);
+      milestoneSubmissionService.createSubmission.mockResolvedValueOnce(buildSubmission());
+
+      await milestoneController.submitMilestoneDeliverable(req, res);
+
+      expect(milestoneSubmissionService.createSubmission).toHaveBeenCalledWith({
+        milestone,
+        researcherId: 22,
+        notes: 'Final report',
+        attachmentIds: [41]
+      });
+      expect(notificationService.createBulkNotifications).toHaveBeenCalledWith(
+        [7, 8],
+        expect.objectContaining({
+          type: 'milestone_submission_received',
+          metadata: expect.objectContaining({ submission_id: 3, round: 2 })
+        })
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test('submitMilestoneDeliverable refuses a second pending submission', async () => {
+      req.user = { id: 22, role: 'researcher' };
+      req.body = { notes: 'Another try' };
+      Milestone.findOne.mockResolvedValueOnce(buildMilestone({ status: 'in_progress' }));
+      milestoneSubmissionService.createSubmission.mockRejectedValueOnce(new Error('SUBMISSION_ALREADY_PENDING'));
+
+      await milestoneController.submitMilestoneDeliverable(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(notificationService.createBulkNotifications).not.toHaveBeenCalled();
+    });
+
+    test('acceptMilestoneSubmission notifies the submitter and collaborators once each', async () => {
+      req.params = { projectId: 5, id: 11, submissionId: 3 };
+      const milestone = buildMilestone({ status: 'completed' });
+      Milestone.findOne.mockResolvedValueOnce(milestone);
+      Application.findAll.mockResolvedValueOnce([{ researcher_id: 22 }, { researcher_id: 23 }]);
+      milestoneSubmissionService.reviewSubmission.mockResolvedValueOnce(buildSubmission({ status: 'accepted' }));
+
+      await milestoneController.acceptMilestoneSubmission(req, res);
+
+      expect(milestoneSubmissionService.reviewSubmission).toHaveBeenCalledWith(expect.objectContaining({
+        milestone,
+        submissionId: 3,
+        reviewerId: 7,
+        decision: 'accept'
+      }));
+      expect(notificationService.createBulkNotifications).toHaveBeenCalledWith(
+        [22, 23],
+        expect.objectContaining({ type: 'milestone_completed' })
+      );
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Submission accepted' }));
+    });
+
+    test('acceptMilestoneSubmission reports prerequisites that are not complete', async () => {
+      req.params = { projectId: 5, id: 11, submissionId: 3 };
+      Milestone.findOne.mockResolvedValueOnce(buildMilestone({ status: 'in_progress' }));
+      const error = new Error('DEPENDENCIES_INCOMPLETE');
+      error.incompleteDependencyIds = [4];
+      milestoneSubmissionService.reviewSubmission.mockRejectedValueOnce(error);
+
+      await milestoneController.acceptMilestoneSubmission(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ incomplete_dependency_ids: [4] }));
+    });
+
+    test('acceptMilestoneSubmission refuses a milestone that is no longer open', async () => {
+      req.params = { projectId: 5, id: 11, submissionId: 3 };
+      Milestone.findOne.mockResolvedValueOnce(buildMilestone({ status: 'in_progress' }));
+      milestoneSubmissionService.reviewSubmission.mockRejectedValueOnce(new Error('MILESTONE_NOT_REVIEWABLE'));
+
+      await milestoneController.acceptMilestoneSubmission(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(notificationService.createBulkNotifications).not.toHaveBeenCalled();
+    });
+
+    test('rejectMilestoneSubmission sends the feedback to the submitter', async () => {
+      req.params = { projectId: 5, id: 11, submissionId: 3 };
+      req.body = { feedback: 'Appendix B is missing' };
+      Milestone.findOne.mockResolvedValueOnce(buildMilestone({ status: 'in_progress' }));
+      milestoneSubmissionService.reviewSubmission.mockResolvedValueOnce(buildSubmission({ status: 'rejected' }));
+
+      await milestoneController.rejectMilestoneSubmission(req, res);
+
+      expect(notificationService.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 22,
+        type: 'milestone_submission_rejected',
+        metadata: expect.objectContaining({ feedback: 'Appendix B is missing' })
+      }));
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Submission rejected' }));
+    });
+  });
+
+  describe('checklists and progress', () => {
+    const buildItem = (overrides = {}) => ({
+      id: 2,
+      milestone_id: 11,
+      assignee_id: null,
+      is_completed: false,
+      due_date: null,
+      update: jest.fn(async function update(values) {
+        Object.assign(this, values);
+        return this;
+      }),
+      toSafeObject() {
+        return { id: this.id, is_completed: this.is_completed, completed_by: this.completed_by };
+      },
+      ...overrides
+    });
+
+    test('getMilestones reports each milestone progress from its checklist', async () => {
+      Milestone.findAll.mockResolvedValue([
+        buildMilestone({ id: 11, status: 'in_progress', toSafeObject: () => ({ id: 11 }) }),
+        buildMilestone({ id: 12, status: 'completed', toSafeObject: () => ({ id: 12 }) })
+      ]);
+      MilestoneChecklistItem.findAll.mockResolvedValue([
+        { milestone_id: 11, is_completed: true },
+        { milestone_id: 11, is_completed: false },
+        { milestone_id: 11, is_completed: false },
+        { milestone_id: 11, is_completed: true }
+      ]);
+
+      await milestoneController.getMilestones(req, res);
+
+      const { milestones } = res.json.mock.calls[0][0];
+      expect(milestones[0]).toEqual(expect.objectContaining({
+        progress_percent: 50,
+        checklist: expect.objectContaining({ total: 4, completed: 2 })
+      }));
+      expect(milestones[1]).toEqual(expect.objectContaining({ progress_percent: 100 }));
+    });
+
+    test('createChecklistItem only assigns researchers on the milestone', async () => {
+      req.body = { title: 'Code interviews', assignee_id: 40 };
+      Milestone.findOne.mockResolvedValueOnce(buildMilestone());
+      MilestoneResearcher.findOne.mockResolvedValueOnce(null);
+
+      await milestoneController.createChecklistItem(req, res);
+
+      expect(MilestoneResearcher.findOne).toHaveBeenCalledWith({ where: { milestone_id: 11, researcher_id: 40 } });
+      expect(MilestoneChecklistItem.create).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test('updateChecklistItem lets an assigned researcher check an item off', async () => {
+      req.user = { id: 22, role: 'researcher' };
+      req.params = { projectId: 5, id: 11, itemId: 2 };
+      req.body = { is_completed: true };
+      const item = buildItem({ assignee_id: 22 });
+      Milestone.findOne.mockResolvedValueOnce(buildMilestone({ status: 'in_progress' }));
+      MilestoneChecklistItem.findOne.mockResolvedValueOnce(item);
+      MilestoneChecklistItem.findAll.mockResolvedValueOnce([{ milestone_id: 11, is_completed: true }]);
+
+      await milestoneController.updateChecklistItem(req, res);
+
+      expect(item.update).toHaveBeenCalledWith(expect.objectContaining({ is_completed: true, completed_by: 22 }));
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        item: { id: 2, is_completed: true, completed_by: 22 },
+        progress_percent: 100
+      }));
+    });
+
+    test('updateChecklistItem is closed to researchers without milestone access', async () => {
+      req.user = { id: 22, role: 'researcher' };
+      req.params = { projectId: 5, id: 11, itemId: 2 };
+      req.body = { is_completed: true };
+      Milestone.findOne.mockResolvedValueOnce(buildMilestone());
+      milestoneAccessService.canResearcherAccessMilestone.mockResolvedValueOnce(false);
+
+      await milestoneController.updateChecklistItem(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(MilestoneChecklistItem.findOne).not.toHaveBeenCalled();
+    });
+
+    test('removeMilestoneAssignment clears the researcher from checklist items', async () => {
+      req.params = { projectId: 5, id: 11, researcherId: '22' };
+      Milestone.findOne.mockResolvedValueOnce(buildMilestone());
+
+      await milestoneController.removeMilestoneAssignment(req, res);
+
+      expect(MilestoneChecklistItem.update).toHaveBeenCalledWith(
+        { assignee_id: null },
+        expect.objectContaining({ where: expect.objectContaining({ milestone_id: 11 }) })
+      );
+    });
+
+    test('getMilestoneStats rolls up checklist completion per project and assignee', async () => {
+      req.user = baseUser;
+      Milestone.findAll.mockResolvedValue([
+        { id: 11, status: 'in_progress', isOverdue: () => false },
+        { id: 12, status: 'completed', isOverdue: () => false },
+        { id: 13, status: 'cancelled', isOverdue: () => false }
+      ]);
+      MilestoneChecklistItem.findAll.mockResolvedValue([
+        { milestone_id: 11, assignee_id: 22, assignee: { name: 'Ada' }, is_completed: true, due_date: null },
+        { milestone_id: 11, assignee_id: 22, assignee: { name: 'Ada' }, is_completed: false, due_date: '2020-01-01' },
+        { milestone_id: 11, assignee_id: null, assignee: null, is_completed: false, due_date: null },
+        { milestone_id: 12, assignee_id: 23, assignee: { name: 'Grace' }, is_completed: true, due_date: null }
+      ]);
+
+      await milestoneController.getMilestoneStats(req, res);
+
+      expect(MilestoneChecklistItem.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { milestone_id: expect.any(Object) }
+      }));
+      const { stats } = res.json.mock.calls[0][0];
+      // Milestone 11 is one third done, milestone 12 is complete, the cancelled one is left out
+      expect(stats.progress_percent).toBe(67);
+      expect(stats.checklist).toEqual({ total: 4, completed: 2, overdue: 1, completion_rate: 50, unassigned: 1 });
+      expect(stats.checklist_by_assignee).toEqual([
+        { researcher_id: 22, name: 'Ada', total: 2, completed: 1, overdue: 1, completion_rate: 50 },
+        { researcher_id: 23, name: 'Grace', total: 1, completed: 1, overdue: 0, completion_rate: 100 }
+      ]);
+    });
+  });
 });
@@ -0,0 +1,166 @@
+jest.mock('../../src/database/models', () => ({
+  Milestone: { findAll: jest.fn(), findByPk: jest.fn() },
+  MilestoneDependency: { findAll: jest.fn(), destroy: jest.fn(), bulkCreate: jest.fn() }
+}));
+
+const { Milestone, MilestoneDependency } = require('../../src/database/models');
+const milestoneDependencyService = require('../../src/services/milestoneDependencyService');
+
+const milestone = (id, dueDate, overrides = {}) => ({
+  id,
+  name: `Milestone ${id}`,
+  status: 'pending',
+  due_date: dueDate,
+  ...overrides
+});
+
+describe('milestoneDependencyService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    MilestoneDependency.findAll.mockResolvedValue([]);
+  });
+
+  it('reads depends_on_ids or the single depends_on and rejects bad ids', () => {
+    expect(milestoneDependencyService.parseDependencyIds({})).toBeUndefined();
+    expect(milestoneDependencyService.parseDependencyIds({ depends_on: '4' })).toEqual([4]);
+    expect(milestoneDependencyService.parseDependencyIds({ depends_on: null })).toEqual([]);
+    expect(milestoneDependencyService.parseDependencyIds({ depends_on_ids: [3, '5', 3] })).toEqual([3, 5]);
+    expect(() => milestoneDependencyService.parseDependencyIds({ depends_on_ids: [3, 'x'] }))
+      .toThrow('INVALID_DEPENDENCY_ID');
+  });
+
+  it('finds the cycle a new set of prerequisites would create', () => {
+    const dependencyMap = new Map([[1, []], [2, [1]], [3, [2]]]);
+
+    expect(milestoneDependencyService.findDependencyCycle(dependencyMap, 1, [3])).toEqual([1, 3, 2, 1]);
+    expect(milestoneDependencyService.findDependencyCycle(dependencyMap, 3, [1, 2])).toBeNull();
+  });
+
+  it('rejects prerequisites from another project', async () => {
+    Milestone.findAll.mockResolvedValue([milestone(1, null), milestone(2, null)]);
+
+    await expect(milestoneDependencyService.validateDependencies({
+      projectId: 5,
+      milestoneId: 2,
+      dependencyIds: [1, 40]
+    })).rejects.toThrow('DEPENDENCY_NOT_IN_PROJECT');
+    expect(Milestone.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { project_id: 5 } }));
+  });
+
+  it('replaces prerequisites without touching links that stay', async () => {
+    await milestoneDependencyService.setDependencies({ milestoneId: 9, dependencyIds: [1, 2], transaction: 'tx' });
+
+    expect(MilestoneDependency.destroy).toHaveBeenCalledWith({
+      where: { milestone_id: 9, depends_on_milestone_id: expect.any(Object) },
+      transaction: 'tx'
+    });
+    expect(MilestoneDependency.bulkCreate).toHaveBeenCalledWith(
+      [
+        { milestone_id: 9, depends_on_milestone_id: 1 },
+        { milestone_id: 9, depends_on_milestone_id: 2 }
+      ],
+      { transaction: 'tx', ignoreDuplicates: true }
+    );
+  });
+
+  describe('buildProjectSchedule', () => {
+    it('computes earliest and latest dates, slack and the critical path', () => {
+      const schedule = milestoneDependencyService.buildProjectSchedule({
+        startDate: '2026-11-01',
+        milestones: [
+          milestone(1, '2026-11-11'),
+          milestone(2, '2026-11-06'),
+          milestone(3, '2026-11-21')
+        ],
+        dependencyMap: new Map([[3, [1, 2]]])
+      });
+
+      expect(schedule).toEqual(expect.objectContaining({
+        finish_date: '2026-11-21',
+        duration_days: 20,
+        critical_path: [1, 3],
+        warnings: []
+      }));
+      expect(schedule.milestones.find((item) => item.id === 2)).toEqual(expect.objectContaining({
+        duration_days: 5,
+        earliest_start: '2026-11-01',
+        earliest_finish: '2026-11-06',
+        latest_start: '2026-11-06',
+        latest_finish: '2026-11-11',
+        slack_days: 5,
+        is_critical: false
+      }));
+      expect(schedule.milestones.find((item) => item.id === 3)).toEqual(expect.objectContaining({
+        depends_on_ids: [1, 2],
+        earliest_start: '2026-11-11',
+        slack_days: 0,
+        is_critical: true
+      }));
+    });
+
+    it('warns when a milestone is due before its prerequisite and skips cancelled milestones', () => {
+      const schedule = milestoneDependencyService.buildProjectSchedule({
+        startDate: '2026-11-01',
+        milestones: [
+          milestone(1, '2026-11-20'),
+          milestone(2, '2026-11-10'),
+          milestone(3, '2026-12-01', { status: 'cancelled' })
+        ],
+        dependencyMap: new Map([[2, [1, 3]]])
+      });
+
+      expect(schedule.milestones.map((item) => item.id)).toEqual([1, 2]);
+      expect(schedule.milestones[1]).toEqual(expect.objectContaining({
+        depends_on_ids: [1],
+        duration_days: 0,
+        earliest_finish: '2026-11-20'
+      }));
+      expect(schedule.warnings).toEqual([{
+        type: 'due_before_prerequisite',
+        milestone_id: 2,
+        milestone_name: 'Milestone 2',
+        due_date: '2026-11-10',
+        prerequisite_id: 1,
+        prerequisite_name: 'Milestone 1',
+        prerequisite_due_date: '2026-11-20'
+      }]);
+    });
+
+    it('refuses to schedule a cyclic graph', () => {
+      expect(() => milestoneDependencyService.buildProjectSchedule({
+        startDate: '2026-11-01',
+        milestones: [milestone(1, null), milestone(2, null)],
+        dependencyMap: new Map([[1, [2]], [2, [1]]])
+      })).toThrow('DEPENDENCY_CYCLE');
+    });
+  });
+
+  it('starts the project schedule at the first milestone when the project has no start date', async () => {
+    Milestone.findAll.mockResolvedValue([
+      milestone(1, '2026-11-10', { created_at: new Date('2026-11-03T15:00:00Z') }),
+      milestone(2, '2026-11-05', { created_at: new Date('2026-11-01T09:00:00Z') })
+    ]);
+
+    const schedule = await milestoneDependencyService.getProjectSchedule({ project_id: 5, start_date: null });
+
+    expect(schedule).toEqual(expect.objectContaining({
+      project_id: 5,
+      start_date: '2026-11-01',
+      finish_date: '2026-11-10',
+      critical_path: [1]
+    }));
+  });
+
+  it('checks due dates against both prerequisites and dependents', async () => {
+    Milestone.findByPk.mockResolvedValue({
+      ...milestone(2, '2026-11-10'),
+      dependencies: [milestone(1, '2026-11-12')],
+      dependents: [milestone(3, '2026-11-08')]
+    });
+
+    const warnings = await milestoneDependencyService.getDueDateWarnings(2);
+
+    expect(warnings.map(({ milestone_id: id, prerequisite_id: prerequisiteId }) => [id, prerequisiteId]))
+      .toEqual([[2, 1], [3, 2]]);
+  });
+});
@@ -0,0 +1,218 @@
+jest.mock('../../src/database/models', () => ({
+  Attachment: { findAll: jest.fn() },
+  MilestoneSubmission: { findOne: jest.fn(), findAll: jest.fn(), findByPk: jest.fn(), max: jest.fn(), create: jest.fn() },
+  MilestoneSubmissionAttachment: { bulkCreate: jest.fn() },
+  User: {},
+  sequelize: { transaction: jest.fn() }
+}));
+
+jest.mock('../../src/services/milestoneDependencyService', () => ({
+  getPrerequisites: jest.fn()
+}));
+
+const {
+  Attachment,
+  MilestoneSubmission,
+  MilestoneSubmissionAttachment,
+  sequelize
+} = require('../../src/database/models');
+const milestoneDependencyService = require('../../src/services/milestoneDependencyService');
+const milestoneSubmissionService = require('../../src/services/milestoneSubmissionService');
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+const buildMilestone = (overrides = {}) => ({
+  id: 11,
+  project_id: 5,
+  status: 'in_progress',
+  completed_at: null,
+  save: jest.fn().mockResolvedValue(true),
+  reload: jest.fn().mockResolvedValue(true),
+  ...overrides
+});
+
+const buildSubmission = (overrides = {}) => ({
+  id: 3,
+  milestone_id: 11,
+  round: 1,
+  status: 'pending',
+  save: jest.fn().mockResolvedValue(true),
+  reload: jest.fn().mockResolvedValue(true),
+  ...overrides
+});
+
+describe('milestoneSubmissionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sequelize.transaction.mockImplementation(async (callback) => callback(transaction));
+    MilestoneSubmission.findOne.mockResolvedValue(null);
+    MilestoneSubmission.findByPk.mockImplementation(async (id) => ({ id }));
+    milestoneDependencyService.getPrerequisites.mockResolvedValue([]);
+  });
+
+  it('reads attachment ids and rejects anything that is not a positive integer', () => {
+    expect(milestoneSubmissionService.parseAttachmentIds(undefined)).toEqual([]);
+    expect(milestoneSubmissionService.parseAttachmentIds(['4', 4, 9])).toEqual([4, 9]);
+    expect(() => milestoneSubmissionService.parseAttachmentIds('4')).toThrow('INVALID_SUBMISSION_ATTACHMENTS');
+    expect(() => milestoneSubmissionService.parseAttachmentIds([4, 0])).toThrow('INVALID_SUBMISSION_ATTACHMENTS');
+  });
+
+  describe('createSubmission', () => {
+    it('requires notes or attachments and a milestone that is still open', async () => {
+      await expect(milestoneSubmissionService.createSubmission({
+        milestone: buildMilestone(), researcherId: 22
+      })).rejects.toThrow('SUBMISSION_CONTENT_REQUIRED');
+      await expect(milestoneSubmissionService.createSubmission({
+        milestone: buildMilestone({ status: 'completed' }), researcherId: 22, notes: 'Done'
+      })).rejects.toThrow('MILESTONE_NOT_SUBMITTABLE');
+    });
+
+    it('only bundles active attachments uploaded to the milestone', async () => {
+      Attachment.findAll.mockResolvedValue([{ id: 41 }]);
+
+      await expect(milestoneSubmissionService.createSubmission({
+        milestone: buildMilestone(), researcherId: 22, attachmentIds: [41, 42]
+      })).rejects.toThrow('INVALID_SUBMISSION_ATTACHMENTS');
+      expect(Attachment.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ project_id: 5, milestone_id: 11, status: 'active' })
+      }));
+      expect(MilestoneSubmission.create).not.toHaveBeenCalled();
+    });
+
+    it('opens the next round after a rejected submission', async () => {
+      Attachment.findAll.mockResolvedValue([{ id: 41 }]);
+      MilestoneSubmission.max.mockResolvedValue(2);
+      MilestoneSubmission.create.mockResolvedValue({ id: 8 });
+
+      const submission = await milestoneSubmissionService.createSubmission({
+        milestone: buildMilestone({ status: 'revision_in_progress' }),
+        researcherId: 22,
+        notes: 'Fixed the appendix',
+        attachmentIds: [41]
+      });
+
+      expect(MilestoneSubmission.create).toHaveBeenCalledWith({
+        milestone_id: 11,
+        submitted_by: 22,
+        round: 3,
+        notes: 'Fixed the appendix',
+        status: 'pending'
+      }, { transaction });
+      expect(MilestoneSubmissionAttachment.bulkCreate).toHaveBeenCalledWith(
+        [{ submission_id: 8, attachment_id: 41 }],
+        { transaction }
+      );
+      expect(submission).toEqual({ id: 8 });
+    });
+
+    it('refuses a second pending submission, including one that wins a race', async () => {
+      MilestoneSubmission.findOne.mockResolvedValueOnce(buildSubmission());
+      await expect(milestoneSubmissionService.createSubmission({
+        milestone: buildMilestone(), researcherId: 22, notes: 'Draft'
+      })).rejects.toThrow('SUBMISSION_ALREADY_PENDING');
+
+      const uniqueError = new Error('duplicate key');
+      uniqueError.name = 'SequelizeUniqueConstraintError';
+      MilestoneSubmission.create.mockRejectedValueOnce(uniqueError);
+      await expect(milestoneSubmissionService.createSubmission({
+        milestone: buildMilestone(), researcherId: 22, notes: 'Draft'
+      })).rejects.toThrow('SUBMISSION_ALREADY_PENDING');
+    });
+  });
+
+  describe('reviewSubmission', () => {
+    it('completes the milestone when a submission is accepted', async () => {
+      const milestone = buildMilestone();
+      const submission = buildSubmission();
+      MilestoneSubmission.findOne.mockResolvedValue(submission);
+
+      await milestoneSubmissionService.reviewSubmission({
+        milestone, submissionId: 3, reviewerId: 7, decision: 'accept'
+      });
+
+      expect(submission).toEqual(expect.objectContaining({ status: 'accepted', reviewed_by: 7 }));
+      expect(milestone.reload).toHaveBeenCalledWith({ transaction, lock: 'UPDATE' });
+      expect(submission.reload).toHaveBeenCalledWith({ transaction, lock: 'UPDATE' });
+      expect(submission.save).toHaveBeenCalledWith({ transaction });
+      expect(milestone.status).toBe('completed');
+      expect(milestone.completed_at).toBeInstanceOf(Date);
+      expect(milestone.save).toHaveBeenCalledWith({ transaction });
+    });
+
+    it('does not accept while prerequisite milestones are open', async () => {
+      MilestoneSubmission.findOne.mockResolvedValue(buildSubmission());
+      milestoneDependencyService.getPrerequisites.mockResolvedValue([
+        { id: 4, status: 'in_progress' },
+        { id: 6, status: 'completed' }
+      ]);
+
+      await expect(milestoneSubmissionService.reviewSubmission({
+        milestone: buildMilestone(), submissionId: 3, reviewerId: 7, decision: 'accept'
+      })).rejects.toMatchObject({ message: 'DEPENDENCIES_INCOMPLETE', incompleteDependencyIds: [4] });
+      expect(sequelize.transaction).not.toHaveBeenCalled();
+    });
+
+    it('requires feedback to reject and leaves the milestone open', async () => {
+      const milestone = buildMilestone();
+      const submission = buildSubmission();
+      MilestoneSubmission.findOne.mockResolvedValue(submission);
+
+      await expect(milestoneSubmissionService.reviewSubmission({
+        milestone, submissionId: 3, reviewerId: 7, decision: 'reject'
+      })).rejects.toThrow('FEEDBACK_REQUIRED');
+
+      await milestoneSubmissionService.reviewSubmission({
+        milestone, submissionId: 3, reviewerId: 7, decision: 'reject', feedback: 'Missing appendix'
+      });
+      expect(submission).toEqual(expect.objectContaining({ status: 'rejected', feedback: 'Missing appendix' }));
+      expect(milestone.status).toBe('in_progress');
+      expect(milestone.save).not.toHaveBeenCalled();
+    });
+
+    it('only reviews pending submissions of the milestone', async () => {
+      await expect(milestoneSubmissionService.reviewSubmission({
+        milestone: buildMilestone(), submissionId: 3, reviewerId: 7, decision: 'accept'
+      })).rejects.toThrow('SUBMISSION_NOT_FOUND');
+      expect(MilestoneSubmission.findOne).toHaveBeenCalledWith({ where: { id: 3, milestone_id: 11 } });
+
+      MilestoneSubmission.findOne.mockResolvedValue(buildSubmission({ status: 'accepted' }));
+      await expect(milestoneSubmissionService.reviewSubmission({
+        milestone: buildMilestone(), submissionId: 3, reviewerId: 7, decision: 'accept'
+      })).rejects.toThrow('SUBMISSION_NOT_PENDING');
+    });
+
+    it('does not decide a submission another reviewer decided first', async () => {
+      const milestone = buildMilestone();
+      const submission = buildSubmission();
+      submission.reload.mockImplementation(async function reload() {
+        this.status = 'rejected';
+      });
+      MilestoneSubmission.findOne.mockResolvedValueOnce(submission);
+
+      await expect(milestoneSubmissionService.reviewSubmission({
+        milestone, submissionId: 3, reviewerId: 7, decision: 'accept'
+      })).rejects.toThrow('SUBMISSION_NOT_PENDING');
+      expect(submission.save).not.toHaveBeenCalled();
+      expect(milestone.status).toBe('in_progress');
+      expect(milestone.save).not.toHaveBeenCalled();
+    });
+
+    it('does not accept once the milestone was cancelled or completed', async () => {
+      for (const status of ['cancelled', 'completed']) {
+        const milestone = buildMilestone();
+        milestone.reload.mockImplementation(async function reload() {
+          this.status = status;
+        });
+        const submission = buildSubmission();
+        MilestoneSubmission.findOne.mockResolvedValueOnce(submission);
+
+        await expect(milestoneSubmissionService.reviewSubmission({
+          milestone, submissionId: 3, reviewerId: 7, decision: 'accept'
+        })).rejects.toThrow('MILESTONE_NOT_REVIEWABLE');
+        expect(milestone.reload).toHaveBeenCalledWith({ transaction, lock: 'UPDATE' });
+        expect(submission.save).not.toHaveBeenCalled();
+        expect(milestone.save).not.toHaveBeenCalled();
+      }
+    });
+  });
+});
@@ -1,8 +1,11 @@
 jest.mock('../../src/database/models/Notification', () => ({
+  name: 'Notification',
   findAndCountAll: jest.fn(),
+  findAll: jest.fn(),
   count: jest.fn(),
 }));
 
+const { Sequelize } = require('sequelize');
 const notificationController = require('../../src/controllers/notificationController');
 const Notification = require('../../src/database/models/Notification');
 
@@ -49,4 +52,53 @@ describe('notification archive filtering', () => {
       })
     );
   });
-});
\ No newline at end of file
+
+  it('applies the same filters in cursor mode and returns the page envelope', async () => {
+    Notification.findAll.mockResolvedValue([{ id: 3, created_at: new Date('2026-10-19T10:00:00.000Z') }]);
+    Notification.count.mockResolvedValue(1);
+
+    const req = {
+      user: { id: 1 },
+      query: { cursor: '', limit: '10' },
+    };
+    const res = {
+      json: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+    };
+
+    await notificationController.getNotifications(req, res);
+
+    expect(Notification.findAll).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: { user_id: 1, archived: false },
+        limit: 11,
+        order: [
+          [Sequelize.fn('date_trunc', 'milliseconds', Sequelize.col('Notification.created_at')), 'DESC'],
+          ['id', 'DESC'],
+        ],
+      })
+    );
+    expect(res.json).toHaveBeenCalledWith({
+      data: [expect.objectContaining({ id: 3 })],
+      page: { next_cursor: null, has_more: false, limit: 10 },
+      unreadCount: 1,
+    });
+  });
+
+  it('rejects cursors that were not issued by the server', async () => {
+    const req = {
+      user: { id: 1 },
+      query: { cursor: 'not-a-cursor' },
+    };
+    const res = {
+      json: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+    };
+
+    await notificationController.getNotifications(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Invalid cursor' });
+    expect(Notification.findAll).not.toHaveBeenCalled();
+  });
+});
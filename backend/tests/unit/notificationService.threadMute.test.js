@@ -0,0 +1,110 @@
+jest.mock('../../src/database/models/Notification', () => ({
+  create: jest.fn(),
+  bulkCreate: jest.fn(),
+}));
+
+jest.mock('../../src/database/models', () => ({
+  User: {
+    findByPk: jest.fn(),
+    findAll: jest.fn(),
+  },
+  UserPreferences: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+  },
+  ThreadParticipant: {
+    findAll: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/services/emailService', () => ({
+  sendNotificationEmail: jest.fn(),
+}));
+
+jest.mock('../../src/services/notificationStreamService', () => ({
+  publishCreatedNotifications: jest.fn(),
+}));
+
+const { Op } = require('sequelize');
+const Notification = require('../../src/database/models/Notification');
+const { User, UserPreferences, ThreadParticipant } = require('../../src/database/models');
+const emailService = require('../../src/services/emailService');
+const notificationService = require('../../src/services/notificationService');
+
+const messagePreferences = (userId) => ({
+  user_id: userId,
+  inapp_notifications: true,
+  inapp_messages: true,
+  email_notifications: true,
+  email_messages: true,
+});
+
+describe('notificationService thread muting', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    UserPreferences.findAll.mockResolvedValue([messagePreferences(10), messagePreferences(11)]);
+    UserPreferences.findOne.mockResolvedValue(messagePreferences(10));
+    Notification.bulkCreate.mockImplementation(async (rows) => rows);
+    Notification.create.mockImplementation(async (row) => ({ id: 1, ...row }));
+    User.findAll.mockResolvedValue([{ id: 11, email: 'user11@example.com', name: 'User 11' }]);
+    emailService.sendNotificationEmail.mockResolvedValue();
+  });
+
+  it('skips in-app and email message notifications for participants who muted the thread', async () => {
+    ThreadParticipant.findAll.mockResolvedValue([{ user_id: 10 }]);
+
+    await notificationService.createBulkNotifications([10, 11], {
+      type: 'message_received',
+      title: 'New Message',
+      message: 'Alice sent you a message',
+      metadata: { thread_id: 5 },
+    });
+
+    const mutedQuery = ThreadParticipant.findAll.mock.calls[0][0];
+    expect(mutedQuery.where).toEqual(expect.objectContaining({
+      thread_id: 5,
+      user_id: [10, 11],
+      muted_at: { [Op.ne]: null },
+    }));
+    expect(mutedQuery.where[Op.or]).toEqual([
+      { muted_until: null },
+      { muted_until: { [Op.gt]: expect.any(Date) } },
+    ]);
+    expect(Notification.bulkCreate).toHaveBeenCalledWith([
+      expect.objectContaining({ user_id: 11, type: 'message_received' }),
+    ]);
+    expect(User.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { id: [11] } }));
+  });
+
+  it('still delivers mentions in muted threads', async () => {
+    await notificationService.createBulkNotifications([10, 11], {
+      type: 'message_mention',
+      title: 'You were mentioned',
+      message: 'Alice mentioned you',
+      metadata: { thread_id: 5 },
+    });
+
+    expect(ThreadParticipant.findAll).not.toHaveBeenCalled();
+    expect(Notification.bulkCreate).toHaveBeenCalledWith([
+      expect.objectContaining({ user_id: 10 }),
+      expect.objectContaining({ user_id: 11 }),
+    ]);
+  });
+
+  it('skips a single message notification for a muted thread', async () => {
+    ThreadParticipant.findAll.mockResolvedValue([{ user_id: 10 }]);
+
+    const notification = await notificationService.createNotification({
+      userId: 10,
+      type: 'message_received',
+      title: 'New Message',
+      message: 'Alice sent you a message',
+      metadata: { thread_id: 5 },
+    });
+
+    expect(notification).toBeNull();
+    expect(Notification.create).not.toHaveBeenCalled();
+    expect(emailService.sendNotificationEmail).not.toHaveBeenCalled();
+  });
+});
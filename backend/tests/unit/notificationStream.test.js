@@ -0,0 +1,112 @@
+jest.mock('../../src/database/models/Notification', () => ({
+  findAll: jest.fn(),
+}));
+
+jest.mock('../../src/services/notificationStreamService', () => ({
+  subscribeToNotifications: jest.fn(),
+  countUnread: jest.fn(),
+  publishUnreadCount: jest.fn(),
+}));
+
+const { EventEmitter } = require('events');
+const Notification = require('../../src/database/models/Notification');
+const notificationStreamService = require('../../src/services/notificationStreamService');
+const { streamNotifications } = require('../../src/controllers/notificationController');
+
+const buildRequest = (headers = {}) => {
+  const req = new EventEmitter();
+  req.user = { id: 7 };
+  req.query = {};
+  req.get = (name) => headers[name];
+  return req;
+};
+
+const buildResponse = () => ({
+  frames: [],
+  status: jest.fn().mockReturnThis(),
+  set: jest.fn(),
+  flushHeaders: jest.fn(),
+  end: jest.fn(),
+  write(chunk) {
+    this.frames.push(chunk);
+  },
+});
+
+const asRow = (data) => ({ ...data, toSafeObject: () => data });
+
+describe('notificationController.streamNotifications', () => {
+  let onEvent;
+  let unsubscribe;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    unsubscribe = jest.fn();
+    notificationStreamService.subscribeToNotifications.mockImplementation(async (userId, handler) => {
+      onEvent = handler;
+      return unsubscribe;
+    });
+    notificationStreamService.countUnread.mockResolvedValue(3);
+  });
+
+  it('replays notifications after Last-Event-ID and then sends the unread count', async () => {
+    Notification.findAll.mockResolvedValue([
+      asRow({ id: 11, title: 'A' }),
+      asRow({ id: 12, title: 'B' }),
+    ]);
+    const req = buildRequest({ 'Last-Event-ID': '10' });
+    const res = buildResponse();
+
+    await streamNotifications(req, res);
+
+    expect(Notification.findAll).toHaveBeenCalledWith(expect.objectContaining({
+      order: [['id', 'ASC']],
+    }));
+    const body = res.frames.join('');
+    expect(body).toContain('id: 11\nevent: notification.created\ndata: {"id":11,"title":"A"}');
+    expect(body).toContain('id: 12\nevent: notification.created');
+    expect(body).toContain('event: notification.unread_count\ndata: {"unreadCount":3}');
+
+    req.emit('close');
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(unsubscribe).toHaveBeenCalled();
+  });
+
+  it('drops live events already delivered by the replay', async () => {
+    Notification.findAll.mockResolvedValue([asRow({ id: 21, title: 'Replayed' })]);
+    const req = buildRequest({ 'Last-Event-ID': '20' });
+    const res = buildResponse();
+
+    await streamNotifications(req, res);
+    onEvent({ event: 'notification.created', data: { notification: { id: 21, title: 'Replayed' } } });
+    onEvent({ event: 'notification.created', data: { notification: { id: 22, title: 'Live' } } });
+
+    const body = res.frames.join('');
+    expect(body.match(/id: 21\n/g)).toHaveLength(1);
+    expect(body).toContain('id: 22\nevent: notification.created');
+  });
+
+  it('does not query history on a fresh connection', async () => {
+    const req = buildRequest();
+    const res = buildResponse();
+
+    await streamNotifications(req, res);
+    onEvent({ event: 'notification.unread_count', data: { unreadCount: 0 } });
+
+    expect(Notification.findAll).not.toHaveBeenCalled();
+    expect(res.frames.join('')).toContain('event: notification.unread_count\ndata: {"unreadCount":0}');
+  });
+
+  it('asks the client to resync when too many notifications were missed', async () => {
+    Notification.findAll.mockResolvedValue(
+      Array.from({ length: 101 }, (_, index) => asRow({ id: index + 1 }))
+    );
+    const req = buildRequest({ 'Last-Event-ID': '0' });
+    const res = buildResponse();
+
+    await streamNotifications(req, res);
+
+    const body = res.frames.join('');
+    expect(body).toContain('event: notification.resync');
+    expect(body).not.toContain('event: notification.created');
+  });
+});
@@ -5,6 +5,7 @@
 jest.mock('../../src/database/models', () => ({
   Organization: {
     findOne: jest.fn(),
+    findByPk: jest.fn(),
     create: jest.fn()
   },
   User: {
@@ -14,11 +15,26 @@ jest.mock('../../src/database/models', () => ({
 
 jest.mock('../../src/utils/auditLogger', () => ({
   logAudit: jest.fn().mockResolvedValue(undefined),
-  AUDIT_ACTIONS: { ORGANIZATION_UPDATE: 'ORGANIZATION_UPDATE' }
+  AUDIT_ACTIONS: {
+    ORGANIZATION_UPDATE: 'ORGANIZATION_UPDATE',
+    ORGANIZATION_MEMBER_INVITED: 'ORGANIZATION_MEMBER_INVITED',
+    ORGANIZATION_MEMBER_REMOVED: 'ORGANIZATION_MEMBER_REMOVED'
+  }
+}));
+
+jest.mock('../../src/services/organizationMemberService', () => ({
+  ORGANIZATION_MEMBER_ROLES: ['owner', 'admin', 'project_manager', 'viewer'],
+  hasOrganizationPermission: jest.fn((role) => ['owner', 'admin'].includes(role)),
+  getMembership: jest.fn(),
+  createOwnerMembership: jest.fn(),
+  inviteMember: jest.fn(),
+  removeMember: jest.fn()
 }));
 
 const organizationController = require('../../src/controllers/organizationController');
 const { Organization, User } = require('../../src/database/models');
+const organizationMemberService = require('../../src/services/organizationMemberService');
+const { logAudit } = require('../../src/utils/auditLogger');
 
 describe('Organization Controller', () => {
   let req, res;
@@ -40,7 +56,8 @@ describe('Organization Controller', () => {
     };
 
     const mockOrg = { id: 10, update: jest.fn().mockResolvedValue(true) };
-    Organization.findOne.mockResolvedValue(mockOrg);
+    organizationMemberService.getMembership.mockResolvedValue({ org_id: 10, role: 'admin' });
+    Organization.findByPk.mockResolvedValue(mockOrg);
 
     await organizationController.updateOrganization(req, res);
 
@@ -65,13 +82,94 @@ describe('Organization Controller', () => {
 
   it('creates organization and links user when missing', async () => {
     req.body = { name: 'New Org', website: 'https://new.org' };
-    Organization.findOne.mockResolvedValue(null);
+    organizationMemberService.getMembership.mockResolvedValue(null);
     Organization.create.mockResolvedValue({ id: 25, user_id: 1, name: 'New Org' });
 
     await organizationController.updateOrganization(req, res);
 
     expect(Organization.create).toHaveBeenCalled();
     expect(User.update).toHaveBeenCalledWith({ org_id: 25 }, { where: { id: 1 } });
+    expect(organizationMemberService.createOwnerMembership).toHaveBeenCalledWith(25, 1);
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('clears verification when a verified organization changes its EIN', async () => {
+    req.body = { EIN: '98-7654321', mission: 'Feed families' };
+    const mockOrg = { id: 10, EIN: '12-3456789', verification_status: 'verified', update: jest.fn() };
+    organizationMemberService.getMembership.mockResolvedValue({ org_id: 10, role: 'owner' });
+    Organization.findByPk.mockResolvedValue(mockOrg);
+
+    await organizationController.updateOrganization(req, res);
+
+    expect(mockOrg.update).toHaveBeenCalledWith(expect.objectContaining({
+      EIN: '98-7654321',
+      verification_status: 'unverified',
+      verified_at: null,
+      verification_expires_at: null
+    }));
     expect(res.status).toHaveBeenCalledWith(200);
   });
+
+  it('rejects settings updates from members whose role does not allow them', async () => {
+    req.body = { name: 'Renamed Org' };
+    const mockOrg = { id: 10, update: jest.fn() };
+    organizationMemberService.getMembership.mockResolvedValue({ org_id: 10, role: 'viewer' });
+    Organization.findByPk.mockResolvedValue(mockOrg);
+
+    await organizationController.updateOrganization(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(mockOrg.update).not.toHaveBeenCalled();
+    expect(Organization.create).not.toHaveBeenCalled();
+  });
+
+  describe('members', () => {
+    beforeEach(() => {
+      req.user = { id: 1, name: 'Olive Owner', role: 'nonprofit' };
+      req.params = {};
+      req.organizationMembership = { org_id: 10, role: 'admin' };
+    });
+
+    it('invites a member and records an audit entry', async () => {
+      req.body = { email: 'pat@example.org', role: 'project_manager' };
+      organizationMemberService.inviteMember.mockResolvedValue({ id: 4, email: 'pat@example.org', role: 'project_manager' });
+
+      await organizationController.inviteMember(req, res);
+
+      expect(organizationMemberService.inviteMember).toHaveBeenCalledWith({
+        orgId: 10,
+        actor: req.user,
+        actorRole: 'admin',
+        email: 'pat@example.org',
+        role: 'project_manager'
+      });
+      expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({ action: 'ORGANIZATION_MEMBER_INVITED', entityId: 10 }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('maps service errors to responses', async () => {
+      req.body = { email: 'pat@example.org', role: 'owner' };
+      organizationMemberService.inviteMember.mockRejectedValue(new Error('OWNER_ROLE_REQUIRED'));
+
+      await organizationController.inviteMember(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Only owners can grant, change or remove the owner role' });
+    });
+
+    it('lets any member leave but only managers remove others', async () => {
+      req.organizationMembership = { org_id: 10, role: 'viewer' };
+      organizationMemberService.removeMember.mockResolvedValue({ user_id: 1, role: 'viewer' });
+
+      req.params.userId = '2';
+      await organizationController.removeMember(req, res);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(organizationMemberService.removeMember).not.toHaveBeenCalled();
+
+      req.params.userId = '1';
+      await organizationController.removeMember(req, res);
+      expect(organizationMemberService.removeMember).toHaveBeenCalledWith({ orgId: 10, actorRole: 'viewer', memberUserId: 1 });
+      expect(res.status).toHaveBeenLastCalledWith(200);
+    });
+  });
 });
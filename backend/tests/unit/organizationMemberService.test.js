@@ -0,0 +1,214 @@
+jest.mock('../../src/database', () => ({
+  transaction: jest.fn(),
+  where: jest.fn((left, right) => ({ left, right })),
+  fn: jest.fn((name, column) => ({ name, column })),
+  col: jest.fn((name) => name)
+}));
+
+jest.mock('../../src/database/models', () => ({
+  Organization: { findByPk: jest.fn() },
+  OrganizationMember: { findOne: jest.fn(), findAll: jest.fn(), create: jest.fn(), count: jest.fn() },
+  OrganizationInvitation: { findOne: jest.fn(), findAll: jest.fn(), create: jest.fn(), update: jest.fn() },
+  User: { findOne: jest.fn(), update: jest.fn() }
+}));
+
+jest.mock('../../src/services/emailService', () => ({
+  sendOrganizationInvitationEmail: jest.fn()
+}));
+
+const sequelize = require('../../src/database');
+const {
+  Organization,
+  OrganizationMember,
+  OrganizationInvitation,
+  User
+} = require('../../src/database/models');
+const emailService = require('../../src/services/emailService');
+const organizationMemberService = require('../../src/services/organizationMemberService');
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+const makeInvitation = (overrides = {}) => ({
+  id: 4,
+  org_id: 10,
+  email: 'pat@example.org',
+  role: 'project_manager',
+  invited_by: 1,
+  accepted_at: null,
+  revoked_at: null,
+  isExpired: jest.fn(() => false),
+  destroy: jest.fn(),
+  toSafeObject: jest.fn(() => ({ id: 4, org_id: 10, email: 'pat@example.org', role: 'project_manager' })),
+  ...overrides
+});
+
+describe('organizationMemberService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sequelize.transaction.mockImplementation(async (callback) => callback(transaction));
+    Organization.findByPk.mockResolvedValue({ id: 10, name: 'Food Bank' });
+    User.findOne.mockResolvedValue(null);
+    OrganizationInvitation.update.mockResolvedValue([1]);
+  });
+
+  describe('permissions', () => {
+    it('maps roles to permissions', () => {
+      const { hasOrganizationPermission } = organizationMemberService;
+
+      expect(hasOrganizationPermission('viewer', 'projects:view')).toBe(true);
+      expect(hasOrganizationPermission('viewer', 'projects:update')).toBe(false);
+      expect(hasOrganizationPermission('project_manager', 'milestones:manage')).toBe(true);
+      expect(hasOrganizationPermission('project_manager', 'projects:delete')).toBe(false);
+      expect(hasOrganizationPermission('admin', 'members:manage')).toBe(true);
+      expect(hasOrganizationPermission(null, 'projects:view')).toBe(false);
+      expect(() => hasOrganizationPermission('owner', 'projects:fly')).toThrow('Unknown organization permission');
+    });
+
+    it('only grants permissions in the organization the user belongs to', async () => {
+      OrganizationMember.findOne.mockResolvedValue({ org_id: 10, role: 'project_manager' });
+      const user = { id: 3, role: 'nonprofit' };
+
+      await expect(organizationMemberService.canInOrganization(user, 10, 'projects:update')).resolves.toBe(true);
+      await expect(organizationMemberService.canInOrganization(user, 11, 'projects:update')).resolves.toBe(false);
+      await expect(organizationMemberService.canInOrganization({ id: 3, role: 'researcher' }, 10, 'projects:view')).resolves.toBe(false);
+    });
+  });
+
+  describe('inviteMember', () => {
+    it('stores only a hash of the emailed token and replaces pending invitations', async () => {
+      const invitation = makeInvitation();
+      OrganizationInvitation.create.mockResolvedValue(invitation);
+
+      const result = await organizationMemberService.inviteMember({
+        orgId: 10,
+        actor: { id: 1, name: 'Olive' },
+        actorRole: 'admin',
+        email: ' Pat@Example.org ',
+        role: 'project_manager'
+      });
+
+      expect(result).toEqual(expect.objectContaining({ id: 4, email: 'pat@example.org' }));
+      expect(OrganizationInvitation.update).toHaveBeenCalledWith(
+        { revoked_at: expect.any(Date) },
+        expect.objectContaining({ where: expect.objectContaining({ org_id: 10, email: 'pat@example.org' }) })
+      );
+
+      const { token } = emailService.sendOrganizationInvitationEmail.mock.calls[0][1];
+      const created = OrganizationInvitation.create.mock.calls[0][0];
+      expect(created.token_hash).toBe(organizationMemberService.hashInvitationToken(token));
+      expect(created.token_hash).not.toBe(token);
+      expect(created.expires_at.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('requires an owner to invite another owner', async () => {
+      await expect(organizationMemberService.inviteMember({
+        orgId: 10,
+        actor: { id: 1 },
+        actorRole: 'admin',
+        email: 'pat@example.org',
+        role: 'owner'
+      })).rejects.toThrow('OWNER_ROLE_REQUIRED');
+      expect(OrganizationInvitation.create).not.toHaveBeenCalled();
+    });
+
+    it('discards the invitation when the email cannot be sent', async () => {
+      const invitation = makeInvitation();
+      OrganizationInvitation.create.mockResolvedValue(invitation);
+      emailService.sendOrganizationInvitationEmail.mockRejectedValueOnce(new Error('smtp down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(organizationMemberService.inviteMember({
+        orgId: 10,
+        actor: { id: 1 },
+        actorRole: 'owner',
+        email: 'pat@example.org',
+        role: 'viewer'
+      })).rejects.toThrow('INVITATION_EMAIL_FAILED');
+      expect(invitation.destroy).toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+  });
+
+  describe('acceptInvitation', () => {
+    const user = { id: 8, email: 'pat@example.org', role: 'nonprofit', org_id: null };
+
+    it('adds the member with the invited role and links the user to the organization', async () => {
+      OrganizationInvitation.findOne.mockResolvedValue(makeInvitation());
+      OrganizationMember.findOne.mockResolvedValue(null);
+      OrganizationMember.create.mockResolvedValue({ org_id: 10, user_id: 8, role: 'project_manager' });
+
+      const result = await organizationMemberService.acceptInvitation({ token: 'abc', user });
+
+      expect(OrganizationInvitation.findOne).toHaveBeenCalledWith({
+        where: { token_hash: organizationMemberService.hashInvitationToken('abc') }
+      });
+      expect(OrganizationMember.create).toHaveBeenCalledWith(
+        { org_id: 10, user_id: 8, role: 'project_manager', invited_by: 1 },
+        { transaction }
+      );
+      expect(User.update).toHaveBeenCalledWith({ org_id: 10 }, { where: { id: 8 }, transaction });
+      expect(result.membership.role).toBe('project_manager');
+    });
+
+    it('rejects expired invitations and other email addresses', async () => {
+      OrganizationInvitation.findOne.mockResolvedValueOnce(makeInvitation({ isExpired: () => true }));
+      await expect(organizationMemberService.acceptInvitation({ token: 'abc', user })).rejects.toThrow('INVITATION_EXPIRED');
+
+      OrganizationInvitation.findOne.mockResolvedValueOnce(makeInvitation());
+      await expect(organizationMemberService.acceptInvitation({
+        token: 'abc',
+        user: { ...user, email: 'someone@example.org' }
+      })).rejects.toThrow('INVITATION_EMAIL_MISMATCH');
+
+      expect(OrganizationMember.create).not.toHaveBeenCalled();
+    });
+
+    it('rejects users who already belong to another organization', async () => {
+      OrganizationInvitation.findOne.mockResolvedValue(makeInvitation());
+      OrganizationMember.findOne.mockResolvedValue({ org_id: 22, user_id: 8 });
+
+      await expect(organizationMemberService.acceptInvitation({ token: 'abc', user })).rejects.toThrow('ALREADY_IN_ORGANIZATION');
+      expect(OrganizationInvitation.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateMemberRole and removeMember', () => {
+    it('keeps at least one owner', async () => {
+      OrganizationMember.findOne.mockResolvedValue({ org_id: 10, user_id: 1, role: 'owner', update: jest.fn(), destroy: jest.fn() });
+      OrganizationMember.count.mockResolvedValue(1);
+
+      await expect(organizationMemberService.updateMemberRole({
+        orgId: 10,
+        actorRole: 'owner',
+        memberUserId: 1,
+        role: 'admin'
+      })).rejects.toThrow('LAST_OWNER');
+      await expect(organizationMemberService.removeMember({
+        orgId: 10,
+        actorRole: 'owner',
+        memberUserId: 1
+      })).rejects.toThrow('LAST_OWNER');
+    });
+
+    it('does not let admins change owners', async () => {
+      OrganizationMember.findOne.mockResolvedValue({ org_id: 10, user_id: 1, role: 'owner', update: jest.fn() });
+
+      await expect(organizationMemberService.updateMemberRole({
+        orgId: 10,
+        actorRole: 'admin',
+        memberUserId: 1,
+        role: 'viewer'
+      })).rejects.toThrow('OWNER_ROLE_REQUIRED');
+    });
+
+    it('removes a member and unlinks their account', async () => {
+      const member = { org_id: 10, user_id: 5, role: 'viewer', destroy: jest.fn() };
+      OrganizationMember.findOne.mockResolvedValue(member);
+
+      await organizationMemberService.removeMember({ orgId: 10, actorRole: 'admin', memberUserId: 5 });
+
+      expect(member.destroy).toHaveBeenCalledWith({ transaction });
+      expect(User.update).toHaveBeenCalledWith({ org_id: null }, { where: { id: 5, org_id: 10 }, transaction });
+    });
+  });
+});
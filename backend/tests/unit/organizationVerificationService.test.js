@@ -0,0 +1,359 @@
+jest.mock('../../src/database', () => ({
+  transaction: jest.fn()
+}));
+
+jest.mock('../../src/database/models', () => ({
+  Organization: { findByPk: jest.fn(), findAll: jest.fn() },
+  OrganizationMember: { findAll: jest.fn() },
+  OrganizationVerificationRequest: { findOne: jest.fn(), findByPk: jest.fn(), create: jest.fn() },
+  OrganizationVerificationDocument: { create: jest.fn(), findOne: jest.fn() },
+  User: { findAll: jest.fn() }
+}));
+
+jest.mock('../../src/services/storage', () => ({
+  getStorageAdapter: jest.fn()
+}));
+
+jest.mock('../../src/services/uploadSecurityService', () => ({
+  evaluateUploadSecurity: jest.fn()
+}));
+
+jest.mock('../../src/services/notificationService', () => ({
+  createBulkNotifications: jest.fn()
+}));
+
+jest.mock('../../src/utils/auditLogger', () => ({
+  logAudit: jest.fn(),
+  AUDIT_ACTIONS: {
+    ORGANIZATION_VERIFICATION_SUBMITTED: 'ORGANIZATION_VERIFICATION_SUBMITTED',
+    ORGANIZATION_VERIFICATION_APPROVED: 'ORGANIZATION_VERIFICATION_APPROVED',
+    ORGANIZATION_VERIFICATION_REJECTED: 'ORGANIZATION_VERIFICATION_REJECTED',
+    ORGANIZATION_VERIFICATION_INFO_REQUESTED: 'ORGANIZATION_VERIFICATION_INFO_REQUESTED',
+    ORGANIZATION_VERIFICATION_EXPIRED: 'ORGANIZATION_VERIFICATION_EXPIRED'
+  }
+}));
+
+const sequelize = require('../../src/database');
+const {
+  Organization,
+  OrganizationMember,
+  OrganizationVerificationRequest,
+  OrganizationVerificationDocument,
+  User
+} = require('../../src/database/models');
+const { getStorageAdapter } = require('../../src/services/storage');
+const { evaluateUploadSecurity } = require('../../src/services/uploadSecurityService');
+const notificationService = require('../../src/services/notificationService');
+const { logAudit } = require('../../src/utils/auditLogger');
+const organizationVerificationService = require('../../src/services/organizationVerificationService');
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const makeOrganization = (overrides = {}) => ({
+  id: 10,
+  name: 'Food Bank',
+  verification_status: 'unverified',
+  verification_expires_at: null,
+  isVerified: jest.fn(() => false),
+  update: jest.fn(),
+  ...overrides
+});
+
+const makeRequest = (overrides = {}) => ({
+  id: 7,
+  org_id: 10,
+  submitted_by: 3,
+  status: 'pending',
+  registration_number: 'REG-1',
+  isOpen: jest.fn(() => true),
+  update: jest.fn(function update(values) {
+    Object.assign(this, values);
+  }),
+  ...overrides
+});
+
+const makeFile = (name = 'irs-letter.pdf') => ({
+  originalname: name,
+  mimetype: 'application/pdf',
+  size: 1200,
+  buffer: Buffer.from('%PDF-1.4')
+});
+
+describe('organizationVerificationService', () => {
+  let storageAdapter;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sequelize.transaction.mockImplementation(async (callback) => callback(transaction));
+    storageAdapter = {
+      save: jest.fn().mockResolvedValue({ storageKey: 'organization-verifications/org-10/file.pdf' }),
+      delete: jest.fn()
+    };
+    getStorageAdapter.mockReturnValue(storageAdapter);
+    evaluateUploadSecurity.mockResolvedValue({ accepted: true, contentHash: 'abc123' });
+    OrganizationMember.findAll.mockResolvedValue([{ user_id: 1 }, { user_id: 3 }]);
+    User.findAll.mockResolvedValue([{ id: 99 }]);
+  });
+
+  describe('submitVerificationRequest', () => {
+    const user = { id: 3, role: 'nonprofit' };
+
+    it('scans and stores documents, creates the request and marks the organization pending', async () => {
+      const organization = makeOrganization();
+      Organization.findByPk.mockResolvedValue(organization);
+      OrganizationVerificationRequest.findOne.mockResolvedValue(null);
+      OrganizationVerificationRequest.create.mockResolvedValue(makeRequest());
+
+      const result = await organizationVerificationService.submitVerificationRequest({
+        orgId: 10,
+        user,
+        registrationNumber: ' 12-3456789 ',
+        files: [makeFile()],
+        route: '/api/organizations/me/verification'
+      });
+
+      expect(result).toEqual(expect.objectContaining({ accepted: true, resubmitted: false }));
+      expect(evaluateUploadSecurity).toHaveBeenCalledWith(expect.objectContaining({
+        user,
+        surface: 'organization_verification'
+      }));
+      expect(storageAdapter.save).toHaveBeenCalledWith(expect.objectContaining({
+        storagePrefix: 'organization-verifications/org-10',
+        filename: 'irs-letter.pdf'
+      }));
+      expect(OrganizationVerificationRequest.create).toHaveBeenCalledWith(
+        expect.objectContaining({ org_id: 10, registration_number: '12-3456789', status: 'pending' }),
+        { transaction }
+      );
+      expect(OrganizationVerificationDocument.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          request_id: 7,
+          storage_key: 'organization-verifications/org-10/file.pdf',
+          content_hash: 'abc123'
+        }),
+        { transaction }
+      );
+      expect(organization.update).toHaveBeenCalledWith({ verification_status: 'pending' }, { transaction });
+      expect(notificationService.createBulkNotifications).toHaveBeenCalledWith(
+        [99],
+        expect.objectContaining({ type: 'organization_verification_updated' })
+      );
+    });
+
+    it('stores nothing when a document fails the upload security check', async () => {
+      Organization.findByPk.mockResolvedValue(makeOrganization());
+      OrganizationVerificationRequest.findOne.mockResolvedValue(null);
+      const rejection = { accepted: false, statusCode: 422, errorCode: 'MALICIOUS_UPLOAD_REJECTED' };
+      evaluateUploadSecurity
+        .mockResolvedValueOnce({ accepted: true, contentHash: 'abc123' })
+        .mockResolvedValueOnce(rejection);
+
+      const result = await organizationVerificationService.submitVerificationRequest({
+        orgId: 10,
+        user,
+        registrationNumber: '12-3456789',
+        files: [makeFile(), makeFile('bad.pdf')]
+      });
+
+      expect(result).toBe(rejection);
+      expect(storageAdapter.save).not.toHaveBeenCalled();
+      expect(OrganizationVerificationRequest.create).not.toHaveBeenCalled();
+    });
+
+    it('requires documents and refuses a second request while one awaits review', async () => {
+      Organization.findByPk.mockResolvedValue(makeOrganization());
+      OrganizationVerificationRequest.findOne.mockResolvedValueOnce(null);
+
+      await expect(organizationVerificationService.submitVerificationRequest({
+        orgId: 10,
+        user,
+        registrationNumber: '12-3456789',
+        files: []
+      })).rejects.toThrow('DOCUMENTS_REQUIRED');
+
+      OrganizationVerificationRequest.findOne.mockResolvedValueOnce(makeRequest());
+      await expect(organizationVerificationService.submitVerificationRequest({
+        orgId: 10,
+        user,
+        registrationNumber: '12-3456789',
+        files: [makeFile()]
+      })).rejects.toThrow('VERIFICATION_ALREADY_PENDING');
+    });
+
+    it('reopens a request an admin asked for more information on', async () => {
+      const verified = makeOrganization({ verification_status: 'verified', isVerified: jest.fn(() => true) });
+      const openRequest = makeRequest({ status: 'info_requested' });
+      Organization.findByPk.mockResolvedValue(verified);
+      OrganizationVerificationRequest.findOne.mockResolvedValue(openRequest);
+
+      const result = await organizationVerificationService.submitVerificationRequest({
+        orgId: 10,
+        user,
+        notes: 'Attached our state charter',
+        files: [makeFile('charter.pdf')]
+      });
+
+      expect(result.resubmitted).toBe(true);
+      expect(openRequest.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'pending', registration_number: 'REG-1', notes: 'Attached our state charter' }),
+        { transaction }
+      );
+      expect(OrganizationVerificationRequest.create).not.toHaveBeenCalled();
+      expect(verified.update).not.toHaveBeenCalled();
+    });
+
+    it('removes stored files when saving the request fails', async () => {
+      Organization.findByPk.mockResolvedValue(makeOrganization());
+      OrganizationVerificationRequest.findOne.mockResolvedValue(null);
+      OrganizationVerificationRequest.create.mockRejectedValue(new Error('db down'));
+
+      await expect(organizationVerificationService.submitVerificationRequest({
+        orgId: 10,
+        user,
+        registrationNumber: '12-3456789',
+        files: [makeFile()]
+      })).rejects.toThrow('db down');
+      expect(storageAdapter.delete).toHaveBeenCalledWith('organization-verifications/org-10/file.pdf');
+    });
+  });
+
+  describe('reviewVerificationRequest', () => {
+    it('approves a request and verifies the organization for the validity period', async () => {
+      const request = makeRequest();
+      const organization = makeOrganization();
+      OrganizationVerificationRequest.findByPk.mockResolvedValue(request);
+      Organization.findByPk.mockResolvedValue(organization);
+
+      await organizationVerificationService.reviewVerificationRequest({
+        requestId: 7,
+        reviewer: { id: 50 },
+        action: 'approve'
+      });
+
+      expect(request.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'approved', reviewed_by: 50 }),
+        { transaction }
+      );
+      const orgUpdate = organization.update.mock.calls[0][0];
+      expect(orgUpdate.verification_status).toBe('verified');
+      expect(orgUpdate.reverification_reminded_at).toBeNull();
+      expect(orgUpdate.verification_expires_at.getTime() - orgUpdate.verified_at.getTime()).toBe(365 * DAY_MS);
+      expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'ORGANIZATION_VERIFICATION_APPROVED',
+        entityId: 10
+      }));
+      expect(notificationService.createBulkNotifications).toHaveBeenCalledWith(
+        [1, 3],
+        expect.objectContaining({ type: 'organization_verification_updated', title: 'Organization Verified' })
+      );
+    });
+
+    it('needs a message to reject or request information', async () => {
+      await expect(organizationVerificationService.reviewVerificationRequest({
+        requestId: 7,
+        reviewer: { id: 50 },
+        action: 'reject',
+        message: '  '
+      })).rejects.toThrow('REVIEW_MESSAGE_REQUIRED');
+      expect(sequelize.transaction).not.toHaveBeenCalled();
+    });
+
+    it('keeps an unexpired verification when a renewal is rejected', async () => {
+      const organization = makeOrganization({ verification_status: 'verified', isVerified: jest.fn(() => true) });
+      OrganizationVerificationRequest.findByPk.mockResolvedValue(makeRequest());
+      Organization.findByPk.mockResolvedValue(organization);
+
+      await organizationVerificationService.reviewVerificationRequest({
+        requestId: 7,
+        reviewer: { id: 50 },
+        action: 'reject',
+        message: 'Document is illegible'
+      });
+
+      expect(organization.update).not.toHaveBeenCalled();
+    });
+
+    it('leaves the organization status alone when asking for more information', async () => {
+      const request = makeRequest();
+      const organization = makeOrganization({ verification_status: 'pending' });
+      OrganizationVerificationRequest.findByPk.mockResolvedValue(request);
+      Organization.findByPk.mockResolvedValue(organization);
+
+      await organizationVerificationService.reviewVerificationRequest({
+        requestId: 7,
+        reviewer: { id: 50 },
+        action: 'request_info',
+        message: 'Please upload your IRS determination letter'
+      });
+
+      expect(request.status).toBe('info_requested');
+      expect(organization.update).not.toHaveBeenCalled();
+    });
+
+    it('refuses to review a closed request', async () => {
+      OrganizationVerificationRequest.findByPk.mockResolvedValue(makeRequest({
+        status: 'approved',
+        isOpen: jest.fn(() => false)
+      }));
+
+      await expect(organizationVerificationService.reviewVerificationRequest({
+        requestId: 7,
+        reviewer: { id: 50 },
+        action: 'approve'
+      })).rejects.toThrow('VERIFICATION_REQUEST_NOT_OPEN');
+    });
+  });
+
+  describe('sendReverificationReminders', () => {
+    it('expires lapsed verifications and reminds organizations nearing expiry once', async () => {
+      const now = new Date('2026-10-19T09:00:00Z');
+      const lapsed = makeOrganization({
+        id: 10,
+        verification_status: 'verified',
+        verification_expires_at: new Date(now.getTime() - DAY_MS)
+      });
+      const expiring = makeOrganization({
+        id: 11,
+        name: 'Clinic',
+        verification_status: 'verified',
+        verification_expires_at: new Date(now.getTime() + 10 * DAY_MS)
+      });
+      Organization.findAll
+        .mockResolvedValueOnce([lapsed])
+        .mockResolvedValueOnce([expiring]);
+      OrganizationVerificationRequest.findOne.mockResolvedValue(null);
+
+      const summary = await organizationVerificationService.sendReverificationReminders({ now });
+
+      expect(summary).toEqual({ expired: 1, reminded: 1, failed: 0, completed: true });
+      expect(lapsed.update).toHaveBeenCalledWith({ verification_status: 'expired' });
+      expect(expiring.update).toHaveBeenCalledWith({ reverification_reminded_at: now });
+      expect(notificationService.createBulkNotifications).toHaveBeenCalledWith(
+        [1, 3],
+        expect.objectContaining({
+          type: 'organization_reverification_due',
+          message: expect.stringContaining('expires in 10 days')
+        })
+      );
+    });
+
+    it('does not remind organizations that already submitted a renewal', async () => {
+      const now = new Date('2026-10-19T09:00:00Z');
+      const expiring = makeOrganization({
+        verification_status: 'verified',
+        verification_expires_at: new Date(now.getTime() + 5 * DAY_MS)
+      });
+      Organization.findAll
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([expiring]);
+      OrganizationVerificationRequest.findOne.mockResolvedValue(makeRequest());
+
+      const summary = await organizationVerificationService.sendReverificationReminders({ now });
+
+      expect(summary.reminded).toBe(0);
+      expect(expiring.update).toHaveBeenCalledWith({ reverification_reminded_at: now });
+      expect(notificationService.createBulkNotifications).not.toHaveBeenCalled();
+    });
+  });
+});
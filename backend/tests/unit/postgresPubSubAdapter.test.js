@@ -0,0 +1,96 @@
+jest.mock('pg', () => {
+  const { EventEmitter } = require('events');
+
+  class Client extends EventEmitter {
+    constructor(config) {
+      super();
+      this.config = config;
+      this.connect = jest.fn(() => Client.connectResults.shift()?.() ?? Promise.resolve());
+      this.query = jest.fn().mockResolvedValue({});
+      this.end = jest.fn().mockResolvedValue();
+      Client.instances.push(this);
+    }
+  }
+  Client.instances = [];
+  Client.connectResults = [];
+
+  return { Client };
+});
+
+const { Client } = require('pg');
+const PostgresPubSubAdapter = require('../../src/services/realtime/postgresPubSubAdapter');
+
+const flushPromises = async () => {
+  for (let i = 0; i < 5; i += 1) {
+    await Promise.resolve();
+  }
+};
+
+describe('PostgresPubSubAdapter', () => {
+  let adapter;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    Client.instances = [];
+    Client.connectResults = [];
+    adapter = new PostgresPubSubAdapter({ sequelize: { query: jest.fn() }, connectionString: 'postgres://test' });
+  });
+
+  afterEach(async () => {
+    await adapter.close();
+    jest.useRealTimers();
+    console.error.mockRestore();
+  });
+
+  it('keeps reconnecting with growing delays after a reconnect attempt fails', async () => {
+    const handler = jest.fn();
+    await adapter.subscribe('realtime_events', handler);
+    const [first] = Client.instances;
+
+    Client.connectResults.push(() => Promise.reject(new Error('connection refused')));
+    first.emit('error', new Error('terminating connection'));
+    expect(first.end).toHaveBeenCalled();
+
+    jest.advanceTimersByTime(2000);
+    await flushPromises();
+    expect(Client.instances).toHaveLength(2);
+    expect(Client.instances[1].connect).toHaveBeenCalled();
+
+    // The failed attempt is retried after a longer delay rather than abandoned
+    jest.advanceTimersByTime(3999);
+    await flushPromises();
+    expect(Client.instances).toHaveLength(2);
+    jest.advanceTimersByTime(1);
+    await flushPromises();
+    expect(Client.instances).toHaveLength(3);
+
+    const reconnected = Client.instances[2];
+    expect(reconnected.query).toHaveBeenCalledWith('LISTEN "realtime_events"');
+    reconnected.emit('notification', { channel: 'realtime_events', payload: '{"type":"ping"}' });
+    expect(handler).toHaveBeenCalledWith({ type: 'ping' });
+
+    // A stale client ending late does not tear down the new connection
+    Client.instances[1].emit('end');
+    expect(reconnected.end).not.toHaveBeenCalled();
+  });
+
+  it('caps the reconnect delay and stops retrying once closed', async () => {
+    await adapter.subscribe('realtime_events', jest.fn());
+    for (let i = 0; i < 10; i += 1) {
+      Client.connectResults.push(() => Promise.reject(new Error('connection refused')));
+    }
+    Client.instances[0].emit('end');
+
+    for (let attempt = 0; attempt < 7; attempt += 1) {
+      jest.advanceTimersByTime(60 * 1000);
+      await flushPromises();
+    }
+    expect(Client.instances).toHaveLength(8);
+
+    await adapter.close();
+    jest.advanceTimersByTime(10 * 60 * 1000);
+    await flushPromises();
+    expect(Client.instances).toHaveLength(8);
+  });
+});
@@ -0,0 +1,225 @@
+jest.mock('../../src/database', () => ({
+  transaction: jest.fn(),
+  query: jest.fn(),
+}));
+
+jest.mock('../../src/database/models', () => ({
+  Project: { findByPk: jest.fn() },
+  Application: { findAll: jest.fn() },
+  ProjectResearcherAccess: { findAll: jest.fn() },
+  MilestoneResearcher: { findAll: jest.fn() },
+  Milestone: {},
+  Contract: { findAll: jest.fn() },
+  Thread: { findOne: jest.fn(), create: jest.fn() },
+  ThreadParticipant: { findAll: jest.fn(), bulkCreate: jest.fn(), destroy: jest.fn() },
+  User: { findAll: jest.fn() },
+  JobCursor: { findByPk: jest.fn(), upsert: jest.fn() },
+}));
+
+jest.mock('../../src/services/messageService', () => ({
+  createSystemMessage: jest.fn(),
+  publishThreadEvent: jest.fn(),
+}));
+
+const sequelize = require('../../src/database');
+const {
+  Project,
+  Application,
+  ProjectResearcherAccess,
+  MilestoneResearcher,
+  Contract,
+  Thread,
+  ThreadParticipant,
+  User,
+  JobCursor,
+} = require('../../src/database/models');
+const messageService = require('../../src/services/messageService');
+const projectChannelService = require('../../src/services/projectChannelService');
+
+const channel = {
+  id: 40,
+  thread_type: 'group',
+  name: 'Housing Study team',
+  project_id: 22,
+  nonprofit_id: 5,
+  is_sensitive: false,
+  last_message_at: null,
+};
+
+const transaction = { id: 'tx' };
+
+// Candidate queries return the queued batches; the advisory lock query returns nothing
+const mockCandidateBatches = (...batches) => {
+  sequelize.query.mockImplementation(async (sql) => (
+    sql.includes('pg_advisory_xact_lock') ? [] : batches.shift() || []
+  ));
+};
+
+describe('projectChannelService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sequelize.transaction.mockImplementation(async (callback) => callback(transaction));
+    mockCandidateBatches();
+    JobCursor.findByPk.mockResolvedValue(null);
+
+    Project.findByPk.mockResolvedValue({ project_id: 22, title: 'Housing Study', org_id: 5 });
+    Application.findAll.mockResolvedValue([{ researcher_id: 11 }, { researcher_id: 12 }, { researcher_id: 13 }]);
+    ProjectResearcherAccess.findAll.mockResolvedValue([]);
+    MilestoneResearcher.findAll.mockResolvedValue([]);
+    Contract.findAll.mockResolvedValue([]);
+    User.findAll.mockImplementation(async ({ where }) => (
+      where.role === 'nonprofit'
+        ? [{ id: 7 }]
+        : where.id.map((id) => ({ id, name: `User ${id}` }))
+    ));
+    ThreadParticipant.findAll.mockResolvedValue([]);
+  });
+
+  describe('getActiveResearcherIds', () => {
+    it('drops researchers whose access was removed or whose latest agreement was terminated', async () => {
+      ProjectResearcherAccess.findAll.mockResolvedValue([
+        { researcher_id: 11, whole_project: false },
+        { researcher_id: 12, whole_project: false },
+      ]);
+      MilestoneResearcher.findAll.mockResolvedValue([{ researcher_id: 12 }]);
+      Contract.findAll.mockResolvedValue([
+        { id: 9, researcher_user_id: 13, status: 'terminated' },
+        { id: 8, researcher_user_id: 12, status: 'active' },
+        { id: 3, researcher_user_id: 12, status: 'terminated' },
+      ]);
+
+      await expect(projectChannelService.getActiveResearcherIds(22)).resolves.toEqual([12]);
+    });
+  });
+
+  describe('syncProjectChannel', () => {
+    it('creates the channel and adds staff and researchers with system messages', async () => {
+      Thread.findOne.mockResolvedValue(null);
+      Thread.create.mockResolvedValue(channel);
+      Application.findAll.mockResolvedValue([{ researcher_id: 11 }]);
+
+      const summary = await projectChannelService.syncProjectChannel(22, { actorId: 7, reason: 'application_accepted' });
+
+      expect(summary).toEqual({ project_id: 22, thread_id: 40, added: [7, 11], removed: [] });
+      expect(Thread.create).toHaveBeenCalledWith(expect.objectContaining({
+        thread_type: 'group',
+        name: 'Housing Study team',
+        project_id: 22,
+        is_project_channel: true,
+        created_by: 7,
+      }));
+      expect(ThreadParticipant.bulkCreate).toHaveBeenCalledWith(
+        [expect.objectContaining({ thread_id: 40, user_id: 7 }), expect.objectContaining({ thread_id: 40, user_id: 11 })],
+        expect.objectContaining({ ignoreDuplicates: true })
+      );
+      expect(messageService.publishThreadEvent).toHaveBeenCalledWith([7, 11], 'thread.created', expect.any(Object));
+      expect(messageService.createSystemMessage).toHaveBeenCalledWith({
+        threadId: 40,
+        subjectUserId: 11,
+        event: { type: 'member_added', user_id: 11, actor_id: 7, reason: 'application_accepted' },
+        body: 'User 11 joined the project team',
+      });
+    });
+
+    it('removes members who no longer work on the project', async () => {
+      Thread.findOne.mockResolvedValue(channel);
+      Application.findAll.mockResolvedValue([{ researcher_id: 11 }]);
+      ThreadParticipant.findAll.mockResolvedValue([{ user_id: 7 }, { user_id: 11 }, { user_id: 12 }]);
+
+      const summary = await projectChannelService.syncProjectChannel(22, { reason: 'access_changed' });
+
+      expect(summary.added).toEqual([]);
+      expect(summary.removed).toEqual([12]);
+      expect(ThreadParticipant.destroy).toHaveBeenCalledWith(expect.objectContaining({
+        where: { thread_id: 40, user_id: [12] },
+      }));
+      expect(messageService.publishThreadEvent).toHaveBeenCalledWith([12], 'thread.removed', { thread_id: 40 });
+      expect(messageService.createSystemMessage).toHaveBeenCalledWith(expect.objectContaining({
+        subjectUserId: 12,
+        event: expect.objectContaining({ type: 'member_removed', reason: 'access_changed' }),
+        body: 'User 12 left the project team',
+      }));
+    });
+
+    it('does not create a channel for a project without researchers', async () => {
+      Thread.findOne.mockResolvedValue(null);
+      Application.findAll.mockResolvedValue([]);
+
+      const summary = await projectChannelService.syncProjectChannel(22);
+
+      expect(summary.thread_id).toBeNull();
+      expect(Thread.create).not.toHaveBeenCalled();
+      expect(messageService.createSystemMessage).not.toHaveBeenCalled();
+    });
+
+    it('serializes overlapping syncs of a project so each join is posted once', async () => {
+      Thread.findOne.mockResolvedValue(channel);
+      Application.findAll.mockResolvedValue([{ researcher_id: 11 }]);
+      const stored = [];
+      ThreadParticipant.findAll.mockImplementation(async () => stored.map((userId) => ({ user_id: userId })));
+      ThreadParticipant.bulkCreate.mockImplementation(async (rows) => {
+        stored.push(...rows.map((row) => row.user_id));
+      });
+      // Transactions holding the same advisory lock run one after the other
+      let queue = Promise.resolve();
+      sequelize.transaction.mockImplementation((callback) => {
+        const run = queue.then(() => callback(transaction));
+        queue = run.catch(() => {});
+        return run;
+      });
+
+      const [first, second] = await Promise.all([
+        projectChannelService.syncProjectChannel(22, { reason: 'application_accepted' }),
+        projectChannelService.syncProjectChannel(22, { reason: 'reconciled' }),
+      ]);
+
+      expect(sequelize.query).toHaveBeenCalledWith('SELECT pg_advisory_xact_lock(hashtext(:key))', {
+        replacements: { key: 'project_channel:22' },
+        transaction,
+      });
+      expect(first.added).toEqual([7, 11]);
+      expect(second.added).toEqual([]);
+      expect(ThreadParticipant.bulkCreate).toHaveBeenCalledWith(expect.any(Array), expect.objectContaining({ transaction }));
+      expect(messageService.createSystemMessage).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('reconcileProjectChannels', () => {
+    it('syncs each candidate project and keeps going after failures', async () => {
+      mockCandidateBatches([{ project_id: 22 }, { project_id: 23 }], []);
+      Thread.findOne.mockResolvedValue(channel);
+      Application.findAll.mockResolvedValue([{ researcher_id: 11 }]);
+      Project.findByPk
+        .mockResolvedValueOnce({ project_id: 22, title: 'Housing Study', org_id: 5 })
+        .mockRejectedValueOnce(new Error('db down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const summary = await projectChannelService.reconcileProjectChannels({ batchSize: 2 });
+
+      expect(summary).toEqual({ projects: 2, added: 2, removed: 0, failed: 1, completed: true });
+      const candidateQueries = sequelize.query.mock.calls.filter(([sql]) => !sql.includes('pg_advisory_xact_lock'));
+      expect(candidateQueries[1][1].replacements).toEqual({ afterProjectId: 23, limit: 2 });
+      // A finished pass starts the next run from the beginning
+      expect(JobCursor.upsert).toHaveBeenLastCalledWith({ name: 'project_channel_reconcile', position: 0 });
+      console.error.mockRestore();
+    });
+
+    it('resumes after the last project the previous run reached', async () => {
+      JobCursor.findByPk.mockResolvedValue({ name: 'project_channel_reconcile', position: '23' });
+      mockCandidateBatches([{ project_id: 31 }, { project_id: 40 }]);
+      Thread.findOne.mockResolvedValue(channel);
+      ThreadParticipant.findAll.mockResolvedValue([{ user_id: 7 }, { user_id: 11 }, { user_id: 12 }, { user_id: 13 }]);
+      const now = jest.spyOn(Date, 'now')
+        .mockReturnValueOnce(0)
+        .mockReturnValueOnce(0)
+        .mockReturnValue(60 * 1000);
+
+      const summary = await projectChannelService.reconcileProjectChannels({ batchSize: 2, maxDurationMs: 50 * 1000 });
+      now.mockRestore();
+
+      expect(sequelize.query.mock.calls[0][1].replacements).toEqual({ afterProjectId: 23, limit: 2 });
+      expect(summary).toEqual({ projects: 1, added: 0, removed: 0, failed: 0, completed: false });
+      expect(JobCursor.upsert).toHaveBeenCalledWith({ name: 'project_channel_reconcile', position: 31 });
+    });
+  });
+});
@@ -21,8 +21,13 @@ jest.mock('../../src/database/models', () => ({
   }
 }));
 
+jest.mock('../../src/services/organizationMemberService', () => ({
+  canInOrganization: jest.fn().mockResolvedValue(true)
+}));
+
 const projectController = require('../../src/controllers/projectController');
 const { Project, Organization, User } = require('../../src/database/models');
+const organizationMemberService = require('../../src/services/organizationMemberService');
 
 describe('Project Controller', () => {
   let req, res;
@@ -145,6 +150,15 @@ describe('Project Controller', () => {
       );
     });
 
+    it('should reject unknown sort options', async () => {
+      req.query = { sort: 'popularity' };
+
+      await projectController.browseProjects(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Project.findAndCountAll).not.toHaveBeenCalled();
+    });
+
     it('should handle database errors', async () => {
       req.query = { page: 1, limit: 20 };
 
@@ -276,6 +290,22 @@ describe('Project Controller', () => {
       });
     });
 
+    it('should return 403 if the organization role cannot create projects', async () => {
+      User.findByPk.mockResolvedValue({ id: 1, role: 'nonprofit', org_id: 1 });
+      Organization.findByPk.mockResolvedValue({ id: 1, name: 'Test Org' });
+      organizationMemberService.canInOrganization.mockResolvedValueOnce(false);
+
+      await projectController.createProject(req, res);
+
+      expect(organizationMemberService.canInOrganization).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 1 }),
+        1,
+        'projects:create'
+      );
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(Project.create).not.toHaveBeenCalled();
+    });
+
     it('should return 404 if user has no organization', async () => {
       const mockUser = {
         id: 1,
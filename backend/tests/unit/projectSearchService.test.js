@@ -0,0 +1,97 @@
+jest.mock('../../src/database/models', () => ({
+  sequelize: {
+    escape: jest.fn((value) => `'${value}'`),
+    literal: jest.fn((value) => ({ val: value })),
+    getQueryInterface: jest.fn()
+  }
+}));
+
+const { Op } = require('sequelize');
+const { sequelize } = require('../../src/database/models');
+const projectSearchService = require('../../src/services/projectSearchService');
+
+describe('projectSearchService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    projectSearchService.resetSearchSupportCache();
+  });
+
+  test('parseSearchQuery handles phrases, prefixes and punctuation', () => {
+    const terms = projectSearchService.parseSearchQuery('"food security" educat* data-driven ***');
+
+    expect(terms).toEqual([
+      { words: ['food', 'security'], prefix: false },
+      { words: ['educat'], prefix: true },
+      { words: ['data', 'driven'], prefix: false }
+    ]);
+    expect(projectSearchService.toTsQuery(terms)).toBe('food <-> security & educat:* & data <-> driven');
+  });
+
+  test('parseSearchQuery strips tsquery operators from user input', () => {
+    const terms = projectSearchService.parseSearchQuery("water & !(health) | ' --");
+
+    expect(projectSearchService.toTsQuery(terms)).toBe('water & health');
+  });
+
+  test('buildFullTextQuery ranks and highlights against the escaped query', () => {
+    const query = projectSearchService.buildFullTextQuery(projectSearchService.parseSearchQuery('housing'));
+
+    expect(sequelize.escape).toHaveBeenCalledWith('housing');
+    expect(query.where.val).toBe(`"Project"."search_vector" @@ to_tsquery('english', 'housing')`);
+    expect(query.attributes.map(([, alias]) => alias)).toEqual(['search_rank', 'search_snippet']);
+    expect(projectSearchService.getSortKeys('relevance', query.rank)[0]).toEqual({
+      field: 'search_rank',
+      expression: query.rank,
+      direction: 'DESC'
+    });
+  });
+
+  test('buildFallbackWhere requires every term across searchable columns', () => {
+    const where = projectSearchService.buildFallbackWhere(projectSearchService.parseSearchQuery('youth "mental health"'));
+
+    expect(where[Op.and]).toHaveLength(2);
+    expect(where[Op.and][1][Op.or]).toContainEqual({ problem: { [Op.iLike]: '%mental health%' } });
+    expect(where[Op.and][1][Op.or]).toContainEqual({ '$organization.focus_tags$': { [Op.iLike]: '%mental health%' } });
+  });
+
+  test('buildFallbackSnippet escapes text and marks matches', () => {
+    const snippet = projectSearchService.buildFallbackSnippet(
+      { problem: 'Improve <b>literacy</b> outcomes for rural literacy programs' },
+      projectSearchService.parseSearchQuery('literacy')
+    );
+
+    expect(snippet).toBe('Improve &lt;b&gt;<mark>literacy</mark>&lt;/b&gt; outcomes for rural <mark>literacy</mark> programs');
+  });
+
+  test('getSortKeys supports each sort option with a project_id tiebreak', () => {
+    const tiebreak = { field: 'project_id', direction: 'DESC' };
+
+    expect(projectSearchService.getSortKeys('newest')).toEqual([tiebreak]);
+    expect(projectSearchService.getSortKeys('relevance')).toEqual([tiebreak]);
+    expect(projectSearchService.getSortKeys('budget')).toEqual([
+      { field: 'budget_min', direction: 'DESC', nulls: 'LAST' },
+      tiebreak
+    ]);
+    expect(projectSearchService.getSortKeys('start_date')).toEqual([
+      { field: 'start_date', direction: 'ASC', nulls: 'LAST' },
+      tiebreak
+    ]);
+  });
+
+  test('hasFullTextSearch detects the search_vector column once', async () => {
+    const describeTable = jest.fn().mockResolvedValue({ project_id: {}, search_vector: {} });
+    sequelize.getQueryInterface.mockReturnValue({ describeTable });
+
+    await expect(projectSearchService.hasFullTextSearch()).resolves.toBe(true);
+    await expect(projectSearchService.hasFullTextSearch()).resolves.toBe(true);
+    expect(describeTable).toHaveBeenCalledTimes(1);
+  });
+
+  test('hasFullTextSearch falls back when the column is missing', async () => {
+    sequelize.getQueryInterface.mockReturnValue({
+      describeTable: jest.fn().mockResolvedValue({ project_id: {} })
+    });
+
+    await expect(projectSearchService.hasFullTextSearch()).resolves.toBe(false);
+  });
+});
@@ -1,24 +1,150 @@
-const { createRateLimiter } = require('../../src/middleware/rateLimit');
+const jwt = require('jsonwebtoken');
+const { createRateLimiter, rateLimitPolicy } = require('../../src/middleware/rateLimit');
+const { createMemoryStore, createPostgresStore } = require('../../src/services/rateLimitStore');
+
+const makeRes = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn().mockReturnThis(),
+  set: jest.fn()
+});
+
+const headersOf = (res) => Object.fromEntries(res.set.mock.calls);
 
 describe('rateLimit middleware', () => {
-  it('allows requests until limit is reached, then returns 429', () => {
+  it('allows requests until limit is reached, then returns 429', async () => {
     const limiter = createRateLimiter({ windowMs: 60000, maxRequests: 2, keySelector: () => 'test-key' });
 
     const makeReq = () => ({ ip: '127.0.0.1', body: {} });
     const next = jest.fn();
-    const res = {
-      status: jest.fn().mockReturnThis(),
-      json: jest.fn().mockReturnThis(),
-      set: jest.fn()
-    };
+    const res = makeRes();
 
-    limiter(makeReq(), res, next);
-    limiter(makeReq(), res, next);
-    limiter(makeReq(), res, next);
+    await limiter(makeReq(), res, next);
+    await limiter(makeReq(), res, next);
+    await limiter(makeReq(), res, next);
 
     expect(next).toHaveBeenCalledTimes(2);
     expect(res.status).toHaveBeenCalledWith(429);
     expect(res.set).toHaveBeenCalledWith('Retry-After', expect.any(String));
     expect(res.json).toHaveBeenCalledWith({ error: 'Too many requests. Please try again later.' });
   });
+
+  it('sets RateLimit headers on every response', async () => {
+    const limiter = createRateLimiter({ windowMs: 60000, maxRequests: 5, keySelector: () => 'headers' });
+    const res = makeRes();
+
+    await limiter({ ip: '127.0.0.1' }, res, jest.fn());
+
+    expect(headersOf(res)).toEqual({
+      'RateLimit-Policy': '5;w=60',
+      'RateLimit-Limit': '5',
+      'RateLimit-Remaining': '4',
+      'RateLimit-Reset': expect.stringMatching(/^\d+$/)
+    });
+  });
+
+  it('counts named limiters sharing a store separately', async () => {
+    const store = createMemoryStore();
+    const login = createRateLimiter({ name: 'login', maxRequests: 1, store });
+    const upload = createRateLimiter({ name: 'upload', maxRequests: 1, store });
+    const next = jest.fn();
+    const req = { ip: '10.0.0.1' };
+
+    await login(req, makeRes(), next);
+    await upload(req, makeRes(), next);
+
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+
+  it('weights the previous window to approximate a sliding window', async () => {
+    const store = { increment: jest.fn() };
+    const limiter = createRateLimiter({ name: 'sliding', windowMs: 60000, maxRequests: 10, store });
+    const next = jest.fn();
+    const res = makeRes();
+
+    // A quarter of the way into the window, about three quarters of the previous window's 20 hits still count
+    store.increment.mockResolvedValue({ current: 2, previous: 20, windowStart: Date.now() - 15000 });
+    await limiter({ ip: '10.0.0.1' }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(429);
+  });
+
+  it('lets requests through when the store is unavailable', async () => {
+    const store = { increment: jest.fn().mockRejectedValue(new Error('connection refused')) };
+    const limiter = createRateLimiter({ name: 'failing', store });
+    const next = jest.fn();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await limiter({ ip: '10.0.0.1' }, makeRes(), next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    console.error.mockRestore();
+  });
+
+  it('builds limiters from named policies and rejects unknown names', async () => {
+    const store = createMemoryStore();
+    const limiter = rateLimitPolicy('register', { store });
+    const res = makeRes();
+
+    await limiter({ ip: '10.0.0.1', body: { email: 'A@Example.com' } }, res, jest.fn());
+
+    expect(headersOf(res)['RateLimit-Limit']).toBe('5');
+    expect(() => rateLimitPolicy('nope')).toThrow('Unknown rate limit policy: nope');
+  });
+
+  it('counts 2FA verification against the user in the pending login token, not the IP', async () => {
+    process.env.JWT_SECRET = 'rate-limit-secret';
+    const store = createMemoryStore();
+    const limiter = rateLimitPolicy('twoFactorVerify', { store });
+    const tempToken = jwt.sign({ userId: 4, pending2fa: true }, 'rate-limit-secret');
+    const next = jest.fn();
+    let res;
+
+    for (let i = 0; i < 6; i += 1) {
+      res = makeRes();
+      await limiter({ ip: `10.0.0.${i}`, headers: { authorization: `Bearer ${tempToken}` }, body: { code: '000000' } }, res, next);
+    }
+
+    expect(next).toHaveBeenCalledTimes(5);
+    expect(res.status).toHaveBeenCalledWith(429);
+  });
+});
+
+describe('rate limit stores', () => {
+  it('memory store rolls the current window into previous', async () => {
+    const store = createMemoryStore();
+    const now = jest.spyOn(Date, 'now');
+
+    now.mockReturnValue(120000);
+    await store.increment('key', 60000);
+    await store.increment('key', 60000);
+    now.mockReturnValue(185000);
+    const counts = await store.increment('key', 60000);
+
+    expect(counts).toEqual({ current: 1, previous: 2, windowStart: 180000 });
+    now.mockRestore();
+  });
+
+  it('postgres store upserts a hashed key and reads the previous window', async () => {
+    const sequelize = {
+      QueryTypes: { SELECT: 'SELECT' },
+      query: jest.fn()
+        .mockResolvedValueOnce([{ current: '3', previous: '7' }])
+        .mockResolvedValue([])
+    };
+    const store = createPostgresStore({ sequelize });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(130000);
+
+    const counts = await store.increment('auth:127.0.0.1:a@example.com', 60000);
+
+    expect(counts).toEqual({ current: 3, previous: 7, windowStart: 120000 });
+    const [sql, options] = sequelize.query.mock.calls[0];
+    expect(sql).toContain('ON CONFLICT (key_hash, window_start)');
+    expect(options.replacements).toEqual(expect.objectContaining({
+      keyHash: expect.stringMatching(/^[a-f0-9]{64}$/),
+      windowStart: 120000,
+      previousWindowStart: 60000
+    }));
+    now.mockRestore();
+  });
 });
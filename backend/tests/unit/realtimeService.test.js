@@ -0,0 +1,83 @@
+describe('realtimeService', () => {
+  const ORIGINAL_ENV = process.env;
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env = { ...ORIGINAL_ENV };
+    delete process.env.REALTIME_PUBSUB_DRIVER;
+  });
+
+  afterEach(() => {
+    process.env = ORIGINAL_ENV;
+    jest.resetModules();
+  });
+
+  it('uses the in-memory pub/sub adapter by default', () => {
+    const { getPubSubAdapter } = require('../../src/services/realtime');
+
+    expect(getPubSubAdapter().constructor.name).toBe('InMemoryPubSubAdapter');
+  });
+
+  it('throws for unsupported pub/sub drivers', () => {
+    process.env.REALTIME_PUBSUB_DRIVER = 'carrier-pigeon';
+
+    const { getPubSubAdapter } = require('../../src/services/realtime');
+    expect(() => getPubSubAdapter()).toThrow('Unsupported realtime pub/sub driver: carrier-pigeon');
+  });
+
+  it('delivers events only to subscribed recipients on the same topic', async () => {
+    const realtimeService = require('../../src/services/realtimeService');
+    const aliceEvents = [];
+    const bobEvents = [];
+
+    const unsubscribeAlice = await realtimeService.subscribeToUser({
+      topic: 'messages',
+      userId: 1,
+      onEvent: (event) => aliceEvents.push(event),
+    });
+    await realtimeService.subscribeToUser({
+      topic: 'messages',
+      userId: 2,
+      onEvent: (event) => bobEvents.push(event),
+    });
+
+    await realtimeService.publishToUsers({
+      topic: 'messages',
+      userIds: [1, '1', 3],
+      event: 'message.created',
+      data: { thread_id: 10 },
+    });
+    await realtimeService.publishToUsers({
+      topic: 'other',
+      userIds: [2],
+      event: 'ignored',
+      data: {},
+    });
+
+    expect(aliceEvents).toEqual([
+      expect.objectContaining({ event: 'message.created', data: { thread_id: 10 } }),
+    ]);
+    expect(bobEvents).toEqual([]);
+
+    await unsubscribeAlice();
+    await realtimeService.publishToUsers({
+      topic: 'messages',
+      userIds: [1],
+      event: 'message.created',
+      data: { thread_id: 11 },
+    });
+
+    expect(aliceEvents).toHaveLength(1);
+  });
+
+  it('swallows backend failures so callers are not interrupted', async () => {
+    const { getPubSubAdapter } = require('../../src/services/realtime');
+    const realtimeService = require('../../src/services/realtimeService');
+    jest.spyOn(getPubSubAdapter(), 'publish').mockRejectedValue(new Error('connection lost'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(
+      realtimeService.publishToUsers({ topic: 'messages', userIds: [1], event: 'thread.read', data: {} })
+    ).resolves.toBe(false);
+  });
+});
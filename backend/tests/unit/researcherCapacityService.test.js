@@ -0,0 +1,151 @@
+jest.mock('../../src/database/models', () => ({
+  ResearcherProfile: { findAll: jest.fn(), findOne: jest.fn() },
+  ResearcherBlackoutPeriod: { findAll: jest.fn(), create: jest.fn(), destroy: jest.fn() },
+  MilestoneResearcher: { findAll: jest.fn() },
+  Milestone: {}
+}));
+
+const {
+  ResearcherProfile,
+  ResearcherBlackoutPeriod,
+  MilestoneResearcher
+} = require('../../src/database/models');
+const researcherCapacityService = require('../../src/services/researcherCapacityService');
+
+const weekdaySchedule = { monday: 4, tuesday: 4, wednesday: 4, thursday: 4, friday: 4 };
+const now = new Date('2026-10-19T09:00:00Z');
+
+const mockCapacityRows = ({ profile = {}, blackoutPeriods = [], assignments = [] } = {}) => {
+  ResearcherProfile.findAll.mockResolvedValue([
+    { user_id: 22, weekly_hours: weekdaySchedule, max_concurrent_projects: 2, available_start_date: null, ...profile }
+  ]);
+  ResearcherBlackoutPeriod.findAll.mockResolvedValue(blackoutPeriods.map((period) => ({ researcher_id: 22, ...period })));
+  MilestoneResearcher.findAll.mockResolvedValue(assignments.map((assignment) => ({ researcher_id: 22, ...assignment })));
+};
+
+describe('researcherCapacityService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('normalizes weekly schedules and rejects unknown days or impossible hours', () => {
+    expect(researcherCapacityService.normalizeWeeklyHours({ monday: '6', friday: 2.5 })).toEqual({
+      sunday: 0, monday: 6, tuesday: 0, wednesday: 0, thursday: 0, friday: 2.5, saturday: 0
+    });
+    expect(researcherCapacityService.normalizeWeeklyHours(null)).toBeNull();
+    expect(() => researcherCapacityService.normalizeWeeklyHours({ funday: 3 })).toThrow('INVALID_WEEKLY_HOURS');
+    expect(() => researcherCapacityService.normalizeWeeklyHours({ monday: 25 })).toThrow('INVALID_WEEKLY_HOURS');
+    expect(() => researcherCapacityService.normalizeWeeklyHours([4, 4])).toThrow('INVALID_WEEKLY_HOURS');
+  });
+
+  it('takes blackout days and running commitments out of free hours', () => {
+    const window = researcherCapacityService.calculateFreeHours({
+      weeklyHours: weekdaySchedule,
+      blackoutPeriods: [{ start_date: '2026-10-21', end_date: '2026-10-22' }],
+      commitments: [{ weekly_hours: 10, due_date: '2026-10-25' }],
+      from: '2026-10-19',
+      weeks: 2
+    });
+
+    // 10 working days of 4h, 2 blacked out; the commitment takes half of each day until 25 October
+    expect(window).toEqual({
+      from: '2026-10-19',
+      to: '2026-11-01',
+      available_hours: 32,
+      committed_hours: 6,
+      free_hours: 26,
+      blackout_days: 2
+    });
+  });
+
+  it('summarizes load against the published schedule', async () => {
+    mockCapacityRows({
+      assignments: [
+        { milestone_id: 3, weekly_hours: '15.00', milestone: { name: 'Survey', project_id: 5, due_date: null } },
+        { milestone_id: 4, weekly_hours: null, milestone: { name: 'Report', project_id: 6, due_date: '2026-12-01' } }
+      ]
+    });
+
+    const summary = await researcherCapacityService.getCapacitySummary(22, { now });
+
+    expect(summary).toEqual(expect.objectContaining({
+      weekly_total: 20,
+      committed_weekly_hours: 25,
+      free_weekly_hours: 0,
+      over_capacity: true,
+      active_projects: 2
+    }));
+    expect(summary.assignments).toHaveLength(2);
+    expect(MilestoneResearcher.findAll.mock.calls[0][0].include[0].where.status).toBeDefined();
+  });
+
+  it('reports a missing profile', async () => {
+    ResearcherProfile.findAll.mockResolvedValue([]);
+    ResearcherBlackoutPeriod.findAll.mockResolvedValue([]);
+    MilestoneResearcher.findAll.mockResolvedValue([]);
+
+    await expect(researcherCapacityService.getCapacitySummary(22, { now })).rejects.toThrow('RESEARCHER_NOT_FOUND');
+  });
+
+  it('warns when an assignment exceeds hours, project limit or hits a blackout', async () => {
+    mockCapacityRows({
+      profile: { max_concurrent_projects: 1 },
+      blackoutPeriods: [{ id: 8, start_date: '2026-11-10', end_date: '2026-11-12', reason: 'Conference' }],
+      assignments: [
+        { milestone_id: 3, weekly_hours: 15, milestone: { name: 'Survey', project_id: 5, due_date: null } },
+        { milestone_id: 11, weekly_hours: 10, milestone: { name: 'Fieldwork', project_id: 6, due_date: '2026-11-30' } }
+      ]
+    });
+
+    const warnings = await researcherCapacityService.getAssignmentCapacityWarnings({
+      researcherIds: [22],
+      milestone: { id: 11, due_date: '2026-11-30' },
+      now
+    });
+
+    expect(warnings).toEqual([
+      expect.objectContaining({
+        researcher_id: 22,
+        reasons: ['over_weekly_hours', 'over_project_limit', 'blackout_during_milestone'],
+        blackout_periods: [expect.objectContaining({ id: 8, start_date: '2026-11-10' })]
+      })
+    ]);
+  });
+
+  it('does not warn when the researcher has room and no blackout before the due date', async () => {
+    mockCapacityRows({
+      blackoutPeriods: [{ id: 8, start_date: '2027-01-10', end_date: '2027-01-12', reason: null }],
+      assignments: [{ milestone_id: 11, weekly_hours: 8, milestone: { name: 'Fieldwork', project_id: 6, due_date: '2026-11-30' } }]
+    });
+
+    await expect(researcherCapacityService.getAssignmentCapacityWarnings({
+      researcherIds: [22],
+      milestone: { id: 11, due_date: '2026-11-30' },
+      now
+    })).resolves.toEqual([]);
+  });
+
+  it('validates blackout periods before saving them', async () => {
+    await expect(researcherCapacityService.createBlackoutPeriod({
+      researcherId: 22, startDate: '2030-02-10', endDate: '2030-02-01'
+    })).rejects.toThrow('INVALID_BLACKOUT_PERIOD');
+    await expect(researcherCapacityService.createBlackoutPeriod({
+      researcherId: 22, startDate: '2020-02-01', endDate: '2020-02-10'
+    })).rejects.toThrow('BLACKOUT_PERIOD_IN_PAST');
+
+    await researcherCapacityService.createBlackoutPeriod({
+      researcherId: 22, startDate: '2030-02-01', endDate: '2030-02-10', reason: '  Fieldwork abroad '
+    });
+    expect(ResearcherBlackoutPeriod.create).toHaveBeenCalledWith({
+      researcher_id: 22, start_date: '2030-02-01', end_date: '2030-02-10', reason: 'Fieldwork abroad'
+    });
+  });
+
+  it('only deletes blackout periods owned by the researcher', async () => {
+    ResearcherBlackoutPeriod.destroy.mockResolvedValue(0);
+
+    await expect(researcherCapacityService.deleteBlackoutPeriod({ researcherId: 22, periodId: 8 }))
+      .rejects.toThrow('BLACKOUT_PERIOD_NOT_FOUND');
+    expect(ResearcherBlackoutPeriod.destroy).toHaveBeenCalledWith({ where: { id: 8, researcher_id: 22 } });
+  });
+});
@@ -25,11 +25,27 @@ jest.mock('../../src/utils/auditLogger', () => ({
   AUDIT_ACTIONS: {
     RESEARCHER_PROFILE_UPDATE: 'RESEARCHER_PROFILE_UPDATE',
     ACADEMIC_HISTORY_CREATE: 'ACADEMIC_HISTORY_CREATE',
-    CERTIFICATION_CREATE: 'CERTIFICATION_CREATE'
+    CERTIFICATION_CREATE: 'CERTIFICATION_CREATE',
+    CERTIFICATION_UPDATE: 'CERTIFICATION_UPDATE',
+    RESEARCHER_PRIVACY_UPDATE: 'RESEARCHER_PRIVACY_UPDATE'
   }
 }));
 
+jest.mock('../../src/services/researcherPublicProfileService', () => ({
+  PROFILE_SECTIONS: ['contact', 'rates'],
+  VISIBILITY_LEVELS: ['public', 'nonprofits', 'private'],
+  buildPublicProfile: jest.fn(),
+  getProfileVisibility: jest.fn(),
+  updateProfileVisibility: jest.fn()
+}));
+
+jest.mock('../../src/services/certificationVerificationService', () => ({
+  EVIDENCE_ATTRIBUTES: ['id', 'file_name'],
+  deleteCertificationWithEvidence: jest.fn()
+}));
+
 const researcherController = require('../../src/controllers/researcherController');
+const researcherPublicProfileService = require('../../src/services/researcherPublicProfileService');
 const { ResearcherProfile, AcademicHistory, Certification } = require('../../src/database/models');
 
 describe('Researcher Controller', () => {
@@ -79,4 +95,51 @@ describe('Researcher Controller', () => {
     expect(Certification.create).toHaveBeenCalledWith(expect.objectContaining({ user_id: 1, name: 'CITI', issuer: 'NIH' }));
     expect(res.status).toHaveBeenCalledWith(201);
   });
+
+  it('clears verification when a verified certification is edited', async () => {
+    req.params = { id: '12' };
+    req.body = { credential_id: ' NEW-123 ' };
+    const certification = {
+      id: 12,
+      credential_id: 'OLD-999',
+      verification_status: 'verified',
+      update: jest.fn().mockResolvedValue(true)
+    };
+    Certification.findOne.mockResolvedValue(certification);
+
+    await researcherController.updateCertification(req, res);
+
+    expect(certification.update).toHaveBeenCalledWith({
+      credential_id: 'NEW-123',
+      verification_status: 'unverified',
+      verified_at: null,
+      verified_by: null
+    });
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('returns the public profile built for the viewer', async () => {
+    req.params = { id: '5' };
+    req.user = { id: 9, role: 'nonprofit' };
+    researcherPublicProfileService.buildPublicProfile.mockResolvedValue({ profile: {}, hidden_sections: ['rates'] });
+
+    await researcherController.getResearcherProfileById(req, res);
+
+    expect(researcherPublicProfileService.buildPublicProfile).toHaveBeenCalledWith({ researcherId: '5', viewer: req.user });
+    expect(res.status).toHaveBeenCalledWith(200);
+
+    researcherPublicProfileService.buildPublicProfile.mockRejectedValue(new Error('RESEARCHER_NOT_FOUND'));
+    await researcherController.getResearcherProfileById(req, res);
+    expect(res.status).toHaveBeenLastCalledWith(404);
+  });
+
+  it('rejects invalid privacy settings', async () => {
+    req.body = { visibility: { rates: 'friends' } };
+    researcherPublicProfileService.updateProfileVisibility.mockRejectedValue(new Error('INVALID_VISIBILITY'));
+
+    await researcherController.updateProfilePrivacy(req, res);
+
+    expect(researcherPublicProfileService.updateProfileVisibility).toHaveBeenCalledWith(1, { rates: 'friends' });
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
 });
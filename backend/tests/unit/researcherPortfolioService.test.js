@@ -0,0 +1,225 @@
+jest.mock('../../src/database/models', () => ({
+  ResearcherPortfolioItem: { create: jest.fn(), findAll: jest.fn(), findOne: jest.fn(), findByPk: jest.fn() },
+  Application: { findOne: jest.fn() },
+  Project: { findByPk: jest.fn() },
+  Milestone: { findOne: jest.fn() },
+  Attachment: { findOne: jest.fn() },
+  Organization: {},
+  OrganizationMember: { findAll: jest.fn() },
+  User: {}
+}));
+
+jest.mock('../../src/services/notificationService', () => ({
+  createNotification: jest.fn(),
+  createBulkNotifications: jest.fn()
+}));
+
+jest.mock('../../src/services/organizationMemberService', () => ({
+  ORGANIZATION_PERMISSIONS: { 'projects:update': ['owner', 'admin', 'project_manager'] },
+  getMembership: jest.fn(),
+  hasOrganizationPermission: jest.fn((role) => ['owner', 'admin', 'project_manager'].includes(role)),
+  canInOrganization: jest.fn()
+}));
+
+jest.mock('../../src/utils/auditLogger', () => ({
+  logAudit: jest.fn(),
+  AUDIT_ACTIONS: {
+    PORTFOLIO_ITEM_SUBMITTED: 'PORTFOLIO_ITEM_SUBMITTED',
+    PORTFOLIO_ITEM_APPROVED: 'PORTFOLIO_ITEM_APPROVED',
+    PORTFOLIO_ITEM_DECLINED: 'PORTFOLIO_ITEM_DECLINED',
+    PORTFOLIO_ITEM_DELETED: 'PORTFOLIO_ITEM_DELETED'
+  }
+}));
+
+const {
+  ResearcherPortfolioItem,
+  Application,
+  Project,
+  Milestone,
+  Attachment,
+  OrganizationMember
+} = require('../../src/database/models');
+const notificationService = require('../../src/services/notificationService');
+const { getMembership, canInOrganization } = require('../../src/services/organizationMemberService');
+const { logAudit } = require('../../src/utils/auditLogger');
+const researcherPortfolioService = require('../../src/services/researcherPortfolioService');
+
+const researcher = { id: 5, name: 'Rae Researcher', role: 'researcher' };
+
+const makeItem = (overrides = {}) => ({
+  id: 8,
+  researcher_id: 5,
+  project_id: 20,
+  title: 'Survey report',
+  status: 'pending',
+  project: { project_id: 20, title: 'Food access study', org_id: 4, organization: { id: 4, name: 'Food Bank' } },
+  update: jest.fn(function update(values) {
+    Object.assign(this, values);
+  }),
+  destroy: jest.fn(),
+  ...overrides
+});
+
+describe('researcherPortfolioService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Project.findByPk.mockResolvedValue({ project_id: 20, title: 'Food access study', org_id: 4, status: 'in_progress' });
+    Application.findOne.mockResolvedValue({ id: 2 });
+    OrganizationMember.findAll.mockResolvedValue([{ user_id: 11 }, { user_id: 12 }]);
+    ResearcherPortfolioItem.create.mockImplementation(async (values) => ({ id: 8, ...values }));
+  });
+
+  describe('submitPortfolioItem', () => {
+    it('creates a pending item for a completed milestone and asks the nonprofit to review it', async () => {
+      Milestone.findOne.mockResolvedValue({ id: 30, status: 'completed' });
+      Attachment.findOne.mockResolvedValue({ id: 40 });
+
+      const item = await researcherPortfolioService.submitPortfolioItem({
+        researcher,
+        projectId: 20,
+        milestoneId: 30,
+        attachmentId: 40,
+        title: '  Survey report  ',
+        summary: 'Final analysis of 1,200 responses'
+      });
+
+      expect(ResearcherPortfolioItem.create).toHaveBeenCalledWith(expect.objectContaining({
+        researcher_id: 5,
+        project_id: 20,
+        milestone_id: 30,
+        attachment_id: 40,
+        title: 'Survey report',
+        status: 'pending'
+      }));
+      expect(Attachment.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 40, project_id: 20, status: 'active' }
+      }));
+      expect(notificationService.createBulkNotifications).toHaveBeenCalledWith(
+        [11, 12],
+        expect.objectContaining({ type: 'portfolio_item_review_requested' })
+      );
+      expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({ action: 'PORTFOLIO_ITEM_SUBMITTED', entityId: 20 }));
+      expect(item.status).toBe('pending');
+    });
+
+    it('requires an accepted application on the project', async () => {
+      Application.findOne.mockResolvedValue(null);
+
+      await expect(researcherPortfolioService.submitPortfolioItem({
+        researcher,
+        projectId: 20,
+        milestoneId: 30,
+        title: 'Survey report'
+      })).rejects.toThrow('PROJECT_ACCESS_REQUIRED');
+      expect(ResearcherPortfolioItem.create).not.toHaveBeenCalled();
+    });
+
+    it('only accepts finished work', async () => {
+      Milestone.findOne.mockResolvedValue({ id: 30, status: 'in_progress' });
+      await expect(researcherPortfolioService.submitPortfolioItem({
+        researcher,
+        projectId: 20,
+        milestoneId: 30,
+        title: 'Survey report'
+      })).rejects.toThrow('MILESTONE_NOT_COMPLETED');
+
+      await expect(researcherPortfolioService.submitPortfolioItem({
+        researcher,
+        projectId: 20,
+        title: 'Survey report'
+      })).rejects.toThrow('PROJECT_NOT_COMPLETED');
+    });
+  });
+
+  describe('reviewPortfolioItem', () => {
+    it('approves a pending item and tells the researcher', async () => {
+      const item = makeItem();
+      ResearcherPortfolioItem.findByPk.mockResolvedValue(item);
+      canInOrganization.mockResolvedValue(true);
+
+      await researcherPortfolioService.reviewPortfolioItem({
+        reviewer: { id: 11, role: 'nonprofit' },
+        itemId: 8,
+        action: 'approve'
+      });
+
+      expect(canInOrganization).toHaveBeenCalledWith({ id: 11, role: 'nonprofit' }, 4, 'projects:update');
+      expect(item.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'approved', reviewed_by: 11 }));
+      expect(notificationService.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 5,
+        type: 'portfolio_item_reviewed',
+        metadata: expect.objectContaining({ status: 'approved' })
+      }));
+    });
+
+    it('lets the nonprofit take down an approved item but needs a note', async () => {
+      const item = makeItem({ status: 'approved' });
+      ResearcherPortfolioItem.findByPk.mockResolvedValue(item);
+      canInOrganization.mockResolvedValue(true);
+
+      await expect(researcherPortfolioService.reviewPortfolioItem({
+        reviewer: { id: 11, role: 'nonprofit' },
+        itemId: 8,
+        action: 'decline'
+      })).rejects.toThrow('REVIEW_NOTE_REQUIRED');
+
+      await researcherPortfolioService.reviewPortfolioItem({
+        reviewer: { id: 11, role: 'nonprofit' },
+        itemId: 8,
+        action: 'decline',
+        note: 'Contains participant data'
+      });
+      expect(item.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'declined',
+        review_note: 'Contains participant data'
+      }));
+    });
+
+    it('rejects reviewers from other organizations and items already reviewed', async () => {
+      ResearcherPortfolioItem.findByPk.mockResolvedValue(makeItem());
+      canInOrganization.mockResolvedValue(false);
+      await expect(researcherPortfolioService.reviewPortfolioItem({
+        reviewer: { id: 50, role: 'nonprofit' },
+        itemId: 8,
+        action: 'approve'
+      })).rejects.toThrow('ORGANIZATION_ACCESS_DENIED');
+
+      ResearcherPortfolioItem.findByPk.mockResolvedValue(makeItem({ status: 'declined' }));
+      canInOrganization.mockResolvedValue(true);
+      await expect(researcherPortfolioService.reviewPortfolioItem({
+        reviewer: { id: 11, role: 'nonprofit' },
+        itemId: 8,
+        action: 'approve'
+      })).rejects.toThrow('PORTFOLIO_ITEM_NOT_REVIEWABLE');
+    });
+  });
+
+  it('lists pending items only for the reviewer organization', async () => {
+    getMembership.mockResolvedValue({ org_id: 4, role: 'project_manager' });
+    ResearcherPortfolioItem.findAll.mockResolvedValue([]);
+
+    await researcherPortfolioService.listPortfolioReviews({ id: 11, role: 'nonprofit' });
+
+    const query = ResearcherPortfolioItem.findAll.mock.calls[0][0];
+    expect(query.where).toEqual({ status: 'pending' });
+    expect(query.include[0]).toEqual(expect.objectContaining({ required: true, where: { org_id: 4 } }));
+
+    getMembership.mockResolvedValue({ org_id: 4, role: 'viewer' });
+    await expect(researcherPortfolioService.listPortfolioReviews({ id: 12, role: 'nonprofit' }))
+      .rejects.toThrow('ORGANIZATION_ACCESS_DENIED');
+  });
+
+  it('serves attachments only for approved items', async () => {
+    ResearcherPortfolioItem.findOne.mockResolvedValue(null);
+    await expect(researcherPortfolioService.findPublicPortfolioAttachment({ researcherId: 5, itemId: 8 }))
+      .rejects.toThrow('PORTFOLIO_ITEM_NOT_FOUND');
+    expect(ResearcherPortfolioItem.findOne).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 8, researcher_id: 5, status: 'approved' }
+    }));
+
+    ResearcherPortfolioItem.findOne.mockResolvedValue({ id: 8, attachment_id: 40 });
+    Attachment.findOne.mockResolvedValue({ id: 40, storage_key: 'projects/20/report.pdf' });
+    await expect(researcherPortfolioService.findPublicPortfolioAttachment({ researcherId: 5, itemId: 8 }))
+      .resolves.toEqual({ id: 40, storage_key: 'projects/20/report.pdf' });
+  });
+});
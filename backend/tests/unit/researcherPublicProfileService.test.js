@@ -0,0 +1,190 @@
+jest.mock('../../src/database/models', () => ({
+  ResearcherProfile: { findOne: jest.fn() },
+  AcademicHistory: { findAll: jest.fn() },
+  Certification: { findAll: jest.fn() },
+  Application: { findAll: jest.fn() },
+  Project: {},
+  Organization: {},
+  User: { findOne: jest.fn() },
+  Rating: { findAll: jest.fn() }
+}));
+
+jest.mock('../../src/services/researcherMetricsService', () => ({
+  syncProjectsCompletedForUser: jest.fn()
+}));
+
+jest.mock('../../src/services/researcherPortfolioService', () => ({
+  listPublicPortfolio: jest.fn(),
+  findPublicPortfolioAttachment: jest.fn()
+}));
+
+const {
+  ResearcherProfile,
+  AcademicHistory,
+  Certification,
+  Application,
+  User,
+  Rating
+} = require('../../src/database/models');
+const { syncProjectsCompletedForUser } = require('../../src/services/researcherMetricsService');
+const researcherPortfolioService = require('../../src/services/researcherPortfolioService');
+const researcherPublicProfileService = require('../../src/services/researcherPublicProfileService');
+
+const makeProfile = (visibility = null) => {
+  const fields = {
+    user_id: 5,
+    title: 'Data Scientist',
+    expertise: 'Statistics, Survey design',
+    rate_min: 40,
+    rate_max: 90,
+    profile_visibility: visibility
+  };
+  return {
+    ...fields,
+    toJSON: () => ({ ...fields }),
+    update: jest.fn()
+  };
+};
+
+const makeUser = () => ({
+  toSafeObject: () => ({ id: 5, name: 'Rae Researcher', email: 'rae@example.edu', role: 'researcher' })
+});
+
+describe('researcherPublicProfileService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.findOne.mockResolvedValue(makeUser());
+    syncProjectsCompletedForUser.mockResolvedValue(2);
+    AcademicHistory.findAll.mockResolvedValue([{ id: 1, degree: 'PhD' }]);
+    Certification.findAll.mockResolvedValue([{ id: 3, name: 'CITI' }]);
+    Rating.findAll.mockResolvedValue([
+      { scores: { quality: 5, communication: 4, timeliness: 5, overall: 5 } },
+      { scores: { quality: 3, communication: 4, timeliness: 3, overall: 3 } }
+    ]);
+    researcherPortfolioService.listPublicPortfolio.mockResolvedValue([{ id: 8, title: 'Survey report' }]);
+    Application.findAll.mockResolvedValue([
+      { project: { project_id: 20, title: 'Food access study', organization: { id: 4, name: 'Food Bank', is_verified: true } } },
+      { project: { project_id: 20, title: 'Food access study', organization: { id: 4, name: 'Food Bank', is_verified: true } } }
+    ]);
+  });
+
+  it('fills in defaults and ignores unknown sections or levels', () => {
+    expect(researcherPublicProfileService.resolveVisibility({ rates: 'private', ratings: 'everyone', extra: 'private' }))
+      .toEqual({
+        contact: 'public',
+        rates: 'private',
+        academics: 'public',
+        certifications: 'public',
+        projects: 'public',
+        ratings: 'public',
+        portfolio: 'public'
+      });
+  });
+
+  it('combines every section for a fully public profile and lists only verified certifications', async () => {
+    ResearcherProfile.findOne.mockResolvedValue(makeProfile());
+
+    const result = await researcherPublicProfileService.buildPublicProfile({
+      researcherId: 5,
+      viewer: { id: 9, role: 'nonprofit' }
+    });
+
+    expect(Certification.findAll).toHaveBeenCalledWith(expect.objectContaining({
+      where: { user_id: 5, verification_status: 'verified' }
+    }));
+    expect(result.profile).toEqual(expect.objectContaining({ rate_min: 40, projects_completed: 2 }));
+    expect(result.profile).not.toHaveProperty('profile_visibility');
+    expect(result.user.email).toBe('rae@example.edu');
+    expect(result.completed_projects).toEqual([
+      { project_id: 20, title: 'Food access study', organization: { id: 4, name: 'Food Bank', is_verified: true } }
+    ]);
+    expect(result.ratings).toEqual(expect.objectContaining({ count: 2 }));
+    expect(result.portfolio).toEqual([{ id: 8, title: 'Survey report' }]);
+    expect(result.hidden_sections).toEqual([]);
+    expect(result).not.toHaveProperty('visibility');
+  });
+
+  it('hides sections the viewer is not allowed to see', async () => {
+    ResearcherProfile.findOne.mockResolvedValue(makeProfile({
+      contact: 'nonprofits',
+      rates: 'nonprofits',
+      certifications: 'private'
+    }));
+
+    const result = await researcherPublicProfileService.buildPublicProfile({
+      researcherId: 5,
+      viewer: { id: 6, role: 'researcher' }
+    });
+
+    expect(result.user).not.toHaveProperty('email');
+    expect(result.profile).not.toHaveProperty('rate_min');
+    expect(result.profile).not.toHaveProperty('rate_max');
+    expect(result.certifications).toBeNull();
+    expect(Certification.findAll).not.toHaveBeenCalled();
+    expect(result.hidden_sections).toEqual(['contact', 'rates', 'certifications']);
+
+    const nonprofitView = await researcherPublicProfileService.buildPublicProfile({
+      researcherId: 5,
+      viewer: { id: 9, role: 'nonprofit' }
+    });
+    expect(nonprofitView.user.email).toBe('rae@example.edu');
+    expect(nonprofitView.hidden_sections).toEqual(['certifications']);
+  });
+
+  it('shows the researcher every section along with their settings', async () => {
+    ResearcherProfile.findOne.mockResolvedValue(makeProfile({ ratings: 'private', portfolio: 'private' }));
+
+    const result = await researcherPublicProfileService.buildPublicProfile({
+      researcherId: 5,
+      viewer: { id: 5, role: 'researcher' }
+    });
+
+    expect(result.hidden_sections).toEqual([]);
+    expect(result.ratings).not.toBeNull();
+    expect(result.visibility).toEqual(expect.objectContaining({ ratings: 'private', portfolio: 'private' }));
+  });
+
+  it('reports a missing researcher', async () => {
+    ResearcherProfile.findOne.mockResolvedValue(null);
+
+    await expect(researcherPublicProfileService.buildPublicProfile({
+      researcherId: 5,
+      viewer: { id: 9, role: 'nonprofit' }
+    })).rejects.toThrow('RESEARCHER_NOT_FOUND');
+  });
+
+  it('only serves portfolio attachments to viewers who can see the portfolio', async () => {
+    researcherPortfolioService.findPublicPortfolioAttachment.mockResolvedValue({ id: 12, storage_key: 'report.pdf' });
+    const download = (viewer) => researcherPublicProfileService.findVisiblePortfolioAttachment({
+      researcherId: 5,
+      itemId: 8,
+      viewer
+    });
+
+    ResearcherProfile.findOne.mockResolvedValue(makeProfile({ portfolio: 'private' }));
+    await expect(download({ id: 9, role: 'nonprofit' })).rejects.toThrow('PORTFOLIO_ITEM_NOT_FOUND');
+    await expect(download({ id: 5, role: 'researcher' })).resolves.toEqual(expect.objectContaining({ id: 12 }));
+
+    ResearcherProfile.findOne.mockResolvedValue(makeProfile({ portfolio: 'nonprofits' }));
+    await expect(download({ id: 7, role: 'researcher' })).rejects.toThrow('PORTFOLIO_ITEM_NOT_FOUND');
+    await expect(download({ id: 9, role: 'nonprofit' })).resolves.toEqual(expect.objectContaining({ id: 12 }));
+
+    expect(researcherPortfolioService.findPublicPortfolioAttachment).toHaveBeenCalledTimes(2);
+    expect(researcherPortfolioService.findPublicPortfolioAttachment).toHaveBeenCalledWith({ researcherId: 5, itemId: 8 });
+  });
+
+  it('merges visibility changes and rejects unknown sections or levels', async () => {
+    const profile = makeProfile({ rates: 'private' });
+    ResearcherProfile.findOne.mockResolvedValue(profile);
+
+    const visibility = await researcherPublicProfileService.updateProfileVisibility(5, { contact: 'nonprofits' });
+
+    expect(visibility).toEqual(expect.objectContaining({ contact: 'nonprofits', rates: 'private', academics: 'public' }));
+    expect(profile.update).toHaveBeenCalledWith({ profile_visibility: visibility });
+
+    await expect(researcherPublicProfileService.updateProfileVisibility(5, { salary: 'private' }))
+      .rejects.toThrow('INVALID_VISIBILITY');
+    await expect(researcherPublicProfileService.updateProfileVisibility(5, { contact: 'friends' }))
+      .rejects.toThrow('INVALID_VISIBILITY');
+  });
+});
@@ -0,0 +1,204 @@
+jest.mock('../../src/database/models', () => ({
+  User: {
+    findByPk: jest.fn()
+  },
+  UserSession: {
+    create: jest.fn(),
+    findByPk: jest.fn(),
+    findAll: jest.fn(),
+    update: jest.fn()
+  }
+}));
+
+const crypto = require('crypto');
+const { fn, col } = require('sequelize');
+const { User, UserSession } = require('../../src/database/models');
+const sessionService = require('../../src/services/sessionService');
+
+const SESSION_ID = '6f1c1a9e-4b2d-4c8e-9a43-2f0d7c1b5e11';
+
+const hashSecret = (secret) => crypto.createHmac('sha256', 'refresh-secret').update(secret).digest('hex');
+
+const buildSession = (overrides = {}) => ({
+  id: SESSION_ID,
+  user_id: 7,
+  refresh_token_hash: hashSecret('secret-1'),
+  rotation_count: 0,
+  revoked_at: null,
+  expires_at: new Date(Date.now() + 60 * 60 * 1000),
+  ...overrides
+});
+
+describe('sessionService', () => {
+  const req = { ip: '127.0.0.1', get: () => 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) Chrome/120.0 Safari/537.36' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.REFRESH_TOKEN_SECRET = 'refresh-secret';
+    delete process.env.REFRESH_TOKEN_EXPIRES;
+  });
+
+  describe('parseDuration', () => {
+    it('parses supported units and falls back for invalid values', () => {
+      expect(sessionService.parseDuration('15m')).toBe(15 * 60 * 1000);
+      expect(sessionService.parseDuration('7d')).toBe(7 * 24 * 60 * 60 * 1000);
+      expect(sessionService.parseDuration('soon', '12h')).toBe(12 * 60 * 60 * 1000);
+    });
+  });
+
+  describe('describeDevice', () => {
+    it('labels common browsers and platforms', () => {
+      expect(sessionService.describeDevice(req.get())).toBe('Chrome on macOS');
+      expect(sessionService.describeDevice('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Version/17.0 Safari/604.1'))
+        .toBe('Safari on iOS');
+      expect(sessionService.describeDevice(null)).toBe('Unknown device');
+    });
+  });
+
+  describe('createSession', () => {
+    it('stores only a hash of the refresh secret', async () => {
+      UserSession.create.mockImplementation(async (values) => values);
+
+      const { session, refreshToken } = await sessionService.createSession({ userId: 7, req });
+      const [sessionId, secret] = refreshToken.split('.');
+
+      expect(sessionId).toBe(session.id);
+      expect(session.refresh_token_hash).toBe(hashSecret(secret));
+      expect(session.refresh_token_hash).not.toContain(secret);
+      expect(session).toEqual(expect.objectContaining({ user_id: 7, ip_address: '127.0.0.1' }));
+      expect(session.expires_at.getTime() - session.last_used_at.getTime()).toBe(7 * 24 * 60 * 60 * 1000);
+    });
+  });
+
+  describe('rotateRefreshToken', () => {
+    it('rejects malformed tokens without a lookup', async () => {
+      await expect(sessionService.rotateRefreshToken({ refreshToken: 'not-a-token', req }))
+        .rejects.toThrow('INVALID_REFRESH_TOKEN');
+      expect(UserSession.findByPk).not.toHaveBeenCalled();
+    });
+
+    it('issues a new token and replaces the stored hash', async () => {
+      UserSession.findByPk.mockResolvedValue(buildSession());
+      User.findByPk.mockResolvedValue({ id: 7, account_status: 'active' });
+      UserSession.update.mockResolvedValue([1]);
+
+      const result = await sessionService.rotateRefreshToken({ refreshToken: `${SESSION_ID}.secret-1`, req });
+      const [, nextSecret] = result.refreshToken.split('.');
+
+      expect(nextSecret).not.toBe('secret-1');
+      expect(UserSession.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          refresh_token_hash: hashSecret(nextSecret),
+          rotated_refresh_token_hashes: fn('array_append', col('rotated_refresh_token_hashes'), hashSecret('secret-1')),
+          rotation_count: 1
+        }),
+        { where: { id: SESSION_ID, refresh_token_hash: hashSecret('secret-1'), revoked_at: null } }
+      );
+      expect(result.user.id).toBe(7);
+    });
+
+    it('revokes the session when an already-rotated token is presented', async () => {
+      UserSession.findByPk.mockResolvedValue(buildSession({
+        refresh_token_hash: hashSecret('secret-2'),
+        rotated_refresh_token_hashes: [hashSecret('secret-1')]
+      }));
+      UserSession.update.mockResolvedValue([1]);
+
+      await expect(sessionService.rotateRefreshToken({ refreshToken: `${SESSION_ID}.secret-1`, req }))
+        .rejects.toThrow('REFRESH_TOKEN_REUSED');
+      expect(UserSession.update).toHaveBeenCalledWith(
+        expect.objectContaining({ revoked_reason: 'refresh_token_reuse' }),
+        { where: { id: SESSION_ID, revoked_at: null } }
+      );
+      expect(User.findByPk).not.toHaveBeenCalled();
+    });
+
+    it('revokes the session when a token from an earlier rotation is replayed', async () => {
+      UserSession.findByPk.mockResolvedValue(buildSession({
+        refresh_token_hash: hashSecret('secret-4'),
+        rotated_refresh_token_hashes: [hashSecret('secret-1'), hashSecret('secret-2'), hashSecret('secret-3')],
+        rotation_count: 3
+      }));
+      UserSession.update.mockResolvedValue([1]);
+
+      await expect(sessionService.rotateRefreshToken({ refreshToken: `${SESSION_ID}.secret-1`, req }))
+        .rejects.toThrow('REFRESH_TOKEN_REUSED');
+      expect(UserSession.update).toHaveBeenCalledWith(
+        expect.objectContaining({ revoked_reason: 'refresh_token_reuse' }),
+        { where: { id: SESSION_ID, revoked_at: null } }
+      );
+    });
+
+    it('rejects an unknown secret for a known session without revoking it', async () => {
+      UserSession.findByPk.mockResolvedValue(buildSession({
+        refresh_token_hash: hashSecret('secret-2'),
+        rotated_refresh_token_hashes: [hashSecret('secret-1')]
+      }));
+
+      await expect(sessionService.rotateRefreshToken({ refreshToken: `${SESSION_ID}.guessed`, req }))
+        .rejects.toThrow('INVALID_REFRESH_TOKEN');
+      expect(UserSession.update).not.toHaveBeenCalled();
+    });
+
+    it('treats losing a concurrent rotation as reuse', async () => {
+      UserSession.findByPk.mockResolvedValue(buildSession());
+      User.findByPk.mockResolvedValue({ id: 7, account_status: 'active' });
+      UserSession.update.mockResolvedValueOnce([0]).mockResolvedValueOnce([1]);
+
+      await expect(sessionService.rotateRefreshToken({ refreshToken: `${SESSION_ID}.secret-1`, req }))
+        .rejects.toThrow('REFRESH_TOKEN_REUSED');
+      expect(UserSession.update).toHaveBeenLastCalledWith(
+        expect.objectContaining({ revoked_reason: 'refresh_token_reuse' }),
+        expect.any(Object)
+      );
+    });
+
+    it('rejects revoked and expired sessions', async () => {
+      UserSession.findByPk.mockResolvedValueOnce(buildSession({ revoked_at: new Date() }));
+      await expect(sessionService.rotateRefreshToken({ refreshToken: `${SESSION_ID}.secret-1`, req }))
+        .rejects.toThrow('SESSION_REVOKED');
+
+      UserSession.findByPk.mockResolvedValueOnce(buildSession({ expires_at: new Date(Date.now() - 1000) }));
+      UserSession.update.mockResolvedValue([1]);
+      await expect(sessionService.rotateRefreshToken({ refreshToken: `${SESSION_ID}.secret-1`, req }))
+        .rejects.toThrow('SESSION_EXPIRED');
+    });
+
+    it('revokes the session when the account is no longer active', async () => {
+      UserSession.findByPk.mockResolvedValue(buildSession());
+      User.findByPk.mockResolvedValue({ id: 7, account_status: 'suspended' });
+      UserSession.update.mockResolvedValue([1]);
+
+      await expect(sessionService.rotateRefreshToken({ refreshToken: `${SESSION_ID}.secret-1`, req }))
+        .rejects.toThrow('ACCOUNT_UNAVAILABLE');
+      expect(UserSession.update).toHaveBeenCalledWith(
+        expect.objectContaining({ revoked_reason: 'account_unavailable' }),
+        expect.any(Object)
+      );
+    });
+  });
+
+  describe('revokeRefreshToken', () => {
+    it('only revokes when the token matches the session', async () => {
+      UserSession.findByPk.mockResolvedValue(buildSession());
+      UserSession.update.mockResolvedValue([1]);
+
+      await expect(sessionService.revokeRefreshToken(`${SESSION_ID}.wrong`)).resolves.toBe(false);
+      await expect(sessionService.revokeRefreshToken(`${SESSION_ID}.secret-1`)).resolves.toBe(true);
+      expect(UserSession.update).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('revokeAllUserSessions', () => {
+    it('can keep the current session', async () => {
+      UserSession.update.mockResolvedValue([3]);
+
+      const count = await sessionService.revokeAllUserSessions(7, { reason: 'user_revoked', exceptSessionId: SESSION_ID });
+
+      expect(count).toBe(3);
+      const [, { where }] = UserSession.update.mock.calls[0];
+      expect(where).toEqual(expect.objectContaining({ user_id: 7, revoked_at: null }));
+      expect(where.id).toBeDefined();
+    });
+  });
+});
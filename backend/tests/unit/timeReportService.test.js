@@ -0,0 +1,107 @@
+jest.mock('../../src/database/models', () => ({
+  Timesheet: {},
+  TimeEntry: { findAll: jest.fn() },
+  Milestone: { findAll: jest.fn() },
+  MilestoneResearcher: { findAll: jest.fn() },
+  ResearcherProfile: {},
+  User: { findAll: jest.fn() }
+}));
+
+jest.mock('../../src/services/timesheetService', () => ({
+  loadProject: jest.fn(),
+  canViewProjectTimesheets: jest.fn()
+}));
+
+const { TimeEntry } = require('../../src/database/models');
+const timesheetService = require('../../src/services/timesheetService');
+const timeReportService = require('../../src/services/timeReportService');
+
+const project = { project_id: 5, title: 'Food Access Study', estimated_hours: 40 };
+
+const entry = (researcherId, milestoneId, hours, status) => ({
+  milestone_id: milestoneId,
+  hours: String(hours),
+  timesheet: { researcher_id: researcherId, status }
+});
+
+const buildReport = () => timeReportService.buildTimeReport({
+  project,
+  milestones: [
+    { id: 11, name: 'Survey', status: 'in_progress', due_date: '2026-10-25' },
+    { id: 12, name: 'Report', status: 'pending', due_date: null }
+  ],
+  assignments: [
+    { milestone_id: 11, researcher_id: 22, weekly_hours: '6.00', created_at: new Date('2026-10-05T09:00:00Z') },
+    { milestone_id: 12, researcher_id: 22, weekly_hours: '4.00', created_at: new Date('2026-10-05T09:00:00Z') }
+  ],
+  entries: [
+    entry(22, 11, 8, 'approved'),
+    entry(22, 11, 4.5, 'submitted'),
+    entry(30, 11, 2, 'approved'),
+    entry(30, 12, 1.25, 'draft')
+  ],
+  researchers: [
+    { id: 22, name: 'Riley', researcherProfile: { hourly_rate_min: '50.00', hourly_rate_max: '80.00' } },
+    { id: 30, name: 'Sam, PhD', researcherProfile: null }
+  ]
+});
+
+describe('timeReportService', () => {
+  it('compares estimated and approved hours for the project, researchers and milestones', () => {
+    const report = buildReport();
+
+    expect(report.totals).toEqual({
+      estimated_hours: 40,
+      approved_hours: 10,
+      awaiting_approval_hours: 4.5,
+      unsubmitted_hours: 1.25,
+      variance_hours: -30,
+      percent_of_estimate: 25,
+      cost_min: 400,
+      cost_max: 640
+    });
+
+    // Three started weeks from 2026-10-05 to the 2026-10-25 due date; milestone 12 has no due date
+    expect(report.researchers).toEqual([
+      expect.objectContaining({
+        researcher_id: 22, estimated_hours: 18, approved_hours: 8, variance_hours: -10, percent_of_estimate: 44, cost_max: 640
+      }),
+      expect.objectContaining({
+        researcher_id: 30, estimated_hours: null, approved_hours: 2, variance_hours: null, cost_min: null
+      })
+    ]);
+    expect(report.milestones.map((row) => [row.milestone_id, row.estimated_hours, row.approved_hours, row.unsubmitted_hours]))
+      .toEqual([[11, 18, 10, 0], [12, 0, 0, 1.25]]);
+  });
+
+  it('exports researcher rows and the project total as CSV', () => {
+    const lines = timeReportService.buildTimeReportCsv(buildReport()).split('\n');
+
+    expect(lines[0]).toBe('Researcher ID,Researcher,Estimated Hours,Approved Hours,Awaiting Approval Hours,Unsubmitted Hours,Variance Hours,Percent of Estimate,Cost Min,Cost Max');
+    expect(lines[1]).toBe('22,Riley,18,8,4.5,0,-10,44,400,640');
+    expect(lines[2]).toBe('30,"Sam, PhD",,2,0,1.25,,,,');
+    expect(lines[3]).toBe(',Project total,40,10,4.5,1.25,-30,25,400,640');
+  });
+
+  it('neutralizes researcher names that a spreadsheet would run as formulas', () => {
+    const report = buildReport();
+    report.researchers[0].name = '=HYPERLINK("http://evil.test","Riley")';
+    report.researchers[1].name = '@SUM(1+1)\r';
+
+    const lines = timeReportService.buildTimeReportCsv(report).split('\n');
+
+    expect(lines[1]).toBe('22,"\'=HYPERLINK(""http://evil.test"",""Riley"")",18,8,4.5,0,-10,44,400,640');
+    expect(lines[2]).toBe('30,"\'@SUM(1+1)\r",,2,0,1.25,,,,');
+  });
+
+  it('checks the range and access before loading hours', async () => {
+    await expect(timeReportService.getTimeReport({ user: { id: 7 }, projectId: 5, from: '2026-10-20', to: '2026-10-01' }))
+      .rejects.toThrow('INVALID_REPORT_RANGE');
+
+    timesheetService.loadProject.mockResolvedValue(project);
+    timesheetService.canViewProjectTimesheets.mockResolvedValue(false);
+    await expect(timeReportService.getTimeReport({ user: { id: 7 }, projectId: 5 }))
+      .rejects.toThrow('ORGANIZATION_ACCESS_DENIED');
+    expect(TimeEntry.findAll).not.toHaveBeenCalled();
+  });
+});
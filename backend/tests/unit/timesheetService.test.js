@@ -0,0 +1,289 @@
+jest.mock('../../src/database/models', () => ({
+  Timesheet: { findAll: jest.fn(), findOne: jest.fn(), findOrCreate: jest.fn() },
+  TimeEntry: { findOne: jest.fn(), create: jest.fn(), count: jest.fn(), sum: jest.fn() },
+  Milestone: { findOne: jest.fn() },
+  Project: { findOne: jest.fn() },
+  OrganizationMember: { findAll: jest.fn() },
+  User: {},
+  sequelize: { transaction: jest.fn() }
+}));
+
+jest.mock('../../src/services/notificationService', () => ({
+  createNotification: jest.fn(),
+  createBulkNotifications: jest.fn()
+}));
+
+jest.mock('../../src/services/organizationMemberService', () => ({
+  ORGANIZATION_PERMISSIONS: { 'timesheets:review': ['owner', 'admin', 'project_manager'] },
+  canInOrganization: jest.fn()
+}));
+
+jest.mock('../../src/services/milestoneAccessService', () => ({
+  canResearcherAccessMilestone: jest.fn()
+}));
+
+jest.mock('../../src/utils/auditLogger', () => ({
+  logAudit: jest.fn(),
+  AUDIT_ACTIONS: {
+    TIMESHEET_SUBMITTED: 'TIMESHEET_SUBMITTED',
+    TIMESHEET_APPROVED: 'TIMESHEET_APPROVED',
+    TIMESHEET_REJECTED: 'TIMESHEET_REJECTED'
+  }
+}));
+
+const { Op } = require('sequelize');
+const {
+  Timesheet,
+  TimeEntry,
+  Milestone,
+  Project,
+  OrganizationMember,
+  sequelize
+} = require('../../src/database/models');
+const notificationService = require('../../src/services/notificationService');
+const { canInOrganization } = require('../../src/services/organizationMemberService');
+const { canResearcherAccessMilestone } = require('../../src/services/milestoneAccessService');
+const { logAudit } = require('../../src/utils/auditLogger');
+const timesheetService = require('../../src/services/timesheetService');
+
+const researcher = { id: 22, name: 'Riley', role: 'researcher' };
+const reviewer = { id: 7, role: 'nonprofit' };
+
+const buildTimesheet = (overrides = {}) => ({
+  id: 3,
+  project_id: 5,
+  researcher_id: 22,
+  week_start: '2026-10-12',
+  status: 'draft',
+  update: jest.fn(async function update(values) {
+    Object.assign(this, values);
+  }),
+  ...overrides
+});
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+const entryInput = { milestone_id: 11, work_date: '2026-10-14', hours: 3.5 };
+
+describe('timesheetService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Project.findOne.mockResolvedValue({ project_id: 5, title: 'Food Access Study', org_id: 9 });
+    Milestone.findOne.mockResolvedValue({ id: 11, name: 'Survey', status: 'in_progress' });
+    canResearcherAccessMilestone.mockResolvedValue(true);
+    canInOrganization.mockResolvedValue(true);
+    Timesheet.findOrCreate.mockResolvedValue([buildTimesheet(), true]);
+    // Locking finds the timesheets by id; the daily limit looks them up by week
+    Timesheet.findAll.mockImplementation(async ({ where }) => (
+      where.id ? where.id[Op.in].map((id) => buildTimesheet({ id })) : [{ id: 3 }]
+    ));
+    sequelize.transaction.mockImplementation(async (callback) => callback(transaction));
+    TimeEntry.sum.mockResolvedValue(0);
+    OrganizationMember.findAll.mockResolvedValue([{ user_id: 7 }]);
+  });
+
+  it('validates milestones, work dates, hours and descriptions', () => {
+    expect(timesheetService.parseEntryInput({
+      milestone_id: '11', work_date: '2026-10-14', hours: '1.1', description: '  Coded interviews '
+    }, { today: '2026-10-19' })).toEqual({
+      milestone_id: 11, work_date: '2026-10-14', hours: 1.1, description: 'Coded interviews'
+    });
+    expect(timesheetService.parseEntryInput({ hours: 2 }, { partial: true })).toEqual({ hours: 2 });
+
+    expect(() => timesheetService.parseEntryInput({ work_date: '2026-10-14', hours: 2 }))
+      .toThrow('INVALID_TIME_ENTRY_MILESTONE');
+    expect(() => timesheetService.parseEntryInput({ work_date: '2026-02-30' }, { partial: true }))
+      .toThrow('INVALID_TIME_ENTRY_DATE');
+    expect(() => timesheetService.parseEntryInput({ work_date: '2026-10-20' }, { partial: true, today: '2026-10-19' }))
+      .toThrow('TIME_ENTRY_IN_FUTURE');
+    expect(() => timesheetService.parseEntryInput({ hours: 0 }, { partial: true }))
+      .toThrow('INVALID_TIME_ENTRY_HOURS');
+    expect(() => timesheetService.parseEntryInput({ hours: 24.5 }, { partial: true }))
+      .toThrow('INVALID_TIME_ENTRY_HOURS');
+    expect(() => timesheetService.parseEntryInput({ description: 'x'.repeat(2001) }, { partial: true }))
+      .toThrow('INVALID_TIME_ENTRY_DESCRIPTION');
+  });
+
+  describe('logTimeEntry', () => {
+    it('adds the entry to the timesheet for the week of the work date', async () => {
+      TimeEntry.create.mockResolvedValue({ id: 40 });
+
+      await timesheetService.logTimeEntry({ researcher, projectId: 5, input: entryInput });
+
+      expect(canResearcherAccessMilestone).toHaveBeenCalledWith({ researcherId: 22, projectId: 5, milestoneId: 11 });
+      expect(Timesheet.findOrCreate).toHaveBeenCalledWith({
+        where: { project_id: 5, researcher_id: 22, week_start: '2026-10-12' },
+        defaults: { status: 'draft' }
+      });
+      expect(Timesheet.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: { [Op.in]: [3] } }, transaction, lock: 'UPDATE'
+      }));
+      expect(TimeEntry.create).toHaveBeenCalledWith({ ...entryInput, timesheet_id: 3 }, { transaction });
+    });
+
+    it('only logs time on accessible, open milestones of the project', async () => {
+      canResearcherAccessMilestone.mockResolvedValueOnce(false);
+      await expect(timesheetService.logTimeEntry({ researcher, projectId: 5, input: entryInput }))
+        .rejects.toThrow('MILESTONE_ACCESS_DENIED');
+
+      Milestone.findOne.mockResolvedValueOnce({ id: 11, status: 'cancelled' });
+      await expect(timesheetService.logTimeEntry({ researcher, projectId: 5, input: entryInput }))
+        .rejects.toThrow('MILESTONE_CANCELLED');
+
+      Milestone.findOne.mockResolvedValueOnce(null);
+      await expect(timesheetService.logTimeEntry({ researcher, projectId: 5, input: entryInput }))
+        .rejects.toThrow('MILESTONE_NOT_FOUND');
+      expect(TimeEntry.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses entries on submitted timesheets and beyond 24 hours a day', async () => {
+      Timesheet.findOrCreate.mockResolvedValueOnce([buildTimesheet({ status: 'submitted' }), false]);
+      await expect(timesheetService.logTimeEntry({ researcher, projectId: 5, input: entryInput }))
+        .rejects.toThrow('TIMESHEET_LOCKED');
+
+      TimeEntry.sum.mockResolvedValueOnce(21);
+      await expect(timesheetService.logTimeEntry({ researcher, projectId: 5, input: entryInput }))
+        .rejects.toThrow('DAILY_HOURS_EXCEEDED');
+      expect(TimeEntry.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses the entry when the timesheet was submitted after it was loaded', async () => {
+      Timesheet.findAll.mockResolvedValueOnce([buildTimesheet({ status: 'submitted' })]);
+
+      await expect(timesheetService.logTimeEntry({ researcher, projectId: 5, input: entryInput }))
+        .rejects.toThrow('TIMESHEET_LOCKED');
+      expect(TimeEntry.create).not.toHaveBeenCalled();
+    });
+  });
+
+  it('moves an entry to another week\'s timesheet when its date changes week', async () => {
+    const entry = {
+      id: 40,
+      milestone_id: 11,
+      work_date: '2026-10-14',
+      hours: '3.50',
+      timesheet: buildTimesheet(),
+      update: jest.fn()
+    };
+    TimeEntry.findOne.mockResolvedValue(entry);
+    Timesheet.findOrCreate.mockResolvedValue([buildTimesheet({ id: 4, week_start: '2026-10-05' }), true]);
+
+    await timesheetService.updateTimeEntry({
+      researcher, projectId: 5, entryId: 40, input: { work_date: '2026-10-09' }
+    });
+
+    expect(Timesheet.findOrCreate).toHaveBeenCalledWith(expect.objectContaining({
+      where: { project_id: 5, researcher_id: 22, week_start: '2026-10-05' }
+    }));
+    expect(Timesheet.findAll).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: { [Op.in]: [3, 4] } }, lock: 'UPDATE'
+    }));
+    expect(entry.update).toHaveBeenCalledWith({ work_date: '2026-10-09', timesheet_id: 4 }, { transaction });
+  });
+
+  describe('submitTimesheet', () => {
+    it('submits a timesheet with entries and notifies reviewers', async () => {
+      const timesheet = buildTimesheet({ status: 'rejected' });
+      Timesheet.findOne.mockResolvedValue(timesheet);
+      TimeEntry.count.mockResolvedValue(2);
+
+      await timesheetService.submitTimesheet({ researcher, projectId: 5, timesheetId: 3 });
+
+      expect(Timesheet.findOne).toHaveBeenCalledWith(expect.objectContaining({ transaction, lock: 'UPDATE' }));
+      expect(TimeEntry.count).toHaveBeenCalledWith({ where: { timesheet_id: 3 }, transaction });
+      expect(timesheet.status).toBe('submitted');
+      expect(timesheet.submitted_at).toBeInstanceOf(Date);
+      expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({ action: 'TIMESHEET_SUBMITTED', entityId: 5 }));
+      expect(notificationService.createBulkNotifications).toHaveBeenCalledWith([7], expect.objectContaining({
+        type: 'timesheet_submitted'
+      }));
+    });
+
+    it('refuses empty or already submitted timesheets', async () => {
+      Timesheet.findOne.mockResolvedValueOnce(buildTimesheet());
+      TimeEntry.count.mockResolvedValueOnce(0);
+      await expect(timesheetService.submitTimesheet({ researcher, projectId: 5, timesheetId: 3 }))
+        .rejects.toThrow('TIMESHEET_EMPTY');
+
+      Timesheet.findOne.mockResolvedValueOnce(buildTimesheet({ status: 'approved' }));
+      await expect(timesheetService.submitTimesheet({ researcher, projectId: 5, timesheetId: 3 }))
+        .rejects.toThrow('TIMESHEET_NOT_SUBMITTABLE');
+    });
+  });
+
+  describe('reviewTimesheet', () => {
+    it('approves a submitted timesheet and tells the researcher', async () => {
+      const timesheet = buildTimesheet({ status: 'submitted' });
+      Timesheet.findOne.mockResolvedValue(timesheet);
+
+      await timesheetService.reviewTimesheet({ reviewer, projectId: 5, timesheetId: 3, action: 'approve' });
+
+      expect(canInOrganization).toHaveBeenCalledWith(reviewer, 9, 'timesheets:review');
+      expect(timesheet).toEqual(expect.objectContaining({ status: 'approved', reviewed_by: 7, feedback: null }));
+      expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({ action: 'TIMESHEET_APPROVED' }));
+      expect(notificationService.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 22,
+        type: 'timesheet_reviewed'
+      }));
+    });
+
+    it('requires feedback to reject and a reviewing role', async () => {
+      await expect(timesheetService.reviewTimesheet({
+        reviewer, projectId: 5, timesheetId: 3, action: 'reject', feedback: '  '
+      })).rejects.toThrow('FEEDBACK_REQUIRED');
+
+      canInOrganization.mockResolvedValueOnce(false);
+      await expect(timesheetService.reviewTimesheet({
+        reviewer, projectId: 5, timesheetId: 3, action: 'approve'
+      })).rejects.toThrow('ORGANIZATION_ACCESS_DENIED');
+
+      Timesheet.findOne.mockResolvedValueOnce(buildTimesheet({ status: 'draft' }));
+      await expect(timesheetService.reviewTimesheet({
+        reviewer, projectId: 5, timesheetId: 3, action: 'reject', feedback: 'Split the Tuesday hours'
+      })).rejects.toThrow('TIMESHEET_NOT_REVIEWABLE');
+    });
+
+    it('lets only one of a concurrent approve and reject decide', async () => {
+      const stored = buildTimesheet({ status: 'submitted' });
+      Timesheet.findOne.mockResolvedValue(stored);
+      // Transactions that lock the same row run one after the other
+      let queue = Promise.resolve();
+      sequelize.transaction.mockImplementation((callback) => {
+        const run = queue.then(() => callback(transaction));
+        queue = run.catch(() => {});
+        return run;
+      });
+
+      const results = await Promise.allSettled([
+        timesheetService.reviewTimesheet({ reviewer, projectId: 5, timesheetId: 3, action: 'approve' }),
+        timesheetService.reviewTimesheet({
+          reviewer, projectId: 5, timesheetId: 3, action: 'reject', feedback: 'Split the Tuesday hours'
+        })
+      ]);
+
+      expect(results.map((result) => result.status)).toEqual(['fulfilled', 'rejected']);
+      expect(results[1].reason.message).toBe('TIMESHEET_NOT_REVIEWABLE');
+      expect(Timesheet.findOne).toHaveBeenCalledWith(expect.objectContaining({ transaction, lock: 'UPDATE' }));
+      expect(stored).toEqual(expect.objectContaining({ status: 'approved', feedback: null }));
+      expect(notificationService.createNotification).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('limits researchers to their own timesheets and others to their organization', async () => {
+    await timesheetService.listTimesheets({ user: researcher, projectId: 5, filters: { researcherId: 30 } });
+    expect(Timesheet.findAll).toHaveBeenLastCalledWith(expect.objectContaining({
+      where: { project_id: 5, researcher_id: 22 }
+    }));
+
+    await timesheetService.listTimesheets({
+      user: reviewer, projectId: 5, filters: { researcherId: 30, status: 'submitted', weekStart: '2026-10-15' }
+    });
+    expect(Timesheet.findAll).toHaveBeenLastCalledWith(expect.objectContaining({
+      where: { project_id: 5, researcher_id: 30, status: 'submitted', week_start: '2026-10-12' }
+    }));
+
+    canInOrganization.mockResolvedValueOnce(false);
+    await expect(timesheetService.listTimesheets({ user: reviewer, projectId: 5 }))
+      .rejects.toThrow('ORGANIZATION_ACCESS_DENIED');
+  });
+});
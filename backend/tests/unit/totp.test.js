@@ -0,0 +1,55 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUrl
+} = require('../../src/utils/totp');
+
+describe('TOTP Utility', () => {
+  // RFC 4226 / RFC 6238 reference secret
+  const secret = base32Encode(Buffer.from('12345678901234567890'));
+
+  it('round-trips base32 secrets', () => {
+    expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(secret).toString()).toBe('12345678901234567890');
+    expect(base32Decode('gezd gnbv-gy3tqojq').toString()).toBe('1234567890');
+  });
+
+  it('matches the RFC reference values', () => {
+    expect(generateHotp(secret, 0)).toBe('755224');
+    expect(generateHotp(secret, 9)).toBe('520489');
+    expect(generateTotp(secret, 59 * 1000)).toBe('287082');
+    expect(generateTotp(secret, 1111111109 * 1000)).toBe('081804');
+  });
+
+  it('accepts codes from adjacent steps and returns the matching step', () => {
+    const time = 1111111109 * 1000;
+    const previous = generateTotp(secret, time - 30 * 1000);
+
+    expect(verifyTotp(secret, '081804', { time })).toBe(37037036);
+    expect(verifyTotp(secret, previous, { time })).toBe(37037035);
+    expect(verifyTotp(secret, previous, { time, window: 0 })).toBeNull();
+  });
+
+  it('rejects malformed codes', () => {
+    expect(verifyTotp(secret, '12345')).toBeNull();
+    expect(verifyTotp(secret, 'abcdef')).toBeNull();
+    expect(verifyTotp(secret, null)).toBeNull();
+  });
+
+  it('generates 160-bit secrets', () => {
+    expect(base32Decode(generateSecret())).toHaveLength(20);
+  });
+
+  it('builds an otpauth provisioning URI', () => {
+    const url = buildOtpauthUrl({ secret, accountName: 'jane@example.com', issuer: 'TRIDENT' });
+
+    expect(url).toMatch(/^otpauth:\/\/totp\/TRIDENT%3Ajane%40example\.com\?/);
+    expect(url).toContain(`secret=${secret}`);
+    expect(url).toContain('issuer=TRIDENT');
+    expect(url).toContain('period=30');
+  });
+});
@@ -0,0 +1,188 @@
+jest.mock('../../src/database/models', () => ({
+  User: {
+    update: jest.fn()
+  },
+  UserTotpFactor: {
+    findOne: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    increment: jest.fn(),
+    destroy: jest.fn()
+  },
+  TwoFactorRecoveryCode: {
+    bulkCreate: jest.fn(),
+    update: jest.fn(),
+    destroy: jest.fn(),
+    count: jest.fn()
+  },
+  sequelize: {
+    transaction: jest.fn(async (callback) => callback({ id: 'tx' }))
+  }
+}));
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User, UserTotpFactor, TwoFactorRecoveryCode } = require('../../src/database/models');
+const { encryptMessage } = require('../../src/utils/encryption');
+const { generateTotp } = require('../../src/utils/totp');
+const twoFactorService = require('../../src/services/twoFactorService');
+
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const hashCode = (code) => crypto.createHmac('sha256', 'totp-key').update(code).digest('hex');
+
+describe('twoFactorService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.TOTP_ENCRYPTION_KEY = 'totp-key';
+  });
+
+  describe('beginTotpEnrollment', () => {
+    it('stores an encrypted secret and returns a provisioning URI', async () => {
+      UserTotpFactor.findOne.mockResolvedValue(null);
+
+      const { secret, otpauthUrl } = await twoFactorService.beginTotpEnrollment({ id: 3, email: 'jane@example.com' });
+
+      const [values] = UserTotpFactor.create.mock.calls[0];
+      expect(values.user_id).toBe(3);
+      expect(values.secret_encrypted).not.toContain(secret);
+      expect(otpauthUrl).toContain(`secret=${secret}`);
+      expect(otpauthUrl).toContain('jane%40example.com');
+    });
+
+    it('refuses to replace a confirmed authenticator', async () => {
+      UserTotpFactor.findOne.mockResolvedValue({ confirmed_at: new Date() });
+
+      await expect(twoFactorService.beginTotpEnrollment({ id: 3, email: 'jane@example.com' }))
+        .rejects.toThrow('TOTP_ALREADY_ENABLED');
+    });
+  });
+
+  describe('confirmTotpEnrollment', () => {
+    it('enables 2FA and issues hashed recovery codes', async () => {
+      const update = jest.fn();
+      UserTotpFactor.findOne.mockResolvedValue({
+        confirmed_at: null,
+        secret_encrypted: encryptMessage(SECRET, 'totp-key'),
+        update
+      });
+
+      const { recoveryCodes } = await twoFactorService.confirmTotpEnrollment(3, generateTotp(SECRET));
+
+      expect(update).toHaveBeenCalledWith(
+        expect.objectContaining({ confirmed_at: expect.any(Date), last_used_step: expect.any(Number) }),
+        { transaction: { id: 'tx' } }
+      );
+      expect(User.update).toHaveBeenCalledWith({ mfa_enabled: true }, { where: { id: 3 }, transaction: { id: 'tx' } });
+      expect(recoveryCodes).toHaveLength(10);
+      expect(recoveryCodes[0]).toMatch(/^[a-z2-9]{5}-[a-z2-9]{5}$/);
+
+      const [rows] = TwoFactorRecoveryCode.bulkCreate.mock.calls[0];
+      expect(rows[0]).toEqual({ user_id: 3, code_hash: hashCode(recoveryCodes[0].replace('-', '')) });
+    });
+
+    it('rejects a wrong code', async () => {
+      UserTotpFactor.findOne.mockResolvedValue({
+        confirmed_at: null,
+        secret_encrypted: encryptMessage(SECRET, 'totp-key')
+      });
+
+      await expect(twoFactorService.confirmTotpEnrollment(3, '000000')).rejects.toThrow('INVALID_CODE');
+      expect(User.update).not.toHaveBeenCalled();
+    });
+
+    it('requires setup to have been started', async () => {
+      UserTotpFactor.findOne.mockResolvedValue(null);
+
+      await expect(twoFactorService.confirmTotpEnrollment(3, '123456')).rejects.toThrow('TOTP_NOT_STARTED');
+    });
+  });
+
+  describe('verifyTotpCode', () => {
+    const factor = () => ({
+      id: 9,
+      confirmed_at: new Date(),
+      secret_encrypted: encryptMessage(SECRET, 'totp-key')
+    });
+
+    it('accepts a current code and records its time step', async () => {
+      UserTotpFactor.findOne.mockResolvedValue(factor());
+      UserTotpFactor.update.mockResolvedValue([1]);
+
+      await expect(twoFactorService.verifyTotpCode(3, generateTotp(SECRET))).resolves.toBe(true);
+      expect(UserTotpFactor.update).toHaveBeenCalledWith(
+        { last_used_step: expect.any(Number) },
+        expect.objectContaining({ where: expect.objectContaining({ id: 9 }) })
+      );
+    });
+
+    it('rejects a code whose time step was already used', async () => {
+      UserTotpFactor.findOne.mockResolvedValue(factor());
+      UserTotpFactor.update.mockResolvedValue([0]);
+
+      await expect(twoFactorService.verifyTotpCode(3, generateTotp(SECRET))).resolves.toBe(false);
+    });
+
+    it('rejects codes for users without a confirmed authenticator', async () => {
+      UserTotpFactor.findOne.mockResolvedValue({ ...factor(), confirmed_at: null });
+
+      await expect(twoFactorService.verifyTotpCode(3, generateTotp(SECRET))).resolves.toBe(false);
+      expect(UserTotpFactor.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('consumeRecoveryCode', () => {
+    it('marks an unused code as used, ignoring case and dashes', async () => {
+      TwoFactorRecoveryCode.update.mockResolvedValue([1]);
+
+      await expect(twoFactorService.consumeRecoveryCode(3, 'ABCDE-FGHJK')).resolves.toBe(true);
+      expect(TwoFactorRecoveryCode.update).toHaveBeenCalledWith(
+        { used_at: expect.any(Date) },
+        { where: { user_id: 3, code_hash: hashCode('abcdefghjk'), used_at: null } }
+      );
+    });
+
+    it('returns false for used or unknown codes', async () => {
+      TwoFactorRecoveryCode.update.mockResolvedValue([0]);
+
+      await expect(twoFactorService.consumeRecoveryCode(3, 'abcde-fghjk')).resolves.toBe(false);
+      await expect(twoFactorService.consumeRecoveryCode(3, '')).resolves.toBe(false);
+    });
+  });
+
+  describe('sign-in lockout', () => {
+    it('locks sign-in once the failed attempt limit is reached', async () => {
+      await twoFactorService.recordFailedLoginAttempt(3);
+
+      expect(UserTotpFactor.increment).toHaveBeenCalledWith('failed_login_attempts', { where: { user_id: 3 } });
+      const [values, { where }] = UserTotpFactor.update.mock.calls[0];
+      expect(values).toEqual({ failed_login_attempts: 0, login_locked_until: expect.any(Date) });
+      expect(values.login_locked_until.getTime()).toBeGreaterThan(Date.now() + 14 * 60 * 1000);
+      expect(where).toEqual({ user_id: 3, failed_login_attempts: { [Op.gte]: 5 } });
+    });
+
+    it('reports a lock only while it lasts', async () => {
+      UserTotpFactor.findOne.mockResolvedValueOnce({ confirmed_at: new Date(), login_locked_until: new Date(Date.now() + 60000) });
+      await expect(twoFactorService.isLoginLocked(3)).resolves.toBe(true);
+
+      UserTotpFactor.findOne.mockResolvedValueOnce({ confirmed_at: new Date(), login_locked_until: new Date(Date.now() - 60000) });
+      await expect(twoFactorService.isLoginLocked(3)).resolves.toBe(false);
+
+      await twoFactorService.clearFailedLoginAttempts(3);
+      expect(UserTotpFactor.update).toHaveBeenCalledWith(
+        { failed_login_attempts: 0, login_locked_until: null },
+        { where: { user_id: 3 } }
+      );
+    });
+  });
+
+  describe('getLoginMethods', () => {
+    it('keeps email as a fallback next to the authenticator', async () => {
+      UserTotpFactor.findOne.mockResolvedValueOnce({ confirmed_at: new Date() });
+      await expect(twoFactorService.getLoginMethods(3)).resolves.toEqual(['totp', 'email', 'recovery_code']);
+
+      UserTotpFactor.findOne.mockResolvedValueOnce(null);
+      await expect(twoFactorService.getLoginMethods(3)).resolves.toEqual(['email']);
+    });
+  });
+});
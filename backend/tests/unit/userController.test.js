@@ -39,12 +39,20 @@ jest.mock('../../src/utils/auditLogger', () => ({
     PASSWORD_CHANGE: 'PASSWORD_CHANGE',
     EMAIL_CHANGE: 'EMAIL_CHANGE',
     PREFERENCES_UPDATE: 'PREFERENCES_UPDATE',
-    ACCOUNT_DELETE: 'ACCOUNT_DELETE'
+    ACCOUNT_DELETE: 'ACCOUNT_DELETE',
+    SESSION_REVOKE: 'SESSION_REVOKE'
   }
 }));
 
+jest.mock('../../src/services/sessionService', () => ({
+  listActiveSessions: jest.fn(),
+  revokeSession: jest.fn(),
+  revokeAllUserSessions: jest.fn().mockResolvedValue(0)
+}));
+
 const bcrypt = require('bcryptjs');
 const emailService = require('../../src/services/emailService');
+const sessionService = require('../../src/services/sessionService');
 const userController = require('../../src/controllers/userController');
 const { User, EmailVerification, UserPreferences } = require('../../src/database/models');
 
@@ -113,6 +121,7 @@ describe('User Controller', () => {
       expect(bcrypt.hash).toHaveBeenCalledWith('NewPass123!', 10);
       expect(mockUser.password_hash).toBe('new_hashed_password');
       expect(emailService.sendNotificationEmail).toHaveBeenCalled();
+      expect(sessionService.revokeAllUserSessions).toHaveBeenCalledWith(1, { reason: 'password_change' });
       expect(res.json).toHaveBeenCalledWith({ message: 'Password changed successfully', requireReLogin: true });
     });
 
@@ -137,5 +146,68 @@ describe('User Controller', () => {
       expect(mockPreferences.update).toHaveBeenCalledWith({ email_notifications: false, email_messages: true });
       expect(res.status).toHaveBeenCalledWith(200);
     });
+
+    it('keeps weekly_digest in sync with digest_frequency', async () => {
+      req.body = { digest_frequency: 'daily' };
+      const mockPreferences = { update: jest.fn().mockResolvedValue(true) };
+      UserPreferences.findOne.mockResolvedValue(mockPreferences);
+
+      await userController.updatePreferences(req, res);
+
+      expect(mockPreferences.update).toHaveBeenCalledWith({ digest_frequency: 'daily', weekly_digest: false });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('rejects unknown digest frequencies', async () => {
+      req.body = { digest_frequency: 'hourly' };
+
+      await userController.updatePreferences(req, res);
+
+      expect(UserPreferences.findOne).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('sessions', () => {
+    it('lists active sessions and flags the current one', async () => {
+      req.sessionId = 'session-1';
+      sessionService.listActiveSessions.mockResolvedValue([
+        { id: 'session-1', device: 'Chrome on macOS' },
+        { id: 'session-2', device: 'Safari on iOS' }
+      ]);
+
+      await userController.getSessions(req, res);
+
+      expect(sessionService.listActiveSessions).toHaveBeenCalledWith(1);
+      expect(res.json).toHaveBeenCalledWith({
+        sessions: [
+          { id: 'session-1', device: 'Chrome on macOS', current: true },
+          { id: 'session-2', device: 'Safari on iOS', current: false }
+        ]
+      });
+    });
+
+    it('returns 404 when the session is not one of the user\'s active sessions', async () => {
+      req.params = { sessionId: 'session-9' };
+      sessionService.revokeSession.mockResolvedValue(false);
+
+      await userController.revokeSession(req, res);
+
+      expect(sessionService.revokeSession).toHaveBeenCalledWith({ sessionId: 'session-9', userId: 1, reason: 'user_revoked' });
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('revokes every other session but keeps the current one', async () => {
+      req.sessionId = 'session-1';
+      sessionService.revokeAllUserSessions.mockResolvedValue(2);
+
+      await userController.revokeOtherSessions(req, res);
+
+      expect(sessionService.revokeAllUserSessions).toHaveBeenCalledWith(1, {
+        reason: 'user_revoked',
+        exceptSessionId: 'session-1'
+      });
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ revokedCount: 2 }));
+    });
   });
 });